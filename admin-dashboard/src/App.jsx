@@ -8,6 +8,8 @@ import Content from './pages/Content';
 import ActivityFeed from './pages/ActivityFeed';
 import SocialFeed from './pages/SocialFeed';
 import Moderation from './pages/Moderation';
+import MatchCorrections from './pages/MatchCorrections';
+import AiSpend from './pages/AiSpend';
 import Jobs from './pages/Jobs';
 import AuditLog from './pages/AuditLog';
 import Settings from './pages/Settings';
@@ -53,6 +55,8 @@ function App() {
                 <Route path="/activity" element={<ActivityFeed />} />
                 <Route path="/social-feed" element={<SocialFeed />} />
                 <Route path="/moderation" element={<Moderation />} />
+                <Route path="/match-corrections" element={<MatchCorrections />} />
+                <Route path="/ai-spend" element={<AiSpend />} />
                 <Route path="/jobs" element={<Jobs />} />
                 <Route path="/audit-log" element={<AuditLog />} />
                 <Route path="/settings" element={<Settings />} />
@@ -99,6 +99,9 @@ export const toggleUnlimitedVisionTokens = (userId) =>
 export const getUserVisionQuota = (userId) =>
   client.get(`/admin/users/${userId}/vision-quota`);
 
+export const getUserVisionUsage = (userId, params = {}) =>
+  client.get(`/admin/users/${userId}/vision-usage`, { params });
+
 export const resetUserVisionQuota = (userId) =>
   client.post(`/admin/users/${userId}/vision-quota/reset`);
 
@@ -133,6 +136,22 @@ export const getWorkfeed = (params = {}) =>
 export const getWorkfeedJob = (jobId) =>
   client.get(`/admin/workfeed/${jobId}`);
 
+export const requeueWorkfeedJob = (jobId) =>
+  client.post(`/admin/workfeed/${jobId}/requeue`);
+
+// Recurring job schedules
+export const getSchedules = () =>
+  client.get('/admin/schedules');
+
+export const pauseSchedule = (name) =>
+  client.post(`/admin/schedules/${encodeURIComponent(name)}/pause`);
+
+export const resumeSchedule = (name) =>
+  client.post(`/admin/schedules/${encodeURIComponent(name)}/resume`);
+
+export const runSchedule = (name) =>
+  client.post(`/admin/schedules/${encodeURIComponent(name)}/run`);
+
 // Audit logs
 export const getAuditLogs = (params = {}) =>
   client.get('/admin/audit-logs', { params });
@@ -154,6 +173,14 @@ export const getShelf = (shelfId) =>
 export const getShelfItems = (shelfId, params = {}) =>
   client.get(`/admin/shelves/${shelfId}/items`, { params });
 
+// Vision match corrections
+export const getMatchCorrections = (params = {}) =>
+  client.get('/admin/match-corrections', { params });
+
+// AI spend and budgets
+export const getAiSpend = (params = {}) =>
+  client.get('/admin/ai-spend', { params });
+
 // Moderation
 export const getModerationItems = (params = {}) =>
   client.get('/admin/moderation/items', { params });
@@ -0,0 +1,179 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getSchedules, pauseSchedule, resumeSchedule, runSchedule } from '../api/client';
+import { getErrorMessage } from '../utils/errorUtils';
+
+const LAST_STATUS_BADGE = {
+  queued: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  aborted: 'bg-gray-100 text-gray-800',
+  dead: 'bg-purple-100 text-purple-800',
+};
+
+function formatDateTime(dateValue) {
+  if (!dateValue) return '-';
+  const date = new Date(dateValue);
+  return Number.isNaN(date.getTime()) ? '-' : date.toLocaleString();
+}
+
+function formatDuration(ms) {
+  if (ms == null) return null;
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${(ms / 60000).toFixed(1)}m`;
+}
+
+/**
+ * Recurring background jobs from `workflow_schedules`: last/next run plus
+ * pause, resume and run-now controls. `refreshKey` changes force a reload.
+ */
+export default function SchedulesPanel({ refreshKey = 0, onLoaded }) {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyName, setBusyName] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await getSchedules();
+      const rows = response.data.schedules || [];
+      setSchedules(rows);
+      if (onLoaded) onLoaded(rows.length);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load schedules'));
+    } finally {
+      setLoading(false);
+    }
+  }, [onLoaded]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules, refreshKey]);
+
+  const runAction = async (schedule, action) => {
+    const prompts = {
+      run: `Run "${schedule.name}" now?`,
+      pause: `Pause "${schedule.name}"? It will not run until resumed.`,
+      resume: `Resume "${schedule.name}" from its next cron slot?`,
+    };
+    if (!confirm(prompts[action])) return;
+
+    try {
+      setBusyName(schedule.name);
+      setError(null);
+      setNotice(null);
+      if (action === 'run') {
+        const response = await runSchedule(schedule.name);
+        setNotice(`Queued ${schedule.name} as ${response.data.jobId}`);
+      } else if (action === 'pause') {
+        await pauseSchedule(schedule.name);
+      } else {
+        await resumeSchedule(schedule.name);
+      }
+      await loadSchedules();
+    } catch (err) {
+      setError(getErrorMessage(err, `Failed to ${action} schedule`));
+    } finally {
+      setBusyName(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg overflow-hidden">
+      {(error || notice) && (
+        <div className={`px-4 py-3 text-sm border-b ${error ? 'text-red-600 bg-red-50' : 'text-green-700 bg-green-50'}`}>
+          {error || notice}
+        </div>
+      )}
+      {loading && schedules.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">Loading schedules...</div>
+      ) : schedules.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">No schedules registered</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cron (UTC)</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Run</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Next Run</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {schedules.map((schedule) => {
+                const busy = busyName === schedule.name;
+                const duration = formatDuration(schedule.lastDurationMs);
+                return (
+                  <tr key={schedule.name}>
+                    <td className="px-4 py-3">
+                      <div className="text-sm font-medium text-gray-900 font-mono">{schedule.name}</div>
+                      {schedule.description && (
+                        <div className="text-xs text-gray-500 max-w-[320px]">{schedule.description}</div>
+                      )}
+                      {schedule.registered === false && (
+                        <div className="text-xs text-amber-600">No handler registered in this build</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-mono text-gray-700">{schedule.cron}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                        schedule.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {schedule.enabled ? 'Active' : 'Paused'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <div>{formatDateTime(schedule.lastRunAt)}</div>
+                      {schedule.lastStatus && (
+                        <div className="mt-1 flex items-center gap-2">
+                          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${LAST_STATUS_BADGE[schedule.lastStatus] || 'bg-gray-100 text-gray-800'}`}>
+                            {schedule.lastStatus}
+                          </span>
+                          {duration && <span className="text-xs text-gray-500">{duration}</span>}
+                        </div>
+                      )}
+                      {schedule.lastError && (
+                        <div className="mt-1 text-xs text-red-600 max-w-[280px] truncate" title={schedule.lastError}>
+                          {schedule.lastError}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {schedule.enabled ? formatDateTime(schedule.nextRunAt) : '-'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right">
+                      <div className="inline-flex gap-2">
+                        <button
+                          onClick={() => runAction(schedule, 'run')}
+                          disabled={busy}
+                          className="px-3 py-1.5 text-xs font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          Run now
+                        </button>
+                        <button
+                          onClick={() => runAction(schedule, schedule.enabled ? 'pause' : 'resume')}
+                          disabled={busy}
+                          className="px-3 py-1.5 text-xs font-medium rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          {schedule.enabled ? 'Pause' : 'Resume'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
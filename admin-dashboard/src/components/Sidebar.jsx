@@ -8,6 +8,8 @@ const navigation = [
   { name: 'Activity', href: '/activity', icon: ActivityIcon },
   { name: 'Social Feed', href: '/social-feed', icon: SocialFeedIcon },
   { name: 'Moderation', href: '/moderation', icon: ModerationIcon },
+  { name: 'Match Corrections', href: '/match-corrections', icon: CorrectionsIcon },
+  { name: 'AI Spend', href: '/ai-spend', icon: SpendIcon },
   { name: 'Jobs', href: '/jobs', icon: JobsIcon },
   { name: 'Audit Log', href: '/audit-log', icon: AuditIcon },
   { name: 'Broadcast', href: '/broadcast', icon: BroadcastIcon },
@@ -104,6 +106,22 @@ function DeletionIcon({ className }) {
   );
 }
 
+function CorrectionsIcon({ className }) {
+  return (
+    <svg className={className} fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" d="M7.5 21L3 16.5m0 0L7.5 12M3 16.5h13.5m0-13.5L21 7.5m0 0L16.5 12M21 7.5H7.5" />
+    </svg>
+  );
+}
+
+function SpendIcon({ className }) {
+  return (
+    <svg className={className} fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" d="M12 6v12m-3-2.818l.879.659c1.171.879 3.07.879 4.242 0 1.172-.879 1.172-2.303 0-3.182C13.536 12.219 12.768 12 12 12c-.725 0-1.45-.22-2.003-.659-1.106-.879-1.106-2.303 0-3.182s2.9-.879 4.006 0l.415.33M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+    </svg>
+  );
+}
+
 function SettingsIcon({ className }) {
   return (
     <svg className={className} fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor">
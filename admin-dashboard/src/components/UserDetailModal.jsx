@@ -1,12 +1,19 @@
 import { useState, useEffect } from 'react';
 import {
   getUser, suspendUser, unsuspendUser, toggleAdmin, togglePremium, toggleUnlimitedVisionTokens,
-  getUserVisionQuota, resetUserVisionQuota, setUserVisionQuota,
+  getUserVisionQuota, getUserVisionUsage, resetUserVisionQuota, setUserVisionQuota,
 } from '../api/client';
 import UserAvatar from './UserAvatar';
 import UserBadge from './UserBadge';
+import VisionUsageChart from './VisionUsageChart';
 import { getErrorMessage } from '../utils/errorUtils';
 
+const USAGE_CHART_DAYS = 30;
+
+function formatLimit(value) {
+  return value == null ? 'Unlimited' : value.toLocaleString();
+}
+
 export default function UserDetailModal({ userId, onClose, onUpdate }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -19,6 +26,7 @@ export default function UserDetailModal({ userId, onClose, onUpdate }) {
   const [quotaTokensInput, setQuotaTokensInput] = useState('');
   const [quotaOutputTokensInput, setQuotaOutputTokensInput] = useState('');
   const [showQuotaForm, setShowQuotaForm] = useState(false);
+  const [usage, setUsage] = useState(null);
 
   useEffect(() => {
     if (userId) {
@@ -46,10 +54,15 @@ export default function UserDetailModal({ userId, onClose, onUpdate }) {
 
   async function loadQuota() {
     try {
-      const response = await getUserVisionQuota(userId);
-      setQuota(response.data.quota);
+      const [quotaResponse, usageResponse] = await Promise.all([
+        getUserVisionQuota(userId),
+        getUserVisionUsage(userId, { days: USAGE_CHART_DAYS }).catch(() => null),
+      ]);
+      setQuota(quotaResponse.data.quota);
+      setUsage(usageResponse?.data || null);
     } catch (_err) {
       setQuota(null);
+      setUsage(null);
       // Non-critical — quota may not exist yet
     }
   }
@@ -307,7 +320,14 @@ export default function UserDetailModal({ userId, onClose, onUpdate }) {
                     <>
                       <div className="border-t border-gray-200 pt-3">
                         <div className="flex items-center justify-between mb-2">
-                          <span className="text-sm font-medium text-gray-700">Vision Quota</span>
+                          <span className="text-sm font-medium text-gray-700">
+                            Vision Quota
+                            {quota.plan && (
+                              <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 capitalize">
+                                {quota.plan}
+                              </span>
+                            )}
+                          </span>
                           <div className="flex gap-2">
                             <button
                               onClick={() => {
@@ -346,12 +366,19 @@ export default function UserDetailModal({ userId, onClose, onUpdate }) {
                         </div>
                         <div className="mt-2 text-xs text-gray-500 text-center space-y-1">
                           <div>
-                            Token limit: {(quota.tokenLimit ?? 0).toLocaleString()} &middot; Output tokens: {(quota.outputTokensUsed ?? 0).toLocaleString()} / {(quota.outputTokenLimit ?? 0).toLocaleString()}
+                            Token limit: {formatLimit(quota.tokenLimit)} &middot; Output tokens: {(quota.outputTokensUsed ?? 0).toLocaleString()} / {formatLimit(quota.outputTokenLimit)}
                           </div>
                           <div>
-                            Legacy scans: {quota.scansUsed} / {quota.monthlyLimit} &middot; Period started: {new Date(quota.periodStart).toLocaleDateString()}
+                            Scans: {quota.scansUsed} / {formatLimit(quota.scanLimit)}
+                            {quota.rolloverScans > 0 && ` (incl. ${quota.rolloverScans} rolled over)`}
+                            {' '}&middot; Period started: {new Date(quota.periodStart).toLocaleDateString()}
                           </div>
                         </div>
+                        {usage?.daily && (
+                          <div className="mt-3">
+                            <VisionUsageChart daily={usage.daily} days={USAGE_CHART_DAYS} />
+                          </div>
+                        )}
                       </div>
 
                       {showQuotaForm && (
@@ -0,0 +1,49 @@
+/**
+ * Bar chart of a user's daily vision token consumption.
+ *
+ * Props:
+ *   daily {Array}  [{ day: 'YYYY-MM-DD', jobs, totalTokens, outputTokens }], oldest first
+ *   days  {number} window to draw; days without usage render as empty slots
+ */
+
+function buildSeries(daily, days) {
+  const byDay = new Map((daily || []).map((entry) => [entry.day, entry]));
+  const series = [];
+  const today = new Date();
+  for (let offset = days - 1; offset >= 0; offset -= 1) {
+    const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - offset));
+    const key = date.toISOString().slice(0, 10);
+    series.push(byDay.get(key) || { day: key, jobs: 0, totalTokens: 0, outputTokens: 0 });
+  }
+  return series;
+}
+
+export default function VisionUsageChart({ daily, days = 30 }) {
+  const series = buildSeries(daily, days);
+  const maxTokens = Math.max(1, ...series.map((entry) => entry.totalTokens));
+  const totalTokens = series.reduce((sum, entry) => sum + entry.totalTokens, 0);
+  const totalJobs = series.reduce((sum, entry) => sum + entry.jobs, 0);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1 text-xs text-gray-500">
+        <span>Last {days} days</span>
+        <span>{totalTokens.toLocaleString()} tokens &middot; {totalJobs} job{totalJobs === 1 ? '' : 's'}</span>
+      </div>
+      <div className="flex items-end gap-px h-24 bg-gray-50 rounded p-1">
+        {series.map((entry) => (
+          <div
+            key={entry.day}
+            title={`${entry.day}: ${entry.totalTokens.toLocaleString()} tokens, ${entry.jobs} job${entry.jobs === 1 ? '' : 's'}`}
+            className="flex-1 bg-blue-500 rounded-sm hover:bg-blue-600"
+            style={{ height: `${(entry.totalTokens / maxTokens) * 100}%`, minHeight: entry.totalTokens > 0 ? '2px' : 0 }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-[10px] text-gray-400">
+        <span>{series[0]?.day}</span>
+        <span>{series[series.length - 1]?.day}</span>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useEffect, useState } from 'react';
-import { getWorkfeedJob } from '../api/client';
+import { getWorkfeedJob, requeueWorkfeedJob } from '../api/client';
 import { getErrorMessage } from '../utils/errorUtils';
 
 const STATUS_BADGE = {
@@ -8,6 +8,7 @@ const STATUS_BADGE = {
   completed: 'bg-green-100 text-green-800',
   failed: 'bg-red-100 text-red-800',
   aborted: 'bg-gray-100 text-gray-800',
+  dead: 'bg-purple-100 text-purple-800',
 };
 
 function formatDate(value) {
@@ -28,10 +29,32 @@ function JsonBlock({ title, value }) {
   );
 }
 
-export default function WorkfeedDetailModal({ jobId, onClose }) {
+function ErrorHistory({ entries }) {
+  if (!entries?.length) return null;
+  return (
+    <div>
+      <h5 className="text-xs font-medium text-gray-500 mb-2">Error History</h5>
+      <ul className="divide-y divide-gray-100 border border-gray-200 rounded">
+        {entries.map((entry, index) => (
+          <li key={`${entry.at || index}-${index}`} className="px-3 py-2 text-xs">
+            <div className="flex justify-between text-gray-500">
+              <span>Attempt {entry.attempt ?? '-'}{entry.code ? ` • ${entry.code}` : ''}</span>
+              <span>{formatDate(entry.at)}</span>
+            </div>
+            <div className="mt-1 text-gray-800">{entry.message || '-'}</div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function WorkfeedDetailModal({ jobId, onClose, onRequeued }) {
   const [job, setJob] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [requeueing, setRequeueing] = useState(false);
+  const [actionError, setActionError] = useState(null);
 
   useEffect(() => {
     if (!jobId) return;
@@ -58,6 +81,21 @@ export default function WorkfeedDetailModal({ jobId, onClose }) {
     };
   }, [jobId]);
 
+  const handleRequeue = async () => {
+    if (!confirm('Requeue this job with a fresh set of attempts?')) return;
+    try {
+      setRequeueing(true);
+      setActionError(null);
+      const response = await requeueWorkfeedJob(jobId);
+      setJob(response.data.job || null);
+      if (onRequeued) onRequeued();
+    } catch (err) {
+      setActionError(getErrorMessage(err, 'Failed to requeue job'));
+    } finally {
+      setRequeueing(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
@@ -84,7 +122,17 @@ export default function WorkfeedDetailModal({ jobId, onClose }) {
                   {job.status}
                 </span>
                 <span className="text-sm text-gray-500 font-mono">{job.jobId}</span>
+                {job.status === 'dead' && (
+                  <button
+                    onClick={handleRequeue}
+                    disabled={requeueing}
+                    className="ml-auto px-3 py-1.5 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {requeueing ? 'Requeueing...' : 'Requeue'}
+                  </button>
+                )}
               </div>
+              {actionError && <div className="text-sm text-red-600">{actionError}</div>}
 
               <dl className="grid grid-cols-2 gap-4">
                 <div>
@@ -155,8 +203,18 @@ export default function WorkfeedDetailModal({ jobId, onClose }) {
                   <dt className="text-xs font-medium text-gray-500">Finished</dt>
                   <dd className="mt-1 text-sm text-gray-900">{formatDate(job.finishedAt)}</dd>
                 </div>
+                <div>
+                  <dt className="text-xs font-medium text-gray-500">Next Attempt</dt>
+                  <dd className="mt-1 text-sm text-gray-900">{formatDate(job.runAfter)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs font-medium text-gray-500">Dead-lettered</dt>
+                  <dd className="mt-1 text-sm text-gray-900">{formatDate(job.deadLetteredAt)}</dd>
+                </div>
               </dl>
 
+              <ErrorHistory entries={job.errorHistory} />
+
               <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
                 <JsonBlock title="Payload" value={job.payload} />
                 <JsonBlock title="Result" value={job.result} />
@@ -0,0 +1,158 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getAiSpend } from '../api/client';
+import StatsCard from '../components/StatsCard';
+
+const RANGES = [7, 30, 90];
+
+function formatUsd(value) {
+  const amount = Number(value) || 0;
+  return `$${amount.toFixed(amount > 0 && amount < 1 ? 4 : 2)}`;
+}
+
+function formatCap(spend, cap) {
+  return cap == null ? `${formatUsd(spend)} (no cap)` : `${formatUsd(spend)} / ${formatUsd(cap)}`;
+}
+
+export default function AiSpend() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState(30);
+
+  const loadSpend = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getAiSpend({ days });
+      setData(response.data);
+    } catch (err) {
+      console.error('Failed to load AI spend:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    loadSpend();
+  }, [loadSpend]);
+
+  const budget = data?.budget;
+  const byDay = data?.byDay || [];
+  const maxDayCost = Math.max(0.000001, ...byDay.map((row) => row.costUsd));
+
+  return (
+    <div>
+      <div className="sm:flex sm:items-center sm:justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">AI Spend</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Estimated model spend from recorded token usage. Budget caps and pricing live in the <code>ai_cost_config</code> setting.
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="mt-3 sm:mt-0 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border p-2"
+        >
+          {RANGES.map((n) => (
+            <option key={n} value={n}>Last {n} days</option>
+          ))}
+        </select>
+      </div>
+
+      {loading && !data ? (
+        <div className="text-center py-12 text-gray-500">Loading spend...</div>
+      ) : !data ? (
+        <div className="text-center py-12 text-gray-500">Failed to load spend</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-6">
+            <StatsCard title="Today" value={formatCap(budget.dailyUsd, budget.dailyCapUsd)} color="blue" />
+            <StatsCard title="This Month" value={formatCap(budget.monthlyUsd, budget.monthlyCapUsd)} color="indigo" />
+            <StatsCard
+              title="Budget Used"
+              value={`${budget.percentUsed}%`}
+              subtitle={budget.blocked ? 'scans paused' : budget.disabled.length ? `degraded: ${budget.disabled.join(', ')}` : null}
+              color={budget.blocked ? 'red' : budget.disabled.length ? 'yellow' : 'green'}
+            />
+            <StatsCard title={`Last ${data.days} Days`} value={formatUsd(data.totalUsd)} color="purple" />
+          </div>
+
+          <div className="bg-white shadow rounded-lg p-4 mb-6">
+            <h2 className="text-sm font-semibold text-gray-700 mb-3">Spend by Day</h2>
+            {byDay.length === 0 ? (
+              <div className="text-sm text-gray-500">No spend recorded</div>
+            ) : (
+              <>
+                <div className="flex items-end gap-px h-32 bg-gray-50 rounded p-1">
+                  {byDay.map((row) => (
+                    <div
+                      key={row.day}
+                      title={`${row.day}: ${formatUsd(row.costUsd)} over ${row.calls} calls`}
+                      className="flex-1 bg-blue-500 rounded-sm hover:bg-blue-600"
+                      style={{ height: `${(row.costUsd / maxDayCost) * 100}%`, minHeight: row.costUsd > 0 ? '2px' : 0 }}
+                    />
+                  ))}
+                </div>
+                <div className="flex justify-between mt-1 text-xs text-gray-400">
+                  <span>{byDay[0].day}</span>
+                  <span>{byDay[byDay.length - 1].day}</span>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+            <div className="bg-white shadow rounded-lg overflow-hidden">
+              <h2 className="px-4 pt-4 text-sm font-semibold text-gray-700">By Call Label</h2>
+              <table className="min-w-full divide-y divide-gray-200 mt-2">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Label</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Calls</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Input / Output Tokens</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Spend</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.byLabel.map((row) => (
+                    <tr key={row.callLabel} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm font-mono text-gray-900">{row.callLabel}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-700">{row.calls}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-700">
+                        {row.promptTokens.toLocaleString()} / {row.candidatesTokens.toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-900">{formatUsd(row.costUsd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="bg-white shadow rounded-lg overflow-hidden">
+              <h2 className="px-4 pt-4 text-sm font-semibold text-gray-700">Top Users</h2>
+              <table className="min-w-full divide-y divide-gray-200 mt-2">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Jobs</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tokens</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Spend</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.byUser.map((row) => (
+                    <tr key={row.userId || 'deleted'} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm text-gray-900">{row.username || (row.userId ? row.userId : 'Deleted user')}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-700">{row.jobs}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-700">{row.totalTokens.toLocaleString()}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-900">{formatUsd(row.costUsd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
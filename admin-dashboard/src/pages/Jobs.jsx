@@ -4,6 +4,7 @@ import { getJobs, getWorkfeed } from '../api/client';
 import Pagination from '../components/Pagination';
 import JobDetailModal from '../components/JobDetailModal';
 import WorkfeedDetailModal from '../components/WorkfeedDetailModal';
+import SchedulesPanel from '../components/SchedulesPanel';
 
 const WORKFEED_STATUS_BADGE = {
   queued: 'bg-yellow-100 text-yellow-800',
@@ -11,6 +12,7 @@ const WORKFEED_STATUS_BADGE = {
   completed: 'bg-green-100 text-green-800',
   failed: 'bg-red-100 text-red-800',
   aborted: 'bg-gray-100 text-gray-800',
+  dead: 'bg-purple-100 text-purple-800',
 };
 
 const JOB_RUN_STATUS_BADGE = {
@@ -83,6 +85,9 @@ export default function Jobs() {
   const [selectedJobRunId, setSelectedJobRunId] = useState(null);
   const jobRunsLoadCounterRef = useRef(0);
 
+  const [schedulesRefreshKey, setSchedulesRefreshKey] = useState(0);
+  const [schedulesCount, setSchedulesCount] = useState(0);
+
   const limit = 50;
 
   const loadWorkfeed = useCallback(async () => {
@@ -181,7 +186,11 @@ export default function Jobs() {
         <h1 className="text-2xl font-semibold text-gray-900">Job Monitoring</h1>
         <div className="mt-3 sm:mt-0 flex items-center gap-3">
           <span className="text-sm text-gray-500">
-            {activeTab === 'workfeed' ? workfeedPagination.total : jobRunsPagination.total} records
+            {activeTab === 'workfeed'
+              ? workfeedPagination.total
+              : activeTab === 'schedules'
+                ? schedulesCount
+                : jobRunsPagination.total} records
           </span>
           {activeTab === 'workfeed' && (
             <button
@@ -196,7 +205,11 @@ export default function Jobs() {
             </button>
           )}
           <button
-            onClick={activeTab === 'workfeed' ? loadWorkfeed : loadJobRuns}
+            onClick={() => {
+              if (activeTab === 'workfeed') loadWorkfeed();
+              else if (activeTab === 'schedules') setSchedulesRefreshKey((key) => key + 1);
+              else loadJobRuns();
+            }}
             className="px-3 py-1.5 text-sm font-medium rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-50"
           >
             Refresh
@@ -225,9 +238,21 @@ export default function Jobs() {
         >
           Job Runs
         </button>
+        <button
+          onClick={() => setActiveTab('schedules')}
+          className={`px-4 py-2 text-sm font-medium rounded-md ${
+            activeTab === 'schedules'
+              ? 'bg-gray-900 text-white'
+              : 'bg-white text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          Schedules
+        </button>
       </div>
 
-      {activeTab === 'workfeed' ? (
+      {activeTab === 'schedules' ? (
+        <SchedulesPanel refreshKey={schedulesRefreshKey} onLoaded={setSchedulesCount} />
+      ) : activeTab === 'workfeed' ? (
         <>
           <div className="bg-white shadow rounded-lg p-4 mb-6">
             <div className="flex flex-wrap gap-4 items-center">
@@ -246,6 +271,7 @@ export default function Jobs() {
                 <option value="completed">Completed</option>
                 <option value="failed">Failed</option>
                 <option value="aborted">Aborted</option>
+                <option value="dead">Dead-lettered</option>
               </select>
 
               <input
@@ -475,6 +501,7 @@ export default function Jobs() {
         <WorkfeedDetailModal
           jobId={selectedWorkfeedJobId}
           onClose={() => setSelectedWorkfeedJobId(null)}
+          onRequeued={loadWorkfeed}
         />
       )}
 
@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getMatchCorrections } from '../api/client';
+import Pagination from '../components/Pagination';
+
+function describeCollectable(title, creator, kind) {
+  return [title || 'Untitled', creator].filter(Boolean).join(' — ') + (kind ? ` (${kind})` : '');
+}
+
+export default function MatchCorrections() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ total: 0, hasMore: false });
+  const [page, setPage] = useState(0);
+  const [minUsers, setMinUsers] = useState(1);
+  const limit = 25;
+
+  const loadCorrections = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getMatchCorrections({ limit, offset: page * limit, minUsers });
+      setItems(response.data.items);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      console.error('Failed to load match corrections:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, minUsers]);
+
+  useEffect(() => {
+    loadCorrections();
+  }, [loadCorrections]);
+
+  return (
+    <div>
+      <div className="sm:flex sm:items-center sm:justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Match Corrections</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Catalog entries users replaced after a vision match. Frequent entries usually point at a bad catalog row.
+          </p>
+        </div>
+        <span className="mt-3 sm:mt-0 text-sm text-gray-500">{pagination.total} collectables</span>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-4 mb-6">
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-500">Corrected by at least</label>
+          <select
+            value={minUsers}
+            onChange={(e) => { setMinUsers(Number(e.target.value)); setPage(0); }}
+            className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm border p-2"
+          >
+            {[1, 2, 3, 5, 10].map((n) => (
+              <option key={n} value={n}>{n} {n === 1 ? 'user' : 'users'}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12 text-gray-500">Loading corrections...</div>
+        ) : items.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">No corrections recorded</div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Wrong Match</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Seen As</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Top Replacement</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Corrections</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Users</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {items.map((item) => (
+                    <tr key={item.sourceCollectableId} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        <div className="font-medium">
+                          {describeCollectable(item.sourceTitle, item.sourcePrimaryCreator, item.sourceKind)}
+                        </div>
+                        <div className="text-xs text-gray-500 font-mono">#{item.sourceCollectableId}</div>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {item.ocrTitles?.length ? item.ocrTitles.join(', ') : '-'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {item.targetCollectableId ? (
+                          <>
+                            <div>{describeCollectable(item.targetTitle, item.targetPrimaryCreator, item.targetKind)}</div>
+                            <div className="text-xs text-gray-500">
+                              #{item.targetCollectableId} · {item.targetCorrections} of {item.totalCorrections}
+                              {item.distinctTargets > 1 ? ` · ${item.distinctTargets} different replacements` : ''}
+                            </div>
+                          </>
+                        ) : '-'}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{item.totalCorrections}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">{item.distinctUsers}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                        {item.lastCorrectedAt ? new Date(item.lastCorrectedAt).toLocaleString() : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <Pagination
+              page={page}
+              totalPages={Math.ceil(pagination.total / limit)}
+              onPageChange={setPage}
+              total={pagination.total}
+              pageSize={limit}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -7,7 +7,7 @@ const VALID_SETTING_KEY = /^[a-z][a-z0-9_]{0,99}$/;
 
 const VISION_SETTINGS = [
   { key: 'vision_enabled', label: 'Vision Enabled', type: 'boolean', description: 'Enable or disable the vision scanning feature globally' },
-  { key: 'vision_monthly_quota', label: 'Monthly Vision Quota', type: 'number', description: 'Maximum number of vision scans per user per month' },
+  { key: 'vision_monthly_quota', label: 'Monthly Vision Quota', type: 'number', description: 'Premium plan vision scans per month (a vision_quota_plans setting takes precedence)' },
 ];
 
 const DEFAULT_MODERATION_BOT_CONFIG = {
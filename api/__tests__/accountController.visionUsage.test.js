@@ -0,0 +1,62 @@
+jest.mock('../database/queries/visionQuota', () => ({
+  getQuota: jest.fn(),
+  listTokenHistory: jest.fn(),
+}));
+jest.mock('../services/visionQuotaPlans', () => ({
+  VISION_USAGE_THRESHOLDS: [80, 100],
+  getVisionPlans: jest.fn(),
+}));
+
+const visionQuotaQueries = require('../database/queries/visionQuota');
+const { getVisionPlans } = require('../services/visionQuotaPlans');
+const { getVisionUsage } = require('../controllers/accountController');
+
+function makeRes() {
+  const res = {
+    status: jest.fn(),
+    json: jest.fn(),
+  };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+describe('accountController.getVisionUsage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('returns the plan, period usage and paginated job history', async () => {
+    const premium = { key: 'premium', monthlyScans: 15, rollover: true, maxRolloverScans: 5 };
+    visionQuotaQueries.getQuota.mockResolvedValue({ plan: 'premium', scansUsed: 3, percentUsed: 20 });
+    getVisionPlans.mockResolvedValue({ premium });
+    visionQuotaQueries.listTokenHistory.mockResolvedValue({
+      entries: [{ id: 5, jobId: 'wf_vision_1', shelfId: 10, shelfName: 'Books', totalTokens: 1200 }],
+      hasMore: true,
+      limit: 1,
+      offset: 0,
+    });
+    const res = makeRes();
+
+    await getVisionUsage({ user: { id: 'user-1' }, query: { limit: '1' } }, res);
+
+    expect(visionQuotaQueries.listTokenHistory).toHaveBeenCalledWith('user-1', { limit: '1' });
+    expect(res.json).toHaveBeenCalledWith({
+      quota: { plan: 'premium', scansUsed: 3, percentUsed: 20 },
+      plan: premium,
+      thresholds: [80, 100],
+      history: [{ id: 5, jobId: 'wf_vision_1', shelfId: 10, shelfName: 'Books', totalTokens: 1200 }],
+      pagination: { limit: 1, offset: 0, hasMore: true },
+    });
+  });
+
+  it('returns 500 when usage cannot be loaded', async () => {
+    visionQuotaQueries.getQuota.mockRejectedValue(new Error('db down'));
+    getVisionPlans.mockResolvedValue({});
+    visionQuotaQueries.listTokenHistory.mockResolvedValue({ entries: [], hasMore: false, limit: 20, offset: 0 });
+    const res = makeRes();
+
+    await getVisionUsage({ user: { id: 'user-1' }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
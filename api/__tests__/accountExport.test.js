@@ -0,0 +1,260 @@
+jest.mock('../database/queries/accountExport');
+jest.mock('../database/queries/workflowQueueJobs');
+jest.mock('../database/queries/userCollectionPhotos', () => ({
+  loadOwnerPhotoBuffer: jest.fn(),
+}));
+
+const zlib = require('zlib');
+const accountExportQueries = require('../database/queries/accountExport');
+const workflowQueueJobsQueries = require('../database/queries/workflowQueueJobs');
+const { loadOwnerPhotoBuffer } = require('../database/queries/userCollectionPhotos');
+const {
+  ACCOUNT_EXPORT_FORMAT,
+  ACCOUNT_EXPORT_VERSION,
+  buildAccountExportDocument,
+  buildAccountExportCsvFiles,
+  buildAccountExportArchive,
+} = require('../services/accountExport');
+const { crc32 } = require('../services/accountExport/zipWriter');
+const {
+  exportAccount,
+  getAccountExportStatus,
+  downloadAccountExport,
+} = require('../controllers/accountController');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+function makeRes() {
+  const res = {
+    status: jest.fn(),
+    json: jest.fn(),
+    send: jest.fn(),
+    set: jest.fn(),
+  };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+function makeReq(overrides = {}) {
+  return {
+    user: { id: USER_ID, username: 'tester' },
+    query: {},
+    params: {},
+    ...overrides,
+  };
+}
+
+function makeAccountData() {
+  return {
+    shelves: [{ id: 3, name: 'Books', type: 'books', visibility: 'private', createdAt: '2026-01-02T00:00:00.000Z' }],
+    items: [
+      {
+        id: 10,
+        shelfId: 3,
+        collectableId: 77,
+        collectableFingerprint: 'fp-dune',
+        collectableKind: 'book',
+        collectableTitle: 'Dune',
+        collectablePrimaryCreator: 'Frank Herbert',
+        collectableYear: '1965',
+        collectableIdentifiers: { isbn13: ['9780441172719'] },
+        format: 'Hardcover',
+        edition: 'First',
+        notes: '=HYPERLINK("x")',
+        rating: '4.5',
+        platforms: [],
+        ownerPhotoSource: 'upload',
+        ownerPhotoContentType: 'image/png',
+        createdAt: '2026-01-03T00:00:00.000Z',
+      },
+      {
+        id: 11,
+        shelfId: 3,
+        collectableId: null,
+        manualId: 5,
+        notes: 'Signed, "mint"',
+        platforms: [],
+        ownerPhotoSource: 'vision_crop',
+        ownerPhotoCropId: 9,
+      },
+    ],
+    manuals: [{ id: 5, shelfId: 3, name: 'Zine #1', author: 'Me' }],
+    wishlists: {
+      wishlists: [{ id: 2, name: 'Gifts' }],
+      items: [{ wishlistId: 2, collectableId: null, manualText: 'Some book', priority: 1 }],
+    },
+    lists: {
+      lists: [{ id: 4, name: 'Top' }],
+      items: [{ listId: 4, collectableId: 77, collectableTitle: 'Dune', position: 1 }],
+    },
+    favorites: [{ collectableId: null, manualId: 5 }],
+    ratings: [{ collectableId: 77, collectableTitle: 'Dune', rating: '4.5' }],
+  };
+}
+
+function readZipEntries(buffer) {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = {};
+  for (let i = 0; i < count; i += 1) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const start = localOffset + 30 + localNameLength;
+    const body = buffer.subarray(start, start + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(body) : body;
+    expect(crc32(data)).toBe(crc);
+    entries[name] = data;
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('account export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('builds a versioned document with portable collectable refs', () => {
+    const document = buildAccountExportDocument(makeAccountData(), {
+      exportedAt: new Date('2026-04-12T00:00:00.000Z'),
+    });
+
+    expect(document).toEqual(expect.objectContaining({
+      format: ACCOUNT_EXPORT_FORMAT,
+      version: ACCOUNT_EXPORT_VERSION,
+      exportedAt: '2026-04-12T00:00:00.000Z',
+    }));
+    expect(document.items[0]).toEqual(expect.objectContaining({
+      ref: 'item:10',
+      shelfRef: 'shelf:3',
+      manualRef: null,
+      collectable: expect.objectContaining({ fingerprint: 'fp-dune', identifiers: { isbn13: ['9780441172719'] } }),
+      format: 'Hardcover',
+      edition: 'First',
+      rating: 4.5,
+      ownerPhoto: { contentType: 'image/png', visible: true, archivePath: null },
+    }));
+    expect(document.items[1]).toEqual(expect.objectContaining({ collectable: null, manualRef: 'manual:5' }));
+    expect(document.wishlists[0].items).toEqual([expect.objectContaining({ manualText: 'Some book', priority: 1 })]);
+    expect(document.lists[0].items[0].collectable.title).toBe('Dune');
+    expect(document.favorites[0]).toEqual(expect.objectContaining({ collectable: null, manualRef: 'manual:5' }));
+  });
+
+  it('writes per-entity CSVs with import-compatible headers and escaped cells', () => {
+    const files = buildAccountExportCsvFiles(buildAccountExportDocument(makeAccountData()));
+    const [header, first, second] = files.items.split('\r\n');
+
+    expect(header.split(',').slice(0, 5)).toEqual(['Shelf', 'Shelf Type', 'Title', 'Creator', 'Year']);
+    expect(first).toContain('Dune,Frank Herbert,1965,book');
+    expect(first).toContain('"\'=HYPERLINK(""x"")"');
+    expect(second).toContain('Zine #1,Me');
+    expect(second).toContain('"Signed, ""mint"""');
+    expect(files.wishlists).toContain('Gifts,Some book');
+    expect(files.favorites.split('\r\n')[1]).toBe('Zine #1,Me,manual,');
+  });
+
+  it('builds a zip with export.json, CSVs and loadable owner photos', async () => {
+    loadOwnerPhotoBuffer
+      .mockResolvedValueOnce({ buffer: Buffer.from('png-bytes'), contentType: 'image/png' })
+      .mockRejectedValueOnce(new Error('Owner photo crop not found'));
+
+    const { buffer, photoCount, skippedPhotos } = await buildAccountExportArchive(makeAccountData());
+    const entries = readZipEntries(buffer);
+
+    expect(photoCount).toBe(1);
+    expect(skippedPhotos).toBe(1);
+    expect(Object.keys(entries)).toEqual(expect.arrayContaining([
+      'export.json',
+      'csv/shelves.csv',
+      'csv/items.csv',
+      'csv/ratings.csv',
+      'photos/item-10.png',
+    ]));
+    expect(entries['photos/item-10.png'].toString()).toBe('png-bytes');
+    const document = JSON.parse(entries['export.json'].toString('utf8'));
+    expect(document.items[0].ownerPhoto.archivePath).toBe('photos/item-10.png');
+    expect(document.items[1].ownerPhoto.archivePath).toBeNull();
+  });
+
+  describe('controller', () => {
+    it('returns the JSON document or a CSV synchronously for small collections', async () => {
+      accountExportQueries.countCollectionItems.mockResolvedValue(2);
+      accountExportQueries.loadAccountData.mockResolvedValue(makeAccountData());
+
+      const jsonRes = makeRes();
+      await exportAccount(makeReq(), jsonRes);
+      expect(jsonRes.json).toHaveBeenCalledWith(expect.objectContaining({ format: ACCOUNT_EXPORT_FORMAT }));
+
+      const csvRes = makeRes();
+      await exportAccount(makeReq({ query: { format: 'csv', entity: 'shelves' } }), csvRes);
+      expect(csvRes.set).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+      expect(csvRes.send).toHaveBeenCalledWith(expect.stringContaining('Books,books'));
+      expect(workflowQueueJobsQueries.enqueueJob).not.toHaveBeenCalled();
+    });
+
+    it('queues zip exports and large collections, reusing an active job', async () => {
+      accountExportQueries.countCollectionItems.mockResolvedValue(100000);
+      workflowQueueJobsQueries.findActiveByDedupeKey.mockResolvedValueOnce(null);
+      workflowQueueJobsQueries.enqueueJob.mockResolvedValue({ status: 'queued' });
+
+      const res = makeRes();
+      await exportAccount(makeReq({ query: { format: 'json' } }), res);
+
+      expect(workflowQueueJobsQueries.enqueueJob).toHaveBeenCalledWith(expect.objectContaining({
+        workflowType: 'account_export',
+        userId: USER_ID,
+        shelfId: null,
+        dedupeKey: `account_export:${USER_ID}`,
+        notifyOnComplete: true,
+      }));
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(accountExportQueries.loadAccountData).not.toHaveBeenCalled();
+
+      workflowQueueJobsQueries.findActiveByDedupeKey.mockResolvedValueOnce({ jobId: 'export-1', status: 'processing' });
+      const zipRes = makeRes();
+      await exportAccount(makeReq({ query: { format: 'zip' } }), zipRes);
+      expect(zipRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        jobId: 'export-1',
+        downloadUrl: '/api/account/export/export-1/download',
+      }));
+      expect(workflowQueueJobsQueries.enqueueJob).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects unknown formats and CSV entities', async () => {
+      const formatRes = makeRes();
+      await exportAccount(makeReq({ query: { format: 'xml' } }), formatRes);
+      expect(formatRes.status).toHaveBeenCalledWith(400);
+
+      const entityRes = makeRes();
+      await exportAccount(makeReq({ query: { format: 'csv', entity: 'users' } }), entityRes);
+      expect(entityRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('only serves completed account export jobs', async () => {
+      workflowQueueJobsQueries.getByJobIdForUser.mockResolvedValueOnce({
+        jobId: 'vision-1',
+        workflowType: 'vision',
+        status: 'completed',
+      });
+      const otherRes = makeRes();
+      await getAccountExportStatus(makeReq({ params: { jobId: 'vision-1' } }), otherRes);
+      expect(otherRes.status).toHaveBeenCalledWith(404);
+
+      workflowQueueJobsQueries.getByJobIdForUser.mockResolvedValueOnce({
+        jobId: 'export-1',
+        workflowType: 'account_export',
+        status: 'processing',
+        result: null,
+      });
+      const pendingRes = makeRes();
+      await downloadAccountExport(makeReq({ params: { jobId: 'export-1' } }), pendingRes);
+      expect(pendingRes.status).toHaveBeenCalledWith(409);
+    });
+  });
+});
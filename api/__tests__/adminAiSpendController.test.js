@@ -0,0 +1,56 @@
+'use strict';
+
+jest.mock('../database/queries/aiSpend');
+jest.mock('../services/aiCostAccounting', () => ({
+  getAiCostConfig: jest.fn(),
+  getBudgetStatus: jest.fn(),
+}));
+
+const aiSpendQueries = require('../database/queries/aiSpend');
+const aiCostAccounting = require('../services/aiCostAccounting');
+const adminController = require('../controllers/adminController');
+
+function makeRes() {
+  return {
+    json: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+  };
+}
+
+describe('adminController AI spend', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('getAiSpend reports spend by label, user and day with the budget state', async () => {
+    aiCostAccounting.getBudgetStatus.mockResolvedValue({
+      dailyUsd: 4,
+      monthlyUsd: 40,
+      dailyCapUsd: 5,
+      monthlyCapUsd: null,
+      percentUsed: 80,
+      disabled: ['enrichment'],
+      blocked: false,
+    });
+    aiCostAccounting.getAiCostConfig.mockResolvedValue({
+      budgets: { degradeSteps: [{ atPercent: 80, disable: ['enrichment'] }], blockAtPercent: 100 },
+    });
+    aiSpendQueries.getSpendByLabel.mockResolvedValue([{ callLabel: 'vision_extraction', calls: 3, costUsd: 1.5 }]);
+    aiSpendQueries.getSpendByUser.mockResolvedValue([{ userId: 'u1', username: 'reader', costUsd: 1.5 }]);
+    aiSpendQueries.getSpendByDay.mockResolvedValue([
+      { day: '2026-04-11', calls: 1, totalTokens: 100, costUsd: 0.5 },
+      { day: '2026-04-12', calls: 2, totalTokens: 200, costUsd: 1 },
+    ]);
+
+    const res = makeRes();
+    await adminController.getAiSpend({ query: { days: '7' } }, res);
+
+    expect(aiCostAccounting.getBudgetStatus).toHaveBeenCalledWith({ refresh: true });
+    expect(aiSpendQueries.getSpendByLabel).toHaveBeenCalledWith({ days: '7' });
+    const body = res.json.mock.calls[0][0];
+    expect(body.days).toBe(7);
+    expect(body.totalUsd).toBeCloseTo(1.5);
+    expect(body.budget).toEqual(expect.objectContaining({ percentUsed: 80, disabled: ['enrichment'], blockAtPercent: 100 }));
+    expect(body.byLabel[0].callLabel).toBe('vision_extraction');
+  });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+jest.mock('../database/queries/catalogResponseCache');
+jest.mock('../database/queries/admin', () => ({
+  logAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const catalogResponseCacheQueries = require('../database/queries/catalogResponseCache');
+const adminQueries = require('../database/queries/admin');
+const adminController = require('../controllers/adminController');
+
+const ADMIN_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+function makeRes() {
+  return {
+    json: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+  };
+}
+
+function makeReq(overrides = {}) {
+  return {
+    user: { id: ADMIN_ID, isAdmin: true },
+    params: {},
+    query: {},
+    body: {},
+    headers: {},
+    get: jest.fn().mockReturnValue(null),
+    socket: { remoteAddress: '127.0.0.1' },
+    ip: '127.0.0.1',
+    ...overrides,
+  };
+}
+
+describe('adminController catalog cache', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('getCatalogCacheStats reports hit rates per provider and overall', async () => {
+    catalogResponseCacheQueries.getStats.mockResolvedValue({
+      days: 7,
+      rows: [
+        { provider: 'openLibrary', operation: 'lookup', liveEntries: 10, negativeEntries: 2, expiredEntries: 1, hits: 6, negativeHits: 2, misses: 2 },
+        { provider: 'tmdb', operation: 'lookup', liveEntries: 0, negativeEntries: 0, expiredEntries: 0, hits: 0, negativeHits: 0, misses: 0 },
+      ],
+    });
+    catalogResponseCacheQueries.listTopEntries.mockResolvedValue([]);
+
+    const res = makeRes();
+    await adminController.getCatalogCacheStats(makeReq(), res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.providers[0]).toEqual(expect.objectContaining({ lookups: 10, hitRate: 0.8 }));
+    expect(body.providers[1].hitRate).toBeNull();
+    expect(body.totals).toEqual(expect.objectContaining({ liveEntries: 10, lookups: 10, hitRate: 0.8 }));
+  });
+
+  test('purgeCatalogCache applies filters and writes an audit log entry', async () => {
+    catalogResponseCacheQueries.purge.mockResolvedValue(4);
+
+    const res = makeRes();
+    await adminController.purgeCatalogCache(makeReq({ body: { provider: 'tmdb', negativeOnly: true } }), res);
+
+    expect(catalogResponseCacheQueries.purge).toHaveBeenCalledWith({
+      provider: 'tmdb',
+      operation: null,
+      negativeOnly: true,
+      expiredOnly: false,
+    });
+    expect(adminQueries.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'purge_catalog_cache',
+      metadata: expect.objectContaining({ provider: 'tmdb', deleted: 4 }),
+    }));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ deleted: 4 }));
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+jest.mock('../database/queries/admin', () => ({
+  logAction: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../services/workflowSchedulerService', () => {
+  const mockScheduler = {
+    listSchedules: jest.fn(),
+    setPaused: jest.fn(),
+    triggerNow: jest.fn(),
+  };
+  return {
+    getWorkflowSchedulerService: () => mockScheduler,
+  };
+});
+
+const adminQueries = require('../database/queries/admin');
+const { getWorkflowSchedulerService } = require('../services/workflowSchedulerService');
+const adminController = require('../controllers/adminController');
+
+const ADMIN_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const scheduler = getWorkflowSchedulerService();
+
+function makeRes() {
+  return {
+    json: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+  };
+}
+
+function makeReq(overrides = {}) {
+  return {
+    user: { id: ADMIN_ID, isAdmin: true },
+    params: {},
+    query: {},
+    body: {},
+    headers: {},
+    get: jest.fn().mockReturnValue(null),
+    socket: { remoteAddress: '127.0.0.1' },
+    ip: '127.0.0.1',
+    ...overrides,
+  };
+}
+
+describe('adminController schedules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('listSchedules returns every schedule', async () => {
+    scheduler.listSchedules.mockResolvedValue([{ name: 'refreshNewsCache', enabled: true }]);
+    const res = makeRes();
+
+    await adminController.listSchedules(makeReq(), res);
+
+    expect(res.json).toHaveBeenCalledWith({ schedules: [{ name: 'refreshNewsCache', enabled: true }] });
+  });
+
+  test('pauseSchedule disables the schedule and audits it', async () => {
+    scheduler.setPaused.mockResolvedValue({ name: 'refreshNewsCache', cron: '0 4 * * *', enabled: false });
+    const res = makeRes();
+
+    await adminController.pauseSchedule(makeReq({ params: { name: 'refreshNewsCache' } }), res);
+
+    expect(scheduler.setPaused).toHaveBeenCalledWith('refreshNewsCache', true);
+    expect(adminQueries.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      adminId: ADMIN_ID,
+      action: 'pause_schedule',
+      metadata: { name: 'refreshNewsCache', cron: '0 4 * * *' },
+    }));
+    expect(res.json).toHaveBeenCalledWith({ schedule: expect.objectContaining({ enabled: false }) });
+  });
+
+  test('resumeSchedule returns 404 for an unknown schedule', async () => {
+    scheduler.setPaused.mockResolvedValue(null);
+    const res = makeRes();
+
+    await adminController.resumeSchedule(makeReq({ params: { name: 'missing' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(adminQueries.logAction).not.toHaveBeenCalled();
+  });
+
+  test('runScheduleNow queues a run and returns 202', async () => {
+    scheduler.triggerNow.mockResolvedValue({ schedule: { name: 'cleanupNeedsReview' }, jobId: 'wf_sched_x' });
+    const res = makeRes();
+
+    await adminController.runScheduleNow(makeReq({ params: { name: 'cleanupNeedsReview' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json).toHaveBeenCalledWith({ jobId: 'wf_sched_x' });
+    expect(adminQueries.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'run_schedule' }));
+  });
+
+  test('runScheduleNow returns 409 while a run is already active', async () => {
+    scheduler.triggerNow.mockResolvedValue({ schedule: { name: 'cleanupNeedsReview' }, jobId: null });
+    const res = makeRes();
+
+    await adminController.runScheduleNow(makeReq({ params: { name: 'cleanupNeedsReview' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(adminQueries.logAction).not.toHaveBeenCalled();
+  });
+
+  test('rejects malformed schedule names', async () => {
+    const res = makeRes();
+
+    await adminController.runScheduleNow(makeReq({ params: { name: '../etc' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(scheduler.triggerNow).not.toHaveBeenCalled();
+  });
+});
@@ -4,8 +4,12 @@ jest.mock('../database/queries/workflowQueueJobs');
 jest.mock('../services/processingStatus', () => ({
   getJob: jest.fn(),
 }));
+jest.mock('../database/queries/admin', () => ({
+  logAction: jest.fn().mockResolvedValue(undefined),
+}));
 
 const workflowQueueJobsQueries = require('../database/queries/workflowQueueJobs');
+const adminQueries = require('../database/queries/admin');
 const processingStatus = require('../services/processingStatus');
 const adminController = require('../controllers/adminController');
 
@@ -145,5 +149,64 @@ describe('adminController workfeed', () => {
       }),
     });
   });
-});
 
+  test('requeueWorkfeedJob requeues a dead job and records an audit entry', async () => {
+    workflowQueueJobsQueries.getByJobId.mockResolvedValue({
+      jobId: 'wf_vision_dead1',
+      workflowType: 'vision',
+      userId: 'u1',
+      status: 'dead',
+      attemptCount: 3,
+      error: { message: 'Catalog providers are temporarily unavailable.', code: 'CATALOG_PROVIDERS_UNAVAILABLE' },
+    });
+    workflowQueueJobsQueries.requeueDeadJob.mockResolvedValue({
+      jobId: 'wf_vision_dead1',
+      workflowType: 'vision',
+      userId: 'u1',
+      status: 'queued',
+      attemptCount: 0,
+      maxAttempts: 3,
+      step: 'queued',
+      progress: 0,
+      progressMessage: 'Requeued by an admin',
+      errorHistory: [{ attempt: 3, code: 'CATALOG_PROVIDERS_UNAVAILABLE' }],
+    });
+    processingStatus.getJob.mockReturnValue(null);
+
+    const req = makeReq({ params: { jobId: 'wf_vision_dead1' } });
+    const res = makeRes();
+
+    await adminController.requeueWorkfeedJob(req, res);
+
+    expect(workflowQueueJobsQueries.requeueDeadJob).toHaveBeenCalledWith({ jobId: 'wf_vision_dead1' });
+    expect(adminQueries.logAction).toHaveBeenCalledWith(expect.objectContaining({
+      adminId: ADMIN_ID,
+      action: 'requeue_workflow_job',
+      targetUserId: 'u1',
+      metadata: expect.objectContaining({ jobId: 'wf_vision_dead1', previousAttempts: 3 }),
+    }));
+    expect(res.json).toHaveBeenCalledWith({
+      job: expect.objectContaining({
+        status: 'queued',
+        message: 'Requeued by an admin',
+        errorHistory: [expect.objectContaining({ attempt: 3 })],
+      }),
+    });
+  });
+
+  test('requeueWorkfeedJob rejects jobs that are not dead-lettered', async () => {
+    workflowQueueJobsQueries.getByJobId.mockResolvedValue({
+      jobId: 'wf_vision_live1',
+      status: 'processing',
+    });
+
+    const req = makeReq({ params: { jobId: 'wf_vision_live1' } });
+    const res = makeRes();
+
+    await adminController.requeueWorkfeedJob(req, res);
+
+    expect(workflowQueueJobsQueries.requeueDeadJob).not.toHaveBeenCalled();
+    expect(adminQueries.logAction).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
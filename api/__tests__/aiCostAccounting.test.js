@@ -0,0 +1,106 @@
+jest.mock('../database/queries/aiSpend', () => ({
+  recordCalls: jest.fn().mockResolvedValue(1),
+  getSpendTotals: jest.fn().mockResolvedValue({ dailyUsd: 0, monthlyUsd: 0 }),
+}));
+
+const mockSettingsGet = jest.fn().mockResolvedValue(null);
+jest.mock('../services/config/SystemSettingsCache', () => ({
+  getSystemSettingsCache: () => ({ get: mockSettingsGet }),
+}));
+
+const aiSpendQueries = require('../database/queries/aiSpend');
+const {
+  resolvePricing,
+  priceCalls,
+  resolveBudgetState,
+  getPipelineBudgetOptions,
+  recordAiSpend,
+} = require('../services/aiCostAccounting');
+
+const CONFIG = {
+  defaultPricing: { inputPerMillion: 1, outputPerMillion: 2 },
+  models: {
+    'gemini-2.5-flash': { inputPerMillion: 0.3, outputPerMillion: 2.5 },
+    'gemini-2.5-flash-lite': { inputPerMillion: 0.1, outputPerMillion: 0.4 },
+  },
+  callLabels: { scout: { model: 'gemini-2.5-flash-lite' } },
+};
+
+const BUDGETS = {
+  dailyUsd: 10,
+  monthlyUsd: 100,
+  degradeSteps: [
+    { atPercent: 80, disable: ['enrichment'] },
+    { atPercent: 90, disable: ['enrichment', 'slicing', 'unknownFeature'] },
+  ],
+  blockAtPercent: 100,
+};
+
+describe('aiCostAccounting', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSettingsGet.mockResolvedValue(null);
+  });
+
+  it('prices by longest model prefix, label override, then default', () => {
+    expect(resolvePricing(CONFIG, { model: 'gemini-2.5-flash-lite-001' }))
+      .toEqual({ model: 'gemini-2.5-flash-lite-001', inputPerMillion: 0.1, outputPerMillion: 0.4 });
+    expect(resolvePricing(CONFIG, { label: 'scout', model: 'gemini-2.5-flash' }))
+      .toEqual(expect.objectContaining({ model: 'gemini-2.5-flash-lite', inputPerMillion: 0.1 }));
+    expect(resolvePricing(CONFIG, { model: 'some-other-model' }))
+      .toEqual(expect.objectContaining({ inputPerMillion: 1, outputPerMillion: 2 }));
+  });
+
+  it('prices prompt and output tokens separately', () => {
+    const [call] = priceCalls([{
+      label: 'vision_extraction',
+      model: 'gemini-2.5-flash',
+      promptTokens: 1000000,
+      candidatesTokens: 200000,
+      totalTokens: 1200000,
+    }], CONFIG);
+
+    expect(call.costUsd).toBeCloseTo(0.3 + 0.5, 6);
+  });
+
+  it('degrades by the closest cap and blocks at the configured percent', () => {
+    expect(resolveBudgetState({ dailyUsd: 5, monthlyUsd: 20 }, BUDGETS))
+      .toEqual(expect.objectContaining({ percentUsed: 50, disabled: [], blocked: false }));
+    expect(resolveBudgetState({ dailyUsd: 8.5, monthlyUsd: 20 }, BUDGETS))
+      .toEqual(expect.objectContaining({ percentUsed: 85, disabled: ['enrichment'], blocked: false }));
+    expect(resolveBudgetState({ dailyUsd: 1, monthlyUsd: 95 }, BUDGETS))
+      .toEqual(expect.objectContaining({ disabled: ['enrichment', 'slicing'], blocked: false }));
+    expect(resolveBudgetState({ dailyUsd: 10, monthlyUsd: 20 }, BUDGETS).blocked).toBe(true);
+  });
+
+  it('never degrades or blocks without caps', () => {
+    expect(resolveBudgetState({ dailyUsd: 500, monthlyUsd: 5000 }, { ...BUDGETS, dailyUsd: null, monthlyUsd: null }))
+      .toEqual(expect.objectContaining({ percentUsed: 0, disabled: [], blocked: false }));
+  });
+
+  it('maps degraded features to pipeline options and records priced spend', async () => {
+    mockSettingsGet.mockResolvedValue({ budgets: { dailyUsd: 1, monthlyUsd: null } });
+    aiSpendQueries.getSpendTotals.mockResolvedValueOnce({ dailyUsd: 0.95, monthlyUsd: 3 });
+
+    await expect(getPipelineBudgetOptions()).resolves.toEqual({ enrichmentEnabled: false, slicingEnabled: false });
+
+    const cost = await recordAiSpend({
+      userId: 'user-1',
+      jobId: 'job-1',
+      calls: [{ label: 'scout', model: 'gemini-2.5-flash', promptTokens: 1000, candidatesTokens: 0, totalTokens: 1000 }],
+    });
+
+    expect(cost).toBeCloseTo(0.0003, 6);
+    expect(aiSpendQueries.recordCalls).toHaveBeenCalledWith({
+      userId: 'user-1',
+      jobId: 'job-1',
+      calls: [expect.objectContaining({ label: 'scout', model: 'gemini-2.5-flash', costUsd: 0.0003 })],
+    });
+  });
+
+  it('falls back to the uncapped static config when settings cannot be read', async () => {
+    mockSettingsGet.mockRejectedValue(new Error('db down'));
+
+    await expect(getPipelineBudgetOptions()).resolves.toEqual({});
+  });
+});
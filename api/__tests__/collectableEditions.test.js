@@ -0,0 +1,208 @@
+jest.mock('../database/queries/media', () => ({
+  ensureCoverMediaForCollectable: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../database/queries/editions', () => ({
+  upsertForCollectable: jest.fn(),
+  setPrimaryEditionIfMissing: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('../database/queries/jobRuns', () => ({
+  appendJobEvent: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../context', () => ({
+  getJobId: jest.fn(() => 'no-job'),
+  getUserId: jest.fn(() => null),
+}));
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const pg = require('../database/pg');
+const logger = require('../logger');
+const collectablesQueries = require('../database/queries/collectables');
+const editionsQueries = require('../database/queries/editions');
+const { normalizeEditionsForStorage, parseEditionDate } = require('../services/collectables/editions');
+const { discogsToCollectable } = require('../adapters/discogs.adapter');
+const { tmdbReleaseDatesToEditions } = require('../adapters/tmdb.adapter');
+const { GameCatalogService } = require('../services/catalog/GameCatalogService');
+
+describe('normalizeEditionsForStorage', () => {
+  it('maps adapter editions to rows, flattening Map identifiers and parsing dates', () => {
+    const [row] = normalizeEditionsForStorage([{
+      provider: 'openlibrary',
+      id: 'OL7353617M',
+      type: 'edition',
+      title: 'The Hobbit',
+      subtitle: 'or There and Back Again',
+      labelOrPublisher: ['Houghton Mifflin', ' '],
+      dateOrYear: 'Sep 21, 1937',
+      identifiers: new Map(Object.entries({ isbn10: ['0618260307'], isbn13: [] })),
+      physical: { format: 'Paperback', pages: 300 },
+      matched: true,
+    }]);
+
+    expect(row).toEqual(expect.objectContaining({
+      provider: 'openlibrary',
+      externalId: 'OL7353617M',
+      editionType: 'edition',
+      name: 'The Hobbit: or There and Back Again',
+      publisher: 'Houghton Mifflin',
+      releaseDate: '1937-09-21',
+      releaseYear: 1937,
+      format: 'Paperback',
+      identifiers: { isbn10: ['0618260307'] },
+      metadata: { pages: 300 },
+      matched: true,
+    }));
+  });
+
+  it('drops unnamed editions, names platform releases and de-duplicates by external id', () => {
+    const rows = normalizeEditionsForStorage([
+      { provider: 'igdb', id: '1:48:8', platform: 'PlayStation 4', region: 'Worldwide' },
+      { provider: 'igdb', id: '1:48:8', title: 'Duplicate' },
+      { provider: 'igdb' },
+    ]);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].name).toBe('PlayStation 4 (Worldwide)');
+  });
+
+  it('keeps year-only dates as a year without a full date', () => {
+    expect(parseEditionDate('1977')).toEqual({ releaseDate: null, releaseYear: 1977 });
+    expect(parseEditionDate('2001-05-01T00:00:00Z')).toEqual({ releaseDate: '2001-05-01', releaseYear: 2001 });
+  });
+});
+
+describe('adapter editions', () => {
+  it('turns a Discogs release into the matched edition but not a master', () => {
+    const release = discogsToCollectable({
+      id: 249504,
+      resource_url: 'https://api.discogs.com/releases/249504',
+      title: 'Rumours',
+      artists: [{ name: 'Fleetwood Mac' }],
+      released: '1977-02-04',
+      country: 'US',
+      labels: [{ name: 'Warner Bros. Records', catno: 'BSK 3010' }],
+      formats: [{ name: 'Vinyl', descriptions: ['LP', 'Album'] }],
+      identifiers: [{ type: 'Barcode', value: '075992731311' }],
+    });
+    const master = discogsToCollectable({
+      id: 24461,
+      resource_url: 'https://api.discogs.com/masters/24461',
+      title: 'Rumours',
+    });
+
+    expect(release.editions).toEqual([expect.objectContaining({
+      provider: 'discogs',
+      id: '249504',
+      type: 'release',
+      region: 'US',
+      physical: { format: 'Vinyl, LP, Album' },
+      identifiers: { catalogNumber: ['BSK 3010'], barcode: ['075992731311'] },
+      matched: true,
+    })]);
+    expect(master.editions).toEqual([]);
+  });
+
+  it('builds one TMDB edition per release type in the preferred region', () => {
+    const editions = tmdbReleaseDatesToEditions({
+      id: 603,
+      release_dates: {
+        results: [
+          { iso_3166_1: 'DE', release_dates: [{ type: 3, release_date: '1999-06-17' }] },
+          {
+            iso_3166_1: 'US',
+            release_dates: [
+              { type: 3, release_date: '1999-03-31T00:00:00.000Z', certification: 'R' },
+              { type: 5, release_date: '1999-09-21T00:00:00.000Z', note: 'DVD' },
+              { type: 5, release_date: '2018-05-22T00:00:00.000Z', note: '4K Ultra HD' },
+            ],
+          },
+        ],
+      },
+    });
+
+    expect(editions.map((edition) => [edition.type, edition.title, edition.physical.format])).toEqual([
+      ['theatrical', 'Theatrical release (US)', null],
+      ['physical', 'DVD (US)', 'DVD'],
+      ['physical', '4K Ultra HD (US)', '4K Ultra HD'],
+    ]);
+  });
+
+  it('builds one IGDB edition per platform and region, keeping the earliest date', () => {
+    const editions = GameCatalogService.prototype.extractPlatformReleaseEditions.call(null, {
+      id: 1942,
+      release_dates: [
+        { date: 1431993600, region: 8, platform: { id: 48, name: 'PlayStation 4' } },
+        { date: 1431907200, region: 8, platform: { id: 48, name: 'PlayStation 4' } },
+        { date: 1431993600, region: 8, platform: { id: 6, name: 'PC (Microsoft Windows)' } },
+      ],
+    });
+
+    expect(editions).toHaveLength(2);
+    expect(editions[0]).toEqual(expect.objectContaining({
+      id: '1942:48:8',
+      type: 'platform_release',
+      title: 'PlayStation 4 (Worldwide)',
+      platform: 'PlayStation 4',
+      dateOrYear: '2015-05-18',
+    }));
+  });
+});
+
+describe('collectables.upsert edition sync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores editions and records the matched one as the primary edition', async () => {
+    pg.query.mockResolvedValueOnce({
+      rows: [{ id: 21, kind: 'books', title: 'The Hobbit', editions_id: null }],
+    });
+    editionsQueries.upsertForCollectable.mockResolvedValueOnce([{ id: 301 }, { id: 302 }]);
+
+    const result = await collectablesQueries.upsert({
+      fingerprint: 'fp-21',
+      kind: 'books',
+      title: 'The Hobbit',
+      editions: [
+        { provider: 'hardcover', id: '9', title: 'Anniversary Edition' },
+        { provider: 'openlibrary', id: 'OL1M', title: 'The Hobbit', matched: true },
+      ],
+    });
+
+    expect(editionsQueries.upsertForCollectable).toHaveBeenCalledWith(
+      21,
+      [
+        expect.objectContaining({ externalId: '9', matched: false }),
+        expect.objectContaining({ externalId: 'OL1M', matched: true }),
+      ],
+      null,
+    );
+    expect(editionsQueries.setPrimaryEditionIfMissing).toHaveBeenCalledWith(21, 302, null);
+    expect(result.editionsId).toBe(302);
+  });
+
+  it('keeps the collectable when edition storage fails', async () => {
+    pg.query.mockResolvedValueOnce({ rows: [{ id: 22, kind: 'books', title: 'Dune' }] });
+    editionsQueries.upsertForCollectable.mockRejectedValueOnce(new Error('db down'));
+
+    const result = await collectablesQueries.upsert({
+      fingerprint: 'fp-22',
+      kind: 'books',
+      title: 'Dune',
+      editions: [{ provider: 'openlibrary', id: 'OL2M', title: 'Dune' }],
+    });
+
+    expect(result.id).toBe(22);
+    expect(logger.warn).toHaveBeenCalledWith(
+      '[collectables.upsert] edition sync failed',
+      expect.objectContaining({ collectableId: 22 }),
+    );
+  });
+});
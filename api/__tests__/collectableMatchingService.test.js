@@ -24,7 +24,10 @@ describe('CollectableMatchingService', () => {
   beforeEach(() => {
     tvCatalogService = makeCatalogService('tv');
     sharedServices = {
+      boardGame: makeCatalogService('boardgames'),
       book: makeCatalogService('books'),
+      card: makeCatalogService('cards'),
+      comic: makeCatalogService('comics'),
       game: makeCatalogService('games'),
       movie: makeCatalogService('movies'),
       music: makeCatalogService('vinyl'),
@@ -0,0 +1,106 @@
+const {
+    IMPORT_FORMATS,
+    detectImportFormat,
+    getFormatShelfTypes,
+    parseCollectionImport,
+} = require('../services/collectionImport');
+const { parseCsv } = require('../services/collectionImport/csvParser');
+
+describe('collection import', () => {
+    describe('parseCsv', () => {
+        it('handles quotes, escaped quotes, embedded newlines, CRLF and a BOM', () => {
+            const text = '\uFEFFTitle,Notes\r\n"Dune, Deluxe","Said ""hi""\nsecond line"\r\n\r\nSolo,\n';
+
+            expect(parseCsv(text)).toEqual([
+                ['Title', 'Notes'],
+                ['Dune, Deluxe', 'Said "hi"\nsecond line'],
+                ['Solo', ''],
+            ]);
+        });
+    });
+
+    describe('format detection and mapping', () => {
+        it('maps Goodreads exports, unwrapping ISBNs and series suffixes', () => {
+            const csv = [
+                'Book Id,Title,Author,ISBN,ISBN13,Binding,Year Published,Original Publication Year,Private Notes',
+                '2767052,"Catching Fire (The Hunger Games, #2)",Suzanne Collins,"=""0439023491""","=""9780439023498""",Hardcover,2009,2009,Gift',
+                '1,No Isbn,Someone,"=""""","=""""",,,1999,',
+            ].join('\n');
+
+            const parsed = parseCollectionImport(csv);
+
+            expect(parsed.format).toBe(IMPORT_FORMATS.GOODREADS);
+            expect(parsed.rows[0]).toEqual({
+                rowNumber: 1,
+                title: 'Catching Fire',
+                primaryCreator: 'Suzanne Collins',
+                year: '2009',
+                format: 'Hardcover',
+                notes: 'Gift',
+                barcode: '9780439023498',
+                identifiers: {
+                    isbn13: ['9780439023498'],
+                    isbn10: ['0439023491'],
+                    barcode: ['9780439023498'],
+                },
+                sourceId: '2767052',
+            });
+            expect(parsed.rows[1]).toEqual(expect.objectContaining({ barcode: null, identifiers: {}, year: '1999' }));
+        });
+
+        it('maps Discogs collection and Letterboxd exports', () => {
+            const discogs = parseCollectionImport([
+                'Catalog#,Artist,Title,Label,Format,Rating,Released,release_id,CollectionFolder,Date Added,Collection Notes',
+                'CL 1355,Miles Davis (2),Kind Of Blue,Columbia,"LP, Album, Mono",,1959,249504,Uncategorized,2024-01-01 10:00:00,',
+            ].join('\n'));
+            const letterboxd = parseCollectionImport([
+                'Date,Name,Year,Letterboxd URI',
+                '2024-02-01,Arrival,2016,https://boxd.it/abc',
+            ].join('\n'));
+
+            expect(discogs.format).toBe(IMPORT_FORMATS.DISCOGS);
+            expect(discogs.rows[0]).toEqual(expect.objectContaining({
+                title: 'Kind Of Blue',
+                primaryCreator: 'Miles Davis',
+                year: '1959',
+                format: 'LP, Album, Mono',
+                identifiers: { discogs: { release: ['249504'] } },
+            }));
+            expect(letterboxd.format).toBe(IMPORT_FORMATS.LETTERBOXD);
+            expect(letterboxd.rows[0]).toEqual(expect.objectContaining({ title: 'Arrival', year: '2016', primaryCreator: null }));
+            expect(getFormatShelfTypes(IMPORT_FORMATS.DISCOGS)).toEqual(['vinyl']);
+            expect(getFormatShelfTypes(IMPORT_FORMATS.GENERIC)).toBeNull();
+        });
+
+        it('falls back to generic column aliases or an explicit mapping', () => {
+            const csv = 'Name,Creator,UPC,Released\nHalo 3,Bungie,036000291452,Sept 2007';
+
+            expect(detectImportFormat(['Name', 'Creator'])).toBe(IMPORT_FORMATS.GENERIC);
+            expect(parseCollectionImport(csv).rows[0]).toEqual(expect.objectContaining({
+                title: 'Halo 3',
+                primaryCreator: 'Bungie',
+                barcode: '036000291452',
+                year: '2007',
+            }));
+
+            const mapped = parseCollectionImport('Thing,Maker\nWidget,Acme', {
+                mapping: { title: 'thing', primaryCreator: 'Maker' },
+            });
+            expect(mapped.format).toBe(IMPORT_FORMATS.GENERIC);
+            expect(mapped.mapping).toEqual({ title: 'Thing', primaryCreator: 'Maker' });
+            expect(mapped.rows[0]).toEqual(expect.objectContaining({ title: 'Widget', primaryCreator: 'Acme' }));
+        });
+
+        it('rejects unusable files with 400-coded errors', () => {
+            expect(() => parseCollectionImport('Title\n')).toThrow(expect.objectContaining({ status: 400, code: 'import_empty' }));
+            expect(() => parseCollectionImport('Title\nA\nB', { maxRows: 1 }))
+                .toThrow(expect.objectContaining({ code: 'import_too_many_rows' }));
+            expect(() => parseCollectionImport('Title\nA', { format: 'goodreads' }))
+                .toThrow(expect.objectContaining({ code: 'import_format_mismatch' }));
+            expect(() => parseCollectionImport('Title\nA', { format: 'librarything' }))
+                .toThrow(expect.objectContaining({ code: 'import_format_unsupported' }));
+            expect(() => parseCollectionImport('Title\nA', { mapping: { title: 'Missing' } }))
+                .toThrow(expect.objectContaining({ code: 'import_mapping_invalid' }));
+        });
+    });
+});
@@ -0,0 +1,269 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  applyComicNumbering,
+  formatComicTitle,
+  normalizeIssueNumber,
+  parseComicTitle,
+} = require('../services/collectables/comicNumbering');
+const { resolveShelfType, getApiContainerKey } = require('../services/config/shelfTypeResolver');
+const { CatalogRouter } = require('../services/catalog/CatalogRouter');
+const { ComicCatalogService } = require('../services/catalog/ComicCatalogService');
+const ComicFixtureAdapter = require('../services/catalog/adapters/ComicFixtureAdapter');
+const ComicVineAdapter = require('../services/catalog/adapters/ComicVineAdapter');
+
+const FIXTURE_ENTRIES = [
+  {
+    id: 'saga-1',
+    series: 'Saga',
+    issueNumber: '1',
+    writer: 'Brian K. Vaughan',
+    artists: ['Fiona Staples'],
+    publisher: 'Image',
+    year: 2012,
+  },
+  {
+    id: 'saga-2',
+    series: 'Saga',
+    issueNumber: '2',
+    writer: 'Brian K. Vaughan',
+    publisher: 'Image',
+    year: 2012,
+  },
+  {
+    id: 'one-piece-v3',
+    series: 'One Piece',
+    volumeNumber: 3,
+    name: "Don't Get Fooled Again",
+    writer: 'Eiichiro Oda',
+    publisher: 'VIZ Media',
+    year: 2004,
+  },
+];
+
+function makeResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body || {}),
+  };
+}
+
+describe('comic numbering', () => {
+  it('splits series, volume and issue out of a title', () => {
+    expect(parseComicTitle('Batman Vol. 3 #012')).toEqual({
+      series: 'Batman',
+      volumeNumber: 3,
+      issueNumber: '12',
+    });
+    expect(parseComicTitle('One Piece, Volume 7')).toEqual({
+      series: 'One Piece',
+      volumeNumber: 7,
+      issueNumber: null,
+    });
+    expect(parseComicTitle('Watchmen')).toEqual({
+      series: 'Watchmen',
+      volumeNumber: null,
+      issueNumber: null,
+    });
+  });
+
+  it('prefers explicit numbering over the title and rebuilds the title', () => {
+    const item = applyComicNumbering({ title: 'Saga', issueNumber: '#007', author: 'Vaughan' });
+    expect(item).toEqual(expect.objectContaining({
+      title: 'Saga #7',
+      series: 'Saga',
+      issueNumber: '7',
+      volumeNumber: null,
+      author: 'Vaughan',
+    }));
+
+    const manga = applyComicNumbering({ title: 'One Piece', series: { name: 'One Piece' }, volumeNumber: 'Vol. 3' });
+    expect(manga.title).toBe('One Piece, Vol. 3');
+    expect(manga.volumeNumber).toBe(3);
+  });
+
+  it('keeps decimal and variant issue numbers', () => {
+    expect(normalizeIssueNumber('No. 12.1')).toBe('12.1');
+    expect(normalizeIssueNumber('#1A')).toBe('1A');
+    expect(normalizeIssueNumber('0')).toBe('0');
+    expect(formatComicTitle({ series: 'Saga', issueNumber: '0' })).toBe('Saga #0');
+  });
+});
+
+describe('comics shelf type', () => {
+  it('resolves comic and manga shelves to comics instead of books', () => {
+    expect(resolveShelfType('comic')).toBe('comics');
+    expect(resolveShelfType('Manga')).toBe('comics');
+    expect(resolveShelfType('graphic novels')).toBe('comics');
+    expect(resolveShelfType('books')).toBe('books');
+    expect(resolveShelfType('novel')).toBe('books');
+    expect(getApiContainerKey('comic books')).toBe('comics');
+  });
+});
+
+describe('ComicFixtureAdapter', () => {
+  it('is not configured without a fixture path or entries', () => {
+    const previous = process.env.COMIC_CATALOG_FIXTURE_PATH;
+    delete process.env.COMIC_CATALOG_FIXTURE_PATH;
+    expect(new ComicFixtureAdapter().isConfigured()).toBe(false);
+    if (previous !== undefined) process.env.COMIC_CATALOG_FIXTURE_PATH = previous;
+  });
+
+  it('matches on series and issue number', async () => {
+    const adapter = new ComicFixtureAdapter({ entries: FIXTURE_ENTRIES });
+
+    const result = await adapter.lookup({ title: 'Saga #2' });
+
+    expect(result).toEqual(expect.objectContaining({
+      kind: 'comic',
+      title: 'Saga #2',
+      series: 'Saga',
+      issueNumber: '2',
+      primaryCreator: 'Brian K. Vaughan',
+      identifiers: { comicFixture: { issue: ['saga-2'] } },
+    }));
+    await expect(adapter.lookup({ title: 'Saga #3' })).resolves.toBeNull();
+  });
+
+  it('matches manga by volume number', async () => {
+    const adapter = new ComicFixtureAdapter({ entries: FIXTURE_ENTRIES });
+
+    const result = await adapter.lookup({ title: 'One Piece', volumeNumber: 3 });
+
+    expect(result.title).toBe('One Piece, Vol. 3');
+    expect(result.subtitle).toBe("Don't Get Fooled Again");
+    expect(result.volumeNumber).toBe(3);
+  });
+});
+
+describe('ComicVineAdapter', () => {
+  it('is configured only with an API key', () => {
+    expect(new ComicVineAdapter({ apiKey: '' }).isConfigured()).toBe(false);
+    expect(new ComicVineAdapter({ apiKey: 'cv-key' }).isConfigured()).toBe(true);
+  });
+
+  it('finds the issue in the best-matching volume', async () => {
+    const fetchMock = jest
+      .fn()
+      .mockResolvedValueOnce(makeResponse(200, {
+        status_code: 1,
+        results: [
+          { id: 99, name: 'Saga of the Swamp Thing', count_of_issues: 64, start_year: '1982' },
+          { id: 43644, name: 'Saga', count_of_issues: 66, start_year: '2012', publisher: { name: 'Image' } },
+        ],
+      }))
+      .mockResolvedValueOnce(makeResponse(200, {
+        status_code: 1,
+        results: [{ id: 332013, issue_number: '12' }],
+      }))
+      .mockResolvedValueOnce(makeResponse(200, {
+        status_code: 1,
+        results: {
+          id: 332013,
+          issue_number: '12',
+          cover_date: '2013-06-01',
+          description: '<p>The <b>Will</b> returns.</p>',
+          image: { medium_url: 'https://cv.example/12-medium.jpg', super_url: 'https://cv.example/12.jpg' },
+          person_credits: [
+            { name: 'Fiona Staples', role: 'artist, cover' },
+            { name: 'Brian K. Vaughan', role: 'writer' },
+          ],
+          site_detail_url: 'https://comicvine.gamespot.com/saga-12/4000-332013/',
+        },
+      }));
+    const adapter = new ComicVineAdapter({ apiKey: 'cv-key', fetch: fetchMock, rateLimitPerMinute: 1000 });
+
+    const result = await adapter.lookup({ title: 'Saga #12', publisher: 'Image' });
+
+    expect(fetchMock.mock.calls[1][0]).toContain('filter=volume%3A43644%2Cissue_number%3A12');
+    expect(fetchMock.mock.calls[2][0]).toContain('/issue/4000-332013/');
+    expect(result).toEqual(expect.objectContaining({
+      provider: 'comicvine',
+      kind: 'comic',
+      title: 'Saga #12',
+      series: 'Saga',
+      issueNumber: '12',
+      primaryCreator: 'Brian K. Vaughan',
+      publisher: 'Image',
+      year: '2013',
+      description: 'The Will returns.',
+      identifiers: { comicvine: { issue: ['332013'], volume: ['43644'] } },
+    }));
+  });
+
+  it('maps an invalid API key response to a 401 error', async () => {
+    const fetchMock = jest.fn().mockResolvedValue(makeResponse(200, {
+      status_code: 100,
+      error: 'Invalid API Key',
+    }));
+    const adapter = new ComicVineAdapter({ apiKey: 'bad', fetch: fetchMock, rateLimitPerMinute: 1000 });
+
+    await expect(adapter.lookup({ title: 'Saga #1' })).rejects.toThrow(/401/);
+  });
+});
+
+describe('ComicCatalogService', () => {
+  function makeRouter() {
+    const router = new CatalogRouter({
+      config: {
+        comics: {
+          mode: 'fallback',
+          apis: [{ name: 'comicFixture', enabled: true, priority: 1 }],
+        },
+      },
+      responseCache: { wrap: (provider, operation, query, fetchFn) => fetchFn() },
+    });
+    const adapter = new ComicFixtureAdapter({ entries: FIXTURE_ENTRIES });
+    router._adapterFactories = { comicFixture: () => adapter };
+    return router;
+  }
+
+  it('supports comics shelves only', () => {
+    const service = new ComicCatalogService({ router: makeRouter() });
+    expect(service.supportsShelfType('comics')).toBe(true);
+    expect(service.supportsShelfType('manga')).toBe(true);
+    expect(service.supportsShelfType('books')).toBe(false);
+  });
+
+  it('resolves vision items through the comics container and builds payloads', async () => {
+    const service = new ComicCatalogService({ router: makeRouter() });
+    const items = [
+      { title: 'Saga', issueNumber: '1' },
+      { title: 'Saga #2' },
+      { title: 'Saga #9' },
+    ];
+
+    const results = await service.lookupFirstPass(items);
+
+    expect(results.map((entry) => entry.status)).toEqual(['resolved', 'resolved', 'unresolved']);
+    const payload = service.buildCollectablePayload(results[0], items[0], 'lwf-1');
+    expect(payload).toEqual(expect.objectContaining({
+      title: 'Saga #1',
+      series: 'Saga',
+      issueNumber: '1',
+      kind: 'comic',
+    }));
+    expect(payload.fingerprint).not.toBe(
+      service.buildCollectablePayload(results[1], items[1], 'lwf-2').fingerprint,
+    );
+  });
+
+  it('propagates provider outages from the first pass', async () => {
+    const router = {
+      lookup: jest.fn().mockRejectedValue(
+        Object.assign(new Error('down'), { code: 'CATALOG_PROVIDERS_UNAVAILABLE' }),
+      ),
+    };
+    const service = new ComicCatalogService({ router });
+
+    await expect(service.lookupFirstPass([{ title: 'Saga #1' }])).rejects.toMatchObject({
+      code: 'CATALOG_PROVIDERS_UNAVAILABLE',
+    });
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../database/queries/consumption', () => ({
+  SESSION_STATUSES: ['in_progress', 'completed', 'abandoned'],
+  PROGRESS_UNITS: ['pages', 'chapters', 'episodes', 'minutes', 'hours', 'percent'],
+  VISIBILITY_LEVELS: ['public', 'friends'],
+  listForUser: jest.fn(),
+  getById: jest.fn(),
+  createSession: jest.fn(),
+  updateSession: jest.fn(),
+  deleteSession: jest.fn(),
+  getYearStats: jest.fn(),
+}));
+jest.mock('../database/queries/collectables', () => ({
+  findById: jest.fn(),
+}));
+
+const consumptionQueries = require('../database/queries/consumption');
+const collectablesQueries = require('../database/queries/collectables');
+const consumptionController = require('../controllers/consumptionController');
+
+function createReq(overrides = {}) {
+  return {
+    params: {},
+    body: {},
+    query: {},
+    user: { id: 'user-1' },
+    ...overrides,
+  };
+}
+
+function createRes() {
+  const res = {
+    json: jest.fn(),
+    status: jest.fn(),
+  };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+function buildSession(overrides = {}) {
+  return {
+    id: 3,
+    userId: 'user-1',
+    collectableId: 42,
+    manualId: null,
+    status: 'in_progress',
+    playNumber: 1,
+    startedAt: '2026-04-01',
+    finishedAt: null,
+    progress: null,
+    visibility: 'public',
+    notes: null,
+    item: { title: 'Dune', coverMediaPath: null },
+    ...overrides,
+  };
+}
+
+describe('consumptionController.parseProgress', () => {
+  it('normalizes numbers and units', () => {
+    expect(consumptionController.parseProgress({ value: '120', total: 400, unit: 'Pages' }))
+      .toEqual({ value: 120, total: 400, unit: 'pages' });
+    expect(consumptionController.parseProgress(undefined)).toBeUndefined();
+    expect(consumptionController.parseProgress({})).toBeNull();
+  });
+
+  it('rejects invalid progress', () => {
+    expect(() => consumptionController.parseProgress({ value: -1 })).toThrow('non-negative');
+    expect(() => consumptionController.parseProgress({ value: 500, total: 400 })).toThrow('cannot exceed');
+    expect(() => consumptionController.parseProgress({ value: 1, unit: 'leagues' })).toThrow('progress.unit');
+    expect(() => consumptionController.parseProgress('half')).toThrow('object');
+  });
+});
+
+describe('consumptionController.createSession', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    collectablesQueries.findById.mockResolvedValue({ id: 42 });
+    consumptionQueries.createSession.mockResolvedValue(buildSession({ status: 'completed', finishedAt: '2025-12-30' }));
+  });
+
+  it('logs a past read', async () => {
+    const res = createRes();
+
+    await consumptionController.createSession(createReq({
+      body: { collectableId: 42, startedAt: '2025-12-01', finishedAt: '2025-12-30', progress: { total: 412, unit: 'pages' } },
+    }), res);
+
+    expect(consumptionQueries.createSession).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      collectableId: 42,
+      manualId: null,
+      status: 'completed',
+      startedAt: '2025-12-01',
+      finishedAt: '2025-12-30',
+      progress: { value: null, total: 412, unit: 'pages' },
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('validates dates against the status', async () => {
+    const missingFinish = createRes();
+    await consumptionController.createSession(createReq({ body: { collectableId: 42 } }), missingFinish);
+    expect(missingFinish.status).toHaveBeenCalledWith(400);
+
+    const backwards = createRes();
+    await consumptionController.createSession(createReq({
+      body: { collectableId: 42, startedAt: '2026-02-01', finishedAt: '2026-01-01' },
+    }), backwards);
+    expect(backwards.status).toHaveBeenCalledWith(400);
+
+    expect(consumptionQueries.createSession).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when a session is already open', async () => {
+    consumptionQueries.createSession.mockResolvedValue(null);
+    const res = createRes();
+
+    await consumptionController.createSession(createReq({ body: { collectableId: 42, status: 'in_progress' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe('consumptionController list, stats and update', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('filters the log by year and status', async () => {
+    consumptionQueries.listForUser.mockResolvedValue([buildSession()]);
+    const res = createRes();
+
+    await consumptionController.listSessions(createReq({ query: { status: 'completed', year: '2026' } }), res);
+
+    expect(consumptionQueries.listForUser).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      status: 'completed',
+      year: 2026,
+    }));
+    expect(res.json).toHaveBeenCalledWith({ sessions: [expect.objectContaining({ id: 3 })] });
+  });
+
+  it('rejects malformed years', async () => {
+    const res = createRes();
+
+    await consumptionController.getStats(createReq({ query: { year: '26abc' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(consumptionQueries.getYearStats).not.toHaveBeenCalled();
+  });
+
+  it('stamps finishedAt when a session is marked completed', async () => {
+    consumptionQueries.getById.mockResolvedValue(buildSession());
+    consumptionQueries.updateSession.mockResolvedValue(buildSession({ status: 'completed' }));
+    const res = createRes();
+
+    await consumptionController.updateSession(createReq({ params: { sessionId: '3' }, body: { status: 'completed' } }), res);
+
+    expect(consumptionQueries.updateSession).toHaveBeenCalledWith(3, 'user-1', {
+      status: 'completed',
+      finishedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+    });
+  });
+
+  it('maps a second open play-through to 409', async () => {
+    consumptionQueries.getById.mockResolvedValue(buildSession({ status: 'completed', finishedAt: '2026-04-10' }));
+    consumptionQueries.updateSession.mockRejectedValue(Object.assign(new Error('duplicate'), { code: '23505' }));
+    const res = createRes();
+
+    await consumptionController.updateSession(createReq({
+      params: { sessionId: '3' },
+      body: { status: 'in_progress', finishedAt: null },
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
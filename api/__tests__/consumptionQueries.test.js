@@ -0,0 +1,146 @@
+jest.mock('../database/pg', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+const { query, transaction } = require('../database/pg');
+const consumptionQueries = require('../database/queries/consumption');
+
+function buildSessionRow(overrides = {}) {
+  return {
+    id: 3,
+    user_id: 'user-1',
+    collectable_id: 42,
+    manual_id: null,
+    status: 'in_progress',
+    play_number: 1,
+    started_at: '2026-04-01',
+    finished_at: null,
+    progress_value: 120,
+    progress_total: 400,
+    progress_unit: 'pages',
+    visibility: 'public',
+    notes: null,
+    last_checkin_event_id: 'event-1',
+    item_title: 'Dune',
+    item_kind: 'book',
+    ...overrides,
+  };
+}
+
+describe('consumption recordCheckIn', () => {
+  let client;
+
+  beforeEach(() => {
+    query.mockReset();
+    client = { query: jest.fn() };
+    transaction.mockImplementation((fn) => fn(client));
+    query.mockResolvedValue({ rows: [buildSessionRow()] });
+  });
+
+  it('advances the open session with progress', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    const session = await consumptionQueries.recordCheckIn({
+      userId: 'user-1',
+      collectableId: 42,
+      status: 'continuing',
+      progress: { value: 120, total: 400, unit: 'pages' },
+      eventId: 'event-1',
+    });
+
+    expect(client.query.mock.calls[0][0]).toContain("status = 'in_progress'");
+    expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    const [updateSql, updateValues] = client.query.mock.calls[1];
+    expect(updateSql).toContain('UPDATE consumption_sessions');
+    expect(updateSql).not.toContain("status = 'completed'");
+    expect(updateValues).toEqual([3, 'user-1', 'public', 'event-1', 120, 400, 'pages']);
+    expect(session.progress).toEqual({ value: 120, total: 400, unit: 'pages', percent: 30 });
+  });
+
+  it('opens a new play-through when starting an item read before', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ next: 2 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+    await consumptionQueries.recordCheckIn({
+      userId: 'user-1',
+      manualId: 7,
+      status: 'starting',
+      visibility: 'friends',
+    });
+
+    expect(client.query.mock.calls[0][0]).toContain('manual_id = $2');
+    const [insertSql, insertValues] = client.query.mock.calls[2];
+    expect(insertSql).toContain('INSERT INTO consumption_sessions');
+    expect(insertValues.slice(0, 5)).toEqual(['user-1', null, 7, 'in_progress', 2]);
+    expect(insertValues[6]).toBeNull();
+    expect(insertValues[7]).toBe('friends');
+    // Nothing else to apply, so no follow-up UPDATE
+    expect(client.query).toHaveBeenCalledTimes(3);
+    expect(query.mock.calls[0][1]).toEqual([9, 'user-1']);
+  });
+
+  it('finishes the open session on completed and fills progress', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    await consumptionQueries.recordCheckIn({ userId: 'user-1', collectableId: 42, status: 'completed' });
+
+    const updateSql = client.query.mock.calls[1][0];
+    expect(updateSql).toContain("status = 'completed'");
+    expect(updateSql).toContain('finished_at = COALESCE(finished_at');
+    expect(updateSql).toContain('progress_value = COALESCE(progress_total, progress_value)');
+  });
+
+  it('records a finished session when completing without an open one', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ next: 1 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    await consumptionQueries.recordCheckIn({ userId: 'user-1', collectableId: 42, status: 'completed' });
+
+    const insertValues = client.query.mock.calls[2][1];
+    expect(insertValues[3]).toBe('completed');
+    expect(insertValues[5]).toBeNull();
+    expect(insertValues[6]).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+});
+
+describe('consumption getYearStats', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  it('totals finished sessions by kind and hides friends-only sessions when asked', async () => {
+    query
+      .mockResolvedValueOnce({
+        rows: [
+          { kind: 'book', finished: 40, repeats: 3, pages: 12000, hours: 0 },
+          { kind: 'game', finished: 2, repeats: 0, pages: 0, hours: 85.5 },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [{ started: 45, in_progress: 3 }] });
+
+    const stats = await consumptionQueries.getYearStats('user-1', 2026, { includeFriendsOnly: false });
+
+    expect(stats).toEqual({
+      year: 2026,
+      finished: 42,
+      repeats: 3,
+      byKind: [{ kind: 'book', finished: 40 }, { kind: 'game', finished: 2 }],
+      started: 45,
+      inProgress: 3,
+      pagesRead: 12000,
+      hoursPlayed: 85.5,
+    });
+    expect(query.mock.calls[0][0]).toContain("cs.visibility = 'public'");
+    expect(query.mock.calls[0][1]).toEqual(['user-1', 2026]);
+  });
+});
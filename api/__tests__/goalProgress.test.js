@@ -0,0 +1,153 @@
+jest.mock('../database/queries/goals', () => ({
+  countProgress: jest.fn(),
+  listGoals: jest.fn(),
+  updateGoal: jest.fn(),
+  claimMilestone: jest.fn(),
+  listUserIdsWithOpenGoals: jest.fn(),
+}));
+jest.mock('../database/queries/feed', () => ({
+  logGoalMilestone: jest.fn(),
+}));
+
+const goalsQueries = require('../database/queries/goals');
+const feedQueries = require('../database/queries/feed');
+const goalProgress = require('../services/goalProgress');
+
+function buildGoal(overrides = {}) {
+  return {
+    id: 5,
+    userId: 'user-1',
+    year: 2026,
+    category: 'books',
+    metric: 'completed',
+    target: 20,
+    visibility: 'public',
+    lastMilestone: 0,
+    ...overrides,
+  };
+}
+
+describe('goalProgress helpers', () => {
+  it('normalizes categories to canonical shelf types', () => {
+    expect(goalProgress.normalizeGoalCategory('Book')).toBe('books');
+    expect(goalProgress.normalizeGoalCategory('records')).toBe('vinyl');
+    expect(goalProgress.normalizeGoalCategory('ALL')).toBe('all');
+    expect(goalProgress.normalizeGoalCategory('spaceships')).toBeNull();
+    expect(goalProgress.normalizeGoalCategory('')).toBeNull();
+  });
+
+  it('matches every alias of a category and nothing for "all"', () => {
+    expect(goalProgress.resolveCategoryKinds('books')).toEqual(expect.arrayContaining(['books', 'book']));
+    expect(goalProgress.resolveCategoryKinds('all')).toBeNull();
+  });
+
+  it('finds the highest milestone reached', () => {
+    expect(goalProgress.reachedMilestone(0, 20)).toBe(0);
+    expect(goalProgress.reachedMilestone(5, 20)).toBe(25);
+    expect(goalProgress.reachedMilestone(14, 20)).toBe(50);
+    expect(goalProgress.reachedMilestone(25, 20)).toBe(100);
+  });
+});
+
+describe('goalProgress.checkGoalMilestones', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    goalsQueries.claimMilestone.mockResolvedValue(true);
+    feedQueries.logGoalMilestone.mockResolvedValue({ id: 'event-1', eventType: 'goal.milestone' });
+  });
+
+  it('posts a feed event when a new milestone is crossed', async () => {
+    goalsQueries.listGoals.mockResolvedValue([buildGoal({ lastMilestone: 25, visibility: 'friends' })]);
+    goalsQueries.countProgress.mockResolvedValue(new Map([['user-1', 11]]));
+
+    const posted = await goalProgress.checkGoalMilestones('user-1', { year: 2026 });
+
+    expect(posted).toHaveLength(1);
+    expect(goalsQueries.countProgress).toHaveBeenCalledWith(['user-1'], {
+      year: 2026,
+      metric: 'completed',
+      kinds: expect.arrayContaining(['book']),
+    });
+    expect(goalsQueries.claimMilestone).toHaveBeenCalledWith(5, 50);
+    expect(feedQueries.logGoalMilestone).toHaveBeenCalledWith({
+      userId: 'user-1',
+      visibility: 'friends',
+      payload: expect.objectContaining({ goalId: 5, milestone: 50, count: 11, target: 20 }),
+    });
+  });
+
+  it('does not repeat a milestone that was already posted', async () => {
+    goalsQueries.listGoals.mockResolvedValue([buildGoal({ lastMilestone: 50 })]);
+    goalsQueries.countProgress.mockResolvedValue(new Map([['user-1', 12]]));
+
+    await expect(goalProgress.checkGoalMilestones('user-1', { year: 2026 })).resolves.toEqual([]);
+    expect(goalsQueries.claimMilestone).not.toHaveBeenCalled();
+    expect(feedQueries.logGoalMilestone).not.toHaveBeenCalled();
+  });
+
+  it('skips posting when another check claimed the milestone first', async () => {
+    goalsQueries.listGoals.mockResolvedValue([buildGoal()]);
+    goalsQueries.countProgress.mockResolvedValue(new Map([['user-1', 20]]));
+    goalsQueries.claimMilestone.mockResolvedValue(false);
+
+    await expect(goalProgress.checkGoalMilestones('user-1', { year: 2026 })).resolves.toEqual([]);
+    expect(goalsQueries.claimMilestone).toHaveBeenCalledWith(5, 100);
+    expect(feedQueries.logGoalMilestone).not.toHaveBeenCalled();
+  });
+
+  it('ignores goals that are already complete', async () => {
+    goalsQueries.listGoals.mockResolvedValue([buildGoal({ lastMilestone: 100 })]);
+
+    await goalProgress.checkGoalMilestones('user-1', { year: 2026 });
+    expect(goalsQueries.countProgress).not.toHaveBeenCalled();
+  });
+});
+
+describe('goalProgress.syncMilestoneBaseline', () => {
+  it('records the current milestone without posting to the feed', async () => {
+    goalsQueries.countProgress.mockResolvedValue(new Map([['user-1', 16]]));
+    goalsQueries.updateGoal.mockResolvedValue(buildGoal({ lastMilestone: 75 }));
+
+    const goal = await goalProgress.syncMilestoneBaseline(buildGoal());
+
+    expect(goalsQueries.updateGoal).toHaveBeenCalledWith(5, 'user-1', { lastMilestone: 75 });
+    expect(feedQueries.logGoalMilestone).not.toHaveBeenCalled();
+    expect(goal.progress).toEqual({ count: 16, percent: 80, completed: false });
+  });
+});
+
+describe('goalProgress.sweepGoalMilestones', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('keeps going when one user fails', async () => {
+    goalsQueries.listUserIdsWithOpenGoals.mockResolvedValue(['user-1', 'user-2']);
+    goalsQueries.listGoals
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce([buildGoal({ userId: 'user-2' })]);
+    goalsQueries.countProgress.mockResolvedValue(new Map([['user-2', 5]]));
+    goalsQueries.claimMilestone.mockResolvedValue(true);
+    feedQueries.logGoalMilestone.mockResolvedValue({ id: 'event-2' });
+
+    await expect(goalProgress.sweepGoalMilestones({ year: 2026 })).resolves.toEqual({ users: 2, posted: 1 });
+  });
+
+  it('pages through users after the last id of each full page', async () => {
+    goalsQueries.listUserIdsWithOpenGoals
+      .mockResolvedValueOnce(['user-1', 'user-2'])
+      .mockResolvedValueOnce(['user-3', 'user-4'])
+      .mockResolvedValueOnce(['user-5']);
+    goalsQueries.listGoals.mockResolvedValue([]);
+
+    await expect(goalProgress.sweepGoalMilestones({ year: 2026, pageSize: 2 }))
+      .resolves.toEqual({ users: 5, posted: 0 });
+
+    expect(goalsQueries.listUserIdsWithOpenGoals.mock.calls).toEqual([
+      [2026, { afterUserId: null, limit: 2 }],
+      [2026, { afterUserId: 'user-2', limit: 2 }],
+      [2026, { afterUserId: 'user-4', limit: 2 }],
+    ]);
+    expect(goalsQueries.listGoals).toHaveBeenCalledTimes(5);
+  });
+});
@@ -0,0 +1,235 @@
+jest.mock('../database/queries/goals', () => ({
+  GOAL_METRICS: ['completed', 'added'],
+  VISIBILITY_LEVELS: ['public', 'friends'],
+  upsertGoal: jest.fn(),
+  getGoal: jest.fn(),
+  updateGoal: jest.fn(),
+  createChallenge: jest.fn(),
+  getChallengeForUser: jest.fn(),
+  listParticipants: jest.fn(),
+  respondToChallenge: jest.fn(),
+}));
+jest.mock('../database/queries/friendships', () => ({
+  areFriends: jest.fn(),
+}));
+jest.mock('../database/queries/notifications', () => ({
+  create: jest.fn(),
+}));
+jest.mock('../services/goalProgress', () => {
+  const actual = jest.requireActual('../services/goalProgress');
+  return {
+    ...actual,
+    countForUsers: jest.fn(),
+    syncMilestoneBaseline: jest.fn(),
+  };
+});
+
+const goalsQueries = require('../database/queries/goals');
+const friendshipsQueries = require('../database/queries/friendships');
+const notificationsQueries = require('../database/queries/notifications');
+const goalProgress = require('../services/goalProgress');
+const goalsController = require('../controllers/goalsController');
+
+function createReq(overrides = {}) {
+  return {
+    params: {},
+    body: {},
+    query: {},
+    user: { id: 'user-1' },
+    ...overrides,
+  };
+}
+
+function createRes() {
+  const res = {
+    json: jest.fn(),
+    status: jest.fn(),
+  };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+function buildGoal(overrides = {}) {
+  return {
+    id: 5,
+    userId: 'user-1',
+    year: 2026,
+    category: 'books',
+    metric: 'completed',
+    target: 24,
+    visibility: 'public',
+    lastMilestone: 0,
+    ...overrides,
+  };
+}
+
+function buildChallenge(overrides = {}) {
+  return {
+    id: 9,
+    title: 'Reading race',
+    year: 2026,
+    category: 'books',
+    metric: 'completed',
+    target: 10,
+    creator: { id: 'user-1', username: 'me' },
+    joinedCount: 1,
+    myStatus: 'joined',
+    ...overrides,
+  };
+}
+
+describe('goalsController.upsertGoal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    goalsQueries.upsertGoal.mockImplementation(async (userId, goal) => buildGoal(goal));
+    goalProgress.syncMilestoneBaseline.mockImplementation(async (goal) => ({
+      ...goal,
+      progress: { count: 3, percent: 13, completed: false },
+    }));
+  });
+
+  it('normalizes the category and baselines milestones', async () => {
+    const res = createRes();
+
+    await goalsController.upsertGoal(createReq({ body: { category: 'book', target: 24, year: 2026 } }), res);
+
+    expect(goalsQueries.upsertGoal).toHaveBeenCalledWith('user-1', {
+      category: 'books',
+      metric: 'completed',
+      target: 24,
+      year: 2026,
+      visibility: 'public',
+    });
+    expect(goalProgress.syncMilestoneBaseline).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('rejects unknown categories and bad targets', async () => {
+    const badCategory = createRes();
+    await goalsController.upsertGoal(createReq({ body: { category: 'spaceships', target: 5 } }), badCategory);
+    expect(badCategory.status).toHaveBeenCalledWith(400);
+
+    const badTarget = createRes();
+    await goalsController.upsertGoal(createReq({ body: { category: 'books', target: 2.5 } }), badTarget);
+    expect(badTarget.status).toHaveBeenCalledWith(400);
+
+    const badMetric = createRes();
+    await goalsController.upsertGoal(createReq({ body: { category: 'books', target: 5, metric: 'rated' } }), badMetric);
+    expect(badMetric.status).toHaveBeenCalledWith(400);
+
+    expect(goalsQueries.upsertGoal).not.toHaveBeenCalled();
+  });
+});
+
+describe('goalsController.updateGoal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    goalsQueries.getGoal.mockResolvedValue(buildGoal());
+  });
+
+  it('re-baselines milestones when the target changes', async () => {
+    goalsQueries.updateGoal.mockResolvedValue(buildGoal({ target: 30 }));
+    goalProgress.syncMilestoneBaseline.mockResolvedValue(buildGoal({ target: 30 }));
+    const res = createRes();
+
+    await goalsController.updateGoal(createReq({ params: { goalId: '5' }, body: { target: 30 } }), res);
+
+    expect(goalsQueries.updateGoal).toHaveBeenCalledWith(5, 'user-1', { target: 30 });
+    expect(goalProgress.syncMilestoneBaseline).toHaveBeenCalled();
+  });
+
+  it('keeps milestones when only visibility changes', async () => {
+    goalsQueries.updateGoal.mockResolvedValue(buildGoal({ visibility: 'friends' }));
+    goalProgress.countForUsers.mockResolvedValue(new Map([['user-1', 6]]));
+    const res = createRes();
+
+    await goalsController.updateGoal(createReq({ params: { goalId: '5' }, body: { visibility: 'friends' } }), res);
+
+    expect(goalProgress.syncMilestoneBaseline).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      goal: expect.objectContaining({ visibility: 'friends', progress: { count: 6, percent: 25, completed: false } }),
+    });
+  });
+
+  it('returns 404 for goals the user does not own', async () => {
+    goalsQueries.getGoal.mockResolvedValue(null);
+    const res = createRes();
+
+    await goalsController.updateGoal(createReq({ params: { goalId: '5' }, body: { target: 30 } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('goalsController challenges', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    friendshipsQueries.areFriends.mockResolvedValue(true);
+    notificationsQueries.create.mockResolvedValue({ id: 1 });
+    goalsQueries.createChallenge.mockResolvedValue(buildChallenge());
+  });
+
+  it('creates a challenge and notifies invited friends', async () => {
+    const res = createRes();
+
+    await goalsController.createChallenge(createReq({
+      body: { title: ' Reading race ', category: 'books', target: 10, year: 2026, friendIds: ['friend-1', 'friend-1', 'user-1'] },
+    }), res);
+
+    expect(goalsQueries.createChallenge).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      title: 'Reading race',
+      category: 'books',
+      inviteeIds: ['friend-1'],
+    }));
+    expect(notificationsQueries.create).toHaveBeenCalledTimes(1);
+    expect(notificationsQueries.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'friend-1',
+      actorId: 'user-1',
+      type: 'goal_challenge',
+      entityType: 'goal_challenge',
+      entityId: 9,
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('only lets users challenge friends', async () => {
+    friendshipsQueries.areFriends.mockResolvedValue(false);
+    const res = createRes();
+
+    await goalsController.createChallenge(createReq({
+      body: { title: 'Race', category: 'books', target: 10, friendIds: ['stranger-1'] },
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(goalsQueries.createChallenge).not.toHaveBeenCalled();
+  });
+
+  it('ranks joined participants by progress', async () => {
+    goalsQueries.getChallengeForUser.mockResolvedValue(buildChallenge());
+    goalsQueries.listParticipants.mockResolvedValue([
+      { userId: 'user-1', status: 'joined', username: 'me', profileMediaPath: null },
+      { userId: 'friend-1', status: 'joined', username: 'pal', profileMediaPath: null },
+      { userId: 'friend-2', status: 'invited', username: 'slow', profileMediaPath: null },
+    ]);
+    goalProgress.countForUsers.mockResolvedValue(new Map([['user-1', 3], ['friend-1', 7]]));
+    const res = createRes();
+
+    await goalsController.getChallenge(createReq({ params: { challengeId: '9' } }), res);
+
+    expect(goalProgress.countForUsers).toHaveBeenCalledWith(['user-1', 'friend-1'], expect.objectContaining({ id: 9 }));
+    const body = res.json.mock.calls[0][0];
+    expect(body.leaderboard.map((entry) => entry.userId)).toEqual(['friend-1', 'user-1']);
+    expect(body.leaderboard[0].progress).toEqual({ count: 7, percent: 70, completed: false });
+    expect(body.invited.map((entry) => entry.userId)).toEqual(['friend-2']);
+  });
+
+  it('returns 409 when an invitation was already answered', async () => {
+    goalsQueries.getChallengeForUser.mockResolvedValue(buildChallenge({ myStatus: 'joined' }));
+    goalsQueries.respondToChallenge.mockResolvedValue(null);
+    const res = createRes();
+
+    await goalsController.respondToChallenge(createReq({ params: { challengeId: '9' }, body: { accept: true } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -44,6 +44,7 @@ describe('GoogleGeminiService', () => {
             expect(timedOutService.tokenAccumulator.calls).toEqual([
                 {
                     label: 'schema_enrichment',
+                    model: timedOutService.textModelName,
                     promptTokens: 0,
                     candidatesTokens: 0,
                     totalTokens: 0,
@@ -0,0 +1,46 @@
+const { query } = require('../database/pg');
+const itemLoansQueries = require('../database/queries/itemLoans');
+
+function buildRow(overrides = {}) {
+  return {
+    id: 9,
+    collection_item_id: 31,
+    owner_id: 'owner-1',
+    borrower_user_id: 'friend-1',
+    borrower_name: 'Sam',
+    lent_at: '2026-04-01',
+    due_at: '2026-04-20',
+    returned_at: null,
+    is_overdue: false,
+    shelf_id: 5,
+    shelf_name: 'Private Stash',
+    collectable_id: 40,
+    item_title: 'Dune',
+    owner_username: 'owner',
+    ...overrides,
+  };
+}
+
+describe('itemLoansQueries shelf visibility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('listBorrowedByUser hides the owner shelf from the borrower', async () => {
+    query.mockResolvedValueOnce({ rows: [buildRow()] });
+
+    const [loan] = await itemLoansQueries.listBorrowedByUser('friend-1');
+
+    expect(query).toHaveBeenCalledWith(expect.stringContaining('il.borrower_user_id = $1'), ['friend-1']);
+    expect(loan).toMatchObject({ id: 9, itemId: 31, shelfId: null, shelfName: null });
+    expect(loan.item.title).toBe('Dune');
+  });
+
+  test('listForOwner keeps the shelf for the owner', async () => {
+    query.mockResolvedValueOnce({ rows: [buildRow()] });
+
+    const [loan] = await itemLoansQueries.listForOwner('owner-1');
+
+    expect(loan).toMatchObject({ shelfId: 5, shelfName: 'Private Stash' });
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../database/queries/itemLoans', () => ({
+  claimOverdueForReminder: jest.fn(),
+}));
+jest.mock('../database/queries/notifications', () => ({
+  create: jest.fn(),
+}));
+
+const itemLoansQueries = require('../database/queries/itemLoans');
+const notificationsQueries = require('../database/queries/notifications');
+const { sendOverdueLoanReminders } = require('../services/loanReminders');
+
+function buildLoan(overrides = {}) {
+  return {
+    id: 7,
+    itemId: 55,
+    shelfId: 10,
+    item: { title: 'Dune' },
+    owner: { id: 'owner-1', username: 'owner', firstName: 'Alex' },
+    borrower: { userId: 'friend-1', name: 'Sam' },
+    dueAt: '2026-04-10',
+    ...overrides,
+  };
+}
+
+describe('sendOverdueLoanReminders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notificationsQueries.create.mockResolvedValue({ id: 1 });
+  });
+
+  it('notifies the owner and a borrower who has an account', async () => {
+    itemLoansQueries.claimOverdueForReminder.mockResolvedValue([buildLoan()]);
+
+    await expect(sendOverdueLoanReminders()).resolves.toEqual({ claimed: 1, notified: 2 });
+
+    expect(notificationsQueries.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'owner-1',
+      actorId: 'friend-1',
+      type: 'loan_overdue',
+      entityType: 'loan',
+      entityId: 7,
+      metadata: expect.objectContaining({
+        role: 'owner',
+        shelfId: 10,
+        summaryMessage: 'Dune was due back from Sam on 2026-04-10.',
+      }),
+    }));
+    expect(notificationsQueries.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'friend-1',
+      actorId: 'owner-1',
+      metadata: expect.objectContaining({
+        role: 'borrower',
+        shelfId: null,
+        summaryMessage: 'Dune was due back to Alex on 2026-04-10.',
+      }),
+    }));
+  });
+
+  it('only notifies the owner for free-text borrowers', async () => {
+    itemLoansQueries.claimOverdueForReminder.mockResolvedValue([
+      buildLoan({ borrower: { userId: null, name: 'Grandma' } }),
+    ]);
+
+    await expect(sendOverdueLoanReminders({ limit: 10 })).resolves.toEqual({ claimed: 1, notified: 1 });
+
+    expect(itemLoansQueries.claimOverdueForReminder).toHaveBeenCalledWith({ limit: 10 });
+    expect(notificationsQueries.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps going when one reminder fails', async () => {
+    itemLoansQueries.claimOverdueForReminder.mockResolvedValue([
+      buildLoan({ borrower: { userId: null, name: 'A' } }),
+      buildLoan({ id: 8, borrower: { userId: null, name: 'B' } }),
+    ]);
+    notificationsQueries.create
+      .mockRejectedValueOnce(new Error('db down'))
+      .mockResolvedValueOnce({ id: 2 });
+
+    await expect(sendOverdueLoanReminders()).resolves.toEqual({ claimed: 2, notified: 1 });
+  });
+});
@@ -0,0 +1,199 @@
+jest.mock('../database/queries/itemLoans', () => ({
+  LOAN_STATUSES: ['active', 'overdue', 'returned', 'all'],
+  listForOwner: jest.fn(),
+  listBorrowedByUser: jest.fn(),
+  getById: jest.fn(),
+  getOwnedCollectionItem: jest.fn(),
+  createLoan: jest.fn(),
+  updateLoan: jest.fn(),
+  markReturned: jest.fn(),
+}));
+jest.mock('../database/queries/friendships', () => ({
+  areFriends: jest.fn(),
+}));
+jest.mock('../database/queries/users', () => ({
+  findById: jest.fn(),
+}));
+
+const itemLoansQueries = require('../database/queries/itemLoans');
+const friendshipsQueries = require('../database/queries/friendships');
+const usersQueries = require('../database/queries/users');
+const loansController = require('../controllers/loansController');
+
+function createReq(overrides = {}) {
+  return {
+    params: {},
+    body: {},
+    query: {},
+    user: { id: 'owner-1' },
+    ...overrides,
+  };
+}
+
+function createRes() {
+  const res = {
+    json: jest.fn(),
+    status: jest.fn(),
+  };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+function buildLoan(overrides = {}) {
+  return {
+    id: 7,
+    itemId: 55,
+    shelfId: 10,
+    item: { title: 'Dune', coverMediaPath: null },
+    owner: { id: 'owner-1', username: 'owner' },
+    borrower: { userId: 'friend-1', name: 'Sam Reader' },
+    lentAt: '2026-04-01',
+    dueAt: '2026-04-15',
+    returnedAt: null,
+    isOverdue: false,
+    ...overrides,
+  };
+}
+
+describe('loansController.createLoan', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    itemLoansQueries.getOwnedCollectionItem.mockResolvedValue({ id: 55, shelfId: 10, userId: 'owner-1' });
+    itemLoansQueries.createLoan.mockResolvedValue(buildLoan());
+  });
+
+  it('lends to a friend and snapshots their name', async () => {
+    friendshipsQueries.areFriends.mockResolvedValue(true);
+    usersQueries.findById.mockResolvedValue({ id: 'friend-1', first_name: 'Sam', last_name: 'Reader', username: 'sam' });
+    const res = createRes();
+
+    await loansController.createLoan(createReq({
+      body: { itemId: 55, borrowerUserId: 'friend-1', lentAt: '2026-04-01', dueAt: '2026-04-15' },
+    }), res);
+
+    expect(friendshipsQueries.areFriends).toHaveBeenCalledWith('owner-1', 'friend-1');
+    expect(itemLoansQueries.createLoan).toHaveBeenCalledWith(expect.objectContaining({
+      collectionItemId: 55,
+      ownerId: 'owner-1',
+      borrowerUserId: 'friend-1',
+      borrowerName: 'Sam Reader',
+      lentAt: '2026-04-01',
+      dueAt: '2026-04-15',
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('accepts a free-text borrower without a friendship check', async () => {
+    const res = createRes();
+
+    await loansController.createLoan(createReq({ body: { itemId: 55, borrowerName: '  Grandma  ' } }), res);
+
+    expect(friendshipsQueries.areFriends).not.toHaveBeenCalled();
+    expect(itemLoansQueries.createLoan).toHaveBeenCalledWith(expect.objectContaining({
+      borrowerUserId: null,
+      borrowerName: 'Grandma',
+    }));
+  });
+
+  it('rejects borrowers who are not friends', async () => {
+    friendshipsQueries.areFriends.mockResolvedValue(false);
+    const res = createRes();
+
+    await loansController.createLoan(createReq({ body: { itemId: 55, borrowerUserId: 'stranger' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(itemLoansQueries.createLoan).not.toHaveBeenCalled();
+  });
+
+  it('validates the borrower and dates', async () => {
+    const missingBorrower = createRes();
+    await loansController.createLoan(createReq({ body: { itemId: 55 } }), missingBorrower);
+    expect(missingBorrower.status).toHaveBeenCalledWith(400);
+
+    const badDate = createRes();
+    await loansController.createLoan(createReq({ body: { itemId: 55, borrowerName: 'Sam', dueAt: '2026-02-30' } }), badDate);
+    expect(badDate.status).toHaveBeenCalledWith(400);
+
+    const dueBeforeLent = createRes();
+    await loansController.createLoan(createReq({
+      body: { itemId: 55, borrowerName: 'Sam', lentAt: '2026-04-10', dueAt: '2026-04-01' },
+    }), dueBeforeLent);
+    expect(dueBeforeLent.status).toHaveBeenCalledWith(400);
+
+    expect(itemLoansQueries.createLoan).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for items the user does not own', async () => {
+    itemLoansQueries.getOwnedCollectionItem.mockResolvedValue(null);
+    const res = createRes();
+
+    await loansController.createLoan(createReq({ body: { itemId: 99, borrowerName: 'Sam' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 409 when the item is already lent out', async () => {
+    itemLoansQueries.createLoan.mockResolvedValue(null);
+    const res = createRes();
+
+    await loansController.createLoan(createReq({ body: { itemId: 55, borrowerName: 'Sam' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe('loansController list and return', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects unknown status filters', async () => {
+    const res = createRes();
+
+    await loansController.listLoans(createReq({ query: { status: 'lost' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(itemLoansQueries.listForOwner).not.toHaveBeenCalled();
+  });
+
+  it('lists the borrower view for the current user', async () => {
+    itemLoansQueries.listBorrowedByUser.mockResolvedValue([buildLoan()]);
+    const res = createRes();
+
+    await loansController.listBorrowed(createReq({ user: { id: 'friend-1' } }), res);
+
+    expect(itemLoansQueries.listBorrowedByUser).toHaveBeenCalledWith('friend-1');
+    expect(res.json).toHaveBeenCalledWith({ loans: [expect.objectContaining({ id: 7 })] });
+  });
+
+  it('marks an active loan returned', async () => {
+    itemLoansQueries.getById.mockResolvedValue(buildLoan());
+    itemLoansQueries.markReturned.mockResolvedValue(buildLoan({ returnedAt: '2026-04-12T10:00:00.000Z' }));
+    const res = createRes();
+
+    await loansController.returnLoan(createReq({ params: { loanId: '7' } }), res);
+
+    expect(itemLoansQueries.markReturned).toHaveBeenCalledWith(7, 'owner-1');
+    expect(res.json).toHaveBeenCalledWith({ loan: expect.objectContaining({ returnedAt: '2026-04-12T10:00:00.000Z' }) });
+  });
+
+  it('hides loans owned by someone else', async () => {
+    itemLoansQueries.getById.mockResolvedValue(buildLoan({ owner: { id: 'someone-else' } }));
+    const res = createRes();
+
+    await loansController.returnLoan(createReq({ params: { loanId: '7' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(itemLoansQueries.markReturned).not.toHaveBeenCalled();
+  });
+
+  it('refuses to edit returned loans', async () => {
+    itemLoansQueries.getById.mockResolvedValue(buildLoan({ returnedAt: '2026-04-12T10:00:00.000Z' }));
+    const res = createRes();
+
+    await loansController.updateLoan(createReq({ params: { loanId: '7' }, body: { dueAt: '2026-05-01' } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(itemLoansQueries.updateLoan).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,204 @@
+jest.mock('../services/googleGemini');
+jest.mock('../database/queries/collectables');
+jest.mock('../database/queries/matchCorrections', () => ({
+  recordCorrection: jest.fn().mockResolvedValue(null),
+  findForKeys: jest.fn().mockResolvedValue([]),
+  listMostCorrected: jest.fn().mockResolvedValue({ total: 0, items: [] }),
+}));
+jest.mock('../database/queries/admin', () => ({
+  logAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const collectablesQueries = require('../database/queries/collectables');
+const matchCorrectionsQueries = require('../database/queries/matchCorrections');
+const matchCorrections = require('../services/collectables/matchCorrections');
+const { VisionPipelineService } = require('../services/visionPipeline');
+const { getVisionSettingsForType } = require('../services/googleGemini');
+const adminController = require('../controllers/adminController');
+
+const USER_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+function correction(overrides = {}) {
+  return {
+    sourceCollectableId: 10,
+    targetCollectableId: 20,
+    corrections: 1,
+    users: 1,
+    ownCorrections: 0,
+    ...overrides,
+  };
+}
+
+describe('matchCorrections service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MATCH_CORRECTION_MIN_USERS;
+  });
+
+  test('buildMatchKeys stores title-only and creator keys', () => {
+    const stored = matchCorrections.buildMatchKeys({ title: 'Dune', creator: 'Frank Herbert', shelfType: 'books' });
+    const titleOnly = matchCorrections.buildMatchKeys({ title: 'Dune', shelfType: 'books' });
+
+    expect(titleOnly).toHaveLength(1);
+    expect(stored[0]).toBe(titleOnly[0]);
+    expect(stored.length).toBeGreaterThan(1);
+    expect(matchCorrections.buildMatchKeys({ title: '  ' })).toEqual([]);
+    expect(matchCorrections.buildMatchKeys({ title: 'Dune', shelfType: 'movies' })).not.toEqual(titleOnly);
+  });
+
+  test('buildLookupKeys only falls back to the title-only key without a creator', () => {
+    const titleOnly = matchCorrections.buildMatchKeys({ title: 'Dune', shelfType: 'books' });
+    const withCreator = matchCorrections.buildLookupKeys({ title: 'Dune', creator: 'Frank Herbert', shelfType: 'books' });
+
+    expect(matchCorrections.buildLookupKeys({ title: 'Dune', shelfType: 'books' })).toEqual(titleOnly);
+    expect(withCreator).not.toContain(titleOnly[0]);
+    expect(matchCorrections.buildMatchKeys({ title: 'Dune', creator: 'Frank Herbert', shelfType: 'books' }))
+      .toEqual(expect.arrayContaining(withCreator));
+  });
+
+  test('pickCorrection needs the user or enough users to agree', () => {
+    const others = correction({ users: 1 });
+    expect(matchCorrections.pickCorrection([others], 10)).toBeNull();
+    expect(matchCorrections.pickCorrection([correction({ users: 2, corrections: 2 })], 10))
+      .toEqual(expect.objectContaining({ targetCollectableId: 20 }));
+    expect(matchCorrections.pickCorrection([correction({ ownCorrections: 1 })], 10))
+      .toEqual(expect.objectContaining({ targetCollectableId: 20 }));
+
+    process.env.MATCH_CORRECTION_MIN_USERS = '1';
+    expect(matchCorrections.pickCorrection([others], 10)).toEqual(others);
+  });
+
+  test('pickCorrection only corrects the collectable users replaced', () => {
+    const rows = [
+      correction({ ownCorrections: 1 }),
+      correction({ sourceCollectableId: 11, targetCollectableId: 30, users: 5, corrections: 5 }),
+    ];
+
+    expect(matchCorrections.pickCorrection(rows, 99)).toBeNull();
+    expect(matchCorrections.pickCorrection(rows, 20)).toBeNull();
+    expect(matchCorrections.pickCorrection(rows, 11).targetCollectableId).toBe(30);
+    // Without a match, the user's own correction wins over a popular one.
+    expect(matchCorrections.pickCorrection(rows, null).targetCollectableId).toBe(20);
+  });
+
+  test('learnFromTrace records collectable replacements under the matched OCR text', async () => {
+    await matchCorrections.learnFromTrace({
+      id: 500,
+      userId: USER_ID,
+      status: 'completed',
+      sourceCollectableId: 10,
+      targetCollectableId: 20,
+      metadata: { matchTitle: 'Dune', matchCreator: 'Herbert' },
+    }, { shelfType: 'books' });
+
+    expect(matchCorrectionsQueries.recordCorrection).toHaveBeenCalledWith({
+      userId: USER_ID,
+      sourceCollectableId: 10,
+      targetCollectableId: 20,
+      matchKeys: matchCorrections.buildMatchKeys({ title: 'Dune', creator: 'Herbert', shelfType: 'books' }),
+      ocrTitle: 'Dune',
+      traceId: 500,
+    });
+  });
+
+  test('learnFromTrace skips manual targets, no-op replacements and storage errors', async () => {
+    const base = {
+      id: 500,
+      userId: USER_ID,
+      status: 'completed',
+      sourceCollectableId: 10,
+      metadata: { matchTitle: 'Dune' },
+    };
+
+    await expect(matchCorrections.learnFromTrace({ ...base, targetManualId: 4 })).resolves.toBeNull();
+    await expect(matchCorrections.learnFromTrace({ ...base, targetCollectableId: 10 })).resolves.toBeNull();
+    expect(matchCorrectionsQueries.recordCorrection).not.toHaveBeenCalled();
+
+    matchCorrectionsQueries.recordCorrection.mockRejectedValueOnce(new Error('db down'));
+    await expect(matchCorrections.learnFromTrace({ ...base, targetCollectableId: 20 })).resolves.toBeNull();
+  });
+});
+
+describe('VisionPipelineService match corrections', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getVisionSettingsForType.mockReturnValue({});
+    service = new VisionPipelineService();
+    collectablesQueries.findByFingerprint.mockResolvedValue(null);
+    collectablesQueries.findByLightweightFingerprint.mockResolvedValue(null);
+    collectablesQueries.findByFuzzyFingerprint.mockResolvedValue(null);
+    collectablesQueries.findById.mockImplementation(async (id) => ({ id, title: `Collectable ${id}` }));
+  });
+
+  test('matchCollectable swaps a corrected match for the replacement', async () => {
+    collectablesQueries.findByLightweightFingerprint.mockResolvedValue({ id: 10, title: 'Dune Messiah' });
+    matchCorrectionsQueries.findForKeys.mockResolvedValue([correction({ ownCorrections: 1 })]);
+
+    const result = await service.matchCollectable({ title: 'Dune', author: 'Herbert' }, 'books', { userId: USER_ID });
+
+    expect(result).toEqual({ id: 20, title: 'Collectable 20' });
+    expect(matchCorrectionsQueries.findForKeys).toHaveBeenCalledWith({
+      matchKeys: matchCorrections.buildLookupKeys({ title: 'Dune', creator: 'Herbert', shelfType: 'books' }),
+      userId: USER_ID,
+    });
+  });
+
+  test('matchCollectable keeps matches nobody trusted enough to correct', async () => {
+    collectablesQueries.findByLightweightFingerprint.mockResolvedValue({ id: 10, title: 'Dune Messiah' });
+    matchCorrectionsQueries.findForKeys.mockResolvedValue([correction()]);
+
+    const result = await service.matchCollectable({ title: 'Dune', author: 'Herbert' }, 'books', { userId: USER_ID });
+
+    expect(result).toEqual({ id: 10, title: 'Dune Messiah' });
+    expect(collectablesQueries.findById).not.toHaveBeenCalled();
+  });
+
+  test('fuzzy lookup demotes a corrected hit whose replacement is gone', async () => {
+    collectablesQueries.findByFuzzyFingerprint
+      .mockResolvedValueOnce({ id: 10, title: 'Dune Messiah' })
+      .mockResolvedValueOnce({ id: 12, title: 'Dune' });
+    collectablesQueries.findById.mockResolvedValue(null);
+    const rows = [correction({ users: 3, corrections: 3 })];
+
+    const result = await service.fuzzyFingerprintLookup({ title: 'Dune', author: 'Herbert' }, 'books', 'lwf', rows);
+
+    expect(result).toEqual({ id: 12, title: 'Dune' });
+  });
+
+  test('matchCollectable falls back to the correction when nothing matches', async () => {
+    matchCorrectionsQueries.findForKeys.mockResolvedValue([correction({ users: 2, corrections: 2 })]);
+
+    const result = await service.matchCollectable({ title: 'Dune', author: 'Herbert' }, 'books');
+
+    expect(result).toEqual({ id: 20, title: 'Collectable 20' });
+  });
+
+  test('matchCollectable ignores correction lookup failures', async () => {
+    matchCorrectionsQueries.findForKeys.mockRejectedValue(new Error('db down'));
+    collectablesQueries.findByLightweightFingerprint.mockResolvedValue({ id: 10, title: 'Dune Messiah' });
+
+    const result = await service.matchCollectable({ title: 'Dune', author: 'Herbert' }, 'books');
+
+    expect(result).toEqual({ id: 10, title: 'Dune Messiah' });
+  });
+});
+
+describe('adminController listMatchCorrections', () => {
+  test('returns the most corrected collectables with pagination', async () => {
+    matchCorrectionsQueries.listMostCorrected.mockResolvedValue({
+      total: 3,
+      items: [{ sourceCollectableId: 10, totalCorrections: 4, targetCollectableId: 20 }],
+    });
+    const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+    await adminController.listMatchCorrections({ query: { limit: '1', offset: '1', minUsers: '2' } }, res);
+
+    expect(matchCorrectionsQueries.listMostCorrected).toHaveBeenCalledWith({ limit: 1, offset: 1, minUsers: 2 });
+    expect(res.json).toHaveBeenCalledWith({
+      items: [{ sourceCollectableId: 10, totalCorrections: 4, targetCollectableId: 20 }],
+      pagination: { limit: 1, offset: 1, total: 3, hasMore: true },
+    });
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../database/queries/workflowQueueJobs', () => ({
+  updateProgress: jest.fn(),
+}));
+
+const workflowQueueJobs = require('../database/queries/workflowQueueJobs');
+const processingStatus = require('../services/processingStatus');
+
+function flushPromises() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('processingStatus durable progress', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    workflowQueueJobs.updateProgress.mockResolvedValue({ abortRequested: false });
+  });
+
+  it('writes running progress through to the queue row, throttled per job', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    try {
+      processingStatus.setJob('job-persist-1', { userId: 'u1', status: 'processing', step: 'initializing', progress: 1 });
+      processingStatus.updateJob('job-persist-1', { step: 'extracting', progress: 20, message: 'Reading shelf...' });
+      processingStatus.updateJob('job-persist-1', { step: 'matching', progress: 60, message: 'Matching...' });
+
+      expect(workflowQueueJobs.updateProgress).toHaveBeenCalledTimes(1);
+      await flushPromises();
+
+      jest.advanceTimersByTime(1000);
+      expect(workflowQueueJobs.updateProgress).toHaveBeenCalledTimes(2);
+      expect(workflowQueueJobs.updateProgress).toHaveBeenLastCalledWith({
+        jobId: 'job-persist-1',
+        step: 'matching',
+        progress: 60,
+        message: 'Matching...',
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('marks the local job aborted when another instance accepted an abort', async () => {
+    workflowQueueJobs.updateProgress.mockResolvedValue({ abortRequested: true });
+
+    processingStatus.setJob('job-persist-2', { userId: 'u1', status: 'processing', step: 'initializing', progress: 1 });
+    await flushPromises();
+
+    expect(processingStatus.isAborted('job-persist-2')).toBe(true);
+  });
+
+  it('maps a durable queue row to the status shape', () => {
+    expect(processingStatus.snapshotFromQueueJob({
+      jobId: 'job-1',
+      userId: 'u1',
+      shelfId: 3,
+      status: 'failed',
+      progress: 40,
+      error: { message: 'Vision provider unavailable' },
+    })).toEqual(expect.objectContaining({
+      status: 'failed',
+      step: 'failed',
+      progress: 40,
+      message: 'Vision provider unavailable',
+    }));
+    expect(processingStatus.snapshotFromQueueJob({ jobId: 'job-2', status: 'completed', progress: 80 }).progress).toBe(100);
+  });
+});
@@ -0,0 +1,43 @@
+const {
+  describeReviewExpiry,
+  rankReviewCandidates,
+  scoreReviewCandidate,
+} = require('../services/reviewInbox');
+
+describe('reviewInbox', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  it('reports when an item expires and whether it is inside the warning window', () => {
+    const now = Date.parse('2026-04-10T12:00:00.000Z');
+    const fresh = describeReviewExpiry({ createdAt: '2026-04-10T00:00:00.000Z' }, { now, expiryDays: 7, warningHours: 48 });
+    expect(fresh).toEqual({ expiresAt: '2026-04-17T00:00:00.000Z', expiringSoon: false });
+
+    const old = describeReviewExpiry({ createdAt: new Date(now - (6 * DAY_MS)).toISOString() }, { now, expiryDays: 7, warningHours: 48 });
+    expect(old.expiringSoon).toBe(true);
+
+    expect(describeReviewExpiry({}, { now })).toEqual({ expiresAt: null, expiringSoon: false });
+  });
+
+  it('scores title matches above creator-only matches', () => {
+    const rawData = { title: 'The Hobbit', author: 'J.R.R. Tolkien' };
+    expect(scoreReviewCandidate(rawData, { title: 'The Hobbit', primaryCreator: 'J.R.R. Tolkien' })).toBe(1);
+    expect(scoreReviewCandidate(rawData, { title: 'The Silmarillion', primaryCreator: 'J.R.R. Tolkien' }))
+      .toBeLessThan(scoreReviewCandidate(rawData, { title: 'The Hobbit', primaryCreator: 'Someone Else' }));
+  });
+
+  it('ranks candidates best first, prefers catalog rows on ties and applies the limit', () => {
+    const ranked = rankReviewCandidates(
+      { title: 'Dune' },
+      [
+        { title: 'Dune Messiah' },
+        { title: 'Dune', _metadataScore: 9 },
+        { id: 5, title: 'Dune', _metadataScore: 1 },
+        null,
+      ],
+      { limit: 2 },
+    );
+    expect(ranked).toHaveLength(2);
+    expect(ranked[0]).toEqual(expect.objectContaining({ id: 5, rankScore: 1 }));
+    expect(ranked[1]).toEqual(expect.objectContaining({ title: 'Dune', _metadataScore: 9 }));
+  });
+});
@@ -8,6 +8,7 @@ const { VisionPipelineService } = require('../services/visionPipeline');
 const shelvesQueries = require('../database/queries/shelves');
 const visionResultCacheQueries = require('../database/queries/visionResultCache');
 const visionScanPhotosQueries = require('../database/queries/visionScanPhotos');
+const visionScanSessionsQueries = require('../database/queries/visionScanSessions');
 const visionItemRegionsQueries = require('../database/queries/visionItemRegions');
 const visionItemCropsQueries = require('../database/queries/visionItemCrops');
 const workflowQueueJobsQueries = require('../database/queries/workflowQueueJobs');
@@ -17,13 +18,21 @@ const manualMediaQueries = require('../database/queries/manualMedia');
 const needsReviewQueries = require('../database/queries/needsReview');
 const collectablesQueries = require('../database/queries/collectables');
 const marketValueEstimates = require('../database/queries/marketValueEstimates');
+const editionsQueries = require('../database/queries/editions');
 const feedQueries = require('../database/queries/feed');
 const ratingsQueries = require('../database/queries/ratings');
 const itemReplacementTracesQueries = require('../database/queries/itemReplacementTraces');
+const matchCorrections = require('../services/collectables/matchCorrections');
+const shelfLayoutQueries = require('../database/queries/shelfLayout');
+const visionRescanDiffsQueries = require('../database/queries/visionRescanDiffs');
 const { query } = require('../database/pg');
 const { getWorkflowQueueService } = require('../services/workflowQueueService');
+const { getCatalogRouter } = require('../services/catalog/CatalogRouter');
+const { getCollectableMatchingService } = require('../services/collectableMatchingService');
 const { getWorkflowQueueSettings } = require('../services/workflow/workflowSettings');
 const processingStatus = require('../services/processingStatus');
+const visionQuotaQueries = require('../database/queries/visionQuota');
+const aiCostAccounting = require('../services/aiCostAccounting');
 
 jest.mock('../services/visionPipeline');
 jest.mock('../database/queries/shelves');
@@ -38,15 +47,30 @@ jest.mock('../database/queries/visionScanPhotos', () => ({
     loadImageBuffer: jest.fn(),
     deleteByHash: jest.fn().mockResolvedValue({ deleted: false, deletedRows: 0 }),
 }));
+jest.mock('../database/queries/visionScanSessions', () => ({
+    create: jest.fn(),
+    getByIdForUser: jest.fn().mockResolvedValue(null),
+    attachPhoto: jest.fn().mockResolvedValue(null),
+    listPhotos: jest.fn().mockResolvedValue([]),
+    countPhotos: jest.fn().mockResolvedValue(0),
+    markProcessing: jest.fn().mockResolvedValue(null),
+    reopen: jest.fn().mockResolvedValue(null),
+    markFinished: jest.fn().mockResolvedValue(null),
+}));
 jest.mock('../database/queries/visionItemRegions', () => ({
     countForScan: jest.fn().mockResolvedValue(0),
     listForScan: jest.fn().mockResolvedValue([]),
     getByIdForScan: jest.fn().mockResolvedValue(null),
     getByExtractionIndexForScan: jest.fn().mockResolvedValue(null),
+    getLatestForCollectionItem: jest.fn().mockResolvedValue(null),
     linkCollectable: jest.fn().mockResolvedValue(null),
     linkManual: jest.fn().mockResolvedValue(null),
     linkCollectionItem: jest.fn().mockResolvedValue(null),
     hasCollectionItemLinkForReference: jest.fn().mockResolvedValue(false),
+    listByIdsForScan: jest.fn().mockResolvedValue([]),
+    insertRegion: jest.fn().mockResolvedValue(null),
+    updateRegion: jest.fn().mockResolvedValue(null),
+    deleteRegions: jest.fn().mockResolvedValue([]),
 }));
 jest.mock('../database/queries/visionItemCrops', () => ({
     getByRegionIdForUser: jest.fn().mockResolvedValue(null),
@@ -110,6 +134,18 @@ jest.mock('../database/queries/itemReplacementTraces', () => ({
     markCompleted: jest.fn().mockResolvedValue(null),
     markFailed: jest.fn().mockResolvedValue(null),
 }));
+jest.mock('../database/queries/shelfLayout', () => ({
+    listForShelf: jest.fn().mockResolvedValue([]),
+    listScannedItems: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../database/queries/visionRescanDiffs', () => ({
+    create: jest.fn(),
+    getByIdForUser: jest.fn().mockResolvedValue(null),
+    resolve: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../services/collectables/matchCorrections', () => ({
+    learnFromTrace: jest.fn().mockResolvedValue(null),
+}));
 jest.mock('../database/queries/needsReview');
 jest.mock('../database/queries/collectables');
 jest.mock('../database/queries/marketValueEstimates', () => ({
@@ -117,6 +153,9 @@ jest.mock('../database/queries/marketValueEstimates', () => ({
     setEstimate: jest.fn().mockResolvedValue(null),
     deleteEstimate: jest.fn().mockResolvedValue(null),
 }));
+jest.mock('../database/queries/editions', () => ({
+    findByIdForCollectable: jest.fn().mockResolvedValue(null),
+}));
 jest.mock('../database/queries/ratings', () => ({
     getRating: jest.fn().mockResolvedValue({ rating: null }),
 }));
@@ -130,6 +169,7 @@ jest.mock('../services/processingStatus', () => ({
     isAborted: jest.fn(() => false),
     getJob: jest.fn(),
     abortJob: jest.fn(),
+    snapshotFromQueueJob: jest.requireActual('../services/processingStatus').snapshotFromQueueJob,
 }));
 jest.mock('../database/queries/visionQuota', () => ({
     getQuota: jest.fn().mockResolvedValue({
@@ -155,6 +195,11 @@ jest.mock('../database/queries/visionQuota', () => ({
     }),
     logTokenCalls: jest.fn().mockResolvedValue(undefined),
 }));
+jest.mock('../services/aiCostAccounting', () => ({
+    getBudgetStatus: jest.fn().mockResolvedValue({ blocked: false, disabled: [] }),
+    getPipelineBudgetOptions: jest.fn().mockResolvedValue({}),
+    recordAiSpend: jest.fn().mockResolvedValue(0),
+}));
 
 describe('shelvesController', () => {
     let req, res;
@@ -261,6 +306,7 @@ describe('shelvesController', () => {
         itemReplacementTracesQueries.getByIdForUser.mockReset();
         itemReplacementTracesQueries.markCompleted.mockReset();
         itemReplacementTracesQueries.markFailed.mockReset();
+        matchCorrections.learnFromTrace.mockClear();
         visionResultCacheQueries.getValid.mockReset();
         visionResultCacheQueries.set.mockReset();
         visionResultCacheQueries.deleteByHash.mockReset();
@@ -272,6 +318,7 @@ describe('shelvesController', () => {
         visionItemRegionsQueries.listForScan.mockReset();
         visionItemRegionsQueries.getByIdForScan.mockReset();
         visionItemRegionsQueries.getByExtractionIndexForScan.mockReset();
+        visionItemRegionsQueries.getLatestForCollectionItem.mockReset();
         visionItemRegionsQueries.linkCollectable.mockReset();
         visionItemRegionsQueries.linkManual.mockReset();
         visionItemRegionsQueries.linkCollectionItem.mockReset();
@@ -789,6 +836,54 @@ describe('shelvesController', () => {
             }));
         });
 
+        it('filters the owner view to lent-out items in listShelfItems', async () => {
+            req.params = { shelfId: '10' };
+            req.user = { id: '1' };
+            req.query = { lent: 'true' };
+            shelvesQueries.getForViewing.mockResolvedValue({ id: 10, ownerId: 1, visibility: 'private' });
+            shelvesQueries.getItems.mockResolvedValue([{
+                id: 55,
+                userId: '1',
+                shelfId: 10,
+                collectableId: 501,
+                collectableTitle: 'Lent Copy',
+                ownedPlatforms: [],
+                loanId: 9,
+                loanBorrowerUserId: null,
+                loanBorrowerName: 'Sam',
+                loanLentAt: '2026-04-01',
+                loanDueAt: '2026-04-10',
+                loanIsOverdue: true,
+            }]);
+            query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+            await shelvesController.listShelfItems(req, res);
+
+            expect(shelvesQueries.getItems).toHaveBeenCalledWith(10, '1', { limit: 25, offset: 0, loanFilter: 'lent' });
+            expect(query).toHaveBeenLastCalledWith(
+                expect.stringContaining('EXISTS (SELECT 1 FROM item_loans'),
+                [10, '1'],
+            );
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                items: [expect.objectContaining({
+                    id: 55,
+                    loan: expect.objectContaining({ id: 9, borrowerName: 'Sam', dueAt: '2026-04-10', isOverdue: true }),
+                })],
+            }));
+        });
+
+        it('rejects an invalid lent filter in listShelfItems', async () => {
+            req.params = { shelfId: '10' };
+            req.user = { id: '1' };
+            req.query = { lent: 'maybe' };
+            shelvesQueries.getForViewing.mockResolvedValue({ id: 10, ownerId: 1, visibility: 'private' });
+
+            await shelvesController.listShelfItems(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(shelvesQueries.getItems).not.toHaveBeenCalled();
+        });
+
         it('uploads a shelf photo for owners', async () => {
             req.params = { shelfId: '10' };
             req.file = { buffer: Buffer.from('photo'), mimetype: 'image/jpeg' };
@@ -954,6 +1049,301 @@ describe('shelvesController', () => {
         });
     });
 
+    describe('addShelfItemsByBarcode', () => {
+        beforeEach(() => {
+            req.params = { shelfId: '10' };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'books', visibility: 'public' });
+            shelvesQueries.findCollectionByReference.mockResolvedValue(null);
+            shelvesQueries.addCollectable.mockResolvedValue({ id: 601 });
+            collectablesQueries.findByIdentifiers.mockResolvedValue(null);
+            jest.spyOn(getCatalogRouter(), 'lookupByIdentifier').mockResolvedValue(null);
+        });
+
+        afterEach(() => {
+            getCatalogRouter().lookupByIdentifier.mockRestore();
+        });
+
+        it('adds collectables already known by identifier and stores the scanned barcode', async () => {
+            req.body = { codes: ['978-0-441-01359-3'] };
+            collectablesQueries.findByIdentifiers.mockResolvedValue({ id: 451, title: 'Dune', kind: 'books' });
+
+            await shelvesController.addShelfItemsByBarcode(req, res);
+
+            expect(collectablesQueries.findByIdentifiers).toHaveBeenCalledWith(expect.objectContaining({
+                isbn13: ['9780441013593'],
+                isbn10: ['0441013597'],
+            }));
+            expect(getCatalogRouter().lookupByIdentifier).not.toHaveBeenCalled();
+            expect(shelvesQueries.addCollectable).toHaveBeenCalledWith(expect.objectContaining({
+                shelfId: 10,
+                collectableId: 451,
+                barcode: '9780441013593',
+            }));
+            expect(feedQueries.logEvent).toHaveBeenCalledWith(expect.objectContaining({
+                eventType: 'item.collectable_added',
+                payload: expect.objectContaining({ collectableId: 451, source: 'barcode' }),
+            }));
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                addedCount: 1,
+                results: [expect.objectContaining({
+                    code: '9780441013593',
+                    status: 'added',
+                    matchSource: 'identifiers',
+                    itemId: 601,
+                })],
+            }));
+        });
+
+        it('resolves unknown codes through catalog adapters and records the identifiers', async () => {
+            req.body = { codes: ['075678317729'] };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'vinyl', visibility: 'public' });
+            getCatalogRouter().lookupByIdentifier.mockResolvedValue({
+                __collectable: true,
+                title: 'Kind of Blue',
+                primaryCreator: 'Miles Davis',
+                kind: 'album',
+                identifiers: { discogs: { release: ['123'] } },
+                lightweightFingerprint: 'from-empty-input',
+                _source: 'discogs',
+            });
+            collectablesQueries.upsert.mockResolvedValue({ id: 902, title: 'Kind of Blue', kind: 'album' });
+            collectablesQueries.addIdentifiers.mockResolvedValue({ id: 902, title: 'Kind of Blue', kind: 'album' });
+
+            await shelvesController.addShelfItemsByBarcode(req, res);
+
+            const payload = collectablesQueries.upsert.mock.calls[0][0];
+            expect(payload.identifiers).toEqual({
+                discogs: { release: ['123'] },
+                barcode: ['075678317729', '0075678317729'],
+            });
+            expect(payload.lightweightFingerprint).not.toBe('from-empty-input');
+            expect(collectablesQueries.addIdentifiers).toHaveBeenCalledWith(902, {
+                barcode: ['075678317729', '0075678317729'],
+            });
+            expect(shelvesQueries.addCollectable).toHaveBeenCalledWith(expect.objectContaining({
+                collectableId: 902,
+                barcode: '075678317729',
+            }));
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                results: [expect.objectContaining({ status: 'added', matchSource: 'catalog:discogs' })],
+            }));
+        });
+
+        it('reports items already on the shelf without logging a new add', async () => {
+            req.body = { code: '9780441013593' };
+            collectablesQueries.findByIdentifiers.mockResolvedValue({ id: 451, title: 'Dune', kind: 'books' });
+            shelvesQueries.findCollectionByReference.mockResolvedValue({ id: 601, collectableId: 451 });
+
+            await shelvesController.addShelfItemsByBarcode(req, res);
+
+            expect(shelvesQueries.addCollectable).toHaveBeenCalledWith(expect.objectContaining({ barcode: '9780441013593' }));
+            expect(feedQueries.logEvent).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ existingCount: 1, addedCount: 0 }));
+        });
+
+        it('queues unresolved codes for review and skips invalid ones', async () => {
+            req.body = { codes: ['5012345678900', '12345', '5012345678900'] };
+            needsReviewQueries.create.mockResolvedValue({ id: 77 });
+
+            await shelvesController.addShelfItemsByBarcode(req, res);
+
+            expect(needsReviewQueries.create).toHaveBeenCalledTimes(1);
+            expect(needsReviewQueries.create).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 1,
+                shelfId: 10,
+                rawData: expect.objectContaining({
+                    barcode: '5012345678900',
+                    identifiers: { barcode: ['5012345678900'] },
+                    reviewContext: expect.objectContaining({ reason: 'barcode_unresolved', shelfType: 'books' }),
+                }),
+            }));
+            expect(shelvesQueries.addCollectable).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                needsReviewCount: 1,
+                invalidCount: 1,
+                results: [
+                    expect.objectContaining({ code: '5012345678900', status: 'needs_review', reviewItemId: 77 }),
+                    expect.objectContaining({ code: '12345', status: 'invalid' }),
+                ],
+            }));
+        });
+
+        it('matches manuals by barcode on other shelves', async () => {
+            req.body = { codes: ['96385074'] };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'other', visibility: 'public' });
+            shelvesQueries.findManualByBarcode.mockResolvedValue({ id: 31, name: 'Tin Robot' });
+
+            await shelvesController.addShelfItemsByBarcode(req, res);
+
+            expect(collectablesQueries.findByIdentifiers).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                results: [expect.objectContaining({ status: 'existing', manual: { id: 31, name: 'Tin Robot' } })],
+            }));
+        });
+
+        it('requires at least one code', async () => {
+            req.body = { codes: [] };
+
+            await shelvesController.addShelfItemsByBarcode(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('collection imports', () => {
+        const goodreadsCsv = [
+            'Book Id,Title,Author,ISBN,ISBN13,Binding,Year Published,Original Publication Year,Private Notes',
+            '1,Dune,Frank Herbert,"=""0441013597""","=""9780441013593""",Paperback,2005,1965,',
+            '2,Obscure Zine,Jane Doe,,,,2001,,',
+        ].join('\n');
+
+        beforeEach(() => {
+            req.params = { shelfId: '10' };
+            req.body = {};
+            req.file = { buffer: Buffer.from(goodreadsCsv), originalname: 'goodreads_library_export.csv' };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'books', visibility: 'public' });
+            shelvesQueries.findCollectionByReference.mockResolvedValue(null);
+            shelvesQueries.addCollectable.mockResolvedValue({ id: 701 });
+            collectablesQueries.findByIdentifiers.mockResolvedValue(null);
+            jest.spyOn(getCatalogRouter(), 'lookupByIdentifier').mockResolvedValue(null);
+            jest.spyOn(getCollectableMatchingService(), 'findBestMatch').mockResolvedValue({ match: null, source: null });
+        });
+
+        afterEach(() => {
+            getCatalogRouter().lookupByIdentifier.mockRestore();
+            getCollectableMatchingService().findBestMatch.mockRestore();
+        });
+
+        it('queues a collection_import job with the parsed rows', async () => {
+            req.body = { unmatched: 'manual' };
+            workflowQueueJobsQueries.enqueueJob.mockResolvedValue({ jobId: 'test-job-id', notifyOnComplete: true });
+            workflowQueueJobsQueries.getQueuePosition.mockResolvedValue(1);
+
+            await shelvesController.importShelfItems(req, res);
+
+            expect(processingStatus.generateJobId).toHaveBeenCalledWith(1, 10, 'import');
+            expect(workflowQueueJobsQueries.enqueueJob).toHaveBeenCalledWith(expect.objectContaining({
+                workflowType: 'collection_import',
+                shelfId: 10,
+                notifyOnComplete: true,
+                dedupeKey: expect.stringMatching(/^collection_import:1:10:[0-9a-f]{64}$/),
+                payload: expect.objectContaining({
+                    format: 'goodreads',
+                    unmatched: 'manual',
+                    fileName: 'goodreads_library_export.csv',
+                    rows: [
+                        expect.objectContaining({ rowNumber: 1, title: 'Dune', barcode: '9780441013593', year: '1965' }),
+                        expect.objectContaining({ rowNumber: 2, title: 'Obscure Zine', barcode: null }),
+                    ],
+                }),
+            }));
+            expect(res.status).toHaveBeenCalledWith(202);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                jobId: 'test-job-id',
+                format: 'goodreads',
+                rowCount: 2,
+            }));
+        });
+
+        it('rejects exports that do not fit the shelf type', async () => {
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'movies', visibility: 'public' });
+
+            await shelvesController.importShelfItems(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'import_shelf_type_mismatch' }));
+            expect(workflowQueueJobsQueries.enqueueJob).not.toHaveBeenCalled();
+        });
+
+        it('requires a CSV file and a usable generic mapping', async () => {
+            req.file = undefined;
+            await shelvesController.importShelfItems(req, res);
+            expect(res.status).toHaveBeenCalledWith(400);
+
+            req.file = { buffer: Buffer.from('Label,Count\nA,1') };
+            await shelvesController.importShelfItems(req, res);
+            expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ code: 'import_mapping_invalid' }));
+            expect(workflowQueueJobsQueries.enqueueJob).not.toHaveBeenCalled();
+        });
+
+        it('records matched, needs_review and failed outcomes per row', async () => {
+            collectablesQueries.findByIdentifiers.mockResolvedValueOnce({ id: 451, title: 'Dune', kind: 'books' });
+            needsReviewQueries.create.mockResolvedValue({ id: 88 });
+            const rows = [
+                { rowNumber: 1, title: 'Dune', primaryCreator: 'Frank Herbert', barcode: '9780441013593', identifiers: {} },
+                { rowNumber: 2, title: 'Obscure Zine', primaryCreator: 'Jane Doe', barcode: null, identifiers: {} },
+                { rowNumber: 3, title: null, barcode: null, identifiers: {} },
+            ];
+
+            const output = await shelvesController.runCollectionImportJob({
+                jobId: 'import-job',
+                userId: 1,
+                shelf: { id: 10, type: 'books' },
+                payload: { format: 'goodreads', unmatched: 'review', rows },
+            });
+
+            expect(shelvesQueries.addCollectable).toHaveBeenCalledWith(expect.objectContaining({
+                collectableId: 451,
+                barcode: '9780441013593',
+            }));
+            expect(needsReviewQueries.create).toHaveBeenCalledWith(expect.objectContaining({
+                shelfId: 10,
+                rawData: expect.objectContaining({
+                    title: 'Obscure Zine',
+                    source: 'import',
+                    reviewContext: expect.objectContaining({ reason: 'import_unmatched', rowNumber: 2 }),
+                }),
+            }));
+            expect(feedQueries.logEvent).not.toHaveBeenCalled();
+            expect(output.results.map((entry) => entry.status)).toEqual(['matched', 'needs_review', 'failed']);
+            expect(output).toEqual(expect.objectContaining({
+                matchedCount: 1,
+                needsReviewCount: 1,
+                failedCount: 1,
+                summaryMessage: 'Import complete: 1 of 3 items imported, 1 need review, 1 failed.',
+            }));
+            expect(processingStatus.completeJob).toHaveBeenCalledWith('import-job', output);
+        });
+
+        it('creates manual items for unmatched rows when asked', async () => {
+            shelvesQueries.addManual.mockResolvedValue({ collection: { id: 702 }, manual: { id: 33 } });
+
+            const output = await shelvesController.runCollectionImportJob({
+                jobId: 'import-job',
+                userId: 1,
+                shelf: { id: 10, type: 'books' },
+                payload: {
+                    format: 'generic',
+                    unmatched: 'manual',
+                    rows: [{ rowNumber: 1, title: 'Obscure Zine', primaryCreator: 'Jane Doe', notes: 'Signed', identifiers: {} }],
+                },
+            });
+
+            expect(shelvesQueries.addManual).toHaveBeenCalledWith(expect.objectContaining({
+                shelfId: 10,
+                name: 'Obscure Zine',
+                author: 'Jane Doe',
+                description: 'Signed',
+            }));
+            expect(output.results[0]).toEqual(expect.objectContaining({
+                status: 'created_manual',
+                itemId: 702,
+                manualId: 33,
+            }));
+        });
+
+        it('stops between batches when the job is aborted', async () => {
+            await expect(shelvesController.runCollectionImportJob({
+                jobId: 'import-job',
+                userId: 1,
+                shelf: { id: 10, type: 'books' },
+                payload: { format: 'generic', rows: [{ rowNumber: 1, title: 'Dune', identifiers: {} }] },
+                abortCheck: async () => true,
+            })).rejects.toMatchObject({ code: 'WORKFLOW_ABORTED' });
+            expect(shelvesQueries.addCollectable).not.toHaveBeenCalled();
+        });
+    });
+
     describe('games shelf defaults', () => {
         it('applies matching games defaults when adding a collectable', async () => {
             req.params = { shelfId: '10' };
@@ -1316,6 +1706,72 @@ describe('shelvesController', () => {
             }));
         });
 
+        it('attaches a catalog edition and mirrors its name into the edition label', async () => {
+            req.params = { shelfId: '10', itemId: '55' };
+            req.body = { editionId: 301 };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'books' });
+            editionsQueries.findByIdForCollectable.mockResolvedValueOnce({
+                id: 301,
+                collectableId: 900,
+                name: 'The Hobbit: 75th Anniversary Edition',
+            });
+            shelvesQueries.getItemById
+                .mockResolvedValueOnce({ id: 55, collectableId: 900, manualId: null, collectableKind: 'books' })
+                .mockResolvedValueOnce({
+                    id: 55,
+                    shelfId: 10,
+                    collectableId: 900,
+                    manualId: null,
+                    collectableKind: 'books',
+                    edition: 'The Hobbit: 75th Anniversary Edition',
+                    editionId: 301,
+                    ownedEditionName: 'The Hobbit: 75th Anniversary Edition',
+                    ownedEditionType: 'edition',
+                    ownedEditionFormat: 'Hardcover',
+                    ownedEditionReleaseYear: 2012,
+                });
+
+            await shelvesController.updateCollectionItemDetails(req, res);
+
+            expect(editionsQueries.findByIdForCollectable).toHaveBeenCalledWith(301, 900);
+            expect(shelvesQueries.updateCollectionItemDetails).toHaveBeenCalledWith(expect.objectContaining({
+                details: {
+                    edition_id: 301,
+                    edition: 'The Hobbit: 75th Anniversary Edition',
+                },
+            }));
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                item: expect.objectContaining({
+                    userDetails: expect.objectContaining({
+                        editionId: 301,
+                        ownedEdition: expect.objectContaining({
+                            id: 301,
+                            name: 'The Hobbit: 75th Anniversary Edition',
+                            format: 'Hardcover',
+                            releaseYear: 2012,
+                        }),
+                    }),
+                }),
+            }));
+        });
+
+        it('rejects editions that belong to a different collectable', async () => {
+            req.params = { shelfId: '10', itemId: '55' };
+            req.body = { editionId: 999 };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'books' });
+            shelvesQueries.getItemById.mockResolvedValueOnce({
+                id: 55,
+                collectableId: 900,
+                manualId: null,
+                collectableKind: 'books',
+            });
+
+            await shelvesController.updateCollectionItemDetails(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(shelvesQueries.updateCollectionItemDetails).not.toHaveBeenCalled();
+        });
+
         it('rejects manual items for the shared collectable details endpoint', async () => {
             req.params = { shelfId: '10', itemId: '55' };
             req.body = { edition: 'First Edition' };
@@ -1592,6 +2048,39 @@ describe('shelvesController', () => {
             }));
         });
 
+        it('records the OCR text the source item was matched from', async () => {
+            shelvesQueries.getItemById.mockResolvedValue({
+                id: 55,
+                collectableId: 101,
+                manualId: null,
+                isVisionLinked: true,
+                collectableTitle: 'Dune Messiah',
+                collectableCreator: 'Frank Herbert',
+                createdAt: new Date().toISOString(),
+            });
+            visionItemRegionsQueries.getLatestForCollectionItem.mockResolvedValue({
+                id: 9,
+                title: 'Dune',
+                primaryCreator: 'Herbert',
+            });
+            itemReplacementTracesQueries.createIntent.mockResolvedValue({ id: 124, status: 'initiated' });
+
+            await shelvesController.createReplacementIntent(req, res);
+
+            expect(visionItemRegionsQueries.getLatestForCollectionItem).toHaveBeenCalledWith({
+                userId: 1,
+                collectionItemId: 55,
+            });
+            expect(itemReplacementTracesQueries.createIntent).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    metadata: expect.objectContaining({
+                        matchTitle: 'Dune',
+                        matchCreator: 'Herbert',
+                    }),
+                }),
+            );
+        });
+
         it('rejects detail-trigger intents for non vision-linked items', async () => {
             shelvesQueries.getItemById.mockResolvedValue({
                 id: 55,
@@ -1684,6 +2173,10 @@ describe('shelvesController', () => {
                 expect.any(Object),
             );
             expect(feedQueries.logEvent).not.toHaveBeenCalled();
+            expect(matchCorrections.learnFromTrace).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 500, status: 'completed' }),
+                { shelfType: 'books' },
+            );
             expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
                 success: true,
                 replaced: true,
@@ -1794,9 +2287,10 @@ describe('shelvesController', () => {
         });
     });
 
-    describe('getVisionScanRegionCrop', () => {
+    describe('vision scan region edits', () => {
         beforeEach(() => {
             req.params = { shelfId: '10', scanPhotoId: '77', regionId: '8' };
+            req.body = {};
             visionScanPhotosQueries.getByIdForUser.mockResolvedValue({
                 id: 77,
                 shelfId: 10,
@@ -1804,49 +2298,332 @@ describe('shelvesController', () => {
                 height: 800,
                 contentType: 'image/jpeg',
             });
-            visionItemRegionsQueries.getByIdForScan.mockResolvedValue({
-                id: 8,
-                box2d: [100, 200, 700, 900],
-            });
         });
 
-        it('returns an existing crop when already generated', async () => {
-            const cropBuffer = Buffer.from('existing-crop');
-            visionItemCropsQueries.getByRegionIdForUser.mockResolvedValue({
-                id: 901,
-                regionId: 8,
-                contentType: 'image/jpeg',
-            });
-            visionItemCropsQueries.loadImageBuffer.mockResolvedValue({
-                buffer: cropBuffer,
-                contentType: 'image/jpeg',
-                contentLength: cropBuffer.length,
-            });
+        it('draws a new region with a normalized box', async () => {
+            req.body = { box2d: [100.4, 200, 700, 260.6], title: 'Dune' };
+            visionItemRegionsQueries.insertRegion.mockResolvedValue({ id: 9, extractionIndex: 4 });
 
-            await shelvesController.getVisionScanRegionCrop(req, res);
+            await shelvesController.createVisionScanRegion(req, res);
 
-            expect(visionScanPhotosQueries.loadImageBuffer).not.toHaveBeenCalled();
-            expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'image/jpeg');
-            expect(res.send).toHaveBeenCalledWith(cropBuffer);
+            expect(visionItemRegionsQueries.insertRegion).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 1,
+                shelfId: 10,
+                scanPhotoId: 77,
+                box2d: [100, 200, 700, 261],
+                title: 'Dune',
+                confidence: 1,
+            }));
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({ region: { id: 9, extractionIndex: 4 } });
         });
 
-        it('generates and stores a crop lazily when none exists', async () => {
-            visionItemCropsQueries.getByRegionIdForUser.mockResolvedValue(null);
-            const scanBuffer = await createJpegBuffer(1200, 800);
-            visionScanPhotosQueries.loadImageBuffer.mockResolvedValue({
-                buffer: scanBuffer,
-                contentType: 'image/jpeg',
-                contentLength: scanBuffer.length,
-            });
-            visionItemCropsQueries.upsertFromBuffer.mockResolvedValue({
-                id: 902,
-                regionId: 8,
-                contentType: 'image/jpeg',
-            });
+        it('rejects inverted or sliver boxes', async () => {
+            req.body = { box2d: [700, 200, 100, 900] };
+            await shelvesController.createVisionScanRegion(req, res);
+            expect(res.status).toHaveBeenCalledWith(400);
 
-            await shelvesController.getVisionScanRegionCrop(req, res);
+            req.body = { box2d: [100, 200, 102, 900] };
+            await shelvesController.createVisionScanRegion(req, res);
+            expect(visionItemRegionsQueries.insertRegion).not.toHaveBeenCalled();
+        });
 
-            expect(visionItemCropsQueries.upsertFromBuffer).toHaveBeenCalledWith(expect.objectContaining({
+        it('requires premium to edit scan regions', async () => {
+            req.user.isPremium = false;
+            req.body = { box2d: [100, 200, 700, 300] };
+
+            await shelvesController.createVisionScanRegion(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(visionItemRegionsQueries.insertRegion).not.toHaveBeenCalled();
+        });
+
+        it('clears stale OCR text when a region is redrawn', async () => {
+            req.body = { box2d: [100, 200, 700, 300] };
+            visionItemRegionsQueries.updateRegion.mockResolvedValue({ id: 8, box2d: [100, 200, 700, 300] });
+
+            await shelvesController.updateVisionScanRegion(req, res);
+
+            expect(visionItemRegionsQueries.updateRegion).toHaveBeenCalledWith({
+                userId: 1,
+                shelfId: 10,
+                scanPhotoId: 77,
+                regionId: 8,
+                box2d: [100, 200, 700, 300],
+                title: null,
+                primaryCreator: null,
+                confidence: null,
+            });
+            expect(res.json).toHaveBeenCalledWith({ region: { id: 8, box2d: [100, 200, 700, 300] } });
+        });
+
+        it('splits a region into equal strips and reports the detached item', async () => {
+            req.body = { parts: 2 };
+            visionItemRegionsQueries.getByIdForScan.mockResolvedValue({
+                id: 8,
+                box2d: [100, 200, 700, 300],
+                collectionItemId: 55,
+            });
+            visionItemRegionsQueries.insertRegion
+                .mockResolvedValueOnce({ id: 20 })
+                .mockResolvedValueOnce({ id: 21 });
+
+            await shelvesController.splitVisionScanRegion(req, res);
+
+            expect(visionItemRegionsQueries.deleteRegions).toHaveBeenCalledWith(
+                expect.objectContaining({ scanPhotoId: 77, regionIds: [8] }),
+                expect.anything(),
+            );
+            expect(visionItemRegionsQueries.insertRegion.mock.calls.map(([args]) => args.box2d)).toEqual([
+                [100, 200, 700, 250],
+                [100, 250, 700, 300],
+            ]);
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith({
+                regions: [{ id: 20 }, { id: 21 }],
+                removedRegionIds: [8],
+                detachedItemIds: [55],
+            });
+        });
+
+        it('rejects out-of-range split counts and regions without a box before splitting', async () => {
+            visionItemRegionsQueries.getByIdForScan.mockResolvedValue({
+                id: 8,
+                box2d: [100, 200, 700, 300],
+                collectionItemId: null,
+            });
+            req.body = { parts: 1e9 };
+            await shelvesController.splitVisionScanRegion(req, res);
+            expect(res.status).toHaveBeenLastCalledWith(400);
+
+            req.body = { parts: 1 };
+            await shelvesController.splitVisionScanRegion(req, res);
+            expect(res.status).toHaveBeenLastCalledWith(400);
+
+            visionItemRegionsQueries.getByIdForScan.mockResolvedValue({ id: 8, box2d: null, collectionItemId: null });
+            req.body = { parts: 2 };
+            await shelvesController.splitVisionScanRegion(req, res);
+            expect(res.status).toHaveBeenLastCalledWith(400);
+            expect(res.status).not.toHaveBeenCalledWith(500);
+            expect(visionItemRegionsQueries.deleteRegions).not.toHaveBeenCalled();
+        });
+
+        it('merges regions into one box covering them all', async () => {
+            req.body = { regionIds: [8, 9] };
+            visionItemRegionsQueries.listByIdsForScan.mockResolvedValue([
+                { id: 8, box2d: [100, 200, 700, 300], collectionItemId: 55 },
+                { id: 9, box2d: [120, 300, 650, 380], collectionItemId: null },
+            ]);
+            visionItemRegionsQueries.insertRegion.mockResolvedValue({ id: 30 });
+
+            await shelvesController.mergeVisionScanRegions(req, res);
+
+            expect(visionItemRegionsQueries.insertRegion).toHaveBeenCalledWith(
+                expect.objectContaining({ box2d: [100, 200, 700, 380] }),
+                expect.anything(),
+            );
+            expect(res.json).toHaveBeenCalledWith({
+                region: { id: 30 },
+                removedRegionIds: [8, 9],
+                detachedItemIds: [55],
+            });
+        });
+
+        it('returns 404 when a merged region is not on the scan', async () => {
+            req.body = { regionIds: [8, 9] };
+            visionItemRegionsQueries.listByIdsForScan.mockResolvedValue([{ id: 8, box2d: [100, 200, 700, 300] }]);
+
+            await shelvesController.mergeVisionScanRegions(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(visionItemRegionsQueries.deleteRegions).not.toHaveBeenCalled();
+        });
+
+        it('re-identifies selected regions without touching the scan result cache', async () => {
+            req.body = { regionIds: [8, 9] };
+            req.jobId = 'wf_vision_abc';
+            const regions = [
+                { id: 8, extractionIndex: 0, title: 'Dune', box2d: [100, 200, 700, 300] },
+                { id: 9, extractionIndex: 5, title: null, box2d: [100, 300, 700, 400] },
+            ];
+            visionItemRegionsQueries.listByIdsForScan.mockResolvedValue(regions);
+            visionItemRegionsQueries.getByIdForScan.mockResolvedValue(regions[1]);
+            visionItemCropsQueries.getByRegionIdForUser.mockResolvedValue({ id: 901, regionId: 9 });
+            visionItemCropsQueries.loadImageBuffer.mockResolvedValue({
+                buffer: Buffer.from('crop'),
+                contentType: 'image/jpeg',
+                contentLength: 4,
+            });
+            mockPipelineInstance.reidentifyRegions = jest.fn().mockResolvedValue({
+                analysis: { items: [] },
+                results: { extracted: 2, added: 1, existing: 1, needsReview: 0 },
+                addedItems: [{ itemId: 3 }],
+                needsReview: [],
+                unreadableRegionIds: [],
+                tokenUsage: { totalTokens: 40, candidatesTokens: 10 },
+                tokenCalls: [{ totalTokens: 40 }],
+            });
+
+            await shelvesController.reidentifyVisionScanRegions(req, res);
+
+            const [pipelineRegions, shelf, userId, options] = mockPipelineInstance.reidentifyRegions.mock.calls[0];
+            expect(pipelineRegions[0]).toEqual(regions[0]);
+            expect(pipelineRegions[1].cropBase64).toBe(Buffer.from('crop').toString('base64'));
+            expect(shelf.id).toBe(10);
+            expect(userId).toBe(1);
+            expect(options).toEqual({
+                scanPhotoId: 77,
+                scanPhotoDimensions: { width: 1200, height: 800 },
+                jobId: 'wf_vision_abc',
+            });
+            expect(visionQuotaQueries.incrementTokenUsage).toHaveBeenCalledWith(1, 40, 10, { countScan: false });
+            expect(visionQuotaQueries.logTokenCalls).toHaveBeenCalledWith(1, 'wf_vision_abc', [{ totalTokens: 40 }], { shelfId: 10 });
+            expect(aiCostAccounting.recordAiSpend).toHaveBeenCalledWith({
+                userId: 1,
+                jobId: 'wf_vision_abc',
+                calls: [{ totalTokens: 40 }],
+            });
+            expect(visionResultCacheQueries.set).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                addedCount: 1,
+                existingCount: 1,
+                unreadableRegionIds: [],
+            }));
+        });
+
+        it('stops re-identification when the vision token quota is spent', async () => {
+            req.body = { regionIds: [8] };
+            visionItemRegionsQueries.listByIdsForScan.mockResolvedValue([{ id: 8, title: 'Dune' }]);
+            visionQuotaQueries.getQuota.mockResolvedValueOnce({
+                tokensUsed: 500000,
+                tokensRemaining: 0,
+                tokenLimit: 500000,
+                outputTokensUsed: 0,
+                outputTokenLimit: 100000,
+                daysRemaining: 3,
+            });
+            mockPipelineInstance.reidentifyRegions = jest.fn();
+
+            await shelvesController.reidentifyVisionScanRegions(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(mockPipelineInstance.reidentifyRegions).not.toHaveBeenCalled();
+        });
+
+        it('stops re-identification when the plan scan allowance is used up', async () => {
+            req.body = { regionIds: [8] };
+            visionItemRegionsQueries.listByIdsForScan.mockResolvedValue([{ id: 8, title: 'Dune' }]);
+            visionQuotaQueries.getQuota.mockResolvedValueOnce({
+                plan: 'premium',
+                unlimited: false,
+                scansUsed: 15,
+                scansRemaining: 0,
+                monthlyLimit: 15,
+                rolloverScans: 0,
+                tokensUsed: 1000,
+                tokensRemaining: 499000,
+                tokenLimit: 500000,
+                outputTokensUsed: 0,
+                outputTokenLimit: 100000,
+                daysRemaining: 3,
+            });
+            mockPipelineInstance.reidentifyRegions = jest.fn();
+
+            await shelvesController.reidentifyVisionScanRegions(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                error: 'Monthly vision scan allowance used up',
+                quota: expect.objectContaining({ plan: 'premium', scansRemaining: 0 }),
+            }));
+            expect(mockPipelineInstance.reidentifyRegions).not.toHaveBeenCalled();
+        });
+
+        it('pauses re-identification when the global AI budget is exhausted', async () => {
+            req.body = { regionIds: [8] };
+            visionItemRegionsQueries.listByIdsForScan.mockResolvedValue([{ id: 8, title: 'Dune' }]);
+            aiCostAccounting.getBudgetStatus.mockResolvedValueOnce({ blocked: true, disabled: ['enrichment', 'slicing'] });
+            mockPipelineInstance.reidentifyRegions = jest.fn();
+
+            await shelvesController.reidentifyVisionScanRegions(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(503);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ budgetExhausted: true }));
+            expect(mockPipelineInstance.reidentifyRegions).not.toHaveBeenCalled();
+        });
+
+        it('builds a degraded pipeline when spend is near the AI budget', async () => {
+            req.body = { regionIds: [8] };
+            visionItemRegionsQueries.listByIdsForScan.mockResolvedValue([{ id: 8, title: 'Dune' }]);
+            aiCostAccounting.getPipelineBudgetOptions.mockResolvedValueOnce({ enrichmentEnabled: false });
+            mockPipelineInstance.reidentifyRegions = jest.fn().mockResolvedValue({
+                analysis: { items: [] },
+                results: { extracted: 1, added: 0, existing: 1, needsReview: 0 },
+                addedItems: [],
+                needsReview: [],
+                unreadableRegionIds: [],
+            });
+
+            await shelvesController.reidentifyVisionScanRegions(req, res);
+
+            expect(VisionPipelineService).toHaveBeenCalledWith(expect.objectContaining({ enrichmentEnabled: false }));
+            expect(mockPipelineInstance.reidentifyRegions).toHaveBeenCalled();
+        });
+    });
+
+    describe('getVisionScanRegionCrop', () => {
+        beforeEach(() => {
+            req.params = { shelfId: '10', scanPhotoId: '77', regionId: '8' };
+            visionScanPhotosQueries.getByIdForUser.mockResolvedValue({
+                id: 77,
+                shelfId: 10,
+                width: 1200,
+                height: 800,
+                contentType: 'image/jpeg',
+            });
+            visionItemRegionsQueries.getByIdForScan.mockResolvedValue({
+                id: 8,
+                box2d: [100, 200, 700, 900],
+            });
+        });
+
+        it('returns an existing crop when already generated', async () => {
+            const cropBuffer = Buffer.from('existing-crop');
+            visionItemCropsQueries.getByRegionIdForUser.mockResolvedValue({
+                id: 901,
+                regionId: 8,
+                contentType: 'image/jpeg',
+            });
+            visionItemCropsQueries.loadImageBuffer.mockResolvedValue({
+                buffer: cropBuffer,
+                contentType: 'image/jpeg',
+                contentLength: cropBuffer.length,
+            });
+
+            await shelvesController.getVisionScanRegionCrop(req, res);
+
+            expect(visionScanPhotosQueries.loadImageBuffer).not.toHaveBeenCalled();
+            expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'image/jpeg');
+            expect(res.send).toHaveBeenCalledWith(cropBuffer);
+        });
+
+        it('generates and stores a crop lazily when none exists', async () => {
+            visionItemCropsQueries.getByRegionIdForUser.mockResolvedValue(null);
+            const scanBuffer = await createJpegBuffer(1200, 800);
+            visionScanPhotosQueries.loadImageBuffer.mockResolvedValue({
+                buffer: scanBuffer,
+                contentType: 'image/jpeg',
+                contentLength: scanBuffer.length,
+            });
+            visionItemCropsQueries.upsertFromBuffer.mockResolvedValue({
+                id: 902,
+                regionId: 8,
+                contentType: 'image/jpeg',
+            });
+
+            await shelvesController.getVisionScanRegionCrop(req, res);
+
+            expect(visionItemCropsQueries.upsertFromBuffer).toHaveBeenCalledWith(expect.objectContaining({
                 userId: 1,
                 shelfId: 10,
                 scanPhotoId: 77,
@@ -2149,6 +2926,111 @@ describe('shelvesController', () => {
         });
     });
 
+    describe('vision scan sessions', () => {
+        const openSession = { id: 5, userId: 1, shelfId: 10, status: 'open', jobId: null };
+
+        beforeEach(() => {
+            shelvesQueries.getById.mockResolvedValue({ id: 10, type: 'books' });
+            req.params = { shelfId: '10', sessionId: '5' };
+            req.body = { imageBase64: 'data:image/jpeg;base64,aabbcc' };
+            visionScanSessionsQueries.getByIdForUser.mockResolvedValue(openSession);
+        });
+
+        it('queues one vision_session workflow job that always notifies on completion', async () => {
+            visionScanSessionsQueries.countPhotos.mockResolvedValue(3);
+            visionScanSessionsQueries.markProcessing.mockResolvedValue({ ...openSession, status: 'processing', jobId: 'test-job-id' });
+            workflowQueueJobsQueries.enqueueJob.mockResolvedValue({ jobId: 'test-job-id', notifyOnComplete: true });
+            workflowQueueJobsQueries.getQueuePosition.mockResolvedValue(1);
+
+            await shelvesController.processVisionSession(req, res);
+
+            expect(visionScanSessionsQueries.markProcessing).toHaveBeenCalledWith({ id: 5, userId: 1, jobId: 'test-job-id' });
+            expect(workflowQueueJobsQueries.enqueueJob).toHaveBeenCalledWith(expect.objectContaining({
+                workflowType: 'vision_session',
+                payload: expect.objectContaining({ sessionId: 5, panAxis: 'horizontal' }),
+                dedupeKey: 'vision_session:5',
+                notifyOnComplete: true,
+            }));
+            expect(res.status).toHaveBeenCalledWith(202);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                jobId: 'test-job-id',
+                sessionId: 5,
+                photoCount: 3,
+            }));
+        });
+
+        it('rejects processing a session without photos', async () => {
+            visionScanSessionsQueries.countPhotos.mockResolvedValue(0);
+
+            await shelvesController.processVisionSession(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(workflowQueueJobsQueries.enqueueJob).not.toHaveBeenCalled();
+        });
+
+        it('reopens the session when the queue insert fails', async () => {
+            visionScanSessionsQueries.countPhotos.mockResolvedValue(2);
+            visionScanSessionsQueries.markProcessing.mockResolvedValue({ ...openSession, status: 'processing' });
+            workflowQueueJobsQueries.enqueueJob.mockRejectedValue(new Error('db down'));
+
+            await shelvesController.processVisionSession(req, res);
+
+            expect(visionScanSessionsQueries.reopen).toHaveBeenCalledWith({ id: 5, userId: 1, jobId: 'test-job-id' });
+            expect(res.status).toHaveBeenCalledWith(500);
+        });
+
+        it('stops accepting photos at the per-session limit', async () => {
+            visionScanSessionsQueries.countPhotos.mockResolvedValue(8);
+
+            await shelvesController.addVisionSessionPhoto(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'vision_session_photo_limit' }));
+            expect(visionScanPhotosQueries.upsertFromBuffer).not.toHaveBeenCalled();
+        });
+
+        it('attaches uploaded photos to an open session', async () => {
+            visionScanSessionsQueries.countPhotos.mockResolvedValue(1);
+            visionScanSessionsQueries.attachPhoto.mockResolvedValue({ id: 77, sessionPosition: 1 });
+            visionScanSessionsQueries.listPhotos.mockResolvedValue([
+                { id: 70, sessionPosition: 0 },
+                { id: 77, sessionPosition: 1 },
+            ]);
+
+            await shelvesController.addVisionSessionPhoto(req, res);
+
+            expect(visionScanSessionsQueries.attachPhoto).toHaveBeenCalledWith({ sessionId: 5, scanPhotoId: 77, userId: 1 });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                scanPhotoId: 77,
+                position: 1,
+                session: expect.objectContaining({ photoCount: 2 }),
+            }));
+        });
+
+        it('marks a processing session failed when its queue job was dead-lettered', async () => {
+            const processingSession = { ...openSession, status: 'processing', jobId: 'test-job-id' };
+            visionScanSessionsQueries.getByIdForUser.mockResolvedValue(processingSession);
+            workflowQueueJobsQueries.getByJobIdForUser.mockResolvedValue({
+                jobId: 'test-job-id',
+                status: 'dead',
+                error: { message: 'Exhausted retries', code: 'vision_failed' },
+            });
+            visionScanSessionsQueries.markFinished.mockResolvedValue({ ...processingSession, status: 'failed' });
+
+            await shelvesController.getVisionSession(req, res);
+
+            expect(visionScanSessionsQueries.markFinished).toHaveBeenCalledWith({
+                id: 5,
+                status: 'failed',
+                result: { error: 'Exhausted retries', code: 'vision_failed' },
+            });
+            expect(res.json).toHaveBeenCalledWith({
+                session: expect.objectContaining({ status: 'failed' }),
+            });
+        });
+    });
+
     describe('vision status + abort', () => {
         beforeEach(() => {
             req.params = { shelfId: '10', jobId: 'job-queued-1' };
@@ -2158,7 +3040,7 @@ describe('shelvesController', () => {
             processingStatus.getJob.mockReturnValue(null);
         });
 
-        it('returns queue metadata from DB fallback when in-memory status is missing', async () => {
+        it('returns queue metadata from the durable queue row', async () => {
             workflowQueueJobsQueries.getByJobIdForUser.mockResolvedValue({
                 jobId: 'job-queued-1',
                 userId: 1,
@@ -2181,7 +3063,66 @@ describe('shelvesController', () => {
                 notifyInAppOnComplete: false,
                 queuedMs: expect.any(Number),
             }));
-            expect(processingStatus.setJob).toHaveBeenCalled();
+        });
+
+        it('reports progress persisted by another instance without an in-memory entry', async () => {
+            workflowQueueJobsQueries.getByJobIdForUser.mockResolvedValue({
+                jobId: 'job-queued-1',
+                userId: 1,
+                shelfId: 10,
+                status: 'processing',
+                step: 'matching',
+                progress: 62,
+                progressMessage: 'Matching 12 items...',
+                createdAt: new Date().toISOString(),
+                result: null,
+            });
+
+            await shelvesController.getVisionStatus(req, res);
+
+            expect(processingStatus.getJob).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'processing',
+                step: 'matching',
+                progress: 62,
+                message: 'Matching 12 items...',
+            }));
+        });
+
+        it('streams a done event and closes once the job is terminal', async () => {
+            workflowQueueJobsQueries.getByJobIdForUser.mockResolvedValue({
+                jobId: 'job-queued-1',
+                userId: 1,
+                shelfId: 10,
+                status: 'failed',
+                progress: 40,
+                error: { message: 'Processing was interrupted by a server restart', code: 'WORKFLOW_ORPHANED' },
+                createdAt: new Date().toISOString(),
+                result: null,
+            });
+            req.on = jest.fn();
+            res.set = jest.fn();
+            res.flushHeaders = jest.fn();
+            res.write = jest.fn();
+            res.end = jest.fn();
+
+            await shelvesController.streamVisionStatus(req, res);
+
+            expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+            const written = res.write.mock.calls.map(([chunk]) => chunk).join('');
+            expect(written).toContain('event: done');
+            expect(written).toContain('"message":"Processing was interrupted by a server restart"');
+            expect(res.end).toHaveBeenCalled();
+        });
+
+        it('returns 404 instead of opening a stream for unknown jobs', async () => {
+            workflowQueueJobsQueries.getByJobIdForUser.mockResolvedValue(null);
+            res.flushHeaders = jest.fn();
+
+            await shelvesController.streamVisionStatus(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.flushHeaders).not.toHaveBeenCalled();
         });
 
         it('aborts queued DB-backed jobs', async () => {
@@ -2970,6 +3911,48 @@ describe('shelvesController', () => {
                 }),
             }));
         });
+
+        it('uses a collectable picked from the review suggestions without re-matching', async () => {
+            req.params = { shelfId: '10', id: '55' };
+            req.body = { collectableId: 801 };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'books', visibility: 'public' });
+            needsReviewQueries.getById.mockResolvedValue({
+                id: 55,
+                shelfId: 10,
+                rawData: { title: 'Duen', primaryCreator: 'Frank Herbert' },
+            });
+            collectablesQueries.findById.mockResolvedValue({ id: 801, title: 'Dune', primaryCreator: 'Frank Herbert', kind: 'books' });
+            shelvesQueries.addCollectable.mockResolvedValue({ id: 901, position: null, notes: null, rating: null });
+            shelvesQueries.getItemById.mockResolvedValue({
+                id: 901,
+                userId: 1,
+                shelfId: 10,
+                collectableId: 801,
+                collectableTitle: 'Dune',
+                collectableKind: 'books',
+            });
+
+            await shelvesController.completeReviewItem(req, res);
+
+            expect(collectablesQueries.findById).toHaveBeenCalledWith(801);
+            expect(collectablesQueries.findByLightweightFingerprint).not.toHaveBeenCalled();
+            expect(shelvesQueries.addCollectable).toHaveBeenCalledWith(expect.objectContaining({ collectableId: 801 }));
+            expect(needsReviewQueries.markCompleted).toHaveBeenCalledWith(55, 1);
+        });
+
+        it('returns 404 when the picked collectable does not exist', async () => {
+            req.params = { shelfId: '10', id: '55' };
+            req.body = { collectableId: 999 };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'books', visibility: 'public' });
+            needsReviewQueries.getById.mockResolvedValue({ id: 55, shelfId: 10, rawData: { title: 'Dune' } });
+            collectablesQueries.findById.mockResolvedValue(null);
+
+            await shelvesController.completeReviewItem(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(shelvesQueries.addCollectable).not.toHaveBeenCalled();
+            expect(needsReviewQueries.markCompleted).not.toHaveBeenCalled();
+        });
     });
 
     describe('getManualItem', () => {
@@ -3058,4 +4041,224 @@ describe('shelvesController', () => {
             }));
         });
     });
+
+    describe('shelf layout', () => {
+        const scannedAt = new Date('2026-04-12T10:00:00Z');
+        const olderScanAt = new Date('2026-04-01T10:00:00Z');
+
+        function layoutRow(id, title, overrides = {}) {
+            return {
+                id,
+                collectableId: id + 100,
+                manualId: null,
+                title,
+                primaryCreator: null,
+                position: null,
+                shelfRow: null,
+                shelfRowPosition: null,
+                layoutRegionId: null,
+                layoutUpdatedAt: null,
+                scanPhotoId: null,
+                box2d: null,
+                ...overrides,
+            };
+        }
+
+        beforeEach(() => {
+            req.params = { shelfId: '10' };
+            req.query = {};
+            visionScanPhotosQueries.getByIdForUser.mockResolvedValue({
+                id: 77,
+                shelfId: 10,
+                width: 1200,
+                height: 800,
+                createdAt: scannedAt,
+            });
+            shelfLayoutQueries.listForShelf.mockResolvedValue([
+                layoutRow(2, 'Hyperion', {
+                    position: 1, shelfRow: 1, shelfRowPosition: 1, layoutRegionId: 8, layoutUpdatedAt: scannedAt, scanPhotoId: 77, box2d: [50, 100, 450, 150],
+                }),
+                layoutRow(3, 'Dune', {
+                    primaryCreator: 'Frank Herbert', position: 2, shelfRow: 2, shelfRowPosition: 1, layoutRegionId: 9, layoutUpdatedAt: scannedAt, scanPhotoId: 77, box2d: [500, 100, 950, 150],
+                }),
+                layoutRow(1, 'Dune Messiah', {
+                    position: 3, shelfRow: 1, shelfRowPosition: 4, layoutRegionId: 4, layoutUpdatedAt: olderScanAt, scanPhotoId: 66, box2d: [50, 100, 450, 150],
+                }),
+                layoutRow(4, 'Children of Dune'),
+            ]);
+        });
+
+        it('returns rows from the latest scan and lists everything else as unplaced', async () => {
+            await shelvesController.getShelfLayout(req, res);
+
+            const payload = res.json.mock.calls[0][0];
+            expect(payload.updatedAt).toBe(scannedAt.toISOString());
+            expect(payload.rows.map((row) => [row.row, row.items.map((item) => item.id)])).toEqual([[1, [2]], [2, [3]]]);
+            expect(payload.rows[0].items[0].region).toEqual({
+                id: 8,
+                scanPhotoId: 77,
+                box2d: [50, 100, 450, 150],
+                cropUrl: '/api/shelves/10/vision/scans/77/regions/8/crop',
+            });
+            expect(payload.unplaced.map((item) => item.id)).toEqual([1, 4]);
+            expect(payload.scans).toEqual([expect.objectContaining({
+                id: 77,
+                width: 1200,
+                imageUrl: '/api/shelves/10/vision/scans/77/image',
+            })]);
+        });
+
+        it('locates items by title, exact matches first', async () => {
+            req.query = { q: 'dune' };
+
+            await shelvesController.locateShelfItem(req, res);
+
+            const payload = res.json.mock.calls[0][0];
+            expect(payload.query).toBe('dune');
+            expect(payload.matches.map((match) => match.id)).toEqual([3, 1, 4]);
+            expect(payload.matches[0]).toEqual(expect.objectContaining({
+                row: 2,
+                rowPosition: 1,
+                position: 2,
+                scan: expect.objectContaining({ id: 77 }),
+            }));
+            expect(payload.matches[2].region).toBeNull();
+            expect(payload.matches[2].scan).toBeNull();
+        });
+
+        it('locates a specific item by id', async () => {
+            req.query = { itemId: '2' };
+
+            await shelvesController.locateShelfItem(req, res);
+
+            expect(res.json.mock.calls[0][0].matches.map((match) => match.id)).toEqual([2]);
+        });
+
+        it('requires a query or item id', async () => {
+            await shelvesController.locateShelfItem(req, res);
+            expect(res.status).toHaveBeenCalledWith(400);
+
+            req.query = { itemId: 'abc' };
+            await shelvesController.locateShelfItem(req, res);
+            expect(res.status).toHaveBeenCalledTimes(2);
+            expect(shelfLayoutQueries.listForShelf).not.toHaveBeenCalled();
+        });
+
+        it('returns 404 for shelves the user does not own', async () => {
+            shelvesQueries.getById.mockResolvedValue(null);
+
+            await shelvesController.getShelfLayout(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('re-scan diffs', () => {
+        const pendingDiff = {
+            id: 5,
+            shelfId: 10,
+            scanPhotoId: 77,
+            status: 'pending',
+            diff: {
+                newItems: [],
+                missingItems: [
+                    { collectionItemId: 3, title: 'Dune', from: { row: 1, rowPosition: 2, position: 2 } },
+                    { collectionItemId: 4, title: 'Hyperion', from: { row: 1, rowPosition: 3, position: 3 } },
+                ],
+                movedItems: [],
+                unchangedCount: 1,
+            },
+            createdAt: new Date('2026-04-12T10:00:00Z'),
+        };
+
+        beforeEach(() => {
+            req.params = { shelfId: '10', diffId: '5' };
+            shelvesQueries.getById.mockResolvedValue({ id: 10, ownerId: 1, type: 'books' });
+            shelvesQueries.getItems.mockResolvedValue([]);
+            visionRescanDiffsQueries.getByIdForUser.mockResolvedValue(pendingDiff);
+        });
+
+        it('diffs a re-scan against items linked from earlier scans', async () => {
+            req.body = { imageBase64: 'data:image/jpeg;base64,aabbcc', async: false, mode: 'rescan' };
+            shelfLayoutQueries.listScannedItems.mockResolvedValue([
+                { collectionItemId: 1, position: 1, row: 1, rowPosition: 1, title: 'Dune Messiah' },
+                { collectionItemId: 3, position: 2, row: 1, rowPosition: 2, title: 'Dune' },
+            ]);
+            visionItemRegionsQueries.listForScan.mockResolvedValue([
+                { id: 21, box2d: [50, 100, 450, 150], collectionItemId: 1 },
+                { id: 22, box2d: [50, 300, 450, 350], collectionItemId: 9 },
+            ]);
+            shelfLayoutQueries.listForShelf.mockResolvedValue([{ id: 9, title: 'Children of Dune' }]);
+            visionRescanDiffsQueries.create.mockImplementation(async ({ diff }) => ({
+                id: 6, shelfId: 10, scanPhotoId: 77, status: 'pending', diff,
+            }));
+
+            await shelvesController.processShelfVision(req, res);
+
+            expect(shelfLayoutQueries.listScannedItems).toHaveBeenCalledWith({
+                userId: 1,
+                shelfId: 10,
+                excludeScanPhotoIds: [77],
+            });
+            const { rescanDiff } = res.json.mock.calls[0][0];
+            expect(rescanDiff.id).toBe(6);
+            expect(rescanDiff.newItems.map((item) => [item.collectionItemId, item.title])).toEqual([[9, 'Children of Dune']]);
+            expect(rescanDiff.missingItems.map((item) => item.collectionItemId)).toEqual([3]);
+            expect(rescanDiff.unchangedCount).toBe(1);
+            expect(shelvesQueries.removeItem).not.toHaveBeenCalled();
+        });
+
+        it('leaves the diff out of normal scans', async () => {
+            await shelvesController.processShelfVision(req, res);
+
+            expect(shelfLayoutQueries.listScannedItems).not.toHaveBeenCalled();
+            expect(res.json.mock.calls[0][0]).not.toHaveProperty('rescanDiff');
+        });
+
+        it('removes confirmed missing items and closes the diff', async () => {
+            req.body = { removeItemIds: [3] };
+            shelvesQueries.removeItem.mockResolvedValue(true);
+            visionRescanDiffsQueries.resolve.mockResolvedValue({ ...pendingDiff, status: 'applied', removedItemIds: [3] });
+
+            await shelvesController.applyVisionRescanDiff(req, res);
+
+            expect(shelvesQueries.removeItem).toHaveBeenCalledTimes(1);
+            expect(shelvesQueries.removeItem).toHaveBeenCalledWith(3, 1, 10, expect.anything());
+            expect(visionRescanDiffsQueries.resolve).toHaveBeenCalledWith(
+                { id: 5, userId: 1, status: 'applied', removedItemIds: [3] },
+                expect.anything(),
+            );
+            expect(res.json.mock.calls[0][0].diff).toEqual(expect.objectContaining({ status: 'applied', removedItemIds: [3] }));
+        });
+
+        it('refuses to remove items the diff did not report missing', async () => {
+            req.body = { removeItemIds: [3, 8] };
+
+            await shelvesController.applyVisionRescanDiff(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ itemIds: [8] }));
+            expect(shelvesQueries.removeItem).not.toHaveBeenCalled();
+        });
+
+        it('does not apply a diff twice', async () => {
+            req.body = { removeItemIds: [3] };
+            visionRescanDiffsQueries.getByIdForUser.mockResolvedValue({ ...pendingDiff, status: 'applied' });
+
+            await shelvesController.applyVisionRescanDiff(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(shelvesQueries.removeItem).not.toHaveBeenCalled();
+        });
+
+        it('dismisses a diff without removing anything', async () => {
+            visionRescanDiffsQueries.resolve.mockResolvedValue({ ...pendingDiff, status: 'dismissed' });
+
+            await shelvesController.dismissVisionRescanDiff(req, res);
+
+            expect(visionRescanDiffsQueries.resolve).toHaveBeenCalledWith({ id: 5, userId: 1, status: 'dismissed' });
+            expect(res.json.mock.calls[0][0].diff.status).toBe('dismissed');
+            expect(shelvesQueries.removeItem).not.toHaveBeenCalled();
+        });
+    });
 });
@@ -0,0 +1,398 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  cardPrintingKey,
+  normalizeCardGame,
+  pickTabletopFields,
+} = require('../services/collectables/tabletopFields');
+const {
+  normalizeCardDefaultsInput,
+  normalizeCardGradingInput,
+} = require('../services/cardShelfDefaults');
+const { resolveShelfType, getApiContainerKey } = require('../services/config/shelfTypeResolver');
+const { CatalogRouter } = require('../services/catalog/CatalogRouter');
+const { BoardGameCatalogService } = require('../services/catalog/BoardGameCatalogService');
+const { CardCatalogService } = require('../services/catalog/CardCatalogService');
+const { bggThingToCollectable, parseBggItems } = require('../adapters/boardgamegeek.adapter');
+const BoardGameGeekAdapter = require('../services/catalog/adapters/BoardGameGeekAdapter');
+const ScryfallAdapter = require('../services/catalog/adapters/ScryfallAdapter');
+const PokemonTcgAdapter = require('../services/catalog/adapters/PokemonTcgAdapter');
+
+const BGG_SEARCH_XML = `<?xml version="1.0" encoding="utf-8"?>
+<items total="2">
+  <item type="boardgame" id="13">
+    <name type="primary" value="Catan"/>
+    <yearpublished value="1995"/>
+  </item>
+  <item type="boardgameexpansion" id="325">
+    <name type="primary" value="Catan: Seafarers"/>
+    <yearpublished value="1997"/>
+  </item>
+</items>`;
+
+const BGG_THING_XML = `<?xml version="1.0" encoding="utf-8"?>
+<items>
+  <item type="boardgame" id="13">
+    <thumbnail>https://cf.geekdo-images.com/catan-thumb.jpg</thumbnail>
+    <image>https://cf.geekdo-images.com/catan.jpg</image>
+    <name type="primary" sortindex="1" value="Catan"/>
+    <name type="alternate" sortindex="1" value="Die Siedler von Catan"/>
+    <description>Trade, build &amp; settle.&#10;&#10;&#10;Classic.</description>
+    <yearpublished value="1995"/>
+    <minplayers value="3"/>
+    <maxplayers value="4"/>
+    <playingtime value="120"/>
+    <minplaytime value="60"/>
+    <maxplaytime value="120"/>
+    <minage value="10"/>
+    <link type="boardgamecategory" id="1021" value="Economic"/>
+    <link type="boardgamemechanic" id="2072" value="Dice Rolling"/>
+    <link type="boardgamedesigner" id="11" value="Klaus Teuber"/>
+    <link type="boardgameartist" id="12" value="Volkan Baga"/>
+    <link type="boardgamepublisher" id="37" value="KOSMOS"/>
+    <link type="boardgamepublisher" id="3" value="(Uncredited)"/>
+    <statistics page="1"><ratings><average value="7.1"/></ratings></statistics>
+  </item>
+</items>`;
+
+const SCRYFALL_CARD = {
+  object: 'card',
+  id: 'e3285e6b-3e79-4d7c-bf96-d920f973b80d',
+  oracle_id: 'oracle-bolt',
+  name: 'Lightning Bolt',
+  released_at: '2009-07-17',
+  set: 'm10',
+  set_name: 'Magic 2010',
+  collector_number: '146',
+  artist: 'Christopher Moeller',
+  rarity: 'common',
+  type_line: 'Instant',
+  oracle_text: 'Lightning Bolt deals 3 damage to any target.',
+  image_uris: {
+    small: 'https://cards.scryfall.io/small/bolt.jpg',
+    normal: 'https://cards.scryfall.io/normal/bolt.jpg',
+    large: 'https://cards.scryfall.io/large/bolt.jpg',
+  },
+  prices: { usd: '2.15' },
+  scryfall_uri: 'https://scryfall.com/card/m10/146/lightning-bolt',
+};
+
+const POKEMON_CARDS = [
+  {
+    id: 'swsh7-215',
+    name: 'Charizard',
+    number: '215',
+    artist: 'Mitsuhiro Arita',
+    rarity: 'Rare Secret',
+    set: { id: 'swsh7', ptcgoCode: 'EVS', name: 'Evolving Skies', releaseDate: '2021/08/27' },
+    images: { small: 'https://images.pokemontcg.io/swsh7/215.png' },
+  },
+  {
+    id: 'base1-4',
+    name: 'Charizard',
+    number: '4',
+    artist: 'Mitsuhiro Arita',
+    rarity: 'Rare Holo',
+    set: { id: 'base1', ptcgoCode: 'BS', name: 'Base', series: 'Base', releaseDate: '1999/01/09' },
+    images: {
+      small: 'https://images.pokemontcg.io/base1/4.png',
+      large: 'https://images.pokemontcg.io/base1/4_hires.png',
+    },
+    tcgplayer: {
+      url: 'https://prices.pokemontcg.io/tcgplayer/base1-4',
+      prices: { holofoil: { market: 412.5 } },
+    },
+  },
+];
+
+function makeResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body || {})),
+  };
+}
+
+describe('board game and card shelf types', () => {
+  it('resolves board games and trading cards to their own shelf types', () => {
+    expect(resolveShelfType('board games')).toBe('boardgames');
+    expect(resolveShelfType('Tabletop')).toBe('boardgames');
+    expect(resolveShelfType('Magic the Gathering')).toBe('cards');
+    expect(resolveShelfType('card game')).toBe('cards');
+    expect(resolveShelfType('games')).toBe('games');
+    expect(getApiContainerKey('boardgames')).toBe('boardgames');
+    expect(getApiContainerKey('cards')).toBe('cards');
+  });
+});
+
+describe('tabletop fields', () => {
+  it('normalizes player counts, play time and card printings', () => {
+    expect(pickTabletopFields({
+      min_players: '2',
+      playTime: '60-90 min',
+      setCode: ' m10 ',
+      collectorNumber: '#0146',
+      setName: 'Magic 2010',
+    })).toEqual({
+      minPlayers: 2,
+      minPlayTime: 60,
+      maxPlayTime: 90,
+      setCode: 'M10',
+      setName: 'Magic 2010',
+      collectorNumber: '146',
+    });
+    expect(pickTabletopFields({ minPlayers: 0, collectorNumber: '004/102' })).toEqual(expect.objectContaining({
+      minPlayers: null,
+      collectorNumber: '4/102',
+    }));
+  });
+
+  it('builds a printing key only when the printing is known', () => {
+    expect(cardPrintingKey({ setCode: 'm10', collectorNumber: '146' })).toBe('M10 146');
+    expect(cardPrintingKey({ set_code: 'BS' })).toBe('BS');
+    expect(cardPrintingKey({ title: 'Catan' })).toBeNull();
+  });
+
+  it('maps card game names to short keys', () => {
+    expect(normalizeCardGame('Magic: The Gathering')).toBe('mtg');
+    expect(normalizeCardGame('Pokémon')).toBe('pokemon');
+    expect(normalizeCardGame('Yu-Gi-Oh!')).toBe('yu-gi-oh!');
+    expect(normalizeCardGame('')).toBeNull();
+  });
+});
+
+describe('card shelf defaults and grading', () => {
+  it('accepts condition aliases for cards shelves only', () => {
+    expect(normalizeCardDefaultsInput({ condition: 'NM' }, { shelfType: 'cards' })).toEqual({ condition: 'near_mint' });
+    expect(normalizeCardDefaultsInput(null, { shelfType: 'cards' })).toBeNull();
+    expect(normalizeCardDefaultsInput({ condition: 'near_mint' }, { shelfType: 'books' })).toBeNull();
+    expect(() => normalizeCardDefaultsInput({ condition: 'shiny' }, { shelfType: 'cards' })).toThrow();
+  });
+
+  it('requires a grading company and grade together', () => {
+    expect(normalizeCardGradingInput({ cardGradingCompany: 'PSA', cardGrade: '9.5' })).toEqual(expect.objectContaining({
+      cardGradingCompany: 'psa',
+      cardGrade: 9.5,
+    }));
+    expect(() => normalizeCardGradingInput({ cardGradingCompany: 'psa', cardGrade: null })).toThrow();
+    expect(() => normalizeCardGradingInput({ cardGradingCompany: 'psa', cardGrade: 9.3 })).toThrow();
+  });
+});
+
+describe('BoardGameGeek', () => {
+  it('parses thing XML and maps it to a board game collectable', () => {
+    const [thing] = parseBggItems(BGG_THING_XML);
+    const collectable = bggThingToCollectable(thing, { fetchedAt: new Date('2026-01-01T00:00:00Z') });
+
+    expect(collectable).toEqual(expect.objectContaining({
+      kind: 'boardgame',
+      title: 'Catan',
+      primaryCreator: 'Klaus Teuber',
+      publisher: 'KOSMOS',
+      publishers: ['KOSMOS'],
+      year: '1995',
+      minPlayers: 3,
+      maxPlayers: 4,
+      minPlayTime: 60,
+      maxPlayTime: 120,
+      description: 'Trade, build & settle.\n\nClassic.',
+      identifiers: { bgg: { thing: ['13'] } },
+      coverImageUrl: 'https://cf.geekdo-images.com/catan.jpg',
+    }));
+    expect(collectable.tags).toEqual(['Economic', 'Dice Rolling']);
+    expect(collectable.extras).toEqual(expect.objectContaining({ minAge: 10, averageRating: 7.1 }));
+  });
+
+  it('is configured only with an API token', () => {
+    expect(new BoardGameGeekAdapter({ apiToken: '' }).isConfigured()).toBe(false);
+    expect(new BoardGameGeekAdapter({ apiToken: 'bgg-token' }).isConfigured()).toBe(true);
+  });
+
+  it('prefers the base game and retries queued responses', async () => {
+    const fetchMock = jest
+      .fn()
+      .mockResolvedValueOnce(makeResponse(200, BGG_SEARCH_XML))
+      .mockResolvedValueOnce(makeResponse(202, ''))
+      .mockResolvedValueOnce(makeResponse(200, BGG_SEARCH_XML))
+      .mockResolvedValueOnce(makeResponse(200, BGG_THING_XML));
+    const delayFn = jest.fn().mockResolvedValue();
+    const adapter = new BoardGameGeekAdapter({
+      apiToken: 'bgg-token',
+      fetch: fetchMock,
+      delayFn,
+      rateLimitPerMinute: 1000,
+    });
+
+    const result = await adapter.lookup({ title: 'Catan' });
+
+    expect(delayFn).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer bgg-token');
+    expect(fetchMock.mock.calls[3][0]).toContain('/thing?id=13&stats=1');
+    expect(result).toEqual(expect.objectContaining({ provider: 'boardgamegeek', title: 'Catan' }));
+  });
+});
+
+describe('ScryfallAdapter', () => {
+  it('looks up the exact printing by set and collector number', async () => {
+    const fetchMock = jest.fn().mockResolvedValue(makeResponse(200, SCRYFALL_CARD));
+    const adapter = new ScryfallAdapter({ fetch: fetchMock, rateLimitPerSecond: 1000 });
+
+    const result = await adapter.lookup({ title: 'Lightning Bolt', setCode: 'M10', collectorNumber: '#146' });
+
+    expect(fetchMock.mock.calls[0][0]).toBe('https://api.scryfall.com/cards/m10/146');
+    expect(result).toEqual(expect.objectContaining({
+      provider: 'scryfall',
+      kind: 'card',
+      title: 'Lightning Bolt',
+      primaryCreator: 'Christopher Moeller',
+      publisher: 'Wizards of the Coast',
+      setCode: 'M10',
+      setName: 'Magic 2010',
+      collectorNumber: '146',
+      year: '2009',
+      marketValue: 'USD $2.15',
+      identifiers: expect.objectContaining({ scryfall: { card: [SCRYFALL_CARD.id] } }),
+    }));
+  });
+
+  it('falls back to a fuzzy name search and gives distinct printings distinct fingerprints', async () => {
+    const reprint = { ...SCRYFALL_CARD, id: 'reprint', set: '2xm', set_name: 'Double Masters', collector_number: '129' };
+    const fetchMock = jest
+      .fn()
+      .mockResolvedValueOnce(makeResponse(404, { object: 'error' }))
+      .mockResolvedValueOnce(makeResponse(200, reprint))
+      .mockResolvedValueOnce(makeResponse(200, SCRYFALL_CARD));
+    const adapter = new ScryfallAdapter({ fetch: fetchMock, rateLimitPerSecond: 1000 });
+
+    const fuzzy = await adapter.lookup({ title: 'lightning bolt', setCode: '2XM', collectorNumber: '999' });
+    const exact = await adapter.lookup({ title: 'Lightning Bolt' });
+
+    expect(fetchMock.mock.calls[1][0]).toContain('/cards/named?fuzzy=lightning+bolt&set=2xm');
+    expect(fuzzy.setCode).toBe('2XM');
+    expect(fuzzy.fingerprint).not.toBe(exact.fingerprint);
+  });
+
+  it('skips cards from another game', async () => {
+    const fetchMock = jest.fn();
+    const adapter = new ScryfallAdapter({ fetch: fetchMock });
+
+    await expect(adapter.lookup({ title: 'Charizard', cardGame: 'Pokemon' })).resolves.toBeNull();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('PokemonTcgAdapter', () => {
+  it('picks the printing that matches the printed number and set', async () => {
+    const fetchMock = jest.fn().mockResolvedValue(makeResponse(200, { data: POKEMON_CARDS }));
+    const adapter = new PokemonTcgAdapter({ fetch: fetchMock, apiKey: 'ptcg-key' });
+
+    const result = await adapter.lookup({ title: 'Charizard', collectorNumber: '4/102', setCode: 'BS' });
+
+    const url = new URL(fetchMock.mock.calls[0][0]);
+    expect(url.searchParams.get('q')).toBe('name:"Charizard" number:"4"');
+    expect(fetchMock.mock.calls[0][1].headers['X-Api-Key']).toBe('ptcg-key');
+    expect(result).toEqual(expect.objectContaining({
+      provider: 'pokemontcg',
+      kind: 'card',
+      title: 'Charizard',
+      setCode: 'BS',
+      setName: 'Base',
+      collectorNumber: '4',
+      year: '1999',
+      publisher: 'The Pokémon Company',
+      marketValue: 'USD $412.50',
+    }));
+  });
+
+  it('skips cards from another game', async () => {
+    const fetchMock = jest.fn();
+    const adapter = new PokemonTcgAdapter({ fetch: fetchMock });
+
+    await expect(adapter.lookup({ title: 'Lightning Bolt', cardGame: 'mtg' })).resolves.toBeNull();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('tabletop catalog services', () => {
+  function makeRouter(containerKey, adapters) {
+    const router = new CatalogRouter({
+      config: {
+        [containerKey]: {
+          mode: 'fallback',
+          apis: Object.keys(adapters).map((name, index) => ({ name, enabled: true, priority: index + 1 })),
+        },
+      },
+      responseCache: { wrap: (provider, operation, query, fetchFn) => fetchFn() },
+    });
+    router._adapterFactories = Object.fromEntries(
+      Object.entries(adapters).map(([name, adapter]) => [name, () => adapter]),
+    );
+    return router;
+  }
+
+  it('resolves board games and fills player counts read off the box', async () => {
+    const adapter = {
+      name: 'boardGameGeek',
+      isConfigured: () => true,
+      lookup: jest.fn().mockResolvedValue({
+        kind: 'boardgame',
+        title: 'Wingspan',
+        primaryCreator: 'Elizabeth Hargrave',
+        minPlayers: null,
+        maxPlayers: null,
+      }),
+    };
+    const service = new BoardGameCatalogService({ router: makeRouter('boardgames', { boardGameGeek: adapter }) });
+    const items = [{ title: 'Wingspan', minPlayers: 1, maxPlayers: 5, playTime: '40-70' }];
+
+    expect(service.supportsShelfType('boardgames')).toBe(true);
+    expect(service.supportsShelfType('games')).toBe(false);
+
+    const results = await service.lookupFirstPass(items);
+    expect(results[0].status).toBe('resolved');
+    expect(service.buildCollectablePayload(results[0], items[0], 'lwf-1')).toEqual(expect.objectContaining({
+      kind: 'boardgame',
+      title: 'Wingspan',
+      minPlayers: 1,
+      maxPlayers: 5,
+      minPlayTime: 40,
+      maxPlayTime: 70,
+    }));
+  });
+
+  it('passes the card game and printing to the cards container in order', async () => {
+    const scryfall = {
+      name: 'scryfall',
+      isConfigured: () => true,
+      lookup: jest.fn().mockResolvedValue(null),
+    };
+    const pokemonTcg = {
+      name: 'pokemonTcg',
+      isConfigured: () => true,
+      lookup: jest.fn().mockResolvedValue({ kind: 'card', title: 'Charizard', setCode: 'BS' }),
+    };
+    const service = new CardCatalogService({
+      router: makeRouter('cards', { scryfall, pokemonTcg }),
+    });
+    const items = [{ title: 'Charizard', cardGame: 'Pokémon', collectorNumber: '004/102' }];
+
+    const results = await service.lookupFirstPass(items);
+
+    expect(scryfall.lookup).toHaveBeenCalledWith(
+      expect.objectContaining({ cardGame: 'pokemon', collectorNumber: '4/102' }),
+      expect.anything(),
+    );
+    const payload = service.buildCollectablePayload(results[0], items[0], 'lwf-1');
+    expect(payload).toEqual(expect.objectContaining({
+      kind: 'card',
+      setCode: 'BS',
+      collectorNumber: '4/102',
+    }));
+    expect(payload.fingerprint).toBeTruthy();
+  });
+});
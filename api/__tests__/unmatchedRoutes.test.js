@@ -4,6 +4,7 @@ jest.mock('../database/queries/needsReview', () => ({
   dismissAllForUser: jest.fn(),
   listAllPendingForUser: jest.fn(),
   countPendingForUser: jest.fn(),
+  countExpiringForUser: jest.fn(),
 }));
 
 jest.mock('../database/queries/shelves', () => ({
@@ -14,9 +15,18 @@ jest.mock('../controllers/shelvesController', () => ({
   completeReviewItemInternal: jest.fn(),
 }));
 
+jest.mock('../services/collectableMatchingService', () => {
+  const search = jest.fn();
+  return {
+    getCollectableMatchingService: () => ({ search }),
+    __search: search,
+  };
+});
+
 const needsReviewQueries = require('../database/queries/needsReview');
 const shelvesQueries = require('../database/queries/shelves');
 const { completeReviewItemInternal } = require('../controllers/shelvesController');
+const { __search: matchingSearch } = require('../services/collectableMatchingService');
 const router = require('../routes/unmatched');
 
 function findRouteHandlers(method, path) {
@@ -102,4 +112,148 @@ describe('unmatched routes', () => {
       },
     });
   });
+
+  function makeRes() {
+    return {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+  }
+
+  it('files an item on another shelf when PUT /:id names one', async () => {
+    const handler = findRouteHandlers('put', '/:id')[1];
+    const reviewItem = { id: 55, shelfId: 10, status: 'pending', rawData: { title: 'Dune' } };
+    const target = { id: 12, type: 'books' };
+    needsReviewQueries.getById.mockResolvedValue(reviewItem);
+    shelvesQueries.getById.mockResolvedValue(target);
+    completeReviewItemInternal.mockResolvedValue({ matchSource: 'selected', item: { id: 9 } });
+    const res = makeRes();
+
+    await handler({ user: { id: 1 }, params: { id: '55' }, body: { shelfId: '12', collectableId: 300 } }, res);
+
+    expect(shelvesQueries.getById).toHaveBeenCalledWith(12, 1);
+    expect(completeReviewItemInternal).toHaveBeenCalledWith({
+      userId: 1,
+      shelf: target,
+      reviewItem,
+      body: { collectableId: 300 },
+    });
+    expect(res.json).toHaveBeenCalledWith({ success: true, matchSource: 'selected', item: { id: 9 } });
+  });
+
+  it('rejects PUT /:id for an item that was already resolved', async () => {
+    const handler = findRouteHandlers('put', '/:id')[1];
+    needsReviewQueries.getById.mockResolvedValue({ id: 55, shelfId: 10, status: 'completed' });
+    const res = makeRes();
+
+    await handler({ user: { id: 1 }, params: { id: '55' }, body: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(completeReviewItemInternal).not.toHaveBeenCalled();
+  });
+
+  it('annotates GET / items with their expiry', async () => {
+    const handler = findRouteHandlers('get', '/')[0];
+    const now = Date.now();
+    needsReviewQueries.listAllPendingForUser.mockResolvedValue([
+      { id: 1, createdAt: new Date(now - (6 * 24 * 60 * 60 * 1000)).toISOString() },
+      { id: 2, createdAt: new Date(now).toISOString() },
+    ]);
+    const res = makeRes();
+
+    await handler({ user: { id: 1 } }, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.count).toBe(2);
+    expect(body.expiringCount).toBe(1);
+    expect(body.expiryDays).toBe(7);
+    expect(body.items[0]).toEqual(expect.objectContaining({ id: 1, expiringSoon: true }));
+    expect(body.items[1]).toEqual(expect.objectContaining({ id: 2, expiringSoon: false }));
+  });
+
+  it('includes the expiring count in GET /count', async () => {
+    const handler = findRouteHandlers('get', '/count')[0];
+    needsReviewQueries.countPendingForUser.mockResolvedValue(4);
+    needsReviewQueries.countExpiringForUser.mockResolvedValue(1);
+    const res = makeRes();
+
+    await handler({ user: { id: 1 } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({ count: 4, expiringCount: 1 });
+  });
+
+  it('ranks catalog suggestions for a review item', async () => {
+    const handlers = findRouteHandlers('get', '/:id/suggestions');
+    const handler = handlers[handlers.length - 1];
+    needsReviewQueries.getById.mockResolvedValue({
+      id: 55,
+      shelfId: 10,
+      rawData: { title: 'Dune', author: 'Frank Herbert' },
+    });
+    shelvesQueries.getById.mockResolvedValue({ id: 10, type: 'books' });
+    matchingSearch.mockResolvedValue({
+      suggestions: [
+        { title: 'Dune Messiah', primaryCreator: 'Frank Herbert', marketValueSources: [{ url: 'x' }] },
+        { id: 3, title: 'Dune', primaryCreator: 'Frank Herbert' },
+      ],
+      searched: { database: true, api: true },
+    });
+    const res = makeRes();
+
+    await handler({ user: { id: 1 }, params: { id: '55' }, query: {} }, res);
+
+    expect(matchingSearch).toHaveBeenCalledWith(
+      expect.objectContaining({ title: 'Dune', primaryCreator: 'Frank Herbert' }),
+      'books',
+      { includeApi: true },
+    );
+    const body = res.json.mock.calls[0][0];
+    expect(body.suggestions.map((entry) => entry.title)).toEqual(['Dune', 'Dune Messiah']);
+    expect(body.suggestions[1].marketValueSources).toBeUndefined();
+    expect(body.searched).toEqual({ database: true, api: true });
+  });
+
+  it('resolves a batch and reports each entry', async () => {
+    const handler = findRouteHandlers('post', '/batch')[0];
+    needsReviewQueries.dismiss.mockResolvedValueOnce({ id: 2 });
+    needsReviewQueries.getById
+      .mockResolvedValueOnce({ id: 1, shelfId: 10, status: 'pending', rawData: {} })
+      .mockResolvedValueOnce(null);
+    shelvesQueries.getById.mockResolvedValue({ id: 10, type: 'books' });
+    completeReviewItemInternal.mockResolvedValue({ matchSource: 'fuzzy', item: { id: 40 } });
+    const res = makeRes();
+
+    await handler({
+      user: { id: 1 },
+      body: {
+        items: [
+          { id: 1, action: 'complete' },
+          { id: 2, action: 'dismiss' },
+          { id: 3, action: 'complete' },
+          { id: 4, action: 'archive' },
+        ],
+      },
+    }, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body).toEqual(expect.objectContaining({ completed: 1, dismissed: 1, failed: 2 }));
+    expect(body.results.map((entry) => entry.status)).toEqual(['completed', 'dismissed', 'failed', 'failed']);
+    expect(body.results[2]).toEqual(expect.objectContaining({ id: 3, statusCode: 404 }));
+    expect(body.results[3]).toEqual(expect.objectContaining({ id: 4, statusCode: 400 }));
+  });
+
+  it('rejects an empty or oversized batch', async () => {
+    const handler = findRouteHandlers('post', '/batch')[0];
+    const res = makeRes();
+    await handler({ user: { id: 1 }, body: { items: [] } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    const tooMany = makeRes();
+    await handler({
+      user: { id: 1 },
+      body: { items: Array.from({ length: 51 }, (_, index) => ({ id: index + 1, action: 'dismiss' })) },
+    }, tooMany);
+    expect(tooMany.status).toHaveBeenCalledWith(400);
+    expect(needsReviewQueries.dismiss).not.toHaveBeenCalled();
+  });
 });
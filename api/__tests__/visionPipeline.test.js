@@ -4,10 +4,12 @@ const collectablesQueries = require('../database/queries/collectables');
 const needsReviewQueries = require('../database/queries/needsReview');
 const shelvesQueries = require('../database/queries/shelves');
 const visionItemRegionsQueries = require('../database/queries/visionItemRegions');
+const shelfLayoutQueries = require('../database/queries/shelfLayout');
 const pg = require('../database/pg');
 const processingStatus = require('../services/processingStatus');
 const { getMetadataScorer } = require('../services/catalog/MetadataScorer');
 const { CatalogProvidersUnavailableError } = require('../services/catalog/errors');
+const fingerprint = require('../services/collectables/fingerprint');
 
 jest.mock('../services/googleGemini');
 jest.mock('../database/queries/collectables');
@@ -19,7 +21,13 @@ jest.mock('../database/queries/visionItemRegions', () => ({
     linkManual: jest.fn().mockResolvedValue(null),
     linkCollectionItem: jest.fn().mockResolvedValue(null),
     clearCollectionItemLink: jest.fn().mockResolvedValue(null),
+    copyRegionLinks: jest.fn().mockResolvedValue(null),
     hasCollectionItemLinkForReference: jest.fn().mockResolvedValue(false),
+    updateRegion: jest.fn().mockResolvedValue(null),
+    listForScan: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../database/queries/shelfLayout', () => ({
+    applyPlacements: jest.fn().mockResolvedValue({ placed: 0, shifted: 0 }),
 }));
 jest.mock('../services/collectables/fingerprint', () => ({
     makeLightweightFingerprint: jest.fn(item => 'fingerprint-' + item.title),
@@ -796,6 +804,109 @@ describe('VisionPipelineService', () => {
         });
     });
 
+    describe('scan sessions', () => {
+        beforeEach(() => {
+            fingerprint.makeVisionOcrFingerprint.mockImplementation((title, creator) => (
+                creator ? `ocr-${title}|${creator}` : null
+            ));
+        });
+
+        afterEach(() => {
+            fingerprint.makeVisionOcrFingerprint.mockImplementation(() => 'ocr-fingerprint');
+        });
+
+        it('links session-indexed items back to the region on their own photo', async () => {
+            const saveTracking = {
+                savedSourceKeys: new Set(),
+                firstLinkedRegionByCollectionItemId: new Map(),
+                duplicateRegionLinkSkipped: 0,
+            };
+            const hookContext = {
+                scanSession: { photoIds: [501, 502], indexStride: 10000 },
+                saveTracking,
+            };
+
+            await service.linkRegionToCollectable({ extractionIndex: 10003 }, 77, hookContext);
+            await service.linkRegionToCollectionItem({ extractionIndex: 10003 }, 900, hookContext);
+            await service.linkRegionToCollectionItem({ extractionIndex: 2 }, 900, hookContext);
+
+            expect(visionItemRegionsQueries.linkCollectable).toHaveBeenCalledWith({
+                scanPhotoId: 502,
+                extractionIndex: 3,
+                collectableId: 77,
+            });
+            expect(visionItemRegionsQueries.clearCollectionItemLink).toHaveBeenCalledWith({
+                scanPhotoId: 502,
+                extractionIndex: 3,
+            });
+            expect(visionItemRegionsQueries.linkCollectionItem).toHaveBeenLastCalledWith({
+                scanPhotoId: 501,
+                extractionIndex: 2,
+                collectionItemId: 900,
+            });
+        });
+
+        it('extracts each photo, drops overlap duplicates and runs the pipeline once', async () => {
+            service.extractImageItems = jest.fn()
+                .mockResolvedValueOnce({
+                    items: [
+                        { title: 'Dune', author: 'Frank Herbert', confidence: 0.9, box2d: [100, 50, 900, 150] },
+                        { title: 'Emma', author: 'Jane Austen', confidence: 0.95, box2d: [100, 850, 900, 980] },
+                    ],
+                    conversationHistory: null,
+                    warnings: [],
+                })
+                .mockResolvedValueOnce({
+                    items: [
+                        { title: 'Emma', author: 'Jane Austen', confidence: 0.97, box2d: [100, 10, 900, 140] },
+                        { title: 'Ulysses', author: 'James Joyce', confidence: 0.93, box2d: [100, 500, 900, 600] },
+                    ],
+                    conversationHistory: null,
+                    warnings: [],
+                });
+            const processImageSpy = jest.spyOn(service, 'processImage').mockResolvedValue({
+                results: { added: 3, needsReview: 0, existing: 0, extracted: 3 },
+                addedItems: [],
+                needsReview: [],
+                tokenUsage: { totalTokens: 10, candidatesTokens: 4 },
+            });
+
+            const result = await service.processSession(
+                [
+                    { scanPhotoId: 501, imageBase64: 'photo-a' },
+                    { scanPhotoId: 502, imageBase64: 'photo-b' },
+                ],
+                { id: 1, type: 'books' },
+                100,
+                null,
+                { sessionId: 12 },
+            );
+
+            expect(service.extractImageItems).toHaveBeenCalledTimes(2);
+            expect(visionItemRegionsQueries.upsertRegionsForScan).toHaveBeenCalledWith(
+                expect.objectContaining({ scanPhotoId: 501, replaceExisting: true }),
+            );
+            expect(visionItemRegionsQueries.upsertRegionsForScan).toHaveBeenCalledWith(
+                expect.objectContaining({ scanPhotoId: 502, replaceExisting: true }),
+            );
+
+            expect(processImageSpy).toHaveBeenCalledTimes(1);
+            const [, , , , pipelineOptions] = processImageSpy.mock.calls[0];
+            expect(pipelineOptions.scanSession).toEqual({ sessionId: 12, photoIds: [501, 502], indexStride: 10000 });
+            expect(pipelineOptions.rawItems.map((item) => [item.title, item.extractionIndex])).toEqual([
+                ['Dune', 0],
+                ['Emma', 10000],
+                ['Ulysses', 10001],
+            ]);
+
+            expect(visionItemRegionsQueries.copyRegionLinks).toHaveBeenCalledWith({
+                source: { scanPhotoId: 502, extractionIndex: 0 },
+                target: { scanPhotoId: 501, extractionIndex: 1 },
+            });
+            expect(result.session).toEqual({ sessionId: 12, photoCount: 2, detectedCount: 4, mergedCount: 1 });
+        });
+    });
+
     describe('strict movie/tv name matching', () => {
         beforeEach(() => {
             getVisionSettingsForType.mockReturnValue({
@@ -1897,4 +2008,145 @@ describe('VisionPipelineService', () => {
             }
         });
     });
+
+    describe('reidentifyRegions', () => {
+        const shelf = { id: 10, type: 'book' };
+
+        it('reads untitled regions from their crops and keeps existing regions', async () => {
+            const processSpy = jest.spyOn(service, 'processImage').mockResolvedValue({
+                results: { extracted: 2, added: 2, existing: 0, needsReview: 0 },
+                addedItems: [],
+                needsReview: [],
+            });
+            const extractSpy = jest.spyOn(service, 'extractItems').mockResolvedValue({
+                items: [
+                    { title: 'Spine Noise', confidence: 0.4, box2d: [0, 0, 10, 10] },
+                    { title: 'Hyperion', author: 'Dan Simmons', confidence: 0.9, box2d: [0, 0, 1000, 1000] },
+                ],
+            });
+
+            const result = await service.reidentifyRegions([
+                { id: 8, extractionIndex: 0, title: 'Dune', primaryCreator: 'Frank Herbert', confidence: 0.92, box2d: [100, 200, 700, 300] },
+                {
+                    id: 9,
+                    userId: 7,
+                    shelfId: 10,
+                    scanPhotoId: 77,
+                    extractionIndex: 5,
+                    title: null,
+                    box2d: [100, 300, 700, 400],
+                    cropBase64: 'crop',
+                },
+            ], shelf, 7, { scanPhotoId: 77, scanPhotoDimensions: { width: 1200, height: 800 } });
+
+            expect(extractSpy).toHaveBeenCalledTimes(1);
+            expect(extractSpy.mock.calls[0][0]).toBe('crop');
+            expect(visionItemRegionsQueries.updateRegion).toHaveBeenCalledWith({
+                userId: 7,
+                shelfId: 10,
+                scanPhotoId: 77,
+                regionId: 9,
+                title: 'Hyperion',
+                primaryCreator: 'Dan Simmons',
+                confidence: 0.9,
+            });
+            expect(visionItemRegionsQueries.clearCollectionItemLink).toHaveBeenCalledWith({ scanPhotoId: 77, extractionIndex: 0 });
+
+            const [imageBase64, passedShelf, userId, jobId, options] = processSpy.mock.calls[0];
+            expect(imageBase64).toBeNull();
+            expect(passedShelf).toBe(shelf);
+            expect(userId).toBe(7);
+            expect(jobId).toBeNull();
+            expect(options).toEqual(expect.objectContaining({
+                scanPhotoId: 77,
+                ocrProvider: 'region-edit',
+                persistRegions: false,
+            }));
+            expect(options.rawItems).toEqual([
+                { title: 'Dune', primaryCreator: 'Frank Herbert', confidence: 0.92, extractionIndex: 0, box2d: [100, 200, 700, 300], quad2d: null },
+                expect.objectContaining({ title: 'Hyperion', extractionIndex: 5, box2d: [100, 300, 700, 400], quad2d: null }),
+            ]);
+            expect(result.unreadableRegionIds).toEqual([]);
+        });
+
+        it('reports regions with no readable text without running the pipeline', async () => {
+            const processSpy = jest.spyOn(service, 'processImage');
+            jest.spyOn(service, 'extractItems').mockResolvedValue({ items: [] });
+
+            const result = await service.reidentifyRegions([
+                { id: 9, extractionIndex: 5, title: null, box2d: [100, 300, 700, 400], cropBase64: 'crop' },
+            ], shelf, 7, { scanPhotoId: 77 });
+
+            expect(processSpy).not.toHaveBeenCalled();
+            expect(result.unreadableRegionIds).toEqual([9]);
+            expect(result.results.extracted).toBe(0);
+        });
+
+        it('leaves stored regions alone when persistRegions is false', async () => {
+            jest.spyOn(service, 'matchCollectable').mockResolvedValue(null);
+            jest.spyOn(service, 'lookupCatalog').mockImplementation(async (items) => ({ resolved: [], unresolved: items }));
+            service.enrichmentEnabled = false;
+
+            await service.processImage(null, shelf, 7, {
+                rawItems: [{ title: 'Dune', confidence: 0.95, extractionIndex: 3, box2d: [100, 200, 700, 300] }],
+                scanPhotoId: 77,
+                persistRegions: false,
+            });
+
+            expect(visionItemRegionsQueries.upsertRegionsForScan).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('shelf layout', () => {
+        const shelf = { id: 10, type: 'book' };
+
+        it('writes placements from the linked regions of every photo in capture order', async () => {
+            visionItemRegionsQueries.listForScan
+                .mockResolvedValueOnce([
+                    { id: 1, box2d: [50, 500, 450, 550], collectionItemId: 300 },
+                    { id: 2, box2d: [50, 100, 450, 150], collectionItemId: 200 },
+                ])
+                .mockResolvedValueOnce([
+                    { id: 3, box2d: [50, 100, 450, 150], collectionItemId: 400 },
+                ]);
+
+            const placements = await service.updateShelfLayout({
+                userId: 7,
+                shelfId: 10,
+                scanPhotoIds: [501, 502],
+            });
+
+            expect(visionItemRegionsQueries.listForScan).toHaveBeenNthCalledWith(1, { userId: 7, shelfId: 10, scanPhotoId: 501 });
+            expect(visionItemRegionsQueries.listForScan).toHaveBeenNthCalledWith(2, { userId: 7, shelfId: 10, scanPhotoId: 502 });
+            expect(placements.map((entry) => entry.collectionItemId)).toEqual([200, 300, 400]);
+            expect(pg.transaction).toHaveBeenCalled();
+            expect(shelfLayoutQueries.applyPlacements).toHaveBeenCalledWith(
+                { userId: 7, shelfId: 10, placements },
+                expect.anything(),
+            );
+        });
+
+        it('does not fail the scan when the layout cannot be written', async () => {
+            visionItemRegionsQueries.listForScan.mockResolvedValueOnce([
+                { id: 1, box2d: [50, 100, 450, 150], collectionItemId: 200 },
+            ]);
+            shelfLayoutQueries.applyPlacements.mockRejectedValueOnce(Object.assign(new Error('column "shelf_row" does not exist'), { code: '42703' }));
+
+            await expect(service.updateShelfLayout({ userId: 7, shelfId: 10, scanPhotoIds: [501] })).resolves.toBeNull();
+        });
+
+        it('updates the layout after a single-photo scan', async () => {
+            const layoutSpy = jest.spyOn(service, 'updateShelfLayout').mockResolvedValue(null);
+            jest.spyOn(service, 'matchCollectable').mockResolvedValue(null);
+            jest.spyOn(service, 'lookupCatalog').mockImplementation(async (items) => ({ resolved: [], unresolved: items }));
+            service.enrichmentEnabled = false;
+
+            await service.processImage(null, shelf, 7, {
+                rawItems: [{ title: 'Dune', confidence: 0.95, box2d: [100, 200, 700, 300] }],
+                scanPhotoId: 77,
+            });
+
+            expect(layoutSpy).toHaveBeenCalledWith({ userId: 7, shelfId: 10, scanPhotoIds: [77] });
+        });
+    });
 });
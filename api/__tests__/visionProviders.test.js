@@ -0,0 +1,251 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VisionPipelineService } = require('../services/visionPipeline');
+const {
+    createVisionProvider,
+    GeminiVisionProvider,
+    FixtureVisionProvider,
+} = require('../services/visionProviders');
+const collectablesQueries = require('../database/queries/collectables');
+const needsReviewQueries = require('../database/queries/needsReview');
+const shelvesQueries = require('../database/queries/shelves');
+const { getMetadataScorer } = require('../services/catalog/MetadataScorer');
+
+jest.mock('../database/queries/collectables');
+jest.mock('../database/queries/needsReview');
+jest.mock('../database/queries/shelves');
+jest.mock('../database/queries/visionItemRegions', () => ({
+    upsertRegionsForScan: jest.fn().mockResolvedValue([]),
+    linkCollectable: jest.fn().mockResolvedValue(null),
+    linkManual: jest.fn().mockResolvedValue(null),
+    linkCollectionItem: jest.fn().mockResolvedValue(null),
+    clearCollectionItemLink: jest.fn().mockResolvedValue(null),
+    copyRegionLinks: jest.fn().mockResolvedValue(null),
+    hasCollectionItemLinkForReference: jest.fn().mockResolvedValue(false),
+}));
+jest.mock('../services/catalog/MetadataScorer', () => ({
+    getMetadataScorer: jest.fn(),
+}));
+
+function writeRecording(dir, { timestamp, source = 'google-gemini-vision', operation, payload }) {
+    const filename = `${timestamp.replace(/[:.]/g, '-')}-${source}-${operation}-test.json`;
+    fs.writeFileSync(
+        path.join(dir, filename),
+        JSON.stringify({ timestamp, source, operation, payload }),
+    );
+}
+
+describe('vision providers', () => {
+    let fixtureDir;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-fixtures-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(fixtureDir, { recursive: true, force: true });
+    });
+
+    describe('createVisionProvider', () => {
+        it('selects the fixture provider by name and Gemini otherwise', () => {
+            const fixture = createVisionProvider({ provider: 'fixture', fixtureDir });
+            expect(fixture).toBeInstanceOf(FixtureVisionProvider);
+            expect(fixture.fixtureDir).toBe(path.resolve(fixtureDir));
+
+            const geminiService = { detectShelfItemsFromImage: jest.fn() };
+            const gemini = createVisionProvider({ provider: 'fixture', geminiService });
+            expect(gemini).toBeInstanceOf(GeminiVisionProvider);
+            expect(gemini.geminiService).toBe(geminiService);
+        });
+
+        it('routes Gemini provider calls to the wrapped client', async () => {
+            const geminiService = {
+                detectShelfItemsFromImage: jest.fn().mockResolvedValue({ items: [] }),
+                enrichWithSchema: jest.fn().mockResolvedValue(['plain']),
+                sendScoutPrompt: jest.fn().mockResolvedValue('{}'),
+            };
+            const provider = new GeminiVisionProvider({ geminiService });
+            const accumulator = { start: jest.fn() };
+
+            provider.setTokenAccumulator(accumulator);
+            await provider.extractItems('img', 'book', 'desc', 'name', { pass: 'first' });
+            await provider.scout('img', 'prompt');
+
+            expect(geminiService.tokenAccumulator).toBe(accumulator);
+            expect(geminiService.detectShelfItemsFromImage).toHaveBeenCalledWith('img', 'book', 'desc', 'name', { pass: 'first' });
+            expect(geminiService.sendScoutPrompt).toHaveBeenCalledWith('img', 'prompt');
+            expect(provider.supportsUncertainEnrichment()).toBe(false);
+            expect(provider.supportsDenseBoxRefinement()).toBe(false);
+            await expect(provider.enrichUncertain([{ title: 'x' }], 'book')).resolves.toEqual(['plain']);
+        });
+    });
+
+    describe('FixtureVisionProvider', () => {
+        it('replays recorded detections in capture order and normalizes them like Gemini', async () => {
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:01.000Z',
+                operation: 'detectShelfItems',
+                payload: { text: '```json\n[{"title":"Second","confidence":0.9}]\n```' },
+            });
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:00.000Z',
+                operation: 'detectShelfItems',
+                payload: { text: '[{"title":"First","author":"A. Writer","confidence":0.8,"box_2d":[10,20,300,400]}]' },
+            });
+            const provider = new FixtureVisionProvider({ fixtureDir, loop: false });
+
+            const first = await provider.extractItems('ignored', 'book');
+            const second = await provider.extractItems('ignored', 'book');
+
+            expect(first.items).toEqual([expect.objectContaining({
+                title: 'First',
+                primaryCreator: 'A. Writer',
+                kind: 'books',
+                confidence: 0.8,
+                extractionIndex: 0,
+                box2d: [10, 20, 300, 400],
+            })]);
+            expect(first.conversationHistory).toBeNull();
+            expect(second.items[0].title).toBe('Second');
+            await expect(provider.extractItems('ignored', 'book')).rejects.toThrow('No recorded detectShelfItems response');
+
+            provider.reset();
+            await expect(provider.extractItems('ignored', 'book')).resolves.toEqual(
+                expect.objectContaining({ items: [expect.objectContaining({ title: 'First' })] }),
+            );
+        });
+
+        it('loops recordings by default and ignores non-Gemini payload logs', async () => {
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:00.000Z',
+                operation: 'scout',
+                payload: { responsePreview: '{"regions":[]}' },
+            });
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:01.000Z',
+                source: 'google-cloud-vision',
+                operation: 'scout',
+                payload: { text: 'not replayed' },
+            });
+            const provider = new FixtureVisionProvider({ fixtureDir });
+
+            await expect(provider.scout('img', 'prompt')).resolves.toBe('{"regions":[]}');
+            await expect(provider.scout('img', 'prompt')).resolves.toBe('{"regions":[]}');
+        });
+
+        it('replays enrichment with Gemini source tags and leaves items unenriched without a recording', async () => {
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:00.000Z',
+                source: 'google-gemini',
+                operation: 'generateContentUncertain',
+                payload: { text: '[{"extractionIndex":3,"title":"Dune","publishers":"Chilton"}]' },
+            });
+            const provider = new FixtureVisionProvider({ fixtureDir });
+
+            const uncertain = await provider.enrichUncertain([{ title: 'Dun', extractionIndex: 3 }], 'book');
+            const unresolved = await provider.enrichUnresolved([{ title: 'Other' }], 'book');
+
+            expect(uncertain).toEqual([expect.objectContaining({
+                extractionIndex: 3,
+                title: 'Dune',
+                kind: 'books',
+                publishers: ['Chilton'],
+                identifiers: {},
+                source: 'gemini-uncertain-enriched',
+            })]);
+            expect(unresolved).toEqual([]);
+        });
+
+        it('merges recorded dense refinement batches for the requested items', async () => {
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:00.000Z',
+                operation: 'refineDenseItemBoxes',
+                payload: { batchIndex: 0, text: '[{"extractionIndex":0,"box_2d":[1,2,3,4]}]' },
+            });
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:01.000Z',
+                operation: 'refineDenseItemBoxes',
+                payload: { batchIndex: 1, text: '[{"extractionIndex":1,"box_2d":[5,6,7,8]},{"extractionIndex":9,"box_2d":[1,1,2,2]}]' },
+            });
+            const provider = new FixtureVisionProvider({ fixtureDir });
+
+            const result = await provider.refineDenseItemBoxes('img', 'other', [
+                { extractionIndex: 0 },
+                { extractionIndex: 1 },
+            ]);
+
+            expect([...result.boxes.entries()]).toEqual([
+                [0, [1, 2, 3, 4]],
+                [1, [5, 6, 7, 8]],
+            ]);
+        });
+    });
+
+    describe('offline pipeline run', () => {
+        it('runs processImage end to end through saveToShelf and the review queue', async () => {
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:00.000Z',
+                operation: 'scout',
+                payload: {
+                    text: JSON.stringify({
+                        full_image_estimated_item_count: 2,
+                        full_image_has_more_than_ten: false,
+                        regions: [{ region_box_2d: [0, 0, 1000, 1000], confidence: 0.9, estimated_item_count: 2, has_more_than_ten: false }],
+                    }),
+                },
+            });
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:01.000Z',
+                operation: 'detectShelfItems',
+                payload: {
+                    text: JSON.stringify([
+                        { title: 'Dune', author: 'Frank Herbert', confidence: 0.95 },
+                        { title: 'Smudged Spine', confidence: 0.3 },
+                    ]),
+                },
+            });
+            writeRecording(fixtureDir, {
+                timestamp: '2026-04-02T10:00:02.000Z',
+                source: 'google-gemini',
+                operation: 'generateContent',
+                payload: {
+                    text: JSON.stringify([
+                        { extractionIndex: 0, title: 'Dune', primaryCreator: 'Frank Herbert', confidence: 0.95 },
+                    ]),
+                },
+            });
+
+            getMetadataScorer.mockReturnValue({
+                scoreAsync: jest.fn().mockResolvedValue({ score: 50, maxScore: 100, missing: [] }),
+            });
+            collectablesQueries.findByFingerprint.mockResolvedValue(null);
+            collectablesQueries.findByLightweightFingerprint.mockResolvedValue(null);
+            collectablesQueries.findByFuzzyFingerprint.mockResolvedValue(null);
+            collectablesQueries.upsert.mockResolvedValue({ id: 321, title: 'Dune', kind: 'book' });
+            shelvesQueries.addCollectable.mockResolvedValue({ id: 654 });
+
+            const service = new VisionPipelineService({
+                visionProvider: createVisionProvider({ provider: 'fixture', fixtureDir }),
+            });
+            service.resolveCatalogServiceForShelf = jest.fn().mockReturnValue(null);
+
+            const result = await service.processImage('base64', { id: 1, type: 'book' }, 100);
+
+            expect(service.geminiService).toBeNull();
+            expect(result.results.added).toBe(1);
+            expect(result.results.needsReview).toBe(1);
+            expect(collectablesQueries.upsert).toHaveBeenCalledWith(
+                expect.objectContaining({ title: 'Dune' }),
+                expect.anything(),
+            );
+            expect(needsReviewQueries.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    rawData: expect.objectContaining({ title: 'Smudged Spine' }),
+                }),
+                expect.anything(),
+            );
+        });
+    });
+});
@@ -1,6 +1,25 @@
+jest.mock('../services/config/SystemSettingsCache', () => {
+  const get = jest.fn().mockResolvedValue(null);
+  return {
+    getSystemSettingsCache: () => ({ get }),
+    __get: get,
+  };
+});
+
 const { query } = require('../database/pg');
+const { __get: settingsGet } = require('../services/config/SystemSettingsCache');
 const visionQuotaQueries = require('../database/queries/visionQuota');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function mockQueries({ user = { is_premium: true, unlimited_vision_tokens: false }, quota = null } = {}) {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM users')) return { rows: user ? [user] : [], rowCount: user ? 1 : 0 };
+    if (sql.includes('FROM user_vision_quota')) return { rows: quota ? [quota] : [], rowCount: quota ? 1 : 0 };
+    return { rows: [], rowCount: 0 };
+  });
+}
+
 describe('visionQuotaQueries.setQuota', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -56,8 +75,168 @@ describe('visionQuotaQueries.logTokenCalls', () => {
 
     expect(query).toHaveBeenCalledWith(
       expect.stringContaining('INSERT INTO vision_token_log'),
-      ['user-1', 'job-1', 'job_total', 150, 30, 180],
+      ['user-1', 'job-1', 'job_total', 150, 30, 180, null],
     );
     expect(query).toHaveBeenCalledTimes(1);
   });
+
+  it('records the scanned shelf for usage history', async () => {
+    await visionQuotaQueries.logTokenCalls('user-1', 'job-2', [{ totalTokens: 10 }], { shelfId: 12 });
+
+    expect(query).toHaveBeenCalledWith(
+      expect.stringContaining('shelf_id'),
+      ['user-1', 'job-2', 'job_total', 0, 0, 10, 12],
+    );
+  });
+});
+
+describe('visionQuotaQueries.getQuota', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    settingsGet.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    query.mockReset();
+    query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  it('applies the premium plan and reports the most constrained allowance', async () => {
+    settingsGet.mockImplementation(async (key) => (key === 'vision_quota_plans'
+      ? { premium: { monthlyScans: 10, monthlyTokens: 1000, maxOutputTokens: 500 } }
+      : null));
+    mockQueries({
+      quota: {
+        user_id: 'user-1',
+        scans_used: 8,
+        tokens_used: '200',
+        output_tokens_used: '50',
+        rollover_scans: 0,
+        warned_threshold: 0,
+        period_start: new Date(Date.now() - (2 * DAY_MS)).toISOString(),
+      },
+    });
+
+    const quota = await visionQuotaQueries.getQuota('user-1');
+
+    expect(quota).toEqual(expect.objectContaining({
+      plan: 'premium',
+      unlimited: false,
+      scansUsed: 8,
+      scansRemaining: 2,
+      monthlyLimit: 10,
+      tokensRemaining: 800,
+      percentUsed: 80,
+      warningLevel: 'warning',
+      daysRemaining: 28,
+    }));
+  });
+
+  it('carries unused scans into a new period when the plan allows rollover', async () => {
+    settingsGet.mockImplementation(async (key) => (key === 'vision_quota_plans'
+      ? { premium: { monthlyScans: 10, rollover: true, maxRolloverScans: 5 } }
+      : null));
+    mockQueries({
+      quota: {
+        user_id: 'user-1',
+        scans_used: 3,
+        tokens_used: '100',
+        output_tokens_used: '10',
+        rollover_scans: 1,
+        warned_threshold: 80,
+        period_start: new Date(Date.now() - (31 * DAY_MS)).toISOString(),
+      },
+    });
+
+    const quota = await visionQuotaQueries.getQuota('user-1');
+
+    expect(query).toHaveBeenCalledWith(
+      expect.stringContaining('rollover_scans = $2, warned_threshold = 0'),
+      ['user-1', 5],
+    );
+    expect(quota).toEqual(expect.objectContaining({
+      scansUsed: 0,
+      rolloverScans: 5,
+      scanLimit: 15,
+      scansRemaining: 15,
+      warnedThreshold: 0,
+    }));
+  });
+
+  it('reports no limits on the unlimited plan', async () => {
+    mockQueries({ user: { is_premium: true, unlimited_vision_tokens: true } });
+
+    const quota = await visionQuotaQueries.getQuota('user-1');
+
+    expect(quota).toEqual(expect.objectContaining({
+      plan: 'unlimited',
+      unlimited: true,
+      scansRemaining: null,
+      tokenLimit: null,
+      percentUsed: 0,
+      warningLevel: null,
+    }));
+  });
+});
+
+describe('visionQuotaQueries.claimUsageThreshold', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('only claims a threshold above the one already warned about', async () => {
+    query.mockResolvedValueOnce({ rows: [{ warned_threshold: 80 }], rowCount: 1 });
+    await expect(visionQuotaQueries.claimUsageThreshold('user-1', 80)).resolves.toBe(true);
+    expect(query).toHaveBeenCalledWith(
+      expect.stringContaining('warned_threshold < $2'),
+      ['user-1', 80],
+    );
+
+    query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+    await expect(visionQuotaQueries.claimUsageThreshold('user-1', 80)).resolves.toBe(false);
+  });
+});
+
+describe('visionQuotaQueries.incrementTokenUsage', () => {
+  const existing = { scans_used: 4, tokens_used: 1000, output_tokens_used: 100 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users')) return { rows: [{ is_premium: true, unlimited_vision_tokens: false }], rowCount: 1 };
+      if (sql.includes('INSERT INTO user_vision_quota')) {
+        const scanIncrement = params[5];
+        return {
+          rows: [{
+            scans_used: existing.scans_used + scanIncrement,
+            tokens_used: existing.tokens_used + params[1],
+            output_tokens_used: existing.output_tokens_used + params[2],
+            rollover_scans: 0,
+            warned_threshold: 0,
+            period_start: new Date(),
+          }],
+          rowCount: 1,
+        };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+  });
+
+  it('counts a scan for full scans', async () => {
+    const quota = await visionQuotaQueries.incrementTokenUsage('user-1', 50, 5);
+
+    expect(quota.scansUsed).toBe(5);
+    expect(quota.tokensUsed).toBe(1050);
+  });
+
+  it('adds tokens without changing scans_used when countScan is false', async () => {
+    const quota = await visionQuotaQueries.incrementTokenUsage('user-1', 50, 5, { countScan: false });
+
+    const [sql, params] = query.mock.calls.find(([text]) => text.includes('INSERT INTO user_vision_quota'));
+    expect(sql).toContain('user_vision_quota.scans_used + $6::int');
+    expect(params[5]).toBe(0);
+    expect(quota.scansUsed).toBe(4);
+    expect(quota.tokensUsed).toBe(1050);
+    expect(quota.outputTokensUsed).toBe(105);
+  });
 });
@@ -0,0 +1,46 @@
+const {
+  resolveVisionPlans,
+  resolveVisionPlanKey,
+  computeRolloverScans,
+  describeVisionUsage,
+} = require('../services/visionQuotaPlans');
+
+describe('visionQuotaPlans', () => {
+  it('merges configured tiers over the defaults and ignores unknown ones', () => {
+    const plans = resolveVisionPlans({
+      free: { monthlyScans: 3, monthlyTokens: 20000 },
+      premium: { rollover: true, maxRolloverScans: 10 },
+      enterprise: { monthlyScans: 999 },
+    }, { legacyMonthlyQuota: 40 });
+
+    expect(Object.keys(plans)).toEqual(['free', 'premium', 'unlimited']);
+    expect(plans.free).toEqual(expect.objectContaining({ key: 'free', monthlyScans: 3, monthlyTokens: 20000, rollover: false }));
+    expect(plans.premium).toEqual(expect.objectContaining({ monthlyScans: 40, rollover: true, maxRolloverScans: 10 }));
+    expect(plans.unlimited).toEqual(expect.objectContaining({ unlimited: true, monthlyScans: null }));
+  });
+
+  it('picks the plan from account flags', () => {
+    expect(resolveVisionPlanKey({ isPremium: true, unlimitedVisionTokens: true })).toBe('unlimited');
+    expect(resolveVisionPlanKey({ isPremium: true })).toBe('premium');
+    expect(resolveVisionPlanKey({})).toBe('free');
+  });
+
+  it('caps rollover and skips it when the plan does not allow it', () => {
+    const plan = { monthlyScans: 10, rollover: true, maxRolloverScans: 4, unlimited: false };
+    expect(computeRolloverScans(plan, { scansUsed: 2, rolloverScans: 0 })).toBe(4);
+    expect(computeRolloverScans(plan, { scansUsed: 9, rolloverScans: 1 })).toBe(2);
+    expect(computeRolloverScans(plan, { scansUsed: 15, rolloverScans: 0 })).toBe(0);
+    expect(computeRolloverScans({ ...plan, rollover: false }, { scansUsed: 0 })).toBe(0);
+  });
+
+  it('reports warning thresholds from the most used allowance', () => {
+    const plan = { monthlyScans: 10, monthlyTokens: 1000, maxOutputTokens: 100, unlimited: false };
+    expect(describeVisionUsage(plan, { scansUsed: 1, scanLimit: 10, tokensUsed: 100, outputTokensUsed: 10 }))
+      .toEqual({ percentUsed: 10, threshold: 0, warningLevel: null });
+    expect(describeVisionUsage(plan, { scansUsed: 1, scanLimit: 10, tokensUsed: 850 }))
+      .toEqual({ percentUsed: 85, threshold: 80, warningLevel: 'warning' });
+    expect(describeVisionUsage(plan, { scansUsed: 10, scanLimit: 10 }))
+      .toEqual({ percentUsed: 100, threshold: 100, warningLevel: 'exceeded' });
+    expect(describeVisionUsage({ unlimited: true }, { scansUsed: 500 }).warningLevel).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+const { buildRescanDiff } = require('../services/visionRescanDiff');
+
+function placed(collectionItemId, row, rowPosition, position, extra = {}) {
+  return { collectionItemId, row, rowPosition, position, ...extra };
+}
+
+describe('visionRescanDiff', () => {
+  it('splits items into new, missing and unchanged', () => {
+    const diff = buildRescanDiff({
+      previous: [placed(1, 1, 1, 1, { title: 'Dune' }), placed(2, 1, 2, 2, { title: 'Hyperion' })],
+      current: [placed(1, 1, 1, 1, { regionId: 11 }), placed(3, 1, 2, 2, { regionId: 13, scanPhotoId: 9 })],
+    });
+
+    expect(diff.newItems).toEqual([{
+      collectionItemId: 3,
+      title: null,
+      primaryCreator: null,
+      regionId: 13,
+      scanPhotoId: 9,
+      to: { row: 1, rowPosition: 2, position: 2 },
+    }]);
+    expect(diff.missingItems).toEqual([{
+      collectionItemId: 2,
+      title: 'Hyperion',
+      primaryCreator: null,
+      from: { row: 1, rowPosition: 2, position: 2 },
+    }]);
+    expect(diff.movedItems).toEqual([]);
+    expect(diff.unchangedCount).toBe(1);
+  });
+
+  it('does not flag items after a removed one as moved', () => {
+    const diff = buildRescanDiff({
+      previous: [placed(1, 1, 1, 1), placed(2, 1, 2, 2), placed(3, 1, 3, 3), placed(4, 1, 4, 4)],
+      current: [placed(1, 1, 1, 1), placed(3, 1, 2, 2), placed(4, 1, 3, 3)],
+    });
+
+    expect(diff.missingItems.map((item) => item.collectionItemId)).toEqual([2]);
+    expect(diff.movedItems).toEqual([]);
+    expect(diff.unchangedCount).toBe(3);
+  });
+
+  it('reports only the item that was reshelved out of order', () => {
+    const diff = buildRescanDiff({
+      previous: [placed(1, 1, 1, 1), placed(2, 1, 2, 2), placed(3, 1, 3, 3), placed(4, 1, 4, 4)],
+      current: [placed(2, 1, 1, 1), placed(3, 1, 2, 2), placed(4, 1, 3, 3), placed(1, 1, 4, 4, { title: 'Dune' })],
+    });
+
+    expect(diff.movedItems).toEqual([expect.objectContaining({
+      collectionItemId: 1,
+      title: 'Dune',
+      from: { row: 1, rowPosition: 1, position: 1 },
+      to: { row: 1, rowPosition: 4, position: 4 },
+    })]);
+    expect(diff.unchangedCount).toBe(3);
+  });
+
+  it('treats a change of row as a move', () => {
+    const diff = buildRescanDiff({
+      previous: [placed(1, 1, 1, 1), placed(2, 1, 2, 2)],
+      current: [placed(1, 1, 1, 1), placed(2, 2, 1, 2)],
+    });
+
+    expect(diff.movedItems.map((item) => [item.collectionItemId, item.from.row, item.to.row])).toEqual([[2, 1, 2]]);
+  });
+
+  it('does not call items without a previous placement moved', () => {
+    const diff = buildRescanDiff({
+      previous: [{ collectionItemId: 1, position: null, row: null, rowPosition: null }, placed(2, 1, 1, 1)],
+      current: [placed(1, 1, 1, 1), placed(2, 1, 2, 2)],
+    });
+
+    expect(diff.movedItems).toEqual([]);
+    expect(diff.unchangedCount).toBe(2);
+  });
+});
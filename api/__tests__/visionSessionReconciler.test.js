@@ -0,0 +1,108 @@
+const {
+  SESSION_INDEX_STRIDE,
+  toSessionExtractionIndex,
+  fromSessionExtractionIndex,
+  areRegionsAdjacent,
+  reconcileSessionDetections,
+} = require('../services/visionSessionReconciler');
+
+function detection(title, photo, box2d, extra = {}) {
+  return {
+    title,
+    author: 'Same Author',
+    confidence: 0.9,
+    sessionPhotoIndex: photo,
+    box2d,
+    ...extra,
+  };
+}
+
+describe('visionSessionReconciler', () => {
+  describe('session extraction indexes', () => {
+    it('round-trips photo position and local index', () => {
+      const sessionIndex = toSessionExtractionIndex(2, 17);
+      expect(sessionIndex).toBe((2 * SESSION_INDEX_STRIDE) + 17);
+      expect(fromSessionExtractionIndex(sessionIndex)).toEqual({ photoPosition: 2, extractionIndex: 17 });
+    });
+
+    it('rejects indexes that would overflow into the next photo', () => {
+      expect(toSessionExtractionIndex(0, SESSION_INDEX_STRIDE)).toBeNull();
+      expect(toSessionExtractionIndex(-1, 0)).toBeNull();
+      expect(fromSessionExtractionIndex(-5)).toBeNull();
+    });
+  });
+
+  describe('areRegionsAdjacent', () => {
+    it('matches the right edge of one photo with the left edge of the next', () => {
+      expect(areRegionsAdjacent([100, 850, 900, 990], [100, 5, 900, 120])).toBe(true);
+    });
+
+    it('does not match items in the middle of both photos', () => {
+      expect(areRegionsAdjacent([100, 400, 900, 500], [100, 450, 900, 550])).toBe(false);
+    });
+
+    it('only compares the configured pan axis', () => {
+      expect(areRegionsAdjacent([850, 400, 990, 500], [5, 400, 120, 500])).toBe(false);
+      expect(areRegionsAdjacent([850, 400, 990, 500], [5, 400, 120, 500], { panAxis: 'vertical' })).toBe(true);
+    });
+
+    it('falls back to adjacency when a box is missing', () => {
+      expect(areRegionsAdjacent(null, [100, 400, 900, 500])).toBe(true);
+    });
+  });
+
+  describe('reconcileSessionDetections', () => {
+    it('drops the lower-confidence copy of an item straddling two photos', () => {
+      const left = detection('Dune', 0, [100, 880, 900, 995], { confidence: 0.8 });
+      const right = detection('Dune', 1, [100, 0, 900, 90], { confidence: 0.95 });
+
+      const result = reconcileSessionDetections([left, right], { shelfType: 'books' });
+
+      expect(result.detections).toEqual([right]);
+      expect(result.mergedCount).toBe(1);
+      expect(result.merges).toEqual([{ kept: right, dropped: left }]);
+    });
+
+    it('keeps same-title items that are not in the overlap band', () => {
+      const first = detection('Dune', 0, [100, 100, 900, 200]);
+      const second = detection('Dune', 1, [100, 600, 900, 700]);
+
+      const result = reconcileSessionDetections([first, second], { shelfType: 'books' });
+
+      expect(result.detections).toHaveLength(2);
+      expect(result.mergedCount).toBe(0);
+    });
+
+    it('keeps same-title items from photos that are not neighbours', () => {
+      const first = detection('Dune', 0, [100, 900, 900, 999]);
+      const third = detection('Dune', 2, [100, 0, 900, 90]);
+
+      const result = reconcileSessionDetections([first, third], { shelfType: 'books' });
+
+      expect(result.detections).toHaveLength(2);
+    });
+
+    it('chains an item seen across three photos into one survivor', () => {
+      const a = detection('Dune', 0, [100, 900, 900, 999], { confidence: 0.7 });
+      const b = detection('Dune', 1, [100, 0, 900, 999], { confidence: 0.99 });
+      const c = detection('Dune', 2, [100, 0, 900, 80], { confidence: 0.8 });
+
+      const result = reconcileSessionDetections([a, b, c], { shelfType: 'books' });
+
+      expect(result.detections).toEqual([b]);
+      expect(result.merges).toEqual([
+        { kept: b, dropped: a },
+        { kept: b, dropped: c },
+      ]);
+    });
+
+    it('passes through items without a usable fingerprint', () => {
+      const untitled = detection('', 0, [100, 900, 900, 999]);
+      const untitledNext = detection('', 1, [100, 0, 900, 80]);
+
+      const result = reconcileSessionDetections([untitled, untitledNext]);
+
+      expect(result.detections).toHaveLength(2);
+    });
+  });
+});
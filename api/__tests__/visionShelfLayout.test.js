@@ -0,0 +1,97 @@
+const {
+  buildScanRows,
+  buildShelfPlacements,
+} = require('../services/visionShelfLayout');
+
+function region(id, box2d, collectionItemId = id * 10) {
+  return { id, box2d, collectionItemId };
+}
+
+describe('visionShelfLayout', () => {
+  describe('buildScanRows', () => {
+    it('groups boxes into rows top to bottom and orders each row left to right', () => {
+      const { rows, unplaced } = buildScanRows([
+        region(1, [520, 300, 950, 360]),
+        region(2, [40, 400, 470, 460]),
+        region(3, [30, 100, 480, 160]),
+        region(4, [510, 50, 960, 110]),
+      ]);
+
+      expect(rows.map((row) => row.map((entry) => entry.id))).toEqual([[3, 2], [4, 1]]);
+      expect(unplaced).toEqual([]);
+    });
+
+    it('keeps flat-stacked items in the row of the spines beside them', () => {
+      const { rows } = buildScanRows([
+        region(1, [50, 100, 450, 150]),
+        region(2, [350, 200, 400, 400]),
+        region(3, [400, 200, 450, 400]),
+        region(4, [60, 450, 450, 500]),
+      ]);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].map((entry) => entry.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('does not merge rows when a spine pokes past the shelf board', () => {
+      const { rows } = buildScanRows([
+        region(1, [50, 100, 540, 150]),
+        region(2, [40, 200, 480, 250]),
+        region(3, [510, 100, 950, 150]),
+      ]);
+
+      expect(rows.map((row) => row.map((entry) => entry.id))).toEqual([[1, 2], [3]]);
+    });
+
+    it('returns regions without a usable box as unplaced', () => {
+      const { rows, unplaced } = buildScanRows([
+        region(1, [50, 100, 450, 150]),
+        region(2, null),
+        region(3, [400, 200, 100, 300]),
+      ]);
+
+      expect(rows).toEqual([[expect.objectContaining({ id: 1 })]]);
+      expect(unplaced.map((entry) => entry.id)).toEqual([2, 3]);
+    });
+  });
+
+  describe('buildShelfPlacements', () => {
+    it('numbers linked items row by row and skips unlinked regions', () => {
+      const placements = buildShelfPlacements([{
+        scanPhotoId: 7,
+        regions: [
+          region(1, [50, 300, 450, 350]),
+          region(2, [50, 100, 450, 150]),
+          region(3, [500, 100, 950, 150], null),
+          region(4, [520, 400, 940, 450]),
+        ],
+      }]);
+
+      expect(placements).toEqual([
+        { collectionItemId: 20, regionId: 2, scanPhotoId: 7, row: 1, rowPosition: 1, position: 1 },
+        { collectionItemId: 10, regionId: 1, scanPhotoId: 7, row: 1, rowPosition: 2, position: 2 },
+        { collectionItemId: 40, regionId: 4, scanPhotoId: 7, row: 2, rowPosition: 1, position: 3 },
+      ]);
+    });
+
+    it('continues rows into the next photo of a horizontal pan and keeps the first sighting', () => {
+      const placements = buildShelfPlacements([
+        { scanPhotoId: 1, regions: [region(1, [50, 100, 450, 150]), region(2, [50, 900, 450, 980], 99)] },
+        { scanPhotoId: 2, regions: [region(3, [50, 20, 450, 90], 99), region(4, [50, 300, 450, 350])] },
+      ]);
+
+      expect(placements.map((entry) => [entry.collectionItemId, entry.row, entry.rowPosition, entry.scanPhotoId]))
+        .toEqual([[10, 1, 1, 1], [99, 1, 2, 1], [40, 1, 3, 2]]);
+    });
+
+    it('stacks rows of the next photo below on a vertical pan', () => {
+      const placements = buildShelfPlacements([
+        { scanPhotoId: 1, regions: [region(1, [50, 100, 450, 150])] },
+        { scanPhotoId: 2, regions: [region(2, [50, 100, 450, 150])] },
+      ], { panAxis: 'vertical' });
+
+      expect(placements.map((entry) => [entry.collectionItemId, entry.row, entry.position]))
+        .toEqual([[10, 1, 1], [20, 2, 2]]);
+    });
+  });
+});
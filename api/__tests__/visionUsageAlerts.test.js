@@ -0,0 +1,59 @@
+jest.mock('../database/queries/visionQuota', () => ({
+  claimUsageThreshold: jest.fn(),
+}));
+jest.mock('../database/queries/notifications', () => ({
+  create: jest.fn(),
+}));
+
+const visionQuotaQueries = require('../database/queries/visionQuota');
+const notificationsQueries = require('../database/queries/notifications');
+const { notifyVisionUsageThreshold } = require('../services/visionUsageAlerts');
+
+describe('notifyVisionUsageThreshold', () => {
+  const quota = {
+    plan: 'premium',
+    unlimited: false,
+    percentUsed: 84,
+    warningLevel: 'warning',
+    warnedThreshold: 0,
+    periodStart: '2026-04-01T00:00:00.000Z',
+    daysRemaining: 9,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('notifies once when usage crosses a new threshold', async () => {
+    visionQuotaQueries.claimUsageThreshold.mockResolvedValue(true);
+
+    await expect(notifyVisionUsageThreshold({ userId: 'user-1', quota })).resolves.toBe(80);
+
+    expect(visionQuotaQueries.claimUsageThreshold).toHaveBeenCalledWith('user-1', 80);
+    expect(notificationsQueries.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      type: 'vision_quota_warning',
+      entityType: 'vision_quota',
+      entityId: '2026-04-01T00:00:00.000Z:80',
+      metadata: expect.objectContaining({ threshold: 80, percentUsed: 84 }),
+    }));
+  });
+
+  it('skips thresholds already warned about or claimed elsewhere', async () => {
+    await notifyVisionUsageThreshold({ userId: 'user-1', quota: { ...quota, warnedThreshold: 80 } });
+    expect(visionQuotaQueries.claimUsageThreshold).not.toHaveBeenCalled();
+
+    visionQuotaQueries.claimUsageThreshold.mockResolvedValue(false);
+    await expect(notifyVisionUsageThreshold({
+      userId: 'user-1',
+      quota: { ...quota, warningLevel: 'exceeded', warnedThreshold: 80 },
+    })).resolves.toBeNull();
+    expect(notificationsQueries.create).not.toHaveBeenCalled();
+  });
+
+  it('ignores unlimited plans and missing usage', async () => {
+    await expect(notifyVisionUsageThreshold({ userId: 'user-1', quota: null })).resolves.toBeNull();
+    await expect(notifyVisionUsageThreshold({ userId: 'user-1', quota: { ...quota, unlimited: true } })).resolves.toBeNull();
+    expect(visionQuotaQueries.claimUsageThreshold).not.toHaveBeenCalled();
+  });
+});
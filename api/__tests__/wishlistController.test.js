@@ -0,0 +1,312 @@
+jest.mock('../database/queries/wishlists', () => ({
+  getById: jest.fn(),
+  getForViewing: jest.fn(),
+  getOwnerId: jest.fn(),
+  getItems: jest.fn(),
+  updateItemWatch: jest.fn(),
+  getItem: jest.fn(),
+  listReservations: jest.fn(),
+  listReceivedReservations: jest.fn(),
+  reserveItem: jest.fn(),
+  cancelReservation: jest.fn(),
+  listOwners: jest.fn(),
+  addOwner: jest.fn(),
+  removeOwner: jest.fn(),
+  remove: jest.fn(),
+}));
+jest.mock('../database/queries/friendships', () => ({
+  areFriends: jest.fn(),
+}));
+jest.mock('../utils/userBlockAccess', () => ({
+  ensureUsersNotBlocked: jest.fn().mockResolvedValue(true),
+}));
+
+const wishlistsQueries = require('../database/queries/wishlists');
+const friendshipsQueries = require('../database/queries/friendships');
+const wishlistController = require('../controllers/wishlistController');
+
+function createReq(overrides = {}) {
+  return {
+    params: { id: '3', itemId: '12' },
+    body: {},
+    query: {},
+    user: { id: 'user-1' },
+    ...overrides,
+  };
+}
+
+function createRes() {
+  const res = {
+    json: jest.fn(),
+    status: jest.fn(),
+  };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+const watchedItem = {
+  id: 12,
+  wishlistId: 3,
+  collectableTitle: 'Dune',
+  watch: true,
+  alertsMuted: false,
+  targetPrice: '20.00',
+  lastAlertType: 'price_drop',
+  lastAlertDetails: { marketValue: '$18' },
+  lastAlertAt: '2026-04-17T04:45:00.000Z',
+};
+
+describe('wishlistController.updateItemWatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wishlistsQueries.getById.mockResolvedValue({ id: 3, userId: 'user-1' });
+    wishlistsQueries.updateItemWatch.mockResolvedValue({ id: 12, watch: true });
+  });
+
+  it('updates watch, mute and a rounded target price', async () => {
+    const res = createRes();
+
+    await wishlistController.updateItemWatch(createReq({ body: { watch: true, muted: false, targetPrice: '19.999' } }), res);
+
+    expect(wishlistsQueries.updateItemWatch).toHaveBeenCalledWith(12, 3, {
+      watch: true,
+      alertsMuted: false,
+      targetPrice: 20,
+    });
+    expect(res.json).toHaveBeenCalledWith({ item: { id: 12, watch: true } });
+  });
+
+  it('clears the target price with null', async () => {
+    await wishlistController.updateItemWatch(createReq({ body: { targetPrice: null } }), createRes());
+
+    expect(wishlistsQueries.updateItemWatch).toHaveBeenCalledWith(12, 3, {
+      watch: undefined,
+      alertsMuted: undefined,
+      targetPrice: null,
+    });
+  });
+
+  it('rejects invalid input', async () => {
+    const badWatch = createRes();
+    await wishlistController.updateItemWatch(createReq({ body: { watch: 'yes' } }), badWatch);
+    expect(badWatch.status).toHaveBeenCalledWith(400);
+
+    const badPrice = createRes();
+    await wishlistController.updateItemWatch(createReq({ body: { targetPrice: -5 } }), badPrice);
+    expect(badPrice.status).toHaveBeenCalledWith(400);
+
+    const empty = createRes();
+    await wishlistController.updateItemWatch(createReq({ body: {} }), empty);
+    expect(empty.status).toHaveBeenCalledWith(400);
+
+    expect(wishlistsQueries.updateItemWatch).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for wishlists the user does not own', async () => {
+    wishlistsQueries.getById.mockResolvedValue(null);
+    const res = createRes();
+
+    await wishlistController.updateItemWatch(createReq({ body: { watch: true } }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(wishlistsQueries.updateItemWatch).not.toHaveBeenCalled();
+  });
+});
+
+describe('wishlistController.getWishlist', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wishlistsQueries.getItems.mockResolvedValue([watchedItem]);
+  });
+
+  it('returns watch settings to the owner', async () => {
+    wishlistsQueries.getById.mockResolvedValue({ id: 3, userId: 'user-1' });
+    const res = createRes();
+
+    await wishlistController.getWishlist(createReq(), res);
+
+    expect(res.json.mock.calls[0][0].items[0]).toEqual(watchedItem);
+    expect(res.json.mock.calls[0][0].isCreator).toBe(true);
+  });
+
+  it('treats co-owners as owners but not creators', async () => {
+    wishlistsQueries.getById.mockResolvedValue({ id: 3, userId: 'owner-1', giftMode: true });
+    const res = createRes();
+
+    await wishlistController.getWishlist(createReq(), res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ isOwner: true, isCreator: false });
+    expect(wishlistsQueries.listReservations).not.toHaveBeenCalled();
+  });
+
+  it('never shows owners open reservations, but names the gifter once received', async () => {
+    wishlistsQueries.getById.mockResolvedValue({ id: 3, userId: 'user-1', giftMode: true });
+    wishlistsQueries.getItems.mockResolvedValue([
+      { id: 12, wishlistId: 3, receivedAt: null },
+      { id: 13, wishlistId: 3, receivedAt: '2026-04-18T10:00:00.000Z' },
+    ]);
+    wishlistsQueries.listReceivedReservations.mockResolvedValue([
+      { wishlistItemId: 13, userId: 'friend-1', username: 'sam', firstName: 'Sam' },
+    ]);
+    const res = createRes();
+
+    await wishlistController.getWishlist(createReq(), res);
+
+    const { items } = res.json.mock.calls[0][0];
+    expect(items[0]).toEqual({ id: 12, wishlistId: 3, receivedAt: null });
+    expect(items[1].receivedFrom).toEqual({ id: 'friend-1', username: 'sam', firstName: 'Sam' });
+    expect(wishlistsQueries.listReservations).not.toHaveBeenCalled();
+  });
+
+  it('shows reservation state to gift-mode viewers', async () => {
+    wishlistsQueries.getById.mockResolvedValue(null);
+    wishlistsQueries.getOwnerId.mockResolvedValue('owner-1');
+    wishlistsQueries.getForViewing.mockResolvedValue({ id: 3, userId: 'owner-1', giftMode: true });
+    wishlistsQueries.getItems.mockResolvedValue([{ id: 12, wishlistId: 3 }, { id: 13, wishlistId: 3 }]);
+    wishlistsQueries.listReservations.mockResolvedValue([
+      { wishlistItemId: 12, userId: 'user-1', username: 'me', firstName: 'Me', note: 'blue one' },
+      { wishlistItemId: 13, userId: 'friend-2', username: 'kim', firstName: 'Kim', note: 'secret' },
+    ]);
+    const res = createRes();
+
+    await wishlistController.getWishlist(createReq(), res);
+
+    const { items } = res.json.mock.calls[0][0];
+    expect(items[0].reservation).toEqual({
+      reserved: true,
+      reservedByMe: true,
+      reservedBy: { id: 'user-1', username: 'me', firstName: 'Me' },
+      note: 'blue one',
+    });
+    expect(items[1].reservation).toMatchObject({ reserved: true, reservedByMe: false, note: null });
+  });
+
+  it('hides watch settings from other viewers', async () => {
+    wishlistsQueries.getById.mockResolvedValue(null);
+    wishlistsQueries.getOwnerId.mockResolvedValue('owner-1');
+    wishlistsQueries.getForViewing.mockResolvedValue({ id: 3, userId: 'owner-1', visibility: 'public' });
+    const res = createRes();
+
+    await wishlistController.getWishlist(createReq(), res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.isOwner).toBe(false);
+    expect(body.items[0]).toEqual({ id: 12, wishlistId: 3, collectableTitle: 'Dune' });
+  });
+});
+
+describe('wishlistController.reserveItem', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wishlistsQueries.getById.mockResolvedValue(null);
+    wishlistsQueries.getOwnerId.mockResolvedValue('owner-1');
+    wishlistsQueries.getForViewing.mockResolvedValue({ id: 3, userId: 'owner-1', giftMode: true });
+    wishlistsQueries.getItem.mockResolvedValue({ id: 12, wishlistId: 3, receivedAt: null });
+    wishlistsQueries.reserveItem.mockResolvedValue({ id: 5, wishlistItemId: 12, userId: 'user-1' });
+  });
+
+  it('reserves an item on a friend\'s gift wishlist', async () => {
+    const res = createRes();
+
+    await wishlistController.reserveItem(createReq({ body: { note: ' the blue one ' } }), res);
+
+    expect(wishlistsQueries.reserveItem).toHaveBeenCalledWith(12, 'user-1', 'the blue one');
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('refuses owners, non-gift wishlists, received and taken items', async () => {
+    wishlistsQueries.getById.mockResolvedValueOnce({ id: 3, userId: 'user-1' });
+    const owner = createRes();
+    await wishlistController.reserveItem(createReq(), owner);
+    expect(owner.status).toHaveBeenCalledWith(403);
+
+    wishlistsQueries.getForViewing.mockResolvedValueOnce({ id: 3, userId: 'owner-1', giftMode: false });
+    const notGift = createRes();
+    await wishlistController.reserveItem(createReq(), notGift);
+    expect(notGift.status).toHaveBeenCalledWith(409);
+
+    wishlistsQueries.getItem.mockResolvedValueOnce({ id: 12, receivedAt: '2026-04-18T10:00:00.000Z' });
+    const received = createRes();
+    await wishlistController.reserveItem(createReq(), received);
+    expect(received.status).toHaveBeenCalledWith(409);
+
+    wishlistsQueries.reserveItem.mockResolvedValueOnce(null);
+    const taken = createRes();
+    await wishlistController.reserveItem(createReq(), taken);
+    expect(taken.status).toHaveBeenCalledWith(409);
+    expect(taken.json).toHaveBeenCalledWith({ error: 'Item is already reserved' });
+  });
+
+  it('returns 404 for wishlists the user cannot view', async () => {
+    wishlistsQueries.getForViewing.mockResolvedValue(null);
+    const res = createRes();
+
+    await wishlistController.reserveItem(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(wishlistsQueries.reserveItem).not.toHaveBeenCalled();
+  });
+});
+
+describe('wishlistController co-owners', () => {
+  const ownerReq = (overrides = {}) => createReq({ params: { id: '3', userId: 'friend-1' }, ...overrides });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wishlistsQueries.getById.mockResolvedValue({ id: 3, userId: 'user-1' });
+    wishlistsQueries.addOwner.mockResolvedValue({ wishlistId: 3, userId: 'friend-1' });
+    wishlistsQueries.listOwners.mockResolvedValue([{ id: 'user-1', isCreator: true }, { id: 'friend-1', isCreator: false }]);
+    wishlistsQueries.removeOwner.mockResolvedValue(true);
+    friendshipsQueries.areFriends.mockResolvedValue(true);
+  });
+
+  it('lets the creator add a friend', async () => {
+    const res = createRes();
+
+    await wishlistController.addOwner(ownerReq({ body: { userId: 'friend-1' } }), res);
+
+    expect(wishlistsQueries.addOwner).toHaveBeenCalledWith(3, 'friend-1', 'user-1');
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('only adds friends, once, and only by the creator', async () => {
+    friendshipsQueries.areFriends.mockResolvedValueOnce(false);
+    const stranger = createRes();
+    await wishlistController.addOwner(ownerReq({ body: { userId: 'friend-1' } }), stranger);
+    expect(stranger.status).toHaveBeenCalledWith(403);
+
+    wishlistsQueries.addOwner.mockResolvedValueOnce(null);
+    const duplicate = createRes();
+    await wishlistController.addOwner(ownerReq({ body: { userId: 'friend-1' } }), duplicate);
+    expect(duplicate.status).toHaveBeenCalledWith(409);
+
+    wishlistsQueries.getById.mockResolvedValueOnce({ id: 3, userId: 'owner-1' });
+    const coOwner = createRes();
+    await wishlistController.addOwner(ownerReq({ body: { userId: 'friend-1' } }), coOwner);
+    expect(coOwner.status).toHaveBeenCalledWith(403);
+  });
+
+  it('lets a co-owner leave but not remove others', async () => {
+    wishlistsQueries.getById.mockResolvedValue({ id: 3, userId: 'owner-1' });
+
+    const other = createRes();
+    await wishlistController.removeOwner(ownerReq(), other);
+    expect(other.status).toHaveBeenCalledWith(403);
+
+    const leave = createRes();
+    await wishlistController.removeOwner(ownerReq({ params: { id: '3', userId: 'user-1' } }), leave);
+    expect(wishlistsQueries.removeOwner).toHaveBeenCalledWith(3, 'user-1');
+    expect(leave.json).toHaveBeenCalledWith({ success: true });
+  });
+
+  it('does not let co-owners delete the wishlist', async () => {
+    wishlistsQueries.getById.mockResolvedValue({ id: 3, userId: 'owner-1' });
+    const res = createRes();
+
+    await wishlistController.deleteWishlist(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(wishlistsQueries.remove).not.toHaveBeenCalled();
+  });
+});
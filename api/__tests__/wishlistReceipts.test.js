@@ -0,0 +1,38 @@
+jest.mock('../database/queries/wishlists', () => ({
+  markReceivedForCollectable: jest.fn(),
+}));
+
+const wishlistsQueries = require('../database/queries/wishlists');
+const { VisionPipelineHooks, HOOK_TYPES } = require('../services/visionPipelineHooks');
+const { markWishlistItemsReceived, registerWishlistReceiptHook } = require('../services/wishlistReceipts');
+
+describe('wishlistReceipts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wishlistsQueries.markReceivedForCollectable.mockResolvedValue([{ id: 12, wishlistId: 3 }]);
+  });
+
+  it('marks wishlist items for a shelved collectable received', async () => {
+    await expect(markWishlistItemsReceived('user-1', 40)).resolves.toEqual([{ id: 12, wishlistId: 3 }]);
+    expect(wishlistsQueries.markReceivedForCollectable).toHaveBeenCalledWith('user-1', 40);
+  });
+
+  it('skips missing ids and swallows query errors', async () => {
+    await expect(markWishlistItemsReceived('user-1', null)).resolves.toEqual([]);
+    expect(wishlistsQueries.markReceivedForCollectable).not.toHaveBeenCalled();
+
+    wishlistsQueries.markReceivedForCollectable.mockRejectedValueOnce(new Error('boom'));
+    await expect(markWishlistItemsReceived('user-1', 40)).resolves.toEqual([]);
+  });
+
+  it('runs after vision shelf upserts of catalog collectables', async () => {
+    const hooks = new VisionPipelineHooks({ enabled: true, logger: { warn: jest.fn() } });
+    registerWishlistReceiptHook(hooks);
+
+    await hooks.execute(HOOK_TYPES.AFTER_SHELF_UPSERT, { userId: 'user-1', shelfItem: { id: 9 }, collectable: { id: 40 } });
+    await hooks.execute(HOOK_TYPES.AFTER_SHELF_UPSERT, { userId: 'user-1', shelfItem: { id: 10 }, manual: { id: 7 } });
+
+    expect(wishlistsQueries.markReceivedForCollectable).toHaveBeenCalledTimes(1);
+    expect(wishlistsQueries.markReceivedForCollectable).toHaveBeenCalledWith('user-1', 40);
+  });
+});
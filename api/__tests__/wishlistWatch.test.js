@@ -0,0 +1,159 @@
+jest.mock('../database/queries/wishlistAlerts', () => ({
+  listReleaseMatches: jest.fn(),
+  listPriceCandidates: jest.fn(),
+  recordAlert: jest.fn(),
+  markNotified: jest.fn(),
+  deleteAlert: jest.fn(),
+}));
+jest.mock('../database/queries/notifications', () => ({
+  create: jest.fn(),
+}));
+
+const wishlistAlertsQueries = require('../database/queries/wishlistAlerts');
+const notificationsQueries = require('../database/queries/notifications');
+const wishlistWatch = require('../services/wishlistWatch');
+
+function buildWatched(overrides = {}) {
+  return {
+    wishlistItemId: 12,
+    wishlistId: 3,
+    collectableId: 40,
+    alertsMuted: false,
+    userId: 'user-1',
+    itemTitle: 'Dune: Part Two',
+    ...overrides,
+  };
+}
+
+describe('wishlistWatch helpers', () => {
+  it('parses free-text market values', () => {
+    expect(wishlistWatch.parseMarketValue('USD $45')).toBe(45);
+    expect(wishlistWatch.parseMarketValue('$40 - $60')).toBe(40);
+    expect(wishlistWatch.parseMarketValue('$1,250.50')).toBe(1250.5);
+    expect(wishlistWatch.parseMarketValue('45.99')).toBe(45.99);
+    expect(wishlistWatch.parseMarketValue('PSA 10: $500')).toBe(500);
+    expect(wishlistWatch.parseMarketValue('Grade 9 - 300')).toBeNull();
+    expect(wishlistWatch.parseMarketValue('unknown')).toBeNull();
+    expect(wishlistWatch.parseMarketValue(null)).toBeNull();
+  });
+
+  it('raises a release-date alert for upcoming titles', () => {
+    const alerts = wishlistWatch.buildReleaseAlerts(buildWatched({
+      itemType: 'upcoming',
+      releaseDate: '2026-11-01',
+      physicalReleaseDate: null,
+    }));
+
+    expect(alerts).toEqual([
+      expect.objectContaining({ alertType: 'release_date', dedupeKey: '2026-11-01' }),
+    ]);
+  });
+
+  it('treats disc lists as physical releases only', () => {
+    const alerts = wishlistWatch.buildReleaseAlerts(buildWatched({
+      itemType: 'preorder_4k',
+      releaseDate: '2026-12-09',
+      physicalReleaseDate: '2026-12-09',
+    }));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      alertType: 'physical_release',
+      dedupeKey: '2026-12-09',
+      details: expect.objectContaining({ preorder: true }),
+    });
+    expect(wishlistWatch.buildMessage('Dune', alerts[0], '2026-10-01'))
+      .toBe('Dune is up for preorder on disc (out 2026-12-09).');
+  });
+
+  it('only raises a price alert at or below the target', () => {
+    expect(wishlistWatch.buildPriceAlert({ targetPrice: '30.00', marketValue: 'USD $45' })).toBeNull();
+    expect(wishlistWatch.buildPriceAlert({ targetPrice: '30.00', marketValue: '$25 - $35' })).toMatchObject({
+      alertType: 'price_drop',
+      dedupeKey: '30.00',
+      details: { parsedValue: 25, targetPrice: 30 },
+    });
+  });
+});
+
+describe('wishlistWatch.runWishlistWatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wishlistAlertsQueries.listReleaseMatches.mockResolvedValue([]);
+    wishlistAlertsQueries.listPriceCandidates.mockResolvedValue([]);
+    wishlistAlertsQueries.recordAlert.mockImplementation(async (alert) => ({ id: 1, ...alert }));
+    notificationsQueries.create.mockResolvedValue({ id: 'n-1' });
+  });
+
+  it('records and notifies new alerts', async () => {
+    wishlistAlertsQueries.listReleaseMatches.mockResolvedValue([
+      buildWatched({ newsItemId: 88, itemType: 'upcoming', releaseDate: '2026-11-01' }),
+    ]);
+    wishlistAlertsQueries.listPriceCandidates.mockResolvedValue([
+      buildWatched({ targetPrice: '20.00', marketValue: '$18' }),
+    ]);
+
+    await expect(wishlistWatch.runWishlistWatch()).resolves.toEqual({ candidates: 2, notified: 2, muted: 0 });
+
+    expect(wishlistAlertsQueries.recordAlert).toHaveBeenCalledWith(expect.objectContaining({
+      wishlistItemId: 12,
+      alertType: 'release_date',
+      dedupeKey: '2026-11-01',
+      newsItemId: 88,
+    }));
+    expect(wishlistAlertsQueries.markNotified).toHaveBeenCalledTimes(2);
+    expect(notificationsQueries.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      type: 'wishlist_alert',
+      entityType: 'wishlist_item',
+      entityId: 12,
+      metadata: expect.objectContaining({ wishlistId: 3, alertType: 'price_drop', summaryMessage: expect.any(String) }),
+    }));
+  });
+
+  it('does not notify duplicates', async () => {
+    wishlistAlertsQueries.listReleaseMatches.mockResolvedValue([
+      buildWatched({ itemType: 'upcoming', releaseDate: '2026-11-01' }),
+    ]);
+    wishlistAlertsQueries.recordAlert.mockResolvedValue(null);
+
+    await expect(wishlistWatch.runWishlistWatch()).resolves.toEqual({ candidates: 1, notified: 0, muted: 0 });
+    expect(notificationsQueries.create).not.toHaveBeenCalled();
+  });
+
+  it('records alerts for muted items without notifying', async () => {
+    wishlistAlertsQueries.listPriceCandidates.mockResolvedValue([
+      buildWatched({ alertsMuted: true, targetPrice: '20.00', marketValue: '$18' }),
+    ]);
+
+    await expect(wishlistWatch.runWishlistWatch()).resolves.toEqual({ candidates: 1, notified: 0, muted: 1 });
+    expect(wishlistAlertsQueries.recordAlert).toHaveBeenCalledTimes(1);
+    expect(notificationsQueries.create).not.toHaveBeenCalled();
+    expect(wishlistAlertsQueries.markNotified).not.toHaveBeenCalled();
+  });
+
+  it('keeps going when one alert fails', async () => {
+    wishlistAlertsQueries.listPriceCandidates.mockResolvedValue([
+      buildWatched({ wishlistItemId: 1, targetPrice: '20.00', marketValue: '$18' }),
+      buildWatched({ wishlistItemId: 2, targetPrice: '20.00', marketValue: '$19' }),
+    ]);
+    notificationsQueries.create
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce({ id: 'n-2' });
+
+    await expect(wishlistWatch.runWishlistWatch()).resolves.toEqual({ candidates: 2, notified: 1, muted: 0 });
+  });
+
+  it('only marks an alert notified after the notification was sent', async () => {
+    wishlistAlertsQueries.listPriceCandidates.mockResolvedValue([
+      buildWatched({ wishlistItemId: 1, targetPrice: '20.00', marketValue: '$18' }),
+    ]);
+    wishlistAlertsQueries.recordAlert.mockResolvedValue({ id: 71 });
+    notificationsQueries.create.mockRejectedValueOnce(new Error('boom'));
+
+    await expect(wishlistWatch.runWishlistWatch()).resolves.toEqual({ candidates: 1, notified: 0, muted: 0 });
+
+    expect(wishlistAlertsQueries.markNotified).not.toHaveBeenCalled();
+    expect(wishlistAlertsQueries.deleteAlert).toHaveBeenCalledWith(71);
+  });
+});
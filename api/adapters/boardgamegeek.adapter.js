@@ -0,0 +1,189 @@
+const cheerio = require('cheerio');
+const {
+  makeCollectableFingerprint,
+  makeLightweightFingerprint,
+} = require('../services/collectables/fingerprint');
+const {
+  normalizePlayTime,
+  normalizePlayerCount,
+} = require('../services/collectables/tabletopFields');
+
+const MAX_TAGS = 12;
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function uniqueStrings(values = []) {
+  const seen = new Set();
+  const out = [];
+  for (const value of values) {
+    const normalized = normalizeString(value);
+    if (!normalized) continue;
+    const key = normalized.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(normalized);
+  }
+  return out;
+}
+
+// BGG descriptions are entity-escaped plain text with &#10; line breaks;
+// cheerio decodes the entities, this only tidies whitespace.
+function cleanDescription(value) {
+  return normalizeString(value)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Parse a BGG XML API2 `<items>` document (search or thing) into plain
+ * objects: { id, type, name, alternateNames, yearPublished, description,
+ * image, thumbnail, minPlayers, maxPlayers, playingTime, minPlayTime,
+ * maxPlayTime, minAge, links: { [linkType]: string[] }, averageRating }.
+ *
+ * @param {string} xml
+ * @returns {object[]}
+ */
+function parseBggItems(xml) {
+  const text = normalizeString(xml);
+  if (!text) return [];
+  const $ = cheerio.load(text, { xmlMode: true });
+  const valueOf = (el, selector) => normalizeString($(el).children(selector).first().attr('value')) || null;
+
+  return $('items > item').toArray().map((el) => {
+    const names = $(el).children('name').toArray();
+    const primary = names.find((nameEl) => $(nameEl).attr('type') === 'primary') || names[0];
+    const links = {};
+    $(el).children('link').each((_, linkEl) => {
+      const type = normalizeString($(linkEl).attr('type'));
+      const value = normalizeString($(linkEl).attr('value'));
+      if (!type || !value) return;
+      (links[type] = links[type] || []).push(value);
+    });
+
+    return {
+      id: normalizeString($(el).attr('id')) || null,
+      type: normalizeString($(el).attr('type')) || null,
+      name: primary ? normalizeString($(primary).attr('value')) || null : null,
+      alternateNames: names
+        .filter((nameEl) => nameEl !== primary)
+        .map((nameEl) => normalizeString($(nameEl).attr('value')))
+        .filter(Boolean),
+      yearPublished: valueOf(el, 'yearpublished'),
+      description: cleanDescription($(el).children('description').first().text()) || null,
+      image: normalizeString($(el).children('image').first().text()) || null,
+      thumbnail: normalizeString($(el).children('thumbnail').first().text()) || null,
+      minPlayers: valueOf(el, 'minplayers'),
+      maxPlayers: valueOf(el, 'maxplayers'),
+      playingTime: valueOf(el, 'playingtime'),
+      minPlayTime: valueOf(el, 'minplaytime'),
+      maxPlayTime: valueOf(el, 'maxplaytime'),
+      minAge: valueOf(el, 'minage'),
+      links,
+      averageRating: normalizeString($(el).find('statistics ratings average').first().attr('value')) || null,
+    };
+  });
+}
+
+/**
+ * Map a parsed BGG thing (see parseBggItems) to a collectable. BGG reports
+ * 0 for unknown player counts and play times; those become null.
+ *
+ * @param {object} thing
+ * @param {object} [options]
+ * @param {string} [options.lightweightFingerprint]
+ * @param {Date} [options.fetchedAt]
+ * @returns {object|null}
+ */
+function bggThingToCollectable(thing, options = {}) {
+  if (!thing || !thing.id) return null;
+  const title = normalizeString(thing.name);
+  if (!title) return null;
+
+  const links = thing.links || {};
+  const designers = uniqueStrings(links.boardgamedesigner);
+  const artists = uniqueStrings(links.boardgameartist);
+  const publishers = uniqueStrings(links.boardgamepublisher).filter(
+    (publisher) => publisher.toLowerCase() !== '(uncredited)',
+  );
+  const primaryCreator = designers[0] || null;
+  const year = normalizeString(thing.yearPublished);
+  const releaseYear = year && year !== '0' ? year : null;
+  const minPlayTime = normalizePlayTime(thing.minPlayTime) || normalizePlayTime(thing.playingTime);
+  const maxPlayTime = normalizePlayTime(thing.maxPlayTime) || normalizePlayTime(thing.playingTime);
+  const image = normalizeString(thing.image) || null;
+  const thumbnail = normalizeString(thing.thumbnail) || image;
+  const id = String(thing.id);
+  const isExpansion = thing.type === 'boardgameexpansion';
+  const pageUrl = `https://boardgamegeek.com/${isExpansion ? 'boardgameexpansion' : 'boardgame'}/${id}`;
+
+  const kind = 'boardgame';
+  const lightweightFingerprint = options.lightweightFingerprint
+    ? options.lightweightFingerprint
+    : makeLightweightFingerprint({ title, primaryCreator, kind });
+  const fingerprint = makeCollectableFingerprint({
+    title,
+    primaryCreator,
+    releaseYear,
+    mediaType: kind,
+  });
+
+  return {
+    kind,
+    type: kind,
+    title,
+    description: thing.description || null,
+    primaryCreator,
+    creators: uniqueStrings([...designers, ...artists]),
+    year: releaseYear,
+    publisher: publishers[0] || null,
+    publishers,
+    minPlayers: normalizePlayerCount(thing.minPlayers),
+    maxPlayers: normalizePlayerCount(thing.maxPlayers),
+    minPlayTime,
+    maxPlayTime,
+    tags: uniqueStrings([
+      ...(links.boardgamecategory || []),
+      ...(links.boardgamemechanic || []),
+    ]).slice(0, MAX_TAGS),
+    genre: uniqueStrings(links.boardgamecategory),
+    formats: isExpansion ? ['Expansion'] : [],
+    lightweightFingerprint: lightweightFingerprint || null,
+    fingerprint: fingerprint || null,
+    identifiers: { bgg: { thing: [id] } },
+    images: image
+      ? [{ kind: 'cover', urlLarge: image, urlMedium: image, urlSmall: thumbnail, provider: 'boardgamegeek' }]
+      : [],
+    sources: [
+      {
+        provider: 'boardgamegeek',
+        ids: { thing: [id] },
+        urls: { page: pageUrl },
+        fetchedAt: options.fetchedAt || new Date(),
+      },
+    ],
+    extras: {
+      minAge: Number.parseInt(thing.minAge, 10) > 0 ? Number.parseInt(thing.minAge, 10) : null,
+      averageRating: thing.averageRating ? Number(thing.averageRating) || null : null,
+      alternateNames: Array.isArray(thing.alternateNames) ? thing.alternateNames.slice(0, 10) : [],
+      artists,
+      expansion: isExpansion,
+    },
+    coverImageUrl: image,
+    coverImageSource: image ? 'external' : null,
+    attribution: {
+      linkUrl: pageUrl,
+      linkText: 'View on BoardGameGeek',
+      logoKey: 'boardgamegeek',
+      disclaimerText: 'Data provided by BoardGameGeek.',
+    },
+  };
+}
+
+module.exports = {
+  bggThingToCollectable,
+  parseBggItems,
+};
@@ -0,0 +1,194 @@
+const {
+  makeCollectableFingerprint,
+  makeLightweightFingerprint,
+} = require('../services/collectables/fingerprint');
+const {
+  formatComicTitle,
+  normalizeIssueNumber,
+} = require('../services/collectables/comicNumbering');
+
+const WRITER_ROLES = ['writer', 'plotter', 'scripter'];
+const ARTIST_ROLES = ['artist', 'penciler', 'penciller', 'inker', 'cover'];
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function uniqueStrings(values = []) {
+  const seen = new Set();
+  const out = [];
+  for (const value of values) {
+    const normalized = normalizeString(value);
+    if (!normalized) continue;
+    const key = normalized.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(normalized);
+  }
+  return out;
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+function extractYear(value) {
+  if (!value) return null;
+  const match = String(value).match(/\b(\d{4})\b/);
+  return match ? match[1] : null;
+}
+
+// ComicVine descriptions are HTML fragments.
+function stripHtml(value) {
+  const text = normalizeString(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h\d|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\n{3,}/g, '\n\n');
+  return text.trim();
+}
+
+function creditRoles(credit) {
+  return normalizeString(credit?.role)
+    .toLowerCase()
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+}
+
+function extractCreators(personCredits) {
+  const credits = toArray(personCredits);
+  const withRoles = (roles) => credits
+    .filter((credit) => creditRoles(credit).some((role) => roles.includes(role)))
+    .map((credit) => credit?.name);
+  const writers = uniqueStrings(withRoles(WRITER_ROLES));
+  const artists = uniqueStrings(withRoles(ARTIST_ROLES));
+  return {
+    writers,
+    artists,
+    all: uniqueStrings([...writers, ...artists, ...credits.map((credit) => credit?.name)]),
+  };
+}
+
+function extractImages(image) {
+  if (!image || typeof image !== 'object') return [];
+  const large = normalizeString(image.super_url || image.original_url || image.screen_large_url);
+  const medium = normalizeString(image.medium_url || image.screen_url || large);
+  const small = normalizeString(image.small_url || image.thumb_url || medium);
+  if (!large && !medium && !small) return [];
+  return [{
+    kind: 'cover',
+    urlLarge: large || medium || small || null,
+    urlMedium: medium || large || small || null,
+    urlSmall: small || medium || large || null,
+    provider: 'comicvine',
+  }];
+}
+
+/**
+ * Map a ComicVine issue (plus its volume, i.e. the series run) to a
+ * collectable. ComicVine numbers manga/TPB volumes as issues, so callers pass
+ * `volumeNumber` when the shelf item was identified by volume.
+ *
+ * @param {object} issue - ComicVine issue resource
+ * @param {object} [options]
+ * @param {object} [options.volume] - ComicVine volume resource (publisher, start_year)
+ * @param {number|null} [options.volumeNumber]
+ * @returns {object|null}
+ */
+function comicVineIssueToCollectable(issue, options = {}) {
+  if (!issue || issue.id == null) return null;
+  const volume = options.volume || issue.volume || {};
+  const series = normalizeString(volume.name || issue.volume?.name);
+  const issueName = normalizeString(issue.name);
+  if (!series && !issueName) return null;
+
+  const volumeNumber = options.volumeNumber || null;
+  const issueNumber = volumeNumber ? null : normalizeIssueNumber(issue.issue_number);
+  const title = series
+    ? formatComicTitle({ series, issueNumber, volumeNumber })
+    : issueName;
+  const { writers, artists, all: creators } = extractCreators(issue.person_credits);
+  const primaryCreator = writers[0] || creators[0] || null;
+  const year = extractYear(issue.cover_date || issue.store_date) || extractYear(volume.start_year);
+  const publisher = normalizeString(volume.publisher?.name) || null;
+  const images = extractImages(issue.image);
+  const siteUrl = normalizeString(issue.site_detail_url) || null;
+
+  const identifiers = {
+    comicvine: {
+      issue: [String(issue.id)],
+      ...(volume.id != null ? { volume: [String(volume.id)] } : {}),
+    },
+  };
+
+  const kind = 'comic';
+  const lightweightFingerprint = options.lightweightFingerprint
+    ? options.lightweightFingerprint
+    : makeLightweightFingerprint({ title, primaryCreator, kind });
+  const fingerprint = makeCollectableFingerprint({
+    title,
+    primaryCreator,
+    releaseYear: year,
+    mediaType: kind,
+  });
+
+  return {
+    kind,
+    type: kind,
+    title,
+    subtitle: issueName && issueName !== series ? issueName : null,
+    description: stripHtml(issue.description || issue.deck) || null,
+    primaryCreator,
+    creators,
+    year: year || null,
+    series: series || null,
+    issueNumber,
+    volumeNumber,
+    publisher,
+    publishers: publisher ? [publisher] : [],
+    tags: [],
+    lightweightFingerprint: lightweightFingerprint || null,
+    fingerprint: fingerprint || null,
+    identifiers,
+    images,
+    sources: [
+      {
+        provider: 'comicvine',
+        ids: identifiers.comicvine,
+        urls: {
+          page: siteUrl,
+          api: normalizeString(issue.api_detail_url) || null,
+        },
+        fetchedAt: options.fetchedAt || new Date(),
+      },
+    ],
+    extras: {
+      coverDate: normalizeString(issue.cover_date) || null,
+      storeDate: normalizeString(issue.store_date) || null,
+      volumeStartYear: extractYear(volume.start_year),
+      volumeIssueCount: volume.count_of_issues != null && Number.isFinite(Number(volume.count_of_issues))
+        ? Number(volume.count_of_issues)
+        : null,
+      artists,
+    },
+    coverImageUrl: images[0]?.urlMedium || images[0]?.urlLarge || null,
+    coverImageSource: 'external',
+    attribution: {
+      linkUrl: siteUrl,
+      linkText: 'View on Comic Vine',
+      logoKey: 'comicvine',
+      disclaimerText: 'Data provided by Comic Vine.',
+    },
+  };
+}
+
+module.exports = {
+  comicVineIssueToCollectable,
+};
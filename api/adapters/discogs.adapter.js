@@ -148,6 +148,70 @@ function extractIdentifiers(payload = {}, resultMeta = {}) {
   return identifiers;
 }
 
+function describeFormats(formats) {
+  const parts = toArray(formats).flatMap((format) => [
+    format?.name,
+    ...toArray(format?.descriptions),
+  ]);
+  const joined = uniqueStrings(parts).join(', ');
+  return joined || null;
+}
+
+/**
+ * A Discogs release is one pressing of a master; store it as an edition.
+ * Masters are the work itself and produce no edition.
+ */
+function discogsReleaseToEdition(payload) {
+  if (!payload || payload.id == null || isMaster(payload)) return null;
+  const catalogNumbers = uniqueStrings(toArray(payload.labels).map((label) => label?.catno))
+    .filter((catno) => catno.toLowerCase() !== 'none');
+  const barcodes = uniqueStrings(
+    toArray(payload.identifiers)
+      .filter((entry) => normalizeString(entry?.type).toLowerCase() === 'barcode')
+      .map((entry) => entry?.value),
+  );
+  const images = extractImageSet(payload);
+  return {
+    provider: 'discogs',
+    id: String(payload.id),
+    type: 'release',
+    title: extractTitle(payload) || null,
+    labelOrPublisher: uniqueStrings(toArray(payload.labels).map((label) => label?.name)),
+    dateOrYear: normalizeString(payload.released || payload.year) || null,
+    identifiers: {
+      catalogNumber: catalogNumbers,
+      barcode: barcodes,
+    },
+    physical: { format: describeFormats(payload.formats) },
+    region: normalizeString(payload.country) || null,
+    coverUrl: images[0]?.urlMedium || null,
+    extras: payload.master_id ? { masterId: String(payload.master_id) } : {},
+  };
+}
+
+/**
+ * Entry from GET /masters/:id/versions.
+ */
+function discogsVersionToEdition(version) {
+  if (!version || version.id == null) return null;
+  return {
+    provider: 'discogs',
+    id: String(version.id),
+    type: 'release',
+    title: normalizeString(version.title) || null,
+    labelOrPublisher: uniqueStrings(toArray(version.label)),
+    dateOrYear: normalizeString(version.released) || null,
+    identifiers: {
+      catalogNumber: uniqueStrings(toArray(version.catno))
+        .filter((catno) => catno.toLowerCase() !== 'none'),
+    },
+    physical: { format: normalizeString(version.format) || null },
+    region: normalizeString(version.country) || null,
+    coverUrl: normalizeString(version.thumb) || null,
+    extras: {},
+  };
+}
+
 function discogsToCollectable(payload, options = {}) {
   if (!payload || payload.id == null) return null;
 
@@ -209,6 +273,9 @@ function discogsToCollectable(payload, options = {}) {
     fingerprint: fingerprint || null,
     identifiers,
     images,
+    editions: [discogsReleaseToEdition(payload)]
+      .filter(Boolean)
+      .map((edition) => ({ ...edition, matched: true })),
     sources: [
       {
         provider: 'discogs',
@@ -248,4 +315,6 @@ function discogsToCollectable(payload, options = {}) {
 
 module.exports = {
   discogsToCollectable,
+  discogsReleaseToEdition,
+  discogsVersionToEdition,
 };
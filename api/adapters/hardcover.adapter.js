@@ -131,7 +131,14 @@ function extractImageVariants(cachedImage, imageRelation) {
       const urlMedium = parsed.url_medium || parsed.medium || urlLarge || null;
       const urlSmall = parsed.url_small || parsed.small || urlMedium || urlLarge || null;
       if (urlSmall || urlMedium || urlLarge) {
-        return { urlSmall, urlMedium, urlLarge };
+        const width = Number(parsed.width);
+        const height = Number(parsed.height);
+        return {
+          urlSmall,
+          urlMedium,
+          urlLarge,
+          ...(width > 0 && height > 0 ? { width, height } : {}),
+        };
       }
     }
   }
@@ -196,6 +203,7 @@ function hardcoverToCollectable(enrichment, options = {}) {
       urlSmall: coverVariants.urlSmall || coverVariants.urlMedium || coverVariants.urlLarge || null,
       urlMedium: coverVariants.urlMedium || coverVariants.urlLarge || coverVariants.urlSmall || null,
       urlLarge: coverVariants.urlLarge || coverVariants.urlMedium || coverVariants.urlSmall || null,
+      ...(coverVariants.width ? { width: coverVariants.width, height: coverVariants.height } : {}),
       provider: 'hardcover',
     });
   }
@@ -211,15 +219,17 @@ function hardcoverToCollectable(enrichment, options = {}) {
     editions.push({
       provider: 'hardcover',
       id: edition.id != null ? String(edition.id) : null,
+      type: 'edition',
+      matched: true,
       title: edition.title || book.title || null,
       subtitle: edition.subtitle || book.subtitle || null,
       labelOrPublisher: publishers,
       dateOrYear: edition.release_date || book.release_date || null,
-      identifiers: new Map(Object.entries({
+      identifiers: {
         isbn10: edition.isbn_10 ? [edition.isbn_10] : [],
         isbn13: edition.isbn_13 ? [edition.isbn_13] : [],
         asin: edition.asin ? [edition.asin] : [],
-      })),
+      },
       physical: {
         format,
         pages: edition.pages || null,
@@ -231,6 +241,10 @@ function hardcoverToCollectable(enrichment, options = {}) {
     });
   }
 
+  // Series names only come back on title searches, not ISBN lookups.
+  const rawSeriesNames = parseJsonMaybe(enrichment?.search?.result?.series_names);
+  const seriesNames = uniqueStrings(Array.isArray(rawSeriesNames) ? rawSeriesNames : [rawSeriesNames]);
+
   const rawSearchTags = enrichment?.search?.result?.tags;
   const parsedSearchTags = parseJsonMaybe(rawSearchTags);
   const tags = extractTags(book, Array.isArray(parsedSearchTags) ? parsedSearchTags : []);
@@ -275,6 +289,7 @@ function hardcoverToCollectable(enrichment, options = {}) {
     creators: contributors,
     publishers,
     year: year || null,
+    series: seriesNames[0] || null,
     tags,
     lightweightFingerprint: lwf || null,
     images,
@@ -5,6 +5,35 @@ function unique(arr) {
   return Array.from(new Set((arr || []).filter(Boolean)));
 }
 
+/**
+ * e = edition object from openLibrary.js (hydrated representative edition or
+ * an entry from fetchWorkEditions)
+ */
+function openLibraryEditionToEdition(e, { fallbackTitle = null } = {}) {
+  return {
+    provider: 'openlibrary',
+    id: e.id || null,
+    type: 'edition',
+    title: e.title || fallbackTitle || null,
+    subtitle: e.subtitle || null,
+    labelOrPublisher: e.publishers || [],
+    dateOrYear: e.publish_date || null,
+    identifiers: {
+      isbn10: e.isbn_10 || [],
+      isbn13: e.isbn_13 || [],
+    },
+    physical: {
+      format: e.physical_format || null,
+      pages: e.number_of_pages || null,
+      weight: e.weight || null,
+      dimensions: null,
+      languages: Array.isArray(e.languages) ? e.languages : [],
+      extras: {},
+    },
+    coverUrl: e.coverUrl || null,
+  };
+}
+
 /**
  * h = hydrated Work from your openLibrary.js (searchAndHydrateBooks / lookupWorkBookMetadata)
  */
@@ -74,26 +103,7 @@ function openLibraryToCollectable(h) {
 
   const editions = [];
   if (h.edition) {
-    editions.push({
-      provider: 'openlibrary',
-      id: h.edition.id || null,
-      title: h.edition.title || h.title || null,
-      subtitle: h.edition.subtitle || null,
-      labelOrPublisher: h.edition.publishers || [],
-      dateOrYear: h.edition.publish_date || null,
-      identifiers: new Map(Object.entries({
-        isbn10: h.edition.isbn_10 || [],
-        isbn13: h.edition.isbn_13 || [],
-      })),
-      physical: {
-        format: h.edition.physical_format || null,
-        pages: h.edition.number_of_pages || null,
-        weight: h.edition.weight || null,
-        dimensions: null,
-        languages: Array.isArray(h.edition.languages) ? h.edition.languages : [],
-        extras: {},
-      },
-    });
+    editions.push({ ...openLibraryEditionToEdition(h.edition, { fallbackTitle: h.title }), matched: true });
   }
 
   const lwf = h.lightweightFingerprint || makeLightweightFingerprint({ title: h.title, primaryCreator, kind: 'book' });
@@ -148,5 +158,5 @@ function openLibraryToCollectable(h) {
   return doc;
 }
 
-module.exports = { openLibraryToCollectable };
+module.exports = { openLibraryToCollectable, openLibraryEditionToEdition };
 
@@ -0,0 +1,131 @@
+const {
+  makeCollectableFingerprint,
+  makeLightweightFingerprint,
+} = require('../services/collectables/fingerprint');
+const {
+  cardPrintingKey,
+  normalizeCollectorNumber,
+  normalizeSetCode,
+} = require('../services/collectables/tabletopFields');
+
+const POKEMON_PUBLISHER = 'The Pokémon Company';
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function extractYear(value) {
+  if (!value) return null;
+  const match = String(value).match(/\b(\d{4})\b/);
+  return match ? match[1] : null;
+}
+
+function formatMarketValue(tcgplayer) {
+  const prices = tcgplayer?.prices;
+  if (!prices || typeof prices !== 'object') return null;
+  for (const variant of Object.values(prices)) {
+    const market = Number(variant?.market);
+    if (Number.isFinite(market) && market > 0) {
+      return `USD $${market.toFixed(2)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a Pokémon TCG API v2 card to a collectable. The set's PTCGO code
+ * ("SVI") is preferred over the API set id ("sv1") as the set code, which
+ * matches what is printed on modern cards.
+ *
+ * @param {object} card - Pokémon TCG API card object
+ * @param {object} [options]
+ * @param {string} [options.lightweightFingerprint]
+ * @param {Date} [options.fetchedAt]
+ * @returns {object|null}
+ */
+function pokemonTcgCardToCollectable(card, options = {}) {
+  if (!card || !card.id) return null;
+  const title = normalizeString(card.name);
+  if (!title) return null;
+
+  const set = card.set || {};
+  const setCode = normalizeSetCode(set.ptcgoCode || set.id);
+  const setName = normalizeString(set.name) || null;
+  const collectorNumber = normalizeCollectorNumber(card.number);
+  const artist = normalizeString(card.artist) || null;
+  const year = extractYear(set.releaseDate);
+  const large = normalizeString(card.images?.large) || null;
+  const small = normalizeString(card.images?.small) || large;
+  const pageUrl = normalizeString(card.tcgplayer?.url) || null;
+  const marketValue = formatMarketValue(card.tcgplayer);
+  const rarity = normalizeString(card.rarity) || null;
+
+  const kind = 'card';
+  const lightweightFingerprint = options.lightweightFingerprint
+    ? options.lightweightFingerprint
+    : makeLightweightFingerprint({ title, kind });
+  const fingerprint = makeCollectableFingerprint({
+    title,
+    releaseYear: year,
+    mediaType: kind,
+    variant: cardPrintingKey({ setCode, collectorNumber }),
+  });
+
+  const identifiers = { pokemontcg: { card: [String(card.id)] } };
+  const supertype = normalizeString(card.supertype);
+  const subtypes = Array.isArray(card.subtypes) ? card.subtypes.map(normalizeString).filter(Boolean) : [];
+
+  return {
+    kind,
+    type: kind,
+    title,
+    subtitle: [supertype, ...subtypes].filter(Boolean).join(' — ') || null,
+    description: normalizeString(card.flavorText) || null,
+    primaryCreator: artist,
+    creators: artist ? [artist] : [],
+    year,
+    series: normalizeString(set.series) || setName,
+    publisher: POKEMON_PUBLISHER,
+    publishers: [POKEMON_PUBLISHER],
+    setCode,
+    setName,
+    collectorNumber,
+    marketValue,
+    marketValueSources: marketValue && pageUrl ? [{ url: pageUrl, label: 'TCGplayer' }] : [],
+    tags: [rarity, ...(Array.isArray(card.types) ? card.types : [])].filter(Boolean),
+    formats: [],
+    lightweightFingerprint: lightweightFingerprint || null,
+    fingerprint: fingerprint || null,
+    identifiers,
+    images: large
+      ? [{ kind: 'cover', urlLarge: large, urlMedium: large, urlSmall: small, provider: 'pokemontcg' }]
+      : [],
+    sources: [
+      {
+        provider: 'pokemontcg',
+        ids: identifiers.pokemontcg,
+        urls: { page: pageUrl },
+        fetchedAt: options.fetchedAt || new Date(),
+      },
+    ],
+    extras: {
+      cardGame: 'pokemon',
+      rarity,
+      printedTotal: set.printedTotal || null,
+      apiSetId: normalizeString(set.id) || null,
+    },
+    coverImageUrl: large,
+    coverImageSource: large ? 'external' : null,
+    attribution: {
+      linkUrl: pageUrl,
+      linkText: pageUrl ? 'View on TCGplayer' : null,
+      logoKey: 'pokemontcg',
+      disclaimerText: 'Card data provided by the Pokémon TCG API. Pokémon is © Nintendo, Creatures and GAME FREAK.',
+    },
+  };
+}
+
+module.exports = {
+  pokemonTcgCardToCollectable,
+};
@@ -0,0 +1,158 @@
+const {
+  makeCollectableFingerprint,
+  makeLightweightFingerprint,
+} = require('../services/collectables/fingerprint');
+const {
+  cardPrintingKey,
+  normalizeCollectorNumber,
+  normalizeSetCode,
+} = require('../services/collectables/tabletopFields');
+
+const MTG_PUBLISHER = 'Wizards of the Coast';
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function extractYear(value) {
+  if (!value) return null;
+  const match = String(value).match(/\b(\d{4})\b/);
+  return match ? match[1] : null;
+}
+
+// Double-faced cards keep their images on each face.
+function extractImages(card) {
+  const imageUris = card?.image_uris
+    || (Array.isArray(card?.card_faces) ? card.card_faces.find((face) => face?.image_uris)?.image_uris : null);
+  if (!imageUris || typeof imageUris !== 'object') return [];
+  const large = normalizeString(imageUris.large || imageUris.png || imageUris.normal);
+  const medium = normalizeString(imageUris.normal || large);
+  const small = normalizeString(imageUris.small || medium);
+  if (!large && !medium && !small) return [];
+  return [{
+    kind: 'cover',
+    urlLarge: large || medium || small || null,
+    urlMedium: medium || large || small || null,
+    urlSmall: small || medium || large || null,
+    provider: 'scryfall',
+  }];
+}
+
+function formatMarketValue(prices) {
+  if (!prices || typeof prices !== 'object') return null;
+  const usd = normalizeString(prices.usd || prices.usd_foil || prices.usd_etched);
+  if (usd) return `USD $${usd}`;
+  const eur = normalizeString(prices.eur || prices.eur_foil);
+  return eur ? `EUR €${eur}` : null;
+}
+
+function oracleText(card) {
+  if (card?.oracle_text) return normalizeString(card.oracle_text);
+  if (!Array.isArray(card?.card_faces)) return '';
+  return card.card_faces
+    .map((face) => normalizeString(face?.oracle_text))
+    .filter(Boolean)
+    .join('\n//\n');
+}
+
+/**
+ * Map a Scryfall card object (one printing) to a collectable. The printing
+ * (set code + collector number) is part of the fingerprint so reprints of a
+ * card stay separate collectables.
+ *
+ * @param {object} card - Scryfall card object
+ * @param {object} [options]
+ * @param {string} [options.lightweightFingerprint]
+ * @param {Date} [options.fetchedAt]
+ * @returns {object|null}
+ */
+function scryfallCardToCollectable(card, options = {}) {
+  if (!card || !card.id) return null;
+  const title = normalizeString(card.name);
+  if (!title) return null;
+
+  const setCode = normalizeSetCode(card.set);
+  const setName = normalizeString(card.set_name) || null;
+  const collectorNumber = normalizeCollectorNumber(card.collector_number);
+  const artist = normalizeString(card.artist) || null;
+  const year = extractYear(card.released_at);
+  const images = extractImages(card);
+  const pageUrl = normalizeString(card.scryfall_uri) || null;
+  const marketValue = formatMarketValue(card.prices);
+  const rarity = normalizeString(card.rarity) || null;
+  const typeLine = normalizeString(card.type_line) || null;
+
+  const kind = 'card';
+  const lightweightFingerprint = options.lightweightFingerprint
+    ? options.lightweightFingerprint
+    : makeLightweightFingerprint({ title, kind });
+  const fingerprint = makeCollectableFingerprint({
+    title,
+    releaseYear: year,
+    mediaType: kind,
+    variant: cardPrintingKey({ setCode, collectorNumber }),
+  });
+
+  const identifiers = {
+    scryfall: { card: [String(card.id)] },
+    ...(card.oracle_id ? { scryfallOracle: { card: [String(card.oracle_id)] } } : {}),
+    ...(card.tcgplayer_id ? { tcgplayer: { product: [String(card.tcgplayer_id)] } } : {}),
+    ...(card.cardmarket_id ? { cardmarket: { product: [String(card.cardmarket_id)] } } : {}),
+  };
+
+  return {
+    kind,
+    type: kind,
+    title,
+    subtitle: typeLine,
+    description: oracleText(card) || null,
+    primaryCreator: artist,
+    creators: artist ? [artist] : [],
+    year,
+    series: setName,
+    publisher: MTG_PUBLISHER,
+    publishers: [MTG_PUBLISHER],
+    setCode,
+    setName,
+    collectorNumber,
+    marketValue,
+    marketValueSources: marketValue && pageUrl ? [{ url: pageUrl, label: 'Scryfall' }] : [],
+    tags: [rarity, card.lang && card.lang !== 'en' ? card.lang : null].filter(Boolean),
+    formats: card.foil && !card.nonfoil ? ['Foil'] : [],
+    lightweightFingerprint: lightweightFingerprint || null,
+    fingerprint: fingerprint || null,
+    identifiers,
+    images,
+    sources: [
+      {
+        provider: 'scryfall',
+        ids: identifiers.scryfall,
+        urls: {
+          page: pageUrl,
+          api: normalizeString(card.uri) || null,
+        },
+        fetchedAt: options.fetchedAt || new Date(),
+      },
+    ],
+    extras: {
+      cardGame: 'mtg',
+      rarity,
+      manaCost: normalizeString(card.mana_cost) || null,
+      language: normalizeString(card.lang) || null,
+      prices: card.prices && typeof card.prices === 'object' ? card.prices : null,
+    },
+    coverImageUrl: images[0]?.urlMedium || images[0]?.urlLarge || null,
+    coverImageSource: images.length ? 'external' : null,
+    attribution: {
+      linkUrl: pageUrl,
+      linkText: 'View on Scryfall',
+      logoKey: 'scryfall',
+      disclaimerText: 'Card data provided by Scryfall. Magic: The Gathering is © Wizards of the Coast.',
+    },
+  };
+}
+
+module.exports = {
+  scryfallCardToCollectable,
+};
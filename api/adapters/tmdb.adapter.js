@@ -90,6 +90,55 @@ function findPrimaryCertification(releaseDates, preferredRegions = ['US', 'GB',
   return null;
 }
 
+const TMDB_RELEASE_TYPES = {
+  1: { type: 'premiere', label: 'Premiere' },
+  2: { type: 'theatrical_limited', label: 'Limited theatrical' },
+  3: { type: 'theatrical', label: 'Theatrical' },
+  4: { type: 'digital', label: 'Digital' },
+  5: { type: 'physical', label: 'Physical' },
+  6: { type: 'tv', label: 'TV' },
+};
+
+/**
+ * One edition per TMDB release type (theatrical, digital, physical...) in the
+ * first preferred region that has release dates. Release notes such as
+ * "4K Ultra HD" name the edition and double as its format.
+ */
+function tmdbReleaseDatesToEditions(movie, preferredRegions = ['US', 'GB', 'CA']) {
+  const results = Array.isArray(movie?.release_dates?.results) ? movie.release_dates.results : [];
+  if (!movie?.id || !results.length) return [];
+  const rankedRegions = preferredRegions.concat(results.map((r) => r?.iso_3166_1)).filter(Boolean);
+  const entry = rankedRegions
+    .map((region) => results.find((r) => r && r.iso_3166_1 === region))
+    .find((candidate) => Array.isArray(candidate?.release_dates) && candidate.release_dates.length);
+  if (!entry) return [];
+
+  const region = entry.iso_3166_1;
+  const editions = [];
+  const seen = new Set();
+  for (const releaseDate of entry.release_dates) {
+    const releaseType = TMDB_RELEASE_TYPES[releaseDate?.type];
+    if (!releaseType) continue;
+    const note = normalizeString(releaseDate.note);
+    const key = `${releaseType.type}:${normalizeCompare(note)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    editions.push({
+      provider: 'tmdb',
+      id: `${movie.id}:${region}:${key}`,
+      type: releaseType.type,
+      title: note ? `${note} (${region})` : `${releaseType.label} release (${region})`,
+      labelOrPublisher: [],
+      dateOrYear: releaseDate.release_date || null,
+      identifiers: {},
+      physical: { format: releaseType.type === 'physical' && note ? note : null },
+      region,
+      extras: releaseDate.certification ? { certification: releaseDate.certification } : {},
+    });
+  }
+  return editions;
+}
+
 function tmdbMovieToCollectable(movie, options = {}) {
   if (!movie || !movie.id) return null;
 
@@ -249,6 +298,7 @@ function tmdbMovieToCollectable(movie, options = {}) {
     fingerprint: fingerprint || null,
     identifiers,
     images,
+    editions: tmdbReleaseDatesToEditions(movie),
     sources,
     extras,
     physical: Object.keys(physical).length ? physical : undefined,
@@ -269,4 +319,5 @@ function tmdbMovieToCollectable(movie, options = {}) {
 
 module.exports = {
   tmdbMovieToCollectable,
+  tmdbReleaseDatesToEditions,
 };
@@ -1,11 +1,32 @@
 const { query } = require('../database/pg');
 const { rowToCamelCase, buildUpdateQuery } = require('../database/queries/utils');
 const visionQuotaQueries = require('../database/queries/visionQuota');
+const { getVisionPlans, VISION_USAGE_THRESHOLDS } = require('../services/visionQuotaPlans');
 const { addMediaUrls } = require('../services/mediaUrl');
 const { sendFeedbackEmail } = require('../services/emailService');
 const deletionRequestQueries = require('../database/queries/deletionRequests');
+const accountExportQueries = require('../database/queries/accountExport');
+const workflowQueueJobsQueries = require('../database/queries/workflowQueueJobs');
+const processingStatus = require('../services/processingStatus');
+const { getWorkflowQueueService } = require('../services/workflowQueueService');
+const {
+  CSV_ENTITIES,
+  buildAccountExportDocument,
+  buildAccountExportCsvFiles,
+  buildAccountExportArchive,
+  saveAccountExportArchive,
+  loadAccountExportArchive,
+} = require('../services/accountExport');
 const logger = require('../logger');
 
+const WORKFLOW_TYPE_ACCOUNT_EXPORT = 'account_export';
+const parsedExportSyncMaxItems = Number.parseInt(String(process.env.ACCOUNT_EXPORT_SYNC_MAX_ITEMS || ''), 10);
+// Collections above this size (and every zip request) are exported by the workflow queue.
+const ACCOUNT_EXPORT_SYNC_MAX_ITEMS = Number.isInteger(parsedExportSyncMaxItems) && parsedExportSyncMaxItems >= 0
+  ? parsedExportSyncMaxItems
+  : 500;
+const ACCOUNT_EXPORT_FORMATS = ['json', 'csv', 'zip'];
+
 async function getAccount(req, res) {
   try {
     const result = await query(
@@ -41,6 +62,35 @@ async function getAccount(req, res) {
   }
 }
 
+/**
+ * GET /api/account/vision-usage
+ * Current vision plan and period usage, plus per-job token history.
+ */
+async function getVisionUsage(req, res) {
+  try {
+    const [quota, plans, history] = await Promise.all([
+      visionQuotaQueries.getQuota(req.user.id),
+      getVisionPlans(),
+      visionQuotaQueries.listTokenHistory(req.user.id, req.query || {}),
+    ]);
+
+    res.json({
+      quota,
+      plan: plans[quota.plan] || null,
+      thresholds: VISION_USAGE_THRESHOLDS,
+      history: history.entries,
+      pagination: {
+        limit: history.limit,
+        offset: history.offset,
+        hasMore: history.hasMore,
+      },
+    });
+  } catch (err) {
+    logger.error('getVisionUsage error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
 async function updateAccount(req, res) {
   try {
     // Block user from toggling premium when locked by admin
@@ -165,4 +215,229 @@ async function revokeDeletionRequest(req, res) {
   }
 }
 
-module.exports = { getAccount, updateAccount, submitFeedback, getDeletionRequestStatus, requestAccountDeletion, revokeDeletionRequest };
+function exportFileStamp(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function buildExportLinks(jobId) {
+  return {
+    statusUrl: `/api/account/export/${jobId}`,
+    downloadUrl: `/api/account/export/${jobId}/download`,
+  };
+}
+
+async function runAccountExportJob({ jobId, userId, abortCheck = null }) {
+  const data = await accountExportQueries.loadAccountData(userId);
+  const { buffer, document, photoCount, skippedPhotos } = await buildAccountExportArchive(data, { abortCheck });
+  const stored = await saveAccountExportArchive(userId, buffer);
+  const counts = {
+    shelves: document.shelves.length,
+    items: document.items.length,
+    manuals: document.manuals.length,
+    wishlists: document.wishlists.length,
+    lists: document.lists.length,
+    favorites: document.favorites.length,
+    ratings: document.ratings.length,
+  };
+
+  logger.info('[AccountExport] archive stored', {
+    jobId,
+    userId,
+    sizeBytes: buffer.length,
+    items: counts.items,
+    photoCount,
+    skippedPhotos,
+  });
+
+  return {
+    version: document.version,
+    exportedAt: document.exportedAt,
+    storageProvider: stored.storageProvider,
+    storageKey: stored.storageKey,
+    sizeBytes: buffer.length,
+    counts,
+    photoCount,
+    skippedPhotos,
+    summaryMessage: `Your export is ready: ${counts.items} items across ${counts.shelves} shelves.`,
+  };
+}
+
+async function processQueuedAccountExportWorkflowJob(job, { shouldAbort }) {
+  const payload = job?.payload && typeof job.payload === 'object' ? job.payload : {};
+  return runAccountExportJob({
+    jobId: job.jobId,
+    userId: payload.userId || job.userId,
+    abortCheck: async () => {
+      if (typeof shouldAbort === 'function') {
+        return (await shouldAbort()) === true;
+      }
+      return false;
+    },
+  });
+}
+
+let queueHandlerRegistered = false;
+function ensureQueueHandlerRegistered() {
+  if (queueHandlerRegistered) return;
+  getWorkflowQueueService().registerHandler(WORKFLOW_TYPE_ACCOUNT_EXPORT, processQueuedAccountExportWorkflowJob);
+  queueHandlerRegistered = true;
+}
+ensureQueueHandlerRegistered();
+
+async function queueAccountExport(req, res, { reason = null } = {}) {
+  const dedupeKey = `${WORKFLOW_TYPE_ACCOUNT_EXPORT}:${req.user.id}`;
+  const activeJob = await workflowQueueJobsQueries.findActiveByDedupeKey({
+    workflowType: WORKFLOW_TYPE_ACCOUNT_EXPORT,
+    dedupeKey,
+  });
+  if (activeJob) {
+    return res.status(202).json({
+      jobId: activeJob.jobId,
+      status: activeJob.status,
+      format: 'zip',
+      ...buildExportLinks(activeJob.jobId),
+      message: 'An export is already being prepared. Returning existing job.',
+    });
+  }
+
+  const jobId = processingStatus.generateJobId(req.user.id, 'account', 'export');
+  const queuedJob = await workflowQueueJobsQueries.enqueueJob({
+    jobId,
+    workflowType: WORKFLOW_TYPE_ACCOUNT_EXPORT,
+    userId: req.user.id,
+    shelfId: null,
+    status: 'queued',
+    priority: 200,
+    maxAttempts: 2,
+    payload: { userId: req.user.id },
+    dedupeKey,
+    notifyOnComplete: true,
+    notifyInAppOnComplete: false,
+  });
+
+  return res.status(202).json({
+    jobId,
+    status: queuedJob?.status || 'queued',
+    format: 'zip',
+    ...buildExportLinks(jobId),
+    message: reason || 'Your export is being prepared. We will notify you when it is ready.',
+  });
+}
+
+async function exportAccount(req, res) {
+  const format = String(req.query?.format || 'json').trim().toLowerCase();
+  if (!ACCOUNT_EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${ACCOUNT_EXPORT_FORMATS.join(', ')}` });
+  }
+  const entity = String(req.query?.entity || 'items').trim().toLowerCase();
+  if (format === 'csv' && !CSV_ENTITIES.includes(entity)) {
+    return res.status(400).json({ error: `entity must be one of: ${CSV_ENTITIES.join(', ')}` });
+  }
+
+  try {
+    if (format === 'zip') {
+      return await queueAccountExport(req, res);
+    }
+
+    const itemCount = await accountExportQueries.countCollectionItems(req.user.id);
+    if (itemCount > ACCOUNT_EXPORT_SYNC_MAX_ITEMS) {
+      return await queueAccountExport(req, res, {
+        reason: `Collections over ${ACCOUNT_EXPORT_SYNC_MAX_ITEMS} items are exported as a zip archive containing every JSON and CSV file. We will notify you when it is ready.`,
+      });
+    }
+
+    const data = await accountExportQueries.loadAccountData(req.user.id);
+    const document = buildAccountExportDocument(data);
+    const stamp = exportFileStamp();
+
+    if (format === 'csv') {
+      const csv = buildAccountExportCsvFiles(document)[entity];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="shelvesai-${entity}-${stamp}.csv"`);
+      return res.send(csv);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="shelvesai-export-${stamp}.json"`);
+    return res.json(document);
+  } catch (err) {
+    logger.error('exportAccount error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function loadAccountExportJob(req) {
+  const job = await workflowQueueJobsQueries.getByJobIdForUser({
+    jobId: req.params.jobId,
+    userId: req.user.id,
+  });
+  return job?.workflowType === WORKFLOW_TYPE_ACCOUNT_EXPORT ? job : null;
+}
+
+async function getAccountExportStatus(req, res) {
+  try {
+    const job = await loadAccountExportJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found or expired' });
+    }
+
+    const ready = job.status === 'completed' && !!job.result?.storageKey;
+    return res.json({
+      jobId: job.jobId,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt || null,
+      counts: job.result?.counts || null,
+      sizeBytes: job.result?.sizeBytes ?? null,
+      skippedPhotos: job.result?.skippedPhotos ?? 0,
+      error: job.status === 'failed' ? (job.error?.message || 'Export failed') : null,
+      downloadUrl: ready ? buildExportLinks(job.jobId).downloadUrl : null,
+    });
+  } catch (err) {
+    logger.error('getAccountExportStatus error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function downloadAccountExport(req, res) {
+  try {
+    const job = await loadAccountExportJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found or expired' });
+    }
+    if (job.status !== 'completed' || !job.result?.storageKey) {
+      return res.status(409).json({ error: 'Export is not ready yet', status: job.status });
+    }
+
+    let buffer;
+    try {
+      buffer = await loadAccountExportArchive(job.result);
+    } catch (loadErr) {
+      logger.warn('downloadAccountExport archive missing:', loadErr.message);
+      return res.status(410).json({ error: 'Export archive is no longer available. Please request a new export.' });
+    }
+
+    const stamp = exportFileStamp(job.result.exportedAt ? new Date(job.result.exportedAt) : new Date());
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Length', String(buffer.length));
+    res.set('Content-Disposition', `attachment; filename="shelvesai-export-${stamp}.zip"`);
+    res.set('Cache-Control', 'private, no-store');
+    return res.send(buffer);
+  } catch (err) {
+    logger.error('downloadAccountExport error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+module.exports = {
+  getAccount,
+  getVisionUsage,
+  updateAccount,
+  submitFeedback,
+  getDeletionRequestStatus,
+  requestAccountDeletion,
+  revokeDeletionRequest,
+  exportAccount,
+  getAccountExportStatus,
+  downloadAccountExport,
+  runAccountExportJob,
+};
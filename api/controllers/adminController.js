@@ -9,7 +9,12 @@ const { parsePagination } = require('../database/queries/utils');
 const { clearAdminAuthCookies, ADMIN_AUTH_COOKIE } = require('../utils/adminAuth');
 const systemSettingsQueries = require('../database/queries/systemSettings');
 const jobRunsQueries = require('../database/queries/jobRuns');
+const catalogResponseCacheQueries = require('../database/queries/catalogResponseCache');
+const matchCorrectionsQueries = require('../database/queries/matchCorrections');
+const aiSpendQueries = require('../database/queries/aiSpend');
+const { getAiCostConfig, getBudgetStatus } = require('../services/aiCostAccounting');
 const workflowQueueJobsQueries = require('../database/queries/workflowQueueJobs');
+const { getWorkflowSchedulerService } = require('../services/workflowSchedulerService');
 const { getSystemSettingsCache } = require('../services/config/SystemSettingsCache');
 const { revokeToken, invalidateAuthCache } = require('../middleware/auth');
 const {
@@ -110,9 +115,10 @@ function hydrateWorkfeedProgress(job) {
     queuedMs: queuedMsNumeric == null ? null : queuedMsNumeric,
     attemptCount: attemptsNumeric == null ? 0 : attemptsNumeric,
     maxAttempts: maxAttemptsNumeric == null ? null : maxAttemptsNumeric,
-    step: snapshot?.step || null,
-    progress: toNumericOrNull(snapshot?.progress),
-    message: snapshot?.message || null,
+    step: snapshot?.step || job.step || null,
+    progress: toNumericOrNull(snapshot?.progress ?? job.progress),
+    message: snapshot?.message || job.progressMessage || null,
+    errorHistory: Array.isArray(job.errorHistory) ? job.errorHistory : [],
   };
 }
 
@@ -448,6 +454,156 @@ async function getWorkfeedJob(req, res) {
   }
 }
 
+/**
+ * POST /api/admin/workfeed/:jobId/requeue
+ * Move a dead-lettered workflow job back to the queue with a fresh attempt budget
+ */
+async function requeueWorkfeedJob(req, res) {
+  try {
+    const { jobId } = req.params;
+    if (!jobId || String(jobId).length > 255) {
+      return res.status(400).json({ error: 'Invalid jobId' });
+    }
+
+    const existing = await workflowQueueJobsQueries.getByJobId(jobId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (existing.status !== 'dead') {
+      return res.status(409).json({ error: 'Only dead-lettered jobs can be requeued' });
+    }
+
+    let requeued;
+    try {
+      requeued = await workflowQueueJobsQueries.requeueDeadJob({ jobId });
+    } catch (err) {
+      if (err?.code === '23505') {
+        return res.status(409).json({ error: 'An equivalent job is already queued or running' });
+      }
+      throw err;
+    }
+    if (!requeued) {
+      return res.status(409).json({ error: 'Only dead-lettered jobs can be requeued' });
+    }
+
+    await adminQueries.logAction({
+      adminId: req.user.id,
+      action: 'requeue_workflow_job',
+      targetUserId: requeued.userId || null,
+      metadata: {
+        jobId,
+        workflowType: requeued.workflowType,
+        previousAttempts: existing.attemptCount,
+        lastError: existing.error?.message || null,
+      },
+      ...getAdminContext(req),
+    });
+
+    res.json({ job: hydrateWorkfeedProgress(requeued) });
+  } catch (err) {
+    logger.error('Admin requeueWorkfeedJob error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+const SCHEDULE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * GET /api/admin/schedules
+ * List recurring job schedules with their last/next run
+ */
+async function listSchedules(req, res) {
+  try {
+    const schedules = await getWorkflowSchedulerService().listSchedules();
+    res.json({ schedules });
+  } catch (err) {
+    logger.error('Admin listSchedules error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function setSchedulePaused(req, res, paused) {
+  const { name } = req.params;
+  if (!SCHEDULE_NAME_PATTERN.test(String(name || ''))) {
+    return res.status(400).json({ error: 'Invalid schedule name' });
+  }
+
+  const schedule = await getWorkflowSchedulerService().setPaused(name, paused);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  await adminQueries.logAction({
+    adminId: req.user.id,
+    action: paused ? 'pause_schedule' : 'resume_schedule',
+    targetUserId: null,
+    metadata: { name, cron: schedule.cron },
+    ...getAdminContext(req),
+  });
+
+  return res.json({ schedule });
+}
+
+/**
+ * POST /api/admin/schedules/:name/pause
+ * Stop enqueueing a schedule; a run already in the queue is unaffected
+ */
+async function pauseSchedule(req, res) {
+  try {
+    await setSchedulePaused(req, res, true);
+  } catch (err) {
+    logger.error('Admin pauseSchedule error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * POST /api/admin/schedules/:name/resume
+ * Re-enable a schedule from its next cron slot
+ */
+async function resumeSchedule(req, res) {
+  try {
+    await setSchedulePaused(req, res, false);
+  } catch (err) {
+    logger.error('Admin resumeSchedule error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * POST /api/admin/schedules/:name/run
+ * Enqueue an immediate run (works while paused)
+ */
+async function runScheduleNow(req, res) {
+  try {
+    const { name } = req.params;
+    if (!SCHEDULE_NAME_PATTERN.test(String(name || ''))) {
+      return res.status(400).json({ error: 'Invalid schedule name' });
+    }
+
+    const triggered = await getWorkflowSchedulerService().triggerNow(name);
+    if (!triggered) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (!triggered.jobId) {
+      return res.status(409).json({ error: 'A run of this schedule is already queued or running' });
+    }
+
+    await adminQueries.logAction({
+      adminId: req.user.id,
+      action: 'run_schedule',
+      targetUserId: null,
+      metadata: { name, jobId: triggered.jobId },
+      ...getAdminContext(req),
+    });
+
+    res.status(202).json({ jobId: triggered.jobId });
+  } catch (err) {
+    logger.error('Admin runScheduleNow error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
 /**
  * GET /api/admin/jobs/:jobId
  * Get a job run and its recent event trail
@@ -510,6 +666,143 @@ async function getSystemInfo(req, res) {
   }
 }
 
+/**
+ * GET /api/admin/catalog-cache
+ * Catalog response cache hit rates per provider/operation plus top entries
+ */
+async function getCatalogCacheStats(req, res) {
+  try {
+    const provider = req.query.provider ? String(req.query.provider).trim() : null;
+    const [stats, topEntries] = await Promise.all([
+      catalogResponseCacheQueries.getStats({ days: req.query.days }),
+      catalogResponseCacheQueries.listTopEntries({ provider, limit: req.query.limit }),
+    ]);
+
+    const rows = stats.rows
+      .filter((row) => !provider || row.provider === provider)
+      .map((row) => {
+        const lookups = row.hits + row.negativeHits + row.misses;
+        return {
+          ...row,
+          lookups,
+          hitRate: lookups > 0 ? Number(((row.hits + row.negativeHits) / lookups).toFixed(4)) : null,
+        };
+      });
+    const totals = rows.reduce((acc, row) => ({
+      liveEntries: acc.liveEntries + row.liveEntries,
+      negativeEntries: acc.negativeEntries + row.negativeEntries,
+      expiredEntries: acc.expiredEntries + row.expiredEntries,
+      hits: acc.hits + row.hits,
+      negativeHits: acc.negativeHits + row.negativeHits,
+      misses: acc.misses + row.misses,
+    }), { liveEntries: 0, negativeEntries: 0, expiredEntries: 0, hits: 0, negativeHits: 0, misses: 0 });
+    const totalLookups = totals.hits + totals.negativeHits + totals.misses;
+
+    res.json({
+      days: stats.days,
+      providers: rows,
+      totals: {
+        ...totals,
+        lookups: totalLookups,
+        hitRate: totalLookups > 0 ? Number(((totals.hits + totals.negativeHits) / totalLookups).toFixed(4)) : null,
+      },
+      topEntries,
+    });
+  } catch (err) {
+    logger.error('Admin getCatalogCacheStats error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * POST /api/admin/catalog-cache/purge
+ * Delete catalog response cache entries, optionally filtered by provider/operation
+ */
+async function purgeCatalogCache(req, res) {
+  try {
+    const { provider, operation, negativeOnly, expiredOnly } = req.body || {};
+    const filters = {
+      provider: provider ? String(provider).trim() : null,
+      operation: operation ? String(operation).trim() : null,
+      negativeOnly: parseBoolean(negativeOnly, false),
+      expiredOnly: parseBoolean(expiredOnly, false),
+    };
+
+    const deleted = await catalogResponseCacheQueries.purge(filters);
+
+    await adminQueries.logAction({
+      adminId: req.user.id,
+      action: 'purge_catalog_cache',
+      targetUserId: null,
+      metadata: { ...filters, deleted },
+      ...getAdminContext(req),
+    });
+
+    res.json({ deleted, filters });
+  } catch (err) {
+    logger.error('Admin purgeCatalogCache error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * GET /api/admin/match-corrections
+ * Collectables users most often replaced after a vision match, with the
+ * replacement picked most; candidates for catalog cleanup
+ */
+async function listMatchCorrections(req, res) {
+  try {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 25, maxLimit: 100 });
+    const minUsers = Math.max(parseInt(req.query.minUsers, 10) || 1, 1);
+    const result = await matchCorrectionsQueries.listMostCorrected({ limit, offset, minUsers });
+
+    res.json({
+      items: result.items,
+      pagination: {
+        limit,
+        offset,
+        total: result.total,
+        hasMore: offset + result.items.length < result.total,
+      },
+    });
+  } catch (err) {
+    logger.error('Admin listMatchCorrections error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * GET /api/admin/ai-spend
+ * AI spend by call label, user and day, plus the current budget state
+ */
+async function getAiSpend(req, res) {
+  try {
+    const days = req.query.days;
+    const [budget, config, byLabel, byUser, byDay] = await Promise.all([
+      getBudgetStatus({ refresh: true }),
+      getAiCostConfig(),
+      aiSpendQueries.getSpendByLabel({ days }),
+      aiSpendQueries.getSpendByUser({ days, limit: req.query.limit }),
+      aiSpendQueries.getSpendByDay({ days }),
+    ]);
+    res.json({
+      days: Math.min(Math.max(Number.parseInt(days, 10) || 30, 1), 365),
+      budget: {
+        ...budget,
+        degradeSteps: config.budgets?.degradeSteps || [],
+        blockAtPercent: config.budgets?.blockAtPercent ?? null,
+      },
+      totalUsd: byDay.reduce((sum, row) => sum + row.costUsd, 0),
+      byLabel,
+      byUser,
+      byDay,
+    });
+  } catch (err) {
+    logger.error('Admin getAiSpend error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
 async function listModerationItems(req, res) {
   try {
     const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 30, 100));
@@ -855,6 +1148,25 @@ async function getUserVisionQuota(req, res) {
   }
 }
 
+/**
+ * GET /api/admin/users/:userId/vision-usage
+ * Daily vision consumption for the user detail chart, with recent jobs
+ */
+async function getUserVisionUsage(req, res) {
+  try {
+    const { userId } = req.params;
+    const [quota, daily, history] = await Promise.all([
+      visionQuotaQueries.getQuota(userId),
+      visionQuotaQueries.getDailyUsage(userId, { days: req.query?.days }),
+      visionQuotaQueries.listTokenHistory(userId, { limit: 10 }),
+    ]);
+    res.json({ quota, daily, recentJobs: history.entries });
+  } catch (err) {
+    logger.error('Admin getUserVisionUsage error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
 /**
  * POST /api/admin/users/:userId/vision-quota/reset
  * Reset vision quota for a user
@@ -1444,6 +1756,7 @@ module.exports = {
   togglePremium,
   toggleUnlimitedVisionTokens,
   getUserVisionQuota,
+  getUserVisionUsage,
   resetUserVisionQuota,
   setUserVisionQuota,
   getRecentFeed,
@@ -1452,9 +1765,18 @@ module.exports = {
   deleteEvent,
   listWorkfeed,
   getWorkfeedJob,
+  requeueWorkfeedJob,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  runScheduleNow,
   listJobs,
   getJob,
   getSystemInfo,
+  getCatalogCacheStats,
+  purgeCatalogCache,
+  listMatchCorrections,
+  getAiSpend,
   listModerationItems,
   applyModerationAction,
   getSettings,
@@ -0,0 +1,327 @@
+/**
+ * Consumption Controller
+ * Per-user reading/watching/playing log built on top of check-ins: sessions
+ * with start/finish dates, progress, re-reads/replays and yearly stats.
+ */
+
+const consumptionQueries = require('../database/queries/consumption');
+const collectablesQueries = require('../database/queries/collectables');
+const { query } = require('../database/pg');
+const { parsePagination } = require('../database/queries/utils');
+const { addMediaUrls } = require('../services/mediaUrl');
+const { sendError, logError } = require('../utils/errorHandler');
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PROGRESS_VALUE = 99999999;
+
+function hydrateSessionMedia(session) {
+    if (!session) return session;
+    return { ...session, item: addMediaUrls(session.item, ['coverMediaPath']) };
+}
+
+/**
+ * Parse an optional YYYY-MM-DD body field. Returns `undefined` when absent,
+ * `null` when explicitly cleared, or throws a 400-worthy message.
+ */
+function parseDateOnly(value, field) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value)) {
+        throw new Error(`${field} must be a date (YYYY-MM-DD)`);
+    }
+    const parsed = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+        throw new Error(`${field} must be a valid date`);
+    }
+    return value;
+}
+
+function parseProgressNumber(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > MAX_PROGRESS_VALUE) {
+        throw new Error(`${field} must be a non-negative number`);
+    }
+    return Math.round(parsed * 100) / 100;
+}
+
+/**
+ * Parse a `progress` body field: `{ value?, total?, unit? }`. Returns
+ * `undefined` when absent, `null` when explicitly cleared, or throws a
+ * 400-worthy message. Shared with POST /api/checkin.
+ */
+function parseProgress(input) {
+    if (input === undefined) return undefined;
+    if (input === null) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('progress must be an object');
+    }
+    const value = parseProgressNumber(input.value, 'progress.value');
+    const total = parseProgressNumber(input.total, 'progress.total');
+    const unit = input.unit ? String(input.unit).trim().toLowerCase() : null;
+    if (unit && !consumptionQueries.PROGRESS_UNITS.includes(unit)) {
+        throw new Error(`progress.unit must be one of: ${consumptionQueries.PROGRESS_UNITS.join(', ')}`);
+    }
+    if (total === 0) {
+        throw new Error('progress.total must be greater than zero');
+    }
+    if (value != null && total != null && value > total) {
+        throw new Error('progress.value cannot exceed progress.total');
+    }
+    if (unit === 'percent' && value != null && value > 100) {
+        throw new Error('progress.value cannot exceed 100 percent');
+    }
+    if (value == null && total == null && !unit) return null;
+    return { value, total, unit };
+}
+
+function parseYear(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const year = parseInt(value, 10);
+    if (!Number.isFinite(year) || year < 1900 || year > 2100 || String(year) !== String(value).trim()) {
+        throw new Error('year must be a four-digit year');
+    }
+    return year;
+}
+
+function normalizeNotes(notes) {
+    if (notes === undefined) return undefined;
+    if (notes === null) return null;
+    return String(notes).trim() || null;
+}
+
+/**
+ * GET /consumption - The current user's consumption log
+ * Query: status=in_progress|completed|abandoned, year, collectableId|manualId, limit, offset
+ */
+async function listSessions(req, res) {
+    try {
+        const status = req.query.status ? String(req.query.status) : null;
+        if (status && !consumptionQueries.SESSION_STATUSES.includes(status)) {
+            return sendError(res, 400, `status must be one of: ${consumptionQueries.SESSION_STATUSES.join(', ')}`);
+        }
+        let year;
+        try {
+            year = parseYear(req.query.year);
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        const collectableId = req.query.collectableId ? parseInt(req.query.collectableId, 10) : null;
+        const manualId = req.query.manualId ? parseInt(req.query.manualId, 10) : null;
+        if (Number.isNaN(collectableId) || Number.isNaN(manualId)) {
+            return sendError(res, 400, 'collectableId and manualId must be integers');
+        }
+        const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+        const sessions = await consumptionQueries.listForUser(req.user.id, {
+            status,
+            year,
+            collectableId,
+            manualId,
+            limit,
+            offset,
+        });
+        res.json({ sessions: sessions.map(hydrateSessionMedia) });
+    } catch (err) {
+        logError('listSessions', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * GET /consumption/stats - Yearly totals for the current user
+ * Query: year (default current year)
+ */
+async function getStats(req, res) {
+    try {
+        let year;
+        try {
+            year = parseYear(req.query.year) || new Date().getUTCFullYear();
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        const stats = await consumptionQueries.getYearStats(req.user.id, year);
+        res.json({ stats });
+    } catch (err) {
+        logError('getConsumptionStats', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * POST /consumption - Log a session by hand (e.g. a past read)
+ * Body: { collectableId | manualId, status?, startedAt?, finishedAt?, progress?, visibility?, notes? }
+ */
+async function createSession(req, res) {
+    try {
+        const body = req.body || {};
+        const collectableId = body.collectableId ? parseInt(body.collectableId, 10) : null;
+        const manualId = body.manualId ? parseInt(body.manualId, 10) : null;
+        if (!collectableId && !manualId) {
+            return sendError(res, 400, 'collectableId or manualId is required');
+        }
+        if (collectableId && manualId) {
+            return sendError(res, 400, 'collectableId and manualId cannot both be set');
+        }
+
+        const status = body.status ? String(body.status) : 'completed';
+        if (!consumptionQueries.SESSION_STATUSES.includes(status)) {
+            return sendError(res, 400, `status must be one of: ${consumptionQueries.SESSION_STATUSES.join(', ')}`);
+        }
+        const visibility = body.visibility ? String(body.visibility) : 'public';
+        if (!consumptionQueries.VISIBILITY_LEVELS.includes(visibility)) {
+            return sendError(res, 400, 'visibility must be public or friends');
+        }
+
+        let startedAt;
+        let finishedAt;
+        let progress;
+        try {
+            startedAt = parseDateOnly(body.startedAt, 'startedAt') || null;
+            finishedAt = parseDateOnly(body.finishedAt, 'finishedAt') || null;
+            progress = parseProgress(body.progress) || null;
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        if (status === 'completed' && !finishedAt) {
+            return sendError(res, 400, 'finishedAt is required for completed sessions');
+        }
+        if (status === 'in_progress' && finishedAt) {
+            return sendError(res, 400, 'In-progress sessions cannot have finishedAt');
+        }
+        if (startedAt && finishedAt && finishedAt < startedAt) {
+            return sendError(res, 400, 'finishedAt cannot be before startedAt');
+        }
+
+        if (collectableId) {
+            const collectable = await collectablesQueries.findById(collectableId);
+            if (!collectable) {
+                return sendError(res, 404, 'Collectable not found');
+            }
+        } else {
+            const manualResult = await query(
+                'SELECT id FROM user_manuals WHERE id = $1 AND user_id = $2',
+                [manualId, req.user.id]
+            );
+            if (!manualResult.rows[0]) {
+                return sendError(res, 404, 'Manual item not found');
+            }
+        }
+
+        const session = await consumptionQueries.createSession(req.user.id, {
+            collectableId,
+            manualId,
+            status,
+            startedAt,
+            finishedAt,
+            progress,
+            visibility,
+            notes: normalizeNotes(body.notes) ?? null,
+        });
+        if (!session) {
+            return sendError(res, 409, 'This item already has a session in progress');
+        }
+        res.status(201).json({ session: hydrateSessionMedia(session) });
+    } catch (err) {
+        logError('createConsumptionSession', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * PUT /consumption/:sessionId - Edit dates, status, progress, visibility or notes
+ */
+async function updateSession(req, res) {
+    try {
+        const sessionId = parseInt(req.params.sessionId, 10);
+        const body = req.body || {};
+        const existing = await consumptionQueries.getById(sessionId, req.user.id);
+        if (!existing) {
+            return sendError(res, 404, 'Session not found');
+        }
+
+        const updates = {};
+        if (body.status !== undefined) {
+            if (!consumptionQueries.SESSION_STATUSES.includes(body.status)) {
+                return sendError(res, 400, `status must be one of: ${consumptionQueries.SESSION_STATUSES.join(', ')}`);
+            }
+            updates.status = body.status;
+        }
+        if (body.visibility !== undefined) {
+            if (!consumptionQueries.VISIBILITY_LEVELS.includes(body.visibility)) {
+                return sendError(res, 400, 'visibility must be public or friends');
+            }
+            updates.visibility = body.visibility;
+        }
+        try {
+            const startedAt = parseDateOnly(body.startedAt, 'startedAt');
+            const finishedAt = parseDateOnly(body.finishedAt, 'finishedAt');
+            const progress = parseProgress(body.progress);
+            if (startedAt !== undefined) updates.startedAt = startedAt;
+            if (finishedAt !== undefined) updates.finishedAt = finishedAt;
+            if (progress !== undefined) updates.progress = progress;
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        const notes = normalizeNotes(body.notes);
+        if (notes !== undefined) updates.notes = notes;
+
+        const nextStatus = updates.status ?? existing.status;
+        const nextStartedAt = updates.startedAt !== undefined ? updates.startedAt : existing.startedAt;
+        let nextFinishedAt = updates.finishedAt !== undefined ? updates.finishedAt : existing.finishedAt;
+        if (nextStatus === 'completed' && !nextFinishedAt) {
+            nextFinishedAt = new Date().toISOString().slice(0, 10);
+            updates.finishedAt = nextFinishedAt;
+        }
+        if (nextStatus === 'in_progress' && nextFinishedAt) {
+            return sendError(res, 400, 'In-progress sessions cannot have finishedAt');
+        }
+        if (nextStartedAt && nextFinishedAt && nextFinishedAt < nextStartedAt) {
+            return sendError(res, 400, 'finishedAt cannot be before startedAt');
+        }
+
+        let session;
+        try {
+            session = await consumptionQueries.updateSession(sessionId, req.user.id, updates);
+        } catch (updateErr) {
+            // Re-opening a session while another play-through is open
+            if (updateErr?.code === '23505') {
+                return sendError(res, 409, 'This item already has a session in progress');
+            }
+            throw updateErr;
+        }
+        if (!session) {
+            return sendError(res, 404, 'Session not found');
+        }
+        res.json({ session: hydrateSessionMedia(session) });
+    } catch (err) {
+        logError('updateConsumptionSession', err, { userId: req.user?.id, sessionId: req.params?.sessionId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * DELETE /consumption/:sessionId
+ */
+async function deleteSession(req, res) {
+    try {
+        const sessionId = parseInt(req.params.sessionId, 10);
+        const deleted = await consumptionQueries.deleteSession(sessionId, req.user.id);
+        if (!deleted) {
+            return sendError(res, 404, 'Session not found');
+        }
+        res.json({ success: true });
+    } catch (err) {
+        logError('deleteConsumptionSession', err, { userId: req.user?.id, sessionId: req.params?.sessionId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+module.exports = {
+    listSessions,
+    getStats,
+    createSession,
+    updateSession,
+    deleteSession,
+    parseProgress,
+    hydrateSessionMedia,
+};
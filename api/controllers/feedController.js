@@ -53,6 +53,11 @@ function getDisplayHints(eventType) {
       sectionTitle: 'New shelf',
       itemDisplayMode: 'numbered',
     },
+    'goal.milestone': {
+      showShelfCard: false,
+      sectionTitle: null,
+      itemDisplayMode: 'goal',
+    },
   };
   return hints[eventType] || hints.default;
 }
@@ -1338,6 +1343,7 @@ async function getFeed(req, res) {
     let entries = events.map(e => {
       const social = socialMap.get(e.id) || {};
       const isCheckIn = e.eventType === 'checkin.activity';
+      const isGoalMilestone = e.eventType === 'goal.milestone';
 
       // Base entry properties
       const entry = {
@@ -1392,6 +1398,10 @@ async function getFeed(req, res) {
         if (manual) {
           entry.manual = manual;
         }
+      } else if (isGoalMilestone) {
+        // Goal milestone: the goal snapshot is the only preview payload
+        entry.visibility = e.visibility;
+        entry.goal = (Array.isArray(e.previewPayloads) && e.previewPayloads[0]) || null;
       } else {
         // Shelf-based event: include shelf and items info
         const payloads = Array.isArray(e.previewPayloads) ? e.previewPayloads : [];
@@ -1491,6 +1501,8 @@ async function getFeedEntryDetails(req, res) {
 
       const aggregate = rowToCamelCase(aggregateResult.rows[0]);
       const isCheckIn = aggregate.eventType === 'checkin.activity';
+      const isGoalMilestone = aggregate.eventType === 'goal.milestone';
+      const hasOwnVisibility = isCheckIn || isGoalMilestone;
       const isOwner = !!(viewerId && aggregate.userId && String(viewerId) === String(aggregate.userId));
 
       if (!isOwner) {
@@ -1503,7 +1515,7 @@ async function getFeedEntryDetails(req, res) {
         if (!canAccess) return;
       }
 
-      if (isCheckIn && !isOwner) {
+      if (hasOwnVisibility && !isOwner) {
         const visibility = aggregate.visibility || 'public';
         if (visibility === 'friends') {
           const isFriend = await friendshipQueries.areFriends(viewerId, aggregate.userId);
@@ -1517,14 +1529,14 @@ async function getFeedEntryDetails(req, res) {
 
       const resolvedShelfId = aggregate.shelfId;
       let shelf = null;
-      if (!isCheckIn && resolvedShelfId) {
+      if (!hasOwnVisibility && resolvedShelfId) {
         shelf = await shelvesQueries.getForViewing(resolvedShelfId, viewerId);
         if (!shelf) return res.status(404).json({ error: 'Feed entry not found' });
       }
 
       let items = [];
       let payloadItemCount = null;
-      if (!isCheckIn) {
+      if (!hasOwnVisibility) {
         const logsResult = await query(
           `SELECT e.id, e.event_type, e.payload, e.created_at
            FROM event_logs e
@@ -1642,6 +1654,9 @@ async function getFeedEntryDetails(req, res) {
         if (manual) {
           entry.manual = manual;
         }
+      } else if (isGoalMilestone) {
+        entry.visibility = aggregate.visibility;
+        entry.goal = (Array.isArray(aggregate.previewPayloads) && aggregate.previewPayloads[0]) || null;
       } else {
         entry.itemCount = Math.max(
           Number.isFinite(payloadItemCount) ? payloadItemCount : 0,
@@ -0,0 +1,349 @@
+/**
+ * Goals Controller
+ * Yearly reading/collecting goals per category and friend challenges. Progress
+ * is derived from check-in completions and item additions (services/goalProgress).
+ */
+
+const goalsQueries = require('../database/queries/goals');
+const friendshipsQueries = require('../database/queries/friendships');
+const notificationsQueries = require('../database/queries/notifications');
+const goalProgress = require('../services/goalProgress');
+const { addMediaUrls } = require('../services/mediaUrl');
+const { sendError, logError } = require('../utils/errorHandler');
+const logger = require('../logger');
+
+const MAX_GOAL_TARGET = 100000;
+const MAX_CHALLENGE_INVITEES = 50;
+
+function currentYear() {
+    return new Date().getUTCFullYear();
+}
+
+function parseYear(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const year = parseInt(value, 10);
+    if (!Number.isFinite(year) || year < 1900 || year > 2100 || String(year) !== String(value).trim()) {
+        throw new Error('year must be a four-digit year');
+    }
+    return year;
+}
+
+function parseTarget(value) {
+    const target = Number(value);
+    if (!Number.isInteger(target) || target < 1 || target > MAX_GOAL_TARGET) {
+        throw new Error(`target must be a whole number between 1 and ${MAX_GOAL_TARGET}`);
+    }
+    return target;
+}
+
+/**
+ * Validate the { category, metric, target } triple shared by goals and
+ * challenges. Throws a 400-worthy message.
+ */
+function parseGoalDefinition(body) {
+    const category = goalProgress.normalizeGoalCategory(body.category);
+    if (!category) {
+        throw new Error('category must be a shelf type (e.g. books, games, vinyl) or "all"');
+    }
+    const metric = body.metric ? String(body.metric) : 'completed';
+    if (!goalsQueries.GOAL_METRICS.includes(metric)) {
+        throw new Error(`metric must be one of: ${goalsQueries.GOAL_METRICS.join(', ')}`);
+    }
+    return { category, metric, target: parseTarget(body.target) };
+}
+
+/**
+ * GET /goals - The current user's goals with progress
+ * Query: year (default current year)
+ */
+async function listGoals(req, res) {
+    try {
+        let year;
+        try {
+            year = parseYear(req.query.year) || currentYear();
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        const goals = await goalProgress.getGoalsWithProgress(req.user.id, { year });
+        res.json({ year, goals });
+    } catch (err) {
+        logError('listGoals', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * POST /goals - Set a goal (replaces the target of an existing goal with the
+ * same year, category and metric)
+ * Body: { category, metric?, target, year?, visibility? }
+ */
+async function upsertGoal(req, res) {
+    try {
+        const body = req.body || {};
+        let definition;
+        let year;
+        try {
+            definition = parseGoalDefinition(body);
+            year = parseYear(body.year) || currentYear();
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        const visibility = body.visibility ? String(body.visibility) : 'public';
+        if (!goalsQueries.VISIBILITY_LEVELS.includes(visibility)) {
+            return sendError(res, 400, 'visibility must be public or friends');
+        }
+
+        const saved = await goalsQueries.upsertGoal(req.user.id, { ...definition, year, visibility });
+        const goal = await goalProgress.syncMilestoneBaseline(saved);
+        res.status(201).json({ goal });
+    } catch (err) {
+        logError('upsertGoal', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * PUT /goals/:goalId - Change target or visibility
+ */
+async function updateGoal(req, res) {
+    try {
+        const goalId = parseInt(req.params.goalId, 10);
+        const body = req.body || {};
+        const existing = await goalsQueries.getGoal(goalId, req.user.id);
+        if (!existing) {
+            return sendError(res, 404, 'Goal not found');
+        }
+
+        const updates = {};
+        if (body.target !== undefined) {
+            try {
+                updates.target = parseTarget(body.target);
+            } catch (validationErr) {
+                return sendError(res, 400, validationErr.message);
+            }
+        }
+        if (body.visibility !== undefined) {
+            if (!goalsQueries.VISIBILITY_LEVELS.includes(body.visibility)) {
+                return sendError(res, 400, 'visibility must be public or friends');
+            }
+            updates.visibility = body.visibility;
+        }
+
+        const saved = await goalsQueries.updateGoal(goalId, req.user.id, updates);
+        if (!saved) {
+            return sendError(res, 404, 'Goal not found');
+        }
+        // A new target moves the milestone marks; re-baseline so they are not
+        // announced for progress made under the old target.
+        if (updates.target !== undefined && updates.target !== existing.target) {
+            return res.json({ goal: await goalProgress.syncMilestoneBaseline(saved) });
+        }
+        const counts = await goalProgress.countForUsers([req.user.id], saved);
+        res.json({ goal: goalProgress.withProgress(saved, counts.get(req.user.id)) });
+    } catch (err) {
+        logError('updateGoal', err, { userId: req.user?.id, goalId: req.params?.goalId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * DELETE /goals/:goalId
+ */
+async function deleteGoal(req, res) {
+    try {
+        const goalId = parseInt(req.params.goalId, 10);
+        const deleted = await goalsQueries.deleteGoal(goalId, req.user.id);
+        if (!deleted) {
+            return sendError(res, 404, 'Goal not found');
+        }
+        res.json({ success: true });
+    } catch (err) {
+        logError('deleteGoal', err, { userId: req.user?.id, goalId: req.params?.goalId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * GET /goals/challenges - Challenges the user created, joined or was invited to
+ * Query: year (optional)
+ */
+async function listChallenges(req, res) {
+    try {
+        let year;
+        try {
+            year = parseYear(req.query.year);
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        const challenges = await goalsQueries.listChallengesForUser(req.user.id, { year });
+        res.json({ challenges });
+    } catch (err) {
+        logError('listChallenges', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * POST /goals/challenges - Challenge friends to the same goal
+ * Body: { title, category, metric?, target, year?, friendIds: [] }
+ */
+async function createChallenge(req, res) {
+    try {
+        const body = req.body || {};
+        const title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) {
+            return sendError(res, 400, 'title is required');
+        }
+        let definition;
+        let year;
+        try {
+            definition = parseGoalDefinition(body);
+            year = parseYear(body.year) || currentYear();
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+
+        if (body.friendIds !== undefined && !Array.isArray(body.friendIds)) {
+            return sendError(res, 400, 'friendIds must be an array');
+        }
+        const inviteeIds = Array.from(new Set((body.friendIds || []).map(String)))
+            .filter((id) => id !== String(req.user.id));
+        if (!inviteeIds.length) {
+            return sendError(res, 400, 'Invite at least one friend');
+        }
+        if (inviteeIds.length > MAX_CHALLENGE_INVITEES) {
+            return sendError(res, 400, `You can invite up to ${MAX_CHALLENGE_INVITEES} friends`);
+        }
+        for (const inviteeId of inviteeIds) {
+            const isFriend = await friendshipsQueries.areFriends(req.user.id, inviteeId);
+            if (!isFriend) {
+                return sendError(res, 403, 'You can only challenge your friends');
+            }
+        }
+
+        const challenge = await goalsQueries.createChallenge(req.user.id, {
+            ...definition,
+            title,
+            year,
+            inviteeIds,
+        });
+
+        for (const inviteeId of inviteeIds) {
+            try {
+                await notificationsQueries.create({
+                    userId: inviteeId,
+                    actorId: req.user.id,
+                    type: 'goal_challenge',
+                    entityId: challenge.id,
+                    entityType: 'goal_challenge',
+                    metadata: {
+                        challengeId: challenge.id,
+                        title: challenge.title,
+                        year: challenge.year,
+                        category: challenge.category,
+                        metric: challenge.metric,
+                        target: challenge.target,
+                    },
+                });
+            } catch (notifyErr) {
+                logger.warn('[Goals] Failed to send challenge invite', {
+                    challengeId: challenge.id,
+                    inviteeId,
+                    error: notifyErr?.message || notifyErr,
+                });
+            }
+        }
+
+        res.status(201).json({ challenge });
+    } catch (err) {
+        logError('createChallenge', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * GET /goals/challenges/:challengeId - Challenge details with a leaderboard of
+ * participants who joined, plus pending invitations
+ */
+async function getChallenge(req, res) {
+    try {
+        const challengeId = parseInt(req.params.challengeId, 10);
+        const challenge = await goalsQueries.getChallengeForUser(challengeId, req.user.id);
+        if (!challenge) {
+            return sendError(res, 404, 'Challenge not found');
+        }
+
+        const participants = await goalsQueries.listParticipants(challengeId);
+        const joined = participants.filter((participant) => participant.status === 'joined');
+        const counts = await goalProgress.countForUsers(joined.map((participant) => participant.userId), challenge);
+        const leaderboard = joined
+            .map((participant) => ({
+                ...addMediaUrls(participant, ['profileMediaPath']),
+                progress: goalProgress.withProgress(challenge, counts.get(participant.userId)).progress,
+            }))
+            .sort((a, b) => b.progress.count - a.progress.count);
+        const invited = participants
+            .filter((participant) => participant.status === 'invited')
+            .map((participant) => addMediaUrls(participant, ['profileMediaPath']));
+
+        res.json({ challenge, leaderboard, invited });
+    } catch (err) {
+        logError('getChallenge', err, { userId: req.user?.id, challengeId: req.params?.challengeId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * POST /goals/challenges/:challengeId/respond - Accept or decline an invitation
+ * Body: { accept: boolean }
+ */
+async function respondToChallenge(req, res) {
+    try {
+        const challengeId = parseInt(req.params.challengeId, 10);
+        const accept = req.body?.accept;
+        if (typeof accept !== 'boolean') {
+            return sendError(res, 400, 'accept must be true or false');
+        }
+        const challenge = await goalsQueries.getChallengeForUser(challengeId, req.user.id);
+        if (!challenge) {
+            return sendError(res, 404, 'Challenge not found');
+        }
+        const status = await goalsQueries.respondToChallenge(challengeId, req.user.id, accept);
+        if (!status) {
+            return sendError(res, 409, 'This invitation was already answered');
+        }
+        res.json({ challengeId, status });
+    } catch (err) {
+        logError('respondToChallenge', err, { userId: req.user?.id, challengeId: req.params?.challengeId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * DELETE /goals/challenges/:challengeId - Creator only
+ */
+async function deleteChallenge(req, res) {
+    try {
+        const challengeId = parseInt(req.params.challengeId, 10);
+        const deleted = await goalsQueries.deleteChallenge(challengeId, req.user.id);
+        if (!deleted) {
+            return sendError(res, 404, 'Challenge not found');
+        }
+        res.json({ success: true });
+    } catch (err) {
+        logError('deleteChallenge', err, { userId: req.user?.id, challengeId: req.params?.challengeId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+module.exports = {
+    listGoals,
+    upsertGoal,
+    updateGoal,
+    deleteGoal,
+    listChallenges,
+    createChallenge,
+    getChallenge,
+    respondToChallenge,
+    deleteChallenge,
+};
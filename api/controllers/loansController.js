@@ -0,0 +1,219 @@
+/**
+ * Loans Controller
+ * Lending tracker: record which collection items are lent out, to whom and
+ * until when, and show borrowers the items they currently hold.
+ */
+
+const itemLoansQueries = require('../database/queries/itemLoans');
+const friendshipsQueries = require('../database/queries/friendships');
+const usersQueries = require('../database/queries/users');
+const { parsePagination } = require('../database/queries/utils');
+const { addMediaUrls } = require('../services/mediaUrl');
+const { sendError, logError } = require('../utils/errorHandler');
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function hydrateLoanMedia(loan) {
+    if (!loan) return loan;
+    return { ...loan, item: addMediaUrls(loan.item, ['coverMediaPath']) };
+}
+
+/**
+ * Parse an optional YYYY-MM-DD body field. Returns `undefined` when absent,
+ * `null` when explicitly cleared, or throws a 400-worthy message.
+ */
+function parseDateOnly(value, field) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value)) {
+        throw new Error(`${field} must be a date (YYYY-MM-DD)`);
+    }
+    const parsed = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+        throw new Error(`${field} must be a valid date`);
+    }
+    return value;
+}
+
+function todayDateOnly() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function normalizeNotes(notes) {
+    if (notes === undefined) return undefined;
+    if (notes === null) return null;
+    return String(notes).trim() || null;
+}
+
+/**
+ * GET /loans - Loans made by the current user
+ * Query: status=active|overdue|returned|all (default active), limit, offset
+ */
+async function listLoans(req, res) {
+    try {
+        const status = String(req.query.status || 'active');
+        if (!itemLoansQueries.LOAN_STATUSES.includes(status)) {
+            return sendError(res, 400, `status must be one of: ${itemLoansQueries.LOAN_STATUSES.join(', ')}`);
+        }
+        const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+        const loans = await itemLoansQueries.listForOwner(req.user.id, { status, limit, offset });
+        res.json({ loans: loans.map(hydrateLoanMedia), status });
+    } catch (err) {
+        logError('listLoans', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * GET /loans/borrowed - Items friends have lent to the current user
+ */
+async function listBorrowed(req, res) {
+    try {
+        const loans = await itemLoansQueries.listBorrowedByUser(req.user.id);
+        res.json({ loans: loans.map(hydrateLoanMedia) });
+    } catch (err) {
+        logError('listBorrowed', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * POST /loans - Lend one of the current user's collection items
+ * Body: { itemId, borrowerUserId? (accepted friend), borrowerName?, lentAt?, dueAt?, notes? }
+ */
+async function createLoan(req, res) {
+    try {
+        const body = req.body || {};
+        const itemId = parseInt(body.itemId, 10);
+        if (!Number.isFinite(itemId) || itemId <= 0) {
+            return sendError(res, 400, 'itemId is required');
+        }
+
+        let lentAt;
+        let dueAt;
+        try {
+            lentAt = parseDateOnly(body.lentAt, 'lentAt') || todayDateOnly();
+            dueAt = parseDateOnly(body.dueAt, 'dueAt') || null;
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        if (dueAt && dueAt < lentAt) {
+            return sendError(res, 400, 'dueAt cannot be before lentAt');
+        }
+
+        const borrowerUserId = body.borrowerUserId ? String(body.borrowerUserId) : null;
+        let borrowerName = typeof body.borrowerName === 'string' ? body.borrowerName.trim() : '';
+        if (borrowerUserId) {
+            if (borrowerUserId === String(req.user.id)) {
+                return sendError(res, 400, 'You cannot lend an item to yourself');
+            }
+            const isFriend = await friendshipsQueries.areFriends(req.user.id, borrowerUserId);
+            if (!isFriend) {
+                return sendError(res, 403, 'Borrower must be one of your friends');
+            }
+            if (!borrowerName) {
+                const borrower = await usersQueries.findById(borrowerUserId);
+                borrowerName = [borrower?.first_name, borrower?.last_name].filter(Boolean).join(' ').trim()
+                    || borrower?.username
+                    || '';
+            }
+        }
+        if (!borrowerName) {
+            return sendError(res, 400, 'borrowerUserId or borrowerName is required');
+        }
+
+        const item = await itemLoansQueries.getOwnedCollectionItem(itemId, req.user.id);
+        if (!item) {
+            return sendError(res, 404, 'Item not found');
+        }
+
+        const loan = await itemLoansQueries.createLoan({
+            collectionItemId: item.id,
+            ownerId: req.user.id,
+            borrowerUserId,
+            borrowerName,
+            lentAt,
+            dueAt,
+            notes: normalizeNotes(body.notes) ?? null,
+        });
+        if (!loan) {
+            return sendError(res, 409, 'This item is already lent out');
+        }
+
+        res.status(201).json({ loan: hydrateLoanMedia(loan) });
+    } catch (err) {
+        logError('createLoan', err, { userId: req.user?.id });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * PUT /loans/:loanId - Change the due date or notes of an active loan
+ */
+async function updateLoan(req, res) {
+    try {
+        const loanId = parseInt(req.params.loanId, 10);
+        const existing = await itemLoansQueries.getById(loanId);
+        if (!existing || String(existing.owner.id) !== String(req.user.id)) {
+            return sendError(res, 404, 'Loan not found');
+        }
+        if (existing.returnedAt) {
+            return sendError(res, 409, 'Returned loans cannot be changed');
+        }
+
+        let dueAt;
+        try {
+            dueAt = parseDateOnly(req.body?.dueAt, 'dueAt');
+        } catch (validationErr) {
+            return sendError(res, 400, validationErr.message);
+        }
+        if (dueAt && dueAt < existing.lentAt) {
+            return sendError(res, 400, 'dueAt cannot be before lentAt');
+        }
+
+        const loan = await itemLoansQueries.updateLoan(loanId, req.user.id, {
+            dueAt,
+            notes: normalizeNotes(req.body?.notes),
+        });
+        if (!loan) {
+            return sendError(res, 409, 'Returned loans cannot be changed');
+        }
+        res.json({ loan: hydrateLoanMedia(loan) });
+    } catch (err) {
+        logError('updateLoan', err, { userId: req.user?.id, loanId: req.params?.loanId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+/**
+ * POST /loans/:loanId/return - Mark a loan as returned
+ */
+async function returnLoan(req, res) {
+    try {
+        const loanId = parseInt(req.params.loanId, 10);
+        const existing = await itemLoansQueries.getById(loanId);
+        if (!existing || String(existing.owner.id) !== String(req.user.id)) {
+            return sendError(res, 404, 'Loan not found');
+        }
+        if (existing.returnedAt) {
+            return sendError(res, 409, 'Loan is already returned');
+        }
+
+        const loan = await itemLoansQueries.markReturned(loanId, req.user.id);
+        if (!loan) {
+            return sendError(res, 409, 'Loan is already returned');
+        }
+        res.json({ loan: hydrateLoanMedia(loan) });
+    } catch (err) {
+        logError('returnLoan', err, { userId: req.user?.id, loanId: req.params?.loanId });
+        return sendError(res, 500, 'Server error');
+    }
+}
+
+module.exports = {
+    listLoans,
+    listBorrowed,
+    createLoan,
+    updateLoan,
+    returnLoan,
+};
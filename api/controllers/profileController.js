@@ -7,6 +7,8 @@ const { query } = require('../database/pg');
 const usersQueries = require('../database/queries/users');
 const shelvesQueries = require('../database/queries/shelves');
 const profileMediaQueries = require('../database/queries/profileMedia');
+const consumptionQueries = require('../database/queries/consumption');
+const { getGoalsWithProgress } = require('../services/goalProgress');
 const { rowToCamelCase } = require('../database/queries/utils');
 const { addMediaUrls } = require('../services/mediaUrl');
 const { validateImageBuffer } = require('../utils/imageValidation');
@@ -220,10 +222,120 @@ async function getProfileShelves(req, res) {
     }
 }
 
+/**
+ * GET /profile/:username/currently
+ * "Currently reading/playing" shelf: in-progress consumption sessions plus
+ * this year's finished count. Friends-only sessions are shown to friends.
+ */
+async function getProfileCurrently(req, res) {
+    try {
+        const { username } = req.params;
+        const viewerId = req.user?.id || null;
+
+        const user = await usersQueries.findByUsername(username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const canAccess = await ensureUsersNotBlocked({
+            res,
+            viewerId,
+            targetUserId: user.id,
+            error: 'You cannot access this user',
+        });
+        if (!canAccess) return;
+
+        const isOwner = viewerId === user.id;
+        let isFriend = false;
+        if (!isOwner && viewerId) {
+            const friendCheck = await query(
+                `SELECT 1 FROM friendships 
+                 WHERE status = 'accepted' 
+                 AND ((requester_id = $1 AND addressee_id = $2)
+                      OR (requester_id = $2 AND addressee_id = $1))`,
+                [user.id, viewerId]
+            );
+            isFriend = friendCheck.rows.length > 0;
+        }
+
+        if (user.is_private && !isOwner && !isFriend) {
+            return res.json({ sessions: [], stats: null, message: 'This profile is private' });
+        }
+
+        const includeFriendsOnly = isOwner || isFriend;
+        const [sessions, stats] = await Promise.all([
+            consumptionQueries.listCurrentForUser(user.id, { includeFriendsOnly }),
+            consumptionQueries.getYearStats(user.id, new Date().getUTCFullYear(), { includeFriendsOnly }),
+        ]);
+
+        res.json({
+            sessions: sessions.map((session) => ({
+                ...session,
+                notes: isOwner ? session.notes : null,
+                item: addMediaUrls(session.item, ['coverMediaPath']),
+            })),
+            stats,
+        });
+    } catch (err) {
+        logger.error('getProfileCurrently error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * GET /profile/:username/goals
+ * This year's goals with progress. Friends-only goals are shown to friends.
+ */
+async function getProfileGoals(req, res) {
+    try {
+        const { username } = req.params;
+        const viewerId = req.user?.id || null;
+
+        const user = await usersQueries.findByUsername(username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const canAccess = await ensureUsersNotBlocked({
+            res,
+            viewerId,
+            targetUserId: user.id,
+            error: 'You cannot access this user',
+        });
+        if (!canAccess) return;
+
+        const isOwner = viewerId === user.id;
+        let isFriend = false;
+        if (!isOwner && viewerId) {
+            const friendCheck = await query(
+                `SELECT 1 FROM friendships 
+                 WHERE status = 'accepted' 
+                 AND ((requester_id = $1 AND addressee_id = $2)
+                      OR (requester_id = $2 AND addressee_id = $1))`,
+                [user.id, viewerId]
+            );
+            isFriend = friendCheck.rows.length > 0;
+        }
+
+        const year = new Date().getUTCFullYear();
+        if (user.is_private && !isOwner && !isFriend) {
+            return res.json({ year, goals: [], message: 'This profile is private' });
+        }
+
+        const goals = await getGoalsWithProgress(user.id, { year, includeFriendsOnly: isOwner || isFriend });
+        res.json({ year, goals });
+    } catch (err) {
+        logger.error('getProfileGoals error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
 module.exports = {
     getMyProfile,
     updateMyProfile,
     uploadPhoto,
     getPublicProfile,
     getProfileShelves,
+    getProfileCurrently,
+    getProfileGoals,
 };
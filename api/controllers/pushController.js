@@ -69,6 +69,8 @@ async function getNotificationPreferences(req, res) {
                 pushFriendAccepts: preferences.pushFriendAccepts,
                 pushMentions: preferences.pushMentions,
                 pushWorkflowJobs: preferences.pushWorkflowJobs,
+                pushLoanReminders: preferences.pushLoanReminders,
+                pushWishlistAlerts: preferences.pushWishlistAlerts,
             },
         });
     } catch (err) {
@@ -94,6 +96,8 @@ async function updateNotificationPreferences(req, res) {
             'pushFriendAccepts',
             'pushMentions',
             'pushWorkflowJobs',
+            'pushLoanReminders',
+            'pushWishlistAlerts',
         ];
         const filteredUpdates = {};
 
@@ -121,6 +125,8 @@ async function updateNotificationPreferences(req, res) {
                 pushFriendAccepts: preferences.pushFriendAccepts,
                 pushMentions: preferences.pushMentions,
                 pushWorkflowJobs: preferences.pushWorkflowJobs,
+                pushLoanReminders: preferences.pushLoanReminders,
+                pushWishlistAlerts: preferences.pushWishlistAlerts,
             },
         });
     } catch (err) {
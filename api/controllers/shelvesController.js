@@ -5,12 +5,24 @@ const {
   makeCollectableFingerprint,
   makeManualFingerprint,
 } = require('../services/collectables/fingerprint');
+const {
+  normalizeIssueNumber,
+  normalizeSeriesName,
+  normalizeVolumeNumber,
+} = require('../services/collectables/comicNumbering');
+const {
+  cardPrintingKey,
+  normalizePlayerCount,
+  pickTabletopFields,
+} = require('../services/collectables/tabletopFields');
 const crypto = require('crypto');
 const { BookCatalogService } = require("../services/catalog/BookCatalogService");
 const { GameCatalogService } = require("../services/catalog/GameCatalogService");
 const { MovieCatalogService } = require("../services/catalog/MovieCatalogService");
 // const { GoogleCloudVisionService } = require('../services/googleCloudVision'); // Temporarily disabled; keep for easy re-enable.
 const { VisionPipelineService } = require('../services/visionPipeline');
+const { buildShelfPlacements } = require('../services/visionShelfLayout');
+const { buildRescanDiff } = require('../services/visionRescanDiff');
 const { getVisionPipelineHooks } = require('../services/visionPipelineHooks');
 const processingStatus = require('../services/processingStatus');
 
@@ -19,26 +31,42 @@ const { query, transaction } = require('../database/pg');
 const shelvesQueries = require('../database/queries/shelves');
 const collectablesQueries = require('../database/queries/collectables');
 const marketValueEstimates = require('../database/queries/marketValueEstimates');
+const editionsQueries = require('../database/queries/editions');
 const ratingsQueries = require('../database/queries/ratings');
 const feedQueries = require('../database/queries/feed');
 const { rowToCamelCase, parsePagination } = require('../database/queries/utils');
 const { resolveMediaUrl } = require('../services/mediaUrl');
 const needsReviewQueries = require('../database/queries/needsReview');
 const visionQuotaQueries = require('../database/queries/visionQuota');
+const { notifyVisionUsageThreshold } = require('../services/visionUsageAlerts');
+const { getBudgetStatus, getPipelineBudgetOptions, recordAiSpend } = require('../services/aiCostAccounting');
 const manualMediaQueries = require('../database/queries/manualMedia');
 const visionScanPhotosQueries = require('../database/queries/visionScanPhotos');
+const visionScanSessionsQueries = require('../database/queries/visionScanSessions');
 const visionItemRegionsQueries = require('../database/queries/visionItemRegions');
 const visionItemCropsQueries = require('../database/queries/visionItemCrops');
 const workflowQueueJobsQueries = require('../database/queries/workflowQueueJobs');
 const userCollectionPhotosQueries = require('../database/queries/userCollectionPhotos');
 const shelfPhotosQueries = require('../database/queries/shelfPhotos');
 const itemReplacementTracesQueries = require('../database/queries/itemReplacementTraces');
+const shelfLayoutQueries = require('../database/queries/shelfLayout');
+const visionRescanDiffsQueries = require('../database/queries/visionRescanDiffs');
+const matchCorrections = require('../services/collectables/matchCorrections');
 const { isSameComparableId } = require('../utils/identity');
 const { getCollectableMatchingService } = require('../services/collectableMatchingService');
 const { getWorkflowQueueService } = require('../services/workflowQueueService');
 const { getWorkflowQueueSettings } = require('../services/workflow/workflowSettings');
+const { isRetryableWorkflowError } = require('../services/workflow/workflowRetry');
 const { CatalogProvidersUnavailableError } = require('../services/catalog/errors');
-const { createVisionCropService } = require('@shelvesai/vision-crops');
+const { getCatalogRouter } = require('../services/catalog/CatalogRouter');
+const { classifyBarcode } = require('../services/catalog/barcodeUtils');
+const {
+  IMPORT_ROW_STATUSES,
+  getFormatShelfTypes,
+  parseCollectionImport,
+} = require('../services/collectionImport');
+const { resolveShelfType } = require('../services/config/shelfTypeResolver');
+const { createVisionCropService, normalizeNormalizedBox2d } = require('@shelvesai/vision-crops');
 const {
   normalizeOtherManualItem,
   buildOtherManualPayload,
@@ -47,6 +75,7 @@ const {
   OTHER_MANUAL_FUZZY_REVIEW_MIN_THRESHOLD,
 } = require('../services/manuals/otherManual');
 const { normalizeString, normalizeStringArray } = require('../utils/normalize');
+const { normalizeSearchText } = require('../utils/searchNormalization');
 const {
   isGamesShelfType,
   normalizeGameFormat,
@@ -55,8 +84,16 @@ const {
   areGameDefaultsEqual,
   resolveGameShelfDefaultsForItem,
 } = require('../services/gameShelfDefaults');
+const {
+  isCardsShelfType,
+  normalizeCardDefaultsInput,
+  normalizeCardDefaultsForResponse,
+  normalizeCardGradingInput,
+} = require('../services/cardShelfDefaults');
 const visionResultCacheQueries = require('../database/queries/visionResultCache');
 const { ensureUsersNotBlocked } = require('../utils/userBlockAccess');
+const { checkGoalMilestones } = require('../services/goalProgress');
+const { markWishlistItemsReceived, registerWishlistReceiptHook } = require('../services/wishlistReceipts');
 const logger = require('../logger');
 const {
   DEFAULT_OCR_CONFIDENCE_THRESHOLD,
@@ -79,6 +116,8 @@ const VISIBILITY_OPTIONS = ["private", "friends", "public"];
 const OTHER_SHELF_TYPE = "other";
 const OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR = 'Description is required when shelf type is "other".';
 const REPLACEMENT_TRIGGER_SOURCES = new Set(['collectable_detail', 'shelf_delete_modal']);
+// Events that count towards "items added" yearly goals
+const GOAL_EVENT_TYPES = new Set(['item.collectable_added', 'item.manual_added']);
 const REPLACEMENT_WINDOW_HOURS = {
   collectable_detail: 72,
   shelf_delete_modal: 24,
@@ -146,6 +185,19 @@ function isGameCollectableKind(value) {
   return lower === 'game' || lower === 'games';
 }
 
+function formatOwnedEdition(row) {
+  if (!row?.editionId || !row.ownedEditionName) return null;
+  return {
+    id: row.editionId,
+    name: row.ownedEditionName,
+    editionType: row.ownedEditionType || null,
+    format: row.ownedEditionFormat || null,
+    platform: row.ownedEditionPlatform || null,
+    region: row.ownedEditionRegion || null,
+    releaseYear: row.ownedEditionReleaseYear ?? null,
+  };
+}
+
 function formatCollectionUserDetails(row) {
   if (!row?.collectableId) return null;
   return {
@@ -160,6 +212,11 @@ function formatCollectionUserDetails(row) {
     barcode: row.barcode || null,
     itemSpecificText: row.itemSpecificText || null,
     userMarketValue: row.userMarketValue || null,
+    editionId: row.editionId ?? null,
+    ownedEdition: formatOwnedEdition(row),
+    cardCondition: row.cardCondition || null,
+    cardGradingCompany: row.cardGradingCompany || null,
+    cardGrade: row.cardGrade != null ? Number(row.cardGrade) : null,
   };
 }
 
@@ -238,6 +295,7 @@ function formatShelfResponse(shelf) {
   return {
     ...rest,
     gameDefaults: normalizeGameDefaultsForResponse(rest.gameDefaults, { shelfType: rest.type }),
+    cardDefaults: normalizeCardDefaultsForResponse(rest.cardDefaults, { shelfType: rest.type }),
     shelfPhoto: formatShelfPhotoResponse({
       id: rest.id,
       photoStorageProvider,
@@ -550,6 +608,16 @@ const OWNER_PHOTO_DEBUG_ENABLED = parseBooleanFlag(process.env.OWNER_PHOTO_DEBUG
 const OWNER_PHOTO_DEBUG_ITEM_ID = parsePositiveInt(process.env.OWNER_PHOTO_DEBUG_ITEM_ID, null);
 const FEED_MICRO_DEBUG_ENABLED = parseBooleanFlag(process.env.FEED_MICRO_DEBUG_ENABLED, false);
 const WORKFLOW_TYPE_VISION = 'vision';
+const WORKFLOW_TYPE_VISION_SESSION = 'vision_session';
+const VISION_SESSION_MAX_PHOTOS = parsePositiveInt(process.env.VISION_SESSION_MAX_PHOTOS, 8);
+const VISION_REGION_EDIT_MAX_REGIONS = parsePositiveInt(process.env.VISION_REGION_EDIT_MAX_REGIONS, 10);
+// Boxes are 0-1000 normalized; anything thinner than this is a stray tap.
+const VISION_REGION_MIN_SIDE = 5;
+const SHELF_LAYOUT_LOCATE_LIMIT = 5;
+const VISION_SCAN_MODE_RESCAN = 'rescan';
+const WORKFLOW_TYPE_COLLECTION_IMPORT = 'collection_import';
+const COLLECTION_IMPORT_MAX_ROWS = parsePositiveInt(process.env.COLLECTION_IMPORT_MAX_ROWS, 5000);
+const COLLECTION_IMPORT_PROGRESS_EVERY = 25;
 const WORKFLOW_QUEUE_WAIT_SECONDS_PER_JOB = parsePositiveInt(
   process.env.WORKFLOW_QUEUE_WAIT_SECONDS_PER_JOB,
   15,
@@ -562,6 +630,12 @@ const WORKFLOW_QUEUE_NOTIFY_FORCE_MIN_WAIT_MS = parsePositiveInt(
   process.env.WORKFLOW_QUEUE_NOTIFY_FORCE_MIN_WAIT_MS,
   20000,
 );
+const TERMINAL_WORKFLOW_STATUSES = new Set(['completed', 'failed', 'aborted', 'dead']);
+// Job event stream: how often it re-reads the queue row, comment keep-alives
+// for idle proxies, and the longest a single connection stays open.
+const VISION_STATUS_STREAM_INTERVAL_MS = parsePositiveInt(process.env.VISION_STATUS_STREAM_INTERVAL_MS, 1000);
+const VISION_STATUS_STREAM_KEEPALIVE_MS = 15000;
+const VISION_STATUS_STREAM_MAX_MS = parsePositiveInt(process.env.VISION_STATUS_STREAM_MAX_MS, 10 * 60 * 1000);
 
 function shouldLogOwnerPhotoDebug(itemId = null) {
   if (!OWNER_PHOTO_DEBUG_ENABLED) return false;
@@ -671,6 +745,7 @@ function buildCollectableUpsertPayload(input, shelfType) {
   const identifiers = normalizeIdentifiers(input?.identifiers);
   const images = normalizeArray(input?.images);
   const sources = normalizeArray(input?.sources);
+  const editions = normalizeArray(input?.editions);
   const hasCastMembers = (
     Object.prototype.hasOwnProperty.call(input || {}, 'castMembers')
     || Object.prototype.hasOwnProperty.call(input || {}, 'cast_members')
@@ -705,6 +780,11 @@ function buildCollectableUpsertPayload(input, shelfType) {
   );
   const subtitle = normalizeString(input?.subtitle);
   const description = normalizeString(input?.description);
+  const series = normalizeSeriesName(input?.series);
+  const issueNumber = normalizeIssueNumber(input?.issueNumber ?? input?.issue_number);
+  const volumeNumber = normalizeVolumeNumber(input?.volumeNumber ?? input?.volume_number);
+  const tabletop = pickTabletopFields(input);
+  const maxPlayers = normalizePlayerCount(input?.maxPlayers ?? input?.max_players);
   const platforms = normalizeStringArray(
     input?.platforms,
     input?.platform,
@@ -734,6 +814,7 @@ function buildCollectableUpsertPayload(input, shelfType) {
       releaseYear: year || null,
       mediaType: kind,
       platforms: platforms.length ? platforms : undefined,
+      variant: cardPrintingKey(tabletop),
     });
 
   const lightweightFingerprint =
@@ -756,6 +837,11 @@ function buildCollectableUpsertPayload(input, shelfType) {
     creators,
     publishers,
     year,
+    series,
+    issueNumber,
+    volumeNumber,
+    ...tabletop,
+    maxPlayers,
     marketValue,
     marketValueSources,
     formats,
@@ -768,6 +854,7 @@ function buildCollectableUpsertPayload(input, shelfType) {
     images,
     coverUrl,
     sources,
+    editions,
     externalId,
     fuzzyFingerprints,
     coverImageUrl,
@@ -1002,6 +1089,16 @@ function formatShelfItem(row) {
     publisher: collectablePublishers[0] || null,
     publishers: collectablePublishers,
     year: row.collectableYear || null,
+    series: row.collectableSeries || null,
+    issueNumber: row.collectableIssueNumber || null,
+    volumeNumber: row.collectableVolumeNumber ?? null,
+    minPlayers: row.collectableMinPlayers ?? null,
+    maxPlayers: row.collectableMaxPlayers ?? null,
+    minPlayTime: row.collectableMinPlayTime ?? null,
+    maxPlayTime: row.collectableMaxPlayTime ?? null,
+    setCode: row.collectableSetCode || null,
+    setName: row.collectableSetName || null,
+    collectorNumber: row.collectableCollectorNumber || null,
     marketValue: row.collectableMarketValue || null,
     formats: Array.isArray(row.collectableFormats) ? row.collectableFormats : [],
     systemName: collectableSystemName,
@@ -1089,6 +1186,14 @@ function formatShelfItem(row) {
       imageUrl: `/api/shelves/${row.shelfId}/items/${row.id}/owner-photo/image`,
       thumbnailImageUrl: `/api/shelves/${row.shelfId}/items/${row.id}/owner-photo/thumbnail`,
     } : null,
+    loan: row.loanId ? {
+      id: row.loanId,
+      borrowerUserId: row.loanBorrowerUserId || null,
+      borrowerName: row.loanBorrowerName,
+      lentAt: row.loanLentAt,
+      dueAt: row.loanDueAt || null,
+      isOverdue: row.loanIsOverdue === true,
+    } : null,
     createdAt: row.createdAt || null,
   };
 
@@ -1124,6 +1229,7 @@ function redactShelfItemForViewer(item) {
     reviewedEventId: null,
     reviewPublishedAt: null,
     reviewUpdatedAt: null,
+    loan: null,
   };
 }
 
@@ -1245,8 +1351,12 @@ function buildManualAddedEventPayload({
   };
 }
 
-async function hydrateShelfItems(userId, shelfId, { limit, skip = 0 } = {}) {
-  const rows = await shelvesQueries.getItems(shelfId, userId, { limit: limit || 100, offset: skip });
+async function hydrateShelfItems(userId, shelfId, { limit, skip = 0, loanFilter = null } = {}) {
+  const rows = await shelvesQueries.getItems(shelfId, userId, {
+    limit: limit || 100,
+    offset: skip,
+    ...(loanFilter ? { loanFilter } : {}),
+  });
   return rows.map(formatShelfItem).filter(Boolean);
 }
 
@@ -1269,6 +1379,14 @@ async function logShelfEvent({ userId, shelfId, type, payload }) {
       eventId: result?.id || null,
       payloadKeys: payload && typeof payload === 'object' ? Object.keys(payload) : [],
     });
+    if (result && GOAL_EVENT_TYPES.has(type)) {
+      checkGoalMilestones(userId).catch((goalErr) => {
+        logger.warn("Goal milestone check failed", goalErr?.message || goalErr);
+      });
+    }
+    if (type === "item.collectable_added" && payload?.collectableId) {
+      markWishlistItemsReceived(userId, payload.collectableId);
+    }
     return result;
   } catch (err) {
     logFeedMicro('logShelfEvent.error', {
@@ -1448,7 +1566,13 @@ async function listShelves(req, res) {
 
 async function createShelf(req, res) {
   try {
-    const { name, type, description, gameDefaults: rawGameDefaults } = req.body ?? {};
+    const {
+      name,
+      type,
+      description,
+      gameDefaults: rawGameDefaults,
+      cardDefaults: rawCardDefaults,
+    } = req.body ?? {};
     if (!name || !type) return res.status(400).json({ error: "name and type are required" });
 
     const normalizedType = String(type).trim();
@@ -1465,6 +1589,12 @@ async function createShelf(req, res) {
     } catch (validationErr) {
       return res.status(400).json({ error: validationErr.message || 'Invalid gameDefaults payload' });
     }
+    let cardDefaults = null;
+    try {
+      cardDefaults = normalizeCardDefaultsInput(rawCardDefaults, { shelfType: normalizedType });
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message || 'Invalid cardDefaults payload' });
+    }
 
     const shelf = await shelvesQueries.create({
       userId: req.user.id,
@@ -1473,6 +1603,7 @@ async function createShelf(req, res) {
       description: normalizedDescription,
       visibility,
       gameDefaults,
+      cardDefaults,
     });
 
     await logShelfEvent({
@@ -1530,6 +1661,14 @@ async function updateShelf(req, res) {
         return res.status(400).json({ error: validationErr.message || 'Invalid gameDefaults payload' });
       }
     }
+    // Card defaults only seed new items; existing items keep their graded condition.
+    if (Object.prototype.hasOwnProperty.call(payload, 'cardDefaults')) {
+      try {
+        updates.card_defaults = normalizeCardDefaultsInput(payload.cardDefaults, { shelfType: existingShelf.type });
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message || 'Invalid cardDefaults payload' });
+      }
+    }
 
     const resolvedDescription = Object.prototype.hasOwnProperty.call(updates, "description")
       ? updates.description
@@ -1695,8 +1834,16 @@ async function listShelfItems(req, res) {
 
     const { limit, skip } = parsePaginationParams(req.query, { defaultLimit: 25, maxLimit: 200 });
     const isOwner = isSameUserId(shelf.ownerId, req.user.id);
+    // Loans are private to the owner, so `lent` only filters the owner's view.
+    const lentParam = req.query.lent;
+    if (lentParam !== undefined && lentParam !== 'true' && lentParam !== 'false') {
+      return res.status(400).json({ error: "lent must be 'true' or 'false'" });
+    }
+    const loanFilter = isOwner && lentParam !== undefined
+      ? (lentParam === 'true' ? 'lent' : 'available')
+      : null;
     let items = isOwner
-      ? await hydrateShelfItems(req.user.id, shelf.id, { limit, skip })
+      ? await hydrateShelfItems(req.user.id, shelf.id, { limit, skip, loanFilter })
       : (await shelvesQueries.getItemsForViewing(shelf.id, { limit, offset: skip })).map(formatShelfItem).filter(Boolean);
     if (!isOwner) {
       items = items.map(redactShelfItemForViewer);
@@ -1718,8 +1865,11 @@ async function listShelfItems(req, res) {
       });
     }
 
+    const loanCountClause = loanFilter
+      ? ` AND ${loanFilter === 'lent' ? '' : 'NOT '}EXISTS (SELECT 1 FROM item_loans il WHERE il.collection_item_id = user_collections.id AND il.returned_at IS NULL)`
+      : '';
     const countResult = await query(
-      `SELECT COUNT(*) as total FROM user_collections WHERE shelf_id = $1${isOwner ? ' AND user_id = $2' : ''}`,
+      `SELECT COUNT(*) as total FROM user_collections WHERE shelf_id = $1${isOwner ? ' AND user_id = $2' : ''}${loanCountClause}`,
       isOwner ? [shelf.id, req.user.id] : [shelf.id]
     );
     const total = parseInt(countResult.rows[0].total);
@@ -1986,1769 +2136,3659 @@ async function addCollectable(req, res) {
   }
 }
 
-async function addCollectableFromApi(req, res) {
-  try {
-    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
-    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+const BARCODE_SCAN_MAX_CODES = Math.max(
+  1,
+  Number.parseInt(process.env.BARCODE_SCAN_MAX_CODES || '25', 10) || 25,
+);
 
-    const input = req.body?.collectable || req.body?.suggestion || null;
-    if (!input) return res.status(400).json({ error: "collectable is required" });
+function mergeIdentifierMaps(base, extra) {
+  const merged = { ...normalizeIdentifiers(base) };
+  for (const [key, values] of Object.entries(extra || {})) {
+    const existing = Array.isArray(merged[key]) ? merged[key] : [];
+    merged[key] = [...new Set([...existing, ...values])];
+  }
+  return merged;
+}
 
-    let resolvedInput = input;
-    try {
-      const matchingService = getCollectableMatchingService();
-      const apiResult = await matchingService.searchCatalogAPI(input, shelf.type);
-      if (apiResult) {
-        resolvedInput = { ...input, ...apiResult };
-      }
-    } catch (err) {
-      logger.warn('[addCollectableFromApi] API enrichment failed:', err?.message || err);
-    }
+function buildBarcodeReviewRawData(barcode, shelf) {
+  return {
+    title: null,
+    kind: shelf.type,
+    barcode: barcode.code,
+    identifiers: barcode.identifiers,
+    source: 'barcode',
+    reviewContext: {
+      scanPhotoId: null,
+      extractionIndex: null,
+      shelfType: normalizeString(shelf.type) || null,
+      reason: 'barcode_unresolved',
+    },
+  };
+}
 
-    const payload = buildCollectableUpsertPayload(resolvedInput, shelf.type);
-    if (!payload) return res.status(400).json({ error: "collectable title is required" });
+/**
+ * Resolve one scanned code to a collectable: local identifiers first, then
+ * catalog adapters that support identifier lookup.
+ */
+async function resolveCollectableForBarcode(barcode, shelf) {
+  const existing = await collectablesQueries.findByIdentifiers(barcode.identifiers);
+  if (existing) return { collectable: existing, matchSource: 'identifiers' };
+
+  const apiResult = await getCatalogRouter().lookupByIdentifier(barcode, shelf.type);
+  if (!apiResult) return null;
+
+  // Adapters fingerprint the lookup input, which here carries no title;
+  // recompute from the resolved metadata instead.
+  const payload = buildCollectableUpsertPayload(
+    { ...apiResult, lightweightFingerprint: null },
+    shelf.type,
+  );
+  if (!payload) return null;
+  payload.identifiers = mergeIdentifierMaps(payload.identifiers, barcode.identifiers);
 
-    const collectable = await collectablesQueries.upsert(payload);
-    const userFormat = normalizeString(resolvedInput?.format || resolvedInput?.physical?.format);
-    const resolvedDefaults = resolveCollectionDefaultsForShelfItem({ shelf, collectable });
-    const item = await shelvesQueries.addCollectable({
-      userId: req.user.id,
-      shelfId: shelf.id,
-      collectableId: collectable.id,
-      format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : (userFormat || null),
-      platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
-    });
-    const appliedDefaults = await applyShelfGameDefaultsToCollectionItem({
-      userId: req.user.id,
-      shelf,
-      itemId: item?.id,
-      collectable,
-    });
+  let collectable = await collectablesQueries.upsert(payload);
+  // upsert keeps identifiers on an existing row, so record the scanned code explicitly.
+  collectable = await collectablesQueries.addIdentifiers(collectable.id, barcode.identifiers) || collectable;
+  return { collectable, matchSource: apiResult._source ? `catalog:${apiResult._source}` : 'catalog' };
+}
 
-    await logShelfEvent({
-      userId: req.user.id,
+async function addBarcodeToShelf({ userId, shelf, rawCode }) {
+  const barcode = classifyBarcode(rawCode);
+  if (!barcode) {
+    return { code: normalizeString(rawCode), status: 'invalid' };
+  }
+
+  if (isOtherShelfType(shelf.type)) {
+    const manual = await shelvesQueries.findManualByBarcode({
+      userId,
       shelfId: shelf.id,
-      type: "item.collectable_added",
-      payload: buildCollectableAddedEventPayload({
-        itemId: item.id,
-        collectable,
-        shelfType: shelf.type,
-        source: 'user',
-      }),
+      barcode: barcode.code,
     });
+    if (manual) {
+      return {
+        code: barcode.code,
+        type: barcode.type,
+        status: 'existing',
+        matchSource: 'barcode',
+        manual: { id: manual.id, name: manual.name },
+      };
+    }
+  } else {
+    const resolved = await resolveCollectableForBarcode(barcode, shelf);
+    if (resolved) {
+      const { collectable, matchSource } = resolved;
+      const alreadyOnShelf = await shelvesQueries.findCollectionByReference({
+        userId,
+        shelfId: shelf.id,
+        collectableId: collectable.id,
+      });
+      const resolvedDefaults = resolveCollectionDefaultsForShelfItem({ shelf, collectable });
+      const item = await shelvesQueries.addCollectable({
+        userId,
+        shelfId: shelf.id,
+        collectableId: collectable.id,
+        format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : undefined,
+        platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
+        barcode: barcode.code,
+      });
 
-    res.status(201).json({
-      item: {
-        id: item.id,
+      if (!alreadyOnShelf) {
+        await applyShelfGameDefaultsToCollectionItem({
+          userId,
+          shelf,
+          itemId: item?.id,
+          collectable,
+        });
+        await logShelfEvent({
+          userId,
+          shelfId: shelf.id,
+          type: "item.collectable_added",
+          payload: buildCollectableAddedEventPayload({
+            itemId: item.id,
+            collectable,
+            shelfType: shelf.type,
+            source: 'barcode',
+          }),
+        });
+      }
+
+      return {
+        code: barcode.code,
+        type: barcode.type,
+        status: alreadyOnShelf ? 'existing' : 'added',
+        matchSource,
+        itemId: item?.id || null,
         collectable: omitMarketValueSources(collectable),
-        position: item.position,
-        format: isGamesShelfType(shelf.type) ? appliedDefaults.format : item.format,
-        notes: item.notes,
-        rating: item.rating,
-        platformMissing: appliedDefaults.platformMissing,
-        ownedPlatforms: appliedDefaults.ownedPlatforms,
-      },
-    });
-  } catch (err) {
-    logger.error('addCollectableFromApi error:', err);
-    res.status(500).json({ error: 'Server error' });
+      };
+    }
   }
+
+  const reviewItem = await needsReviewQueries.create({
+    userId,
+    shelfId: shelf.id,
+    rawData: buildBarcodeReviewRawData(barcode, shelf),
+    confidence: null,
+  });
+  return {
+    code: barcode.code,
+    type: barcode.type,
+    status: 'needs_review',
+    reviewItemId: reviewItem?.id || null,
+  };
 }
 
-async function removeShelfItem(req, res) {
+async function addShelfItemsByBarcode(req, res) {
   try {
     const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
     if (!shelf) return res.status(404).json({ error: "Shelf not found" });
 
-    const removed = await shelvesQueries.removeItem(
-      parseInt(req.params.itemId, 10),
-      req.user.id,
-      shelf.id
-    );
-    if (!removed) return res.status(404).json({ error: "Item not found" });
+    const { codes, code } = req.body ?? {};
+    const rawCodes = Array.isArray(codes) ? codes : (code != null ? [code] : []);
+    const uniqueCodes = [...new Set(rawCodes.map((value) => normalizeString(value)).filter(Boolean))];
+    if (!uniqueCodes.length) {
+      return res.status(400).json({ error: "codes array is required" });
+    }
+    if (uniqueCodes.length > BARCODE_SCAN_MAX_CODES) {
+      return res.status(400).json({ error: `A maximum of ${BARCODE_SCAN_MAX_CODES} codes can be added at once` });
+    }
 
-    // Event logging removed for item removal request per user request
-    // await logShelfEvent({
-    //   userId: req.user.id,
-    //   shelfId: shelf.id,
-    //   type: "item.removed",
-    //   payload: { itemId: req.params.itemId },
-    // });
+    const results = [];
+    for (const rawCode of uniqueCodes) {
+      results.push(await addBarcodeToShelf({ userId: req.user.id, shelf, rawCode }));
+    }
 
-    const items = await hydrateShelfItems(req.user.id, shelf.id);
-    res.json({ removedId: req.params.itemId, items });
+    const countByStatus = (status) => results.filter((entry) => entry.status === status).length;
+    res.json({
+      results,
+      addedCount: countByStatus('added'),
+      existingCount: countByStatus('existing'),
+      needsReviewCount: countByStatus('needs_review'),
+      invalidCount: countByStatus('invalid'),
+    });
   } catch (err) {
-    logger.error('removeShelfItem error:', err);
+    logger.error('addShelfItemsByBarcode error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function createReplacementIntent(req, res) {
-  try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
-    }
+function isImportFormatCompatibleWithShelf(format, shelf) {
+  const shelfTypes = getFormatShelfTypes(format);
+  if (!shelfTypes || isOtherShelfType(shelf.type)) return true;
+  return shelfTypes.includes(resolveShelfType(shelf.type));
+}
 
-    const triggerSource = normalizeString(req.body?.triggerSource);
-    if (!REPLACEMENT_TRIGGER_SOURCES.has(triggerSource)) {
-      return res.status(400).json({ error: 'Invalid triggerSource' });
-    }
+function buildImportReviewRawData(row, shelf, importFormat) {
+  return {
+    title: row.title,
+    primaryCreator: row.primaryCreator,
+    year: row.year,
+    format: row.format,
+    kind: shelf.type,
+    barcode: row.barcode,
+    identifiers: row.identifiers,
+    source: 'import',
+    reviewContext: {
+      scanPhotoId: null,
+      extractionIndex: null,
+      shelfType: normalizeString(shelf.type) || null,
+      reason: 'import_unmatched',
+      importFormat,
+      rowNumber: row.rowNumber,
+    },
+  };
+}
 
-    const shelf = await loadShelfForUser(req.user.id, shelfId);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+async function resolveCollectableForImportRow(row, shelf) {
+  const barcode = row.barcode ? classifyBarcode(row.barcode) : null;
+  if (barcode) {
+    const resolved = await resolveCollectableForBarcode(barcode, shelf);
+    if (resolved) return resolved;
+  } else if (Object.keys(row.identifiers || {}).length) {
+    const existing = await collectablesQueries.findByIdentifiers(row.identifiers);
+    if (existing) return { collectable: existing, matchSource: 'identifiers' };
+  }
 
-    const sourceItem = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
-    if (!sourceItem) return res.status(404).json({ error: 'Item not found' });
+  const { match, source } = await getCollectableMatchingService().findBestMatch({
+    title: row.title,
+    primaryCreator: row.primaryCreator,
+    year: row.year,
+    identifiers: row.identifiers,
+  }, shelf.type);
+  if (!match) return null;
+  if (source !== 'api') return { collectable: match, matchSource: source };
+
+  const payload = buildCollectableUpsertPayload(match, shelf.type);
+  if (!payload) return null;
+  const collectable = await collectablesQueries.upsert(payload);
+  return { collectable, matchSource: 'catalog' };
+}
 
-    const maxAgeHours = REPLACEMENT_WINDOW_HOURS[triggerSource];
-    if (!isWithinHoursWindow(sourceItem.createdAt, maxAgeHours)) {
-      return res.status(400).json({
-        error: `Replacement is only available within ${maxAgeHours} hours for this action.`,
-      });
+async function addImportedManual({ userId, shelf, row }) {
+  const manualFingerprint = makeManualFingerprint({
+    title: row.title,
+    primaryCreator: row.primaryCreator,
+    kind: shelf.type,
+  }, 'manual-other');
+  let manual = manualFingerprint
+    ? await shelvesQueries.findManualByFingerprint({ userId, shelfId: shelf.id, manualFingerprint })
+    : null;
+  if (!manual && row.barcode) {
+    manual = await shelvesQueries.findManualByBarcode({ userId, shelfId: shelf.id, barcode: row.barcode });
+  }
+  if (manual) {
+    const existing = await shelvesQueries.findManualCollection({ userId, shelfId: shelf.id, manualId: manual.id });
+    const collection = existing || await shelvesQueries.addManualCollection({ userId, shelfId: shelf.id, manualId: manual.id });
+    return { collection, manual, alreadyOnShelf: !!existing };
+  }
+
+  const result = await shelvesQueries.addManual({
+    userId,
+    shelfId: shelf.id,
+    ...buildOtherManualPayload({ ...row, description: row.notes }, shelf.type, manualFingerprint),
+  });
+  await applyShelfGameDefaultsToCollectionItem({
+    userId,
+    shelf,
+    itemId: result?.collection?.id,
+    collectable: null,
+  });
+  return { ...result, alreadyOnShelf: false };
+}
+
+/**
+ * Import one CSV row onto the shelf. Never throws; failures become a
+ * `failed` outcome so one bad row does not stop the job.
+ *
+ * Imported items skip per-item feed events: a migration can add thousands.
+ */
+async function importCollectionRow({ userId, shelf, row, importFormat, unmatched }) {
+  const outcome = { rowNumber: row.rowNumber, title: row.title, primaryCreator: row.primaryCreator };
+  if (!row.title && !row.barcode) {
+    return { ...outcome, status: IMPORT_ROW_STATUSES.FAILED, error: 'Row has no title or barcode' };
+  }
+
+  try {
+    if (!isOtherShelfType(shelf.type)) {
+      const resolved = await resolveCollectableForImportRow(row, shelf);
+      if (resolved) {
+        const { collectable, matchSource } = resolved;
+        const alreadyOnShelf = await shelvesQueries.findCollectionByReference({
+          userId,
+          shelfId: shelf.id,
+          collectableId: collectable.id,
+        });
+        const resolvedDefaults = resolveCollectionDefaultsForShelfItem({ shelf, collectable });
+        const item = await shelvesQueries.addCollectable({
+          userId,
+          shelfId: shelf.id,
+          collectableId: collectable.id,
+          format: isGamesShelfType(shelf.type)
+            ? resolvedDefaults.format
+            : (alreadyOnShelf ? undefined : row.format),
+          platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
+          notes: alreadyOnShelf ? undefined : row.notes,
+          barcode: row.barcode,
+        });
+        if (!alreadyOnShelf) {
+          await applyShelfGameDefaultsToCollectionItem({
+            userId,
+            shelf,
+            itemId: item?.id,
+            collectable,
+          });
+          await markWishlistItemsReceived(userId, collectable.id);
+        }
+        return {
+          ...outcome,
+          status: IMPORT_ROW_STATUSES.MATCHED,
+          matchSource,
+          alreadyOnShelf: !!alreadyOnShelf,
+          itemId: item?.id || null,
+          collectableId: collectable.id,
+        };
+      }
     }
 
-    if (triggerSource === 'collectable_detail' && !sourceItem.isVisionLinked) {
-      return res.status(400).json({
-        error: 'Replacement from detail is only available for vision-linked items.',
-      });
+    if (!row.title) {
+      return { ...outcome, status: IMPORT_ROW_STATUSES.FAILED, error: 'Barcode did not match a catalog item' };
     }
 
-    if (!sourceItem.collectableId && !sourceItem.manualId) {
-      return res.status(400).json({ error: 'Item reference is missing' });
+    if (isOtherShelfType(shelf.type) || unmatched === 'manual') {
+      const result = await addImportedManual({ userId, shelf, row });
+      return {
+        ...outcome,
+        status: IMPORT_ROW_STATUSES.CREATED_MANUAL,
+        alreadyOnShelf: result.alreadyOnShelf,
+        itemId: result.collection?.id || null,
+        manualId: result.manual?.id || null,
+      };
     }
 
-    const trace = await itemReplacementTracesQueries.createIntent({
-      userId: req.user.id,
+    const reviewItem = await needsReviewQueries.create({
+      userId,
       shelfId: shelf.id,
-      sourceItemId: sourceItem.id,
-      sourceCollectableId: sourceItem.collectableId || null,
-      sourceManualId: sourceItem.manualId || null,
-      triggerSource,
-      metadata: {
-        sourceCreatedAt: sourceItem.createdAt || null,
-        sourceIsVisionLinked: !!sourceItem.isVisionLinked,
-      },
-    });
-
-    return res.status(201).json({
-      traceId: trace?.id || null,
-      trace,
+      rawData: buildImportReviewRawData(row, shelf, importFormat),
+      confidence: null,
     });
+    return {
+      ...outcome,
+      status: IMPORT_ROW_STATUSES.NEEDS_REVIEW,
+      reviewItemId: reviewItem?.id || null,
+    };
   } catch (err) {
-    logger.error('createReplacementIntent error:', err);
-    return res.status(500).json({ error: 'Server error' });
+    logger.warn('[CollectionImport] Row import failed', {
+      shelfId: shelf.id,
+      rowNumber: row.rowNumber,
+      message: err?.message || String(err),
+    });
+    return { ...outcome, status: IMPORT_ROW_STATUSES.FAILED, error: err?.message || 'Import failed' };
   }
 }
 
-async function replaceShelfItem(req, res) {
-  try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
-    }
-
-    const shelf = await loadShelfForUser(req.user.id, shelfId);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+function buildCollectionImportCounts(results) {
+  const countByStatus = (status) => results.filter((entry) => entry.status === status).length;
+  const counts = {
+    matchedCount: countByStatus(IMPORT_ROW_STATUSES.MATCHED),
+    createdManualCount: countByStatus(IMPORT_ROW_STATUSES.CREATED_MANUAL),
+    needsReviewCount: countByStatus(IMPORT_ROW_STATUSES.NEEDS_REVIEW),
+    failedCount: countByStatus(IMPORT_ROW_STATUSES.FAILED),
+  };
+  const parts = [`${counts.matchedCount + counts.createdManualCount} of ${results.length} items imported`];
+  if (counts.needsReviewCount) parts.push(`${counts.needsReviewCount} need review`);
+  if (counts.failedCount) parts.push(`${counts.failedCount} failed`);
+  return { ...counts, summaryMessage: `Import complete: ${parts.join(', ')}.` };
+}
 
-    const sourceItem = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
-    if (!sourceItem) return res.status(404).json({ error: 'Item not found' });
+async function runCollectionImportJob({ jobId, userId, shelf, payload, abortCheck = null }) {
+  const rows = Array.isArray(payload.rows) ? payload.rows : [];
+  const results = [];
+  for (let index = 0; index < rows.length; index += 1) {
+    if (index % COLLECTION_IMPORT_PROGRESS_EVERY === 0) {
+      if (typeof abortCheck === 'function' && await abortCheck()) {
+        const abortErr = new Error('WORKFLOW_ABORTED');
+        abortErr.code = 'WORKFLOW_ABORTED';
+        throw abortErr;
+      }
+      processingStatus.updateJob(jobId, {
+        status: 'processing',
+        step: 'importing',
+        progress: Math.max(1, Math.floor((index / rows.length) * 100)),
+        message: `Importing row ${index + 1} of ${rows.length}...`,
+      });
+    }
+    results.push(await importCollectionRow({
+      userId,
+      shelf,
+      row: rows[index],
+      importFormat: payload.format,
+      unmatched: payload.unmatched,
+    }));
+  }
 
-    const body = req.body ?? {};
-    const traceId = parseInt(body.traceId, 10);
-    if (isNaN(traceId)) {
-      return res.status(400).json({ error: 'traceId is required' });
+  const output = {
+    format: payload.format,
+    fileName: payload.fileName || null,
+    rowCount: rows.length,
+    results,
+    ...buildCollectionImportCounts(results),
+  };
+  processingStatus.completeJob(jobId, output);
+  return output;
+}
+
+async function processQueuedCollectionImportWorkflowJob(job, { shouldAbort }) {
+  const payload = job?.payload && typeof job.payload === 'object' ? job.payload : {};
+  const shelfId = Number(payload.shelfId || job.shelfId);
+  const userId = payload.userId || job.userId;
+  const shelf = await loadShelfForUser(userId, shelfId);
+  if (!shelf) {
+    const err = new Error('Shelf not found');
+    err.status = 404;
+    throw err;
+  }
+
+  processingStatus.setJob(job.jobId, {
+    jobId: job.jobId,
+    userId,
+    shelfId: shelf.id,
+    status: 'processing',
+    step: 'initializing',
+    progress: 1,
+    message: 'Processing queued import...',
+    aborted: false,
+    result: null,
+  });
+
+  return runCollectionImportJob({
+    jobId: job.jobId,
+    userId,
+    shelf,
+    payload,
+    abortCheck: async () => {
+      if (typeof shouldAbort === 'function') {
+        return (await shouldAbort()) === true;
+      }
+      return false;
+    },
+  });
+}
+
+function parseImportMapping(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(String(value));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+  } catch (_err) {
+    return undefined;
+  }
+}
+
+async function importShelfItems(req, res) {
+  try {
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+    if (!req.file?.buffer?.length) {
+      return res.status(400).json({ error: "A CSV file is required" });
     }
 
-    const hasCollectableId = body.collectableId !== undefined && body.collectableId !== null && body.collectableId !== '';
-    const hasCollectablePayload = !!(body.collectable && typeof body.collectable === 'object' && !Array.isArray(body.collectable));
-    const hasManualPayload = !!(body.manual && typeof body.manual === 'object' && !Array.isArray(body.manual));
-    const replacementModeCount = [hasCollectableId, hasCollectablePayload, hasManualPayload].filter(Boolean).length;
+    const mapping = parseImportMapping(req.body?.mapping);
+    if (mapping === undefined) {
+      return res.status(400).json({ error: "mapping must be a JSON object", code: 'import_mapping_invalid' });
+    }
+    const unmatched = req.body?.unmatched === 'manual' ? 'manual' : 'review';
 
-    if (replacementModeCount !== 1) {
+    let parsed;
+    try {
+      parsed = parseCollectionImport(req.file.buffer.toString('utf8'), {
+        format: req.body?.format,
+        mapping,
+        maxRows: COLLECTION_IMPORT_MAX_ROWS,
+      });
+    } catch (parseErr) {
+      if (parseErr?.status === 400) {
+        return res.status(400).json({ error: parseErr.message, code: parseErr.code });
+      }
+      throw parseErr;
+    }
+    if (!isImportFormatCompatibleWithShelf(parsed.format, shelf)) {
       return res.status(400).json({
-        error: 'Provide exactly one replacement payload: collectableId, collectable, or manual.',
+        error: `A ${parsed.format} export cannot be imported into a ${shelf.type} shelf`,
+        code: 'import_shelf_type_mismatch',
+        format: parsed.format,
       });
     }
 
-    const existingCollectableId = hasCollectableId ? parseInt(body.collectableId, 10) : null;
-    if (hasCollectableId && isNaN(existingCollectableId)) {
-      return res.status(400).json({ error: 'collectableId must be an integer' });
+    const fileSha256 = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const dedupeKey = `collection_import:${req.user.id}:${shelf.id}:${fileSha256}`;
+    const activeJob = await workflowQueueJobsQueries.findActiveByDedupeKey({
+      workflowType: WORKFLOW_TYPE_COLLECTION_IMPORT,
+      dedupeKey,
+    });
+    if (activeJob) {
+      const queueMeta = await getQueueMetadata(activeJob.jobId);
+      return res.status(202).json({
+        jobId: activeJob.jobId,
+        status: activeJob.status,
+        format: parsed.format,
+        rowCount: parsed.rows.length,
+        queuePosition: queueMeta.queuePosition,
+        estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
+        message: 'This file is already being imported. Returning existing job.',
+      });
     }
 
-    let existingCollectableForReplace = null;
-    if (existingCollectableId) {
-      existingCollectableForReplace = await collectablesQueries.findById(existingCollectableId);
-      if (!existingCollectableForReplace) {
-        throw buildHttpError(404, 'Collectable not found', 'replacement_collectable_not_found');
-      }
+    const queueSettings = await getWorkflowQueueSettings();
+    const queuedCountForUser = await workflowQueueJobsQueries.countQueuedForUser({
+      workflowType: WORKFLOW_TYPE_COLLECTION_IMPORT,
+      userId: req.user.id,
+    });
+    if (queuedCountForUser >= queueSettings.workflowQueueMaxQueuedPerUser) {
+      return res.status(429).json({
+        error: 'Too many queued workflows for this user',
+        code: 'workflow_queue_user_cap_exceeded',
+        maxQueuedPerUser: queueSettings.workflowQueueMaxQueuedPerUser,
+      });
     }
 
-    const replacementResult = await transaction(async (client) => {
-      const trace = await itemReplacementTracesQueries.getByIdForUser({
-        traceId,
+    const jobId = processingStatus.generateJobId(req.user.id, shelf.id, 'import');
+    // Imports run for minutes; always notify when the job finishes.
+    const queuedJob = await workflowQueueJobsQueries.enqueueJob({
+      jobId,
+      workflowType: WORKFLOW_TYPE_COLLECTION_IMPORT,
+      userId: req.user.id,
+      shelfId: shelf.id,
+      status: 'queued',
+      priority: 100,
+      // A rerun would queue duplicate review items for rows that already finished.
+      maxAttempts: 1,
+      payload: {
         userId: req.user.id,
         shelfId: shelf.id,
-        sourceItemId: sourceItem.id,
-        status: 'initiated',
-        forUpdate: true,
-      }, client);
-
-      if (!trace) {
-        throw buildHttpError(404, 'Replacement intent not found or already used', 'replacement_trace_missing');
-      }
-
-      let targetItemId = null;
-      let targetCollectableId = null;
-      let targetManualId = null;
-      let replacementKind = null;
-
-      if (existingCollectableId) {
-        replacementKind = 'collectable_id';
-        const resolvedDefaults = resolveCollectionDefaultsForShelfItem({
-          shelf,
-          collectable: existingCollectableForReplace,
-        });
-        const replacedItem = await shelvesQueries.addCollectable({
-          userId: req.user.id,
-          shelfId: shelf.id,
-          collectableId: existingCollectableId,
-          format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : null,
-          platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
-        }, client);
-        await applyShelfGameDefaultsToCollectionItem({
-          userId: req.user.id,
-          shelf,
-          itemId: replacedItem?.id,
-          collectable: existingCollectableForReplace,
-          client,
-        });
-        targetItemId = replacedItem?.id || null;
-        targetCollectableId = existingCollectableId;
-      } else if (hasCollectablePayload) {
-        replacementKind = 'collectable_payload';
-        const payload = buildCollectableUpsertPayload(body.collectable, shelf.type);
-        if (!payload) {
-          throw buildHttpError(400, 'Replacement collectable payload is missing title', 'replacement_collectable_title_missing');
-        }
-
-        const collectable = await collectablesQueries.upsert(payload, client);
-        const userFormat = normalizeString(body.collectable?.format || body.collectable?.physical?.format);
-        const resolvedDefaults = resolveCollectionDefaultsForShelfItem({ shelf, collectable });
-        const replacedItem = await shelvesQueries.addCollectable({
-          userId: req.user.id,
-          shelfId: shelf.id,
-          collectableId: collectable.id,
-          format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : (userFormat || null),
-          platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
-        }, client);
-        await applyShelfGameDefaultsToCollectionItem({
-          userId: req.user.id,
-          shelf,
-          itemId: replacedItem?.id,
-          collectable,
-          client,
-        });
+        format: parsed.format,
+        fileName: normalizeString(req.file.originalname),
+        unmatched,
+        rows: parsed.rows,
+      },
+      dedupeKey,
+      notifyOnComplete: true,
+      notifyInAppOnComplete: false,
+    });
 
-        targetItemId = replacedItem?.id || null;
-        targetCollectableId = collectable.id;
-      } else if (hasManualPayload) {
-        replacementKind = 'manual_payload';
-        const manualInput = body.manual ?? {};
-        const manualName = normalizeString(manualInput.name || manualInput.title);
-        if (!manualName) {
-          throw buildHttpError(400, 'Replacement manual payload is missing name/title', 'replacement_manual_name_missing');
-        }
+    processingStatus.setJob(jobId, {
+      jobId,
+      userId: req.user.id,
+      shelfId: shelf.id,
+      status: 'queued',
+      step: 'queued',
+      progress: 0,
+      message: 'Queued for processing',
+      aborted: false,
+      result: null,
+    });
 
-        const rawYear = normalizeString(manualInput.year);
-        if (rawYear && !/^\d{1,4}$/.test(rawYear)) {
-          throw buildHttpError(400, 'Replacement manual year must be a 1-4 digit number', 'replacement_manual_year_invalid');
-        }
+    const queueMeta = await getQueueMetadata(queuedJob.jobId);
+    getWorkflowQueueService().tick().catch((err) => {
+      logger.warn('[CollectionImport] failed to trigger queue tick after enqueue', {
+        message: err?.message || String(err),
+      });
+    });
 
-        const manualResult = await shelvesQueries.addManual({
-          userId: req.user.id,
-          shelfId: shelf.id,
-          name: manualName,
-          type: normalizeString(manualInput.type) || shelf.type,
-          description: normalizeString(manualInput.description),
-          author: normalizeString(manualInput.author || manualInput.primaryCreator),
-          publisher: normalizeString(manualInput.publisher),
-          format: normalizeString(manualInput.format || manualInput.platform),
-          year: rawYear ? parseInt(rawYear, 10) : null,
-          marketValue: normalizeString(manualInput.marketValue),
-          marketValueSources: normalizeSourceLinks(manualInput.marketValueSources),
-          ageStatement: normalizeString(manualInput.ageStatement),
-          specialMarkings: normalizeString(manualInput.specialMarkings),
-          labelColor: normalizeString(manualInput.labelColor),
-          regionalItem: normalizeString(manualInput.regionalItem),
-          edition: normalizeString(manualInput.edition),
-          barcode: normalizeString(manualInput.barcode),
-          genre: normalizeStringArray(manualInput.genre, manualInput.genres),
-          tags: normalizeStringArray(manualInput.tags),
-          limitedEdition: normalizeString(manualInput.limitedEdition),
-          itemSpecificText: normalizeString(manualInput.itemSpecificText),
-        }, client);
-        await applyShelfGameDefaultsToCollectionItem({
-          userId: req.user.id,
-          shelf,
-          itemId: manualResult?.collection?.id,
-          collectable: null,
-          client,
-        });
+    return res.status(202).json({
+      jobId: queuedJob.jobId,
+      status: 'queued',
+      format: parsed.format,
+      rowCount: parsed.rows.length,
+      unmatched,
+      queuePosition: queueMeta.queuePosition,
+      estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
+      notifyOnComplete: true,
+      notifyInAppOnComplete: false,
+      message: 'Import queued. Poll /imports/:jobId/status for updates.',
+    });
+  } catch (err) {
+    logger.error('importShelfItems error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
 
-        targetItemId = manualResult?.collection?.id || null;
-        targetManualId = manualResult?.manual?.id || null;
-      }
+async function addCollectableFromApi(req, res) {
+  try {
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
 
-      if (!targetItemId) {
-        throw buildHttpError(500, 'Replacement target could not be persisted', 'replacement_target_missing');
-      }
+    const input = req.body?.collectable || req.body?.suggestion || null;
+    if (!input) return res.status(400).json({ error: "collectable is required" });
 
-      const replaced = targetItemId !== sourceItem.id;
-      if (replaced) {
-        const removed = await shelvesQueries.removeItem(sourceItem.id, req.user.id, shelf.id, client);
-        if (!removed) {
-          throw buildHttpError(409, 'Source item could not be removed', 'replacement_source_remove_failed');
-        }
+    let resolvedInput = input;
+    try {
+      const matchingService = getCollectableMatchingService();
+      const apiResult = await matchingService.searchCatalogAPI(input, shelf.type);
+      if (apiResult) {
+        resolvedInput = { ...input, ...apiResult };
       }
+    } catch (err) {
+      logger.warn('[addCollectableFromApi] API enrichment failed:', err?.message || err);
+    }
 
-      const completedTrace = await itemReplacementTracesQueries.markCompleted({
-        traceId,
-        userId: req.user.id,
-        targetItemId,
-        targetCollectableId,
-        targetManualId,
-        metadata: {
-          replacementKind,
-          sourceItemId: sourceItem.id,
-          replaced,
-        },
-      }, client);
+    const payload = buildCollectableUpsertPayload(resolvedInput, shelf.type);
+    if (!payload) return res.status(400).json({ error: "collectable title is required" });
 
-      if (!completedTrace) {
-        throw buildHttpError(409, 'Replacement intent is no longer active', 'replacement_trace_not_initiated');
-      }
-
-      return {
-        replaced,
-        targetItemId,
-      };
+    const collectable = await collectablesQueries.upsert(payload);
+    const userFormat = normalizeString(resolvedInput?.format || resolvedInput?.physical?.format);
+    const resolvedDefaults = resolveCollectionDefaultsForShelfItem({ shelf, collectable });
+    const item = await shelvesQueries.addCollectable({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      collectableId: collectable.id,
+      format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : (userFormat || null),
+      platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
+    });
+    const appliedDefaults = await applyShelfGameDefaultsToCollectionItem({
+      userId: req.user.id,
+      shelf,
+      itemId: item?.id,
+      collectable,
     });
 
-    const replacedItem = await shelvesQueries.getItemById(replacementResult.targetItemId, req.user.id, shelf.id);
+    await logShelfEvent({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      type: "item.collectable_added",
+      payload: buildCollectableAddedEventPayload({
+        itemId: item.id,
+        collectable,
+        shelfType: shelf.type,
+        source: 'user',
+      }),
+    });
 
-    return res.json({
-      success: true,
-      replaced: replacementResult.replaced,
-      sourceItemId: sourceItem.id,
-      targetItemId: replacementResult.targetItemId,
-      item: replacedItem,
+    res.status(201).json({
+      item: {
+        id: item.id,
+        collectable: omitMarketValueSources(collectable),
+        position: item.position,
+        format: isGamesShelfType(shelf.type) ? appliedDefaults.format : item.format,
+        notes: item.notes,
+        rating: item.rating,
+        platformMissing: appliedDefaults.platformMissing,
+        ownedPlatforms: appliedDefaults.ownedPlatforms,
+      },
     });
   } catch (err) {
-    const traceId = parseInt(req.body?.traceId, 10);
-    const status = err?.status || 500;
-    if (!isNaN(traceId) && status < 500) {
-      try {
-        await itemReplacementTracesQueries.markFailed({
-          traceId,
-          userId: req.user.id,
-          reason: err.code || 'replacement_failed',
-          metadata: { message: err.message || null },
-        });
-      } catch (markErr) {
-        logger.warn('replaceShelfItem markFailed warning:', markErr?.message || markErr);
-      }
-    }
-
-    if (status >= 500) {
-      logger.error('replaceShelfItem error:', err);
-      return res.status(500).json({ error: 'Server error' });
-    }
-
-    if (!err?.code || !String(err.code).startsWith('replacement_')) {
-      logger.warn('replaceShelfItem validation error:', {
-        code: err?.code || null,
-        message: err?.message || String(err),
-      });
-    }
-
-    return res.status(status).json({ error: err.message || 'Replace failed' });
+    logger.error('addCollectableFromApi error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function searchCollectablesForShelf(req, res) {
+async function removeShelfItem(req, res) {
   try {
     const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
     if (!shelf) return res.status(404).json({ error: "Shelf not found" });
 
-    const q = String(req.query.q || "").trim();
-    const limit = Math.min(parseInt(req.query.limit || "10", 10), 50);
+    const removed = await shelvesQueries.removeItem(
+      parseInt(req.params.itemId, 10),
+      req.user.id,
+      shelf.id
+    );
+    if (!removed) return res.status(404).json({ error: "Item not found" });
 
-    const results = await collectablesQueries.searchByTitle(q, shelf.type, limit);
-    res.json({ results: results.map(omitMarketValueSources) });
+    // Event logging removed for item removal request per user request
+    // await logShelfEvent({
+    //   userId: req.user.id,
+    //   shelfId: shelf.id,
+    //   type: "item.removed",
+    //   payload: { itemId: req.params.itemId },
+    // });
+
+    const items = await hydrateShelfItems(req.user.id, shelf.id);
+    res.json({ removedId: req.params.itemId, items });
   } catch (err) {
-    logger.error('searchCollectablesForShelf error:', err);
+    logger.error('removeShelfItem error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function updateManualEntry(req, res) {
+async function createReplacementIntent(req, res) {
   try {
-    const { shelfId, itemId } = req.params;
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+
+    const triggerSource = normalizeString(req.body?.triggerSource);
+    if (!REPLACEMENT_TRIGGER_SOURCES.has(triggerSource)) {
+      return res.status(400).json({ error: 'Invalid triggerSource' });
+    }
+
     const shelf = await loadShelfForUser(req.user.id, shelfId);
-    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
 
-    const body = req.body ?? {};
-    const updates = {};
-    const fieldMap = {
-      ageStatement: 'age_statement',
-      specialMarkings: 'special_markings',
-      labelColor: 'label_color',
-      regionalItem: 'regional_item',
-      limitedEdition: 'limited_edition',
-      itemSpecificText: 'item_specific_text',
-      marketValue: 'market_value',
-    };
+    const sourceItem = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
+    if (!sourceItem) return res.status(404).json({ error: 'Item not found' });
 
-    const allowedFields = [
-      'name',
-      'type',
-      'description',
-      'author',
-      'publisher',
-      'format',
-      'year',
-      'marketValue',
-      'ageStatement',
-      'specialMarkings',
-      'labelColor',
-      'regionalItem',
-      'edition',
-      'barcode',
-      'genre',
-      'limitedEdition',
-      'itemSpecificText',
-    ];
+    const maxAgeHours = REPLACEMENT_WINDOW_HOURS[triggerSource];
+    if (!isWithinHoursWindow(sourceItem.createdAt, maxAgeHours)) {
+      return res.status(400).json({
+        error: `Replacement is only available within ${maxAgeHours} hours for this action.`,
+      });
+    }
 
-    for (const field of allowedFields) {
-      if (body[field] !== undefined) {
-        const dbField = fieldMap[field] || field;
-        if (field === 'genre') {
-          updates[dbField] = normalizeStringArray(body[field]);
-        } else if (field === 'year') {
-          const normalizedYear = normalizeString(body[field]);
-          if (!normalizedYear) {
-            updates[dbField] = null;
-          } else if (!/^\d{1,4}$/.test(normalizedYear)) {
-            return res.status(400).json({ error: 'year must be a 1-4 digit number' });
-          } else {
-            updates[dbField] = parseInt(normalizedYear, 10);
-          }
-        } else {
-          updates[dbField] = normalizeString(body[field]);
-        }
-      }
+    if (triggerSource === 'collectable_detail' && !sourceItem.isVisionLinked) {
+      return res.status(400).json({
+        error: 'Replacement from detail is only available for vision-linked items.',
+      });
     }
 
-    if (body.primaryCreator !== undefined && updates.author === undefined) {
-      updates.author = normalizeString(body.primaryCreator);
+    if (!sourceItem.collectableId && !sourceItem.manualId) {
+      return res.status(400).json({ error: 'Item reference is missing' });
     }
 
-    // Handle notes separately (stored on user_collections, not user_manuals)
-    const notesValue = body.notes !== undefined ? normalizeString(body.notes) : undefined;
-    const reviewedEventIdHint = body.reviewedEventId ?? null;
-    const shareToFeedRequested = (
-      body.shareToFeed === true
-      || body.shareToFeed === 1
-      || String(body.shareToFeed || '').toLowerCase() === 'true'
-    );
-    logFeedMicro('updateManualEntry.notes.request', {
+    // Capture the text the item was matched from now: removing the source
+    // item during replace clears its region link.
+    let matchRegion = null;
+    if (sourceItem.isVisionLinked) {
+      try {
+        matchRegion = await visionItemRegionsQueries.getLatestForCollectionItem({
+          userId: req.user.id,
+          collectionItemId: sourceItem.id,
+        });
+      } catch (regionErr) {
+        logger.warn('createReplacementIntent region lookup warning:', regionErr?.message || regionErr);
+      }
+    }
+
+    const trace = await itemReplacementTracesQueries.createIntent({
       userId: req.user.id,
       shelfId: shelf.id,
-      itemId: req.params.itemId,
-      notesProvided: body.notes !== undefined,
-      notesLength: notesValue ? String(notesValue).length : 0,
-      reviewedEventIdHint: reviewedEventIdHint ?? null,
-      shareToFeedRaw: body.shareToFeed,
-      shareToFeedRequested,
+      sourceItemId: sourceItem.id,
+      sourceCollectableId: sourceItem.collectableId || null,
+      sourceManualId: sourceItem.manualId || null,
+      triggerSource,
+      metadata: {
+        sourceCreatedAt: sourceItem.createdAt || null,
+        sourceIsVisionLinked: !!sourceItem.isVisionLinked,
+        matchTitle: matchRegion?.title || sourceItem.collectableTitle || null,
+        matchCreator: matchRegion?.title
+          ? (matchRegion.primaryCreator || null)
+          : (sourceItem.collectableCreator || null),
+      },
     });
 
-    if (Object.keys(updates).length === 0 && notesValue === undefined) {
-      return res.status(400).json({ error: 'No valid fields to update' });
-    }
-
-    // Get the collection entry with manual
-    const entryResult = await query(
-      `SELECT uc.id, uc.manual_id, uc.notes,
-              uc.reviewed_event_log_id, uc.reviewed_event_published_at, uc.reviewed_event_updated_at,
-              um.*
-       FROM user_collections uc
-       JOIN user_manuals um ON um.id = uc.manual_id
-       WHERE uc.id = $1 AND uc.user_id = $2 AND uc.shelf_id = $3`,
-      [itemId, req.user.id, shelf.id]
-    );
+    return res.status(201).json({
+      traceId: trace?.id || null,
+      trace,
+    });
+  } catch (err) {
+    logger.error('createReplacementIntent error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
 
-    if (!entryResult.rows.length) {
-      return res.status(404).json({ error: "Manual item not found" });
+async function replaceShelfItem(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
     }
 
-    const entry = entryResult.rows[0];
+    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
 
-    let manualData = rowToCamelCase(entry);
+    const sourceItem = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
+    if (!sourceItem) return res.status(404).json({ error: 'Item not found' });
 
-    // Update user_manuals if there are manual field updates
-    if (Object.keys(updates).length > 0) {
-      const setClause = Object.keys(updates).map((k, i) => `${k} = $${i + 1}`).join(', ');
-      const values = [...Object.values(updates), entry.manual_id];
+    const body = req.body ?? {};
+    const traceId = parseInt(body.traceId, 10);
+    if (isNaN(traceId)) {
+      return res.status(400).json({ error: 'traceId is required' });
+    }
+
+    const hasCollectableId = body.collectableId !== undefined && body.collectableId !== null && body.collectableId !== '';
+    const hasCollectablePayload = !!(body.collectable && typeof body.collectable === 'object' && !Array.isArray(body.collectable));
+    const hasManualPayload = !!(body.manual && typeof body.manual === 'object' && !Array.isArray(body.manual));
+    const replacementModeCount = [hasCollectableId, hasCollectablePayload, hasManualPayload].filter(Boolean).length;
+
+    if (replacementModeCount !== 1) {
+      return res.status(400).json({
+        error: 'Provide exactly one replacement payload: collectableId, collectable, or manual.',
+      });
+    }
+
+    const existingCollectableId = hasCollectableId ? parseInt(body.collectableId, 10) : null;
+    if (hasCollectableId && isNaN(existingCollectableId)) {
+      return res.status(400).json({ error: 'collectableId must be an integer' });
+    }
+
+    let existingCollectableForReplace = null;
+    if (existingCollectableId) {
+      existingCollectableForReplace = await collectablesQueries.findById(existingCollectableId);
+      if (!existingCollectableForReplace) {
+        throw buildHttpError(404, 'Collectable not found', 'replacement_collectable_not_found');
+      }
+    }
+
+    const replacementResult = await transaction(async (client) => {
+      const trace = await itemReplacementTracesQueries.getByIdForUser({
+        traceId,
+        userId: req.user.id,
+        shelfId: shelf.id,
+        sourceItemId: sourceItem.id,
+        status: 'initiated',
+        forUpdate: true,
+      }, client);
+
+      if (!trace) {
+        throw buildHttpError(404, 'Replacement intent not found or already used', 'replacement_trace_missing');
+      }
+
+      let targetItemId = null;
+      let targetCollectableId = null;
+      let targetManualId = null;
+      let replacementKind = null;
+
+      if (existingCollectableId) {
+        replacementKind = 'collectable_id';
+        const resolvedDefaults = resolveCollectionDefaultsForShelfItem({
+          shelf,
+          collectable: existingCollectableForReplace,
+        });
+        const replacedItem = await shelvesQueries.addCollectable({
+          userId: req.user.id,
+          shelfId: shelf.id,
+          collectableId: existingCollectableId,
+          format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : null,
+          platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
+        }, client);
+        await applyShelfGameDefaultsToCollectionItem({
+          userId: req.user.id,
+          shelf,
+          itemId: replacedItem?.id,
+          collectable: existingCollectableForReplace,
+          client,
+        });
+        targetItemId = replacedItem?.id || null;
+        targetCollectableId = existingCollectableId;
+      } else if (hasCollectablePayload) {
+        replacementKind = 'collectable_payload';
+        const payload = buildCollectableUpsertPayload(body.collectable, shelf.type);
+        if (!payload) {
+          throw buildHttpError(400, 'Replacement collectable payload is missing title', 'replacement_collectable_title_missing');
+        }
+
+        const collectable = await collectablesQueries.upsert(payload, client);
+        const userFormat = normalizeString(body.collectable?.format || body.collectable?.physical?.format);
+        const resolvedDefaults = resolveCollectionDefaultsForShelfItem({ shelf, collectable });
+        const replacedItem = await shelvesQueries.addCollectable({
+          userId: req.user.id,
+          shelfId: shelf.id,
+          collectableId: collectable.id,
+          format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : (userFormat || null),
+          platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
+        }, client);
+        await applyShelfGameDefaultsToCollectionItem({
+          userId: req.user.id,
+          shelf,
+          itemId: replacedItem?.id,
+          collectable,
+          client,
+        });
+
+        targetItemId = replacedItem?.id || null;
+        targetCollectableId = collectable.id;
+      } else if (hasManualPayload) {
+        replacementKind = 'manual_payload';
+        const manualInput = body.manual ?? {};
+        const manualName = normalizeString(manualInput.name || manualInput.title);
+        if (!manualName) {
+          throw buildHttpError(400, 'Replacement manual payload is missing name/title', 'replacement_manual_name_missing');
+        }
+
+        const rawYear = normalizeString(manualInput.year);
+        if (rawYear && !/^\d{1,4}$/.test(rawYear)) {
+          throw buildHttpError(400, 'Replacement manual year must be a 1-4 digit number', 'replacement_manual_year_invalid');
+        }
+
+        const manualResult = await shelvesQueries.addManual({
+          userId: req.user.id,
+          shelfId: shelf.id,
+          name: manualName,
+          type: normalizeString(manualInput.type) || shelf.type,
+          description: normalizeString(manualInput.description),
+          author: normalizeString(manualInput.author || manualInput.primaryCreator),
+          publisher: normalizeString(manualInput.publisher),
+          format: normalizeString(manualInput.format || manualInput.platform),
+          year: rawYear ? parseInt(rawYear, 10) : null,
+          marketValue: normalizeString(manualInput.marketValue),
+          marketValueSources: normalizeSourceLinks(manualInput.marketValueSources),
+          ageStatement: normalizeString(manualInput.ageStatement),
+          specialMarkings: normalizeString(manualInput.specialMarkings),
+          labelColor: normalizeString(manualInput.labelColor),
+          regionalItem: normalizeString(manualInput.regionalItem),
+          edition: normalizeString(manualInput.edition),
+          barcode: normalizeString(manualInput.barcode),
+          genre: normalizeStringArray(manualInput.genre, manualInput.genres),
+          tags: normalizeStringArray(manualInput.tags),
+          limitedEdition: normalizeString(manualInput.limitedEdition),
+          itemSpecificText: normalizeString(manualInput.itemSpecificText),
+        }, client);
+        await applyShelfGameDefaultsToCollectionItem({
+          userId: req.user.id,
+          shelf,
+          itemId: manualResult?.collection?.id,
+          collectable: null,
+          client,
+        });
+
+        targetItemId = manualResult?.collection?.id || null;
+        targetManualId = manualResult?.manual?.id || null;
+      }
+
+      if (!targetItemId) {
+        throw buildHttpError(500, 'Replacement target could not be persisted', 'replacement_target_missing');
+      }
+
+      const replaced = targetItemId !== sourceItem.id;
+      if (replaced) {
+        const removed = await shelvesQueries.removeItem(sourceItem.id, req.user.id, shelf.id, client);
+        if (!removed) {
+          throw buildHttpError(409, 'Source item could not be removed', 'replacement_source_remove_failed');
+        }
+      }
+
+      const completedTrace = await itemReplacementTracesQueries.markCompleted({
+        traceId,
+        userId: req.user.id,
+        targetItemId,
+        targetCollectableId,
+        targetManualId,
+        metadata: {
+          replacementKind,
+          sourceItemId: sourceItem.id,
+          replaced,
+        },
+      }, client);
+
+      if (!completedTrace) {
+        throw buildHttpError(409, 'Replacement intent is no longer active', 'replacement_trace_not_initiated');
+      }
+
+      return {
+        replaced,
+        targetItemId,
+        completedTrace,
+      };
+    });
+
+    await matchCorrections.learnFromTrace(replacementResult.completedTrace, { shelfType: shelf.type });
+
+    const replacedItem = await shelvesQueries.getItemById(replacementResult.targetItemId, req.user.id, shelf.id);
+
+    return res.json({
+      success: true,
+      replaced: replacementResult.replaced,
+      sourceItemId: sourceItem.id,
+      targetItemId: replacementResult.targetItemId,
+      item: replacedItem,
+    });
+  } catch (err) {
+    const traceId = parseInt(req.body?.traceId, 10);
+    const status = err?.status || 500;
+    if (!isNaN(traceId) && status < 500) {
+      try {
+        await itemReplacementTracesQueries.markFailed({
+          traceId,
+          userId: req.user.id,
+          reason: err.code || 'replacement_failed',
+          metadata: { message: err.message || null },
+        });
+      } catch (markErr) {
+        logger.warn('replaceShelfItem markFailed warning:', markErr?.message || markErr);
+      }
+    }
+
+    if (status >= 500) {
+      logger.error('replaceShelfItem error:', err);
+      return res.status(500).json({ error: 'Server error' });
+    }
+
+    if (!err?.code || !String(err.code).startsWith('replacement_')) {
+      logger.warn('replaceShelfItem validation error:', {
+        code: err?.code || null,
+        message: err?.message || String(err),
+      });
+    }
+
+    return res.status(status).json({ error: err.message || 'Replace failed' });
+  }
+}
+
+async function searchCollectablesForShelf(req, res) {
+  try {
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+
+    const q = String(req.query.q || "").trim();
+    const limit = Math.min(parseInt(req.query.limit || "10", 10), 50);
+
+    const results = await collectablesQueries.searchByTitle(q, shelf.type, limit);
+    res.json({ results: results.map(omitMarketValueSources) });
+  } catch (err) {
+    logger.error('searchCollectablesForShelf error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function updateManualEntry(req, res) {
+  try {
+    const { shelfId, itemId } = req.params;
+    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+
+    const body = req.body ?? {};
+    const updates = {};
+    const fieldMap = {
+      ageStatement: 'age_statement',
+      specialMarkings: 'special_markings',
+      labelColor: 'label_color',
+      regionalItem: 'regional_item',
+      limitedEdition: 'limited_edition',
+      itemSpecificText: 'item_specific_text',
+      marketValue: 'market_value',
+    };
+
+    const allowedFields = [
+      'name',
+      'type',
+      'description',
+      'author',
+      'publisher',
+      'format',
+      'year',
+      'marketValue',
+      'ageStatement',
+      'specialMarkings',
+      'labelColor',
+      'regionalItem',
+      'edition',
+      'barcode',
+      'genre',
+      'limitedEdition',
+      'itemSpecificText',
+    ];
+
+    for (const field of allowedFields) {
+      if (body[field] !== undefined) {
+        const dbField = fieldMap[field] || field;
+        if (field === 'genre') {
+          updates[dbField] = normalizeStringArray(body[field]);
+        } else if (field === 'year') {
+          const normalizedYear = normalizeString(body[field]);
+          if (!normalizedYear) {
+            updates[dbField] = null;
+          } else if (!/^\d{1,4}$/.test(normalizedYear)) {
+            return res.status(400).json({ error: 'year must be a 1-4 digit number' });
+          } else {
+            updates[dbField] = parseInt(normalizedYear, 10);
+          }
+        } else {
+          updates[dbField] = normalizeString(body[field]);
+        }
+      }
+    }
+
+    if (body.primaryCreator !== undefined && updates.author === undefined) {
+      updates.author = normalizeString(body.primaryCreator);
+    }
+
+    // Handle notes separately (stored on user_collections, not user_manuals)
+    const notesValue = body.notes !== undefined ? normalizeString(body.notes) : undefined;
+    const reviewedEventIdHint = body.reviewedEventId ?? null;
+    const shareToFeedRequested = (
+      body.shareToFeed === true
+      || body.shareToFeed === 1
+      || String(body.shareToFeed || '').toLowerCase() === 'true'
+    );
+    logFeedMicro('updateManualEntry.notes.request', {
+      userId: req.user.id,
+      shelfId: shelf.id,
+      itemId: req.params.itemId,
+      notesProvided: body.notes !== undefined,
+      notesLength: notesValue ? String(notesValue).length : 0,
+      reviewedEventIdHint: reviewedEventIdHint ?? null,
+      shareToFeedRaw: body.shareToFeed,
+      shareToFeedRequested,
+    });
+
+    if (Object.keys(updates).length === 0 && notesValue === undefined) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    // Get the collection entry with manual
+    const entryResult = await query(
+      `SELECT uc.id, uc.manual_id, uc.notes,
+              uc.reviewed_event_log_id, uc.reviewed_event_published_at, uc.reviewed_event_updated_at,
+              um.*
+       FROM user_collections uc
+       JOIN user_manuals um ON um.id = uc.manual_id
+       WHERE uc.id = $1 AND uc.user_id = $2 AND uc.shelf_id = $3`,
+      [itemId, req.user.id, shelf.id]
+    );
+
+    if (!entryResult.rows.length) {
+      return res.status(404).json({ error: "Manual item not found" });
+    }
+
+    const entry = entryResult.rows[0];
+
+    let manualData = rowToCamelCase(entry);
+
+    // Update user_manuals if there are manual field updates
+    if (Object.keys(updates).length > 0) {
+      const setClause = Object.keys(updates).map((k, i) => `${k} = $${i + 1}`).join(', ');
+      const values = [...Object.values(updates), entry.manual_id];
+
+      const updateResult = await query(
+        `UPDATE user_manuals SET ${setClause} WHERE id = $${values.length} RETURNING *`,
+        values
+      );
+      manualData = rowToCamelCase(updateResult.rows[0]);
+    }
+
+    // Update notes on user_collections if provided
+    let updatedNotes = entry.notes;
+    if (notesValue !== undefined) {
+      await query(
+        `UPDATE user_collections SET notes = $1 WHERE id = $2`,
+        [notesValue, entry.id]
+      );
+      updatedNotes = notesValue;
+    }
+
+    let reviewLinkState = {
+      reviewedEventId: entry.reviewed_event_log_id ?? null,
+      reviewPublishedAt: entry.reviewed_event_published_at || null,
+      reviewUpdatedAt: entry.reviewed_event_updated_at || null,
+    };
+    const shouldShareReviewedEvent = shareToFeedRequested && notesValue !== undefined && !!notesValue;
+    logFeedMicro('updateManualEntry.notes.shareDecision', {
+      userId: req.user.id,
+      shelfId: shelf.id,
+      shouldShareReviewedEvent,
+      notesProvided: notesValue !== undefined,
+      hasNotesValue: !!notesValue,
+      reviewedEventIdHint: reviewedEventIdHint ?? null,
+      storedReviewedEventId: reviewLinkState.reviewedEventId ?? null,
+      shareToFeedRequested,
+    });
+    if (shouldShareReviewedEvent) {
+      const ratingRecord = await ratingsQueries.getRating(req.user.id, { manualId: entry.manual_id });
+      const currentUserRating = ratingRecord?.rating ?? null;
+      const manualTitle = manualData?.name || manualData?.title || 'Unknown';
+      const upsertedReview = await upsertReviewedShelfEvent({
+        userId: req.user.id,
+        shelfId: shelf.id,
+        itemId: entry.id,
+        reviewedEventIdHint: reviewedEventIdHint || reviewLinkState.reviewedEventId || null,
+        payload: {
+          itemId: entry.id,
+          sourceShelfId: shelf.id,
+          sourceShelfType: shelf.type || null,
+          manualId: entry.manual_id || manualData?.id || null,
+          title: manualTitle,
+          primaryCreator: manualData?.author || null,
+          coverUrl: null,
+          coverMediaPath: manualData?.coverMediaPath || null,
+          coverMediaUrl: resolveMediaUrl(manualData?.coverMediaPath),
+          rating: currentUserRating,
+          notes: notesValue,
+          type: manualData?.type || shelf.type || 'item',
+          metadata: {
+            format: manualData?.format || null,
+            publisher: manualData?.publisher || null,
+            year: manualData?.year || null,
+            genre: Array.isArray(manualData?.genre) ? manualData.genre : null,
+            edition: manualData?.edition || null,
+            regionalItem: manualData?.regionalItem || null,
+            barcode: manualData?.barcode || null,
+            itemSpecificText: manualData?.itemSpecificText || null,
+          },
+        },
+      });
+      if (upsertedReview) {
+        reviewLinkState = {
+          reviewedEventId: upsertedReview.reviewedEventId ?? null,
+          reviewPublishedAt: upsertedReview.reviewPublishedAt || null,
+          reviewUpdatedAt: upsertedReview.reviewUpdatedAt || null,
+        };
+      }
+      logFeedMicro('updateManualEntry.notes.reviewedLogged', {
+        userId: req.user.id,
+        shelfId: shelf.id,
+        eventLogged: !!upsertedReview,
+        eventId: upsertedReview?.reviewedEventId || null,
+        changed: upsertedReview?.changed ?? null,
+        createdNew: upsertedReview?.createdNew ?? null,
+      });
+    }
+
+    res.json({
+      item: {
+        id: entry.id,
+        notes: updatedNotes,
+        reviewedEventId: reviewLinkState.reviewedEventId,
+        reviewPublishedAt: reviewLinkState.reviewPublishedAt,
+        reviewUpdatedAt: reviewLinkState.reviewUpdatedAt,
+        manual: omitMarketValueSources(manualData),
+      },
+    });
+  } catch (err) {
+    logger.error('updateManualEntry error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * Upload a cover image for a manual item
+ */
+async function uploadManualCover(req, res) {
+  try {
+    const { shelfId, itemId } = req.params;
+    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+
+    // Validate file was uploaded
+    if (!req.file) {
+      return res.status(400).json({ error: "No image file provided" });
+    }
+
+    // Get the collection entry to verify ownership and get manual_id
+    const entryResult = await query(
+      `SELECT uc.id, uc.manual_id, um.id as manual_exists
+       FROM user_collections uc
+       JOIN user_manuals um ON um.id = uc.manual_id
+       WHERE uc.id = $1 AND uc.user_id = $2 AND uc.shelf_id = $3`,
+      [itemId, req.user.id, shelf.id]
+    );
+
+    if (!entryResult.rows.length) {
+      return res.status(404).json({ error: "Manual item not found" });
+    }
+
+    const entry = entryResult.rows[0];
+
+    // Upload the cover image
+    const updatedManual = await manualMediaQueries.uploadFromBuffer({
+      userId: req.user.id,
+      manualId: entry.manual_id,
+      buffer: req.file.buffer,
+      contentType: req.file.mimetype || 'image/jpeg',
+    });
+
+    // Build response with resolved URL
+    const coverMediaUrl = resolveMediaUrl(updatedManual.coverMediaPath);
+
+    res.json({
+      success: true,
+      manual: {
+        ...omitMarketValueSources(updatedManual),
+        coverMediaUrl,
+      },
+    });
+  } catch (err) {
+    logger.error('uploadManualCover error:', err);
+    const statusCode = /image/i.test(String(err?.message || '')) ? 400 : 500;
+    res.status(statusCode).json({ error: err?.message || 'Server error' });
+  }
+}
+
+async function getShelfItemOwnerPhoto(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+
+    const canAccess = await ensureShelfViewerNotBlocked(res, shelfId, req.user.id);
+    if (!canAccess) return;
+
+    const shelf = await shelvesQueries.getForViewing(shelfId, req.user.id);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const item = await userCollectionPhotosQueries.getByCollectionItem({
+      itemId,
+      shelfId: shelf.id,
+    });
+    if (!item) {
+      return res.status(404).json({ error: 'Shelf item not found' });
+    }
+
+    const isOwner = isSameUserId(item.userId, req.user.id);
+    if (!isOwner && !canViewerAccessOwnerPhoto(item, req.user.id)) {
+      return res.status(404).json({ error: 'Owner photo not found' });
+    }
+
+    if (shouldLogOwnerPhotoDebug(item.id)) {
+      logOwnerPhotoDebug('ownerPhoto.meta', {
+        shelfId: shelf.id,
+        itemId: item.id,
+        viewerUserId: req.user?.id || null,
+        isOwner,
+        ownerPhotoSource: item.ownerPhotoSource || null,
+        ownerPhotoVisible: !!item.ownerPhotoVisible,
+        ownerPhotoUpdatedAt: item.ownerPhotoUpdatedAt || null,
+        thumbProvider: item.ownerPhotoThumbStorageProvider || null,
+        thumbHasKey: !!item.ownerPhotoThumbStorageKey,
+        thumbUpdatedAt: item.ownerPhotoThumbUpdatedAt || null,
+        thumbnailBox: sanitizeThumbnailBoxForLog(item.ownerPhotoThumbBox),
+      });
+    }
+
+    return res.json({
+      ownerPhoto: formatOwnerPhotoResponse(item, shelf.id),
+    });
+  } catch (err) {
+    logger.error('getShelfItemOwnerPhoto error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function getShelfItemOwnerPhotoImage(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+
+    const canAccess = await ensureShelfViewerNotBlocked(res, shelfId, req.user.id);
+    if (!canAccess) return;
+
+    const shelf = await shelvesQueries.getForViewing(shelfId, req.user.id);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const item = await userCollectionPhotosQueries.getByCollectionItem({
+      itemId,
+      shelfId: shelf.id,
+    });
+    if (!item?.ownerPhotoSource) {
+      return res.status(404).json({ error: 'Owner photo not found' });
+    }
+
+    const isOwner = isSameUserId(item.userId, req.user.id);
+    if (!isOwner && !canViewerAccessOwnerPhoto(item, req.user.id)) {
+      return res.status(404).json({ error: 'Owner photo not found' });
+    }
+
+    if (shouldLogOwnerPhotoDebug(item.id)) {
+      logOwnerPhotoDebug('ownerPhoto.image.request', {
+        shelfId: shelf.id,
+        itemId: item.id,
+        viewerUserId: req.user?.id || null,
+        isOwner,
+        source: item.ownerPhotoSource || null,
+        storageProvider: item.ownerPhotoStorageProvider || null,
+        hasStorageKey: !!item.ownerPhotoStorageKey,
+      });
+    }
+
+    const payload = await userCollectionPhotosQueries.loadOwnerPhotoBuffer(item);
+    if (shouldLogOwnerPhotoDebug(item.id)) {
+      logOwnerPhotoDebug('ownerPhoto.image.response', {
+        shelfId: shelf.id,
+        itemId: item.id,
+        contentType: payload?.contentType || null,
+        contentLength: Number.isFinite(payload?.contentLength) ? payload.contentLength : (payload?.buffer?.length ?? null),
+      });
+    }
+    res.setHeader('Content-Type', payload.contentType || item.ownerPhotoContentType || 'image/jpeg');
+    if (Number.isFinite(payload.contentLength)) {
+      res.setHeader('Content-Length', String(payload.contentLength));
+    }
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.send(payload.buffer);
+  } catch (err) {
+    logger.error('getShelfItemOwnerPhotoImage error:', err);
+    return res.status(500).json({ error: 'Failed to load owner photo image' });
+  }
+}
+
+async function getShelfItemOwnerPhotoThumbnail(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+
+    const canAccess = await ensureShelfViewerNotBlocked(res, shelfId, req.user.id);
+    if (!canAccess) return;
+
+    const shelf = await shelvesQueries.getForViewing(shelfId, req.user.id);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const item = await userCollectionPhotosQueries.getByCollectionItem({
+      itemId,
+      shelfId: shelf.id,
+    });
+    if (!item?.ownerPhotoSource) {
+      return res.status(404).json({ error: 'Owner photo not found' });
+    }
+
+    const isOwner = isSameUserId(item.userId, req.user.id);
+    if (!isOwner && !canViewerAccessOwnerPhoto(item, req.user.id)) {
+      return res.status(404).json({ error: 'Owner photo not found' });
+    }
+
+    if (shouldLogOwnerPhotoDebug(item.id)) {
+      logOwnerPhotoDebug('ownerPhoto.thumbnail.request', {
+        shelfId: shelf.id,
+        itemId: item.id,
+        viewerUserId: req.user?.id || null,
+        isOwner,
+        source: item.ownerPhotoSource || null,
+        thumbProvider: item.ownerPhotoThumbStorageProvider || null,
+        thumbHasKey: !!item.ownerPhotoThumbStorageKey,
+        thumbUpdatedAt: item.ownerPhotoThumbUpdatedAt || null,
+        thumbnailBox: sanitizeThumbnailBoxForLog(item.ownerPhotoThumbBox),
+      });
+    }
+
+    const payload = await userCollectionPhotosQueries.loadOwnerPhotoThumbnailBuffer(item);
+    if (shouldLogOwnerPhotoDebug(item.id)) {
+      logOwnerPhotoDebug('ownerPhoto.thumbnail.response', {
+        shelfId: shelf.id,
+        itemId: item.id,
+        contentType: payload?.contentType || null,
+        contentLength: Number.isFinite(payload?.contentLength) ? payload.contentLength : (payload?.buffer?.length ?? null),
+      });
+    }
+    res.setHeader('Content-Type', payload.contentType || item.ownerPhotoThumbContentType || 'image/jpeg');
+    if (Number.isFinite(payload.contentLength)) {
+      res.setHeader('Content-Length', String(payload.contentLength));
+    }
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.send(payload.buffer);
+  } catch (err) {
+    logger.error('getShelfItemOwnerPhotoThumbnail error:', err);
+    return res.status(500).json({ error: 'Failed to load owner photo thumbnail' });
+  }
+}
+
+async function updateShelfItemOwnerPhotoVisibility(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+
+    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Shelf item not found' });
+    }
+
+    const visible = !!req.body?.visible;
+    const updated = await userCollectionPhotosQueries.setOwnerPhotoVisibility({
+      itemId: item.id,
+      userId: req.user.id,
+      shelfId: shelf.id,
+      visible,
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Shelf item not found' });
+    }
+
+    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
+      itemId: item.id,
+      shelfId: shelf.id,
+    });
+
+    return res.json({
+      ownerPhoto: formatOwnerPhotoResponse(hydrated || updated, shelf.id),
+    });
+  } catch (err) {
+    logger.error('updateShelfItemOwnerPhotoVisibility error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function uploadShelfItemOwnerPhoto(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+
+    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Shelf item not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    const updated = await userCollectionPhotosQueries.uploadOwnerPhotoForItem({
+      itemId: item.id,
+      userId: req.user.id,
+      shelfId: shelf.id,
+      buffer: req.file.buffer,
+      contentType: req.file.mimetype || 'image/jpeg',
+    });
+
+    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
+      itemId: item.id,
+      shelfId: shelf.id,
+    });
+
+    return res.json({
+      ownerPhoto: formatOwnerPhotoResponse(hydrated || updated, shelf.id),
+    });
+  } catch (err) {
+    logger.error('uploadShelfItemOwnerPhoto error:', err);
+    const statusCode = /image/i.test(String(err?.message || '')) ? 400 : 500;
+    return res.status(statusCode).json({ error: err?.message || 'Failed to upload owner photo' });
+  }
+}
+
+async function updateShelfItemOwnerPhotoThumbnail(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+    if (!req.body || typeof req.body !== 'object' || !Object.prototype.hasOwnProperty.call(req.body, 'box')) {
+      return res.status(400).json({ error: 'box is required' });
+    }
+
+    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Shelf item not found' });
+    }
+
+    await userCollectionPhotosQueries.upsertOwnerPhotoThumbnailForItem({
+      itemId: item.id,
+      userId: req.user.id,
+      shelfId: shelf.id,
+      box: req.body.box,
+    });
+
+    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
+      itemId: item.id,
+      shelfId: shelf.id,
+    });
+
+    if (shouldLogOwnerPhotoDebug(item.id)) {
+      logOwnerPhotoDebug('ownerPhoto.thumbnail.update', {
+        shelfId: shelf.id,
+        itemId: item.id,
+        inputBox: sanitizeThumbnailBoxForLog(req.body?.box),
+        persistedBox: sanitizeThumbnailBoxForLog(hydrated?.ownerPhotoThumbBox || null),
+        thumbProvider: hydrated?.ownerPhotoThumbStorageProvider || null,
+        thumbHasKey: !!hydrated?.ownerPhotoThumbStorageKey,
+        thumbUpdatedAt: hydrated?.ownerPhotoThumbUpdatedAt || null,
+      });
+    }
+
+    return res.json({
+      ownerPhoto: formatOwnerPhotoResponse(hydrated || item, shelf.id),
+    });
+  } catch (err) {
+    logger.error('updateShelfItemOwnerPhotoThumbnail error:', err);
+    const message = String(err?.message || '');
+    if (/thumbnail box|box|owner photo is not set/i.test(message)) {
+      return res.status(400).json({ error: err?.message || 'Invalid thumbnail request' });
+    }
+    return res.status(500).json({ error: 'Failed to update owner photo thumbnail' });
+  }
+}
+
+async function deleteShelfItemOwnerPhoto(req, res) {
+  try {
+    const shelfId = parseInt(req.params.shelfId, 10);
+    const itemId = parseInt(req.params.itemId, 10);
+    if (isNaN(shelfId) || isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    }
+
+    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Shelf item not found' });
+    }
+
+    const updated = await userCollectionPhotosQueries.clearOwnerPhotoForItem({
+      itemId: item.id,
+      userId: req.user.id,
+      shelfId: shelf.id,
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Shelf item not found' });
+    }
+
+    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
+      itemId: item.id,
+      shelfId: shelf.id,
+    });
+
+    return res.json({
+      ownerPhoto: formatOwnerPhotoResponse(hydrated || updated, shelf.id),
+    });
+  } catch (err) {
+    logger.error('deleteShelfItemOwnerPhoto error:', err);
+    return res.status(500).json({ error: 'Failed to delete owner photo' });
+  }
+}
+
+async function warmVisionScanCrops({ userId, shelfId, shelfType = null, scanPhotoId, jobId = null }) {
+  return visionCropService.warmScanCrops({
+    userId,
+    shelfId,
+    shelfType,
+    scanPhotoId,
+    jobId,
+  });
+}
+
+function queueVisionCropWarmup({ userId, shelfId, shelfType = null, scanPhotoId, jobId = null }) {
+  if (!VISION_CROP_WARMUP_ENABLED || !scanPhotoId) return;
+  setImmediate(() => {
+    warmVisionScanCrops({ userId, shelfId, shelfType, scanPhotoId, jobId }).catch((err) => {
+      logger.warn('[Vision] Unexpected crop warmup queue error', {
+        shelfId,
+        scanPhotoId,
+        jobId,
+        message: err?.message || String(err),
+      });
+    });
+  });
+}
+
+function buildPipelineOptions({ rawItems, scanPhotoId, scanPhotoDimensions, abortCheck = null, catalogContext = null }) {
+  const options = {};
+  if (Array.isArray(rawItems) && rawItems.length > 0) {
+    options.rawItems = rawItems;
+    options.ocrProvider = 'mlkit';
+  }
+  if (scanPhotoId) {
+    options.scanPhotoId = scanPhotoId;
+    if (scanPhotoDimensions) {
+      options.scanPhotoDimensions = scanPhotoDimensions;
+    }
+  }
+  if (typeof abortCheck === 'function') {
+    options.abortCheck = abortCheck;
+  }
+  if (catalogContext && typeof catalogContext === 'object') {
+    options.catalogContext = catalogContext;
+  }
+  return Object.keys(options).length > 0 ? options : null;
+}
 
-      const updateResult = await query(
-        `UPDATE user_manuals SET ${setClause} WHERE id = $${values.length} RETURNING *`,
-        values
-      );
-      manualData = rowToCamelCase(updateResult.rows[0]);
+async function cleanupVisionArtifactsForRetry({ userId, shelfId, imageSha256, jobId = null }) {
+  if (!userId || !shelfId || !imageSha256) return;
+
+  try {
+    await visionResultCacheQueries.deleteByHash({
+      userId,
+      shelfId,
+      imageSha256,
+    });
+  } catch (err) {
+    logger.warn('[Vision] Failed to delete vision cache hash during retry cleanup', {
+      jobId,
+      shelfId,
+      hashPrefix: String(imageSha256).slice(0, 12),
+      message: err?.message || String(err),
+    });
+  }
+
+  try {
+    await visionScanPhotosQueries.deleteByHash({
+      userId,
+      shelfId,
+      imageSha256,
+    });
+  } catch (err) {
+    logger.warn('[Vision] Failed to delete scan photo hash during retry cleanup', {
+      jobId,
+      shelfId,
+      hashPrefix: String(imageSha256).slice(0, 12),
+      message: err?.message || String(err),
+    });
+  }
+}
+
+async function recordVisionTokenUsage({ userId, jobId, shelfId = null, result, countScan = true }) {
+  try {
+    const tokenUsage = result?.tokenUsage || { totalTokens: 0, candidatesTokens: 0 };
+    const quota = await visionQuotaQueries.incrementTokenUsage(
+      userId,
+      tokenUsage.totalTokens,
+      tokenUsage.candidatesTokens,
+      { countScan },
+    );
+    if (result?.tokenCalls && jobId) {
+      visionQuotaQueries.logTokenCalls(userId, jobId, result.tokenCalls, { shelfId })
+        .catch(err => logger.warn('[Vision] Failed to log token calls:', err.message));
+    }
+    if (result?.tokenCalls) {
+      recordAiSpend({ userId, jobId, calls: result.tokenCalls });
     }
+    await notifyVisionUsageThreshold({ userId, quota });
+  } catch (quotaErr) {
+    logger.warn('[Vision] Failed to increment token quota:', quotaErr.message);
+  }
+}
 
-    // Update notes on user_collections if provided
-    let updatedNotes = entry.notes;
-    if (notesValue !== undefined) {
-      await query(
-        `UPDATE user_collections SET notes = $1 WHERE id = $2`,
-        [notesValue, entry.id]
-      );
-      updatedNotes = notesValue;
+function isRescanMode(mode) {
+  return normalizeString(mode)?.toLowerCase() === VISION_SCAN_MODE_RESCAN;
+}
+
+function formatRescanDiff(row) {
+  if (!row) return null;
+  const diff = row.diff && typeof row.diff === 'object' ? row.diff : {};
+  return {
+    id: row.id,
+    shelfId: row.shelfId,
+    scanPhotoId: row.scanPhotoId ?? null,
+    sessionId: row.sessionId ?? null,
+    jobId: row.jobId ?? null,
+    status: row.status,
+    newItems: Array.isArray(diff.newItems) ? diff.newItems : [],
+    missingItems: Array.isArray(diff.missingItems) ? diff.missingItems : [],
+    movedItems: Array.isArray(diff.movedItems) ? diff.movedItems : [],
+    unchangedCount: Number(diff.unchangedCount) || 0,
+    removedItemIds: Array.isArray(row.removedItemIds) ? row.removedItemIds : [],
+    createdAt: row.createdAt,
+    resolvedAt: row.resolvedAt ?? null,
+  };
+}
+
+// What earlier scans had linked, read before the re-scan rewrites positions.
+async function loadRescanBaseline({ userId, shelfId, scanPhotoIds }) {
+  try {
+    return await shelfLayoutQueries.listScannedItems({
+      userId,
+      shelfId,
+      excludeScanPhotoIds: scanPhotoIds,
+    });
+  } catch (err) {
+    logger.warn('[Vision] Failed to load re-scan baseline', {
+      shelfId,
+      scanPhotoIds,
+      message: err?.message || String(err),
+    });
+    return null;
+  }
+}
+
+/**
+ * Compare a finished re-scan against its baseline and store the diff for
+ * the user to confirm. Nothing is removed here; a failure only drops the
+ * diff from the scan result.
+ */
+async function recordRescanDiff({ jobId, userId, shelfId, scanPhotoIds, sessionId = null, panAxis = null, baseline }) {
+  if (!baseline || !scanPhotoIds.length) return null;
+  try {
+    const scans = [];
+    for (const scanPhotoId of scanPhotoIds) {
+      const regions = await visionItemRegionsQueries.listForScan({ userId, shelfId, scanPhotoId });
+      scans.push({ scanPhotoId, regions });
+    }
+    const layoutRows = await shelfLayoutQueries.listForShelf({ userId, shelfId });
+    const itemsById = new Map(layoutRows.map((row) => [row.id, row]));
+    const current = buildShelfPlacements(scans, { panAxis }).map((placement) => ({
+      ...placement,
+      title: itemsById.get(placement.collectionItemId)?.title ?? null,
+      primaryCreator: itemsById.get(placement.collectionItemId)?.primaryCreator ?? null,
+    }));
+    const diff = buildRescanDiff({ previous: baseline, current });
+    const saved = await visionRescanDiffsQueries.create({
+      userId,
+      shelfId,
+      scanPhotoId: scanPhotoIds.length === 1 ? scanPhotoIds[0] : null,
+      sessionId,
+      jobId,
+      diff,
+    });
+    logger.info('[Vision] Re-scan diff recorded', {
+      jobId,
+      shelfId,
+      diffId: saved?.id,
+      newCount: diff.newItems.length,
+      missingCount: diff.missingItems.length,
+      movedCount: diff.movedItems.length,
+    });
+    return formatRescanDiff(saved);
+  } catch (err) {
+    logger.warn('[Vision] Failed to record re-scan diff', {
+      jobId,
+      shelfId,
+      message: err?.message || String(err),
+    });
+    return null;
+  }
+}
+
+async function runVisionPipelineJob({
+  jobId,
+  userId,
+  shelf,
+  imageBase64,
+  rawItems,
+  isCloudVision,
+  imageSha256 = null,
+  scanPhotoId = null,
+  scanPhotoDimensions = null,
+  abortCheck = null,
+  rescan = false,
+}) {
+  const rescanBaseline = rescan && scanPhotoId
+    ? await loadRescanBaseline({ userId, shelfId: shelf.id, scanPhotoIds: [scanPhotoId] })
+    : null;
+  const pipeline = await createVisionPipeline();
+  const catalogContext = {
+    jobId: jobId || null,
+    userId,
+    shelfId: shelf.id,
+    shelfType: shelf.type,
+    imageHashPrefix: imageSha256 ? String(imageSha256).slice(0, 12) : null,
+  };
+  const resolvedPipelineOptions = buildPipelineOptions({
+    rawItems,
+    scanPhotoId,
+    scanPhotoDimensions,
+    abortCheck,
+    catalogContext,
+  });
+  try {
+    const result = await pipeline.processImage(
+      imageBase64,
+      shelf,
+      userId,
+      jobId,
+      resolvedPipelineOptions,
+    );
+    const counts = buildVisionCounts(result);
+
+    if (isCloudVision) {
+      await recordVisionTokenUsage({ userId, jobId, shelfId: shelf.id, result });
+    }
+
+    if (isCloudVision && imageSha256) {
+      try {
+        await visionResultCacheQueries.set({
+          userId,
+          shelfId: shelf.id,
+          imageSha256,
+          resultJson: {
+            analysis: result.analysis,
+            results: result.results,
+            addedItems: result.addedItems,
+            needsReview: result.needsReview,
+            warnings: result.warnings,
+          },
+        });
+      } catch (cacheWriteErr) {
+        if (cacheWriteErr?.code !== '42P01') {
+          logger.warn('[Vision] Cache write failed:', cacheWriteErr?.message || cacheWriteErr);
+        }
+      }
+    }
+
+    if (VISION_CROP_WARMUP_ENABLED && scanPhotoId) {
+      processingStatus.updateJob(jobId, {
+        step: 'generating-photos',
+        progress: 95,
+        message: 'Generating item photos...',
+        status: 'processing',
+      });
+      await warmVisionScanCrops({
+        userId,
+        shelfId: shelf.id,
+        shelfType: shelf.type,
+        scanPhotoId,
+        jobId,
+      });
+    }
+
+    const output = {
+      analysis: result.analysis,
+      results: result.results,
+      addedItems: result.addedItems,
+      needsReview: result.needsReview,
+      ...counts,
+      warnings: result.warnings,
+      scanPhotoId,
+    };
+    if (rescan) {
+      output.rescanDiff = await recordRescanDiff({
+        jobId,
+        userId,
+        shelfId: shelf.id,
+        scanPhotoIds: scanPhotoId ? [scanPhotoId] : [],
+        baseline: rescanBaseline,
+      });
+    }
+    processingStatus.completeJob(jobId, output);
+    return output;
+  } catch (err) {
+    if (isCloudVision && imageSha256 && err?.code === 'CATALOG_PROVIDERS_UNAVAILABLE') {
+      logger.warn('[Vision] All catalog providers unavailable; purging hash artifacts for retry', {
+        jobId,
+        shelfId: shelf.id,
+        hashPrefix: String(imageSha256).slice(0, 12),
+      });
+      await cleanupVisionArtifactsForRetry({
+        userId,
+        shelfId: shelf.id,
+        imageSha256,
+        jobId,
+      });
     }
+    throw err;
+  }
+}
+
+async function processQueuedVisionWorkflowJob(job, { shouldAbort }) {
+  const payload = job?.payload && typeof job.payload === 'object' ? job.payload : {};
+  const shelfId = Number(payload.shelfId || job.shelfId);
+  const userId = payload.userId || job.userId;
+  const shelf = await loadShelfForUser(userId, shelfId);
+  if (!shelf) {
+    const err = new Error('Shelf not found');
+    err.status = 404;
+    throw err;
+  }
+  if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
+    throw new Error(OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR);
+  }
+
+  processingStatus.setJob(job.jobId, {
+    jobId: job.jobId,
+    userId,
+    shelfId: shelf.id,
+    status: 'processing',
+    step: 'initializing',
+    progress: 1,
+    message: 'Processing queued vision job...',
+    aborted: false,
+    result: null,
+  });
+
+  return runVisionPipelineJob({
+    jobId: job.jobId,
+    userId,
+    shelf,
+    imageBase64: payload.imageBase64 || null,
+    rawItems: Array.isArray(payload.rawItems) ? payload.rawItems : null,
+    isCloudVision: payload.isCloudVision !== false,
+    imageSha256: payload.imageSha256 || null,
+    scanPhotoId: Number(payload.scanPhotoId) || null,
+    scanPhotoDimensions: payload.scanPhotoDimensions || null,
+    rescan: isRescanMode(payload.mode),
+    abortCheck: async () => {
+      if (typeof shouldAbort === 'function') {
+        return (await shouldAbort()) === true;
+      }
+      return false;
+    },
+  });
+}
+
+function toScanPhotoDimensions(scanPhoto) {
+  if (!Number.isFinite(Number(scanPhoto?.width)) || !Number.isFinite(Number(scanPhoto?.height))) return null;
+  return {
+    width: Number(scanPhoto.width),
+    height: Number(scanPhoto.height),
+  };
+}
+
+async function runVisionSessionJob({ jobId, userId, shelf, sessionId, panAxis = null, abortCheck = null, rescan = false }) {
+  const scanPhotos = await visionScanSessionsQueries.listPhotos({ sessionId, userId });
+  if (!scanPhotos.length) {
+    const err = new Error('Scan session has no photos');
+    err.status = 400;
+    throw err;
+  }
+  const rescanBaseline = rescan
+    ? await loadRescanBaseline({ userId, shelfId: shelf.id, scanPhotoIds: scanPhotos.map((photo) => photo.id) })
+    : null;
 
-    let reviewLinkState = {
-      reviewedEventId: entry.reviewed_event_log_id ?? null,
-      reviewPublishedAt: entry.reviewed_event_published_at || null,
-      reviewUpdatedAt: entry.reviewed_event_updated_at || null,
-    };
-    const shouldShareReviewedEvent = shareToFeedRequested && notesValue !== undefined && !!notesValue;
-    logFeedMicro('updateManualEntry.notes.shareDecision', {
-      userId: req.user.id,
+  const photos = [];
+  for (const scanPhoto of scanPhotos) {
+    const { buffer } = await visionScanPhotosQueries.loadImageBuffer(scanPhoto);
+    photos.push({
+      scanPhotoId: scanPhoto.id,
+      imageBase64: buffer.toString('base64'),
+      dimensions: toScanPhotoDimensions(scanPhoto),
+    });
+  }
+
+  const pipeline = await createVisionPipeline();
+  const result = await pipeline.processSession(photos, shelf, userId, jobId, {
+    sessionId,
+    panAxis,
+    abortCheck,
+    catalogContext: {
+      jobId: jobId || null,
+      userId,
       shelfId: shelf.id,
-      shouldShareReviewedEvent,
-      notesProvided: notesValue !== undefined,
-      hasNotesValue: !!notesValue,
-      reviewedEventIdHint: reviewedEventIdHint ?? null,
-      storedReviewedEventId: reviewLinkState.reviewedEventId ?? null,
-      shareToFeedRequested,
+      shelfType: shelf.type,
+      scanSessionId: sessionId,
+    },
+  });
+  const counts = buildVisionCounts(result);
+  await recordVisionTokenUsage({ userId, jobId, shelfId: shelf.id, result });
+
+  const scanPhotoIds = photos.map((photo) => photo.scanPhotoId);
+  if (VISION_CROP_WARMUP_ENABLED) {
+    processingStatus.updateJob(jobId, {
+      step: 'generating-photos',
+      progress: 95,
+      message: 'Generating item photos...',
+      status: 'processing',
     });
-    if (shouldShareReviewedEvent) {
-      const ratingRecord = await ratingsQueries.getRating(req.user.id, { manualId: entry.manual_id });
-      const currentUserRating = ratingRecord?.rating ?? null;
-      const manualTitle = manualData?.name || manualData?.title || 'Unknown';
-      const upsertedReview = await upsertReviewedShelfEvent({
-        userId: req.user.id,
-        shelfId: shelf.id,
-        itemId: entry.id,
-        reviewedEventIdHint: reviewedEventIdHint || reviewLinkState.reviewedEventId || null,
-        payload: {
-          itemId: entry.id,
-          sourceShelfId: shelf.id,
-          sourceShelfType: shelf.type || null,
-          manualId: entry.manual_id || manualData?.id || null,
-          title: manualTitle,
-          primaryCreator: manualData?.author || null,
-          coverUrl: null,
-          coverMediaPath: manualData?.coverMediaPath || null,
-          coverMediaUrl: resolveMediaUrl(manualData?.coverMediaPath),
-          rating: currentUserRating,
-          notes: notesValue,
-          type: manualData?.type || shelf.type || 'item',
-          metadata: {
-            format: manualData?.format || null,
-            publisher: manualData?.publisher || null,
-            year: manualData?.year || null,
-            genre: Array.isArray(manualData?.genre) ? manualData.genre : null,
-            edition: manualData?.edition || null,
-            regionalItem: manualData?.regionalItem || null,
-            barcode: manualData?.barcode || null,
-            itemSpecificText: manualData?.itemSpecificText || null,
-          },
-        },
-      });
-      if (upsertedReview) {
-        reviewLinkState = {
-          reviewedEventId: upsertedReview.reviewedEventId ?? null,
-          reviewPublishedAt: upsertedReview.reviewPublishedAt || null,
-          reviewUpdatedAt: upsertedReview.reviewUpdatedAt || null,
-        };
-      }
-      logFeedMicro('updateManualEntry.notes.reviewedLogged', {
-        userId: req.user.id,
+    for (const scanPhotoId of scanPhotoIds) {
+      await warmVisionScanCrops({
+        userId,
         shelfId: shelf.id,
-        eventLogged: !!upsertedReview,
-        eventId: upsertedReview?.reviewedEventId || null,
-        changed: upsertedReview?.changed ?? null,
-        createdNew: upsertedReview?.createdNew ?? null,
+        shelfType: shelf.type,
+        scanPhotoId,
+        jobId,
       });
     }
+  }
 
-    res.json({
-      item: {
-        id: entry.id,
-        notes: updatedNotes,
-        reviewedEventId: reviewLinkState.reviewedEventId,
-        reviewPublishedAt: reviewLinkState.reviewPublishedAt,
-        reviewUpdatedAt: reviewLinkState.reviewUpdatedAt,
-        manual: omitMarketValueSources(manualData),
-      },
+  const output = {
+    analysis: result.analysis,
+    results: result.results,
+    addedItems: result.addedItems,
+    needsReview: result.needsReview,
+    ...counts,
+    warnings: result.warnings,
+    sessionId,
+    scanPhotoIds,
+    photoCount: result.session?.photoCount ?? scanPhotoIds.length,
+    mergedCount: result.session?.mergedCount ?? 0,
+  };
+  if (rescan) {
+    output.rescanDiff = await recordRescanDiff({
+      jobId,
+      userId,
+      shelfId: shelf.id,
+      scanPhotoIds,
+      sessionId,
+      panAxis,
+      baseline: rescanBaseline,
     });
-  } catch (err) {
-    logger.error('updateManualEntry error:', err);
-    res.status(500).json({ error: 'Server error' });
   }
+  processingStatus.completeJob(jobId, output);
+  return output;
 }
 
-/**
- * Upload a cover image for a manual item
- */
-async function uploadManualCover(req, res) {
-  try {
-    const { shelfId, itemId } = req.params;
-    const shelf = await loadShelfForUser(req.user.id, shelfId);
-    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+async function processQueuedVisionSessionWorkflowJob(job, { shouldAbort }) {
+  const payload = job?.payload && typeof job.payload === 'object' ? job.payload : {};
+  const shelfId = Number(payload.shelfId || job.shelfId);
+  const sessionId = Number(payload.sessionId);
+  const userId = payload.userId || job.userId;
 
-    // Validate file was uploaded
-    if (!req.file) {
-      return res.status(400).json({ error: "No image file provided" });
+  try {
+    const shelf = await loadShelfForUser(userId, shelfId);
+    if (!shelf) {
+      const err = new Error('Shelf not found');
+      err.status = 404;
+      throw err;
+    }
+    if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
+      throw new Error(OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR);
     }
 
-    // Get the collection entry to verify ownership and get manual_id
-    const entryResult = await query(
-      `SELECT uc.id, uc.manual_id, um.id as manual_exists
-       FROM user_collections uc
-       JOIN user_manuals um ON um.id = uc.manual_id
-       WHERE uc.id = $1 AND uc.user_id = $2 AND uc.shelf_id = $3`,
-      [itemId, req.user.id, shelf.id]
-    );
+    processingStatus.setJob(job.jobId, {
+      jobId: job.jobId,
+      userId,
+      shelfId: shelf.id,
+      status: 'processing',
+      step: 'initializing',
+      progress: 1,
+      message: 'Processing queued scan session...',
+      aborted: false,
+      result: null,
+    });
 
-    if (!entryResult.rows.length) {
-      return res.status(404).json({ error: "Manual item not found" });
+    const output = await runVisionSessionJob({
+      jobId: job.jobId,
+      userId,
+      shelf,
+      sessionId,
+      panAxis: payload.panAxis || null,
+      rescan: isRescanMode(payload.mode),
+      abortCheck: async () => {
+        if (typeof shouldAbort === 'function') {
+          return (await shouldAbort()) === true;
+        }
+        return false;
+      },
+    });
+    await visionScanSessionsQueries.markFinished({
+      id: sessionId,
+      status: 'completed',
+      result: omitMarketValueSourcesDeep(output),
+    });
+    return output;
+  } catch (err) {
+    // Leave the session in processing while the queue will retry it.
+    const willRetry = Number(job?.attemptCount) < Number(job?.maxAttempts) && isRetryableWorkflowError(err);
+    const aborted = err?.code === 'WORKFLOW_ABORTED';
+    if (aborted || !willRetry) {
+      try {
+        await visionScanSessionsQueries.markFinished({
+          id: sessionId,
+          status: aborted ? 'aborted' : 'failed',
+          result: { error: String(err?.message || 'Scan session failed'), code: err?.code || null },
+        });
+      } catch (sessionErr) {
+        logger.warn('[Vision] Failed to record scan session failure', {
+          sessionId,
+          jobId: job?.jobId,
+          message: sessionErr?.message || String(sessionErr),
+        });
+      }
     }
+    throw err;
+  }
+}
 
-    const entry = entryResult.rows[0];
+/**
+ * Close out the scan session of a vision_session job that crashed mid-run and
+ * has no retries left, so the session does not stay in `processing`.
+ */
+async function finishOrphanedVisionSession(job) {
+  const sessionId = Number(job?.payload?.sessionId);
+  if (!sessionId) return;
+  await visionScanSessionsQueries.markFinished({
+    id: sessionId,
+    status: job.status === 'aborted' ? 'aborted' : 'failed',
+    result: { error: job.error?.message || 'Scan session failed', code: job.error?.code || null },
+  });
+}
 
-    // Upload the cover image
-    const updatedManual = await manualMediaQueries.uploadFromBuffer({
-      userId: req.user.id,
-      manualId: entry.manual_id,
-      buffer: req.file.buffer,
-      contentType: req.file.mimetype || 'image/jpeg',
-    });
+let queueHandlerRegistered = false;
+function ensureQueueHandlerRegistered() {
+  if (queueHandlerRegistered) return;
+  getWorkflowQueueService().registerHandler(WORKFLOW_TYPE_VISION, processQueuedVisionWorkflowJob);
+  getWorkflowQueueService().registerHandler(WORKFLOW_TYPE_VISION_SESSION, processQueuedVisionSessionWorkflowJob, {
+    onOrphaned: finishOrphanedVisionSession,
+  });
+  getWorkflowQueueService().registerHandler(WORKFLOW_TYPE_COLLECTION_IMPORT, processQueuedCollectionImportWorkflowJob);
+  queueHandlerRegistered = true;
+}
+ensureQueueHandlerRegistered();
 
-    // Build response with resolved URL
-    const coverMediaUrl = resolveMediaUrl(updatedManual.coverMediaPath);
+let wishlistReceiptHookRegistered = false;
+function ensureWishlistReceiptHookRegistered() {
+  if (wishlistReceiptHookRegistered) return;
+  registerWishlistReceiptHook(getVisionPipelineHooks());
+  wishlistReceiptHookRegistered = true;
+}
+ensureWishlistReceiptHookRegistered();
 
-    res.json({
-      success: true,
-      manual: {
-        ...omitMarketValueSources(updatedManual),
-        coverMediaUrl,
-      },
-    });
+/**
+ * Pipeline for one vision job, degraded (no enrichment, no slicing, ...)
+ * when global AI spend is near its budget cap.
+ */
+async function createVisionPipeline() {
+  const budgetOptions = await getPipelineBudgetOptions();
+  return new VisionPipelineService({ hooks: getVisionPipelineHooks(), ...budgetOptions });
+}
+
+async function getAiBudgetExhaustedPayload() {
+  try {
+    const status = await getBudgetStatus();
+    if (!status.blocked) return null;
+    return {
+      error: 'Vision scanning is paused until the AI budget resets',
+      budgetExhausted: true,
+    };
   } catch (err) {
-    logger.error('uploadManualCover error:', err);
-    const statusCode = /image/i.test(String(err?.message || '')) ? 400 : 500;
-    res.status(statusCode).json({ error: err?.message || 'Server error' });
+    logger.warn('[Vision] AI budget check failed:', err.message);
+    return null;
   }
 }
 
-async function getShelfItemOwnerPhoto(req, res) {
+async function getVisionQuotaExceededPayload(user) {
+  if (user.unlimitedVisionTokens) return null;
+  const quota = await visionQuotaQueries.getQuota(user.id);
+  if (quota.unlimited) return null;
+  const tokensLeft = quota.tokensRemaining > 0 && quota.outputTokensUsed < quota.outputTokenLimit;
+  const scansLeft = quota.scansRemaining == null || quota.scansRemaining > 0;
+  if (tokensLeft && scansLeft) return null;
+  return {
+    error: tokensLeft ? 'Monthly vision scan allowance used up' : 'Monthly vision token quota exceeded',
+    quotaExceeded: true,
+    quota: {
+      plan: quota.plan ?? null,
+      tokensUsed: quota.tokensUsed,
+      tokensRemaining: tokensLeft ? quota.tokensRemaining : 0,
+      tokenLimit: quota.tokenLimit,
+      outputTokensUsed: quota.outputTokensUsed,
+      outputTokenLimit: quota.outputTokenLimit,
+      percentUsed: 100,
+      daysRemaining: quota.daysRemaining,
+      scansUsed: quota.scansUsed,
+      scansRemaining: quota.scansRemaining ?? null,
+      monthlyLimit: quota.monthlyLimit,
+      rolloverScans: quota.rolloverScans ?? 0,
+    },
+  };
+}
+
+// Vision processing (using durable queue + async job tracking)
+async function processShelfVision(req, res) {
   try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+    if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
+      return res.status(400).json({ error: OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR });
+    }
+
+    const {
+      imageBase64,
+      rawItems,
+      metadata: requestMetadata = {},
+      async: asyncMode = true,
+      mode: scanMode = null,
+    } = req.body ?? {};
+    const rescan = isRescanMode(scanMode);
+    if (!imageBase64 && (!Array.isArray(rawItems) || rawItems.length === 0)) {
+      return res.status(400).json({ error: "imageBase64 or rawItems are required" });
+    }
+
+    if (!req.user.isPremium) {
+      return res.status(403).json({
+        error: "Vision features are premium only.",
+        requiresPremium: true
+      });
+    }
+
+    const isCloudVision = !rawItems || rawItems.length === 0;
+    let imageSha256 = null;
+    let cachedVision = null;
+    let scanPhotoId = null;
+    let scanPhotoDimensions = null;
+
+    if (isCloudVision && imageBase64) {
+      imageSha256 = computeImageSha256(imageBase64);
+      try {
+        const payload = decodeImageBase64Payload(imageBase64);
+        const buffer = Buffer.from(payload, 'base64');
+        const scanPhoto = await visionScanPhotosQueries.upsertFromBuffer({
+          userId: req.user.id,
+          shelfId: shelf.id,
+          imageSha256,
+          buffer,
+        });
+        scanPhotoId = scanPhoto?.id || null;
+        if (Number.isFinite(Number(scanPhoto?.width)) && Number.isFinite(Number(scanPhoto?.height))) {
+          scanPhotoDimensions = {
+            width: Number(scanPhoto.width),
+            height: Number(scanPhoto.height),
+          };
+        }
+      } catch (scanPhotoErr) {
+        logger.error('[Vision] Failed to persist scan photo:', scanPhotoErr?.message || scanPhotoErr);
+        const message = String(scanPhotoErr?.message || '');
+        const statusCode = /image|base64|unsupported|dimensions|payload/i.test(message) ? 400 : 500;
+        return res.status(statusCode).json({ error: scanPhotoErr?.message || 'Failed to persist scan photo' });
+      }
+
+      try {
+        cachedVision = await visionResultCacheQueries.getValid({
+          userId: req.user.id,
+          shelfId: shelf.id,
+          imageSha256,
+        });
+      } catch (cacheReadErr) {
+        if (cacheReadErr?.code !== '42P01') {
+          logger.warn('[Vision] Cache read failed:', cacheReadErr?.message || cacheReadErr);
+        }
+      }
+      logger.info('[Vision] Image cache lookup', {
+        shelfId: shelf.id,
+        hashPrefix: imageSha256.slice(0, 12),
+        cacheHit: !!cachedVision,
+      });
     }
 
-    const canAccess = await ensureShelfViewerNotBlocked(res, shelfId, req.user.id);
-    if (!canAccess) return;
-
-    const shelf = await shelvesQueries.getForViewing(shelfId, req.user.id);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+    const jobId = processingStatus.generateJobId(req.user.id, shelf.id);
+    processingStatus.createJob(jobId, req.user.id, shelf.id);
 
-    const item = await userCollectionPhotosQueries.getByCollectionItem({
-      itemId,
-      shelfId: shelf.id,
-    });
-    if (!item) {
-      return res.status(404).json({ error: 'Shelf item not found' });
-    }
+    if (cachedVision?.resultJson) {
+      const cachedResult = cachedVision.resultJson;
+      const counts = buildVisionCounts(cachedResult, { cached: true });
+      processingStatus.completeJob(jobId, {
+        analysis: cachedResult.analysis,
+        results: cachedResult.results,
+        ...counts,
+        warnings: cachedResult.warnings,
+        cached: true,
+        scanPhotoId,
+      });
 
-    const isOwner = isSameUserId(item.userId, req.user.id);
-    if (!isOwner && !canViewerAccessOwnerPhoto(item, req.user.id)) {
-      return res.status(404).json({ error: 'Owner photo not found' });
-    }
+      if (asyncMode) {
+        return res.status(202).json({
+          jobId,
+          status: 'completed',
+          queuePosition: 0,
+          estimatedWaitSeconds: 0,
+          notifyOnComplete: false,
+          message: 'Same photo detected. Using previous scan result.',
+          metadata: requestMetadata,
+          cached: true,
+          scanPhotoId,
+        });
+      }
 
-    if (shouldLogOwnerPhotoDebug(item.id)) {
-      logOwnerPhotoDebug('ownerPhoto.meta', {
-        shelfId: shelf.id,
-        itemId: item.id,
-        viewerUserId: req.user?.id || null,
-        isOwner,
-        ownerPhotoSource: item.ownerPhotoSource || null,
-        ownerPhotoVisible: !!item.ownerPhotoVisible,
-        ownerPhotoUpdatedAt: item.ownerPhotoUpdatedAt || null,
-        thumbProvider: item.ownerPhotoThumbStorageProvider || null,
-        thumbHasKey: !!item.ownerPhotoThumbStorageKey,
-        thumbUpdatedAt: item.ownerPhotoThumbUpdatedAt || null,
-        thumbnailBox: sanitizeThumbnailBoxForLog(item.ownerPhotoThumbBox),
+      const items = await hydrateShelfItems(req.user.id, shelf.id);
+      return res.json({
+        jobId,
+        analysis: omitMarketValueSourcesDeep(cachedResult.analysis),
+        results: cachedResult.results,
+        addedItems: omitMarketValueSourcesDeep(cachedResult.addedItems),
+        needsReview: omitMarketValueSourcesDeep(cachedResult.needsReview),
+        ...counts,
+        items,
+        visionStatus: { status: 'completed', provider: 'google-vision-gemini-pipeline' },
+        metadata: requestMetadata,
+        warnings: cachedResult.warnings,
+        cached: true,
+        scanPhotoId,
       });
     }
 
-    return res.json({
-      ownerPhoto: formatOwnerPhotoResponse(item, shelf.id),
-    });
-  } catch (err) {
-    logger.error('getShelfItemOwnerPhoto error:', err);
-    return res.status(500).json({ error: 'Server error' });
-  }
-}
-
-async function getShelfItemOwnerPhotoImage(req, res) {
-  try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    if (isCloudVision) {
+      const quotaExceeded = await getVisionQuotaExceededPayload(req.user);
+      if (quotaExceeded) return res.status(429).json(quotaExceeded);
+      const budgetExhausted = await getAiBudgetExhaustedPayload();
+      if (budgetExhausted) return res.status(503).json(budgetExhausted);
     }
 
-    const canAccess = await ensureShelfViewerNotBlocked(res, shelfId, req.user.id);
-    if (!canAccess) return;
-
-    const shelf = await shelvesQueries.getForViewing(shelfId, req.user.id);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+    if (asyncMode) {
+      const queueSettings = await getWorkflowQueueSettings();
+      const queuedCountForUser = await workflowQueueJobsQueries.countQueuedForUser({
+        workflowType: WORKFLOW_TYPE_VISION,
+        userId: req.user.id,
+      });
+      if (queuedCountForUser >= queueSettings.workflowQueueMaxQueuedPerUser) {
+        return res.status(429).json({
+          error: 'Too many queued workflows for this user',
+          code: 'workflow_queue_user_cap_exceeded',
+          maxQueuedPerUser: queueSettings.workflowQueueMaxQueuedPerUser,
+        });
+      }
 
-    const item = await userCollectionPhotosQueries.getByCollectionItem({
-      itemId,
-      shelfId: shelf.id,
-    });
-    if (!item?.ownerPhotoSource) {
-      return res.status(404).json({ error: 'Owner photo not found' });
-    }
+      const dedupeKey = (isCloudVision && imageSha256)
+        ? buildVisionQueueDedupeKey({
+          userId: req.user.id,
+          shelfId: shelf.id,
+          imageSha256,
+        })
+        : null;
 
-    const isOwner = isSameUserId(item.userId, req.user.id);
-    if (!isOwner && !canViewerAccessOwnerPhoto(item, req.user.id)) {
-      return res.status(404).json({ error: 'Owner photo not found' });
-    }
+      if (dedupeKey) {
+        const activeDuplicate = await workflowQueueJobsQueries.findActiveByDedupeKey({
+          workflowType: WORKFLOW_TYPE_VISION,
+          dedupeKey,
+        });
+        if (activeDuplicate) {
+          const queueMeta = await getQueueMetadata(activeDuplicate.jobId);
+          return res.status(202).json({
+            jobId: activeDuplicate.jobId,
+            status: activeDuplicate.status === 'processing' ? 'processing' : 'queued',
+            queuePosition: queueMeta.queuePosition,
+            estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
+            notifyOnComplete: activeDuplicate.notifyOnComplete === true,
+            notifyInAppOnComplete: activeDuplicate.notifyInAppOnComplete === true,
+            message: 'Duplicate scan already in progress. Returning existing job.',
+            metadata: requestMetadata,
+            cached: false,
+            scanPhotoId: Number(activeDuplicate?.payload?.scanPhotoId || scanPhotoId || 0) || null,
+          });
+        }
+      }
 
-    if (shouldLogOwnerPhotoDebug(item.id)) {
-      logOwnerPhotoDebug('ownerPhoto.image.request', {
+      const payload = {
+        userId: req.user.id,
         shelfId: shelf.id,
-        itemId: item.id,
-        viewerUserId: req.user?.id || null,
-        isOwner,
-        source: item.ownerPhotoSource || null,
-        storageProvider: item.ownerPhotoStorageProvider || null,
-        hasStorageKey: !!item.ownerPhotoStorageKey,
-      });
-    }
+        imageBase64: imageBase64 || null,
+        rawItems: Array.isArray(rawItems) ? rawItems : null,
+        isCloudVision,
+        imageSha256,
+        scanPhotoId,
+        scanPhotoDimensions,
+        mode: rescan ? VISION_SCAN_MODE_RESCAN : null,
+        metadata: requestMetadata,
+      };
 
-    const payload = await userCollectionPhotosQueries.loadOwnerPhotoBuffer(item);
-    if (shouldLogOwnerPhotoDebug(item.id)) {
-      logOwnerPhotoDebug('ownerPhoto.image.response', {
+      let queuedJob = null;
+      try {
+        queuedJob = await workflowQueueJobsQueries.enqueueJob({
+          jobId,
+          workflowType: WORKFLOW_TYPE_VISION,
+          userId: req.user.id,
+          shelfId: shelf.id,
+          status: 'queued',
+          priority: 100,
+          maxAttempts: queueSettings.workflowQueueRetryMaxAttempts,
+          payload,
+          dedupeKey,
+          notifyOnComplete: false,
+          notifyInAppOnComplete: false,
+        });
+      } catch (enqueueErr) {
+        if (enqueueErr?.code === '23505' && dedupeKey) {
+          const activeDuplicate = await workflowQueueJobsQueries.findActiveByDedupeKey({
+            workflowType: WORKFLOW_TYPE_VISION,
+            dedupeKey,
+          });
+          if (activeDuplicate) {
+            const queueMeta = await getQueueMetadata(activeDuplicate.jobId);
+            return res.status(202).json({
+              jobId: activeDuplicate.jobId,
+              status: activeDuplicate.status === 'processing' ? 'processing' : 'queued',
+              queuePosition: queueMeta.queuePosition,
+              estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
+              notifyOnComplete: activeDuplicate.notifyOnComplete === true,
+              notifyInAppOnComplete: activeDuplicate.notifyInAppOnComplete === true,
+              message: 'Duplicate scan already in progress. Returning existing job.',
+              metadata: requestMetadata,
+              cached: false,
+              scanPhotoId: Number(activeDuplicate?.payload?.scanPhotoId || scanPhotoId || 0) || null,
+            });
+          }
+        }
+        throw enqueueErr;
+      }
+
+      processingStatus.setJob(jobId, {
+        jobId,
+        userId: req.user.id,
         shelfId: shelf.id,
-        itemId: item.id,
-        contentType: payload?.contentType || null,
-        contentLength: Number.isFinite(payload?.contentLength) ? payload.contentLength : (payload?.buffer?.length ?? null),
+        status: 'queued',
+        step: 'queued',
+        progress: 0,
+        message: 'Queued for processing',
+        aborted: false,
+        result: null,
       });
-    }
-    res.setHeader('Content-Type', payload.contentType || item.ownerPhotoContentType || 'image/jpeg');
-    if (Number.isFinite(payload.contentLength)) {
-      res.setHeader('Content-Length', String(payload.contentLength));
-    }
-    res.setHeader('Cache-Control', 'private, max-age=300');
-    return res.send(payload.buffer);
-  } catch (err) {
-    logger.error('getShelfItemOwnerPhotoImage error:', err);
-    return res.status(500).json({ error: 'Failed to load owner photo image' });
-  }
-}
 
-async function getShelfItemOwnerPhotoThumbnail(req, res) {
-  try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
-    }
+      const queueMeta = await getQueueMetadata(queuedJob.jobId);
+      let notifyOnComplete = queuedJob.notifyOnComplete === true;
+      let notifyInAppOnComplete = queuedJob.notifyInAppOnComplete === true;
+
+      // In-between option: position #2 gets in-app-only completion notification (no push).
+      if (!notifyInAppOnComplete && Number(queueMeta.queuePosition) === 2) {
+        const updated = await workflowQueueJobsQueries.setInAppOnlyCompletionNotice({
+          jobId: queuedJob.jobId,
+        });
+        if (updated) {
+          queuedJob = updated;
+          notifyOnComplete = updated.notifyOnComplete === true;
+          notifyInAppOnComplete = updated.notifyInAppOnComplete === true;
+        } else {
+          notifyOnComplete = false;
+          notifyInAppOnComplete = true;
+        }
+      }
 
-    const canAccess = await ensureShelfViewerNotBlocked(res, shelfId, req.user.id);
-    if (!canAccess) return;
+      if (!notifyOnComplete && !notifyInAppOnComplete) {
+        notifyOnComplete = await shouldEnableQueueNotification(queueMeta);
+        if (notifyOnComplete) {
+          const updated = await workflowQueueJobsQueries.updateNotifyOnComplete({
+            jobId: queuedJob.jobId,
+            notifyOnComplete: true,
+          });
+          if (updated) queuedJob = updated;
+        }
+      }
 
-    const shelf = await shelvesQueries.getForViewing(shelfId, req.user.id);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+      getWorkflowQueueService().tick().catch((err) => {
+        logger.warn('[Vision] failed to trigger queue tick after enqueue', {
+          message: err?.message || String(err),
+        });
+      });
 
-    const item = await userCollectionPhotosQueries.getByCollectionItem({
-      itemId,
-      shelfId: shelf.id,
-    });
-    if (!item?.ownerPhotoSource) {
-      return res.status(404).json({ error: 'Owner photo not found' });
+      return res.status(202).json({
+        jobId: queuedJob.jobId,
+        status: 'queued',
+        queuePosition: queueMeta.queuePosition,
+        estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
+        notifyOnComplete,
+        notifyInAppOnComplete,
+        message: 'Vision processing queued. Poll /vision/:jobId/status for updates.',
+        metadata: requestMetadata,
+        cached: false,
+        scanPhotoId,
+      });
     }
 
-    const isOwner = isSameUserId(item.userId, req.user.id);
-    if (!isOwner && !canViewerAccessOwnerPhoto(item, req.user.id)) {
-      return res.status(404).json({ error: 'Owner photo not found' });
-    }
+    const output = await runVisionPipelineJob({
+      jobId,
+      userId: req.user.id,
+      shelf,
+      imageBase64,
+      rawItems,
+      isCloudVision,
+      imageSha256,
+      scanPhotoId,
+      scanPhotoDimensions,
+      rescan,
+    });
 
-    if (shouldLogOwnerPhotoDebug(item.id)) {
-      logOwnerPhotoDebug('ownerPhoto.thumbnail.request', {
-        shelfId: shelf.id,
-        itemId: item.id,
-        viewerUserId: req.user?.id || null,
-        isOwner,
-        source: item.ownerPhotoSource || null,
-        thumbProvider: item.ownerPhotoThumbStorageProvider || null,
-        thumbHasKey: !!item.ownerPhotoThumbStorageKey,
-        thumbUpdatedAt: item.ownerPhotoThumbUpdatedAt || null,
-        thumbnailBox: sanitizeThumbnailBoxForLog(item.ownerPhotoThumbBox),
+    const items = await hydrateShelfItems(req.user.id, shelf.id);
+    return res.json({
+      jobId,
+      analysis: omitMarketValueSourcesDeep(output.analysis),
+      results: output.results,
+      addedItems: omitMarketValueSourcesDeep(output.addedItems),
+      needsReview: omitMarketValueSourcesDeep(output.needsReview),
+      addedCount: output.addedCount,
+      needsReviewCount: output.needsReviewCount,
+      existingCount: output.existingCount,
+      extractedCount: output.extractedCount,
+      summaryMessage: output.summaryMessage,
+      items,
+      visionStatus: { status: 'completed', provider: 'google-vision-gemini-pipeline' },
+      metadata: requestMetadata,
+      warnings: output.warnings,
+      cached: false,
+      scanPhotoId,
+      ...(rescan ? { rescanDiff: output.rescanDiff } : {}),
+    });
+  } catch (err) {
+    logger.error("Vision analysis failed", err);
+    if (err?.code === 'CATALOG_PROVIDERS_UNAVAILABLE' || err instanceof CatalogProvidersUnavailableError) {
+      return res.status(503).json({
+        error: err?.message || 'Catalog providers are temporarily unavailable. Please try this scan again later.',
+        code: 'CATALOG_PROVIDERS_UNAVAILABLE',
       });
     }
+    return res.status(502).json({ error: "Vision analysis failed" });
+  }
+}
 
-    const payload = await userCollectionPhotosQueries.loadOwnerPhotoThumbnailBuffer(item);
-    if (shouldLogOwnerPhotoDebug(item.id)) {
-      logOwnerPhotoDebug('ownerPhoto.thumbnail.response', {
-        shelfId: shelf.id,
-        itemId: item.id,
-        contentType: payload?.contentType || null,
-        contentLength: Number.isFinite(payload?.contentLength) ? payload.contentLength : (payload?.buffer?.length ?? null),
-      });
-    }
-    res.setHeader('Content-Type', payload.contentType || item.ownerPhotoThumbContentType || 'image/jpeg');
-    if (Number.isFinite(payload.contentLength)) {
-      res.setHeader('Content-Length', String(payload.contentLength));
-    }
-    res.setHeader('Cache-Control', 'private, max-age=300');
-    return res.send(payload.buffer);
-  } catch (err) {
-    logger.error('getShelfItemOwnerPhotoThumbnail error:', err);
-    return res.status(500).json({ error: 'Failed to load owner photo thumbnail' });
+function serializeVisionSession(session, photos = []) {
+  return {
+    id: session.id,
+    shelfId: session.shelfId,
+    status: session.status,
+    jobId: session.jobId || null,
+    photoCount: photos.length,
+    maxPhotos: VISION_SESSION_MAX_PHOTOS,
+    photos: photos.map((photo) => ({
+      scanPhotoId: photo.id,
+      position: photo.sessionPosition,
+      width: photo.width ?? null,
+      height: photo.height ?? null,
+      createdAt: photo.createdAt,
+    })),
+    result: omitMarketValueSourcesDeep(session.result || null),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    completedAt: session.completedAt || null,
+  };
+}
+
+async function loadVisionSessionForRequest(req, res) {
+  const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+  if (!shelf) {
+    res.status(404).json({ error: 'Shelf not found' });
+    return null;
+  }
+  const session = await visionScanSessionsQueries.getByIdForUser({
+    id: parseInt(req.params.sessionId, 10),
+    userId: req.user.id,
+    shelfId: shelf.id,
+  });
+  if (!session) {
+    res.status(404).json({ error: 'Scan session not found' });
+    return null;
   }
+  return { shelf, session };
 }
 
-async function updateShelfItemOwnerPhotoVisibility(req, res) {
+async function createVisionSession(req, res) {
   try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
-    }
-
-    const shelf = await loadShelfForUser(req.user.id, shelfId);
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
     if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
-
-    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
-    if (!item) {
-      return res.status(404).json({ error: 'Shelf item not found' });
+    if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
+      return res.status(400).json({ error: OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR });
     }
-
-    const visible = !!req.body?.visible;
-    const updated = await userCollectionPhotosQueries.setOwnerPhotoVisibility({
-      itemId: item.id,
-      userId: req.user.id,
-      shelfId: shelf.id,
-      visible,
-    });
-    if (!updated) {
-      return res.status(404).json({ error: 'Shelf item not found' });
+    if (!req.user.isPremium) {
+      return res.status(403).json({
+        error: 'Vision features are premium only.',
+        requiresPremium: true,
+      });
     }
 
-    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
-      itemId: item.id,
+    const session = await visionScanSessionsQueries.create({
+      userId: req.user.id,
       shelfId: shelf.id,
     });
-
-    return res.json({
-      ownerPhoto: formatOwnerPhotoResponse(hydrated || updated, shelf.id),
-    });
+    return res.status(201).json({ session: serializeVisionSession(session) });
   } catch (err) {
-    logger.error('updateShelfItemOwnerPhotoVisibility error:', err);
+    logger.error('createVisionSession error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function uploadShelfItemOwnerPhoto(req, res) {
+async function addVisionSessionPhoto(req, res) {
   try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    const loaded = await loadVisionSessionForRequest(req, res);
+    if (!loaded) return;
+    const { shelf, session } = loaded;
+    if (session.status !== 'open') {
+      return res.status(409).json({ error: 'Scan session is no longer accepting photos', code: 'vision_session_not_open' });
     }
 
-    const shelf = await loadShelfForUser(req.user.id, shelfId);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+    const { imageBase64 } = req.body ?? {};
+    if (!imageBase64) {
+      return res.status(400).json({ error: 'imageBase64 is required' });
+    }
 
-    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
-    if (!item) {
-      return res.status(404).json({ error: 'Shelf item not found' });
+    const photoCount = await visionScanSessionsQueries.countPhotos({ sessionId: session.id, userId: req.user.id });
+    if (photoCount >= VISION_SESSION_MAX_PHOTOS) {
+      return res.status(400).json({
+        error: `A scan session can include at most ${VISION_SESSION_MAX_PHOTOS} photos`,
+        code: 'vision_session_photo_limit',
+        maxPhotos: VISION_SESSION_MAX_PHOTOS,
+      });
     }
 
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+    let scanPhoto = null;
+    try {
+      const buffer = Buffer.from(decodeImageBase64Payload(imageBase64), 'base64');
+      scanPhoto = await visionScanPhotosQueries.upsertFromBuffer({
+        userId: req.user.id,
+        shelfId: shelf.id,
+        imageSha256: computeImageSha256(imageBase64),
+        buffer,
+      });
+    } catch (scanPhotoErr) {
+      logger.error('[Vision] Failed to persist session scan photo:', scanPhotoErr?.message || scanPhotoErr);
+      const message = String(scanPhotoErr?.message || '');
+      const statusCode = /image|base64|unsupported|dimensions|payload/i.test(message) ? 400 : 500;
+      return res.status(statusCode).json({ error: scanPhotoErr?.message || 'Failed to persist scan photo' });
     }
 
-    const updated = await userCollectionPhotosQueries.uploadOwnerPhotoForItem({
-      itemId: item.id,
+    const attached = await visionScanSessionsQueries.attachPhoto({
+      sessionId: session.id,
+      scanPhotoId: scanPhoto.id,
       userId: req.user.id,
-      shelfId: shelf.id,
-      buffer: req.file.buffer,
-      contentType: req.file.mimetype || 'image/jpeg',
-    });
-
-    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
-      itemId: item.id,
-      shelfId: shelf.id,
     });
-
-    return res.json({
-      ownerPhoto: formatOwnerPhotoResponse(hydrated || updated, shelf.id),
+    const photos = await visionScanSessionsQueries.listPhotos({ sessionId: session.id, userId: req.user.id });
+    return res.status(201).json({
+      scanPhotoId: scanPhoto.id,
+      position: attached?.sessionPosition ?? null,
+      session: serializeVisionSession(session, photos),
     });
   } catch (err) {
-    logger.error('uploadShelfItemOwnerPhoto error:', err);
-    const statusCode = /image/i.test(String(err?.message || '')) ? 400 : 500;
-    return res.status(statusCode).json({ error: err?.message || 'Failed to upload owner photo' });
+    logger.error('addVisionSessionPhoto error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function updateShelfItemOwnerPhotoThumbnail(req, res) {
+async function processVisionSession(req, res) {
   try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
-    }
-    if (!req.body || typeof req.body !== 'object' || !Object.prototype.hasOwnProperty.call(req.body, 'box')) {
-      return res.status(400).json({ error: 'box is required' });
+    if (!req.user.isPremium) {
+      return res.status(403).json({
+        error: 'Vision features are premium only.',
+        requiresPremium: true,
+      });
     }
-
-    const shelf = await loadShelfForUser(req.user.id, shelfId);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
-
-    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
-    if (!item) {
-      return res.status(404).json({ error: 'Shelf item not found' });
+    const loaded = await loadVisionSessionForRequest(req, res);
+    if (!loaded) return;
+    const { shelf, session } = loaded;
+    if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
+      return res.status(400).json({ error: OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR });
     }
-
-    await userCollectionPhotosQueries.upsertOwnerPhotoThumbnailForItem({
-      itemId: item.id,
-      userId: req.user.id,
-      shelfId: shelf.id,
-      box: req.body.box,
-    });
-
-    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
-      itemId: item.id,
-      shelfId: shelf.id,
-    });
-
-    if (shouldLogOwnerPhotoDebug(item.id)) {
-      logOwnerPhotoDebug('ownerPhoto.thumbnail.update', {
-        shelfId: shelf.id,
-        itemId: item.id,
-        inputBox: sanitizeThumbnailBoxForLog(req.body?.box),
-        persistedBox: sanitizeThumbnailBoxForLog(hydrated?.ownerPhotoThumbBox || null),
-        thumbProvider: hydrated?.ownerPhotoThumbStorageProvider || null,
-        thumbHasKey: !!hydrated?.ownerPhotoThumbStorageKey,
-        thumbUpdatedAt: hydrated?.ownerPhotoThumbUpdatedAt || null,
+    if (session.status === 'processing' && session.jobId) {
+      const queueMeta = await getQueueMetadata(session.jobId);
+      return res.status(202).json({
+        jobId: session.jobId,
+        sessionId: session.id,
+        status: 'processing',
+        queuePosition: queueMeta.queuePosition,
+        estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
+        message: 'Scan session already in progress. Returning existing job.',
       });
     }
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'Scan session has already been processed', code: 'vision_session_completed' });
+    }
 
-    return res.json({
-      ownerPhoto: formatOwnerPhotoResponse(hydrated || item, shelf.id),
-    });
-  } catch (err) {
-    logger.error('updateShelfItemOwnerPhotoThumbnail error:', err);
-    const message = String(err?.message || '');
-    if (/thumbnail box|box|owner photo is not set/i.test(message)) {
-      return res.status(400).json({ error: err?.message || 'Invalid thumbnail request' });
-    }
-    return res.status(500).json({ error: 'Failed to update owner photo thumbnail' });
-  }
-}
-
-async function deleteShelfItemOwnerPhoto(req, res) {
-  try {
-    const shelfId = parseInt(req.params.shelfId, 10);
-    const itemId = parseInt(req.params.itemId, 10);
-    if (isNaN(shelfId) || isNaN(itemId)) {
-      return res.status(400).json({ error: 'Invalid shelf or item id' });
+    const photoCount = await visionScanSessionsQueries.countPhotos({ sessionId: session.id, userId: req.user.id });
+    if (photoCount === 0) {
+      return res.status(400).json({ error: 'Add at least one photo before processing the scan session' });
     }
 
-    const shelf = await loadShelfForUser(req.user.id, shelfId);
-    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+    const quotaExceeded = await getVisionQuotaExceededPayload(req.user);
+    if (quotaExceeded) return res.status(429).json(quotaExceeded);
+    const budgetExhausted = await getAiBudgetExhaustedPayload();
+    if (budgetExhausted) return res.status(503).json(budgetExhausted);
 
-    const item = await shelvesQueries.getItemById(itemId, req.user.id, shelf.id);
-    if (!item) {
-      return res.status(404).json({ error: 'Shelf item not found' });
+    const queueSettings = await getWorkflowQueueSettings();
+    const queuedCountForUser = await workflowQueueJobsQueries.countQueuedForUser({
+      workflowType: WORKFLOW_TYPE_VISION_SESSION,
+      userId: req.user.id,
+    });
+    if (queuedCountForUser >= queueSettings.workflowQueueMaxQueuedPerUser) {
+      return res.status(429).json({
+        error: 'Too many queued workflows for this user',
+        code: 'workflow_queue_user_cap_exceeded',
+        maxQueuedPerUser: queueSettings.workflowQueueMaxQueuedPerUser,
+      });
     }
 
-    const updated = await userCollectionPhotosQueries.clearOwnerPhotoForItem({
-      itemId: item.id,
+    const jobId = processingStatus.generateJobId(req.user.id, shelf.id);
+    const claimed = await visionScanSessionsQueries.markProcessing({
+      id: session.id,
       userId: req.user.id,
-      shelfId: shelf.id,
+      jobId,
     });
-    if (!updated) {
-      return res.status(404).json({ error: 'Shelf item not found' });
+    if (!claimed) {
+      return res.status(409).json({ error: 'Scan session is already being processed', code: 'vision_session_not_open' });
     }
 
-    const hydrated = await userCollectionPhotosQueries.getByCollectionItem({
-      itemId: item.id,
-      shelfId: shelf.id,
-    });
+    // Multi-photo scans take long enough that the single combined result is always notified.
+    let queuedJob = null;
+    try {
+      queuedJob = await workflowQueueJobsQueries.enqueueJob({
+        jobId,
+        workflowType: WORKFLOW_TYPE_VISION_SESSION,
+        userId: req.user.id,
+        shelfId: shelf.id,
+        status: 'queued',
+        priority: 100,
+        maxAttempts: queueSettings.workflowQueueRetryMaxAttempts,
+        payload: {
+          userId: req.user.id,
+          shelfId: shelf.id,
+          sessionId: session.id,
+          // Direction the user panned between photos; decides which edges can overlap.
+          panAxis: req.body?.panAxis === 'vertical' ? 'vertical' : 'horizontal',
+          mode: isRescanMode(req.body?.mode) ? VISION_SCAN_MODE_RESCAN : null,
+        },
+        dedupeKey: `vision_session:${session.id}`,
+        notifyOnComplete: true,
+        notifyInAppOnComplete: false,
+      });
+    } catch (enqueueErr) {
+      await visionScanSessionsQueries.reopen({ id: session.id, userId: req.user.id, jobId });
+      throw enqueueErr;
+    }
 
-    return res.json({
-      ownerPhoto: formatOwnerPhotoResponse(hydrated || updated, shelf.id),
+    processingStatus.setJob(jobId, {
+      jobId,
+      userId: req.user.id,
+      shelfId: shelf.id,
+      status: 'queued',
+      step: 'queued',
+      progress: 0,
+      message: 'Queued for processing',
+      aborted: false,
+      result: null,
     });
-  } catch (err) {
-    logger.error('deleteShelfItemOwnerPhoto error:', err);
-    return res.status(500).json({ error: 'Failed to delete owner photo' });
-  }
-}
-
-async function warmVisionScanCrops({ userId, shelfId, shelfType = null, scanPhotoId, jobId = null }) {
-  return visionCropService.warmScanCrops({
-    userId,
-    shelfId,
-    shelfType,
-    scanPhotoId,
-    jobId,
-  });
-}
 
-function queueVisionCropWarmup({ userId, shelfId, shelfType = null, scanPhotoId, jobId = null }) {
-  if (!VISION_CROP_WARMUP_ENABLED || !scanPhotoId) return;
-  setImmediate(() => {
-    warmVisionScanCrops({ userId, shelfId, shelfType, scanPhotoId, jobId }).catch((err) => {
-      logger.warn('[Vision] Unexpected crop warmup queue error', {
-        shelfId,
-        scanPhotoId,
-        jobId,
+    const queueMeta = await getQueueMetadata(queuedJob.jobId);
+    getWorkflowQueueService().tick().catch((err) => {
+      logger.warn('[Vision] failed to trigger queue tick after session enqueue', {
         message: err?.message || String(err),
       });
     });
-  });
-}
-
-function buildPipelineOptions({ rawItems, scanPhotoId, scanPhotoDimensions, abortCheck = null, catalogContext = null }) {
-  const options = {};
-  if (Array.isArray(rawItems) && rawItems.length > 0) {
-    options.rawItems = rawItems;
-    options.ocrProvider = 'mlkit';
-  }
-  if (scanPhotoId) {
-    options.scanPhotoId = scanPhotoId;
-    if (scanPhotoDimensions) {
-      options.scanPhotoDimensions = scanPhotoDimensions;
-    }
-  }
-  if (typeof abortCheck === 'function') {
-    options.abortCheck = abortCheck;
-  }
-  if (catalogContext && typeof catalogContext === 'object') {
-    options.catalogContext = catalogContext;
-  }
-  return Object.keys(options).length > 0 ? options : null;
-}
 
-async function cleanupVisionArtifactsForRetry({ userId, shelfId, imageSha256, jobId = null }) {
-  if (!userId || !shelfId || !imageSha256) return;
-
-  try {
-    await visionResultCacheQueries.deleteByHash({
-      userId,
-      shelfId,
-      imageSha256,
+    return res.status(202).json({
+      jobId: queuedJob.jobId,
+      sessionId: session.id,
+      status: 'queued',
+      photoCount,
+      queuePosition: queueMeta.queuePosition,
+      estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
+      notifyOnComplete: true,
+      notifyInAppOnComplete: false,
+      message: 'Scan session queued. Poll /vision/:jobId/status for updates.',
     });
   } catch (err) {
-    logger.warn('[Vision] Failed to delete vision cache hash during retry cleanup', {
-      jobId,
-      shelfId,
-      hashPrefix: String(imageSha256).slice(0, 12),
-      message: err?.message || String(err),
-    });
+    logger.error('processVisionSession error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
+}
 
+async function getVisionSession(req, res) {
   try {
-    await visionScanPhotosQueries.deleteByHash({
-      userId,
-      shelfId,
-      imageSha256,
-    });
+    const loaded = await loadVisionSessionForRequest(req, res);
+    if (!loaded) return;
+    let { session } = loaded;
+
+    // A job aborted, failed or dead-lettered while still queued never reaches the handler.
+    if (session.status === 'processing' && session.jobId) {
+      const queueJob = await workflowQueueJobsQueries.getByJobIdForUser({
+        jobId: session.jobId,
+        userId: req.user.id,
+      });
+      if (!queueJob || (TERMINAL_WORKFLOW_STATUSES.has(queueJob.status) && queueJob.status !== 'completed')) {
+        const status = queueJob?.status === 'aborted' ? 'aborted' : 'failed';
+        session = await visionScanSessionsQueries.markFinished({
+          id: session.id,
+          status,
+          result: queueJob?.error ? { error: queueJob.error.message || null, code: queueJob.error.code || null } : null,
+        }) || session;
+      }
+    }
+
+    const photos = await visionScanSessionsQueries.listPhotos({ sessionId: session.id, userId: req.user.id });
+    return res.json({ session: serializeVisionSession(session, photos) });
   } catch (err) {
-    logger.warn('[Vision] Failed to delete scan photo hash during retry cleanup', {
-      jobId,
-      shelfId,
-      hashPrefix: String(imageSha256).slice(0, 12),
-      message: err?.message || String(err),
-    });
+    logger.error('getVisionSession error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function runVisionPipelineJob({
-  jobId,
-  userId,
-  shelf,
-  imageBase64,
-  rawItems,
-  isCloudVision,
-  imageSha256 = null,
-  scanPhotoId = null,
-  scanPhotoDimensions = null,
-  abortCheck = null,
-}) {
-  const hooks = getVisionPipelineHooks();
-  const pipeline = new VisionPipelineService({ hooks });
-  const catalogContext = {
-    jobId: jobId || null,
-    userId,
-    shelfId: shelf.id,
-    shelfType: shelf.type,
-    imageHashPrefix: imageSha256 ? String(imageSha256).slice(0, 12) : null,
-  };
-  const resolvedPipelineOptions = buildPipelineOptions({
-    rawItems,
-    scanPhotoId,
-    scanPhotoDimensions,
-    abortCheck,
-    catalogContext,
-  });
+async function getVisionScanPhoto(req, res) {
   try {
-    const result = await pipeline.processImage(
-      imageBase64,
-      shelf,
-      userId,
-      jobId,
-      resolvedPipelineOptions,
-    );
-    const counts = buildVisionCounts(result);
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
 
-    if (isCloudVision) {
-      try {
-        const tokenUsage = result.tokenUsage || { totalTokens: 0, candidatesTokens: 0 };
-        await visionQuotaQueries.incrementTokenUsage(
-          userId,
-          tokenUsage.totalTokens,
-          tokenUsage.candidatesTokens,
-        );
-        if (result.tokenCalls && jobId) {
-          visionQuotaQueries.logTokenCalls(userId, jobId, result.tokenCalls)
-            .catch(err => logger.warn('[Vision] Failed to log token calls:', err.message));
-        }
-      } catch (quotaErr) {
-        logger.warn('[Vision] Failed to increment token quota:', quotaErr.message);
-      }
+    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
+    if (isNaN(scanPhotoId)) {
+      return res.status(400).json({ error: 'Invalid scan photo id' });
     }
 
-    if (isCloudVision && imageSha256) {
-      try {
-        await visionResultCacheQueries.set({
-          userId,
-          shelfId: shelf.id,
-          imageSha256,
-          resultJson: {
-            analysis: result.analysis,
-            results: result.results,
-            addedItems: result.addedItems,
-            needsReview: result.needsReview,
-            warnings: result.warnings,
-          },
-        });
-      } catch (cacheWriteErr) {
-        if (cacheWriteErr?.code !== '42P01') {
-          logger.warn('[Vision] Cache write failed:', cacheWriteErr?.message || cacheWriteErr);
-        }
-      }
+    const scanPhoto = await visionScanPhotosQueries.getByIdForUser({
+      id: scanPhotoId,
+      userId: req.user.id,
+      shelfId: shelf.id,
+    });
+    if (!scanPhoto) {
+      return res.status(404).json({ error: 'Scan photo not found' });
     }
 
-    if (VISION_CROP_WARMUP_ENABLED && scanPhotoId) {
-      processingStatus.updateJob(jobId, {
-        step: 'generating-photos',
-        progress: 95,
-        message: 'Generating item photos...',
-        status: 'processing',
-      });
-      await warmVisionScanCrops({
-        userId,
-        shelfId: shelf.id,
-        shelfType: shelf.type,
-        scanPhotoId,
-        jobId,
-      });
-    }
+    const regionCount = await visionItemRegionsQueries.countForScan({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId: scanPhoto.id,
+    });
 
-    const output = {
-      analysis: result.analysis,
-      results: result.results,
-      addedItems: result.addedItems,
-      needsReview: result.needsReview,
-      ...counts,
-      warnings: result.warnings,
-      scanPhotoId,
-    };
-    processingStatus.completeJob(jobId, output);
-    return output;
+    res.json({
+      scanPhoto: {
+        id: scanPhoto.id,
+        shelfId: scanPhoto.shelfId,
+        contentType: scanPhoto.contentType,
+        sizeBytes: scanPhoto.sizeBytes,
+        width: scanPhoto.width,
+        height: scanPhoto.height,
+        createdAt: scanPhoto.createdAt,
+        regionCount,
+        imageUrl: `/api/shelves/${shelf.id}/vision/scans/${scanPhoto.id}/image`,
+      },
+    });
   } catch (err) {
-    if (isCloudVision && imageSha256 && err?.code === 'CATALOG_PROVIDERS_UNAVAILABLE') {
-      logger.warn('[Vision] All catalog providers unavailable; purging hash artifacts for retry', {
-        jobId,
-        shelfId: shelf.id,
-        hashPrefix: String(imageSha256).slice(0, 12),
-      });
-      await cleanupVisionArtifactsForRetry({
-        userId,
-        shelfId: shelf.id,
-        imageSha256,
-        jobId,
-      });
+    logger.error('getVisionScanPhoto error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function getVisionScanPhotoImage(req, res) {
+  try {
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+
+    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
+    if (isNaN(scanPhotoId)) {
+      return res.status(400).json({ error: 'Invalid scan photo id' });
     }
-    throw err;
+
+    const scanPhoto = await visionScanPhotosQueries.getByIdForUser({
+      id: scanPhotoId,
+      userId: req.user.id,
+      shelfId: shelf.id,
+    });
+    if (!scanPhoto) {
+      return res.status(404).json({ error: 'Scan photo not found' });
+    }
+
+    const image = await visionScanPhotosQueries.loadImageBuffer(scanPhoto);
+    res.setHeader('Content-Type', image.contentType || 'image/jpeg');
+    if (Number.isFinite(image.contentLength)) {
+      res.setHeader('Content-Length', String(image.contentLength));
+    }
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(image.buffer);
+  } catch (err) {
+    logger.error('getVisionScanPhotoImage error:', err);
+    res.status(500).json({ error: 'Failed to load scan photo image' });
   }
 }
 
-async function processQueuedVisionWorkflowJob(job, { shouldAbort }) {
-  const payload = job?.payload && typeof job.payload === 'object' ? job.payload : {};
-  const shelfId = Number(payload.shelfId || job.shelfId);
-  const userId = payload.userId || job.userId;
-  const shelf = await loadShelfForUser(userId, shelfId);
-  if (!shelf) {
-    const err = new Error('Shelf not found');
-    err.status = 404;
-    throw err;
-  }
-  if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
-    throw new Error(OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR);
-  }
+async function listVisionScanRegions(req, res) {
+  try {
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
 
-  processingStatus.setJob(job.jobId, {
-    jobId: job.jobId,
-    userId,
-    shelfId: shelf.id,
-    status: 'processing',
-    step: 'initializing',
-    progress: 1,
-    message: 'Processing queued vision job...',
-    aborted: false,
-    result: null,
-  });
+    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
+    if (isNaN(scanPhotoId)) {
+      return res.status(400).json({ error: 'Invalid scan photo id' });
+    }
 
-  return runVisionPipelineJob({
-    jobId: job.jobId,
-    userId,
-    shelf,
-    imageBase64: payload.imageBase64 || null,
-    rawItems: Array.isArray(payload.rawItems) ? payload.rawItems : null,
-    isCloudVision: payload.isCloudVision !== false,
-    imageSha256: payload.imageSha256 || null,
-    scanPhotoId: Number(payload.scanPhotoId) || null,
-    scanPhotoDimensions: payload.scanPhotoDimensions || null,
-    abortCheck: async () => {
-      if (typeof shouldAbort === 'function') {
-        return (await shouldAbort()) === true;
-      }
-      return false;
-    },
-  });
-}
+    const result = await visionCropService.listRegionsWithCropStatus({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId,
+    });
+    if (!result.scanPhoto) {
+      return res.status(404).json({ error: 'Scan photo not found' });
+    }
 
-let queueHandlerRegistered = false;
-function ensureQueueHandlerRegistered() {
-  if (queueHandlerRegistered) return;
-  getWorkflowQueueService().registerHandler(WORKFLOW_TYPE_VISION, processQueuedVisionWorkflowJob);
-  queueHandlerRegistered = true;
+    res.json({
+      scanPhotoId: result.scanPhotoId,
+      regions: result.regions,
+    });
+  } catch (err) {
+    logger.error('listVisionScanRegions error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
 }
-ensureQueueHandlerRegistered();
 
-// Vision processing (using durable queue + async job tracking)
-async function processShelfVision(req, res) {
+async function getVisionScanRegionCrop(req, res) {
   try {
     const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
-    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
-    if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
-      return res.status(400).json({ error: OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR });
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
+    if (isNaN(scanPhotoId)) {
+      return res.status(400).json({ error: 'Invalid scan photo id' });
+    }
+    const regionId = parseInt(req.params.regionId, 10);
+    if (isNaN(regionId)) {
+      return res.status(400).json({ error: 'Invalid region id' });
     }
 
-    const { imageBase64, rawItems, metadata: requestMetadata = {}, async: asyncMode = true } = req.body ?? {};
-    if (!imageBase64 && (!Array.isArray(rawItems) || rawItems.length === 0)) {
-      return res.status(400).json({ error: "imageBase64 or rawItems are required" });
+    const result = await visionCropService.getOrCreateRegionCrop({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      shelfType: shelf.type,
+      scanPhotoId,
+      regionId,
+    });
+    if (!result.scanPhoto) {
+      return res.status(404).json({ error: 'Scan photo not found' });
     }
+    if (!result.region) {
+      return res.status(404).json({ error: 'Region not found' });
+    }
+    const { payload } = result;
 
-    if (!req.user.isPremium) {
-      return res.status(403).json({
-        error: "Vision features are premium only.",
-        requiresPremium: true
-      });
+    res.setHeader('Content-Type', payload.contentType || 'image/jpeg');
+    if (Number.isFinite(payload.contentLength)) {
+      res.setHeader('Content-Length', String(payload.contentLength));
+    }
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(payload.buffer);
+  } catch (err) {
+    logger.error('getVisionScanRegionCrop error:', err);
+    const message = String(err?.message || '');
+    if (/crop|box_2d|dimensions/i.test(message)) {
+      return res.status(422).json({ error: 'Unable to generate crop for this region' });
     }
+    return res.status(500).json({ error: 'Failed to load region crop' });
+  }
+}
 
-    const isCloudVision = !rawItems || rawItems.length === 0;
-    let imageSha256 = null;
-    let cachedVision = null;
-    let scanPhotoId = null;
-    let scanPhotoDimensions = null;
+function parseRegionBox2d(value) {
+  const box2d = normalizeNormalizedBox2d(value);
+  if (!box2d) return null;
+  const [yMin, xMin, yMax, xMax] = box2d;
+  if (yMax - yMin < VISION_REGION_MIN_SIDE || xMax - xMin < VISION_REGION_MIN_SIDE) return null;
+  return box2d;
+}
 
-    if (isCloudVision && imageBase64) {
-      imageSha256 = computeImageSha256(imageBase64);
-      try {
-        const payload = decodeImageBase64Payload(imageBase64);
-        const buffer = Buffer.from(payload, 'base64');
-        const scanPhoto = await visionScanPhotosQueries.upsertFromBuffer({
-          userId: req.user.id,
-          shelfId: shelf.id,
-          imageSha256,
-          buffer,
-        });
-        scanPhotoId = scanPhoto?.id || null;
-        if (Number.isFinite(Number(scanPhoto?.width)) && Number.isFinite(Number(scanPhoto?.height))) {
-          scanPhotoDimensions = {
-            width: Number(scanPhoto.width),
-            height: Number(scanPhoto.height),
-          };
-        }
-      } catch (scanPhotoErr) {
-        logger.error('[Vision] Failed to persist scan photo:', scanPhotoErr?.message || scanPhotoErr);
-        const message = String(scanPhotoErr?.message || '');
-        const statusCode = /image|base64|unsupported|dimensions|payload/i.test(message) ? 400 : 500;
-        return res.status(statusCode).json({ error: scanPhotoErr?.message || 'Failed to persist scan photo' });
-      }
+function parseRegionIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = Array.from(new Set(value.map((entry) => Number(entry))));
+  if (!ids.length || !ids.every((id) => Number.isInteger(id) && id > 0)) return null;
+  return ids;
+}
 
-      try {
-        cachedVision = await visionResultCacheQueries.getValid({
-          userId: req.user.id,
-          shelfId: shelf.id,
-          imageSha256,
-        });
-      } catch (cacheReadErr) {
-        if (cacheReadErr?.code !== '42P01') {
-          logger.warn('[Vision] Cache read failed:', cacheReadErr?.message || cacheReadErr);
-        }
-      }
-      logger.info('[Vision] Image cache lookup', {
-        shelfId: shelf.id,
-        hashPrefix: imageSha256.slice(0, 12),
-        cacheHit: !!cachedVision,
-      });
+// Equal strips along one axis: 'x' cuts side-by-side spines, 'y' stacked items.
+function splitRegionBox2d(box2d, parts, axis = 'x') {
+  const [yMin, xMin, yMax, xMax] = box2d;
+  const boxes = [];
+  for (let i = 0; i < parts; i += 1) {
+    if (axis === 'y') {
+      const step = (yMax - yMin) / parts;
+      boxes.push([Math.round(yMin + step * i), xMin, Math.round(yMin + step * (i + 1)), xMax]);
+    } else {
+      const step = (xMax - xMin) / parts;
+      boxes.push([yMin, Math.round(xMin + step * i), yMax, Math.round(xMin + step * (i + 1))]);
     }
+  }
+  return boxes;
+}
 
-    const jobId = processingStatus.generateJobId(req.user.id, shelf.id);
-    processingStatus.createJob(jobId, req.user.id, shelf.id);
+function mergeRegionBox2d(boxes) {
+  return [
+    Math.min(...boxes.map((box) => box[0])),
+    Math.min(...boxes.map((box) => box[1])),
+    Math.max(...boxes.map((box) => box[2])),
+    Math.max(...boxes.map((box) => box[3])),
+  ];
+}
 
-    if (cachedVision?.resultJson) {
-      const cachedResult = cachedVision.resultJson;
-      const counts = buildVisionCounts(cachedResult, { cached: true });
-      processingStatus.completeJob(jobId, {
-        analysis: cachedResult.analysis,
-        results: cachedResult.results,
-        ...counts,
-        warnings: cachedResult.warnings,
-        cached: true,
-        scanPhotoId,
-      });
+async function loadVisionScanForEdit(req, res) {
+  const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+  if (!shelf) {
+    res.status(404).json({ error: 'Shelf not found' });
+    return null;
+  }
+  if (!req.user.isPremium) {
+    res.status(403).json({
+      error: 'Vision features are premium only.',
+      requiresPremium: true,
+    });
+    return null;
+  }
+  const scanPhoto = await visionScanPhotosQueries.getByIdForUser({
+    id: parseInt(req.params.scanPhotoId, 10),
+    userId: req.user.id,
+    shelfId: shelf.id,
+  });
+  if (!scanPhoto) {
+    res.status(404).json({ error: 'Scan photo not found' });
+    return null;
+  }
+  return { shelf, scanPhoto };
+}
 
-      if (asyncMode) {
-        return res.status(202).json({
-          jobId,
-          status: 'completed',
-          queuePosition: 0,
-          estimatedWaitSeconds: 0,
-          notifyOnComplete: false,
-          message: 'Same photo detected. Using previous scan result.',
-          metadata: requestMetadata,
-          cached: true,
-          scanPhotoId,
-        });
-      }
+// Split/merge drop the old regions; report the shelf items they pointed at
+// so the client can offer to remove a wrongly added item.
+function collectDetachedItemIds(regions) {
+  return Array.from(new Set(regions.map((region) => region.collectionItemId).filter(Boolean)));
+}
 
-      const items = await hydrateShelfItems(req.user.id, shelf.id);
-      return res.json({
-        jobId,
-        analysis: omitMarketValueSourcesDeep(cachedResult.analysis),
-        results: cachedResult.results,
-        addedItems: omitMarketValueSourcesDeep(cachedResult.addedItems),
-        needsReview: omitMarketValueSourcesDeep(cachedResult.needsReview),
-        ...counts,
-        items,
-        visionStatus: { status: 'completed', provider: 'google-vision-gemini-pipeline' },
-        metadata: requestMetadata,
-        warnings: cachedResult.warnings,
-        cached: true,
-        scanPhotoId,
-      });
+async function createVisionScanRegion(req, res) {
+  try {
+    const context = await loadVisionScanForEdit(req, res);
+    if (!context) return;
+    const { shelf, scanPhoto } = context;
+
+    const { box2d: rawBox2d, title, primaryCreator } = req.body ?? {};
+    const box2d = parseRegionBox2d(rawBox2d);
+    if (!box2d) {
+      return res.status(400).json({ error: 'box2d must be [yMin, xMin, yMax, xMax] in 0-1000 coordinates' });
     }
 
-    if (isCloudVision && !req.user.unlimitedVisionTokens) {
-      const quota = await visionQuotaQueries.getQuota(req.user.id);
-      if (quota.tokensRemaining <= 0 || quota.outputTokensUsed >= quota.outputTokenLimit) {
-        return res.status(429).json({
-          error: 'Monthly vision token quota exceeded',
-          quotaExceeded: true,
-          quota: {
-            tokensUsed: quota.tokensUsed,
-            tokensRemaining: 0,
-            tokenLimit: quota.tokenLimit,
-            outputTokensUsed: quota.outputTokensUsed,
-            outputTokenLimit: quota.outputTokenLimit,
-            percentUsed: 100,
-            daysRemaining: quota.daysRemaining,
-            scansUsed: quota.scansUsed,
-            monthlyLimit: quota.monthlyLimit,
-          },
-        });
+    const region = await visionItemRegionsQueries.insertRegion({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId: scanPhoto.id,
+      box2d,
+      title,
+      primaryCreator,
+      // Text the user typed is as good as a confident OCR read.
+      confidence: normalizeString(title) ? 1 : null,
+    });
+    return res.status(201).json({ region });
+  } catch (err) {
+    logger.error('createVisionScanRegion error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function updateVisionScanRegion(req, res) {
+  try {
+    const context = await loadVisionScanForEdit(req, res);
+    if (!context) return;
+    const { shelf, scanPhoto } = context;
+
+    const body = req.body ?? {};
+    const updates = {};
+    if (body.box2d !== undefined) {
+      updates.box2d = parseRegionBox2d(body.box2d);
+      if (!updates.box2d) {
+        return res.status(400).json({ error: 'box2d must be [yMin, xMin, yMax, xMax] in 0-1000 coordinates' });
       }
     }
+    if (body.title !== undefined) {
+      updates.title = body.title;
+      updates.confidence = normalizeString(body.title) ? 1 : null;
+    } else if (updates.box2d) {
+      // A redrawn box may hold a different item; re-identify reads the new crop.
+      updates.title = null;
+      updates.primaryCreator = null;
+      updates.confidence = null;
+    }
+    if (body.primaryCreator !== undefined) {
+      updates.primaryCreator = body.primaryCreator;
+    }
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'box2d, title or primaryCreator is required' });
+    }
 
-    if (asyncMode) {
-      const queueSettings = await getWorkflowQueueSettings();
-      const queuedCountForUser = await workflowQueueJobsQueries.countQueuedForUser({
-        workflowType: WORKFLOW_TYPE_VISION,
-        userId: req.user.id,
-      });
-      if (queuedCountForUser >= queueSettings.workflowQueueMaxQueuedPerUser) {
-        return res.status(429).json({
-          error: 'Too many queued workflows for this user',
-          code: 'workflow_queue_user_cap_exceeded',
-          maxQueuedPerUser: queueSettings.workflowQueueMaxQueuedPerUser,
-        });
-      }
+    const region = await visionItemRegionsQueries.updateRegion({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId: scanPhoto.id,
+      regionId: parseInt(req.params.regionId, 10),
+      ...updates,
+    });
+    if (!region) return res.status(404).json({ error: 'Region not found' });
+    return res.json({ region });
+  } catch (err) {
+    logger.error('updateVisionScanRegion error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
 
-      const dedupeKey = (isCloudVision && imageSha256)
-        ? buildVisionQueueDedupeKey({
-          userId: req.user.id,
-          shelfId: shelf.id,
-          imageSha256,
-        })
-        : null;
+async function splitVisionScanRegion(req, res) {
+  try {
+    const context = await loadVisionScanForEdit(req, res);
+    if (!context) return;
+    const { shelf, scanPhoto } = context;
 
-      if (dedupeKey) {
-        const activeDuplicate = await workflowQueueJobsQueries.findActiveByDedupeKey({
-          workflowType: WORKFLOW_TYPE_VISION,
-          dedupeKey,
-        });
-        if (activeDuplicate) {
-          const queueMeta = await getQueueMetadata(activeDuplicate.jobId);
-          return res.status(202).json({
-            jobId: activeDuplicate.jobId,
-            status: activeDuplicate.status === 'processing' ? 'processing' : 'queued',
-            queuePosition: queueMeta.queuePosition,
-            estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
-            notifyOnComplete: activeDuplicate.notifyOnComplete === true,
-            notifyInAppOnComplete: activeDuplicate.notifyInAppOnComplete === true,
-            message: 'Duplicate scan already in progress. Returning existing job.',
-            metadata: requestMetadata,
-            cached: false,
-            scanPhotoId: Number(activeDuplicate?.payload?.scanPhotoId || scanPhotoId || 0) || null,
-          });
-        }
+    const region = await visionItemRegionsQueries.getByIdForScan({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId: scanPhoto.id,
+      regionId: parseInt(req.params.regionId, 10),
+    });
+    if (!region) return res.status(404).json({ error: 'Region not found' });
+
+    const { boxes: rawBoxes, parts: rawParts, axis = 'x' } = req.body ?? {};
+    const splitCountError = `A split needs between 2 and ${VISION_REGION_EDIT_MAX_REGIONS} boxes`;
+    let boxes;
+    if (Array.isArray(rawBoxes)) {
+      if (rawBoxes.length < 2 || rawBoxes.length > VISION_REGION_EDIT_MAX_REGIONS) {
+        return res.status(400).json({ error: splitCountError });
+      }
+      boxes = rawBoxes.map(parseRegionBox2d);
+      if (boxes.some((box) => !box)) {
+        return res.status(400).json({ error: 'Each box must be [yMin, xMin, yMax, xMax] in 0-1000 coordinates' });
       }
+    } else {
+      const parts = Number(rawParts ?? 2);
+      if (!Number.isInteger(parts) || (axis !== 'x' && axis !== 'y')) {
+        return res.status(400).json({ error: 'parts must be an integer and axis must be x or y' });
+      }
+      // Bound parts before building any boxes; it comes straight from the body.
+      if (parts < 2 || parts > VISION_REGION_EDIT_MAX_REGIONS) {
+        return res.status(400).json({ error: splitCountError });
+      }
+      const regionBox = normalizeNormalizedBox2d(region.box2d);
+      if (!regionBox) {
+        return res.status(400).json({ error: 'Region has no box to split; send boxes instead' });
+      }
+      boxes = splitRegionBox2d(regionBox, parts, axis).map(parseRegionBox2d);
+      if (boxes.some((box) => !box)) {
+        return res.status(400).json({ error: 'Region is too small to split that many times' });
+      }
+    }
 
-      const payload = {
+    const regions = await transaction(async (client) => {
+      await visionItemRegionsQueries.deleteRegions({
         userId: req.user.id,
         shelfId: shelf.id,
-        imageBase64: imageBase64 || null,
-        rawItems: Array.isArray(rawItems) ? rawItems : null,
-        isCloudVision,
-        imageSha256,
-        scanPhotoId,
-        scanPhotoDimensions,
-        metadata: requestMetadata,
-      };
-
-      let queuedJob = null;
-      try {
-        queuedJob = await workflowQueueJobsQueries.enqueueJob({
-          jobId,
-          workflowType: WORKFLOW_TYPE_VISION,
+        scanPhotoId: scanPhoto.id,
+        regionIds: [region.id],
+      }, client);
+      const created = [];
+      for (const box2d of boxes) {
+        created.push(await visionItemRegionsQueries.insertRegion({
           userId: req.user.id,
           shelfId: shelf.id,
-          status: 'queued',
-          priority: 100,
-          maxAttempts: queueSettings.workflowQueueRetryMaxAttempts,
-          payload,
-          dedupeKey,
-          notifyOnComplete: false,
-          notifyInAppOnComplete: false,
-        });
-      } catch (enqueueErr) {
-        if (enqueueErr?.code === '23505' && dedupeKey) {
-          const activeDuplicate = await workflowQueueJobsQueries.findActiveByDedupeKey({
-            workflowType: WORKFLOW_TYPE_VISION,
-            dedupeKey,
-          });
-          if (activeDuplicate) {
-            const queueMeta = await getQueueMetadata(activeDuplicate.jobId);
-            return res.status(202).json({
-              jobId: activeDuplicate.jobId,
-              status: activeDuplicate.status === 'processing' ? 'processing' : 'queued',
-              queuePosition: queueMeta.queuePosition,
-              estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
-              notifyOnComplete: activeDuplicate.notifyOnComplete === true,
-              notifyInAppOnComplete: activeDuplicate.notifyInAppOnComplete === true,
-              message: 'Duplicate scan already in progress. Returning existing job.',
-              metadata: requestMetadata,
-              cached: false,
-              scanPhotoId: Number(activeDuplicate?.payload?.scanPhotoId || scanPhotoId || 0) || null,
-            });
-          }
-        }
-        throw enqueueErr;
+          scanPhotoId: scanPhoto.id,
+          box2d,
+        }, client));
       }
+      return created.filter(Boolean);
+    });
 
-      processingStatus.setJob(jobId, {
-        jobId,
+    return res.status(201).json({
+      regions,
+      removedRegionIds: [region.id],
+      detachedItemIds: collectDetachedItemIds([region]),
+    });
+  } catch (err) {
+    logger.error('splitVisionScanRegion error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+async function mergeVisionScanRegions(req, res) {
+  try {
+    const context = await loadVisionScanForEdit(req, res);
+    if (!context) return;
+    const { shelf, scanPhoto } = context;
+
+    const regionIds = parseRegionIds(req.body?.regionIds);
+    if (!regionIds || regionIds.length < 2 || regionIds.length > VISION_REGION_EDIT_MAX_REGIONS) {
+      return res.status(400).json({ error: `regionIds must list between 2 and ${VISION_REGION_EDIT_MAX_REGIONS} regions` });
+    }
+    const sources = await visionItemRegionsQueries.listByIdsForScan({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId: scanPhoto.id,
+      regionIds,
+    });
+    if (sources.length !== regionIds.length) {
+      return res.status(404).json({ error: 'Region not found' });
+    }
+
+    const box2d = mergeRegionBox2d(sources.map((source) => source.box2d.map(Number)));
+    const region = await transaction(async (client) => {
+      await visionItemRegionsQueries.deleteRegions({
         userId: req.user.id,
         shelfId: shelf.id,
-        status: 'queued',
-        step: 'queued',
-        progress: 0,
-        message: 'Queued for processing',
-        aborted: false,
-        result: null,
-      });
+        scanPhotoId: scanPhoto.id,
+        regionIds,
+      }, client);
+      return visionItemRegionsQueries.insertRegion({
+        userId: req.user.id,
+        shelfId: shelf.id,
+        scanPhotoId: scanPhoto.id,
+        box2d,
+      }, client);
+    });
 
-      const queueMeta = await getQueueMetadata(queuedJob.jobId);
-      let notifyOnComplete = queuedJob.notifyOnComplete === true;
-      let notifyInAppOnComplete = queuedJob.notifyInAppOnComplete === true;
+    return res.status(201).json({
+      region,
+      removedRegionIds: regionIds,
+      detachedItemIds: collectDetachedItemIds(sources),
+    });
+  } catch (err) {
+    logger.error('mergeVisionScanRegions error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
 
-      // In-between option: position #2 gets in-app-only completion notification (no push).
-      if (!notifyInAppOnComplete && Number(queueMeta.queuePosition) === 2) {
-        const updated = await workflowQueueJobsQueries.setInAppOnlyCompletionNotice({
-          jobId: queuedJob.jobId,
-        });
-        if (updated) {
-          queuedJob = updated;
-          notifyOnComplete = updated.notifyOnComplete === true;
-          notifyInAppOnComplete = updated.notifyInAppOnComplete === true;
-        } else {
-          notifyOnComplete = false;
-          notifyInAppOnComplete = true;
-        }
-      }
+async function reidentifyVisionScanRegions(req, res) {
+  try {
+    const context = await loadVisionScanForEdit(req, res);
+    if (!context) return;
+    const { shelf, scanPhoto } = context;
+    if (isOtherShelfType(shelf.type) && !hasShelfDescription(shelf.description)) {
+      return res.status(400).json({ error: OTHER_SHELF_DESCRIPTION_REQUIRED_ERROR });
+    }
 
-      if (!notifyOnComplete && !notifyInAppOnComplete) {
-        notifyOnComplete = await shouldEnableQueueNotification(queueMeta);
-        if (notifyOnComplete) {
-          const updated = await workflowQueueJobsQueries.updateNotifyOnComplete({
-            jobId: queuedJob.jobId,
-            notifyOnComplete: true,
-          });
-          if (updated) queuedJob = updated;
-        }
-      }
+    const regionIds = parseRegionIds(req.body?.regionIds);
+    if (!regionIds || regionIds.length > VISION_REGION_EDIT_MAX_REGIONS) {
+      return res.status(400).json({ error: `regionIds must list between 1 and ${VISION_REGION_EDIT_MAX_REGIONS} regions` });
+    }
+    const regions = await visionItemRegionsQueries.listByIdsForScan({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId: scanPhoto.id,
+      regionIds,
+    });
+    if (regions.length !== regionIds.length) {
+      return res.status(404).json({ error: 'Region not found' });
+    }
 
-      getWorkflowQueueService().tick().catch((err) => {
-        logger.warn('[Vision] failed to trigger queue tick after enqueue', {
-          message: err?.message || String(err),
-        });
-      });
+    const quotaExceeded = await getVisionQuotaExceededPayload(req.user);
+    if (quotaExceeded) return res.status(429).json(quotaExceeded);
+    const budgetExhausted = await getAiBudgetExhaustedPayload();
+    if (budgetExhausted) return res.status(503).json(budgetExhausted);
 
-      return res.status(202).json({
-        jobId: queuedJob.jobId,
-        status: 'queued',
-        queuePosition: queueMeta.queuePosition,
-        estimatedWaitSeconds: queueMeta.estimatedWaitSeconds,
-        notifyOnComplete,
-        notifyInAppOnComplete,
-        message: 'Vision processing queued. Poll /vision/:jobId/status for updates.',
-        metadata: requestMetadata,
-        cached: false,
-        scanPhotoId,
+    // Untitled regions (drawn, split or merged) are read from their crops.
+    const pipelineRegions = [];
+    for (const region of regions) {
+      if (normalizeString(region.title)) {
+        pipelineRegions.push(region);
+        continue;
+      }
+      const { payload } = await visionCropService.getOrCreateRegionCrop({
+        userId: req.user.id,
+        shelfId: shelf.id,
+        shelfType: shelf.type,
+        scanPhotoId: scanPhoto.id,
+        regionId: region.id,
+      });
+      pipelineRegions.push({
+        ...region,
+        cropBase64: payload?.buffer ? payload.buffer.toString('base64') : null,
       });
     }
 
-    const output = await runVisionPipelineJob({
-      jobId,
+    const pipeline = await createVisionPipeline();
+    const result = await pipeline.reidentifyRegions(pipelineRegions, shelf, req.user.id, {
+      scanPhotoId: scanPhoto.id,
+      scanPhotoDimensions: toScanPhotoDimensions(scanPhoto),
+      jobId: req.jobId || null,
+    });
+    // Only the region stages ran, so this bills their tokens without using up
+    // a scan; the full-photo result cache is left as it was.
+    await recordVisionTokenUsage({
       userId: req.user.id,
-      shelf,
-      imageBase64,
-      rawItems,
-      isCloudVision,
-      imageSha256,
-      scanPhotoId,
-      scanPhotoDimensions,
+      jobId: req.jobId || null,
+      shelfId: shelf.id,
+      result,
+      countScan: false,
     });
 
-    const items = await hydrateShelfItems(req.user.id, shelf.id);
-    return res.json({
-      jobId,
-      analysis: omitMarketValueSourcesDeep(output.analysis),
-      results: output.results,
-      addedItems: omitMarketValueSourcesDeep(output.addedItems),
-      needsReview: omitMarketValueSourcesDeep(output.needsReview),
-      addedCount: output.addedCount,
-      needsReviewCount: output.needsReviewCount,
-      existingCount: output.existingCount,
-      extractedCount: output.extractedCount,
-      summaryMessage: output.summaryMessage,
-      items,
-      visionStatus: { status: 'completed', provider: 'google-vision-gemini-pipeline' },
-      metadata: requestMetadata,
-      warnings: output.warnings,
-      cached: false,
-      scanPhotoId,
+    const updatedRegions = await visionItemRegionsQueries.listByIdsForScan({
+      userId: req.user.id,
+      shelfId: shelf.id,
+      scanPhotoId: scanPhoto.id,
+      regionIds,
+    });
+    return res.json({
+      regions: updatedRegions,
+      results: result.results,
+      addedItems: result.addedItems,
+      needsReview: result.needsReview,
+      ...buildVisionCounts(result),
+      unreadableRegionIds: result.unreadableRegionIds,
+      warnings: result.warnings,
     });
   } catch (err) {
-    logger.error("Vision analysis failed", err);
+    logger.error('reidentifyVisionScanRegions error:', err);
     if (err?.code === 'CATALOG_PROVIDERS_UNAVAILABLE' || err instanceof CatalogProvidersUnavailableError) {
       return res.status(503).json({
-        error: err?.message || 'Catalog providers are temporarily unavailable. Please try this scan again later.',
+        error: err?.message || 'Catalog providers are temporarily unavailable. Please try again later.',
         code: 'CATALOG_PROVIDERS_UNAVAILABLE',
       });
     }
-    return res.status(502).json({ error: "Vision analysis failed" });
+    return res.status(502).json({ error: 'Region re-identification failed' });
   }
 }
 
-async function getVisionScanPhoto(req, res) {
+function formatLayoutItem(shelfId, row) {
+  const scanPhotoId = row.scanPhotoId ?? null;
+  const regionId = scanPhotoId ? row.layoutRegionId ?? null : null;
+  return {
+    id: row.id,
+    collectableId: row.collectableId ?? null,
+    manualId: row.manualId ?? null,
+    title: row.title || null,
+    primaryCreator: row.primaryCreator || null,
+    position: row.position ?? null,
+    row: row.shelfRow ?? null,
+    rowPosition: row.shelfRowPosition ?? null,
+    region: regionId ? {
+      id: regionId,
+      scanPhotoId,
+      box2d: row.box2d || null,
+      cropUrl: `/api/shelves/${shelfId}/vision/scans/${scanPhotoId}/regions/${regionId}/crop`,
+    } : null,
+    layoutUpdatedAt: row.layoutUpdatedAt || null,
+  };
+}
+
+function toLayoutTimestamp(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+async function loadLayoutScans(userId, shelfId, scanPhotoIds) {
+  const scans = [];
+  for (const scanPhotoId of scanPhotoIds) {
+    const scanPhoto = await visionScanPhotosQueries.getByIdForUser({ id: scanPhotoId, userId, shelfId });
+    if (!scanPhoto) continue;
+    scans.push({
+      id: scanPhoto.id,
+      width: scanPhoto.width ?? null,
+      height: scanPhoto.height ?? null,
+      createdAt: scanPhoto.createdAt,
+      imageUrl: `/api/shelves/${shelfId}/vision/scans/${scanPhoto.id}/image`,
+    });
+  }
+  return scans;
+}
+
+/**
+ * Physical layout of a shelf: the rows from the most recent scan that placed
+ * items, with the scan photo(s) for overlays. Items placed by older scans or
+ * never scanned are listed as unplaced in shelf order.
+ */
+async function getShelfLayout(req, res) {
   try {
     const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
-    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
 
-    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
-    if (isNaN(scanPhotoId)) {
-      return res.status(400).json({ error: 'Invalid scan photo id' });
+    const layoutRows = await shelfLayoutQueries.listForShelf({ userId: req.user.id, shelfId: shelf.id });
+    const latest = layoutRows.reduce((max, row) => {
+      if (row.shelfRow == null) return max;
+      const time = toLayoutTimestamp(row.layoutUpdatedAt);
+      return time != null && (max == null || time > max) ? time : max;
+    }, null);
+
+    const rowsByNumber = new Map();
+    const unplaced = [];
+    const scanPhotoIds = [];
+    for (const row of layoutRows) {
+      const item = formatLayoutItem(shelf.id, row);
+      if (latest == null || item.row == null || toLayoutTimestamp(row.layoutUpdatedAt) !== latest) {
+        unplaced.push(item);
+        continue;
+      }
+      if (!rowsByNumber.has(item.row)) rowsByNumber.set(item.row, []);
+      rowsByNumber.get(item.row).push(item);
+      if (item.region && !scanPhotoIds.includes(item.region.scanPhotoId)) {
+        scanPhotoIds.push(item.region.scanPhotoId);
+      }
     }
 
-    const scanPhoto = await visionScanPhotosQueries.getByIdForUser({
-      id: scanPhotoId,
-      userId: req.user.id,
+    const rows = Array.from(rowsByNumber.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([row, items]) => ({
+        row,
+        items: items.sort((a, b) => (a.rowPosition ?? 0) - (b.rowPosition ?? 0)),
+      }));
+
+    return res.json({
       shelfId: shelf.id,
+      updatedAt: latest != null ? new Date(latest).toISOString() : null,
+      scans: await loadLayoutScans(req.user.id, shelf.id, scanPhotoIds),
+      rows,
+      unplaced,
     });
-    if (!scanPhoto) {
-      return res.status(404).json({ error: 'Scan photo not found' });
+  } catch (err) {
+    logger.error('getShelfLayout error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * "Where is X": find items by title/creator (or itemId) and return the row,
+ * position and scan region they were last seen at.
+ */
+async function locateShelfItem(req, res) {
+  try {
+    const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
+
+    const itemId = req.query?.itemId != null ? parseInt(req.query.itemId, 10) : null;
+    const search = normalizeSearchText(req.query?.q);
+    if (req.query?.itemId != null && (!Number.isInteger(itemId) || itemId <= 0)) {
+      return res.status(400).json({ error: 'Invalid item id' });
+    }
+    if (!itemId && !search) {
+      return res.status(400).json({ error: 'q or itemId is required' });
     }
 
-    const regionCount = await visionItemRegionsQueries.countForScan({
-      userId: req.user.id,
-      shelfId: shelf.id,
-      scanPhotoId: scanPhoto.id,
-    });
+    const layoutRows = await shelfLayoutQueries.listForShelf({ userId: req.user.id, shelfId: shelf.id });
+    const scored = [];
+    for (const row of layoutRows) {
+      let score = 0;
+      if (itemId) {
+        score = row.id === itemId ? 3 : 0;
+      } else {
+        const title = normalizeSearchText(row.title);
+        const creator = normalizeSearchText(row.primaryCreator);
+        if (title === search) score = 3;
+        else if (title.includes(search)) score = 2;
+        else if (creator && creator.includes(search)) score = 1;
+      }
+      if (score > 0) scored.push({ row, score });
+    }
 
-    res.json({
-      scanPhoto: {
-        id: scanPhoto.id,
-        shelfId: scanPhoto.shelfId,
-        contentType: scanPhoto.contentType,
-        sizeBytes: scanPhoto.sizeBytes,
-        width: scanPhoto.width,
-        height: scanPhoto.height,
-        createdAt: scanPhoto.createdAt,
-        regionCount,
-        imageUrl: `/api/shelves/${shelf.id}/vision/scans/${scanPhoto.id}/image`,
-      },
+    // Placed items first: they are the ones we can actually point at.
+    scored.sort((a, b) => (
+      (b.score - a.score)
+      || ((a.row.shelfRow == null) - (b.row.shelfRow == null))
+      || ((a.row.position ?? Infinity) - (b.row.position ?? Infinity))
+    ));
+
+    const matches = scored.slice(0, SHELF_LAYOUT_LOCATE_LIMIT).map(({ row }) => formatLayoutItem(shelf.id, row));
+    const scanPhotoIds = Array.from(new Set(matches
+      .map((match) => match.region?.scanPhotoId)
+      .filter(Boolean)));
+    const scans = await loadLayoutScans(req.user.id, shelf.id, scanPhotoIds);
+    const scansById = new Map(scans.map((scan) => [scan.id, scan]));
+
+    return res.json({
+      query: itemId ? null : String(req.query.q).trim(),
+      matches: matches.map((match) => ({
+        ...match,
+        scan: match.region ? scansById.get(match.region.scanPhotoId) || null : null,
+      })),
     });
   } catch (err) {
-    logger.error('getVisionScanPhoto error:', err);
-    res.status(500).json({ error: 'Server error' });
+    logger.error('locateShelfItem error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function getVisionScanPhotoImage(req, res) {
+async function getVisionRescanDiff(req, res) {
   try {
     const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
-    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
-
-    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
-    if (isNaN(scanPhotoId)) {
-      return res.status(400).json({ error: 'Invalid scan photo id' });
-    }
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
 
-    const scanPhoto = await visionScanPhotosQueries.getByIdForUser({
-      id: scanPhotoId,
+    const diff = await visionRescanDiffsQueries.getByIdForUser({
+      id: parseInt(req.params.diffId, 10),
       userId: req.user.id,
       shelfId: shelf.id,
     });
-    if (!scanPhoto) {
-      return res.status(404).json({ error: 'Scan photo not found' });
-    }
-
-    const image = await visionScanPhotosQueries.loadImageBuffer(scanPhoto);
-    res.setHeader('Content-Type', image.contentType || 'image/jpeg');
-    if (Number.isFinite(image.contentLength)) {
-      res.setHeader('Content-Length', String(image.contentLength));
-    }
-    res.setHeader('Cache-Control', 'private, no-store');
-    res.send(image.buffer);
+    if (!diff) return res.status(404).json({ error: 'Re-scan diff not found' });
+    return res.json({ diff: formatRescanDiff(diff) });
   } catch (err) {
-    logger.error('getVisionScanPhotoImage error:', err);
-    res.status(500).json({ error: 'Failed to load scan photo image' });
+    logger.error('getVisionRescanDiff error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function listVisionScanRegions(req, res) {
+/**
+ * Confirm a re-scan diff. Only items the diff reported missing can be
+ * removed; new and moved items were already written by the scan itself.
+ */
+async function applyVisionRescanDiff(req, res) {
   try {
     const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
-    if (!shelf) return res.status(404).json({ error: "Shelf not found" });
+    if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
 
-    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
-    if (isNaN(scanPhotoId)) {
-      return res.status(400).json({ error: 'Invalid scan photo id' });
+    const rawIds = req.body?.removeItemIds ?? [];
+    if (!Array.isArray(rawIds)) {
+      return res.status(400).json({ error: 'removeItemIds must be an array' });
+    }
+    const removeItemIds = Array.from(new Set(rawIds.map((id) => Number(id))));
+    if (removeItemIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ error: 'removeItemIds must contain item ids' });
     }
 
-    const result = await visionCropService.listRegionsWithCropStatus({
-      userId: req.user.id,
-      shelfId: shelf.id,
-      scanPhotoId,
+    const diffId = parseInt(req.params.diffId, 10);
+    const outcome = await transaction(async (client) => {
+      const diff = await visionRescanDiffsQueries.getByIdForUser({
+        id: diffId,
+        userId: req.user.id,
+        shelfId: shelf.id,
+      }, client);
+      if (!diff) return { status: 404, error: 'Re-scan diff not found' };
+      if (diff.status !== 'pending') return { status: 409, error: 'Re-scan diff was already resolved' };
+
+      const missingIds = new Set(formatRescanDiff(diff).missingItems.map((item) => item.collectionItemId));
+      const notMissing = removeItemIds.filter((id) => !missingIds.has(id));
+      if (notMissing.length) {
+        return { status: 400, error: 'Only items reported missing can be removed', itemIds: notMissing };
+      }
+
+      const removedItemIds = [];
+      for (const itemId of removeItemIds) {
+        if (await shelvesQueries.removeItem(itemId, req.user.id, shelf.id, client)) {
+          removedItemIds.push(itemId);
+        }
+      }
+      const resolved = await visionRescanDiffsQueries.resolve({
+        id: diff.id,
+        userId: req.user.id,
+        status: 'applied',
+        removedItemIds,
+      }, client);
+      return { diff: resolved };
     });
-    if (!result.scanPhoto) {
-      return res.status(404).json({ error: 'Scan photo not found' });
+
+    if (outcome.error) {
+      const { status, ...body } = outcome;
+      return res.status(status).json(body);
     }
 
-    res.json({
-      scanPhotoId: result.scanPhotoId,
-      regions: result.regions,
-    });
+    const items = await hydrateShelfItems(req.user.id, shelf.id);
+    return res.json({ diff: formatRescanDiff(outcome.diff), items });
   } catch (err) {
-    logger.error('listVisionScanRegions error:', err);
-    res.status(500).json({ error: 'Server error' });
+    logger.error('applyVisionRescanDiff error:', err);
+    return res.status(500).json({ error: 'Server error' });
   }
 }
 
-async function getVisionScanRegionCrop(req, res) {
+async function dismissVisionRescanDiff(req, res) {
   try {
     const shelf = await loadShelfForUser(req.user.id, req.params.shelfId);
     if (!shelf) return res.status(404).json({ error: 'Shelf not found' });
 
-    const scanPhotoId = parseInt(req.params.scanPhotoId, 10);
-    if (isNaN(scanPhotoId)) {
-      return res.status(400).json({ error: 'Invalid scan photo id' });
-    }
-    const regionId = parseInt(req.params.regionId, 10);
-    if (isNaN(regionId)) {
-      return res.status(400).json({ error: 'Invalid region id' });
-    }
-
-    const result = await visionCropService.getOrCreateRegionCrop({
+    const diffId = parseInt(req.params.diffId, 10);
+    const existing = await visionRescanDiffsQueries.getByIdForUser({
+      id: diffId,
       userId: req.user.id,
       shelfId: shelf.id,
-      shelfType: shelf.type,
-      scanPhotoId,
-      regionId,
     });
-    if (!result.scanPhoto) {
-      return res.status(404).json({ error: 'Scan photo not found' });
-    }
-    if (!result.region) {
-      return res.status(404).json({ error: 'Region not found' });
-    }
-    const { payload } = result;
+    if (!existing) return res.status(404).json({ error: 'Re-scan diff not found' });
 
-    res.setHeader('Content-Type', payload.contentType || 'image/jpeg');
-    if (Number.isFinite(payload.contentLength)) {
-      res.setHeader('Content-Length', String(payload.contentLength));
-    }
-    res.setHeader('Cache-Control', 'private, max-age=300');
-    res.send(payload.buffer);
+    const resolved = await visionRescanDiffsQueries.resolve({
+      id: existing.id,
+      userId: req.user.id,
+      status: 'dismissed',
+    });
+    if (!resolved) return res.status(409).json({ error: 'Re-scan diff was already resolved' });
+    return res.json({ diff: formatRescanDiff(resolved) });
   } catch (err) {
-    logger.error('getVisionScanRegionCrop error:', err);
-    const message = String(err?.message || '');
-    if (/crop|box_2d|dimensions/i.test(message)) {
-      return res.status(422).json({ error: 'Unable to generate crop for this region' });
-    }
-    return res.status(500).json({ error: 'Failed to load region crop' });
+    logger.error('dismissVisionRescanDiff error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * Build the job status payload shared by the polling route and the event stream.
+ * Queue jobs are read from `workflow_queue_jobs`, so any API instance can answer;
+ * the in-memory snapshot only covers jobs that never went through the queue.
+ * @returns {Promise<object|null>} Payload, or null when the job is unknown to this user
+ */
+async function loadVisionJobStatus({ jobId, userId, shelfIdParam = null, includeItems = true }) {
+  const queueJob = await workflowQueueJobsQueries.getByJobIdForUser({ jobId, userId });
+  const inMemory = queueJob ? null : processingStatus.getJob(jobId);
+  if (!queueJob && (!inMemory || inMemory.userId !== userId)) return null;
+
+  const snapshot = queueJob ? processingStatus.snapshotFromQueueJob(queueJob) : inMemory;
+  const status = snapshot.status || 'queued';
+  const shelfId = Number(snapshot.shelfId || shelfIdParam || 0) || null;
+  const progress = Number.isFinite(Number(snapshot.progress))
+    ? Number(snapshot.progress)
+    : (status === 'completed' ? 100 : 0);
+
+  let queuePosition = null;
+  let queuedMs = 0;
+  let estimatedWaitSeconds = 0;
+  if (queueJob?.status === 'queued') {
+    queuePosition = await workflowQueueJobsQueries.getQueuePosition(jobId);
+    queuedMs = getQueuedMs(queueJob.createdAt);
+    estimatedWaitSeconds = estimateQueueWaitSeconds(queuePosition);
   }
+
+  let items = null;
+  if (includeItems && status === 'completed' && shelfId) {
+    items = await hydrateShelfItems(userId, shelfId);
+  }
+
+  return {
+    jobId,
+    status,
+    step: snapshot.step || status,
+    progress,
+    message: snapshot.message || (status === 'failed' ? 'Processing failed' : ''),
+    queuePosition,
+    queuedMs,
+    estimatedWaitSeconds,
+    notifyOnComplete: queueJob?.notifyOnComplete === true,
+    notifyInAppOnComplete: queueJob?.notifyInAppOnComplete === true,
+    result: omitMarketValueSourcesDeep(snapshot.result || null),
+    items,
+  };
 }
 
 /**
@@ -3756,87 +5796,120 @@ async function getVisionScanRegionCrop(req, res) {
  */
 async function getVisionStatus(req, res) {
   try {
-    const { jobId } = req.params;
-    const inMemory = processingStatus.getJob(jobId);
-    const queueJob = await workflowQueueJobsQueries.getByJobIdForUser({
-      jobId,
+    const payload = await loadVisionJobStatus({
+      jobId: req.params.jobId,
       userId: req.user.id,
+      shelfIdParam: req.params.shelfId,
     });
-
-    if (!inMemory && !queueJob) {
+    if (!payload) {
       return res.status(404).json({ error: 'Job not found or expired' });
     }
-    if (inMemory && inMemory.userId !== req.user.id && !queueJob) {
-      return res.status(403).json({ error: 'Access denied' });
+    res.json(payload);
+  } catch (err) {
+    logger.error('getVisionStatus error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+/**
+ * GET /api/shelves/:shelfId/vision/:jobId/events
+ * Server-sent events for a vision job: `progress` whenever status, step,
+ * progress or message change, then one `done` event with the full status
+ * payload (same shape as the status route) before the stream closes.
+ */
+async function streamVisionStatus(req, res) {
+  const { jobId } = req.params;
+  let initial;
+  try {
+    initial = await loadVisionJobStatus({
+      jobId,
+      userId: req.user.id,
+      shelfIdParam: req.params.shelfId,
+    });
+  } catch (err) {
+    logger.error('streamVisionStatus error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+  if (!initial) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${VISION_STATUS_STREAM_INTERVAL_MS * 2}\n\n`);
+
+  let closed = false;
+  let timer = null;
+  let lastKey = null;
+  let lastWriteAt = Date.now();
+  const startedAt = Date.now();
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    if (timer) clearTimeout(timer);
+    res.end();
+  };
+  req.on('close', () => {
+    closed = true;
+    if (timer) clearTimeout(timer);
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    lastWriteAt = Date.now();
+  };
+
+  const emit = (payload) => {
+    if (TERMINAL_WORKFLOW_STATUSES.has(payload.status)) {
+      send('done', payload);
+      finish();
+      return;
+    }
+    const key = [payload.status, payload.step, payload.progress, payload.message, payload.queuePosition].join('|');
+    if (key !== lastKey) {
+      lastKey = key;
+      const { result, items, ...progress } = payload;
+      send('progress', progress);
+    } else if (Date.now() - lastWriteAt >= VISION_STATUS_STREAM_KEEPALIVE_MS) {
+      res.write(': keep-alive\n\n');
+      lastWriteAt = Date.now();
     }
+  };
 
-    const status = queueJob?.status || inMemory?.status || 'queued';
-    const shelfId = Number(inMemory?.shelfId || queueJob?.shelfId || req.params.shelfId || 0) || null;
-    const canUseMemoryFields = inMemory && inMemory.status === status;
-    const step = (canUseMemoryFields ? inMemory?.step : null)
-      || (status === 'queued' ? 'queued' : status === 'processing' ? 'processing' : 'completed');
-    const progress = canUseMemoryFields && Number.isFinite(Number(inMemory?.progress))
-      ? Number(inMemory.progress)
-      : (status === 'queued' ? 0 : status === 'processing' ? 5 : status === 'completed' ? 100 : 0);
-    const message = (canUseMemoryFields ? inMemory?.message : null)
-      || (status === 'queued'
-        ? 'Queued for processing'
-        : status === 'processing'
-          ? 'Processing in progress'
-          : status === 'completed'
-            ? 'Processing complete'
-            : status === 'aborted'
-              ? 'Processing cancelled by user'
-              : queueJob?.error?.message
-              || 'Processing failed');
-    const result = inMemory?.result || queueJob?.result || null;
-
-    let queuePosition = null;
-    let queuedMs = 0;
-    let estimatedWaitSeconds = 0;
-    if (queueJob?.status === 'queued') {
-      queuePosition = await workflowQueueJobsQueries.getQueuePosition(jobId);
-      queuedMs = getQueuedMs(queueJob.createdAt);
-      estimatedWaitSeconds = estimateQueueWaitSeconds(queuePosition);
-    }
-
-    let items = null;
-    if (status === 'completed' && shelfId) {
-      items = await hydrateShelfItems(req.user.id, shelfId);
-    }
-
-    if (!inMemory && queueJob) {
-      processingStatus.setJob(jobId, {
+  const poll = async () => {
+    if (closed) return;
+    if (Date.now() - startedAt >= VISION_STATUS_STREAM_MAX_MS) {
+      // Clients reconnect and pick up from the current state.
+      finish();
+      return;
+    }
+    try {
+      const payload = await loadVisionJobStatus({
         jobId,
         userId: req.user.id,
-        shelfId,
-        status,
-        step,
-        progress,
-        message,
-        result,
-        aborted: status === 'aborted',
+        shelfIdParam: req.params.shelfId,
       });
+      if (closed) return;
+      if (!payload) {
+        send('error', { error: 'Job not found or expired' });
+        finish();
+        return;
+      }
+      emit(payload);
+    } catch (err) {
+      logger.warn('[Vision] status stream poll failed', { jobId, error: err?.message || err });
     }
+    if (!closed) timer = setTimeout(poll, VISION_STATUS_STREAM_INTERVAL_MS);
+  };
 
-    res.json({
-      jobId,
-      status,
-      step,
-      progress,
-      message,
-      queuePosition,
-      queuedMs,
-      estimatedWaitSeconds,
-      notifyOnComplete: queueJob?.notifyOnComplete === true,
-      notifyInAppOnComplete: queueJob?.notifyInAppOnComplete === true,
-      result: omitMarketValueSourcesDeep(result),
-      items,
-    });
-  } catch (err) {
-    logger.error('getVisionStatus error:', err);
-    res.status(500).json({ error: 'Server error' });
-  }
+  emit(initial);
+  if (!closed) timer = setTimeout(poll, VISION_STATUS_STREAM_INTERVAL_MS);
 }
 
 async function setVisionBackground(req, res) {
@@ -3850,7 +5923,7 @@ async function setVisionBackground(req, res) {
       return res.status(404).json({ error: 'Job not found or expired' });
     }
 
-    if (['completed', 'failed', 'aborted'].includes(queueJob.status)) {
+    if (TERMINAL_WORKFLOW_STATUSES.has(queueJob.status)) {
       return res.json({
         jobId,
         status: queueJob.status,
@@ -3967,13 +6040,14 @@ async function processCatalogLookup(req, res) {
     }));
 
     const userId = req.user.id;
-    const hooks = getVisionPipelineHooks();
-    const pipeline = new VisionPipelineService({ hooks });
+    const pipeline = await createVisionPipeline();
 
     const result = await pipeline.processImage(null, shelf, userId, null, {
       rawItems: normalizedItems,
       ocrProvider: 'mlkit',
     });
+    // Not billed to the user's vision quota, but enrichment still counts toward the AI budget.
+    await recordAiSpend({ userId, calls: result.tokenCalls });
 
     const items = await hydrateShelfItems(userId, shelf.id);
     const addedCount = result.addedItems?.length || result.results?.added || 0;
@@ -4148,6 +6222,7 @@ async function completeReviewItemInternal({
 }) {
   const completedData = { ...reviewItem.rawData, ...body };
   const userFormat = normalizeString(completedData?.format || completedData?.physical?.format);
+  const reviewBarcode = normalizeString(completedData?.barcode) || undefined;
   const isOtherShelf = String(shelf.type || '').toLowerCase() === 'other';
 
   if (isOtherShelf) {
@@ -4179,6 +6254,7 @@ async function completeReviewItemInternal({
         collectableId: collectable.id,
         format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : (userFormat || null),
         platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
+        barcode: reviewBarcode,
       });
       const appliedDefaults = await applyShelfGameDefaultsToCollectionItem({
         userId,
@@ -4350,11 +6426,38 @@ async function completeReviewItemInternal({
     };
   }
 
-  const { format: _format, formats: _formats, ...fingerprintData } = completedData || {};
+  const {
+    format: _format,
+    formats: _formats,
+    collectableId: _collectableId,
+    ...fingerprintData
+  } = completedData || {};
+  const selectedCollectableId = body?.collectableId ?? null;
   fingerprintData.kind = shelf.type;
   const lwf = makeLightweightFingerprint(fingerprintData);
-  let collectable = await collectablesQueries.findByLightweightFingerprint(lwf);
-  let matchSource = collectable ? 'fingerprint' : null;
+  let collectable = null;
+  let matchSource = null;
+
+  // A candidate picked from the review inbox suggestions skips matching.
+  if (selectedCollectableId != null) {
+    const collectableId = Number.parseInt(String(selectedCollectableId), 10);
+    collectable = Number.isInteger(collectableId) && collectableId > 0
+      ? await collectablesQueries.findById(collectableId)
+      : null;
+    if (!collectable) {
+      const error = new Error('Selected collectable not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    matchSource = 'selected';
+  }
+
+  if (!collectable) {
+    collectable = await collectablesQueries.findByLightweightFingerprint(lwf);
+    if (collectable) {
+      matchSource = 'fingerprint';
+    }
+  }
 
   if (!collectable) {
     collectable = await collectablesQueries.fuzzyMatch(
@@ -4384,6 +6487,7 @@ async function completeReviewItemInternal({
     collectableId: collectable.id,
     format: isGamesShelfType(shelf.type) ? resolvedDefaults.format : (userFormat || null),
     platformMissing: isGamesShelfType(shelf.type) ? resolvedDefaults.platformMissing : undefined,
+    barcode: reviewBarcode,
   });
   const appliedDefaults = await applyShelfGameDefaultsToCollectionItem({
     userId,
@@ -4842,6 +6946,49 @@ async function updateCollectionItemDetails(req, res) {
       updates[dbField] = normalizeString(body[bodyField]);
     });
 
+    if (Object.prototype.hasOwnProperty.call(body, 'editionId')) {
+      if (body.editionId === null) {
+        updates.edition_id = null;
+      } else {
+        const editionId = Number(body.editionId);
+        if (!Number.isInteger(editionId) || editionId <= 0) {
+          return res.status(400).json({ error: 'editionId must be a positive integer or null' });
+        }
+        const edition = await editionsQueries.findByIdForCollectable(editionId, currentItem.collectableId);
+        if (!edition) {
+          return res.status(400).json({ error: 'Edition does not belong to this item' });
+        }
+        updates.edition_id = edition.id;
+        // Keep the free-text edition label in step unless the client set it too.
+        if (!Object.prototype.hasOwnProperty.call(body, 'edition')) {
+          updates.edition = edition.name;
+        }
+      }
+    }
+
+    const cardGradingFields = ['cardCondition', 'cardGradingCompany', 'cardGrade']
+      .filter((field) => Object.prototype.hasOwnProperty.call(body, field));
+    if (cardGradingFields.length) {
+      if (!isCardsShelfType(shelf.type) && !isCardsShelfType(currentItem.collectableKind)) {
+        return res.status(400).json({ error: 'Card grading is only supported for trading card items' });
+      }
+      // Validate the merged state so a grade can be changed without resending the company.
+      let grading;
+      try {
+        grading = normalizeCardGradingInput({
+          cardCondition: currentItem.cardCondition,
+          cardGradingCompany: currentItem.cardGradingCompany,
+          cardGrade: currentItem.cardGrade,
+          ...Object.fromEntries(cardGradingFields.map((field) => [field, body[field]])),
+        });
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+      updates.card_condition = grading.cardCondition;
+      updates.card_grading_company = grading.cardGradingCompany;
+      updates.card_grade = grading.cardGrade;
+    }
+
     const userMarketValueProvided = Object.prototype.hasOwnProperty.call(body, 'userMarketValue');
     const normalizedUserMarketValue = userMarketValueProvided ? normalizeString(body.userMarketValue) : undefined;
 
@@ -4983,11 +7130,25 @@ module.exports = {
   createReplacementIntent,
   replaceShelfItem,
   processShelfVision,
+  createVisionSession,
+  addVisionSessionPhoto,
+  processVisionSession,
+  getVisionSession,
   processCatalogLookup,
   getVisionScanPhoto,
   getVisionScanPhotoImage,
   listVisionScanRegions,
   getVisionScanRegionCrop,
+  createVisionScanRegion,
+  updateVisionScanRegion,
+  splitVisionScanRegion,
+  mergeVisionScanRegions,
+  reidentifyVisionScanRegions,
+  getShelfLayout,
+  locateShelfItem,
+  getVisionRescanDiff,
+  applyVisionRescanDiff,
+  dismissVisionRescanDiff,
   updateManualEntry,
   uploadManualCover,
   getShelfItemOwnerPhoto,
@@ -5003,9 +7164,13 @@ module.exports = {
   dismissReviewItem,
   rateShelfItem,
   getVisionStatus,
+  streamVisionStatus,
   setVisionBackground,
   abortVision,
   addCollectableFromApi,
+  addShelfItemsByBarcode,
+  importShelfItems,
+  runCollectionImportJob,
   getManualItem,
   updateCollectionItemDetails,
   updateOwnedPlatforms,
@@ -4,9 +4,97 @@
  */
 
 const wishlistsQueries = require('../database/queries/wishlists');
+const friendshipsQueries = require('../database/queries/friendships');
 const logger = require('../logger');
 const { ensureUsersNotBlocked } = require('../utils/userBlockAccess');
 
+const MAX_TARGET_PRICE = 99999999.99;
+
+/**
+ * Watch settings, target prices and alerts are the owner's business; strip
+ * them when someone else views the wishlist.
+ */
+function redactWatchFields(item) {
+    const {
+        watch,
+        alertsMuted,
+        targetPrice,
+        lastAlertType,
+        lastAlertDetails,
+        lastAlertAt,
+        ...rest
+    } = item;
+    return rest;
+}
+
+/**
+ * Load a wishlist the user owns (created or co-owns) or may view. Sends the
+ * 404/403 response itself and returns null when there is no access.
+ */
+async function loadWishlistForUser(res, wishlistId, userId) {
+    const ownWishlist = await wishlistsQueries.getById(wishlistId, userId);
+    if (ownWishlist) {
+        return { wishlist: ownWishlist, isOwner: true };
+    }
+
+    const ownerId = await wishlistsQueries.getOwnerId(wishlistId);
+    const canAccess = await ensureUsersNotBlocked({
+        res,
+        viewerId: userId,
+        targetUserId: ownerId,
+        error: 'You cannot access this user',
+    });
+    if (!canAccess) return null;
+
+    const wishlist = await wishlistsQueries.getForViewing(wishlistId, userId);
+    if (!wishlist) {
+        res.status(404).json({ error: 'Wishlist not found' });
+        return null;
+    }
+    return { wishlist, isOwner: false };
+}
+
+function toReserver(reservation) {
+    return { id: reservation.userId, username: reservation.username, firstName: reservation.firstName };
+}
+
+/**
+ * Shape items for the viewer. Owners never see reservations, so gifts stay a
+ * surprise, until an item is received and `receivedFrom` names the gifter.
+ * Other viewers of a gift-mode wishlist see each item's reservation state.
+ */
+async function decorateItems(wishlist, items, { isOwner, viewerId }) {
+    if (isOwner) {
+        const received = items.some((item) => item.receivedAt)
+            ? await wishlistsQueries.listReceivedReservations(wishlist.id)
+            : [];
+        if (!received.length) return items;
+        const byItem = new Map(received.map((reservation) => [reservation.wishlistItemId, reservation]));
+        return items.map((item) => (
+            byItem.has(item.id) ? { ...item, receivedFrom: toReserver(byItem.get(item.id)) } : item
+        ));
+    }
+
+    const visible = items.map(redactWatchFields);
+    if (!wishlist.giftMode) return visible;
+
+    const reservations = await wishlistsQueries.listReservations(wishlist.id);
+    const byItem = new Map(reservations.map((reservation) => [reservation.wishlistItemId, reservation]));
+    return visible.map((item) => {
+        const reservation = byItem.get(item.id);
+        const reservedByMe = !!reservation && reservation.userId === viewerId;
+        return {
+            ...item,
+            reservation: {
+                reserved: !!reservation,
+                reservedByMe,
+                reservedBy: reservation ? toReserver(reservation) : null,
+                note: reservedByMe ? reservation.note : null,
+            },
+        };
+    });
+}
+
 /**
  * GET /wishlists - List all wishlists for current user
  */
@@ -82,17 +170,21 @@ async function checkUserHasWishlists(req, res) {
  */
 async function createWishlist(req, res) {
     try {
-        const { name, description, visibility } = req.body;
+        const { name, description, visibility, giftMode } = req.body;
 
         if (!name || !name.trim()) {
             return res.status(400).json({ error: 'Name is required' });
         }
+        if (giftMode !== undefined && typeof giftMode !== 'boolean') {
+            return res.status(400).json({ error: 'giftMode must be a boolean' });
+        }
 
         const wishlist = await wishlistsQueries.create({
             userId: req.user.id,
             name: name.trim(),
             description: description?.trim() || null,
             visibility: visibility || 'private',
+            giftMode: giftMode === true,
         });
 
         res.status(201).json({ wishlist });
@@ -110,31 +202,19 @@ async function getWishlist(req, res) {
         const { id } = req.params;
         const parsedId = parseInt(id, 10);
 
-        // First try to get as owner
-        let wishlist = await wishlistsQueries.getById(parsedId, req.user.id);
-        let isOwner = !!wishlist;
-
-        // If not owner, check visibility
-        if (!wishlist) {
-            const ownerId = await wishlistsQueries.getOwnerId(parsedId);
-            const canAccess = await ensureUsersNotBlocked({
-                res,
-                viewerId: req.user.id,
-                targetUserId: ownerId,
-                error: 'You cannot access this user',
-            });
-            if (!canAccess) return;
-
-            wishlist = await wishlistsQueries.getForViewing(parsedId, req.user.id);
-            if (!wishlist) {
-                return res.status(404).json({ error: 'Wishlist not found' });
-            }
-        }
+        const access = await loadWishlistForUser(res, parsedId, req.user.id);
+        if (!access) return;
+        const { wishlist, isOwner } = access;
 
         // Get items
         const items = await wishlistsQueries.getItems(parsedId);
 
-        res.json({ wishlist, items, isOwner });
+        res.json({
+            wishlist,
+            items: await decorateItems(wishlist, items, { isOwner, viewerId: req.user.id }),
+            isOwner,
+            isCreator: wishlist.userId === req.user.id,
+        });
     } catch (err) {
         logger.error('getWishlist error:', err);
         res.status(500).json({ error: 'Server error' });
@@ -147,11 +227,21 @@ async function getWishlist(req, res) {
 async function updateWishlist(req, res) {
     try {
         const { id } = req.params;
+        // gift_mode is only settable through the validated giftMode flag
+        const { giftMode, ...updates } = req.body || {};
+        delete updates.gift_mode;
+
+        if (giftMode !== undefined) {
+            if (typeof giftMode !== 'boolean') {
+                return res.status(400).json({ error: 'giftMode must be a boolean' });
+            }
+            updates.gift_mode = giftMode;
+        }
 
         const wishlist = await wishlistsQueries.update(
             parseInt(id),
             req.user.id,
-            req.body
+            updates
         );
 
         if (!wishlist) {
@@ -166,12 +256,17 @@ async function updateWishlist(req, res) {
 }
 
 /**
- * DELETE /wishlists/:id - Delete a wishlist
+ * DELETE /wishlists/:id - Delete a wishlist (creator only)
  */
 async function deleteWishlist(req, res) {
     try {
         const { id } = req.params;
 
+        const wishlist = await wishlistsQueries.getById(parseInt(id), req.user.id);
+        if (wishlist && wishlist.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Only the creator can delete this wishlist' });
+        }
+
         const deleted = await wishlistsQueries.remove(parseInt(id), req.user.id);
 
         if (!deleted) {
@@ -204,8 +299,8 @@ async function listItems(req, res) {
         if (!canAccess) return;
 
         // Verify access
-        const wishlist = await wishlistsQueries.getById(parsedId, req.user.id) ||
-            await wishlistsQueries.getForViewing(parsedId, req.user.id);
+        const ownWishlist = await wishlistsQueries.getById(parsedId, req.user.id);
+        const wishlist = ownWishlist || await wishlistsQueries.getForViewing(parsedId, req.user.id);
 
         if (!wishlist) {
             return res.status(404).json({ error: 'Wishlist not found' });
@@ -216,7 +311,7 @@ async function listItems(req, res) {
             offset: parseInt(offset),
         });
 
-        res.json({ items });
+        res.json({ items: await decorateItems(wishlist, items, { isOwner: !!ownWishlist, viewerId: req.user.id }) });
     } catch (err) {
         logger.error('listItems error:', err);
         res.status(500).json({ error: 'Server error' });
@@ -247,6 +342,7 @@ async function addItem(req, res) {
             manualText: manualText?.trim() || null,
             notes: notes?.trim() || null,
             priority: priority || 0,
+            addedBy: req.user.id,
         });
 
         res.status(201).json({ item });
@@ -256,6 +352,59 @@ async function addItem(req, res) {
     }
 }
 
+/**
+ * PUT /wishlists/:id/items/:itemId/watch - Watch an item for release news and
+ * price drops
+ * Body: { watch?: boolean, muted?: boolean, targetPrice?: number|null }
+ */
+async function updateItemWatch(req, res) {
+    try {
+        const { id, itemId } = req.params;
+        const { watch, muted, targetPrice } = req.body || {};
+
+        if (watch !== undefined && typeof watch !== 'boolean') {
+            return res.status(400).json({ error: 'watch must be a boolean' });
+        }
+        if (muted !== undefined && typeof muted !== 'boolean') {
+            return res.status(400).json({ error: 'muted must be a boolean' });
+        }
+        let parsedTargetPrice;
+        if (targetPrice === null || targetPrice === '') {
+            parsedTargetPrice = null;
+        } else if (targetPrice !== undefined) {
+            parsedTargetPrice = Number(targetPrice);
+            if (!Number.isFinite(parsedTargetPrice) || parsedTargetPrice <= 0 || parsedTargetPrice > MAX_TARGET_PRICE) {
+                return res.status(400).json({ error: 'targetPrice must be a positive amount' });
+            }
+            parsedTargetPrice = Math.round(parsedTargetPrice * 100) / 100;
+        }
+        if (watch === undefined && muted === undefined && parsedTargetPrice === undefined) {
+            return res.status(400).json({ error: 'Provide watch, muted or targetPrice' });
+        }
+
+        // Verify ownership
+        const wishlist = await wishlistsQueries.getById(parseInt(id), req.user.id);
+        if (!wishlist) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        const item = await wishlistsQueries.updateItemWatch(parseInt(itemId), parseInt(id), {
+            watch,
+            alertsMuted: muted,
+            targetPrice: parsedTargetPrice,
+        });
+
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        res.json({ item });
+    } catch (err) {
+        logger.error('updateItemWatch error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
 /**
  * DELETE /wishlists/:id/items/:itemId - Remove an item from a wishlist
  */
@@ -282,6 +431,207 @@ async function removeItem(req, res) {
     }
 }
 
+/**
+ * POST /wishlists/:id/items/:itemId/received - Mark an item received by hand
+ * (adding the collectable to a shelf does this automatically)
+ */
+async function markItemReceived(req, res) {
+    try {
+        const { id, itemId } = req.params;
+
+        // Verify ownership
+        const wishlist = await wishlistsQueries.getById(parseInt(id), req.user.id);
+        if (!wishlist) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        const item = await wishlistsQueries.markItemReceived(parseInt(itemId), parseInt(id));
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        res.json({ item });
+    } catch (err) {
+        logger.error('markItemReceived error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * POST /wishlists/:id/items/:itemId/reserve - Reserve an item on someone
+ * else's gift-mode wishlist
+ * Body: { note?: string }
+ */
+async function reserveItem(req, res) {
+    try {
+        const parsedId = parseInt(req.params.id, 10);
+        const parsedItemId = parseInt(req.params.itemId, 10);
+        const { note } = req.body || {};
+
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+            return res.status(400).json({ error: 'note must be a string' });
+        }
+
+        const access = await loadWishlistForUser(res, parsedId, req.user.id);
+        if (!access) return;
+        if (access.isOwner) {
+            return res.status(403).json({ error: 'You cannot reserve items on your own wishlist' });
+        }
+        if (!access.wishlist.giftMode) {
+            return res.status(409).json({ error: 'This wishlist is not taking reservations' });
+        }
+
+        const item = await wishlistsQueries.getItem(parsedItemId, parsedId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        if (item.receivedAt) {
+            return res.status(409).json({ error: 'Item has already been received' });
+        }
+
+        const reservation = await wishlistsQueries.reserveItem(parsedItemId, req.user.id, note?.trim() || null);
+        if (!reservation) {
+            return res.status(409).json({ error: 'Item is already reserved' });
+        }
+
+        res.status(201).json({ reservation });
+    } catch (err) {
+        logger.error('reserveItem error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * DELETE /wishlists/:id/items/:itemId/reserve - Cancel your reservation
+ */
+async function cancelReservation(req, res) {
+    try {
+        const parsedId = parseInt(req.params.id, 10);
+        const parsedItemId = parseInt(req.params.itemId, 10);
+
+        const item = await wishlistsQueries.getItem(parsedItemId, parsedId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        const cancelled = await wishlistsQueries.cancelReservation(parsedItemId, req.user.id);
+        if (!cancelled) {
+            return res.status(404).json({ error: 'Reservation not found' });
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        logger.error('cancelReservation error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * GET /wishlists/reservations - Items the current user has reserved
+ */
+async function listMyReservations(req, res) {
+    try {
+        const { limit = 100, offset = 0 } = req.query;
+        const reservations = await wishlistsQueries.listReservationsForUser(req.user.id, {
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+        });
+        res.json({ reservations });
+    } catch (err) {
+        logger.error('listMyReservations error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * GET /wishlists/:id/owners - Creator and co-owners of a wishlist
+ */
+async function listOwners(req, res) {
+    try {
+        const parsedId = parseInt(req.params.id, 10);
+
+        const access = await loadWishlistForUser(res, parsedId, req.user.id);
+        if (!access) return;
+
+        const owners = await wishlistsQueries.listOwners(parsedId);
+        res.json({ owners });
+    } catch (err) {
+        logger.error('listOwners error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * POST /wishlists/:id/owners - Add a friend as co-owner (creator only)
+ * Body: { userId: string }
+ */
+async function addOwner(req, res) {
+    try {
+        const parsedId = parseInt(req.params.id, 10);
+        const { userId } = req.body || {};
+
+        if (!userId || typeof userId !== 'string') {
+            return res.status(400).json({ error: 'userId is required' });
+        }
+
+        const wishlist = await wishlistsQueries.getById(parsedId, req.user.id);
+        if (!wishlist) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+        if (wishlist.userId !== req.user.id) {
+            return res.status(403).json({ error: 'Only the creator can add co-owners' });
+        }
+        if (userId === req.user.id) {
+            return res.status(400).json({ error: 'You already own this wishlist' });
+        }
+
+        const isFriend = await friendshipsQueries.areFriends(req.user.id, userId);
+        if (!isFriend) {
+            return res.status(403).json({ error: 'You can only add friends as co-owners' });
+        }
+
+        const owner = await wishlistsQueries.addOwner(parsedId, userId, req.user.id);
+        if (!owner) {
+            return res.status(409).json({ error: 'User is already a co-owner' });
+        }
+
+        const owners = await wishlistsQueries.listOwners(parsedId);
+        res.status(201).json({ owners });
+    } catch (err) {
+        logger.error('addOwner error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * DELETE /wishlists/:id/owners/:userId - Remove a co-owner. The creator can
+ * remove anyone; a co-owner can only remove themselves (leave).
+ */
+async function removeOwner(req, res) {
+    try {
+        const parsedId = parseInt(req.params.id, 10);
+        const { userId } = req.params;
+
+        const wishlist = await wishlistsQueries.getById(parsedId, req.user.id);
+        if (!wishlist) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+        if (wishlist.userId !== req.user.id && userId !== req.user.id) {
+            return res.status(403).json({ error: 'Only the creator can remove other co-owners' });
+        }
+
+        const removed = await wishlistsQueries.removeOwner(parsedId, userId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Co-owner not found' });
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        logger.error('removeOwner error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
 module.exports = {
     listWishlists,
     listUserWishlists,
@@ -292,5 +642,13 @@ module.exports = {
     deleteWishlist,
     listItems,
     addItem,
+    updateItemWatch,
     removeItem,
+    markItemReceived,
+    reserveItem,
+    cancelReservation,
+    listMyReservations,
+    listOwners,
+    addOwner,
+    removeOwner,
 };
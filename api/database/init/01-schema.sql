@@ -101,9 +101,11 @@ CREATE TABLE shelves (
     owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
 
     name TEXT NOT NULL,
-    type TEXT NOT NULL,  -- 'books', 'movies', 'games', 'vinyl', 'other'
+    type TEXT NOT NULL,  -- 'books', 'comics', 'boardgames', 'cards', 'movies', 'games', 'vinyl', 'other'
     description TEXT,
     game_defaults JSONB,
+    card_defaults JSONB,  -- { condition } applied to new items on cards shelves
+    legacy_type TEXT,  -- Type label a migration re-pinned (e.g. "Manga" -> 'books'); restored on rollback
     photo_storage_provider TEXT,
     photo_storage_key TEXT,
     photo_content_type TEXT,
@@ -169,6 +171,9 @@ CREATE TABLE collectables (
     -- Publishing
     publishers TEXT[] DEFAULT '{}',
     year TEXT,
+    series TEXT,  -- Series name when a provider reports one (e.g. Hardcover)
+    issue_number TEXT,  -- Comic issue ("1", "12.1", "1A")
+    volume_number INTEGER,  -- Collected volume (manga tankobon, TPB)
     market_value TEXT,
     metascore JSONB DEFAULT NULL,
     market_value_sources JSONB DEFAULT '[]',
@@ -192,6 +197,12 @@ CREATE TABLE collectables (
     cover_image_source TEXT,  -- 'local' or 'external'
     attribution JSONB,  -- { linkUrl, linkText, logoPath, disclaimerText }
     max_players INTEGER,
+    min_players INTEGER,  -- Board game player range (with max_players)
+    min_play_time INTEGER,  -- Board game play time range, minutes
+    max_play_time INTEGER,
+    set_code TEXT,  -- Trading card set code ("M10", "SV3PT5")
+    set_name TEXT,
+    collector_number TEXT,  -- Card number within the set ("146", "4/102")
     cast_members JSONB,
     platform_data JSONB NOT NULL DEFAULT '[]',
     igdb_payload JSONB,
@@ -199,7 +210,7 @@ CREATE TABLE collectables (
     -- Source tracking
     sources JSONB DEFAULT '[]',
     external_id TEXT,  -- Primary external ID
-    editions_id INTEGER,  -- Link to editions table
+    editions_id INTEGER,  -- Primary/matched edition (FK added after editions table)
 
     -- Fuzzy fingerprints for OCR matching
     fuzzy_fingerprints JSONB DEFAULT '[]',
@@ -216,6 +227,7 @@ CREATE INDEX idx_collectables_title_trgm ON collectables USING GIN (title gin_tr
 CREATE INDEX idx_collectables_external_id ON collectables(external_id) WHERE external_id IS NOT NULL;
 CREATE INDEX idx_collectables_cover_media ON collectables(cover_media_id);
 CREATE INDEX idx_collectables_cast_members_gin ON collectables USING GIN (cast_members jsonb_path_ops) WHERE cast_members IS NOT NULL;
+CREATE INDEX idx_collectables_identifiers_gin ON collectables USING GIN (identifiers jsonb_path_ops);
 
 -- ============================================
 -- EDITIONS (Collectables variants)
@@ -227,12 +239,26 @@ CREATE TABLE editions (
     description TEXT,
     publisher TEXT,
     release_date DATE,
-    format VARCHAR(20),
+    format TEXT,
+    provider TEXT,              -- Source adapter: openLibrary, discogs, tmdb, igdb...
+    external_id TEXT,           -- Provider edition/release id
+    edition_type TEXT,          -- edition | release | master | theatrical | physical | platform_release...
+    identifiers JSONB NOT NULL DEFAULT '{}',
+    platform TEXT,
+    region TEXT,
+    release_year INTEGER,
+    cover_image_url TEXT,
+    metadata JSONB,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX idx_editions_collectable_id ON editions(collectable_id);
+CREATE UNIQUE INDEX idx_editions_provider_external ON editions(collectable_id, provider, external_id) WHERE external_id IS NOT NULL;
+
+ALTER TABLE collectables
+    ADD CONSTRAINT collectables_editions_id_fkey
+    FOREIGN KEY (editions_id) REFERENCES editions(id) ON DELETE SET NULL;
 
 -- ============================================
 -- MEDIA (Cached images and binaries)
@@ -354,7 +380,11 @@ CREATE TABLE user_collections (
     regional_item TEXT,
     barcode TEXT,
     item_specific_text TEXT,
+    edition_id INTEGER REFERENCES editions(id) ON DELETE SET NULL,
     platform_missing BOOLEAN NOT NULL DEFAULT FALSE,
+    card_condition TEXT,  -- 'mint', 'near_mint', 'lightly_played', 'moderately_played', 'heavily_played', 'damaged'
+    card_grading_company TEXT,  -- 'psa', 'bgs', 'cgc', 'sgc' for slabbed cards
+    card_grade DECIMAL(3,1) CHECK (card_grade >= 1 AND card_grade <= 10),
     notes TEXT,
     rating DECIMAL(2,1) CHECK (rating >= 0 AND rating <= 5),
     owner_photo_source TEXT,
@@ -431,6 +461,34 @@ CREATE INDEX idx_user_collections_user ON user_collections(user_id);
 CREATE INDEX idx_user_collections_collectable ON user_collections(collectable_id) WHERE collectable_id IS NOT NULL;
 CREATE UNIQUE INDEX idx_user_collections_unique_manual ON user_collections(user_id, shelf_id, manual_id) WHERE manual_id IS NOT NULL;
 CREATE INDEX idx_user_collections_owner_photo_crop ON user_collections(owner_photo_crop_id) WHERE owner_photo_crop_id IS NOT NULL;
+CREATE INDEX idx_user_collections_edition ON user_collections(edition_id) WHERE edition_id IS NOT NULL;
+
+-- ============================================
+-- ITEM LOANS (Lending tracker)
+-- ============================================
+CREATE TABLE item_loans (
+    id SERIAL PRIMARY KEY,
+    collection_item_id INTEGER NOT NULL REFERENCES user_collections(id) ON DELETE CASCADE,
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    borrower_user_id UUID REFERENCES users(id) ON DELETE SET NULL,  -- accepted friend, when lent to one
+    borrower_name TEXT NOT NULL,  -- free text, or the friend's name at lend time
+    lent_at DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_at DATE,
+    notes TEXT,
+    returned_at TIMESTAMPTZ,
+    overdue_notified_at TIMESTAMPTZ,  -- cleared when due_at changes
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT item_loans_borrower_name_check CHECK (BTRIM(borrower_name) <> ''),
+    CONSTRAINT item_loans_due_check CHECK (due_at IS NULL OR due_at >= lent_at)
+);
+
+CREATE INDEX idx_item_loans_owner ON item_loans(owner_id, returned_at);
+CREATE UNIQUE INDEX uq_item_loans_active_item ON item_loans(collection_item_id) WHERE returned_at IS NULL;
+CREATE INDEX idx_item_loans_borrower_active ON item_loans(borrower_user_id)
+    WHERE returned_at IS NULL AND borrower_user_id IS NOT NULL;
+CREATE INDEX idx_item_loans_overdue ON item_loans(due_at)
+    WHERE returned_at IS NULL AND due_at IS NOT NULL AND overdue_notified_at IS NULL;
 
 -- ============================================
 -- USER COLLECTION PLATFORMS (Per-item owned platforms)
@@ -494,6 +552,46 @@ CREATE INDEX idx_item_replacement_traces_target_collectable ON item_replacement_
 CREATE INDEX idx_item_replacement_traces_status ON item_replacement_traces(status);
 CREATE INDEX idx_item_replacement_traces_initiated_at ON item_replacement_traces(initiated_at);
 
+-- One row per user per (wrong match -> replacement) pair, learned from
+-- completed replacement traces. match_keys holds the OCR/lightweight
+-- fingerprints the wrong match was seen under.
+CREATE TABLE collectable_match_corrections (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_collectable_id INTEGER NOT NULL REFERENCES collectables(id) ON DELETE CASCADE,
+    target_collectable_id INTEGER NOT NULL REFERENCES collectables(id) ON DELETE CASCADE,
+    match_keys TEXT[] NOT NULL DEFAULT '{}',
+    ocr_title TEXT,
+    last_trace_id BIGINT REFERENCES item_replacement_traces(id) ON DELETE SET NULL,
+    correction_count INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_corrected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT uq_collectable_match_corrections_user_pair UNIQUE (user_id, source_collectable_id, target_collectable_id),
+    CONSTRAINT collectable_match_corrections_distinct_check CHECK (source_collectable_id <> target_collectable_id)
+);
+
+CREATE INDEX idx_collectable_match_corrections_source ON collectable_match_corrections(source_collectable_id);
+CREATE INDEX idx_collectable_match_corrections_target ON collectable_match_corrections(target_collectable_id);
+CREATE INDEX idx_collectable_match_corrections_keys ON collectable_match_corrections USING GIN (match_keys);
+
+-- ============================================
+-- VISION SCAN SESSIONS (Multi-photo shelf scans)
+-- ============================================
+CREATE TABLE vision_scan_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    shelf_id INTEGER NOT NULL REFERENCES shelves(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'processing', 'completed', 'failed', 'aborted')),
+    job_id TEXT,
+    result JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_vision_scan_sessions_user_shelf ON vision_scan_sessions(user_id, shelf_id, created_at);
+CREATE INDEX idx_vision_scan_sessions_job ON vision_scan_sessions(job_id);
+
 -- ============================================
 -- VISION SCAN PHOTOS (Private uploaded shelf photos)
 -- ============================================
@@ -508,11 +606,14 @@ CREATE TABLE vision_scan_photos (
     size_bytes INTEGER,
     width INTEGER,
     height INTEGER,
+    session_id INTEGER REFERENCES vision_scan_sessions(id) ON DELETE SET NULL,
+    session_position INTEGER,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(user_id, shelf_id, image_sha256)
 );
 
 CREATE INDEX idx_vision_scan_photos_user_shelf ON vision_scan_photos(user_id, shelf_id);
+CREATE INDEX idx_vision_scan_photos_session ON vision_scan_photos(session_id, session_position) WHERE session_id IS NOT NULL;
 
 -- ============================================
 -- VISION ITEM REGIONS (Bounding boxes from vision scans)
@@ -567,6 +668,34 @@ ALTER TABLE user_collections
     ADD CONSTRAINT user_collections_owner_photo_crop_id_fkey
     FOREIGN KEY (owner_photo_crop_id) REFERENCES vision_item_crops(id) ON DELETE SET NULL;
 
+-- Physical shelf order derived from the latest scan that saw the item
+ALTER TABLE user_collections
+    ADD COLUMN shelf_row INTEGER,
+    ADD COLUMN shelf_row_position INTEGER,
+    ADD COLUMN layout_region_id INTEGER REFERENCES vision_item_regions(id) ON DELETE SET NULL,
+    ADD COLUMN layout_updated_at TIMESTAMPTZ;
+
+CREATE INDEX idx_user_collections_layout_region ON user_collections(layout_region_id) WHERE layout_region_id IS NOT NULL;
+
+-- ============================================
+-- VISION RESCAN DIFFS (New / missing / moved items awaiting confirmation)
+-- ============================================
+CREATE TABLE vision_rescan_diffs (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    shelf_id INTEGER NOT NULL REFERENCES shelves(id) ON DELETE CASCADE,
+    scan_photo_id INTEGER REFERENCES vision_scan_photos(id) ON DELETE SET NULL,
+    session_id INTEGER REFERENCES vision_scan_sessions(id) ON DELETE SET NULL,
+    job_id TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'dismissed')),
+    diff JSONB NOT NULL,
+    removed_item_ids INTEGER[],
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_vision_rescan_diffs_user_shelf ON vision_rescan_diffs(user_id, shelf_id, created_at);
+
 -- ============================================
 -- VISION RESULT CACHE (Image idempotency)
 -- ============================================
@@ -582,6 +711,35 @@ CREATE TABLE vision_result_cache (
 
 CREATE INDEX idx_vision_result_cache_expires_at ON vision_result_cache(expires_at);
 
+-- ============================================
+-- CATALOG RESPONSE CACHE (Shared provider lookups)
+-- ============================================
+CREATE TABLE catalog_response_cache (
+    provider TEXT NOT NULL,
+    operation TEXT NOT NULL,
+    cache_key TEXT NOT NULL,          -- sha256 of the normalized query
+    query_text TEXT,                  -- Normalized query, for admin inspection
+    response JSONB,                   -- NULL when is_negative
+    is_negative BOOLEAN NOT NULL DEFAULT false,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_hit_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (provider, operation, cache_key)
+);
+
+CREATE INDEX idx_catalog_response_cache_expires_at ON catalog_response_cache(expires_at);
+
+CREATE TABLE catalog_response_cache_stats (
+    provider TEXT NOT NULL,
+    operation TEXT NOT NULL,
+    stat_date DATE NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    negative_hits INTEGER NOT NULL DEFAULT 0,
+    misses INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider, operation, stat_date)
+);
+
 -- ============================================
 -- USER RATINGS (Decoupled from collections)
 -- ============================================
@@ -730,6 +888,98 @@ CREATE INDEX idx_event_aggregates_last_activity ON event_aggregates(last_activit
 CREATE INDEX idx_event_aggregates_collectable ON event_aggregates(collectable_id);
 CREATE INDEX idx_event_aggregates_manual ON event_aggregates(manual_id);
 
+-- ============================================
+-- CONSUMPTION SESSIONS (Reading/watching/playing log)
+-- ============================================
+CREATE TABLE consumption_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    collectable_id INTEGER REFERENCES collectables(id) ON DELETE CASCADE,
+    manual_id INTEGER REFERENCES user_manuals(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'in_progress',  -- 'in_progress', 'completed', 'abandoned'
+    play_number INTEGER NOT NULL DEFAULT 1,  -- 2+ for re-reads / replays
+    started_at DATE,
+    finished_at DATE,
+    progress_value NUMERIC(10,2),
+    progress_total NUMERIC(10,2),
+    progress_unit TEXT,
+    visibility TEXT NOT NULL DEFAULT 'public',  -- follows the latest check-in
+    notes TEXT,
+    last_checkin_event_id UUID REFERENCES event_aggregates(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT consumption_sessions_item_check CHECK ((collectable_id IS NOT NULL) <> (manual_id IS NOT NULL)),
+    CONSTRAINT consumption_sessions_status_check CHECK (status IN ('in_progress', 'completed', 'abandoned')),
+    CONSTRAINT consumption_sessions_visibility_check CHECK (visibility IN ('public', 'friends')),
+    CONSTRAINT consumption_sessions_progress_unit_check CHECK (
+        progress_unit IS NULL OR progress_unit IN ('pages', 'chapters', 'episodes', 'minutes', 'hours', 'percent')
+    ),
+    CONSTRAINT consumption_sessions_dates_check CHECK (finished_at IS NULL OR started_at IS NULL OR finished_at >= started_at),
+    CONSTRAINT consumption_sessions_progress_check CHECK (
+        (progress_value IS NULL OR progress_value >= 0)
+        AND (progress_total IS NULL OR progress_total > 0)
+    )
+);
+
+CREATE INDEX idx_consumption_sessions_user_status ON consumption_sessions(user_id, status);
+CREATE UNIQUE INDEX uq_consumption_sessions_open_collectable ON consumption_sessions(user_id, collectable_id)
+    WHERE status = 'in_progress' AND collectable_id IS NOT NULL;
+CREATE UNIQUE INDEX uq_consumption_sessions_open_manual ON consumption_sessions(user_id, manual_id)
+    WHERE status = 'in_progress' AND manual_id IS NOT NULL;
+CREATE INDEX idx_consumption_sessions_user_finished ON consumption_sessions(user_id, finished_at)
+    WHERE status = 'completed';
+
+-- ============================================
+-- YEARLY GOALS & FRIEND CHALLENGES
+-- ============================================
+-- Progress is computed from check-in completions (event_aggregates) and item
+-- additions (event_logs); no counters are stored here.
+CREATE TABLE user_goals (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    category TEXT NOT NULL,  -- canonical shelf type or 'all'
+    metric TEXT NOT NULL,  -- 'completed' (check-ins) or 'added' (items added)
+    target INTEGER NOT NULL,
+    visibility TEXT NOT NULL DEFAULT 'public',
+    last_milestone INTEGER NOT NULL DEFAULT 0,  -- last feed milestone posted (25/50/75/100)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT uq_user_goals_user_year_category_metric UNIQUE (user_id, year, category, metric),
+    CONSTRAINT user_goals_metric_check CHECK (metric IN ('completed', 'added')),
+    CONSTRAINT user_goals_target_check CHECK (target > 0),
+    CONSTRAINT user_goals_visibility_check CHECK (visibility IN ('public', 'friends'))
+);
+
+CREATE TABLE goal_challenges (
+    id SERIAL PRIMARY KEY,
+    creator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    category TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    target INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT goal_challenges_metric_check CHECK (metric IN ('completed', 'added')),
+    CONSTRAINT goal_challenges_target_check CHECK (target > 0)
+);
+
+CREATE INDEX idx_goal_challenges_creator ON goal_challenges(creator_id);
+
+CREATE TABLE goal_challenge_participants (
+    challenge_id INTEGER NOT NULL REFERENCES goal_challenges(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'invited',  -- 'invited', 'joined', 'declined'
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (challenge_id, user_id),
+    CONSTRAINT goal_challenge_participants_status_check CHECK (status IN ('invited', 'joined', 'declined'))
+);
+
+CREATE INDEX idx_goal_challenge_participants_user ON goal_challenge_participants(user_id, status);
+
 -- ============================================
 -- EVENT LOGS (Activity feed items)
 -- ============================================
@@ -787,9 +1037,9 @@ CREATE TABLE notifications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
-    type TEXT NOT NULL CHECK (type IN ('like', 'comment', 'friend_request', 'friend_accept', 'mention', 'workflow_complete', 'workflow_failed')),
+    type TEXT NOT NULL CHECK (type IN ('like', 'comment', 'friend_request', 'friend_accept', 'mention', 'workflow_complete', 'workflow_failed', 'vision_quota_warning', 'loan_overdue', 'goal_challenge', 'wishlist_alert')),
     entity_id TEXT NOT NULL,
-    entity_type TEXT NOT NULL CHECK (entity_type IN ('event', 'friendship', 'workflow_job')),
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('event', 'friendship', 'workflow_job', 'vision_quota', 'loan', 'goal_challenge', 'wishlist_item')),
     metadata JSONB DEFAULT '{}' NOT NULL,
     is_read BOOLEAN DEFAULT FALSE NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
@@ -835,6 +1085,8 @@ CREATE TABLE notification_preferences (
     push_friend_accepts BOOLEAN DEFAULT TRUE NOT NULL,
     push_mentions BOOLEAN DEFAULT TRUE NOT NULL,
     push_workflow_jobs BOOLEAN DEFAULT TRUE NOT NULL,
+    push_loan_reminders BOOLEAN DEFAULT TRUE NOT NULL,
+    push_wishlist_alerts BOOLEAN DEFAULT TRUE NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
 );
@@ -863,6 +1115,8 @@ CREATE TABLE user_vision_quota (
     scans_used INTEGER DEFAULT 0 NOT NULL,
     tokens_used BIGINT DEFAULT 0 NOT NULL,
     output_tokens_used BIGINT DEFAULT 0 NOT NULL,
+    rollover_scans INTEGER DEFAULT 0 NOT NULL,
+    warned_threshold INTEGER DEFAULT 0 NOT NULL,
     period_start TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
@@ -879,11 +1133,32 @@ CREATE TABLE vision_token_log (
     prompt_tokens INTEGER DEFAULT 0 NOT NULL,
     candidates_tokens INTEGER DEFAULT 0 NOT NULL,
     total_tokens INTEGER DEFAULT 0 NOT NULL,
+    shelf_id INTEGER REFERENCES shelves(id) ON DELETE SET NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
 );
 
 CREATE INDEX idx_vision_token_log_user_id ON vision_token_log(user_id);
 CREATE INDEX idx_vision_token_log_job_id ON vision_token_log(job_id);
+CREATE INDEX idx_vision_token_log_user_created ON vision_token_log(user_id, created_at);
+
+-- ============================================
+-- AI SPEND LOG
+-- ============================================
+CREATE TABLE ai_spend_log (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    job_id TEXT,
+    call_label TEXT NOT NULL,
+    model TEXT,
+    prompt_tokens INTEGER DEFAULT 0 NOT NULL,
+    candidates_tokens INTEGER DEFAULT 0 NOT NULL,
+    total_tokens INTEGER DEFAULT 0 NOT NULL,
+    cost_usd NUMERIC(14, 6) DEFAULT 0 NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_ai_spend_log_created_at ON ai_spend_log(created_at);
+CREATE INDEX idx_ai_spend_log_user_created ON ai_spend_log(user_id, created_at);
 
 -- ============================================
 -- ADMIN ACTION LOGS
@@ -985,10 +1260,10 @@ CREATE INDEX idx_job_events_created_at ON job_events(created_at);
 CREATE TABLE workflow_queue_jobs (
     job_id TEXT PRIMARY KEY,
     workflow_type TEXT NOT NULL,
-    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL for scheduled system jobs
     shelf_id INTEGER REFERENCES shelves(id) ON DELETE SET NULL,
     status TEXT NOT NULL DEFAULT 'queued'
-        CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'aborted')),
+        CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'aborted', 'dead')),
     priority INTEGER NOT NULL DEFAULT 100,
     attempt_count INTEGER NOT NULL DEFAULT 0,
     max_attempts INTEGER NOT NULL DEFAULT 1,
@@ -999,6 +1274,13 @@ CREATE TABLE workflow_queue_jobs (
     payload JSONB NOT NULL DEFAULT '{}'::jsonb,
     result JSONB,
     error JSONB,
+    error_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+    step TEXT,
+    progress INTEGER NOT NULL DEFAULT 0,
+    progress_message TEXT,
+    heartbeat_at TIMESTAMPTZ,
+    run_after TIMESTAMPTZ,
+    dead_lettered_at TIMESTAMPTZ,
     claimed_at TIMESTAMPTZ,
     started_at TIMESTAMPTZ,
     finished_at TIMESTAMPTZ,
@@ -1012,10 +1294,31 @@ CREATE INDEX idx_workflow_queue_claim_order ON workflow_queue_jobs(workflow_type
 CREATE INDEX idx_workflow_queue_user_status ON workflow_queue_jobs(user_id, workflow_type, status, created_at)
     WHERE status IN ('queued', 'processing');
 CREATE INDEX idx_workflow_queue_status_updated ON workflow_queue_jobs(status, updated_at);
+CREATE INDEX idx_workflow_queue_processing_heartbeat ON workflow_queue_jobs(heartbeat_at)
+    WHERE status = 'processing';
+CREATE INDEX idx_workflow_queue_dead ON workflow_queue_jobs(dead_lettered_at DESC)
+    WHERE status = 'dead';
 CREATE UNIQUE INDEX uq_workflow_queue_dedupe_active
     ON workflow_queue_jobs(workflow_type, dedupe_key)
     WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'processing');
 
+CREATE TABLE workflow_schedules (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    cron TEXT NOT NULL, -- five-field cron, evaluated in UTC
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMPTZ,
+    last_run_at TIMESTAMPTZ,
+    last_job_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_workflow_schedules_due ON workflow_schedules(next_run_at)
+    WHERE enabled = TRUE;
+
 -- ============================================
 -- NEWS ITEMS (Trending/Upcoming from APIs)
 -- ============================================
@@ -1127,6 +1430,7 @@ CREATE TABLE wishlists (
     name VARCHAR(255) NOT NULL,
     description TEXT,
     visibility VARCHAR(20) DEFAULT 'private',
+    gift_mode BOOLEAN DEFAULT FALSE NOT NULL,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
@@ -1134,6 +1438,17 @@ CREATE TABLE wishlists (
 CREATE INDEX idx_wishlists_user ON wishlists(user_id);
 CREATE INDEX idx_wishlists_visibility ON wishlists(visibility);
 
+-- Co-owners who can edit a wishlist alongside its creator (wishlists.user_id)
+CREATE TABLE wishlist_owners (
+    wishlist_id INTEGER NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    PRIMARY KEY (wishlist_id, user_id)
+);
+
+CREATE INDEX idx_wishlist_owners_user ON wishlist_owners(user_id);
+
 CREATE TABLE wishlist_items (
     id SERIAL PRIMARY KEY,
     wishlist_id INTEGER NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
@@ -1141,11 +1456,42 @@ CREATE TABLE wishlist_items (
     manual_text TEXT,
     notes TEXT,
     priority INTEGER DEFAULT 0,
+    watch BOOLEAN DEFAULT FALSE NOT NULL,
+    alerts_muted BOOLEAN DEFAULT FALSE NOT NULL,
+    target_price NUMERIC(10, 2) CHECK (target_price IS NULL OR target_price > 0),
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    received_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_wishlist_items_wishlist ON wishlist_items(wishlist_id);
 CREATE INDEX idx_wishlist_items_collectable ON wishlist_items(collectable_id);
+CREATE INDEX idx_wishlist_items_watch ON wishlist_items(collectable_id) WHERE watch = TRUE;
+
+-- One row per release/price alert raised for a watched wishlist item
+CREATE TABLE wishlist_item_alerts (
+    id SERIAL PRIMARY KEY,
+    wishlist_item_id INTEGER NOT NULL REFERENCES wishlist_items(id) ON DELETE CASCADE,
+    alert_type TEXT NOT NULL CHECK (alert_type IN ('release_date', 'physical_release', 'price_drop')),
+    dedupe_key TEXT NOT NULL,
+    news_item_id INTEGER REFERENCES news_items(id) ON DELETE SET NULL,
+    details JSONB DEFAULT '{}' NOT NULL,
+    notified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT uq_wishlist_item_alerts_dedupe UNIQUE (wishlist_item_id, alert_type, dedupe_key)
+);
+
+-- Gift-mode reservations by friends; never returned to the wishlist's owners
+CREATE TABLE wishlist_item_reservations (
+    id SERIAL PRIMARY KEY,
+    wishlist_item_id INTEGER NOT NULL REFERENCES wishlist_items(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT uq_wishlist_item_reservations_item UNIQUE (wishlist_item_id)
+);
+
+CREATE INDEX idx_wishlist_item_reservations_user ON wishlist_item_reservations(user_id);
 
 -- ============================================
 -- HELPER FUNCTIONS
@@ -1209,6 +1555,10 @@ CREATE TRIGGER update_moderation_entities_updated_at
     BEFORE UPDATE ON moderation_entities
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_vision_scan_sessions_updated_at
+    BEFORE UPDATE ON vision_scan_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================
 -- DEFAULT SYSTEM SETTINGS
 -- ============================================
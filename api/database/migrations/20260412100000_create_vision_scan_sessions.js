@@ -0,0 +1,69 @@
+exports.up = async function (knex) {
+  const hasSessions = await knex.schema.hasTable('vision_scan_sessions');
+  if (!hasSessions) {
+    await knex.schema.createTable('vision_scan_sessions', (table) => {
+      table.increments('id').primary();
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.integer('shelf_id').notNullable().references('id').inTable('shelves').onDelete('CASCADE');
+      table.text('status').notNullable().defaultTo('open');
+      table.text('job_id').nullable();
+      table.jsonb('result').nullable();
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      table.timestamp('completed_at', { useTz: true }).nullable();
+
+      table.index(['user_id', 'shelf_id', 'created_at'], 'idx_vision_scan_sessions_user_shelf');
+      table.index(['job_id'], 'idx_vision_scan_sessions_job');
+    });
+
+    await knex.raw(`
+      ALTER TABLE vision_scan_sessions
+      ADD CONSTRAINT vision_scan_sessions_status_check
+      CHECK (status IN ('open', 'processing', 'completed', 'failed', 'aborted'))
+    `);
+
+    await knex.raw(`
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+          DROP TRIGGER IF EXISTS update_vision_scan_sessions_updated_at ON vision_scan_sessions;
+          CREATE TRIGGER update_vision_scan_sessions_updated_at
+            BEFORE UPDATE ON vision_scan_sessions
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+        END IF;
+      END $$;
+    `);
+  }
+
+  const hasScanPhotos = await knex.schema.hasTable('vision_scan_photos');
+  if (!hasScanPhotos) return;
+
+  const hasSessionId = await knex.schema.hasColumn('vision_scan_photos', 'session_id');
+  if (!hasSessionId) {
+    await knex.schema.alterTable('vision_scan_photos', (table) => {
+      table.integer('session_id').nullable().references('id').inTable('vision_scan_sessions').onDelete('SET NULL');
+      table.integer('session_position').nullable();
+    });
+    await knex.raw(`
+      CREATE INDEX IF NOT EXISTS idx_vision_scan_photos_session
+      ON vision_scan_photos (session_id, session_position)
+      WHERE session_id IS NOT NULL
+    `);
+  }
+};
+
+exports.down = async function (knex) {
+  const hasScanPhotos = await knex.schema.hasTable('vision_scan_photos');
+  if (hasScanPhotos) {
+    const hasSessionId = await knex.schema.hasColumn('vision_scan_photos', 'session_id');
+    if (hasSessionId) {
+      await knex.raw('DROP INDEX IF EXISTS idx_vision_scan_photos_session');
+      await knex.schema.alterTable('vision_scan_photos', (table) => {
+        table.dropColumn('session_position');
+        table.dropColumn('session_id');
+      });
+    }
+  }
+
+  await knex.schema.dropTableIfExists('vision_scan_sessions');
+};
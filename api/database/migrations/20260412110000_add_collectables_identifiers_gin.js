@@ -0,0 +1,13 @@
+exports.up = async function (knex) {
+  await knex.raw(`
+    CREATE INDEX IF NOT EXISTS idx_collectables_identifiers_gin
+    ON collectables
+    USING GIN (identifiers jsonb_path_ops)
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`
+    DROP INDEX IF EXISTS idx_collectables_identifiers_gin
+  `);
+};
@@ -0,0 +1,17 @@
+exports.up = async function (knex) {
+  const hasSeries = await knex.schema.hasColumn('collectables', 'series');
+  if (!hasSeries) {
+    await knex.schema.alterTable('collectables', (table) => {
+      table.text('series');
+    });
+  }
+};
+
+exports.down = async function (knex) {
+  const hasSeries = await knex.schema.hasColumn('collectables', 'series');
+  if (hasSeries) {
+    await knex.schema.alterTable('collectables', (table) => {
+      table.dropColumn('series');
+    });
+  }
+};
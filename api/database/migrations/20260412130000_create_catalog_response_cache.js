@@ -0,0 +1,37 @@
+exports.up = async function (knex) {
+    const hasCache = await knex.schema.hasTable('catalog_response_cache');
+    if (!hasCache) {
+        await knex.schema.createTable('catalog_response_cache', (table) => {
+            table.text('provider').notNullable();
+            table.text('operation').notNullable();
+            table.text('cache_key').notNullable();
+            table.text('query_text');
+            table.jsonb('response');
+            table.boolean('is_negative').notNullable().defaultTo(false);
+            table.integer('hit_count').notNullable().defaultTo(0);
+            table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+            table.timestamp('last_hit_at', { useTz: true });
+            table.timestamp('expires_at', { useTz: true }).notNullable();
+            table.primary(['provider', 'operation', 'cache_key']);
+            table.index(['expires_at'], 'idx_catalog_response_cache_expires_at');
+        });
+    }
+
+    const hasStats = await knex.schema.hasTable('catalog_response_cache_stats');
+    if (!hasStats) {
+        await knex.schema.createTable('catalog_response_cache_stats', (table) => {
+            table.text('provider').notNullable();
+            table.text('operation').notNullable();
+            table.date('stat_date').notNullable();
+            table.integer('hits').notNullable().defaultTo(0);
+            table.integer('negative_hits').notNullable().defaultTo(0);
+            table.integer('misses').notNullable().defaultTo(0);
+            table.primary(['provider', 'operation', 'stat_date']);
+        });
+    }
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('catalog_response_cache_stats');
+    await knex.schema.dropTableIfExists('catalog_response_cache');
+};
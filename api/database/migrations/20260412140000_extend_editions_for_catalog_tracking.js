@@ -0,0 +1,84 @@
+const EDITION_COLUMNS = [
+  ['provider', (table) => table.text('provider')],
+  ['external_id', (table) => table.text('external_id')],
+  ['edition_type', (table) => table.text('edition_type')],
+  ['identifiers', (table, knex) => table.jsonb('identifiers').notNullable().defaultTo(knex.raw("'{}'::jsonb"))],
+  ['platform', (table) => table.text('platform')],
+  ['region', (table) => table.text('region')],
+  ['release_year', (table) => table.integer('release_year')],
+  ['cover_image_url', (table) => table.text('cover_image_url')],
+  ['metadata', (table) => table.jsonb('metadata')],
+];
+
+exports.up = async function (knex) {
+  for (const [column, addColumn] of EDITION_COLUMNS) {
+    const exists = await knex.schema.hasColumn('editions', column);
+    if (!exists) {
+      await knex.schema.alterTable('editions', (table) => {
+        addColumn(table, knex);
+      });
+    }
+  }
+
+  // Provider format strings ("Vinyl, LP, Album, Reissue") overflow VARCHAR(20).
+  await knex.raw('ALTER TABLE editions ALTER COLUMN format TYPE TEXT');
+
+  await knex.raw(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_editions_provider_external
+    ON editions(collectable_id, provider, external_id)
+    WHERE external_id IS NOT NULL
+  `);
+
+  await knex.raw(`
+    UPDATE collectables c
+    SET editions_id = NULL
+    WHERE editions_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM editions e WHERE e.id = c.editions_id)
+  `);
+  await knex.raw(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'collectables_editions_id_fkey'
+      ) THEN
+        ALTER TABLE collectables
+          ADD CONSTRAINT collectables_editions_id_fkey
+          FOREIGN KEY (editions_id) REFERENCES editions(id) ON DELETE SET NULL;
+      END IF;
+    END $$;
+  `);
+
+  const hasEditionId = await knex.schema.hasColumn('user_collections', 'edition_id');
+  if (!hasEditionId) {
+    await knex.schema.alterTable('user_collections', (table) => {
+      table.integer('edition_id').references('id').inTable('editions').onDelete('SET NULL');
+    });
+  }
+  await knex.raw(`
+    CREATE INDEX IF NOT EXISTS idx_user_collections_edition
+    ON user_collections(edition_id)
+    WHERE edition_id IS NOT NULL
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.raw('DROP INDEX IF EXISTS idx_user_collections_edition');
+  const hasEditionId = await knex.schema.hasColumn('user_collections', 'edition_id');
+  if (hasEditionId) {
+    await knex.schema.alterTable('user_collections', (table) => {
+      table.dropColumn('edition_id');
+    });
+  }
+
+  await knex.raw('ALTER TABLE collectables DROP CONSTRAINT IF EXISTS collectables_editions_id_fkey');
+  await knex.raw('DROP INDEX IF EXISTS idx_editions_provider_external');
+
+  for (const [column] of [...EDITION_COLUMNS].reverse()) {
+    const exists = await knex.schema.hasColumn('editions', column);
+    if (exists) {
+      await knex.schema.alterTable('editions', (table) => {
+        table.dropColumn(column);
+      });
+    }
+  }
+};
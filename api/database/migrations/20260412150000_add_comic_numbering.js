@@ -0,0 +1,64 @@
+// Shelf types that resolved to `books` through the old "comic"/"manga"
+// aliases (and "graphic novel" via "novel"). They now resolve to `comics`,
+// so pin existing shelves to `books` to keep their catalog behaviour. The
+// label the user entered is kept in shelves.legacy_type and restored by down.
+const LEGACY_COMIC_SHELF_TYPE_PATTERN = '(comic|manga|graphic novel)';
+
+exports.up = async function (knex) {
+  const hasIssueNumber = await knex.schema.hasColumn('collectables', 'issue_number');
+  if (!hasIssueNumber) {
+    await knex.schema.alterTable('collectables', (table) => {
+      table.text('issue_number');
+    });
+  }
+
+  const hasVolumeNumber = await knex.schema.hasColumn('collectables', 'volume_number');
+  if (!hasVolumeNumber) {
+    await knex.schema.alterTable('collectables', (table) => {
+      table.integer('volume_number');
+    });
+  }
+
+  const hasLegacyType = await knex.schema.hasColumn('shelves', 'legacy_type');
+  if (!hasLegacyType) {
+    await knex.schema.alterTable('shelves', (table) => {
+      table.text('legacy_type');
+    });
+  }
+
+  await knex.raw(
+    `UPDATE shelves
+     SET legacy_type = COALESCE(legacy_type, type), type = 'books', updated_at = NOW()
+     WHERE type ~* ?`,
+    [LEGACY_COMIC_SHELF_TYPE_PATTERN],
+  );
+};
+
+exports.down = async function (knex) {
+  const hasLegacyType = await knex.schema.hasColumn('shelves', 'legacy_type');
+  if (hasLegacyType) {
+    await knex.raw(
+      `UPDATE shelves
+       SET type = legacy_type, legacy_type = NULL, updated_at = NOW()
+       WHERE type = 'books' AND legacy_type ~* ?`,
+      [LEGACY_COMIC_SHELF_TYPE_PATTERN],
+    );
+    await knex.schema.alterTable('shelves', (table) => {
+      table.dropColumn('legacy_type');
+    });
+  }
+
+  const hasVolumeNumber = await knex.schema.hasColumn('collectables', 'volume_number');
+  if (hasVolumeNumber) {
+    await knex.schema.alterTable('collectables', (table) => {
+      table.dropColumn('volume_number');
+    });
+  }
+
+  const hasIssueNumber = await knex.schema.hasColumn('collectables', 'issue_number');
+  if (hasIssueNumber) {
+    await knex.schema.alterTable('collectables', (table) => {
+      table.dropColumn('issue_number');
+    });
+  }
+};
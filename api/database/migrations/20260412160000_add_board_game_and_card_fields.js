@@ -0,0 +1,67 @@
+const COLLECTABLE_COLUMNS = [
+  ['min_players', (table) => table.integer('min_players')],
+  ['min_play_time', (table) => table.integer('min_play_time')],
+  ['max_play_time', (table) => table.integer('max_play_time')],
+  ['set_code', (table) => table.text('set_code')],
+  ['set_name', (table) => table.text('set_name')],
+  ['collector_number', (table) => table.text('collector_number')],
+];
+
+const CARD_GRADE_CHECK = 'user_collections_card_grade_check';
+
+exports.up = async function up(knex) {
+  for (const [column, addColumn] of COLLECTABLE_COLUMNS) {
+    const hasColumn = await knex.schema.hasColumn('collectables', column);
+    if (!hasColumn) {
+      await knex.schema.alterTable('collectables', addColumn);
+    }
+  }
+
+  const hasCardDefaults = await knex.schema.hasColumn('shelves', 'card_defaults');
+  if (!hasCardDefaults) {
+    await knex.schema.alterTable('shelves', (table) => {
+      table.jsonb('card_defaults').nullable();
+    });
+  }
+
+  const hasCardCondition = await knex.schema.hasColumn('user_collections', 'card_condition');
+  if (!hasCardCondition) {
+    await knex.schema.alterTable('user_collections', (table) => {
+      table.text('card_condition');
+      table.text('card_grading_company');
+      table.decimal('card_grade', 3, 1);
+    });
+    await knex.raw(
+      `ALTER TABLE user_collections
+       ADD CONSTRAINT ${CARD_GRADE_CHECK} CHECK (card_grade >= 1 AND card_grade <= 10)`,
+    );
+  }
+};
+
+exports.down = async function down(knex) {
+  const hasCardCondition = await knex.schema.hasColumn('user_collections', 'card_condition');
+  if (hasCardCondition) {
+    await knex.raw(`ALTER TABLE user_collections DROP CONSTRAINT IF EXISTS ${CARD_GRADE_CHECK}`);
+    await knex.schema.alterTable('user_collections', (table) => {
+      table.dropColumn('card_grade');
+      table.dropColumn('card_grading_company');
+      table.dropColumn('card_condition');
+    });
+  }
+
+  const hasCardDefaults = await knex.schema.hasColumn('shelves', 'card_defaults');
+  if (hasCardDefaults) {
+    await knex.schema.alterTable('shelves', (table) => {
+      table.dropColumn('card_defaults');
+    });
+  }
+
+  for (const [column] of [...COLLECTABLE_COLUMNS].reverse()) {
+    const hasColumn = await knex.schema.hasColumn('collectables', column);
+    if (hasColumn) {
+      await knex.schema.alterTable('collectables', (table) => {
+        table.dropColumn(column);
+      });
+    }
+  }
+};
@@ -0,0 +1,87 @@
+// Shelf types that resolve to the new `boardgames`/`cards` types but resolved
+// to `games` or `other` before they existed ("board games" fuzzy-matched
+// "game", "trading cards" matched nothing). Pin existing shelves to their old
+// type so their catalogs and re-scan matching stay the same; the label the
+// user entered is kept in shelves.legacy_type and restored by down.
+//
+// Both alias tables are frozen copies of config/shelfType.json as of this
+// migration, in the resolver's lookup order.
+const PREVIOUS_SHELF_TYPE_ALIASES = [
+  ['comics', ['comic', 'comic book', 'comic books', 'comicbook', 'comicbooks', 'manga', 'graphic novel', 'graphic novels']],
+  ['books', ['book', 'novel', 'novels']],
+  ['movies', ['movie', 'film', 'films', 'blu-ray', 'bluray', 'dvd', '4k', 'uhd', 'vhs']],
+  ['games', ['game', 'video game', 'video games', 'nintendo', 'playstation', 'xbox', 'switch', 'pc games']],
+  ['tv', ['television', 'series', 'show', 'shows', 'tv show', 'tv shows', 'tv series']],
+  ['vinyl', ['album', 'record', 'lp', 'records']],
+  ['other', []],
+];
+
+const TABLETOP_SHELF_TYPE_ALIASES = [
+  ['boardgames', ['boardgame', 'board game', 'board games', 'tabletop', 'tabletop game', 'tabletop games']],
+  ['cards', ['card', 'trading card', 'trading cards', 'tcg', 'ccg', 'magic the gathering', 'mtg', 'pokemon cards', 'pokemon tcg']],
+];
+
+const TABLETOP_TYPES = TABLETOP_SHELF_TYPE_ALIASES.map(([canonical]) => canonical);
+
+function buildAliasMap(types) {
+  const map = new Map();
+  for (const [canonical, aliases] of types) {
+    map.set(canonical, canonical);
+    aliases.forEach((alias) => map.set(alias, canonical));
+  }
+  return map;
+}
+
+// Same matching as services/config/shelfTypeResolver.resolveShelfType().
+function resolveWith(aliasMap, input) {
+  const normalized = String(input || '').trim().toLowerCase();
+  if (!normalized) return 'other';
+  if (aliasMap.has(normalized)) return aliasMap.get(normalized);
+  for (const [alias, canonical] of aliasMap.entries()) {
+    if (normalized.includes(alias) || alias.includes(normalized)) return canonical;
+  }
+  return 'other';
+}
+
+const previousAliasMap = buildAliasMap(PREVIOUS_SHELF_TYPE_ALIASES);
+const currentAliasMap = buildAliasMap([...TABLETOP_SHELF_TYPE_ALIASES, ...PREVIOUS_SHELF_TYPE_ALIASES]);
+
+exports.up = async function (knex) {
+  const hasLegacyType = await knex.schema.hasColumn('shelves', 'legacy_type');
+  if (!hasLegacyType) {
+    await knex.schema.alterTable('shelves', (table) => {
+      table.text('legacy_type');
+    });
+  }
+
+  const { rows } = await knex.raw('SELECT DISTINCT type FROM shelves');
+  for (const { type } of rows) {
+    if (!TABLETOP_TYPES.includes(resolveWith(currentAliasMap, type))) continue;
+    const previousType = resolveWith(previousAliasMap, type);
+    await knex.raw(
+      `UPDATE shelves
+       SET legacy_type = COALESCE(legacy_type, type), type = ?, updated_at = NOW()
+       WHERE type = ?`,
+      [previousType, type],
+    );
+  }
+};
+
+exports.down = async function (knex) {
+  const hasLegacyType = await knex.schema.hasColumn('shelves', 'legacy_type');
+  if (!hasLegacyType) return;
+
+  const { rows } = await knex.raw(
+    'SELECT DISTINCT type, legacy_type FROM shelves WHERE legacy_type IS NOT NULL',
+  );
+  for (const { type, legacy_type: legacyType } of rows) {
+    if (!TABLETOP_TYPES.includes(resolveWith(currentAliasMap, legacyType))) continue;
+    if (type !== resolveWith(previousAliasMap, legacyType)) continue;
+    await knex.raw(
+      `UPDATE shelves
+       SET type = legacy_type, legacy_type = NULL, updated_at = NOW()
+       WHERE type = ? AND legacy_type = ?`,
+      [type, legacyType],
+    );
+  }
+};
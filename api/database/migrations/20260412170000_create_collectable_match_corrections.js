@@ -0,0 +1,36 @@
+exports.up = async function (knex) {
+    const exists = await knex.schema.hasTable('collectable_match_corrections');
+    if (exists) return;
+
+    await knex.schema.createTable('collectable_match_corrections', (table) => {
+        table.bigIncrements('id').primary();
+        table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+        table.integer('source_collectable_id').notNullable().references('id').inTable('collectables').onDelete('CASCADE');
+        table.integer('target_collectable_id').notNullable().references('id').inTable('collectables').onDelete('CASCADE');
+        table.specificType('match_keys', 'text[]').notNullable().defaultTo('{}');
+        table.text('ocr_title');
+        table.bigInteger('last_trace_id').nullable().references('id').inTable('item_replacement_traces').onDelete('SET NULL');
+        table.integer('correction_count').notNullable().defaultTo(1);
+        table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp('last_corrected_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.unique(['user_id', 'source_collectable_id', 'target_collectable_id'], {
+            indexName: 'uq_collectable_match_corrections_user_pair',
+        });
+        table.index(['source_collectable_id'], 'idx_collectable_match_corrections_source');
+        table.index(['target_collectable_id'], 'idx_collectable_match_corrections_target');
+    });
+
+    await knex.raw(`
+        ALTER TABLE collectable_match_corrections
+        ADD CONSTRAINT collectable_match_corrections_distinct_check
+        CHECK (source_collectable_id <> target_collectable_id)
+    `);
+    await knex.raw(`
+        CREATE INDEX idx_collectable_match_corrections_keys
+        ON collectable_match_corrections USING GIN (match_keys)
+    `);
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('collectable_match_corrections');
+};
@@ -0,0 +1,30 @@
+exports.up = async function (knex) {
+  const hasShelfRow = await knex.schema.hasColumn('user_collections', 'shelf_row');
+  if (hasShelfRow) return;
+
+  await knex.schema.alterTable('user_collections', (table) => {
+    table.integer('shelf_row').nullable();
+    table.integer('shelf_row_position').nullable();
+    table.integer('layout_region_id').nullable()
+      .references('id').inTable('vision_item_regions').onDelete('SET NULL');
+    table.timestamp('layout_updated_at', { useTz: true }).nullable();
+  });
+  await knex.raw(`
+    CREATE INDEX IF NOT EXISTS idx_user_collections_layout_region
+    ON user_collections (layout_region_id)
+    WHERE layout_region_id IS NOT NULL
+  `);
+};
+
+exports.down = async function (knex) {
+  const hasShelfRow = await knex.schema.hasColumn('user_collections', 'shelf_row');
+  if (!hasShelfRow) return;
+
+  await knex.raw('DROP INDEX IF EXISTS idx_user_collections_layout_region');
+  await knex.schema.alterTable('user_collections', (table) => {
+    table.dropColumn('layout_updated_at');
+    table.dropColumn('layout_region_id');
+    table.dropColumn('shelf_row_position');
+    table.dropColumn('shelf_row');
+  });
+};
@@ -0,0 +1,30 @@
+exports.up = async function (knex) {
+  const hasTable = await knex.schema.hasTable('vision_rescan_diffs');
+  if (hasTable) return;
+
+  await knex.schema.createTable('vision_rescan_diffs', (table) => {
+    table.increments('id').primary();
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('shelf_id').notNullable().references('id').inTable('shelves').onDelete('CASCADE');
+    table.integer('scan_photo_id').nullable().references('id').inTable('vision_scan_photos').onDelete('SET NULL');
+    table.integer('session_id').nullable().references('id').inTable('vision_scan_sessions').onDelete('SET NULL');
+    table.text('job_id').nullable();
+    table.text('status').notNullable().defaultTo('pending');
+    table.jsonb('diff').notNullable();
+    table.specificType('removed_item_ids', 'integer[]').nullable();
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.timestamp('resolved_at', { useTz: true }).nullable();
+
+    table.index(['user_id', 'shelf_id', 'created_at'], 'idx_vision_rescan_diffs_user_shelf');
+  });
+
+  await knex.raw(`
+    ALTER TABLE vision_rescan_diffs
+    ADD CONSTRAINT vision_rescan_diffs_status_check
+    CHECK (status IN ('pending', 'applied', 'dismissed'))
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('vision_rescan_diffs');
+};
@@ -0,0 +1,92 @@
+/**
+ * Vision quota plans: scan rollover and usage-warning bookkeeping on
+ * user_vision_quota, shelf attribution on vision_token_log for per-job
+ * history, and the vision_quota_warning notification type.
+ */
+exports.up = async function (knex) {
+  const hasRollover = await knex.schema.hasColumn('user_vision_quota', 'rollover_scans');
+  if (!hasRollover) {
+    await knex.schema.alterTable('user_vision_quota', (table) => {
+      table.integer('rollover_scans').notNullable().defaultTo(0);
+      table.integer('warned_threshold').notNullable().defaultTo(0);
+    });
+  }
+
+  const hasShelfId = await knex.schema.hasColumn('vision_token_log', 'shelf_id');
+  if (!hasShelfId) {
+    await knex.schema.alterTable('vision_token_log', (table) => {
+      table.integer('shelf_id').nullable().references('id').inTable('shelves').onDelete('SET NULL');
+      table.index(['user_id', 'created_at'], 'idx_vision_token_log_user_created');
+    });
+  }
+
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_type_check
+     CHECK (type IN (
+       'like',
+       'comment',
+       'friend_request',
+       'friend_accept',
+       'mention',
+       'workflow_complete',
+       'workflow_failed',
+       'vision_quota_warning'
+     ))`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_entity_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_entity_type_check
+     CHECK (entity_type IN ('event', 'friendship', 'workflow_job', 'vision_quota'))`
+  );
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`DELETE FROM notifications WHERE type = 'vision_quota_warning'`);
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_entity_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_entity_type_check
+     CHECK (entity_type IN ('event', 'friendship', 'workflow_job'))`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_type_check
+     CHECK (type IN (
+       'like',
+       'comment',
+       'friend_request',
+       'friend_accept',
+       'mention',
+       'workflow_complete',
+       'workflow_failed'
+     ))`
+  );
+
+  const hasShelfId = await knex.schema.hasColumn('vision_token_log', 'shelf_id');
+  if (hasShelfId) {
+    await knex.schema.alterTable('vision_token_log', (table) => {
+      table.dropIndex(['user_id', 'created_at'], 'idx_vision_token_log_user_created');
+      table.dropColumn('shelf_id');
+    });
+  }
+
+  const hasRollover = await knex.schema.hasColumn('user_vision_quota', 'rollover_scans');
+  if (hasRollover) {
+    await knex.schema.alterTable('user_vision_quota', (table) => {
+      table.dropColumn('rollover_scans');
+      table.dropColumn('warned_threshold');
+    });
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Per-call AI spend: one row per billed model call with the model, tokens and
+ * the cost priced at record time, for global budget caps and admin reporting.
+ */
+exports.up = async function (knex) {
+  const hasTable = await knex.schema.hasTable('ai_spend_log');
+  if (!hasTable) {
+    await knex.schema.createTable('ai_spend_log', (table) => {
+      table.bigIncrements('id').primary();
+      table.uuid('user_id').nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.text('job_id');
+      table.text('call_label').notNullable();
+      table.text('model');
+      table.integer('prompt_tokens').notNullable().defaultTo(0);
+      table.integer('candidates_tokens').notNullable().defaultTo(0);
+      table.integer('total_tokens').notNullable().defaultTo(0);
+      table.decimal('cost_usd', 14, 6).notNullable().defaultTo(0);
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      table.index(['created_at'], 'idx_ai_spend_log_created_at');
+      table.index(['user_id', 'created_at'], 'idx_ai_spend_log_user_created');
+    });
+  }
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('ai_spend_log');
+};
@@ -0,0 +1,45 @@
+/**
+ * Durable job progress: step/progress/message live on the queue row so any API
+ * instance can report them, and `heartbeat_at` lets a restarted instance tell
+ * orphaned `processing` jobs from ones another instance is still running.
+ */
+exports.up = async function up(knex) {
+  const hasTable = await knex.schema.hasTable('workflow_queue_jobs');
+  if (!hasTable) return;
+
+  const columns = [
+    ['step', (table) => table.text('step')],
+    ['progress', (table) => table.integer('progress').notNullable().defaultTo(0)],
+    ['progress_message', (table) => table.text('progress_message')],
+    ['heartbeat_at', (table) => table.timestamp('heartbeat_at', { useTz: true })],
+  ];
+  for (const [name, addColumn] of columns) {
+    const hasColumn = await knex.schema.hasColumn('workflow_queue_jobs', name);
+    if (!hasColumn) {
+      await knex.schema.alterTable('workflow_queue_jobs', (table) => {
+        addColumn(table);
+      });
+    }
+  }
+
+  await knex.raw(`
+    CREATE INDEX IF NOT EXISTS idx_workflow_queue_processing_heartbeat
+      ON workflow_queue_jobs(heartbeat_at)
+      WHERE status = 'processing'
+  `);
+};
+
+exports.down = async function down(knex) {
+  const hasTable = await knex.schema.hasTable('workflow_queue_jobs');
+  if (!hasTable) return;
+
+  await knex.raw('DROP INDEX IF EXISTS idx_workflow_queue_processing_heartbeat');
+  for (const name of ['heartbeat_at', 'progress_message', 'progress', 'step']) {
+    const hasColumn = await knex.schema.hasColumn('workflow_queue_jobs', name);
+    if (hasColumn) {
+      await knex.schema.alterTable('workflow_queue_jobs', (table) => {
+        table.dropColumn(name);
+      });
+    }
+  }
+};
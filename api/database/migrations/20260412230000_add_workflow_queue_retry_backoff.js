@@ -0,0 +1,71 @@
+/**
+ * Retry backoff and dead-lettering for the workflow queue: `run_after` holds a
+ * requeued job until its backoff elapses, `error_history` keeps one entry per
+ * failed attempt, and jobs that exhaust their retries land in the `dead` status.
+ */
+exports.up = async function up(knex) {
+  const hasTable = await knex.schema.hasTable('workflow_queue_jobs');
+  if (!hasTable) return;
+
+  const columns = [
+    ['run_after', (table) => table.timestamp('run_after', { useTz: true })],
+    ['error_history', (table) => table.jsonb('error_history').notNullable().defaultTo(knex.raw(`'[]'::jsonb`))],
+    ['dead_lettered_at', (table) => table.timestamp('dead_lettered_at', { useTz: true })],
+  ];
+  for (const [name, addColumn] of columns) {
+    const hasColumn = await knex.schema.hasColumn('workflow_queue_jobs', name);
+    if (!hasColumn) {
+      await knex.schema.alterTable('workflow_queue_jobs', (table) => {
+        addColumn(table);
+      });
+    }
+  }
+
+  await knex.raw(`
+    ALTER TABLE workflow_queue_jobs
+      DROP CONSTRAINT IF EXISTS chk_workflow_queue_jobs_status
+  `);
+  await knex.raw(`
+    ALTER TABLE workflow_queue_jobs
+      DROP CONSTRAINT IF EXISTS workflow_queue_jobs_status_check
+  `);
+  await knex.raw(`
+    ALTER TABLE workflow_queue_jobs
+      ADD CONSTRAINT chk_workflow_queue_jobs_status
+      CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'aborted', 'dead'))
+  `);
+  await knex.raw(`
+    CREATE INDEX IF NOT EXISTS idx_workflow_queue_dead
+      ON workflow_queue_jobs(dead_lettered_at DESC)
+      WHERE status = 'dead'
+  `);
+};
+
+exports.down = async function down(knex) {
+  const hasTable = await knex.schema.hasTable('workflow_queue_jobs');
+  if (!hasTable) return;
+
+  await knex.raw('DROP INDEX IF EXISTS idx_workflow_queue_dead');
+  await knex.raw(`
+    UPDATE workflow_queue_jobs
+    SET status = 'failed'
+    WHERE status = 'dead'
+  `);
+  await knex.raw(`
+    ALTER TABLE workflow_queue_jobs
+      DROP CONSTRAINT IF EXISTS chk_workflow_queue_jobs_status
+  `);
+  await knex.raw(`
+    ALTER TABLE workflow_queue_jobs
+      ADD CONSTRAINT chk_workflow_queue_jobs_status
+      CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'aborted'))
+  `);
+  for (const name of ['dead_lettered_at', 'error_history', 'run_after']) {
+    const hasColumn = await knex.schema.hasColumn('workflow_queue_jobs', name);
+    if (hasColumn) {
+      await knex.schema.alterTable('workflow_queue_jobs', (table) => {
+        table.dropColumn(name);
+      });
+    }
+  }
+};
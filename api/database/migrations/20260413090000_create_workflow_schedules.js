@@ -0,0 +1,44 @@
+/**
+ * Cron-style schedules for background jobs. Any API instance may hold the
+ * scheduler advisory lock and enqueue due runs into `workflow_queue_jobs`;
+ * `next_run_at` is advanced in the same transaction so a run is enqueued once.
+ * Scheduled runs are system work with no owner, so the queue's `user_id`
+ * becomes nullable.
+ */
+exports.up = async function up(knex) {
+  const hasTable = await knex.schema.hasTable('workflow_schedules');
+  if (!hasTable) {
+    await knex.schema.createTable('workflow_schedules', (table) => {
+      table.increments('id').primary();
+      table.text('name').notNullable().unique();
+      table.text('description');
+      table.text('cron').notNullable();
+      table.jsonb('payload').notNullable().defaultTo(knex.raw(`'{}'::jsonb`));
+      table.boolean('enabled').notNullable().defaultTo(true);
+      table.timestamp('next_run_at', { useTz: true });
+      table.timestamp('last_run_at', { useTz: true });
+      table.text('last_job_id');
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    });
+    await knex.raw(`
+      CREATE INDEX IF NOT EXISTS idx_workflow_schedules_due
+        ON workflow_schedules(next_run_at)
+        WHERE enabled = TRUE
+    `);
+  }
+
+  const hasQueue = await knex.schema.hasTable('workflow_queue_jobs');
+  if (hasQueue) {
+    await knex.raw('ALTER TABLE workflow_queue_jobs ALTER COLUMN user_id DROP NOT NULL');
+  }
+};
+
+exports.down = async function down(knex) {
+  const hasQueue = await knex.schema.hasTable('workflow_queue_jobs');
+  if (hasQueue) {
+    await knex.raw('DELETE FROM workflow_queue_jobs WHERE user_id IS NULL');
+    await knex.raw('ALTER TABLE workflow_queue_jobs ALTER COLUMN user_id SET NOT NULL');
+  }
+  await knex.schema.dropTableIfExists('workflow_schedules');
+};
@@ -0,0 +1,125 @@
+/**
+ * Lending tracker: item_loans on user_collections rows, the loan_overdue
+ * notification type and its push preference.
+ */
+exports.up = async function (knex) {
+  const hasTable = await knex.schema.hasTable('item_loans');
+  if (!hasTable) {
+    await knex.schema.createTable('item_loans', (table) => {
+      table.increments('id').primary();
+      table.integer('collection_item_id').notNullable().references('id').inTable('user_collections').onDelete('CASCADE');
+      table.uuid('owner_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.uuid('borrower_user_id').nullable().references('id').inTable('users').onDelete('SET NULL');
+      // Free-text borrower, or a snapshot of the friend's name so the record
+      // still reads well if their account goes away.
+      table.text('borrower_name').notNullable();
+      table.date('lent_at').notNullable().defaultTo(knex.raw('CURRENT_DATE'));
+      table.date('due_at').nullable();
+      table.text('notes').nullable();
+      table.timestamp('returned_at', { useTz: true }).nullable();
+      table.timestamp('overdue_notified_at', { useTz: true }).nullable();
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.index(['owner_id', 'returned_at'], 'idx_item_loans_owner');
+    });
+
+    await knex.raw(`
+      ALTER TABLE item_loans
+      ADD CONSTRAINT item_loans_borrower_name_check
+      CHECK (BTRIM(borrower_name) <> '')
+    `);
+    await knex.raw(`
+      ALTER TABLE item_loans
+      ADD CONSTRAINT item_loans_due_check
+      CHECK (due_at IS NULL OR due_at >= lent_at)
+    `);
+    await knex.raw(`
+      CREATE UNIQUE INDEX uq_item_loans_active_item
+      ON item_loans(collection_item_id)
+      WHERE returned_at IS NULL
+    `);
+    await knex.raw(`
+      CREATE INDEX idx_item_loans_borrower_active
+      ON item_loans(borrower_user_id)
+      WHERE returned_at IS NULL AND borrower_user_id IS NOT NULL
+    `);
+    await knex.raw(`
+      CREATE INDEX idx_item_loans_overdue
+      ON item_loans(due_at)
+      WHERE returned_at IS NULL AND due_at IS NOT NULL AND overdue_notified_at IS NULL
+    `);
+  }
+
+  const hasPreference = await knex.schema.hasColumn('notification_preferences', 'push_loan_reminders');
+  if (!hasPreference) {
+    await knex.schema.alterTable('notification_preferences', (table) => {
+      table.boolean('push_loan_reminders').notNullable().defaultTo(true);
+    });
+  }
+
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_type_check
+     CHECK (type IN (
+       'like',
+       'comment',
+       'friend_request',
+       'friend_accept',
+       'mention',
+       'workflow_complete',
+       'workflow_failed',
+       'vision_quota_warning',
+       'loan_overdue'
+     ))`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_entity_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_entity_type_check
+     CHECK (entity_type IN ('event', 'friendship', 'workflow_job', 'vision_quota', 'loan'))`
+  );
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`DELETE FROM notifications WHERE type = 'loan_overdue'`);
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_entity_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_entity_type_check
+     CHECK (entity_type IN ('event', 'friendship', 'workflow_job', 'vision_quota'))`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_type_check
+     CHECK (type IN (
+       'like',
+       'comment',
+       'friend_request',
+       'friend_accept',
+       'mention',
+       'workflow_complete',
+       'workflow_failed',
+       'vision_quota_warning'
+     ))`
+  );
+
+  const hasPreference = await knex.schema.hasColumn('notification_preferences', 'push_loan_reminders');
+  if (hasPreference) {
+    await knex.schema.alterTable('notification_preferences', (table) => {
+      table.dropColumn('push_loan_reminders');
+    });
+  }
+
+  await knex.schema.dropTableIfExists('item_loans');
+};
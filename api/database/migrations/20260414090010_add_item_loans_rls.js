@@ -0,0 +1,42 @@
+const TABLE = 'item_loans';
+
+exports.up = async function (knex) {
+  const exists = await knex.schema.hasTable(TABLE);
+  if (!exists) return;
+
+  await knex.raw(`ALTER TABLE ${TABLE} ENABLE ROW LEVEL SECURITY`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_owner ON ${TABLE}`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_borrower ON ${TABLE}`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_admin ON ${TABLE}`);
+
+  await knex.raw(`
+    CREATE POLICY ${TABLE}_owner ON ${TABLE}
+      FOR ALL
+      USING (owner_id = current_app_user_id())
+      WITH CHECK (owner_id = current_app_user_id())
+  `);
+
+  // Friends who borrowed an item can see the loan, but only the owner edits it.
+  await knex.raw(`
+    CREATE POLICY ${TABLE}_borrower ON ${TABLE}
+      FOR SELECT
+      USING (borrower_user_id = current_app_user_id())
+  `);
+
+  await knex.raw(`
+    CREATE POLICY ${TABLE}_admin ON ${TABLE}
+      FOR ALL
+      USING (is_current_user_admin())
+      WITH CHECK (is_current_user_admin())
+  `);
+};
+
+exports.down = async function (knex) {
+  const exists = await knex.schema.hasTable(TABLE);
+  if (!exists) return;
+
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_admin ON ${TABLE}`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_borrower ON ${TABLE}`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_owner ON ${TABLE}`);
+  await knex.raw(`ALTER TABLE ${TABLE} DISABLE ROW LEVEL SECURITY`);
+};
@@ -0,0 +1,84 @@
+/**
+ * Consumption log: one row per read/watch/play-through of a collectable or
+ * manual item, with start/finish dates and progress. Check-ins write to it.
+ */
+exports.up = async function (knex) {
+  const hasTable = await knex.schema.hasTable('consumption_sessions');
+  if (hasTable) return;
+
+  await knex.schema.createTable('consumption_sessions', (table) => {
+    table.increments('id').primary();
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.integer('collectable_id').nullable().references('id').inTable('collectables').onDelete('CASCADE');
+    table.integer('manual_id').nullable().references('id').inTable('user_manuals').onDelete('CASCADE');
+    table.text('status').notNullable().defaultTo('in_progress');
+    // 1 for the first read/play-through, 2 for the first re-read, ...
+    table.integer('play_number').notNullable().defaultTo(1);
+    table.date('started_at').nullable();
+    table.date('finished_at').nullable();
+    table.decimal('progress_value', 10, 2).nullable();
+    table.decimal('progress_total', 10, 2).nullable();
+    table.text('progress_unit').nullable();
+    table.text('visibility').notNullable().defaultTo('public');
+    table.text('notes').nullable();
+    table.uuid('last_checkin_event_id').nullable().references('id').inTable('event_aggregates').onDelete('SET NULL');
+    table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'status'], 'idx_consumption_sessions_user_status');
+  });
+
+  await knex.raw(`
+    ALTER TABLE consumption_sessions
+    ADD CONSTRAINT consumption_sessions_item_check
+    CHECK ((collectable_id IS NOT NULL) <> (manual_id IS NOT NULL))
+  `);
+  await knex.raw(`
+    ALTER TABLE consumption_sessions
+    ADD CONSTRAINT consumption_sessions_status_check
+    CHECK (status IN ('in_progress', 'completed', 'abandoned'))
+  `);
+  await knex.raw(`
+    ALTER TABLE consumption_sessions
+    ADD CONSTRAINT consumption_sessions_visibility_check
+    CHECK (visibility IN ('public', 'friends'))
+  `);
+  await knex.raw(`
+    ALTER TABLE consumption_sessions
+    ADD CONSTRAINT consumption_sessions_progress_unit_check
+    CHECK (progress_unit IS NULL OR progress_unit IN ('pages', 'chapters', 'episodes', 'minutes', 'hours', 'percent'))
+  `);
+  await knex.raw(`
+    ALTER TABLE consumption_sessions
+    ADD CONSTRAINT consumption_sessions_dates_check
+    CHECK (finished_at IS NULL OR started_at IS NULL OR finished_at >= started_at)
+  `);
+  await knex.raw(`
+    ALTER TABLE consumption_sessions
+    ADD CONSTRAINT consumption_sessions_progress_check
+    CHECK (
+      (progress_value IS NULL OR progress_value >= 0)
+      AND (progress_total IS NULL OR progress_total > 0)
+    )
+  `);
+  // Only one open session per item, so check-ins know which one to advance.
+  await knex.raw(`
+    CREATE UNIQUE INDEX uq_consumption_sessions_open_collectable
+    ON consumption_sessions(user_id, collectable_id)
+    WHERE status = 'in_progress' AND collectable_id IS NOT NULL
+  `);
+  await knex.raw(`
+    CREATE UNIQUE INDEX uq_consumption_sessions_open_manual
+    ON consumption_sessions(user_id, manual_id)
+    WHERE status = 'in_progress' AND manual_id IS NOT NULL
+  `);
+  await knex.raw(`
+    CREATE INDEX idx_consumption_sessions_user_finished
+    ON consumption_sessions(user_id, finished_at)
+    WHERE status = 'completed'
+  `);
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('consumption_sessions');
+};
@@ -0,0 +1,154 @@
+/**
+ * Yearly goals and friend challenges. Progress is not stored here: it is
+ * counted from check-in completions (event_aggregates) and item additions
+ * (event_logs). `last_milestone` only remembers which feed milestone
+ * (25/50/75/100%) was last posted so it is not repeated.
+ */
+exports.up = async function (knex) {
+  const hasGoals = await knex.schema.hasTable('user_goals');
+  if (!hasGoals) {
+    await knex.schema.createTable('user_goals', (table) => {
+      table.increments('id').primary();
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.integer('year').notNullable();
+      // Canonical shelf type (books, games, vinyl, ...) or 'all'
+      table.text('category').notNullable();
+      table.text('metric').notNullable();
+      table.integer('target').notNullable();
+      table.text('visibility').notNullable().defaultTo('public');
+      table.integer('last_milestone').notNullable().defaultTo(0);
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.unique(['user_id', 'year', 'category', 'metric'], 'uq_user_goals_user_year_category_metric');
+    });
+
+    await knex.raw(`
+      ALTER TABLE user_goals
+      ADD CONSTRAINT user_goals_metric_check
+      CHECK (metric IN ('completed', 'added'))
+    `);
+    await knex.raw(`
+      ALTER TABLE user_goals
+      ADD CONSTRAINT user_goals_target_check
+      CHECK (target > 0)
+    `);
+    await knex.raw(`
+      ALTER TABLE user_goals
+      ADD CONSTRAINT user_goals_visibility_check
+      CHECK (visibility IN ('public', 'friends'))
+    `);
+  }
+
+  const hasChallenges = await knex.schema.hasTable('goal_challenges');
+  if (!hasChallenges) {
+    await knex.schema.createTable('goal_challenges', (table) => {
+      table.increments('id').primary();
+      table.uuid('creator_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.text('title').notNullable();
+      table.integer('year').notNullable();
+      table.text('category').notNullable();
+      table.text('metric').notNullable();
+      table.integer('target').notNullable();
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+      table.timestamp('updated_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.index(['creator_id'], 'idx_goal_challenges_creator');
+    });
+
+    await knex.raw(`
+      ALTER TABLE goal_challenges
+      ADD CONSTRAINT goal_challenges_metric_check
+      CHECK (metric IN ('completed', 'added'))
+    `);
+    await knex.raw(`
+      ALTER TABLE goal_challenges
+      ADD CONSTRAINT goal_challenges_target_check
+      CHECK (target > 0)
+    `);
+  }
+
+  const hasParticipants = await knex.schema.hasTable('goal_challenge_participants');
+  if (!hasParticipants) {
+    await knex.schema.createTable('goal_challenge_participants', (table) => {
+      table.integer('challenge_id').notNullable().references('id').inTable('goal_challenges').onDelete('CASCADE');
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.text('status').notNullable().defaultTo('invited');
+      table.uuid('invited_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('responded_at', { useTz: true }).nullable();
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.primary(['challenge_id', 'user_id']);
+      table.index(['user_id', 'status'], 'idx_goal_challenge_participants_user');
+    });
+
+    await knex.raw(`
+      ALTER TABLE goal_challenge_participants
+      ADD CONSTRAINT goal_challenge_participants_status_check
+      CHECK (status IN ('invited', 'joined', 'declined'))
+    `);
+  }
+
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_type_check
+     CHECK (type IN (
+       'like',
+       'comment',
+       'friend_request',
+       'friend_accept',
+       'mention',
+       'workflow_complete',
+       'workflow_failed',
+       'vision_quota_warning',
+       'loan_overdue',
+       'goal_challenge'
+     ))`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_entity_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_entity_type_check
+     CHECK (entity_type IN ('event', 'friendship', 'workflow_job', 'vision_quota', 'loan', 'goal_challenge'))`
+  );
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`DELETE FROM notifications WHERE type = 'goal_challenge'`);
+  await knex.raw(`DELETE FROM event_aggregates WHERE event_type = 'goal.milestone'`);
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_entity_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_entity_type_check
+     CHECK (entity_type IN ('event', 'friendship', 'workflow_job', 'vision_quota', 'loan'))`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_type_check
+     CHECK (type IN (
+       'like',
+       'comment',
+       'friend_request',
+       'friend_accept',
+       'mention',
+       'workflow_complete',
+       'workflow_failed',
+       'vision_quota_warning',
+       'loan_overdue'
+     ))`
+  );
+
+  await knex.schema.dropTableIfExists('goal_challenge_participants');
+  await knex.schema.dropTableIfExists('goal_challenges');
+  await knex.schema.dropTableIfExists('user_goals');
+};
@@ -0,0 +1,148 @@
+/**
+ * RLS for yearly goals and goal challenges.
+ */
+
+exports.up = async function (knex) {
+  // user_goals: owner manages, others read through goal visibility
+  await knex.raw('ALTER TABLE user_goals ENABLE ROW LEVEL SECURITY');
+  await knex.raw('DROP POLICY IF EXISTS user_goals_owner ON user_goals');
+  await knex.raw('DROP POLICY IF EXISTS user_goals_read ON user_goals');
+  await knex.raw('DROP POLICY IF EXISTS user_goals_admin ON user_goals');
+
+  await knex.raw(`
+    CREATE POLICY user_goals_owner ON user_goals
+      FOR ALL
+      USING (user_id = current_app_user_id())
+      WITH CHECK (user_id = current_app_user_id())
+  `);
+
+  await knex.raw(`
+    CREATE POLICY user_goals_read ON user_goals
+      FOR SELECT
+      USING (
+        visibility = 'public'
+        OR (visibility = 'friends' AND are_friends(user_id, current_app_user_id()))
+      )
+  `);
+
+  await knex.raw(`
+    CREATE POLICY user_goals_admin ON user_goals
+      FOR ALL
+      USING (is_current_user_admin())
+      WITH CHECK (is_current_user_admin())
+  `);
+
+  // Membership check for challenge policies. SECURITY DEFINER so the
+  // goal_challenges and goal_challenge_participants policies can refer to each
+  // other without recursing.
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION is_goal_challenge_member(p_challenge_id INTEGER)
+    RETURNS BOOLEAN AS $$
+    BEGIN
+      RETURN EXISTS (
+        SELECT 1 FROM goal_challenges
+        WHERE id = p_challenge_id AND creator_id = current_app_user_id()
+      ) OR EXISTS (
+        SELECT 1 FROM goal_challenge_participants
+        WHERE challenge_id = p_challenge_id AND user_id = current_app_user_id()
+      );
+    END;
+    $$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+  `);
+
+  // goal_challenges: creator manages, participants read
+  await knex.raw('ALTER TABLE goal_challenges ENABLE ROW LEVEL SECURITY');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenges_creator ON goal_challenges');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenges_participant ON goal_challenges');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenges_admin ON goal_challenges');
+
+  await knex.raw(`
+    CREATE POLICY goal_challenges_creator ON goal_challenges
+      FOR ALL
+      USING (creator_id = current_app_user_id())
+      WITH CHECK (creator_id = current_app_user_id())
+  `);
+
+  await knex.raw(`
+    CREATE POLICY goal_challenges_participant ON goal_challenges
+      FOR SELECT
+      USING (is_goal_challenge_member(id))
+  `);
+
+  await knex.raw(`
+    CREATE POLICY goal_challenges_admin ON goal_challenges
+      FOR ALL
+      USING (is_current_user_admin())
+      WITH CHECK (is_current_user_admin())
+  `);
+
+  // goal_challenge_participants: own row, the challenge creator's invites,
+  // and read access for everyone in the same challenge (leaderboard)
+  await knex.raw('ALTER TABLE goal_challenge_participants ENABLE ROW LEVEL SECURITY');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_self ON goal_challenge_participants');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_creator ON goal_challenge_participants');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_read ON goal_challenge_participants');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_admin ON goal_challenge_participants');
+
+  await knex.raw(`
+    CREATE POLICY goal_challenge_participants_self ON goal_challenge_participants
+      FOR ALL
+      USING (user_id = current_app_user_id())
+      WITH CHECK (user_id = current_app_user_id())
+  `);
+
+  await knex.raw(`
+    CREATE POLICY goal_challenge_participants_creator ON goal_challenge_participants
+      FOR ALL
+      USING (
+        EXISTS (
+          SELECT 1 FROM goal_challenges gc
+          WHERE gc.id = goal_challenge_participants.challenge_id
+          AND gc.creator_id = current_app_user_id()
+        )
+      )
+      WITH CHECK (
+        EXISTS (
+          SELECT 1 FROM goal_challenges gc
+          WHERE gc.id = goal_challenge_participants.challenge_id
+          AND gc.creator_id = current_app_user_id()
+        )
+      )
+  `);
+
+  await knex.raw(`
+    CREATE POLICY goal_challenge_participants_read ON goal_challenge_participants
+      FOR SELECT
+      USING (is_goal_challenge_member(challenge_id))
+  `);
+
+  await knex.raw(`
+    CREATE POLICY goal_challenge_participants_admin ON goal_challenge_participants
+      FOR ALL
+      USING (is_current_user_admin())
+      WITH CHECK (is_current_user_admin())
+  `);
+};
+
+exports.down = async function (knex) {
+  // goal_challenge_participants
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_admin ON goal_challenge_participants');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_read ON goal_challenge_participants');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_creator ON goal_challenge_participants');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenge_participants_self ON goal_challenge_participants');
+  await knex.raw('ALTER TABLE goal_challenge_participants DISABLE ROW LEVEL SECURITY');
+
+  // goal_challenges
+  await knex.raw('DROP POLICY IF EXISTS goal_challenges_admin ON goal_challenges');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenges_participant ON goal_challenges');
+  await knex.raw('DROP POLICY IF EXISTS goal_challenges_creator ON goal_challenges');
+  await knex.raw('ALTER TABLE goal_challenges DISABLE ROW LEVEL SECURITY');
+
+  await knex.raw('DROP FUNCTION IF EXISTS is_goal_challenge_member(INTEGER)');
+
+  // user_goals
+  await knex.raw('DROP POLICY IF EXISTS user_goals_admin ON user_goals');
+  await knex.raw('DROP POLICY IF EXISTS user_goals_read ON user_goals');
+  await knex.raw('DROP POLICY IF EXISTS user_goals_owner ON user_goals');
+  await knex.raw('ALTER TABLE user_goals DISABLE ROW LEVEL SECURITY');
+};
@@ -0,0 +1,124 @@
+/**
+ * Wishlist watch: per-item watch/mute/target price on wishlist_items, the
+ * wishlist_item_alerts history (one row per delivered alert, used to dedupe),
+ * the wishlist_alert notification type and its push preference.
+ */
+const NOTIFICATION_TYPES = [
+  'like',
+  'comment',
+  'friend_request',
+  'friend_accept',
+  'mention',
+  'workflow_complete',
+  'workflow_failed',
+  'vision_quota_warning',
+  'loan_overdue',
+  'goal_challenge',
+];
+const ENTITY_TYPES = ['event', 'friendship', 'workflow_job', 'vision_quota', 'loan', 'goal_challenge'];
+
+function quoteList(values) {
+  return values.map((value) => `'${value}'`).join(', ');
+}
+
+async function setNotificationConstraints(knex, types, entityTypes) {
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_type_check
+     CHECK (type IN (${quoteList(types)}))`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_entity_type_check`
+  );
+  await knex.raw(
+    `ALTER TABLE notifications
+     ADD CONSTRAINT notifications_entity_type_check
+     CHECK (entity_type IN (${quoteList(entityTypes)}))`
+  );
+}
+
+exports.up = async function (knex) {
+  const hasWatch = await knex.schema.hasColumn('wishlist_items', 'watch');
+  if (!hasWatch) {
+    await knex.schema.alterTable('wishlist_items', (table) => {
+      table.boolean('watch').notNullable().defaultTo(false);
+      table.boolean('alerts_muted').notNullable().defaultTo(false);
+      table.decimal('target_price', 10, 2).nullable();
+    });
+    await knex.raw(`
+      ALTER TABLE wishlist_items
+      ADD CONSTRAINT wishlist_items_target_price_check
+      CHECK (target_price IS NULL OR target_price > 0)
+    `);
+    await knex.raw(`
+      CREATE INDEX idx_wishlist_items_watch
+      ON wishlist_items(collectable_id)
+      WHERE watch = TRUE
+    `);
+  }
+
+  const hasAlerts = await knex.schema.hasTable('wishlist_item_alerts');
+  if (!hasAlerts) {
+    await knex.schema.createTable('wishlist_item_alerts', (table) => {
+      table.increments('id').primary();
+      table.integer('wishlist_item_id').notNullable().references('id').inTable('wishlist_items').onDelete('CASCADE');
+      table.text('alert_type').notNullable();
+      // What the alert was about (a release date, a target price), so the same
+      // news or price is only announced once per item.
+      table.text('dedupe_key').notNullable();
+      table.integer('news_item_id').nullable().references('id').inTable('news_items').onDelete('SET NULL');
+      table.jsonb('details').notNullable().defaultTo('{}');
+      // NULL when the item was muted at the time; the alert still counts as seen.
+      table.timestamp('notified_at', { useTz: true }).nullable();
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.unique(['wishlist_item_id', 'alert_type', 'dedupe_key'], 'uq_wishlist_item_alerts_dedupe');
+    });
+    await knex.raw(`
+      ALTER TABLE wishlist_item_alerts
+      ADD CONSTRAINT wishlist_item_alerts_type_check
+      CHECK (alert_type IN ('release_date', 'physical_release', 'price_drop'))
+    `);
+  }
+
+  const hasPreference = await knex.schema.hasColumn('notification_preferences', 'push_wishlist_alerts');
+  if (!hasPreference) {
+    await knex.schema.alterTable('notification_preferences', (table) => {
+      table.boolean('push_wishlist_alerts').notNullable().defaultTo(true);
+    });
+  }
+
+  await setNotificationConstraints(
+    knex,
+    [...NOTIFICATION_TYPES, 'wishlist_alert'],
+    [...ENTITY_TYPES, 'wishlist_item']
+  );
+};
+
+exports.down = async function (knex) {
+  await knex.raw(`DELETE FROM notifications WHERE type = 'wishlist_alert'`);
+  await setNotificationConstraints(knex, NOTIFICATION_TYPES, ENTITY_TYPES);
+
+  const hasPreference = await knex.schema.hasColumn('notification_preferences', 'push_wishlist_alerts');
+  if (hasPreference) {
+    await knex.schema.alterTable('notification_preferences', (table) => {
+      table.dropColumn('push_wishlist_alerts');
+    });
+  }
+
+  await knex.schema.dropTableIfExists('wishlist_item_alerts');
+
+  const hasWatch = await knex.schema.hasColumn('wishlist_items', 'watch');
+  if (hasWatch) {
+    await knex.raw(`DROP INDEX IF EXISTS idx_wishlist_items_watch`);
+    await knex.raw(`ALTER TABLE wishlist_items DROP CONSTRAINT IF EXISTS wishlist_items_target_price_check`);
+    await knex.schema.alterTable('wishlist_items', (table) => {
+      table.dropColumn('watch');
+      table.dropColumn('alerts_muted');
+      table.dropColumn('target_price');
+    });
+  }
+};
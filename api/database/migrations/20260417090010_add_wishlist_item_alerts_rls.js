@@ -0,0 +1,48 @@
+const TABLE = 'wishlist_item_alerts';
+
+exports.up = async function (knex) {
+  const exists = await knex.schema.hasTable(TABLE);
+  if (!exists) return;
+
+  await knex.raw(`ALTER TABLE ${TABLE} ENABLE ROW LEVEL SECURITY`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_owner ON ${TABLE}`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_admin ON ${TABLE}`);
+
+  // Owner: full access via wishlist item -> wishlist
+  await knex.raw(`
+    CREATE POLICY ${TABLE}_owner ON ${TABLE}
+      FOR ALL
+      USING (
+        EXISTS (
+          SELECT 1 FROM wishlist_items wi
+          JOIN wishlists w ON w.id = wi.wishlist_id
+          WHERE wi.id = ${TABLE}.wishlist_item_id
+          AND w.user_id = current_app_user_id()
+        )
+      )
+      WITH CHECK (
+        EXISTS (
+          SELECT 1 FROM wishlist_items wi
+          JOIN wishlists w ON w.id = wi.wishlist_id
+          WHERE wi.id = ${TABLE}.wishlist_item_id
+          AND w.user_id = current_app_user_id()
+        )
+      )
+  `);
+
+  await knex.raw(`
+    CREATE POLICY ${TABLE}_admin ON ${TABLE}
+      FOR ALL
+      USING (is_current_user_admin())
+      WITH CHECK (is_current_user_admin())
+  `);
+};
+
+exports.down = async function (knex) {
+  const exists = await knex.schema.hasTable(TABLE);
+  if (!exists) return;
+
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_admin ON ${TABLE}`);
+  await knex.raw(`DROP POLICY IF EXISTS ${TABLE}_owner ON ${TABLE}`);
+  await knex.raw(`ALTER TABLE ${TABLE} DISABLE ROW LEVEL SECURITY`);
+};
@@ -0,0 +1,69 @@
+/**
+ * Gift-registry wishlists: gift_mode on wishlists, co-owners, friend
+ * reservations (never shown to the owners) and the received state set when an
+ * owner shelves a wished-for item.
+ */
+exports.up = async function (knex) {
+  const hasGiftMode = await knex.schema.hasColumn('wishlists', 'gift_mode');
+  if (!hasGiftMode) {
+    await knex.schema.alterTable('wishlists', (table) => {
+      table.boolean('gift_mode').notNullable().defaultTo(false);
+    });
+  }
+
+  const hasReceivedAt = await knex.schema.hasColumn('wishlist_items', 'received_at');
+  if (!hasReceivedAt) {
+    await knex.schema.alterTable('wishlist_items', (table) => {
+      table.uuid('added_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('received_at', { useTz: true }).nullable();
+    });
+  }
+
+  const hasOwners = await knex.schema.hasTable('wishlist_owners');
+  if (!hasOwners) {
+    // Co-owners only; the creator stays in wishlists.user_id.
+    await knex.schema.createTable('wishlist_owners', (table) => {
+      table.integer('wishlist_id').notNullable().references('id').inTable('wishlists').onDelete('CASCADE');
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.uuid('added_by').nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.primary(['wishlist_id', 'user_id']);
+      table.index(['user_id'], 'idx_wishlist_owners_user');
+    });
+  }
+
+  const hasReservations = await knex.schema.hasTable('wishlist_item_reservations');
+  if (!hasReservations) {
+    await knex.schema.createTable('wishlist_item_reservations', (table) => {
+      table.increments('id').primary();
+      table.integer('wishlist_item_id').notNullable().references('id').inTable('wishlist_items').onDelete('CASCADE');
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.text('note').nullable();
+      table.timestamp('created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+
+      table.unique(['wishlist_item_id'], 'uq_wishlist_item_reservations_item');
+      table.index(['user_id'], 'idx_wishlist_item_reservations_user');
+    });
+  }
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('wishlist_item_reservations');
+  await knex.schema.dropTableIfExists('wishlist_owners');
+
+  const hasReceivedAt = await knex.schema.hasColumn('wishlist_items', 'received_at');
+  if (hasReceivedAt) {
+    await knex.schema.alterTable('wishlist_items', (table) => {
+      table.dropColumn('added_by');
+      table.dropColumn('received_at');
+    });
+  }
+
+  const hasGiftMode = await knex.schema.hasColumn('wishlists', 'gift_mode');
+  if (hasGiftMode) {
+    await knex.schema.alterTable('wishlists', (table) => {
+      table.dropColumn('gift_mode');
+    });
+  }
+};
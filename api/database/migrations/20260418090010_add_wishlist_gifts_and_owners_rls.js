@@ -0,0 +1,191 @@
+/**
+ * RLS for wishlist co-owners and gift reservations, and co-owner access to
+ * wishlists and wishlist_items.
+ */
+
+exports.up = async function (knex) {
+  // Owner check for wishlist_owners. SECURITY DEFINER so co-owners can list the
+  // other co-owners without the policy querying its own table.
+  await knex.raw(`
+    CREATE OR REPLACE FUNCTION is_wishlist_owner(p_wishlist_id INTEGER)
+    RETURNS BOOLEAN AS $$
+    BEGIN
+      RETURN EXISTS (
+        SELECT 1 FROM wishlists
+        WHERE id = p_wishlist_id AND user_id = current_app_user_id()
+      ) OR EXISTS (
+        SELECT 1 FROM wishlist_owners
+        WHERE wishlist_id = p_wishlist_id AND user_id = current_app_user_id()
+      );
+    END;
+    $$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+  `);
+
+  // wishlists: co-owners read and edit; deleting stays with the creator
+  await knex.raw('DROP POLICY IF EXISTS wishlists_co_owner_read ON wishlists');
+  await knex.raw('DROP POLICY IF EXISTS wishlists_co_owner_update ON wishlists');
+
+  await knex.raw(`
+    CREATE POLICY wishlists_co_owner_read ON wishlists
+      FOR SELECT
+      USING (is_wishlist_owner(id))
+  `);
+
+  await knex.raw(`
+    CREATE POLICY wishlists_co_owner_update ON wishlists
+      FOR UPDATE
+      USING (is_wishlist_owner(id))
+      WITH CHECK (is_wishlist_owner(id))
+  `);
+
+  // wishlist_items: creator and co-owners manage items
+  await knex.raw('DROP POLICY IF EXISTS wishlist_items_owner ON wishlist_items');
+
+  await knex.raw(`
+    CREATE POLICY wishlist_items_owner ON wishlist_items
+      FOR ALL
+      USING (is_wishlist_owner(wishlist_id))
+      WITH CHECK (is_wishlist_owner(wishlist_id))
+  `);
+
+  // wishlist_owners: creator manages, co-owners read and can leave
+  await knex.raw('ALTER TABLE wishlist_owners ENABLE ROW LEVEL SECURITY');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_creator ON wishlist_owners');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_read ON wishlist_owners');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_leave ON wishlist_owners');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_admin ON wishlist_owners');
+
+  await knex.raw(`
+    CREATE POLICY wishlist_owners_creator ON wishlist_owners
+      FOR ALL
+      USING (
+        EXISTS (
+          SELECT 1 FROM wishlists w
+          WHERE w.id = wishlist_owners.wishlist_id
+          AND w.user_id = current_app_user_id()
+        )
+      )
+      WITH CHECK (
+        EXISTS (
+          SELECT 1 FROM wishlists w
+          WHERE w.id = wishlist_owners.wishlist_id
+          AND w.user_id = current_app_user_id()
+        )
+      )
+  `);
+
+  await knex.raw(`
+    CREATE POLICY wishlist_owners_read ON wishlist_owners
+      FOR SELECT
+      USING (is_wishlist_owner(wishlist_id))
+  `);
+
+  await knex.raw(`
+    CREATE POLICY wishlist_owners_leave ON wishlist_owners
+      FOR DELETE
+      USING (user_id = current_app_user_id())
+  `);
+
+  await knex.raw(`
+    CREATE POLICY wishlist_owners_admin ON wishlist_owners
+      FOR ALL
+      USING (is_current_user_admin())
+      WITH CHECK (is_current_user_admin())
+  `);
+
+  // wishlist_item_reservations: reserver manages, other viewers of a gift-mode
+  // wishlist read, owners only once the item is received
+  await knex.raw('ALTER TABLE wishlist_item_reservations ENABLE ROW LEVEL SECURITY');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_isolation ON wishlist_item_reservations');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_viewer_read ON wishlist_item_reservations');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_received_read ON wishlist_item_reservations');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_admin ON wishlist_item_reservations');
+
+  await knex.raw(`
+    CREATE POLICY wishlist_item_reservations_isolation ON wishlist_item_reservations
+      FOR ALL
+      USING (user_id = current_app_user_id())
+      WITH CHECK (user_id = current_app_user_id())
+  `);
+
+  await knex.raw(`
+    CREATE POLICY wishlist_item_reservations_viewer_read ON wishlist_item_reservations
+      FOR SELECT
+      USING (
+        EXISTS (
+          SELECT 1 FROM wishlist_items wi
+          JOIN wishlists w ON w.id = wi.wishlist_id
+          WHERE wi.id = wishlist_item_reservations.wishlist_item_id
+          AND w.gift_mode = true
+          AND NOT is_wishlist_owner(w.id)
+          AND (
+            w.visibility = 'public'
+            OR (w.visibility = 'friends' AND are_friends(w.user_id, current_app_user_id()))
+          )
+        )
+      )
+  `);
+
+  await knex.raw(`
+    CREATE POLICY wishlist_item_reservations_received_read ON wishlist_item_reservations
+      FOR SELECT
+      USING (
+        EXISTS (
+          SELECT 1 FROM wishlist_items wi
+          WHERE wi.id = wishlist_item_reservations.wishlist_item_id
+          AND wi.received_at IS NOT NULL
+          AND is_wishlist_owner(wi.wishlist_id)
+        )
+      )
+  `);
+
+  await knex.raw(`
+    CREATE POLICY wishlist_item_reservations_admin ON wishlist_item_reservations
+      FOR ALL
+      USING (is_current_user_admin())
+      WITH CHECK (is_current_user_admin())
+  `);
+};
+
+exports.down = async function (knex) {
+  // wishlist_item_reservations
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_admin ON wishlist_item_reservations');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_received_read ON wishlist_item_reservations');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_viewer_read ON wishlist_item_reservations');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_item_reservations_isolation ON wishlist_item_reservations');
+  await knex.raw('ALTER TABLE wishlist_item_reservations DISABLE ROW LEVEL SECURITY');
+
+  // wishlist_owners
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_admin ON wishlist_owners');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_leave ON wishlist_owners');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_read ON wishlist_owners');
+  await knex.raw('DROP POLICY IF EXISTS wishlist_owners_creator ON wishlist_owners');
+  await knex.raw('ALTER TABLE wishlist_owners DISABLE ROW LEVEL SECURITY');
+
+  // wishlist_items: back to creator-only management
+  await knex.raw('DROP POLICY IF EXISTS wishlist_items_owner ON wishlist_items');
+  await knex.raw(`
+    CREATE POLICY wishlist_items_owner ON wishlist_items
+      FOR ALL
+      USING (
+        EXISTS (
+          SELECT 1 FROM wishlists w
+          WHERE w.id = wishlist_items.wishlist_id
+          AND w.user_id = current_app_user_id()
+        )
+      )
+      WITH CHECK (
+        EXISTS (
+          SELECT 1 FROM wishlists w
+          WHERE w.id = wishlist_items.wishlist_id
+          AND w.user_id = current_app_user_id()
+        )
+      )
+  `);
+
+  // wishlists
+  await knex.raw('DROP POLICY IF EXISTS wishlists_co_owner_update ON wishlists');
+  await knex.raw('DROP POLICY IF EXISTS wishlists_co_owner_read ON wishlists');
+
+  await knex.raw('DROP FUNCTION IF EXISTS is_wishlist_owner(INTEGER)');
+};
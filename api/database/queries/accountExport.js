@@ -0,0 +1,183 @@
+/**
+ * Account export database queries
+ *
+ * Read-only loaders for everything a user owns, shaped for the account
+ * export document (see services/accountExport). Catalog items carry their
+ * portable collectable reference columns so the export can be re-imported
+ * into another account without relying on local ids.
+ */
+
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+const COLLECTABLE_REF_COLUMNS = `
+       c.fingerprint AS collectable_fingerprint,
+       c.lightweight_fingerprint AS collectable_lightweight_fingerprint,
+       c.kind AS collectable_kind,
+       c.title AS collectable_title,
+       c.primary_creator AS collectable_primary_creator,
+       c.year AS collectable_year,
+       c.identifiers AS collectable_identifiers`;
+
+function mapRows(result) {
+  return result.rows.map(rowToCamelCase);
+}
+
+async function countCollectionItems(userId) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM user_collections
+     WHERE user_id = $1`,
+    [userId]
+  );
+  return result.rows[0]?.count || 0;
+}
+
+async function listShelves(userId) {
+  const result = await query(
+    `SELECT id, name, type, description, visibility, game_defaults, card_defaults, created_at, updated_at
+     FROM shelves
+     WHERE owner_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [userId]
+  );
+  return mapRows(result);
+}
+
+async function listCollectionItems(userId) {
+  const result = await query(
+    `SELECT uc.id, uc.shelf_id, uc.collectable_id, uc.manual_id, uc.position,
+            uc.format, uc.series, uc.edition, uc.special_markings, uc.age_statement,
+            uc.label_color, uc.regional_item, uc.barcode, uc.item_specific_text,
+            uc.platform_missing, uc.card_condition, uc.card_grading_company, uc.card_grade, uc.notes,
+            COALESCE(ur.rating, uc.rating) AS rating,
+            uc.owner_photo_source, uc.owner_photo_crop_id, uc.owner_photo_storage_provider,
+            uc.owner_photo_storage_key, uc.owner_photo_content_type, uc.owner_photo_visible,
+            uc.user_id, uc.created_at,
+            COALESCE(
+              (SELECT array_agg(ucp.platform_name ORDER BY ucp.platform_name)
+               FROM user_collection_platforms ucp
+               WHERE ucp.collection_item_id = uc.id),
+              '{}'
+            ) AS platforms,${COLLECTABLE_REF_COLUMNS}
+     FROM user_collections uc
+     LEFT JOIN collectables c ON c.id = uc.collectable_id
+     LEFT JOIN user_ratings ur
+       ON ur.user_id = uc.user_id
+      AND ((uc.collectable_id IS NOT NULL AND ur.collectable_id = uc.collectable_id)
+        OR (uc.manual_id IS NOT NULL AND ur.manual_id = uc.manual_id))
+     WHERE uc.user_id = $1
+     ORDER BY uc.shelf_id ASC, uc.position ASC NULLS LAST, uc.id ASC`,
+    [userId]
+  );
+  return mapRows(result);
+}
+
+async function listManuals(userId) {
+  const result = await query(
+    `SELECT id, shelf_id, name, type, description, author, publisher, format, year,
+            market_value, manufacturer, age_statement, special_markings, label_color,
+            regional_item, edition, barcode, limited_edition, item_specific_text,
+            genre, tags, created_at
+     FROM user_manuals
+     WHERE user_id = $1
+     ORDER BY shelf_id ASC, id ASC`,
+    [userId]
+  );
+  return mapRows(result);
+}
+
+async function listWishlists(userId) {
+  const wishlistsResult = await query(
+    `SELECT id, name, description, visibility, created_at
+     FROM wishlists
+     WHERE user_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [userId]
+  );
+  const itemsResult = await query(
+    `SELECT wi.id, wi.wishlist_id, wi.collectable_id, wi.manual_text, wi.notes,
+            wi.priority, wi.created_at,${COLLECTABLE_REF_COLUMNS}
+     FROM wishlist_items wi
+     JOIN wishlists w ON w.id = wi.wishlist_id
+     LEFT JOIN collectables c ON c.id = wi.collectable_id
+     WHERE w.user_id = $1
+     ORDER BY wi.wishlist_id ASC, wi.priority DESC, wi.id ASC`,
+    [userId]
+  );
+  return { wishlists: mapRows(wishlistsResult), items: mapRows(itemsResult) };
+}
+
+async function listLists(userId) {
+  const listsResult = await query(
+    `SELECT id, name, description, visibility, created_at
+     FROM user_lists
+     WHERE user_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [userId]
+  );
+  const itemsResult = await query(
+    `SELECT li.id, li.list_id, li.collectable_id, li.position, li.notes,${COLLECTABLE_REF_COLUMNS}
+     FROM user_list_items li
+     JOIN user_lists l ON l.id = li.list_id
+     JOIN collectables c ON c.id = li.collectable_id
+     WHERE l.user_id = $1
+     ORDER BY li.list_id ASC, li.position ASC`,
+    [userId]
+  );
+  return { lists: mapRows(listsResult), items: mapRows(itemsResult) };
+}
+
+async function listFavorites(userId) {
+  const result = await query(
+    `SELECT uf.collectable_id, uf.manual_id, uf.created_at,${COLLECTABLE_REF_COLUMNS}
+     FROM user_favorites uf
+     LEFT JOIN collectables c ON c.id = uf.collectable_id
+     WHERE uf.user_id = $1
+     ORDER BY uf.created_at ASC`,
+    [userId]
+  );
+  return mapRows(result);
+}
+
+async function listRatings(userId) {
+  const result = await query(
+    `SELECT ur.collectable_id, ur.manual_id, ur.rating, ur.updated_at,${COLLECTABLE_REF_COLUMNS}
+     FROM user_ratings ur
+     LEFT JOIN collectables c ON c.id = ur.collectable_id
+     WHERE ur.user_id = $1
+       AND ur.rating IS NOT NULL
+     ORDER BY ur.updated_at ASC`,
+    [userId]
+  );
+  return mapRows(result);
+}
+
+/**
+ * Load every entity included in an account export.
+ * @param {string} userId
+ */
+async function loadAccountData(userId) {
+  const [shelves, items, manuals, wishlists, lists, favorites, ratings] = await Promise.all([
+    listShelves(userId),
+    listCollectionItems(userId),
+    listManuals(userId),
+    listWishlists(userId),
+    listLists(userId),
+    listFavorites(userId),
+    listRatings(userId),
+  ]);
+  return { shelves, items, manuals, wishlists, lists, favorites, ratings };
+}
+
+module.exports = {
+  countCollectionItems,
+  listShelves,
+  listCollectionItems,
+  listManuals,
+  listWishlists,
+  listLists,
+  listFavorites,
+  listRatings,
+  loadAccountData,
+};
@@ -0,0 +1,133 @@
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+function clampDays(days, fallback = 30) {
+    return Math.min(Math.max(Number.parseInt(days, 10) || fallback, 1), 365);
+}
+
+/**
+ * Insert priced calls for one job. Calls are { label, model, promptTokens,
+ * candidatesTokens, totalTokens, costUsd }.
+ */
+async function recordCalls({ userId = null, jobId = null, calls }) {
+    const rows = (Array.isArray(calls) ? calls : []).filter((call) => call && call.label);
+    if (rows.length === 0) return 0;
+
+    const values = [];
+    const params = [];
+    rows.forEach((call, index) => {
+        const base = index * 8;
+        values.push(`($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8})`);
+        params.push(
+            userId,
+            jobId,
+            call.label,
+            call.model || null,
+            Number(call.promptTokens) || 0,
+            Number(call.candidatesTokens) || 0,
+            Number(call.totalTokens) || 0,
+            Number(call.costUsd) || 0,
+        );
+    });
+
+    const result = await query(
+        `INSERT INTO ai_spend_log
+            (user_id, job_id, call_label, model, prompt_tokens, candidates_tokens, total_tokens, cost_usd)
+         VALUES ${values.join(', ')}`,
+        params,
+    );
+    return result.rowCount || 0;
+}
+
+/**
+ * Global spend for the current UTC day and calendar month.
+ * @returns {Promise<{ dailyUsd: number, monthlyUsd: number }>}
+ */
+async function getSpendTotals() {
+    const result = await query(
+        `SELECT COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'), 0) AS daily_usd,
+                COALESCE(SUM(cost_usd), 0) AS monthly_usd
+         FROM ai_spend_log
+         WHERE created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+    );
+    const row = result.rows[0] || {};
+    return {
+        dailyUsd: Number(row.daily_usd) || 0,
+        monthlyUsd: Number(row.monthly_usd) || 0,
+    };
+}
+
+async function getSpendByLabel({ days = 30 } = {}) {
+    const windowDays = clampDays(days);
+    const result = await query(
+        `SELECT call_label,
+                COUNT(*)::int AS calls,
+                COALESCE(SUM(prompt_tokens), 0)::bigint AS prompt_tokens,
+                COALESCE(SUM(candidates_tokens), 0)::bigint AS candidates_tokens,
+                COALESCE(SUM(cost_usd), 0) AS cost_usd
+         FROM ai_spend_log
+         WHERE created_at >= NOW() - ($1::int * INTERVAL '1 day')
+         GROUP BY call_label
+         ORDER BY cost_usd DESC`,
+        [windowDays],
+    );
+    return result.rows.map((row) => ({
+        callLabel: row.call_label,
+        calls: row.calls,
+        promptTokens: Number(row.prompt_tokens) || 0,
+        candidatesTokens: Number(row.candidates_tokens) || 0,
+        costUsd: Number(row.cost_usd) || 0,
+    }));
+}
+
+async function getSpendByUser({ days = 30, limit = 25 } = {}) {
+    const windowDays = clampDays(days);
+    const safeLimit = Math.min(Math.max(Number.parseInt(limit, 10) || 25, 1), 100);
+    const result = await query(
+        `SELECT l.user_id, u.username,
+                COUNT(DISTINCT l.job_id)::int AS jobs,
+                COALESCE(SUM(l.total_tokens), 0)::bigint AS total_tokens,
+                COALESCE(SUM(l.cost_usd), 0) AS cost_usd
+         FROM ai_spend_log l
+         LEFT JOIN users u ON u.id = l.user_id
+         WHERE l.created_at >= NOW() - ($1::int * INTERVAL '1 day')
+         GROUP BY l.user_id, u.username
+         ORDER BY cost_usd DESC
+         LIMIT $2`,
+        [windowDays, safeLimit],
+    );
+    return result.rows.map((row) => ({
+        ...rowToCamelCase(row),
+        totalTokens: Number(row.total_tokens) || 0,
+        costUsd: Number(row.cost_usd) || 0,
+    }));
+}
+
+async function getSpendByDay({ days = 30 } = {}) {
+    const windowDays = clampDays(days);
+    const result = await query(
+        `SELECT to_char(date_trunc('day', created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS day,
+                COUNT(*)::int AS calls,
+                COALESCE(SUM(total_tokens), 0)::bigint AS total_tokens,
+                COALESCE(SUM(cost_usd), 0) AS cost_usd
+         FROM ai_spend_log
+         WHERE created_at >= NOW() - ($1::int * INTERVAL '1 day')
+         GROUP BY 1
+         ORDER BY 1 ASC`,
+        [windowDays],
+    );
+    return result.rows.map((row) => ({
+        day: row.day,
+        calls: row.calls,
+        totalTokens: Number(row.total_tokens) || 0,
+        costUsd: Number(row.cost_usd) || 0,
+    }));
+}
+
+module.exports = {
+    recordCalls,
+    getSpendTotals,
+    getSpendByLabel,
+    getSpendByUser,
+    getSpendByDay,
+};
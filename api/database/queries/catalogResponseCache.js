@@ -0,0 +1,191 @@
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+const STAT_COLUMNS = {
+    hit: 'hits',
+    negativeHit: 'negative_hits',
+    miss: 'misses',
+};
+
+/**
+ * Returns the live (unexpired) entry for a key and bumps its hit counter.
+ */
+async function getValid({ provider, operation, cacheKey }) {
+    if (!provider || !operation || !cacheKey) return null;
+    const result = await query(
+        `UPDATE catalog_response_cache
+         SET hit_count = hit_count + 1,
+             last_hit_at = NOW()
+         WHERE provider = $1
+           AND operation = $2
+           AND cache_key = $3
+           AND expires_at > NOW()
+         RETURNING *`,
+        [provider, operation, cacheKey],
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+async function set({
+    provider,
+    operation,
+    cacheKey,
+    queryText = null,
+    response = null,
+    isNegative = false,
+    ttlSeconds,
+}) {
+    if (!provider || !operation || !cacheKey) return null;
+    const ttl = Number.parseInt(ttlSeconds, 10);
+    if (!Number.isFinite(ttl) || ttl <= 0) return null;
+
+    const result = await query(
+        `INSERT INTO catalog_response_cache (
+            provider,
+            operation,
+            cache_key,
+            query_text,
+            response,
+            is_negative,
+            hit_count,
+            created_at,
+            last_hit_at,
+            expires_at
+         )
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6, 0, NOW(), NULL, NOW() + ($7::int * INTERVAL '1 second'))
+         ON CONFLICT (provider, operation, cache_key)
+         DO UPDATE
+         SET query_text = EXCLUDED.query_text,
+             response = EXCLUDED.response,
+             is_negative = EXCLUDED.is_negative,
+             hit_count = 0,
+             created_at = NOW(),
+             last_hit_at = NULL,
+             expires_at = EXCLUDED.expires_at
+         RETURNING provider, operation, cache_key, is_negative, expires_at`,
+        [
+            provider,
+            operation,
+            cacheKey,
+            queryText,
+            isNegative ? null : JSON.stringify(response),
+            Boolean(isNegative),
+            ttl,
+        ],
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Increment today's hit/miss counter for a provider operation.
+ * @param {'hit'|'negativeHit'|'miss'} kind
+ */
+async function recordStat({ provider, operation, kind }) {
+    const column = STAT_COLUMNS[kind];
+    if (!provider || !operation || !column) return;
+    await query(
+        `INSERT INTO catalog_response_cache_stats (provider, operation, stat_date, ${column})
+         VALUES ($1, $2, CURRENT_DATE, 1)
+         ON CONFLICT (provider, operation, stat_date)
+         DO UPDATE SET ${column} = catalog_response_cache_stats.${column} + 1`,
+        [provider, operation],
+    );
+}
+
+/**
+ * Per provider/operation entry counts plus hit/miss totals over the last `days`.
+ */
+async function getStats({ days = 7 } = {}) {
+    const windowDays = Math.min(Math.max(Number.parseInt(days, 10) || 7, 1), 90);
+    const result = await query(
+        `WITH entries AS (
+            SELECT provider,
+                   operation,
+                   COUNT(*) FILTER (WHERE expires_at > NOW())::int AS live_entries,
+                   COUNT(*) FILTER (WHERE expires_at > NOW() AND is_negative)::int AS negative_entries,
+                   COUNT(*) FILTER (WHERE expires_at <= NOW())::int AS expired_entries
+            FROM catalog_response_cache
+            GROUP BY provider, operation
+         ),
+         stats AS (
+            SELECT provider,
+                   operation,
+                   SUM(hits)::int AS hits,
+                   SUM(negative_hits)::int AS negative_hits,
+                   SUM(misses)::int AS misses
+            FROM catalog_response_cache_stats
+            WHERE stat_date > CURRENT_DATE - $1::int
+            GROUP BY provider, operation
+         )
+         SELECT COALESCE(e.provider, s.provider) AS provider,
+                COALESCE(e.operation, s.operation) AS operation,
+                COALESCE(e.live_entries, 0) AS live_entries,
+                COALESCE(e.negative_entries, 0) AS negative_entries,
+                COALESCE(e.expired_entries, 0) AS expired_entries,
+                COALESCE(s.hits, 0) AS hits,
+                COALESCE(s.negative_hits, 0) AS negative_hits,
+                COALESCE(s.misses, 0) AS misses
+         FROM entries e
+         FULL OUTER JOIN stats s
+           ON s.provider = e.provider AND s.operation = e.operation
+         ORDER BY provider, operation`,
+        [windowDays],
+    );
+    return { days: windowDays, rows: result.rows.map(rowToCamelCase) };
+}
+
+/**
+ * Most-hit live entries, for spotting what the cache is actually serving.
+ */
+async function listTopEntries({ provider = null, limit = 20 } = {}) {
+    const safeLimit = Math.min(Math.max(Number.parseInt(limit, 10) || 20, 1), 100);
+    const params = [safeLimit];
+    let providerClause = '';
+    if (provider) {
+        params.push(provider);
+        providerClause = `AND provider = $${params.length}`;
+    }
+    const result = await query(
+        `SELECT provider, operation, cache_key, query_text, is_negative, hit_count,
+                created_at, last_hit_at, expires_at
+         FROM catalog_response_cache
+         WHERE expires_at > NOW()
+           ${providerClause}
+         ORDER BY hit_count DESC, last_hit_at DESC NULLS LAST
+         LIMIT $1`,
+        params,
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Delete cache entries. Without filters every entry is removed.
+ * @returns {Promise<number>} Deleted row count
+ */
+async function purge({ provider = null, operation = null, negativeOnly = false, expiredOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (provider) {
+        params.push(provider);
+        conditions.push(`provider = $${params.length}`);
+    }
+    if (operation) {
+        params.push(operation);
+        conditions.push(`operation = $${params.length}`);
+    }
+    if (negativeOnly) conditions.push('is_negative = true');
+    if (expiredOnly) conditions.push('expires_at <= NOW()');
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await query(`DELETE FROM catalog_response_cache ${where}`, params);
+    return Number(result.rowCount || 0);
+}
+
+module.exports = {
+    getValid,
+    set,
+    recordStat,
+    getStats,
+    listTopEntries,
+    purge,
+};
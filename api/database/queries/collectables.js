@@ -1,7 +1,14 @@
 const { query } = require('../pg');
 const { rowToCamelCase } = require('./utils');
 const { ensureCoverMediaForCollectable } = require('./media');
+const {
+    upsertForCollectable: upsertEditionsForCollectable,
+    setPrimaryEditionIfMissing,
+} = require('./editions');
 const { normalizeCollectableKind } = require('../../services/collectables/kind');
+const { normalizeIssueNumber, normalizeVolumeNumber } = require('../../services/collectables/comicNumbering');
+const { pickTabletopFields } = require('../../services/collectables/tabletopFields');
+const { normalizeEditionsForStorage } = require('../../services/collectables/editions');
 const { appendJobEvent } = require('./jobRuns');
 const { getJobId, getUserId } = require('../../context');
 const logger = require('../../logger');
@@ -275,6 +282,77 @@ async function findBySourceId(externalId, sourceApi) {
     return null;
 }
 
+function buildIdentifierProbes(identifiers) {
+    const probes = [];
+    for (const [key, values] of Object.entries(identifiers)) {
+        // Provider-scoped ids nest one level, e.g. { discogs: { release: ['249504'] } }.
+        if (values && typeof values === 'object' && !Array.isArray(values)) {
+            for (const nested of buildIdentifierProbes(values)) {
+                probes.push({ [key]: nested });
+            }
+            continue;
+        }
+        for (const value of Array.isArray(values) ? values : [values]) {
+            const normalized = normalizeString(value);
+            if (normalized) probes.push({ [key]: [normalized] });
+        }
+    }
+    return probes;
+}
+
+/**
+ * Find a collectable whose identifiers JSONB contains any of the given values,
+ * e.g. { isbn13: ['9780441013593'], barcode: ['9780441013593'] }.
+ * Each key/value pair is tested with containment so the GIN index applies.
+ */
+async function findByIdentifiers(identifiers) {
+    if (!identifiers || typeof identifiers !== 'object') return null;
+    const probes = buildIdentifierProbes(identifiers).map((probe) => JSON.stringify(probe));
+    if (!probes.length) return null;
+
+    const clauses = probes.map((_, index) => `c.identifiers @> $${index + 1}::jsonb`);
+    const result = await query(
+        `SELECT c.*, m.local_path as cover_media_path
+         FROM collectables c
+         LEFT JOIN media m ON m.id = c.cover_media_id
+         WHERE ${clauses.join(' OR ')}
+         ORDER BY c.updated_at DESC, c.id ASC
+         LIMIT 1`,
+        probes
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Merge identifier values into an existing collectable's identifiers, keeping
+ * any values already stored under the same key.
+ */
+async function addIdentifiers(collectableId, identifiers, client = null) {
+    if (!collectableId || !identifiers || typeof identifiers !== 'object') return null;
+    const q = resolveQuery(client);
+    const result = await q(
+        `UPDATE collectables
+         SET identifiers = COALESCE(identifiers, '{}'::jsonb) || (
+             SELECT COALESCE(jsonb_object_agg(incoming.key, (
+                 SELECT jsonb_agg(DISTINCT merged.value)
+                 FROM jsonb_array_elements(
+                     CASE WHEN jsonb_typeof(collectables.identifiers -> incoming.key) = 'array'
+                          THEN collectables.identifiers -> incoming.key
+                          ELSE '[]'::jsonb END
+                     || incoming.value
+                 ) AS merged(value)
+             )), '{}'::jsonb)
+             FROM jsonb_each($2::jsonb) AS incoming(key, value)
+             WHERE jsonb_typeof(incoming.value) = 'array'
+         ),
+         updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [collectableId, JSON.stringify(identifiers)]
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
 /**
  * Find collectable by lightweight fingerprint
  */
@@ -357,6 +435,11 @@ async function upsert(data, client = null) {
         creators = [],
         publishers = [],
         year,
+        series,
+        issueNumber = undefined,
+        issue_number: issueNumberSnake = undefined,
+        volumeNumber = undefined,
+        volume_number: volumeNumberSnake = undefined,
         marketValue,
         marketValueSources = [],
         format,
@@ -383,6 +466,7 @@ async function upsert(data, client = null) {
         platform_data: rawPlatformDataSnake = undefined,
         igdbPayload: rawIgdbPayload = undefined,
         igdb_payload: rawIgdbPayloadSnake = undefined,
+        editions = [],
     } = data;
 
     const resolvedCoverUrl = pickCoverUrl(images, coverUrl);
@@ -401,6 +485,7 @@ async function upsert(data, client = null) {
     const normalizedMaxPlayers = normalizeMaxPlayers(
         rawMaxPlayers !== undefined ? rawMaxPlayers : rawMaxPlayersSnake,
     );
+    const tabletop = pickTabletopFields(data);
     const hasCastMembers = (
         Object.prototype.hasOwnProperty.call(data, 'castMembers')
         || Object.prototype.hasOwnProperty.call(data, 'cast_members')
@@ -453,8 +538,11 @@ async function upsert(data, client = null) {
        primary_creator, creators, publishers, year, formats, system_name, tags, genre, runtime, identifiers,
        market_value, market_value_sources,
        images, cover_url, sources, external_id, fuzzy_fingerprints,
-       cover_image_url, cover_image_source, attribution, metascore, max_players, cast_members, platform_data, igdb_payload
-     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, COALESCE($30::jsonb, '[]'::jsonb), $31)
+       cover_image_url, cover_image_source, attribution, metascore, max_players, cast_members, platform_data, igdb_payload,
+       series, issue_number, volume_number,
+       min_players, min_play_time, max_play_time, set_code, set_name, collector_number
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, COALESCE($30::jsonb, '[]'::jsonb), $31, $35, $36, $37,
+       $38, $39, $40, $41, $42, $43)
      ON CONFLICT (fingerprint) DO UPDATE SET
        title = COALESCE(EXCLUDED.title, collectables.title),
        subtitle = COALESCE(EXCLUDED.subtitle, collectables.subtitle),
@@ -463,6 +551,9 @@ async function upsert(data, client = null) {
        creators = COALESCE(EXCLUDED.creators, collectables.creators),
        publishers = COALESCE(EXCLUDED.publishers, collectables.publishers),
        year = COALESCE(EXCLUDED.year, collectables.year),
+       series = COALESCE(EXCLUDED.series, collectables.series),
+       issue_number = COALESCE(EXCLUDED.issue_number, collectables.issue_number),
+       volume_number = COALESCE(EXCLUDED.volume_number, collectables.volume_number),
        market_value = COALESCE(EXCLUDED.market_value, collectables.market_value),
        market_value_sources = COALESCE(EXCLUDED.market_value_sources, collectables.market_value_sources),
        formats = (
@@ -490,6 +581,12 @@ async function upsert(data, client = null) {
        attribution = COALESCE(EXCLUDED.attribution, collectables.attribution),
        metascore = COALESCE(EXCLUDED.metascore, collectables.metascore),
        max_players = COALESCE(EXCLUDED.max_players, collectables.max_players),
+       min_players = COALESCE(EXCLUDED.min_players, collectables.min_players),
+       min_play_time = COALESCE(EXCLUDED.min_play_time, collectables.min_play_time),
+       max_play_time = COALESCE(EXCLUDED.max_play_time, collectables.max_play_time),
+       set_code = COALESCE(EXCLUDED.set_code, collectables.set_code),
+       set_name = COALESCE(EXCLUDED.set_name, collectables.set_name),
+       collector_number = COALESCE(EXCLUDED.collector_number, collectables.collector_number),
        cast_members = CASE WHEN $32::boolean THEN EXCLUDED.cast_members ELSE collectables.cast_members END,
        platform_data = CASE WHEN $33::boolean THEN EXCLUDED.platform_data ELSE collectables.platform_data END,
        igdb_payload = CASE WHEN $34::boolean THEN EXCLUDED.igdb_payload ELSE collectables.igdb_payload END,
@@ -509,6 +606,15 @@ async function upsert(data, client = null) {
             hasCastMembers,
             hasPlatformData,
             hasIgdbPayload,
+            normalizeString(series) || null,
+            normalizeIssueNumber(issueNumber !== undefined ? issueNumber : issueNumberSnake),
+            normalizeVolumeNumber(volumeNumber !== undefined ? volumeNumber : volumeNumberSnake),
+            tabletop.minPlayers,
+            tabletop.minPlayTime,
+            tabletop.maxPlayTime,
+            tabletop.setCode,
+            tabletop.setName,
+            tabletop.collectorNumber,
         ]
     );
     const collectable = rowToCamelCase(result.rows[0]);
@@ -575,6 +681,26 @@ async function upsert(data, client = null) {
         });
     }
 
+    const normalizedEditions = normalizeEditionsForStorage(editions);
+    if (normalizedEditions.length) {
+        try {
+            const stored = await upsertEditionsForCollectable(collectable.id, normalizedEditions, client);
+            // editions_id records the edition the catalog lookup resolved to.
+            const matchedIndex = normalizedEditions.findIndex((edition) => edition.matched);
+            const matched = matchedIndex >= 0 ? stored[matchedIndex] : null;
+            if (matched?.id && !collectable.editionsId) {
+                await setPrimaryEditionIfMissing(collectable.id, matched.id, client);
+                collectable.editionsId = matched.id;
+            }
+        } catch (err) {
+            logger.warn('[collectables.upsert] edition sync failed', {
+                collectableId: collectable.id,
+                editionCount: normalizedEditions.length,
+                error: err.message || String(err),
+            });
+        }
+    }
+
     return collectable;
 }
 
@@ -831,6 +957,7 @@ module.exports = {
     findByFuzzyFingerprint,
     findByNameSearch,
     findBySourceId,
+    findByIdentifiers,
     findById,
     searchByTitle,
     upsert,
@@ -838,5 +965,6 @@ module.exports = {
     searchGlobalWildcard,
     fuzzyMatch,
     addFuzzyFingerprint,
+    addIdentifiers,
     updateFormat,
 };
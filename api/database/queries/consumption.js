@@ -0,0 +1,413 @@
+/**
+ * Consumption log (reading/watching/playing sessions) database queries
+ */
+
+const { query, transaction } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+const SESSION_STATUSES = ['in_progress', 'completed', 'abandoned'];
+const PROGRESS_UNITS = ['pages', 'chapters', 'episodes', 'minutes', 'hours', 'percent'];
+const VISIBILITY_LEVELS = ['public', 'friends'];
+
+// DATE columns go out as YYYY-MM-DD strings; NUMERIC progress as plain numbers.
+const SESSION_SELECT = `
+    SELECT cs.id, cs.user_id, cs.collectable_id, cs.manual_id, cs.status, cs.play_number,
+        to_char(cs.started_at, 'YYYY-MM-DD') AS started_at,
+        to_char(cs.finished_at, 'YYYY-MM-DD') AS finished_at,
+        cs.progress_value::float8 AS progress_value,
+        cs.progress_total::float8 AS progress_total,
+        cs.progress_unit, cs.visibility, cs.notes, cs.last_checkin_event_id,
+        cs.created_at, cs.updated_at,
+        COALESCE(c.title, um.name) AS item_title,
+        COALESCE(c.primary_creator, um.author) AS item_creator,
+        COALESCE(c.kind, um.type) AS item_kind,
+        c.cover_url AS item_cover_url,
+        COALESCE(m.local_path, um.cover_media_path) AS item_cover_media_path
+    FROM consumption_sessions cs
+    LEFT JOIN collectables c ON c.id = cs.collectable_id
+    LEFT JOIN media m ON m.id = c.cover_media_id
+    LEFT JOIN user_manuals um ON um.id = cs.manual_id
+`;
+
+function resolveQuery(client) {
+    return client ? client.query.bind(client) : query;
+}
+
+function mapSession(row) {
+    if (!row) return null;
+    const base = rowToCamelCase(row);
+    const hasProgress = base.progressValue != null || base.progressTotal != null;
+    return {
+        id: base.id,
+        userId: base.userId,
+        collectableId: base.collectableId || null,
+        manualId: base.manualId || null,
+        status: base.status,
+        playNumber: base.playNumber,
+        startedAt: base.startedAt || null,
+        finishedAt: base.finishedAt || null,
+        progress: hasProgress ? {
+            value: base.progressValue,
+            total: base.progressTotal,
+            unit: base.progressUnit || null,
+            percent: base.progressValue != null && base.progressTotal
+                ? Math.min(100, Math.round((base.progressValue / base.progressTotal) * 100))
+                : null,
+        } : null,
+        visibility: base.visibility,
+        notes: base.notes || null,
+        lastCheckinEventId: base.lastCheckinEventId || null,
+        item: {
+            title: base.itemTitle || null,
+            primaryCreator: base.itemCreator || null,
+            kind: base.itemKind || null,
+            coverUrl: base.itemCoverUrl || null,
+            coverMediaPath: base.itemCoverMediaPath || null,
+        },
+        createdAt: base.createdAt,
+        updatedAt: base.updatedAt,
+    };
+}
+
+function itemClause(collectableId, manualId, startIndex) {
+    return collectableId
+        ? { sql: `collectable_id = $${startIndex}`, value: collectableId }
+        : { sql: `manual_id = $${startIndex}`, value: manualId };
+}
+
+/**
+ * The user's sessions, newest activity first. Filters: status, year (finished
+ * in that calendar year), collectableId/manualId (history of one item).
+ */
+async function listForUser(userId, {
+    status = null,
+    year = null,
+    collectableId = null,
+    manualId = null,
+    limit = 50,
+    offset = 0,
+} = {}) {
+    const where = ['cs.user_id = $1'];
+    const values = [userId];
+    if (status) {
+        values.push(status);
+        where.push(`cs.status = $${values.length}`);
+    }
+    if (year) {
+        values.push(year);
+        where.push(`EXTRACT(YEAR FROM cs.finished_at) = $${values.length}`);
+    }
+    if (collectableId) {
+        values.push(collectableId);
+        where.push(`cs.collectable_id = $${values.length}`);
+    } else if (manualId) {
+        values.push(manualId);
+        where.push(`cs.manual_id = $${values.length}`);
+    }
+    values.push(limit, offset);
+
+    const result = await query(
+        `${SESSION_SELECT}
+         WHERE ${where.join(' AND ')}
+         ORDER BY (cs.status = 'in_progress') DESC,
+                  COALESCE(cs.finished_at, cs.started_at) DESC NULLS LAST,
+                  cs.updated_at DESC
+         LIMIT $${values.length - 1} OFFSET $${values.length}`,
+        values
+    );
+    return result.rows.map(mapSession);
+}
+
+async function getById(sessionId, userId) {
+    const result = await query(
+        `${SESSION_SELECT} WHERE cs.id = $1 AND cs.user_id = $2`,
+        [sessionId, userId]
+    );
+    return mapSession(result.rows[0]);
+}
+
+async function nextPlayNumber(q, userId, collectableId, manualId) {
+    const item = itemClause(collectableId, manualId, 2);
+    const result = await q(
+        `SELECT COALESCE(MAX(play_number), 0) + 1 AS next
+         FROM consumption_sessions
+         WHERE user_id = $1 AND ${item.sql}`,
+        [userId, item.value]
+    );
+    return parseInt(result.rows[0]?.next, 10) || 1;
+}
+
+/**
+ * Apply a check-in to the consumption log and return the touched session.
+ *
+ * - `starting` reuses the open session or opens a new play-through
+ * - `continuing` advances the open session (opening one if needed)
+ * - `completed` finishes the open session, or records a finished one
+ *
+ * `progress` is `{ value, total, unit }` (any part optional) or null.
+ */
+async function recordCheckIn({
+    userId,
+    collectableId = null,
+    manualId = null,
+    status,
+    progress = null,
+    visibility = 'public',
+    eventId = null,
+}) {
+    return transaction(async (client) => {
+        const q = resolveQuery(client);
+        const item = itemClause(collectableId, manualId, 2);
+        const openResult = await q(
+            `SELECT id FROM consumption_sessions
+             WHERE user_id = $1 AND ${item.sql} AND status = 'in_progress'
+             FOR UPDATE`,
+            [userId, item.value]
+        );
+        let sessionId = openResult.rows[0]?.id || null;
+
+        if (!sessionId) {
+            const playNumber = await nextPlayNumber(q, userId, collectableId, manualId);
+            const completedNow = status === 'completed';
+            const inserted = await q(
+                `INSERT INTO consumption_sessions (
+                    user_id, collectable_id, manual_id, status, play_number,
+                    started_at, finished_at, visibility, last_checkin_event_id
+                 )
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 ON CONFLICT DO NOTHING
+                 RETURNING id`,
+                [
+                    userId,
+                    collectableId,
+                    manualId,
+                    completedNow ? 'completed' : 'in_progress',
+                    playNumber,
+                    // A straight-to-completed check-in has no known start date.
+                    completedNow ? null : new Date().toISOString().slice(0, 10),
+                    completedNow ? new Date().toISOString().slice(0, 10) : null,
+                    visibility,
+                    eventId,
+                ]
+            );
+            sessionId = inserted.rows[0]?.id || null;
+            if (!sessionId) {
+                // Another check-in opened the session first; advance that one.
+                const raced = await q(
+                    `SELECT id FROM consumption_sessions
+                     WHERE user_id = $1 AND ${item.sql} AND status = 'in_progress'
+                     FOR UPDATE`,
+                    [userId, item.value]
+                );
+                sessionId = raced.rows[0]?.id || null;
+            } else if (!progress && !completedNow) {
+                return sessionId;
+            }
+        }
+        if (!sessionId) return null;
+
+        const setClauses = ['visibility = $3', 'last_checkin_event_id = COALESCE($4, last_checkin_event_id)', 'updated_at = NOW()'];
+        const values = [sessionId, userId, visibility, eventId];
+        if (progress?.value != null) {
+            values.push(progress.value);
+            setClauses.push(`progress_value = $${values.length}`);
+        }
+        if (progress?.total != null) {
+            values.push(progress.total);
+            setClauses.push(`progress_total = $${values.length}`);
+        }
+        if (progress?.unit) {
+            values.push(progress.unit);
+            setClauses.push(`progress_unit = $${values.length}`);
+        }
+        if (status === 'completed') {
+            setClauses.push(`status = 'completed'`);
+            setClauses.push('finished_at = COALESCE(finished_at, GREATEST(CURRENT_DATE, started_at))');
+            if (progress?.value == null) {
+                setClauses.push('progress_value = COALESCE(progress_total, progress_value)');
+            }
+        }
+        await q(
+            `UPDATE consumption_sessions SET ${setClauses.join(', ')}
+             WHERE id = $1 AND user_id = $2`,
+            values
+        );
+        return sessionId;
+    }).then((sessionId) => (sessionId ? getById(sessionId, userId) : null));
+}
+
+/**
+ * Log a session by hand (e.g. a book finished before joining). Returns null
+ * when an in-progress session already exists for the item.
+ */
+async function createSession(userId, {
+    collectableId = null,
+    manualId = null,
+    status = 'completed',
+    startedAt = null,
+    finishedAt = null,
+    progress = null,
+    visibility = 'public',
+    notes = null,
+}) {
+    const playNumber = await nextPlayNumber(query, userId, collectableId, manualId);
+    const result = await query(
+        `INSERT INTO consumption_sessions (
+            user_id, collectable_id, manual_id, status, play_number, started_at, finished_at,
+            progress_value, progress_total, progress_unit, visibility, notes
+         )
+         VALUES ($1, $2, $3, $4, $5, $6::date, $7::date, $8, $9, $10, $11, $12)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [
+            userId,
+            collectableId,
+            manualId,
+            status,
+            playNumber,
+            startedAt,
+            finishedAt,
+            progress?.value ?? null,
+            progress?.total ?? null,
+            progress?.unit || null,
+            visibility,
+            notes,
+        ]
+    );
+    if (!result.rows[0]) return null;
+    return getById(result.rows[0].id, userId);
+}
+
+/**
+ * Update a session's dates, status, progress, visibility or notes. Only
+ * provided fields change. Returns null when the session is not the user's.
+ */
+async function updateSession(sessionId, userId, {
+    status,
+    startedAt,
+    finishedAt,
+    progress,
+    visibility,
+    notes,
+} = {}) {
+    const setClauses = [];
+    const values = [sessionId, userId];
+    const push = (column, value, cast = '') => {
+        values.push(value);
+        setClauses.push(`${column} = $${values.length}${cast}`);
+    };
+    if (status !== undefined) push('status', status);
+    if (startedAt !== undefined) push('started_at', startedAt, '::date');
+    if (finishedAt !== undefined) push('finished_at', finishedAt, '::date');
+    if (progress !== undefined) {
+        push('progress_value', progress?.value ?? null);
+        push('progress_total', progress?.total ?? null);
+        push('progress_unit', progress?.unit || null);
+    }
+    if (visibility !== undefined) push('visibility', visibility);
+    if (notes !== undefined) push('notes', notes);
+    if (!setClauses.length) return getById(sessionId, userId);
+
+    const result = await query(
+        `UPDATE consumption_sessions
+         SET ${setClauses.join(', ')}, updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING id`,
+        values
+    );
+    if (!result.rows[0]) return null;
+    return getById(sessionId, userId);
+}
+
+async function deleteSession(sessionId, userId) {
+    const result = await query(
+        'DELETE FROM consumption_sessions WHERE id = $1 AND user_id = $2',
+        [sessionId, userId]
+    );
+    return result.rowCount > 0;
+}
+
+function visibilityClause(includeFriendsOnly) {
+    return includeFriendsOnly ? '' : `AND cs.visibility = 'public'`;
+}
+
+/**
+ * Yearly totals: finished sessions by kind, re-reads/replays, sessions
+ * started, and summed pages/hours from finished sessions.
+ * `includeFriendsOnly` false limits the counts to public sessions.
+ */
+async function getYearStats(userId, year, { includeFriendsOnly = true } = {}) {
+    const visibility = visibilityClause(includeFriendsOnly);
+    const [finishedResult, startedResult] = await Promise.all([
+        query(
+            `SELECT COALESCE(c.kind, um.type, 'other') AS kind,
+                COUNT(*)::int AS finished,
+                COUNT(*) FILTER (WHERE cs.play_number > 1)::int AS repeats,
+                COALESCE(SUM(COALESCE(cs.progress_total, cs.progress_value))
+                    FILTER (WHERE cs.progress_unit = 'pages'), 0)::float8 AS pages,
+                COALESCE(SUM(COALESCE(cs.progress_value, cs.progress_total))
+                    FILTER (WHERE cs.progress_unit = 'hours'), 0)::float8 AS hours
+             FROM consumption_sessions cs
+             LEFT JOIN collectables c ON c.id = cs.collectable_id
+             LEFT JOIN user_manuals um ON um.id = cs.manual_id
+             WHERE cs.user_id = $1
+               AND cs.status = 'completed'
+               AND EXTRACT(YEAR FROM cs.finished_at) = $2
+               ${visibility}
+             GROUP BY 1
+             ORDER BY finished DESC, kind ASC`,
+            [userId, year]
+        ),
+        query(
+            `SELECT COUNT(*)::int AS started,
+                COUNT(*) FILTER (WHERE cs.status = 'in_progress')::int AS in_progress
+             FROM consumption_sessions cs
+             WHERE cs.user_id = $1
+               AND EXTRACT(YEAR FROM cs.started_at) = $2
+               ${visibility}`,
+            [userId, year]
+        ),
+    ]);
+
+    const byKind = finishedResult.rows.map((row) => ({ kind: row.kind, finished: row.finished }));
+    const sum = (field) => finishedResult.rows.reduce((total, row) => total + (Number(row[field]) || 0), 0);
+    const started = startedResult.rows[0] || {};
+    return {
+        year,
+        finished: sum('finished'),
+        repeats: sum('repeats'),
+        byKind,
+        started: started.started || 0,
+        inProgress: started.in_progress || 0,
+        pagesRead: sum('pages'),
+        hoursPlayed: sum('hours'),
+    };
+}
+
+/**
+ * In-progress sessions for a profile's "currently reading/playing" shelf.
+ */
+async function listCurrentForUser(userId, { includeFriendsOnly = true, limit = 20 } = {}) {
+    const result = await query(
+        `${SESSION_SELECT}
+         WHERE cs.user_id = $1 AND cs.status = 'in_progress' ${visibilityClause(includeFriendsOnly)}
+         ORDER BY cs.updated_at DESC
+         LIMIT $2`,
+        [userId, limit]
+    );
+    return result.rows.map(mapSession);
+}
+
+module.exports = {
+    SESSION_STATUSES,
+    PROGRESS_UNITS,
+    VISIBILITY_LEVELS,
+    listForUser,
+    getById,
+    recordCheckIn,
+    createSession,
+    updateSession,
+    deleteSession,
+    getYearStats,
+    listCurrentForUser,
+};
@@ -0,0 +1,171 @@
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+function resolveQuery(client) {
+  return client ? client.query.bind(client) : query;
+}
+
+const EDITION_COLUMNS = `id, collectable_id, name, description, publisher, release_date, format,
+       provider, external_id, edition_type, identifiers, platform, region,
+       release_year, cover_image_url, metadata, created_at, updated_at`;
+
+function toEditionParams(collectableId, edition) {
+  return [
+    collectableId,
+    edition.name,
+    edition.description || null,
+    edition.publisher || null,
+    edition.releaseDate || null,
+    edition.format || null,
+    edition.provider || null,
+    edition.externalId || null,
+    edition.editionType || null,
+    JSON.stringify(edition.identifiers || {}),
+    edition.platform || null,
+    edition.region || null,
+    Number.isFinite(edition.releaseYear) ? edition.releaseYear : null,
+    edition.coverImageUrl || null,
+    edition.metadata ? JSON.stringify(edition.metadata) : null,
+  ];
+}
+
+/**
+ * Insert or refresh one edition under a collectable. Editions with a provider
+ * external id are upserted on (collectable_id, provider, external_id); the
+ * rest are inserted once per provider/name/format/platform/region.
+ *
+ * @param {number} collectableId
+ * @param {object} edition - Output of normalizeEditionForStorage
+ * @param {object} [client]
+ * @returns {Promise<object|null>}
+ */
+async function upsertOne(collectableId, edition, client = null) {
+  if (!collectableId || !edition?.name) return null;
+  const q = resolveQuery(client);
+  const params = toEditionParams(collectableId, edition);
+
+  if (edition.externalId) {
+    const result = await q(
+      `INSERT INTO editions (
+         collectable_id, name, description, publisher, release_date, format,
+         provider, external_id, edition_type, identifiers, platform, region,
+         release_year, cover_image_url, metadata
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11, $12, $13, $14, $15::jsonb)
+       ON CONFLICT (collectable_id, provider, external_id) WHERE external_id IS NOT NULL
+       DO UPDATE SET
+         name = EXCLUDED.name,
+         description = COALESCE(EXCLUDED.description, editions.description),
+         publisher = COALESCE(EXCLUDED.publisher, editions.publisher),
+         release_date = COALESCE(EXCLUDED.release_date, editions.release_date),
+         format = COALESCE(EXCLUDED.format, editions.format),
+         edition_type = COALESCE(EXCLUDED.edition_type, editions.edition_type),
+         identifiers = editions.identifiers || EXCLUDED.identifiers,
+         platform = COALESCE(EXCLUDED.platform, editions.platform),
+         region = COALESCE(EXCLUDED.region, editions.region),
+         release_year = COALESCE(EXCLUDED.release_year, editions.release_year),
+         cover_image_url = COALESCE(EXCLUDED.cover_image_url, editions.cover_image_url),
+         metadata = COALESCE(EXCLUDED.metadata, editions.metadata),
+         updated_at = NOW()
+       RETURNING ${EDITION_COLUMNS}`,
+      params,
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+  }
+
+  const result = await q(
+    `WITH existing AS (
+       SELECT ${EDITION_COLUMNS}
+       FROM editions
+       WHERE collectable_id = $1
+         AND external_id IS NULL
+         AND provider IS NOT DISTINCT FROM $7
+         AND name = $2
+         AND format IS NOT DISTINCT FROM $6
+         AND platform IS NOT DISTINCT FROM $11
+         AND region IS NOT DISTINCT FROM $12
+       LIMIT 1
+     ),
+     inserted AS (
+       INSERT INTO editions (
+         collectable_id, name, description, publisher, release_date, format,
+         provider, external_id, edition_type, identifiers, platform, region,
+         release_year, cover_image_url, metadata
+       )
+       SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11, $12, $13, $14, $15::jsonb
+       WHERE NOT EXISTS (SELECT 1 FROM existing)
+       RETURNING ${EDITION_COLUMNS}
+     )
+     SELECT * FROM inserted
+     UNION ALL
+     SELECT * FROM existing`,
+    params,
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Persist a batch of normalized editions for a collectable.
+ * @returns {Promise<Array<object|null>>} Stored rows aligned with the input
+ */
+async function upsertForCollectable(collectableId, editions, client = null) {
+  if (!collectableId || !Array.isArray(editions) || !editions.length) return [];
+  const stored = [];
+  for (const edition of editions) {
+    stored.push(await upsertOne(collectableId, edition, client));
+  }
+  return stored;
+}
+
+async function listByCollectable(collectableId, { limit = 100 } = {}, client = null) {
+  if (!collectableId) return [];
+  const safeLimit = Math.min(Math.max(Number.parseInt(limit, 10) || 100, 1), 200);
+  const q = resolveQuery(client);
+  const result = await q(
+    `SELECT ${EDITION_COLUMNS}
+     FROM editions
+     WHERE collectable_id = $1
+     ORDER BY release_year ASC NULLS LAST, release_date ASC NULLS LAST, name ASC, id ASC
+     LIMIT $2`,
+    [collectableId, safeLimit],
+  );
+  return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Fetch an edition only if it belongs to the given collectable.
+ */
+async function findByIdForCollectable(editionId, collectableId, client = null) {
+  if (!editionId || !collectableId) return null;
+  const q = resolveQuery(client);
+  const result = await q(
+    `SELECT ${EDITION_COLUMNS}
+     FROM editions
+     WHERE id = $1 AND collectable_id = $2`,
+    [editionId, collectableId],
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Point collectables.editions_id at the matched edition when it has none yet.
+ */
+async function setPrimaryEditionIfMissing(collectableId, editionId, client = null) {
+  if (!collectableId || !editionId) return false;
+  const q = resolveQuery(client);
+  const result = await q(
+    `UPDATE collectables
+     SET editions_id = $2
+     WHERE id = $1 AND editions_id IS NULL`,
+    [collectableId, editionId],
+  );
+  return Number(result.rowCount || 0) > 0;
+}
+
+module.exports = {
+  upsertOne,
+  upsertForCollectable,
+  listByCollectable,
+  findByIdForCollectable,
+  setPrimaryEditionIfMissing,
+};
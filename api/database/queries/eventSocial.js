@@ -45,7 +45,7 @@ async function canUserViewEvent(eventId, viewerId) {
            )
          )
          OR (
-           t.event_type = 'checkin.activity'
+           t.event_type IN ('checkin.activity', 'goal.milestone')
            AND (
              t.visibility = 'public'
              OR (
@@ -311,8 +311,8 @@ async function getGlobalFeed(userId, { limit = 20, offset = 0, type = null }) {
         OR (a.user_id IN (SELECT friend_id FROM friend_ids) AND s.visibility = 'friends')
       ))
       OR
-      -- Check-in events: check event visibility
-      (a.event_type = 'checkin.activity' AND (
+      -- Check-in and goal milestone events: check event visibility
+      (a.event_type IN ('checkin.activity', 'goal.milestone') AND (
         a.visibility = 'public'
         OR (a.user_id IN (SELECT friend_id FROM friend_ids) AND a.visibility = 'friends')
       ))
@@ -383,8 +383,8 @@ async function getAllFeed(userId, { limit = 20, offset = 0, type = null }) {
         OR (a.user_id IN (SELECT friend_id FROM friend_ids) AND s.visibility = 'friends')
       ))
       OR
-      -- Check-in events from others
-      (a.event_type = 'checkin.activity' AND a.user_id != $1 AND (
+      -- Check-in and goal milestone events from others
+      (a.event_type IN ('checkin.activity', 'goal.milestone') AND a.user_id != $1 AND (
         a.visibility = 'public'
         OR (a.user_id IN (SELECT friend_id FROM friend_ids) AND a.visibility = 'friends')
       ))
@@ -449,8 +449,8 @@ async function getFriendsFeed(userId, { limit = 20, offset = 0, type = null }) {
       -- Shelf-based events
       (a.shelf_id IS NOT NULL AND s.visibility IN ('public', 'friends'))
       OR
-      -- Check-in events
-      (a.event_type = 'checkin.activity' AND a.visibility IN ('public', 'friends'))
+      -- Check-in and goal milestone events
+      (a.event_type IN ('checkin.activity', 'goal.milestone') AND a.visibility IN ('public', 'friends'))
       OR
       -- Global rating/review events (always visible from friends)
       (a.shelf_id IS NULL AND a.event_type IN ('item.rated', 'reviewed'))
@@ -867,6 +867,34 @@ async function logCheckIn({ userId, collectableId = null, manualId = null, statu
   return rowToCamelCase(result.rows[0]);
 }
 
+/**
+ * Log a goal milestone (25/50/75/100% of a yearly goal). Like check-ins these
+ * carry their own visibility and never aggregate; the goal snapshot lives in
+ * preview_payloads.
+ */
+async function logGoalMilestone({ userId, visibility = 'public', payload }) {
+  if (!userId || !payload) {
+    throw new Error('userId and payload are required for goal milestones');
+  }
+
+  const validVisibilities = ['public', 'friends'];
+  if (!validVisibilities.includes(visibility)) {
+    throw new Error(`Invalid visibility: ${visibility}. Must be one of: ${validVisibilities.join(', ')}`);
+  }
+
+  const result = await query(
+    `INSERT INTO event_aggregates (
+      user_id, event_type, visibility, preview_payloads,
+      window_start_utc, window_end_utc, item_count
+    )
+    VALUES ($1, 'goal.milestone', $2, $3::jsonb, NOW(), NOW(), 1)
+    RETURNING *`,
+    [userId, visibility, JSON.stringify([normalizePayload(payload)])]
+  );
+
+  return rowToCamelCase(result.rows[0]);
+}
+
 module.exports = {
   getGlobalFeed,
   getAllFeed,
@@ -875,4 +903,5 @@ module.exports = {
   logEvent,
   upsertReviewedEvent,
   logCheckIn,
+  logGoalMilestone,
 };
@@ -0,0 +1,371 @@
+/**
+ * Yearly goals and friend challenges database queries
+ */
+
+const { query, transaction } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+const GOAL_METRICS = ['completed', 'added'];
+const VISIBILITY_LEVELS = ['public', 'friends'];
+const PARTICIPANT_STATUSES = ['invited', 'joined', 'declined'];
+
+const CHALLENGE_SELECT = `
+    SELECT gc.*,
+        u.username AS creator_username, u.first_name AS creator_first_name, u.picture AS creator_picture,
+        (SELECT COUNT(*)::int FROM goal_challenge_participants p
+         WHERE p.challenge_id = gc.id AND p.status = 'joined') AS joined_count
+    FROM goal_challenges gc
+    LEFT JOIN users u ON u.id = gc.creator_id
+`;
+
+function mapGoal(row) {
+    if (!row) return null;
+    const base = rowToCamelCase(row);
+    return {
+        id: base.id,
+        userId: base.userId,
+        year: base.year,
+        category: base.category,
+        metric: base.metric,
+        target: base.target,
+        visibility: base.visibility,
+        lastMilestone: base.lastMilestone,
+        createdAt: base.createdAt,
+        updatedAt: base.updatedAt,
+    };
+}
+
+function mapChallenge(row) {
+    if (!row) return null;
+    const base = rowToCamelCase(row);
+    return {
+        id: base.id,
+        title: base.title,
+        year: base.year,
+        category: base.category,
+        metric: base.metric,
+        target: base.target,
+        creator: {
+            id: base.creatorId,
+            username: base.creatorUsername || null,
+            firstName: base.creatorFirstName || null,
+            picture: base.creatorPicture || null,
+        },
+        joinedCount: base.joinedCount || 0,
+        myStatus: base.myStatus || null,
+        createdAt: base.createdAt,
+        updatedAt: base.updatedAt,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Progress
+// ---------------------------------------------------------------------------
+
+/**
+ * Count goal progress for several users at once, straight from feed events:
+ * - `completed`: distinct items with a completed check-in during the year
+ * - `added`: items added to (non-private) shelves during the year
+ *
+ * `kinds` is a lowercase list of shelf type aliases to match against the
+ * collectable kind / manual type (or shelf type for additions); null counts
+ * every category. Returns a Map of userId -> count.
+ */
+async function countProgress(userIds, { year, metric, kinds = null }) {
+    const ids = Array.from(new Set((userIds || []).filter(Boolean)));
+    const counts = new Map(ids.map((id) => [id, 0]));
+    if (!ids.length) return counts;
+
+    let result;
+    if (metric === 'completed') {
+        result = await query(
+            `SELECT a.user_id,
+                COUNT(DISTINCT COALESCE('c' || a.collectable_id::text, 'm' || a.manual_id::text))::int AS count
+             FROM event_aggregates a
+             LEFT JOIN collectables c ON c.id = a.collectable_id
+             LEFT JOIN user_manuals um ON um.id = a.manual_id
+             WHERE a.user_id = ANY($1::uuid[])
+               AND a.event_type = 'checkin.activity'
+               AND a.checkin_status = 'completed'
+               AND EXTRACT(YEAR FROM a.created_at) = $2
+               AND ($3::text[] IS NULL OR LOWER(COALESCE(c.kind, um.type, '')) = ANY($3::text[]))
+             GROUP BY a.user_id`,
+            [ids, year, kinds]
+        );
+    } else if (metric === 'added') {
+        result = await query(
+            `SELECT el.user_id, COUNT(*)::int AS count
+             FROM event_logs el
+             LEFT JOIN shelves s ON s.id = el.shelf_id
+             WHERE el.user_id = ANY($1::uuid[])
+               AND el.event_type IN ('item.collectable_added', 'item.manual_added')
+               AND EXTRACT(YEAR FROM el.created_at) = $2
+               AND ($3::text[] IS NULL OR LOWER(COALESCE(s.type, el.payload->>'type', '')) = ANY($3::text[]))
+             GROUP BY el.user_id`,
+            [ids, year, kinds]
+        );
+    } else {
+        throw new Error(`Invalid goal metric: ${metric}`);
+    }
+
+    for (const row of result.rows) {
+        counts.set(row.user_id, row.count || 0);
+    }
+    return counts;
+}
+
+// ---------------------------------------------------------------------------
+// Goals
+// ---------------------------------------------------------------------------
+
+/**
+ * A user's goals for one year. Pass `includeFriendsOnly: false` when the
+ * viewer is not the owner or a friend.
+ */
+async function listGoals(userId, { year, includeFriendsOnly = true } = {}) {
+    const result = await query(
+        `SELECT * FROM user_goals
+         WHERE user_id = $1 AND year = $2
+           ${includeFriendsOnly ? '' : `AND visibility = 'public'`}
+         ORDER BY created_at ASC, id ASC`,
+        [userId, year]
+    );
+    return result.rows.map(mapGoal);
+}
+
+async function getGoal(goalId, userId) {
+    const result = await query(
+        'SELECT * FROM user_goals WHERE id = $1 AND user_id = $2',
+        [goalId, userId]
+    );
+    return mapGoal(result.rows[0]);
+}
+
+/**
+ * Create a goal, or update target/visibility when the user already has one
+ * for the same year, category and metric.
+ */
+async function upsertGoal(userId, { year, category, metric, target, visibility = 'public' }) {
+    const result = await query(
+        `INSERT INTO user_goals (user_id, year, category, metric, target, visibility)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id, year, category, metric)
+         DO UPDATE SET target = EXCLUDED.target,
+                       visibility = EXCLUDED.visibility,
+                       updated_at = NOW()
+         RETURNING *`,
+        [userId, year, category, metric, target, visibility]
+    );
+    return mapGoal(result.rows[0]);
+}
+
+async function updateGoal(goalId, userId, updates = {}) {
+    const fields = [];
+    const values = [goalId, userId];
+    const columns = { target: 'target', visibility: 'visibility', lastMilestone: 'last_milestone' };
+    for (const [key, column] of Object.entries(columns)) {
+        if (updates[key] !== undefined) {
+            values.push(updates[key]);
+            fields.push(`${column} = $${values.length}`);
+        }
+    }
+    if (!fields.length) return getGoal(goalId, userId);
+
+    const result = await query(
+        `UPDATE user_goals
+         SET ${fields.join(', ')}, updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        values
+    );
+    return mapGoal(result.rows[0]);
+}
+
+async function deleteGoal(goalId, userId) {
+    const result = await query(
+        'DELETE FROM user_goals WHERE id = $1 AND user_id = $2 RETURNING id',
+        [goalId, userId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Record that `milestone` was reached. Returns false when it (or a higher
+ * one) was already recorded, so concurrent checks post each milestone once.
+ */
+async function claimMilestone(goalId, milestone) {
+    const result = await query(
+        `UPDATE user_goals
+         SET last_milestone = $2
+         WHERE id = $1 AND last_milestone < $2
+         RETURNING id`,
+        [goalId, milestone]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Users with goals for `year` that still have milestones left to reach, one
+ * page at a time in user_id order. Pass the last id of a page as
+ * `afterUserId` to get the next one.
+ */
+async function listUserIdsWithOpenGoals(year, { afterUserId = null, limit = 1000 } = {}) {
+    const result = await query(
+        `SELECT DISTINCT user_id FROM user_goals
+         WHERE year = $1 AND last_milestone < 100
+           AND ($2::uuid IS NULL OR user_id > $2::uuid)
+         ORDER BY user_id
+         LIMIT $3`,
+        [year, afterUserId, limit]
+    );
+    return result.rows.map((row) => row.user_id);
+}
+
+// ---------------------------------------------------------------------------
+// Challenges
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a challenge. The creator joins it straight away; `inviteeIds` are
+ * added as invited participants.
+ */
+async function createChallenge(creatorId, { title, year, category, metric, target, inviteeIds = [] }) {
+    return transaction(async (client) => {
+        const inserted = await client.query(
+            `INSERT INTO goal_challenges (creator_id, title, year, category, metric, target)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id`,
+            [creatorId, title, year, category, metric, target]
+        );
+        const challengeId = inserted.rows[0].id;
+
+        await client.query(
+            `INSERT INTO goal_challenge_participants (challenge_id, user_id, status, responded_at)
+             VALUES ($1, $2, 'joined', NOW())`,
+            [challengeId, creatorId]
+        );
+        if (inviteeIds.length) {
+            await client.query(
+                `INSERT INTO goal_challenge_participants (challenge_id, user_id, status, invited_by)
+                 SELECT $1, invitee, 'invited', $2
+                 FROM UNNEST($3::uuid[]) AS invitee
+                 ON CONFLICT (challenge_id, user_id) DO NOTHING`,
+                [challengeId, creatorId, inviteeIds]
+            );
+        }
+
+        const result = await client.query(
+            `${CHALLENGE_SELECT}
+             WHERE gc.id = $1`,
+            [challengeId]
+        );
+        return mapChallenge({ ...result.rows[0], my_status: 'joined' });
+    });
+}
+
+/**
+ * Challenges the user created, joined or was invited to (declined ones are
+ * left out), newest first.
+ */
+async function listChallengesForUser(userId, { year = null } = {}) {
+    const params = [userId];
+    let yearClause = '';
+    if (year) {
+        params.push(year);
+        yearClause = `AND c.year = $${params.length}`;
+    }
+    const result = await query(
+        `SELECT c.*, me.status AS my_status
+         FROM (${CHALLENGE_SELECT}) c
+         JOIN goal_challenge_participants me ON me.challenge_id = c.id AND me.user_id = $1
+         WHERE me.status <> 'declined'
+           ${yearClause}
+         ORDER BY c.created_at DESC`,
+        params
+    );
+    return result.rows.map(mapChallenge);
+}
+
+/**
+ * A challenge as seen by one participant; null when the user is not part of it.
+ */
+async function getChallengeForUser(challengeId, userId) {
+    const result = await query(
+        `SELECT c.*, me.status AS my_status
+         FROM (${CHALLENGE_SELECT}) c
+         JOIN goal_challenge_participants me ON me.challenge_id = c.id AND me.user_id = $2
+         WHERE c.id = $1`,
+        [challengeId, userId]
+    );
+    return mapChallenge(result.rows[0]);
+}
+
+async function listParticipants(challengeId) {
+    const result = await query(
+        `SELECT p.user_id, p.status, p.responded_at,
+            u.username, u.first_name, u.last_name, u.picture,
+            pm.local_path AS profile_media_path
+         FROM goal_challenge_participants p
+         JOIN users u ON u.id = p.user_id
+         LEFT JOIN profile_media pm ON pm.id = u.profile_media_id
+         WHERE p.challenge_id = $1
+         ORDER BY p.created_at ASC`,
+        [challengeId]
+    );
+    return result.rows.map((row) => {
+        const base = rowToCamelCase(row);
+        return {
+            userId: base.userId,
+            status: base.status,
+            respondedAt: base.respondedAt || null,
+            username: base.username || null,
+            firstName: base.firstName || null,
+            lastName: base.lastName || null,
+            picture: base.picture || null,
+            profileMediaPath: base.profileMediaPath || null,
+        };
+    });
+}
+
+/**
+ * Accept or decline an invitation. Only pending invitations can be answered;
+ * returns the new status, or null when there was nothing to answer.
+ */
+async function respondToChallenge(challengeId, userId, accept) {
+    const result = await query(
+        `UPDATE goal_challenge_participants
+         SET status = $3, responded_at = NOW()
+         WHERE challenge_id = $1 AND user_id = $2 AND status = 'invited'
+         RETURNING status`,
+        [challengeId, userId, accept ? 'joined' : 'declined']
+    );
+    return result.rows[0]?.status || null;
+}
+
+async function deleteChallenge(challengeId, creatorId) {
+    const result = await query(
+        'DELETE FROM goal_challenges WHERE id = $1 AND creator_id = $2 RETURNING id',
+        [challengeId, creatorId]
+    );
+    return result.rowCount > 0;
+}
+
+module.exports = {
+    GOAL_METRICS,
+    VISIBILITY_LEVELS,
+    PARTICIPANT_STATUSES,
+    countProgress,
+    listGoals,
+    getGoal,
+    upsertGoal,
+    updateGoal,
+    deleteGoal,
+    claimMilestone,
+    listUserIdsWithOpenGoals,
+    createChallenge,
+    listChallengesForUser,
+    getChallengeForUser,
+    listParticipants,
+    respondToChallenge,
+    deleteChallenge,
+};
@@ -0,0 +1,251 @@
+/**
+ * Item loans (lending tracker) database queries
+ */
+
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+const LOAN_STATUSES = ['active', 'overdue', 'returned', 'all'];
+
+// DATE columns go out as YYYY-MM-DD strings so the server timezone never
+// shifts a due date by a day.
+const LOAN_SELECT = `
+    SELECT il.id, il.collection_item_id, il.owner_id, il.borrower_user_id, il.borrower_name,
+        to_char(il.lent_at, 'YYYY-MM-DD') AS lent_at,
+        to_char(il.due_at, 'YYYY-MM-DD') AS due_at,
+        il.notes, il.returned_at, il.overdue_notified_at, il.created_at, il.updated_at,
+        (il.returned_at IS NULL AND il.due_at IS NOT NULL AND il.due_at < CURRENT_DATE) AS is_overdue,
+        uc.shelf_id, s.name AS shelf_name,
+        uc.collectable_id, uc.manual_id,
+        COALESCE(c.title, um.name) AS item_title,
+        COALESCE(c.primary_creator, um.author) AS item_creator,
+        COALESCE(c.kind, um.type) AS item_kind,
+        c.cover_url AS item_cover_url,
+        COALESCE(m.local_path, um.cover_media_path) AS item_cover_media_path,
+        o.username AS owner_username, o.first_name AS owner_first_name, o.picture AS owner_picture,
+        b.username AS borrower_username, b.picture AS borrower_picture
+    FROM item_loans il
+    JOIN user_collections uc ON uc.id = il.collection_item_id
+    JOIN shelves s ON s.id = uc.shelf_id
+    LEFT JOIN collectables c ON c.id = uc.collectable_id
+    LEFT JOIN media m ON m.id = c.cover_media_id
+    LEFT JOIN user_manuals um ON um.id = uc.manual_id
+    JOIN users o ON o.id = il.owner_id
+    LEFT JOIN users b ON b.id = il.borrower_user_id
+`;
+
+function mapLoan(row) {
+    if (!row) return null;
+    const base = rowToCamelCase(row);
+    return {
+        id: base.id,
+        itemId: base.collectionItemId,
+        shelfId: base.shelfId,
+        shelfName: base.shelfName || null,
+        item: {
+            collectableId: base.collectableId || null,
+            manualId: base.manualId || null,
+            title: base.itemTitle || null,
+            primaryCreator: base.itemCreator || null,
+            kind: base.itemKind || null,
+            coverUrl: base.itemCoverUrl || null,
+            coverMediaPath: base.itemCoverMediaPath || null,
+        },
+        owner: {
+            id: base.ownerId,
+            username: base.ownerUsername || null,
+            firstName: base.ownerFirstName || null,
+            picture: base.ownerPicture || null,
+        },
+        borrower: {
+            userId: base.borrowerUserId || null,
+            username: base.borrowerUsername || null,
+            picture: base.borrowerPicture || null,
+            name: base.borrowerName,
+        },
+        lentAt: base.lentAt,
+        dueAt: base.dueAt || null,
+        notes: base.notes || null,
+        returnedAt: base.returnedAt || null,
+        isOverdue: base.isOverdue === true,
+        overdueNotifiedAt: base.overdueNotifiedAt || null,
+        createdAt: base.createdAt,
+        updatedAt: base.updatedAt,
+    };
+}
+
+// Borrowers see the item but not where it sits in the owner's library; the
+// shelf may be private.
+function mapBorrowedLoan(row) {
+    const loan = mapLoan(row);
+    return loan && { ...loan, shelfId: null, shelfName: null };
+}
+
+function statusFilterSql(status) {
+    switch (status) {
+        case 'overdue':
+            return 'AND il.returned_at IS NULL AND il.due_at IS NOT NULL AND il.due_at < CURRENT_DATE';
+        case 'returned':
+            return 'AND il.returned_at IS NOT NULL';
+        case 'all':
+            return '';
+        default:
+            return 'AND il.returned_at IS NULL';
+    }
+}
+
+/**
+ * Loans the user has made. `status`: active (default), overdue, returned or all.
+ */
+async function listForOwner(ownerId, { status = 'active', limit = 50, offset = 0 } = {}) {
+    const result = await query(
+        `${LOAN_SELECT}
+         WHERE il.owner_id = $1 ${statusFilterSql(status)}
+         ORDER BY il.returned_at DESC NULLS FIRST, il.due_at ASC NULLS LAST, il.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [ownerId, limit, offset]
+    );
+    return result.rows.map(mapLoan);
+}
+
+/**
+ * Items a friend has lent to this user and not yet marked returned.
+ */
+async function listBorrowedByUser(borrowerUserId) {
+    const result = await query(
+        `${LOAN_SELECT}
+         WHERE il.borrower_user_id = $1 AND il.returned_at IS NULL
+         ORDER BY il.due_at ASC NULLS LAST, il.created_at DESC`,
+        [borrowerUserId]
+    );
+    return result.rows.map(mapBorrowedLoan);
+}
+
+async function getById(loanId) {
+    const result = await query(`${LOAN_SELECT} WHERE il.id = $1`, [loanId]);
+    return mapLoan(result.rows[0]);
+}
+
+/**
+ * The collection row being lent, only when it belongs to `ownerId`.
+ */
+async function getOwnedCollectionItem(collectionItemId, ownerId) {
+    const result = await query(
+        `SELECT uc.id, uc.shelf_id, uc.user_id, COALESCE(c.title, um.name) AS title
+         FROM user_collections uc
+         LEFT JOIN collectables c ON c.id = uc.collectable_id
+         LEFT JOIN user_manuals um ON um.id = uc.manual_id
+         WHERE uc.id = $1 AND uc.user_id = $2`,
+        [collectionItemId, ownerId]
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Record a loan. Returns null when the item already has an active loan.
+ */
+async function createLoan({
+    collectionItemId,
+    ownerId,
+    borrowerUserId = null,
+    borrowerName,
+    lentAt = null,
+    dueAt = null,
+    notes = null,
+}) {
+    const result = await query(
+        `INSERT INTO item_loans (collection_item_id, owner_id, borrower_user_id, borrower_name, lent_at, due_at, notes)
+         VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6::date, $7)
+         ON CONFLICT (collection_item_id) WHERE returned_at IS NULL DO NOTHING
+         RETURNING id`,
+        [collectionItemId, ownerId, borrowerUserId, borrowerName, lentAt, dueAt, notes]
+    );
+    if (!result.rows[0]) return null;
+    return getById(result.rows[0].id);
+}
+
+/**
+ * Update an active loan's due date or notes. Changing the due date re-arms the
+ * overdue reminder.
+ */
+async function updateLoan(loanId, ownerId, { dueAt, notes }) {
+    const setClauses = [];
+    const values = [loanId, ownerId];
+    if (dueAt !== undefined) {
+        values.push(dueAt);
+        setClauses.push(`due_at = $${values.length}::date`);
+        setClauses.push(`overdue_notified_at = CASE
+            WHEN due_at IS NOT DISTINCT FROM $${values.length}::date THEN overdue_notified_at
+            ELSE NULL
+        END`);
+    }
+    if (notes !== undefined) {
+        values.push(notes);
+        setClauses.push(`notes = $${values.length}`);
+    }
+    if (!setClauses.length) return getById(loanId);
+
+    const result = await query(
+        `UPDATE item_loans
+         SET ${setClauses.join(', ')}, updated_at = NOW()
+         WHERE id = $1 AND owner_id = $2 AND returned_at IS NULL
+         RETURNING id`,
+        values
+    );
+    if (!result.rows[0]) return null;
+    return getById(result.rows[0].id);
+}
+
+async function markReturned(loanId, ownerId) {
+    const result = await query(
+        `UPDATE item_loans
+         SET returned_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND owner_id = $2 AND returned_at IS NULL
+         RETURNING id`,
+        [loanId, ownerId]
+    );
+    if (!result.rows[0]) return null;
+    return getById(result.rows[0].id);
+}
+
+/**
+ * Claim overdue loans that have not been reminded yet. Marks them notified in
+ * the same statement so concurrent runs never remind twice.
+ */
+async function claimOverdueForReminder({ limit = 200 } = {}) {
+    const result = await query(
+        `WITH due AS (
+            SELECT id
+            FROM item_loans
+            WHERE returned_at IS NULL
+              AND due_at IS NOT NULL
+              AND due_at < CURRENT_DATE
+              AND overdue_notified_at IS NULL
+            ORDER BY due_at ASC
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        UPDATE item_loans il
+        SET overdue_notified_at = NOW()
+        FROM due
+        WHERE il.id = due.id
+        RETURNING il.id`,
+        [limit]
+    );
+    const ids = result.rows.map((row) => row.id);
+    if (!ids.length) return [];
+    const loans = await query(`${LOAN_SELECT} WHERE il.id = ANY($1::int[]) ORDER BY il.due_at ASC`, [ids]);
+    return loans.rows.map(mapLoan);
+}
+
+module.exports = {
+    LOAN_STATUSES,
+    listForOwner,
+    listBorrowedByUser,
+    getById,
+    getOwnedCollectionItem,
+    createLoan,
+    updateLoan,
+    markReturned,
+    claimOverdueForReminder,
+};
@@ -0,0 +1,151 @@
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+function resolveQuery(client) {
+  return client ? client.query.bind(client) : query;
+}
+
+function normalizeKeys(matchKeys) {
+  if (!Array.isArray(matchKeys)) return [];
+  return Array.from(new Set(matchKeys.filter((key) => typeof key === 'string' && key)));
+}
+
+/**
+ * Record that a user replaced sourceCollectableId with targetCollectableId.
+ * Repeat corrections of the same pair bump correction_count and merge keys.
+ */
+async function recordCorrection(
+  {
+    userId,
+    sourceCollectableId,
+    targetCollectableId,
+    matchKeys = [],
+    ocrTitle = null,
+    traceId = null,
+  },
+  client = null,
+) {
+  const keys = normalizeKeys(matchKeys);
+  if (!userId || !sourceCollectableId || !targetCollectableId || !keys.length) return null;
+  if (sourceCollectableId === targetCollectableId) return null;
+
+  const q = resolveQuery(client);
+  const result = await q(
+    `INSERT INTO collectable_match_corrections (
+       user_id,
+       source_collectable_id,
+       target_collectable_id,
+       match_keys,
+       ocr_title,
+       last_trace_id
+     )
+     VALUES ($1, $2, $3, $4::text[], $5, $6)
+     ON CONFLICT (user_id, source_collectable_id, target_collectable_id)
+     DO UPDATE SET
+       match_keys = ARRAY(
+         SELECT DISTINCT key
+         FROM unnest(collectable_match_corrections.match_keys || EXCLUDED.match_keys) AS key
+       ),
+       ocr_title = COALESCE(EXCLUDED.ocr_title, collectable_match_corrections.ocr_title),
+       last_trace_id = COALESCE(EXCLUDED.last_trace_id, collectable_match_corrections.last_trace_id),
+       correction_count = collectable_match_corrections.correction_count + 1,
+       last_corrected_at = NOW()
+     RETURNING *`,
+    [userId, sourceCollectableId, targetCollectableId, keys, ocrTitle, traceId],
+  );
+
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Corrections recorded under any of the given keys, aggregated per
+ * (source, target) pair across users. ownCorrections counts the given
+ * user's corrections so personal fixes can apply before others agree.
+ */
+async function findForKeys({ matchKeys = [], userId = null }) {
+  const keys = normalizeKeys(matchKeys);
+  if (!keys.length) return [];
+
+  const result = await query(
+    `SELECT
+       source_collectable_id,
+       target_collectable_id,
+       SUM(correction_count)::int AS corrections,
+       COUNT(DISTINCT user_id)::int AS users,
+       COALESCE(SUM(correction_count) FILTER (WHERE user_id = $2::uuid), 0)::int AS own_corrections,
+       MAX(last_corrected_at) AS last_corrected_at
+     FROM collectable_match_corrections
+     WHERE match_keys && $1::text[]
+     GROUP BY source_collectable_id, target_collectable_id`,
+    [keys, userId],
+  );
+
+  return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Admin report: collectables users most often replaced, with the
+ * replacement they picked most.
+ */
+async function listMostCorrected({ limit = 20, offset = 0, minUsers = 1 } = {}) {
+  const safeLimit = Math.min(Math.max(Number.parseInt(limit, 10) || 20, 1), 100);
+  const safeOffset = Math.max(Number.parseInt(offset, 10) || 0, 0);
+  const safeMinUsers = Math.max(Number.parseInt(minUsers, 10) || 1, 1);
+
+  const result = await query(
+    `WITH per_source AS (
+       SELECT
+         source_collectable_id,
+         SUM(correction_count)::int AS total_corrections,
+         COUNT(DISTINCT user_id)::int AS distinct_users,
+         COUNT(DISTINCT target_collectable_id)::int AS distinct_targets,
+         (ARRAY_REMOVE(ARRAY_AGG(DISTINCT ocr_title), NULL))[1:5] AS ocr_titles,
+         MAX(last_corrected_at) AS last_corrected_at
+       FROM collectable_match_corrections
+       GROUP BY source_collectable_id
+       HAVING COUNT(DISTINCT user_id) >= $3
+     ),
+     top_target AS (
+       SELECT DISTINCT ON (source_collectable_id)
+         source_collectable_id,
+         target_collectable_id,
+         SUM(correction_count)::int AS target_corrections
+       FROM collectable_match_corrections
+       GROUP BY source_collectable_id, target_collectable_id
+       ORDER BY source_collectable_id, SUM(correction_count) DESC, target_collectable_id ASC
+     )
+     SELECT
+       ps.*,
+       COUNT(*) OVER()::int AS total_count,
+       src.title AS source_title,
+       src.primary_creator AS source_primary_creator,
+       src.kind AS source_kind,
+       tt.target_collectable_id,
+       tt.target_corrections,
+       tgt.title AS target_title,
+       tgt.primary_creator AS target_primary_creator,
+       tgt.kind AS target_kind
+     FROM per_source ps
+     JOIN collectables src ON src.id = ps.source_collectable_id
+     LEFT JOIN top_target tt ON tt.source_collectable_id = ps.source_collectable_id
+     LEFT JOIN collectables tgt ON tgt.id = tt.target_collectable_id
+     ORDER BY ps.total_corrections DESC, ps.distinct_users DESC, ps.last_corrected_at DESC
+     LIMIT $1 OFFSET $2`,
+    [safeLimit, safeOffset, safeMinUsers],
+  );
+
+  const total = result.rows[0]?.total_count || 0;
+  return {
+    total,
+    items: result.rows.map((row) => {
+      const { totalCount, ...rest } = rowToCamelCase(row);
+      return rest;
+    }),
+  };
+}
+
+module.exports = {
+  recordCorrection,
+  findForKeys,
+  listMostCorrected,
+};
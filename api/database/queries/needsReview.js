@@ -86,6 +86,19 @@ async function countPendingForUser(userId) {
     return parseInt(result.rows[0]?.count || '0', 10);
 }
 
+/**
+ * Count pending review items that expire within the warning window
+ */
+async function countExpiringForUser(userId, { expiryDays = 7, warningHours = 48 } = {}) {
+    const result = await query(
+        `SELECT COUNT(*) as count FROM needs_review
+         WHERE user_id = $1 AND status = 'pending'
+         AND created_at + INTERVAL '1 day' * $2 <= NOW() + INTERVAL '1 hour' * $3`,
+        [userId, expiryDays, warningHours]
+    );
+    return parseInt(result.rows[0]?.count || '0', 10);
+}
+
 /**
  * Dismiss all pending review items for a user
  * Returns the count of dismissed items
@@ -122,6 +135,7 @@ module.exports = {
     dismiss,
     listAllPendingForUser,
     countPendingForUser,
+    countExpiringForUser,
     dismissAllForUser,
     deleteExpired,
 };
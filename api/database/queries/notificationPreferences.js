@@ -9,6 +9,8 @@ const DEFAULT_PREFERENCES = {
     pushFriendAccepts: true,
     pushMentions: true,
     pushWorkflowJobs: true,
+    pushLoanReminders: true,
+    pushWishlistAlerts: true,
 };
 
 /**
@@ -61,6 +63,8 @@ async function updatePreferences(userId, updates) {
         'push_friend_accepts',
         'push_mentions',
         'push_workflow_jobs',
+        'push_loan_reminders',
+        'push_wishlist_alerts',
     ];
 
     // Convert camelCase to snake_case and filter allowed fields
@@ -72,6 +76,8 @@ async function updatePreferences(userId, updates) {
         pushFriendAccepts: 'push_friend_accepts',
         pushMentions: 'push_mentions',
         pushWorkflowJobs: 'push_workflow_jobs',
+        pushLoanReminders: 'push_loan_reminders',
+        pushWishlistAlerts: 'push_wishlist_alerts',
     };
 
     const setClauses = [];
@@ -107,6 +113,8 @@ async function updatePreferences(userId, updates) {
             updates.pushFriendAccepts ?? true,
             updates.pushMentions ?? true,
             updates.pushWorkflowJobs ?? true,
+            updates.pushLoanReminders ?? true,
+            updates.pushWishlistAlerts ?? true,
         ]
     );
 
@@ -131,6 +139,11 @@ async function isTypeEnabled(userId, type) {
         mention: prefs.pushMentions,
         workflow_complete: prefs.pushWorkflowJobs,
         workflow_failed: prefs.pushWorkflowJobs,
+        vision_quota_warning: prefs.pushWorkflowJobs,
+        loan_overdue: prefs.pushLoanReminders,
+        wishlist_alert: prefs.pushWishlistAlerts,
+        // Challenge invites come from friends, so they follow the friend request toggle
+        goal_challenge: prefs.pushFriendRequests,
     };
 
     return typeMap[type] ?? false;
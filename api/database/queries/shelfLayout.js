@@ -0,0 +1,155 @@
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+function resolveQuery(client) {
+  return client ? client.query.bind(client) : query;
+}
+
+function mapLayoutRow(row) {
+  const mapped = rowToCamelCase(row);
+  if (!mapped) return null;
+  if (mapped.box2d == null && Array.isArray(mapped.box_2d)) {
+    mapped.box2d = mapped.box_2d;
+  }
+  return mapped;
+}
+
+/**
+ * Write the physical order from a scan. Placed items take positions 1..N;
+ * every other positioned item on the shelf keeps its relative order after
+ * them, so a re-scan reorders the shelf instead of appending to it. Items
+ * that were never positioned stay NULL (listed last).
+ *
+ * Run inside a transaction so the two renumbering passes land together.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.shelfId
+ * @param {Array<{ collectionItemId: number, regionId: number|null, row: number, rowPosition: number, position: number }>} params.placements
+ * @param {import('pg').PoolClient|null} [client]
+ * @returns {Promise<{ placed: number, shifted: number }>}
+ */
+async function applyPlacements({ userId, shelfId, placements = [] }, client = null) {
+  const valid = (Array.isArray(placements) ? placements : [])
+    .filter((placement) => Number.isInteger(placement?.collectionItemId) && Number.isInteger(placement?.position));
+  if (!userId || !shelfId || !valid.length) return { placed: 0, shifted: 0 };
+
+  const q = resolveQuery(client);
+  const itemIds = valid.map((placement) => placement.collectionItemId);
+  const placed = await q(
+    `UPDATE user_collections uc
+     SET position = p.position,
+         shelf_row = p.shelf_row,
+         shelf_row_position = p.row_position,
+         layout_region_id = p.region_id,
+         layout_updated_at = NOW()
+     FROM unnest($3::int[], $4::int[], $5::int[], $6::int[], $7::int[])
+       AS p(item_id, position, shelf_row, row_position, region_id)
+     WHERE uc.id = p.item_id
+       AND uc.user_id = $1
+       AND uc.shelf_id = $2
+     RETURNING uc.id`,
+    [
+      userId,
+      shelfId,
+      itemIds,
+      valid.map((placement) => placement.position),
+      valid.map((placement) => placement.row ?? null),
+      valid.map((placement) => placement.rowPosition ?? null),
+      valid.map((placement) => placement.regionId ?? null),
+    ],
+  );
+
+  const lastPosition = Math.max(...valid.map((placement) => placement.position));
+  const shifted = await q(
+    `WITH rest AS (
+       SELECT id, ROW_NUMBER() OVER (ORDER BY position ASC, created_at DESC, id DESC) AS ord
+       FROM user_collections
+       WHERE user_id = $1
+         AND shelf_id = $2
+         AND position IS NOT NULL
+         AND NOT (id = ANY($3::int[]))
+     )
+     UPDATE user_collections uc
+     SET position = $4 + rest.ord
+     FROM rest
+     WHERE uc.id = rest.id`,
+    [userId, shelfId, itemIds, lastPosition],
+  );
+
+  return { placed: placed.rowCount || 0, shifted: shifted.rowCount || 0 };
+}
+
+/**
+ * Every item on a shelf with its stored placement and the region it was
+ * placed from, in shelf order.
+ */
+async function listForShelf({ userId, shelfId }) {
+  if (!userId || !shelfId) return [];
+  const result = await query(
+    `SELECT uc.id,
+            uc.collectable_id,
+            uc.manual_id,
+            uc.position,
+            uc.shelf_row,
+            uc.shelf_row_position,
+            uc.layout_region_id,
+            uc.layout_updated_at,
+            COALESCE(c.title, um.name) AS title,
+            COALESCE(c.primary_creator, um.author) AS primary_creator,
+            vir.scan_photo_id,
+            vir.box_2d
+     FROM user_collections uc
+     LEFT JOIN collectables c ON c.id = uc.collectable_id
+     LEFT JOIN user_manuals um ON um.id = uc.manual_id
+     LEFT JOIN vision_item_regions vir
+       ON vir.id = uc.layout_region_id
+      AND vir.user_id = uc.user_id
+     WHERE uc.user_id = $1
+       AND uc.shelf_id = $2
+     ORDER BY uc.position ASC NULLS LAST, uc.created_at DESC, uc.id DESC`,
+    [userId, shelfId],
+  );
+  return result.rows.map(mapLayoutRow);
+}
+
+/**
+ * Items on a shelf that an earlier scan linked to a region, with their
+ * stored placement. Photos from the scan being compared are excluded so a
+ * re-scan only sees what was there before it.
+ */
+async function listScannedItems({ userId, shelfId, excludeScanPhotoIds = [] }) {
+  if (!userId || !shelfId) return [];
+  const excluded = (Array.isArray(excludeScanPhotoIds) ? excludeScanPhotoIds : [])
+    .map((id) => Number(id))
+    .filter((id) => Number.isInteger(id) && id > 0);
+  const result = await query(
+    `SELECT uc.id AS collection_item_id,
+            uc.position,
+            uc.shelf_row AS row,
+            uc.shelf_row_position AS row_position,
+            COALESCE(c.title, um.name) AS title,
+            COALESCE(c.primary_creator, um.author) AS primary_creator,
+            MAX(vir.scan_photo_id) AS last_scan_photo_id
+     FROM user_collections uc
+     JOIN vision_item_regions vir
+       ON vir.collection_item_id = uc.id
+      AND vir.user_id = uc.user_id
+      AND vir.shelf_id = uc.shelf_id
+     LEFT JOIN collectables c ON c.id = uc.collectable_id
+     LEFT JOIN user_manuals um ON um.id = uc.manual_id
+     WHERE uc.user_id = $1
+       AND uc.shelf_id = $2
+       AND NOT (vir.scan_photo_id = ANY($3::int[]))
+     GROUP BY uc.id, c.title, um.name, c.primary_creator, um.author
+     ORDER BY uc.position ASC NULLS LAST, uc.id ASC`,
+    [userId, shelfId, excluded],
+  );
+  return result.rows.map(rowToCamelCase);
+}
+
+module.exports = {
+  applyPlacements,
+  listForShelf,
+  listScannedItems,
+};
@@ -129,12 +129,21 @@ async function create({
     description,
     visibility = 'private',
     gameDefaults = null,
+    cardDefaults = null,
 }) {
     const result = await query(
-        `INSERT INTO shelves (owner_id, name, type, description, visibility, game_defaults)
-     VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+        `INSERT INTO shelves (owner_id, name, type, description, visibility, game_defaults, card_defaults)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb)
      RETURNING *`,
-        [userId, name, type, description, visibility, gameDefaults ? JSON.stringify(gameDefaults) : null]
+        [
+            userId,
+            name,
+            type,
+            description,
+            visibility,
+            gameDefaults ? JSON.stringify(gameDefaults) : null,
+            cardDefaults ? JSON.stringify(cardDefaults) : null,
+        ]
     );
     return rowToCamelCase(result.rows[0]);
 }
@@ -144,14 +153,14 @@ async function create({
  */
 async function update(shelfId, userId, updates, client = null) {
     const q = resolveQuery(client);
-    const allowedFields = ['name', 'description', 'visibility', 'game_defaults'];
+    const allowedFields = ['name', 'description', 'visibility', 'game_defaults', 'card_defaults'];
     const fields = [];
     const values = [];
     let paramIndex = 1;
 
     for (const [key, value] of Object.entries(updates)) {
         if (allowedFields.includes(key)) {
-            if (key === 'game_defaults') {
+            if (key === 'game_defaults' || key === 'card_defaults') {
                 fields.push(`${key} = $${paramIndex}::jsonb`);
                 values.push(value ? JSON.stringify(value) : null);
             } else {
@@ -190,14 +199,19 @@ async function remove(shelfId, userId) {
 }
 
 /**
- * Get items on a shelf with collectable/manual details
+ * Get items on a shelf with collectable/manual details and any active loan.
+ * `loanFilter`: 'lent' keeps only items lent out, 'available' only items at home.
  */
-async function getItems(shelfId, userId, { limit = 100, offset = 0 } = {}) {
+async function getItems(shelfId, userId, { limit = 100, offset = 0, loanFilter = null } = {}) {
+    const loanClause = loanFilter === 'lent'
+        ? ' AND il.id IS NOT NULL'
+        : loanFilter === 'available' ? ' AND il.id IS NULL' : '';
     const result = await query(
         `SELECT uc.id, uc.user_id, uc.shelf_id, uc.collectable_id, uc.manual_id,
             uc.position, uc.format, uc.platform_missing, uc.notes, uc.created_at,
             uc.series, uc.edition, uc.special_markings, uc.age_statement, uc.label_color,
-            uc.regional_item, uc.barcode, uc.item_specific_text,
+            uc.regional_item, uc.barcode, uc.item_specific_text, uc.edition_id,
+            uc.card_condition, uc.card_grading_company, uc.card_grade,
             uc.reviewed_event_log_id, uc.reviewed_event_published_at, uc.reviewed_event_updated_at,
             EXISTS (
                 SELECT 1
@@ -218,6 +232,16 @@ async function getItems(shelfId, userId, { limit = 100, offset = 0 } = {}) {
             c.primary_creator as collectable_creator,
             c.publishers as collectable_publishers,
             c.year as collectable_year,
+            c.series as collectable_series,
+            c.issue_number as collectable_issue_number,
+            c.volume_number as collectable_volume_number,
+            c.max_players as collectable_max_players,
+            c.min_players as collectable_min_players,
+            c.min_play_time as collectable_min_play_time,
+            c.max_play_time as collectable_max_play_time,
+            c.set_code as collectable_set_code,
+            c.set_name as collectable_set_name,
+            c.collector_number as collectable_collector_number,
             c.market_value as collectable_market_value,
             c.formats as collectable_formats,
             c.system_name as collectable_system_name,
@@ -236,6 +260,12 @@ async function getItems(shelfId, userId, { limit = 100, offset = 0 } = {}) {
             c.cover_media_id as collectable_cover_media_id,
             m.local_path as collectable_cover_media_path,
             c.kind as collectable_kind,
+            ed.name as owned_edition_name,
+            ed.edition_type as owned_edition_type,
+            ed.format as owned_edition_format,
+            ed.platform as owned_edition_platform,
+            ed.region as owned_edition_region,
+            ed.release_year as owned_edition_release_year,
             ume.estimate_value as user_market_value,
             COALESCE(ucp.platform_names, ARRAY[]::text[]) as owned_platforms,
             um.name as manual_name,
@@ -257,9 +287,16 @@ async function getItems(shelfId, userId, { limit = 100, offset = 0 } = {}) {
             um.limited_edition as manual_limited_edition,
             um.item_specific_text as manual_item_specific_text,
             um.tags as manual_tags,
-            um.cover_media_path as manual_cover_media_path
+            um.cover_media_path as manual_cover_media_path,
+            il.id as loan_id,
+            il.borrower_user_id as loan_borrower_user_id,
+            il.borrower_name as loan_borrower_name,
+            to_char(il.lent_at, 'YYYY-MM-DD') as loan_lent_at,
+            to_char(il.due_at, 'YYYY-MM-DD') as loan_due_at,
+            (il.due_at IS NOT NULL AND il.due_at < CURRENT_DATE) as loan_is_overdue
      FROM user_collections uc
      LEFT JOIN collectables c ON c.id = uc.collectable_id
+     LEFT JOIN editions ed ON ed.id = uc.edition_id
      LEFT JOIN user_manuals um ON um.id = uc.manual_id
      LEFT JOIN media m ON m.id = c.cover_media_id
      LEFT JOIN user_market_value_estimates ume
@@ -275,7 +312,8 @@ async function getItems(shelfId, userId, { limit = 100, offset = 0 } = {}) {
      ) ucp ON TRUE
      LEFT JOIN user_ratings ur ON ur.user_id = uc.user_id
         AND (ur.collectable_id = uc.collectable_id OR ur.manual_id = uc.manual_id)
-     WHERE uc.shelf_id = $1 AND uc.user_id = $2
+     LEFT JOIN item_loans il ON il.collection_item_id = uc.id AND il.returned_at IS NULL
+     WHERE uc.shelf_id = $1 AND uc.user_id = $2${loanClause}
      ORDER BY uc.position ASC NULLS LAST, uc.created_at DESC
      LIMIT $3 OFFSET $4`,
         [shelfId, userId, limit, offset]
@@ -291,7 +329,8 @@ async function getItemsForViewing(shelfId, { limit = 100, offset = 0 } = {}) {
         `SELECT uc.id, uc.user_id, uc.shelf_id, uc.collectable_id, uc.manual_id,
             uc.position, uc.format, uc.platform_missing, uc.notes, uc.created_at,
             uc.series, uc.edition, uc.special_markings, uc.age_statement, uc.label_color,
-            uc.regional_item, uc.barcode, uc.item_specific_text,
+            uc.regional_item, uc.barcode, uc.item_specific_text, uc.edition_id,
+            uc.card_condition, uc.card_grading_company, uc.card_grade,
             uc.reviewed_event_log_id, uc.reviewed_event_published_at, uc.reviewed_event_updated_at,
             EXISTS (
                 SELECT 1
@@ -312,6 +351,16 @@ async function getItemsForViewing(shelfId, { limit = 100, offset = 0 } = {}) {
             c.primary_creator as collectable_creator,
             c.publishers as collectable_publishers,
             c.year as collectable_year,
+            c.series as collectable_series,
+            c.issue_number as collectable_issue_number,
+            c.volume_number as collectable_volume_number,
+            c.max_players as collectable_max_players,
+            c.min_players as collectable_min_players,
+            c.min_play_time as collectable_min_play_time,
+            c.max_play_time as collectable_max_play_time,
+            c.set_code as collectable_set_code,
+            c.set_name as collectable_set_name,
+            c.collector_number as collectable_collector_number,
             c.market_value as collectable_market_value,
             c.formats as collectable_formats,
             c.system_name as collectable_system_name,
@@ -330,6 +379,12 @@ async function getItemsForViewing(shelfId, { limit = 100, offset = 0 } = {}) {
             c.cover_media_id as collectable_cover_media_id,
             m.local_path as collectable_cover_media_path,
             c.kind as collectable_kind,
+            ed.name as owned_edition_name,
+            ed.edition_type as owned_edition_type,
+            ed.format as owned_edition_format,
+            ed.platform as owned_edition_platform,
+            ed.region as owned_edition_region,
+            ed.release_year as owned_edition_release_year,
             ume.estimate_value as user_market_value,
             COALESCE(ucp.platform_names, ARRAY[]::text[]) as owned_platforms,
             um.name as manual_name,
@@ -354,6 +409,7 @@ async function getItemsForViewing(shelfId, { limit = 100, offset = 0 } = {}) {
             um.cover_media_path as manual_cover_media_path
      FROM user_collections uc
      LEFT JOIN collectables c ON c.id = uc.collectable_id
+     LEFT JOIN editions ed ON ed.id = uc.edition_id
      LEFT JOIN user_manuals um ON um.id = uc.manual_id
      LEFT JOIN media m ON m.id = c.cover_media_id
      LEFT JOIN user_market_value_estimates ume
@@ -377,6 +433,11 @@ async function getItemsForViewing(shelfId, { limit = 100, offset = 0 } = {}) {
     return result.rows.map(rowToCamelCase);
 }
 
+// New items on a cards shelf start at the shelf's default condition
+// (shelves.card_defaults is only ever set on cards shelves). Re-adding an
+// existing item keeps whatever condition the user graded it.
+const SHELF_CARD_CONDITION_DEFAULT_SQL = "(SELECT s.card_defaults->>'condition' FROM shelves s WHERE s.id = $2)";
+
 /**
  * Add a collectable to a shelf
  * @param {object} params
@@ -391,10 +452,12 @@ async function addCollectable({
     notes,
     rating,
     position,
+    barcode,
 }, client = null) {
     const q = resolveQuery(client);
     const hasPlatformMissing = platformMissing === true || platformMissing === false;
     const platformMissingValue = hasPlatformMissing ? platformMissing : false;
+    const barcodeValue = barcode == null ? null : (String(barcode).trim() || null);
     const hasUpdatableFields = (
         format !== undefined && format !== null
     ) || (
@@ -403,12 +466,14 @@ async function addCollectable({
         notes !== undefined && notes !== null
     ) || (
         rating !== undefined && rating !== null
+    ) || (
+        barcodeValue !== null
     );
 
     if (!hasUpdatableFields) {
         const inserted = await q(
-            `INSERT INTO user_collections (user_id, shelf_id, collectable_id, format, platform_missing, notes, rating, position)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `INSERT INTO user_collections (user_id, shelf_id, collectable_id, format, platform_missing, notes, rating, position, card_condition)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ${SHELF_CARD_CONDITION_DEFAULT_SQL})
          ON CONFLICT (user_id, shelf_id, collectable_id) DO NOTHING
          RETURNING *`,
             [userId, shelfId, collectableId, format, platformMissingValue, notes, rating, position]
@@ -428,9 +493,10 @@ async function addCollectable({
         return existing.rows[0] ? rowToCamelCase(existing.rows[0]) : null;
     }
 
+    // A scanned barcode only fills an empty column; it never overwrites one.
     const result = await q(
-        `INSERT INTO user_collections (user_id, shelf_id, collectable_id, format, platform_missing, notes, rating, position)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `INSERT INTO user_collections (user_id, shelf_id, collectable_id, format, platform_missing, notes, rating, position, barcode, card_condition)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $10, ${SHELF_CARD_CONDITION_DEFAULT_SQL})
      ON CONFLICT (user_id, shelf_id, collectable_id) DO UPDATE
      SET format = COALESCE(EXCLUDED.format, user_collections.format),
          platform_missing = CASE
@@ -438,9 +504,10 @@ async function addCollectable({
              ELSE user_collections.platform_missing
          END,
          notes = COALESCE(EXCLUDED.notes, user_collections.notes),
-         rating = COALESCE(EXCLUDED.rating, user_collections.rating)
+         rating = COALESCE(EXCLUDED.rating, user_collections.rating),
+         barcode = COALESCE(user_collections.barcode, EXCLUDED.barcode)
      RETURNING *`,
-        [userId, shelfId, collectableId, format, platformMissingValue, notes, rating, position, hasPlatformMissing]
+        [userId, shelfId, collectableId, format, platformMissingValue, notes, rating, position, hasPlatformMissing, barcodeValue]
     );
     return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
 }
@@ -909,7 +976,8 @@ async function getItemById(itemId, userId, shelfId) {
         `SELECT uc.id, uc.user_id, uc.shelf_id, uc.collectable_id, uc.manual_id,
             uc.position, uc.format, uc.platform_missing, uc.notes, uc.created_at,
             uc.series, uc.edition, uc.special_markings, uc.age_statement, uc.label_color,
-            uc.regional_item, uc.barcode, uc.item_specific_text,
+            uc.regional_item, uc.barcode, uc.item_specific_text, uc.edition_id,
+            uc.card_condition, uc.card_grading_company, uc.card_grade,
             uc.reviewed_event_log_id, uc.reviewed_event_published_at, uc.reviewed_event_updated_at,
             uc.owner_photo_source, uc.owner_photo_crop_id, uc.owner_photo_storage_provider,
             uc.owner_photo_storage_key, uc.owner_photo_content_type, uc.owner_photo_size_bytes,
@@ -933,6 +1001,16 @@ async function getItemById(itemId, userId, shelfId) {
             c.primary_creator as collectable_creator,
             c.publishers as collectable_publishers,
             c.year as collectable_year,
+            c.series as collectable_series,
+            c.issue_number as collectable_issue_number,
+            c.volume_number as collectable_volume_number,
+            c.max_players as collectable_max_players,
+            c.min_players as collectable_min_players,
+            c.min_play_time as collectable_min_play_time,
+            c.max_play_time as collectable_max_play_time,
+            c.set_code as collectable_set_code,
+            c.set_name as collectable_set_name,
+            c.collector_number as collectable_collector_number,
             c.market_value as collectable_market_value,
             c.formats as collectable_formats,
             c.system_name as collectable_system_name,
@@ -949,6 +1027,12 @@ async function getItemById(itemId, userId, shelfId) {
             c.cover_image_source as collectable_cover_image_source,
             c.attribution as collectable_attribution,
             c.kind as collectable_kind,
+            ed.name as owned_edition_name,
+            ed.edition_type as owned_edition_type,
+            ed.format as owned_edition_format,
+            ed.platform as owned_edition_platform,
+            ed.region as owned_edition_region,
+            ed.release_year as owned_edition_release_year,
             ume.estimate_value as user_market_value,
             COALESCE(ucp.platform_names, ARRAY[]::text[]) as owned_platforms,
             m.local_path as collectable_cover_media_path,
@@ -973,10 +1057,17 @@ async function getItemById(itemId, userId, shelfId) {
             um.limited_edition as manual_limited_edition,
             um.item_specific_text as manual_item_specific_text,
             um.tags as manual_tags,
-            um.genre as manual_genre
+            um.genre as manual_genre,
+            il.id as loan_id,
+            il.borrower_user_id as loan_borrower_user_id,
+            il.borrower_name as loan_borrower_name,
+            to_char(il.lent_at, 'YYYY-MM-DD') as loan_lent_at,
+            to_char(il.due_at, 'YYYY-MM-DD') as loan_due_at,
+            (il.due_at IS NOT NULL AND il.due_at < CURRENT_DATE) as loan_is_overdue
          FROM user_collections uc
          JOIN users u ON u.id = uc.user_id
          LEFT JOIN collectables c ON c.id = uc.collectable_id
+         LEFT JOIN editions ed ON ed.id = uc.edition_id
          LEFT JOIN media m ON m.id = c.cover_media_id
          LEFT JOIN user_market_value_estimates ume
            ON ume.user_id = uc.user_id
@@ -992,6 +1083,7 @@ async function getItemById(itemId, userId, shelfId) {
          LEFT JOIN user_ratings ur ON ur.user_id = uc.user_id
             AND (ur.collectable_id = uc.collectable_id OR ur.manual_id = uc.manual_id)
          LEFT JOIN user_manuals um ON um.id = uc.manual_id
+         LEFT JOIN item_loans il ON il.collection_item_id = uc.id AND il.returned_at IS NULL
          WHERE uc.id = $1 AND uc.user_id = $2 AND uc.shelf_id = $3`,
         [itemId, userId, shelfId]
     );
@@ -1003,7 +1095,8 @@ async function getItemByIdForViewing(itemId, shelfId) {
         `SELECT uc.id, uc.user_id, uc.shelf_id, uc.collectable_id, uc.manual_id,
             uc.position, uc.format, uc.platform_missing, uc.notes, uc.created_at,
             uc.series, uc.edition, uc.special_markings, uc.age_statement, uc.label_color,
-            uc.regional_item, uc.barcode, uc.item_specific_text,
+            uc.regional_item, uc.barcode, uc.item_specific_text, uc.edition_id,
+            uc.card_condition, uc.card_grading_company, uc.card_grade,
             uc.reviewed_event_log_id, uc.reviewed_event_published_at, uc.reviewed_event_updated_at,
             EXISTS (
                 SELECT 1
@@ -1024,6 +1117,16 @@ async function getItemByIdForViewing(itemId, shelfId) {
             c.primary_creator as collectable_creator,
             c.publishers as collectable_publishers,
             c.year as collectable_year,
+            c.series as collectable_series,
+            c.issue_number as collectable_issue_number,
+            c.volume_number as collectable_volume_number,
+            c.max_players as collectable_max_players,
+            c.min_players as collectable_min_players,
+            c.min_play_time as collectable_min_play_time,
+            c.max_play_time as collectable_max_play_time,
+            c.set_code as collectable_set_code,
+            c.set_name as collectable_set_name,
+            c.collector_number as collectable_collector_number,
             c.market_value as collectable_market_value,
             c.formats as collectable_formats,
             c.system_name as collectable_system_name,
@@ -1042,6 +1145,12 @@ async function getItemByIdForViewing(itemId, shelfId) {
             c.cover_media_id as collectable_cover_media_id,
             m.local_path as collectable_cover_media_path,
             c.kind as collectable_kind,
+            ed.name as owned_edition_name,
+            ed.edition_type as owned_edition_type,
+            ed.format as owned_edition_format,
+            ed.platform as owned_edition_platform,
+            ed.region as owned_edition_region,
+            ed.release_year as owned_edition_release_year,
             ume.estimate_value as user_market_value,
             COALESCE(ucp.platform_names, ARRAY[]::text[]) as owned_platforms,
             um.name as manual_name,
@@ -1066,6 +1175,7 @@ async function getItemByIdForViewing(itemId, shelfId) {
             um.cover_media_path as manual_cover_media_path
          FROM user_collections uc
          LEFT JOIN collectables c ON c.id = uc.collectable_id
+         LEFT JOIN editions ed ON ed.id = uc.edition_id
          LEFT JOIN user_manuals um ON um.id = uc.manual_id
          LEFT JOIN media m ON m.id = c.cover_media_id
          LEFT JOIN user_market_value_estimates ume
@@ -1290,6 +1400,10 @@ async function updateCollectionItemDetails({
         'regional_item',
         'barcode',
         'item_specific_text',
+        'edition_id',
+        'card_condition',
+        'card_grading_company',
+        'card_grade',
     ];
     const setClauses = [];
     const values = [];
@@ -57,10 +57,24 @@ function mapRegionRow(row) {
   return mapped;
 }
 
-async function clearOwnerPhotoCropReferencesForScan(q, { userId, shelfId, scanPhotoId }) {
+function normalizeConfidence(value) {
+  if (value == null || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function normalizeRegionIds(regionIds) {
+  if (!Array.isArray(regionIds)) return [];
+  return Array.from(new Set(regionIds.map((value) => Number(value)).filter((value) => Number.isInteger(value) && value > 0)));
+}
+
+async function clearOwnerPhotoCropReferencesForScan(q, { userId, shelfId, scanPhotoId, regionIds = null }) {
   // Deleting regions cascades to vision_item_crops. Clear dependent owner-photo pointers first
   // so ON DELETE SET NULL on user_collections.owner_photo_crop_id does not violate
   // owner_photo_reference_check (owner_photo_source='vision_crop' requires a crop id).
+  // Pass regionIds to limit the clear to those regions' crops.
+  const params = [userId, shelfId, scanPhotoId];
+  if (regionIds) params.push(normalizeRegionIds(regionIds));
   await q(
     `WITH doomed_crops AS (
        SELECT vic.id
@@ -70,6 +84,7 @@ async function clearOwnerPhotoCropReferencesForScan(q, { userId, shelfId, scanPh
        WHERE vir.user_id = $1
          AND vir.shelf_id = $2
          AND vir.scan_photo_id = $3
+         ${regionIds ? 'AND vir.id = ANY($4::int[])' : ''}
      )
      UPDATE user_collections uc
      SET owner_photo_source = NULL,
@@ -92,10 +107,22 @@ async function clearOwnerPhotoCropReferencesForScan(q, { userId, shelfId, scanPh
      WHERE uc.user_id = $1
        AND uc.shelf_id = $2
        AND uc.owner_photo_crop_id IN (SELECT id FROM doomed_crops)`,
-    [userId, shelfId, scanPhotoId],
+    params,
   );
 }
 
+async function clearOwnerPhotoCropReferencesSafe(q, params) {
+  try {
+    await clearOwnerPhotoCropReferencesForScan(q, params);
+  } catch (err) {
+    // Keep region edits compatible with older schemas that may not yet have
+    // vision_item_crops or owner-photo columns.
+    if (err?.code !== '42P01' && err?.code !== '42703') {
+      throw err;
+    }
+  }
+}
+
 async function upsertRegionsForScan(
   { userId, shelfId, scanPhotoId, regions = [], replaceExisting = false },
   client = null,
@@ -106,15 +133,7 @@ async function upsertRegionsForScan(
 
   const q = resolveQuery(client);
   if (replaceExisting) {
-    try {
-      await clearOwnerPhotoCropReferencesForScan(q, { userId, shelfId, scanPhotoId });
-    } catch (err) {
-      // Keep region replacement compatible with older schemas that may not yet have
-      // vision_item_crops or owner-photo columns.
-      if (err?.code !== '42P01' && err?.code !== '42703') {
-        throw err;
-      }
-    }
+    await clearOwnerPhotoCropReferencesSafe(q, { userId, shelfId, scanPhotoId });
 
     await q(
       `DELETE FROM vision_item_regions
@@ -229,6 +248,27 @@ async function clearCollectionItemLink({ scanPhotoId, extractionIndex }, client
   return result.rows[0] ? mapRegionRow(result.rows[0]) : null;
 }
 
+// Collection item links stay first-region-wins, so only catalog/manual links are copied.
+async function copyRegionLinks({ source, target }, client = null) {
+  if (!source?.scanPhotoId || normalizeExtractionIndex(source?.extractionIndex) == null) return null;
+  if (!target?.scanPhotoId || normalizeExtractionIndex(target?.extractionIndex) == null) return null;
+  const q = resolveQuery(client);
+  const result = await q(
+    `UPDATE vision_item_regions target
+     SET collectable_id = COALESCE(source.collectable_id, target.collectable_id),
+         manual_id = COALESCE(source.manual_id, target.manual_id)
+     FROM vision_item_regions source
+     WHERE source.scan_photo_id = $1
+       AND source.extraction_index = $2
+       AND target.scan_photo_id = $3
+       AND target.extraction_index = $4
+       AND target.user_id = source.user_id
+     RETURNING target.*`,
+    [source.scanPhotoId, source.extractionIndex, target.scanPhotoId, target.extractionIndex],
+  );
+  return result.rows[0] ? mapRegionRow(result.rows[0]) : null;
+}
+
 async function hasCollectionItemLinkForReference({
   scanPhotoId,
   collectableId = null,
@@ -317,17 +357,178 @@ async function getByExtractionIndexForScan({ userId, shelfId, scanPhotoId, extra
   return result.rows[0] ? mapRegionRow(result.rows[0]) : null;
 }
 
+// Most recent region linked to a shelf item; carries the OCR title/creator
+// the item was matched from.
+async function getLatestForCollectionItem({ userId, collectionItemId }) {
+  if (!userId || !collectionItemId) return null;
+  const result = await query(
+    `SELECT *
+     FROM vision_item_regions
+     WHERE user_id = $1
+       AND collection_item_id = $2
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [userId, collectionItemId],
+  );
+  return result.rows[0] ? mapRegionRow(result.rows[0]) : null;
+}
+
+async function listByIdsForScan({ userId, shelfId, scanPhotoId, regionIds }) {
+  const ids = normalizeRegionIds(regionIds);
+  if (!userId || !shelfId || !scanPhotoId || !ids.length) return [];
+  const result = await query(
+    `SELECT *
+     FROM vision_item_regions
+     WHERE user_id = $1
+       AND shelf_id = $2
+       AND scan_photo_id = $3
+       AND id = ANY($4::int[])
+     ORDER BY extraction_index ASC`,
+    [userId, shelfId, scanPhotoId, ids],
+  );
+  return result.rows.map(mapRegionRow);
+}
+
+// User-drawn regions take the next free extraction index on the scan so
+// pipeline links (scan_photo_id, extraction_index) keep working.
+async function insertRegion(
+  { userId, shelfId, scanPhotoId, box2d, quad2d = null, title = null, primaryCreator = null, confidence = null },
+  client = null,
+) {
+  if (!userId || !shelfId || !scanPhotoId || !isValidBox2d(box2d)) return null;
+  const q = resolveQuery(client);
+  const quad2dJson = isValidQuad2d(quad2d) ? JSON.stringify(quad2d) : null;
+  const result = await q(
+    `INSERT INTO vision_item_regions (
+       user_id, shelf_id, scan_photo_id, extraction_index,
+       title, primary_creator, box_2d, quad_2d, confidence
+     )
+     VALUES (
+       $1, $2, $3,
+       (SELECT COALESCE(MAX(extraction_index) + 1, 0) FROM vision_item_regions WHERE scan_photo_id = $3),
+       $4, $5, $6::jsonb, $7::jsonb, $8
+     )
+     RETURNING *`,
+    [
+      userId,
+      shelfId,
+      scanPhotoId,
+      normalizeString(title),
+      normalizeString(primaryCreator),
+      JSON.stringify(box2d.map((value) => Number(value))),
+      quad2dJson,
+      normalizeConfidence(confidence),
+    ],
+  );
+  return result.rows[0] ? mapRegionRow(result.rows[0]) : null;
+}
+
+/**
+ * Update a region's box and/or OCR text. A new box drops the quad, the
+ * cached crop and the catalog/manual links, since they described the old
+ * box; the shelf item link stays until the region is re-identified.
+ */
+async function updateRegion(
+  { userId, shelfId, scanPhotoId, regionId, box2d, title, primaryCreator, confidence },
+  client = null,
+) {
+  if (!userId || !shelfId || !scanPhotoId || !regionId) return null;
+  const sets = [];
+  const params = [userId, shelfId, scanPhotoId, regionId];
+  const hasBox = box2d !== undefined;
+  if (hasBox) {
+    if (!isValidBox2d(box2d)) return null;
+    params.push(JSON.stringify(box2d.map((value) => Number(value))));
+    sets.push(`box_2d = $${params.length}::jsonb`, 'quad_2d = NULL', 'collectable_id = NULL', 'manual_id = NULL');
+  }
+  if (title !== undefined) {
+    params.push(normalizeString(title));
+    sets.push(`title = $${params.length}`);
+  }
+  if (primaryCreator !== undefined) {
+    params.push(normalizeString(primaryCreator));
+    sets.push(`primary_creator = $${params.length}`);
+  }
+  if (confidence !== undefined) {
+    params.push(normalizeConfidence(confidence));
+    sets.push(`confidence = $${params.length}`);
+  }
+  if (!sets.length) return getByIdForScan({ userId, shelfId, scanPhotoId, regionId });
+
+  const q = resolveQuery(client);
+  if (hasBox) {
+    await clearRegionCrops({ userId, shelfId, scanPhotoId, regionIds: [regionId] }, client);
+  }
+  const result = await q(
+    `UPDATE vision_item_regions
+     SET ${sets.join(', ')}
+     WHERE user_id = $1
+       AND shelf_id = $2
+       AND scan_photo_id = $3
+       AND id = $4
+     RETURNING *`,
+    params,
+  );
+  return result.rows[0] ? mapRegionRow(result.rows[0]) : null;
+}
+
+// Drop cached crops so the next crop request cuts the current box.
+async function clearRegionCrops({ userId, shelfId, scanPhotoId, regionIds }, client = null) {
+  const ids = normalizeRegionIds(regionIds);
+  if (!userId || !shelfId || !scanPhotoId || !ids.length) return 0;
+  const q = resolveQuery(client);
+  await clearOwnerPhotoCropReferencesSafe(q, { userId, shelfId, scanPhotoId, regionIds: ids });
+  try {
+    const result = await q(
+      `DELETE FROM vision_item_crops
+       WHERE user_id = $1
+         AND shelf_id = $2
+         AND scan_photo_id = $3
+         AND region_id = ANY($4::int[])`,
+      [userId, shelfId, scanPhotoId, ids],
+    );
+    return result.rowCount || 0;
+  } catch (err) {
+    if (err?.code === '42P01') return 0;
+    throw err;
+  }
+}
+
+async function deleteRegions({ userId, shelfId, scanPhotoId, regionIds }, client = null) {
+  const ids = normalizeRegionIds(regionIds);
+  if (!userId || !shelfId || !scanPhotoId || !ids.length) return [];
+  const q = resolveQuery(client);
+  await clearOwnerPhotoCropReferencesSafe(q, { userId, shelfId, scanPhotoId, regionIds: ids });
+  const result = await q(
+    `DELETE FROM vision_item_regions
+     WHERE user_id = $1
+       AND shelf_id = $2
+       AND scan_photo_id = $3
+       AND id = ANY($4::int[])
+     RETURNING *`,
+    [userId, shelfId, scanPhotoId, ids],
+  );
+  return result.rows.map(mapRegionRow);
+}
+
 module.exports = {
   upsertRegionsForScan,
   linkCollectable,
   linkManual,
   linkCollectionItem,
   clearCollectionItemLink,
+  copyRegionLinks,
   hasCollectionItemLinkForReference,
   listForScan,
   countForScan,
   getByIdForScan,
   getByExtractionIndexForScan,
+  getLatestForCollectionItem,
+  listByIdsForScan,
+  insertRegion,
+  updateRegion,
+  clearRegionCrops,
+  deleteRegions,
   isValidBox2d,
   resolveBox2d,
   isValidQuad2d,
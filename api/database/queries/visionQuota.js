@@ -1,4 +1,11 @@
 const { query } = require('../pg');
+const { rowToCamelCase, parsePagination } = require('./utils');
+const {
+    getVisionPlans,
+    resolveVisionPlanKey,
+    computeRolloverScans,
+    describeVisionUsage,
+} = require('../../services/visionQuotaPlans');
 
 const DEFAULT_MONTHLY_QUOTA = 15;
 const DEFAULT_MONTHLY_TOKEN_QUOTA = 500000;
@@ -19,20 +26,76 @@ function getMaxOutputTokens() {
     return Number.isFinite(raw) && raw > 0 ? raw : DEFAULT_MAX_OUTPUT_TOKENS;
 }
 
+function daysSince(date, now = new Date()) {
+    return Math.floor((now - date) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Shape a quota row (or a fresh period) for API responses. Limits are null
+ * on the unlimited plan.
+ */
+function buildQuotaSummary(plan, {
+    scansUsed = 0,
+    tokensUsed = 0,
+    outputTokensUsed = 0,
+    rolloverScans = 0,
+    warnedThreshold = 0,
+    periodStart = new Date(),
+} = {}) {
+    const unlimited = plan.unlimited === true;
+    const scanLimit = unlimited ? null : plan.monthlyScans + rolloverScans;
+    const usage = describeVisionUsage(plan, { scansUsed, scanLimit, tokensUsed, outputTokensUsed });
+
+    return {
+        plan: plan.key,
+        unlimited,
+        scansUsed,
+        scansRemaining: unlimited ? null : Math.max(0, scanLimit - scansUsed),
+        monthlyLimit: unlimited ? null : plan.monthlyScans,
+        rolloverScans,
+        rolloverEnabled: plan.rollover === true,
+        scanLimit,
+        tokensUsed,
+        outputTokensUsed,
+        tokenLimit: unlimited ? null : plan.monthlyTokens,
+        outputTokenLimit: unlimited ? null : plan.maxOutputTokens,
+        tokensRemaining: unlimited ? null : Math.max(0, plan.monthlyTokens - tokensUsed),
+        percentUsed: usage.percentUsed,
+        warningLevel: usage.warningLevel,
+        warnedThreshold,
+        periodStart: periodStart.toISOString(),
+        daysRemaining: Math.max(0, 30 - daysSince(periodStart)),
+    };
+}
+
+async function getPlanForUser(userId) {
+    const [plans, result] = await Promise.all([
+        getVisionPlans(),
+        query(
+            `SELECT is_premium, unlimited_vision_tokens FROM users WHERE id = $1`,
+            [userId]
+        ),
+    ]);
+    const row = result.rows[0] || {};
+    return plans[resolveVisionPlanKey({
+        isPremium: !!row.is_premium,
+        unlimitedVisionTokens: !!row.unlimited_vision_tokens,
+    })];
+}
+
 /**
- * Get the current quota status for a user.
- * Automatically resets the period if more than 30 days have passed.
+ * Get the current quota status for a user on their plan.
+ * Automatically starts a new period if more than 30 days have passed,
+ * carrying unused scans over when the plan allows rollover.
  * @param {string} userId - User ID
  * @returns {Promise<object>}
  */
 async function getQuota(userId) {
-    const monthlyLimit = getMonthlyQuota();
-    const tokenLimit = getMonthlyTokenQuota();
-    const outputTokenLimit = getMaxOutputTokens();
+    const plan = await getPlanForUser(userId);
 
-    // Try to get existing quota record
     const result = await query(
-        `SELECT user_id, scans_used, tokens_used, output_tokens_used, period_start, created_at, updated_at
+        `SELECT user_id, scans_used, tokens_used, output_tokens_used, rollover_scans, warned_threshold,
+                period_start, created_at, updated_at
          FROM user_vision_quota
          WHERE user_id = $1`,
         [userId]
@@ -40,73 +103,38 @@ async function getQuota(userId) {
 
     if (result.rows.length === 0) {
         // No quota record exists yet, return fresh quota
-        return {
-            scansUsed: 0,
-            scansRemaining: monthlyLimit,
-            monthlyLimit,
-            tokensUsed: 0,
-            outputTokensUsed: 0,
-            tokenLimit,
-            outputTokenLimit,
-            tokensRemaining: tokenLimit,
-            percentUsed: 0,
-            periodStart: new Date().toISOString(),
-            daysRemaining: 30,
-        };
+        return buildQuotaSummary(plan);
     }
 
     const row = result.rows[0];
     const periodStart = new Date(row.period_start);
-    const now = new Date();
-    const daysSincePeriodStart = Math.floor((now - periodStart) / (1000 * 60 * 60 * 24));
 
     // Check if period has expired (30+ days)
-    if (daysSincePeriodStart >= 30) {
-        // Reset the period
+    if (daysSince(periodStart) >= 30) {
+        const rolloverScans = computeRolloverScans(plan, {
+            scansUsed: row.scans_used,
+            rolloverScans: row.rollover_scans || 0,
+        });
         await query(
             `UPDATE user_vision_quota
              SET scans_used = 0, tokens_used = 0, output_tokens_used = 0,
+                 rollover_scans = $2, warned_threshold = 0,
                  period_start = NOW(), updated_at = NOW()
              WHERE user_id = $1`,
-            [userId]
+            [userId, rolloverScans]
         );
 
-        return {
-            scansUsed: 0,
-            scansRemaining: monthlyLimit,
-            monthlyLimit,
-            tokensUsed: 0,
-            outputTokensUsed: 0,
-            tokenLimit,
-            outputTokenLimit,
-            tokensRemaining: tokenLimit,
-            percentUsed: 0,
-            periodStart: now.toISOString(),
-            daysRemaining: 30,
-        };
+        return buildQuotaSummary(plan, { rolloverScans });
     }
 
-    const scansUsed = row.scans_used;
-    const scansRemaining = Math.max(0, monthlyLimit - scansUsed);
-    const daysRemaining = Math.max(0, 30 - daysSincePeriodStart);
-    const tokensUsed = Number(row.tokens_used) || 0;
-    const outputTokensUsed = Number(row.output_tokens_used) || 0;
-    const tokensRemaining = Math.max(0, tokenLimit - tokensUsed);
-    const percentUsed = Math.min(100, Math.round((tokensUsed / tokenLimit) * 100));
-
-    return {
-        scansUsed,
-        scansRemaining,
-        monthlyLimit,
-        tokensUsed,
-        outputTokensUsed,
-        tokenLimit,
-        outputTokenLimit,
-        tokensRemaining,
-        percentUsed,
-        periodStart: periodStart.toISOString(),
-        daysRemaining,
-    };
+    return buildQuotaSummary(plan, {
+        scansUsed: row.scans_used,
+        tokensUsed: Number(row.tokens_used) || 0,
+        outputTokensUsed: Number(row.output_tokens_used) || 0,
+        rolloverScans: row.rollover_scans || 0,
+        warnedThreshold: row.warned_threshold || 0,
+        periodStart,
+    });
 }
 
 /**
@@ -150,28 +178,33 @@ async function incrementUsage(userId) {
 }
 
 /**
- * Increment token usage for a user. Also increments scans_used for legacy tracking.
+ * Increment token usage for a user. Also counts one scan against scans_used
+ * unless `countScan` is false (partial re-runs such as region re-identify).
  * Creates a quota record if one doesn't exist.
- * Resets the period if expired before incrementing.
+ * Resets the period if expired before incrementing, carrying unused scans
+ * over the same way getQuota() does.
  * @param {string} userId - User ID
  * @param {number} totalTokens - Total tokens consumed
  * @param {number} outputTokens - Output (candidates) tokens consumed
- * @returns {Promise<object>}
+ * @param {object} [options]
+ * @param {boolean} [options.countScan=true] - Whether this usage is a full scan
+ * @returns {Promise<object>} quota summary after the increment
  */
-async function incrementTokenUsage(userId, totalTokens, outputTokens) {
-    const tokenLimit = getMonthlyTokenQuota();
-    const outputTokenLimit = getMaxOutputTokens();
+async function incrementTokenUsage(userId, totalTokens, outputTokens, { countScan = true } = {}) {
+    const plan = await getPlanForUser(userId);
     const safeTotal = Number.isFinite(totalTokens) && totalTokens > 0 ? totalTokens : 0;
     const safeOutput = Number.isFinite(outputTokens) && outputTokens > 0 ? outputTokens : 0;
+    const rolloverCap = plan.rollover && !plan.unlimited ? plan.maxRolloverScans : 0;
+    const scanIncrement = countScan ? 1 : 0;
 
     const result = await query(
         `INSERT INTO user_vision_quota (user_id, scans_used, tokens_used, output_tokens_used, period_start, created_at, updated_at)
-         VALUES ($1, 1, $2, $3, NOW(), NOW(), NOW())
+         VALUES ($1, $6::int, $2, $3, NOW(), NOW(), NOW())
          ON CONFLICT (user_id) DO UPDATE SET
              scans_used = CASE
                  WHEN user_vision_quota.period_start < NOW() - INTERVAL '30 days'
-                 THEN 1
-                 ELSE user_vision_quota.scans_used + 1
+                 THEN $6::int
+                 ELSE user_vision_quota.scans_used + $6::int
              END,
              tokens_used = CASE
                  WHEN user_vision_quota.period_start < NOW() - INTERVAL '30 days'
@@ -183,27 +216,55 @@ async function incrementTokenUsage(userId, totalTokens, outputTokens) {
                  THEN $3
                  ELSE user_vision_quota.output_tokens_used + $3
              END,
+             rollover_scans = CASE
+                 WHEN user_vision_quota.period_start < NOW() - INTERVAL '30 days'
+                 THEN LEAST($5::int, GREATEST(0, $4::int + user_vision_quota.rollover_scans - user_vision_quota.scans_used))
+                 ELSE user_vision_quota.rollover_scans
+             END,
+             warned_threshold = CASE
+                 WHEN user_vision_quota.period_start < NOW() - INTERVAL '30 days'
+                 THEN 0
+                 ELSE user_vision_quota.warned_threshold
+             END,
              period_start = CASE
                  WHEN user_vision_quota.period_start < NOW() - INTERVAL '30 days'
                  THEN NOW()
                  ELSE user_vision_quota.period_start
              END,
              updated_at = NOW()
-         RETURNING scans_used, tokens_used, output_tokens_used, period_start`,
-        [userId, safeTotal, safeOutput]
+         RETURNING scans_used, tokens_used, output_tokens_used, rollover_scans, warned_threshold, period_start`,
+        [userId, safeTotal, safeOutput, plan.monthlyScans || 0, rolloverCap, scanIncrement]
     );
 
-    const row = result.rows[0];
-    const tokensUsed = Number(row.tokens_used) || 0;
+    const row = result.rows[0] || {};
 
-    return {
-        scansUsed: row.scans_used,
-        tokensUsed,
+    return buildQuotaSummary(plan, {
+        scansUsed: row.scans_used || 0,
+        tokensUsed: Number(row.tokens_used) || 0,
         outputTokensUsed: Number(row.output_tokens_used) || 0,
-        tokensRemaining: Math.max(0, tokenLimit - tokensUsed),
-        tokenLimit,
-        outputTokenLimit,
-    };
+        rolloverScans: row.rollover_scans || 0,
+        warnedThreshold: row.warned_threshold || 0,
+        periodStart: row.period_start ? new Date(row.period_start) : new Date(),
+    });
+}
+
+/**
+ * Record that the owner was warned at `threshold` percent this period.
+ * Returns false when that threshold (or a higher one) was already claimed,
+ * so each warning goes out once per period.
+ * @param {string} userId
+ * @param {number} threshold
+ * @returns {Promise<boolean>}
+ */
+async function claimUsageThreshold(userId, threshold) {
+    const result = await query(
+        `UPDATE user_vision_quota
+         SET warned_threshold = $2, updated_at = NOW()
+         WHERE user_id = $1 AND warned_threshold < $2
+         RETURNING warned_threshold`,
+        [userId, threshold]
+    );
+    return result.rows.length > 0;
 }
 
 /**
@@ -211,8 +272,10 @@ async function incrementTokenUsage(userId, totalTokens, outputTokens) {
  * @param {string} userId
  * @param {string} jobId
  * @param {Array<{label: string, promptTokens: number, candidatesTokens: number, totalTokens: number}>} calls
+ * @param {object} [options]
+ * @param {number|null} [options.shelfId] - Shelf the job scanned, for usage history
  */
-async function logTokenCalls(userId, jobId, calls) {
+async function logTokenCalls(userId, jobId, calls, { shelfId = null } = {}) {
     if (!Array.isArray(calls) || calls.length === 0) return;
 
     const totals = calls.reduce((acc, call) => {
@@ -228,10 +291,65 @@ async function logTokenCalls(userId, jobId, calls) {
     });
 
     await query(
-        `INSERT INTO vision_token_log (user_id, job_id, call_label, prompt_tokens, candidates_tokens, total_tokens)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [userId, jobId, 'job_total', totals.promptTokens, totals.candidatesTokens, totals.totalTokens]
+        `INSERT INTO vision_token_log (user_id, job_id, call_label, prompt_tokens, candidates_tokens, total_tokens, shelf_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [userId, jobId, 'job_total', totals.promptTokens, totals.candidatesTokens, totals.totalTokens, shelfId]
+    );
+}
+
+/**
+ * Per-job token history for a user, newest first.
+ * @param {string} userId
+ * @param {object} [options] - { limit, offset }
+ * @returns {Promise<{ entries: Array<object>, hasMore: boolean, limit: number, offset: number }>}
+ */
+async function listTokenHistory(userId, options = {}) {
+    const { limit, offset } = parsePagination(options, { defaultLimit: 20, maxLimit: 100 });
+    const result = await query(
+        `SELECT l.id, l.job_id, l.shelf_id, s.name AS shelf_name, s.type AS shelf_type,
+                l.prompt_tokens, l.candidates_tokens, l.total_tokens, l.created_at
+         FROM vision_token_log l
+         LEFT JOIN shelves s ON s.id = l.shelf_id
+         WHERE l.user_id = $1
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit + 1, offset]
+    );
+    const rows = result.rows.map(rowToCamelCase);
+    return {
+        entries: rows.slice(0, limit),
+        hasMore: rows.length > limit,
+        limit,
+        offset,
+    };
+}
+
+/**
+ * Daily job and token totals for a user over the last `days` days.
+ * @param {string} userId
+ * @param {object} [options] - { days }
+ * @returns {Promise<Array<{ day: string, jobs: number, totalTokens: number, outputTokens: number }>>}
+ */
+async function getDailyUsage(userId, { days = 90 } = {}) {
+    const safeDays = Math.min(365, Math.max(1, Number.parseInt(String(days), 10) || 90));
+    const result = await query(
+        `SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day,
+                COUNT(DISTINCT job_id)::int AS jobs,
+                COALESCE(SUM(total_tokens), 0)::bigint AS total_tokens,
+                COALESCE(SUM(candidates_tokens), 0)::bigint AS output_tokens
+         FROM vision_token_log
+         WHERE user_id = $1
+           AND created_at >= NOW() - ($2::int * INTERVAL '1 day')
+         GROUP BY 1
+         ORDER BY 1 ASC`,
+        [userId, safeDays]
     );
+    return result.rows.map((row) => ({
+        day: row.day,
+        jobs: Number(row.jobs) || 0,
+        totalTokens: Number(row.total_tokens) || 0,
+        outputTokens: Number(row.output_tokens) || 0,
+    }));
 }
 
 /**
@@ -241,7 +359,7 @@ async function logTokenCalls(userId, jobId, calls) {
 async function resetQuota(userId) {
     await query(
         `UPDATE user_vision_quota
-         SET scans_used = 0, tokens_used = 0, output_tokens_used = 0,
+         SET scans_used = 0, tokens_used = 0, output_tokens_used = 0, warned_threshold = 0,
              period_start = NOW(), updated_at = NOW()
          WHERE user_id = $1`,
         [userId]
@@ -262,7 +380,8 @@ async function setQuota(userId, scansUsed, tokenOverrides = {}) {
     let tokensUsedParam = null;
     let outputTokensUsedParam = null;
 
-    const setClauses = ['scans_used = $2', 'updated_at = NOW()'];
+    // Re-arm usage warnings so the owner hears about crossing them again.
+    const setClauses = ['scans_used = $2', 'warned_threshold = 0', 'updated_at = NOW()'];
     const params = [userId, scansUsed];
     let paramIndex = 3;
 
@@ -319,9 +438,14 @@ async function getMonthlyQuotaAsync() {
 
 module.exports = {
     getQuota,
+    getPlanForUser,
+    buildQuotaSummary,
     incrementUsage,
     incrementTokenUsage,
+    claimUsageThreshold,
     logTokenCalls,
+    listTokenHistory,
+    getDailyUsage,
     resetQuota,
     setQuota,
     getMonthlyQuota,
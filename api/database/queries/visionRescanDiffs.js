@@ -0,0 +1,60 @@
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+function resolveQuery(client) {
+  return client ? client.query.bind(client) : query;
+}
+
+async function create({ userId, shelfId, scanPhotoId = null, sessionId = null, jobId = null, diff }) {
+  if (!userId || !shelfId || !diff) throw new Error('userId, shelfId and diff are required');
+  const result = await query(
+    `INSERT INTO vision_rescan_diffs (user_id, shelf_id, scan_photo_id, session_id, job_id, diff)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+     RETURNING *`,
+    [userId, shelfId, scanPhotoId, sessionId, jobId, JSON.stringify(diff)],
+  );
+  return rowToCamelCase(result.rows[0]);
+}
+
+async function getByIdForUser({ id, userId, shelfId }, client = null) {
+  if (!id || !userId || !shelfId) return null;
+  const q = resolveQuery(client);
+  const result = await q(
+    `SELECT *
+     FROM vision_rescan_diffs
+     WHERE id = $1
+       AND user_id = $2
+       AND shelf_id = $3
+     LIMIT 1
+     ${client ? 'FOR UPDATE' : ''}`,
+    [id, userId, shelfId],
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Close a pending diff. Returns null when it was already applied or
+ * dismissed so removals cannot be confirmed twice.
+ */
+async function resolve({ id, userId, status, removedItemIds = [] }, client = null) {
+  if (!id || !userId || !['applied', 'dismissed'].includes(status)) return null;
+  const q = resolveQuery(client);
+  const result = await q(
+    `UPDATE vision_rescan_diffs
+     SET status = $3,
+         removed_item_ids = $4::int[],
+         resolved_at = NOW()
+     WHERE id = $1
+       AND user_id = $2
+       AND status = 'pending'
+     RETURNING *`,
+    [id, userId, status, removedItemIds],
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+module.exports = {
+  create,
+  getByIdForUser,
+  resolve,
+};
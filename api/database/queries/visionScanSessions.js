@@ -0,0 +1,159 @@
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+function resolveQuery(client) {
+  return client ? client.query.bind(client) : query;
+}
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'aborted']);
+
+async function create({ userId, shelfId }) {
+  if (!userId || !shelfId) throw new Error('userId and shelfId are required');
+  const result = await query(
+    `INSERT INTO vision_scan_sessions (user_id, shelf_id, status)
+     VALUES ($1, $2, 'open')
+     RETURNING *`,
+    [userId, shelfId],
+  );
+  return rowToCamelCase(result.rows[0]);
+}
+
+async function getByIdForUser({ id, userId, shelfId = null }) {
+  if (!id || !userId) return null;
+  const params = [id, userId];
+  let shelfClause = '';
+  if (shelfId) {
+    params.push(shelfId);
+    shelfClause = `AND shelf_id = $${params.length}`;
+  }
+  const result = await query(
+    `SELECT *
+     FROM vision_scan_sessions
+     WHERE id = $1
+       AND user_id = $2
+       ${shelfClause}
+     LIMIT 1`,
+    params,
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Attach a scan photo to a session at the next capture position.
+ * Re-attaching a photo already in the session keeps its original position.
+ */
+async function attachPhoto({ sessionId, scanPhotoId, userId }, client = null) {
+  if (!sessionId || !scanPhotoId || !userId) return null;
+  const q = resolveQuery(client);
+  const result = await q(
+    `UPDATE vision_scan_photos p
+     SET session_id = $1,
+         session_position = CASE
+           WHEN p.session_id = $1 AND p.session_position IS NOT NULL THEN p.session_position
+           ELSE (
+             SELECT COALESCE(MAX(session_position) + 1, 0)
+             FROM vision_scan_photos
+             WHERE session_id = $1
+           )
+         END
+     WHERE p.id = $2
+       AND p.user_id = $3
+     RETURNING *`,
+    [sessionId, scanPhotoId, userId],
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+async function listPhotos({ sessionId, userId }) {
+  if (!sessionId || !userId) return [];
+  const result = await query(
+    `SELECT *
+     FROM vision_scan_photos
+     WHERE session_id = $1
+       AND user_id = $2
+     ORDER BY session_position ASC, id ASC`,
+    [sessionId, userId],
+  );
+  return result.rows.map(rowToCamelCase);
+}
+
+async function countPhotos({ sessionId, userId }) {
+  if (!sessionId || !userId) return 0;
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM vision_scan_photos
+     WHERE session_id = $1
+       AND user_id = $2`,
+    [sessionId, userId],
+  );
+  return result.rows[0]?.count || 0;
+}
+
+/**
+ * Move an open (or previously failed) session into processing.
+ * Returns null when the session is already processing or completed so
+ * callers cannot enqueue the same session twice.
+ */
+async function markProcessing({ id, userId, jobId }) {
+  if (!id || !userId || !jobId) return null;
+  const result = await query(
+    `UPDATE vision_scan_sessions
+     SET status = 'processing',
+         job_id = $3,
+         result = NULL,
+         completed_at = NULL
+     WHERE id = $1
+       AND user_id = $2
+       AND status IN ('open', 'failed', 'aborted')
+     RETURNING *`,
+    [id, userId, jobId],
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+async function reopen({ id, userId, jobId = null }) {
+  if (!id || !userId) return null;
+  const params = [id, userId];
+  let jobClause = '';
+  if (jobId) {
+    params.push(jobId);
+    jobClause = `AND job_id = $${params.length}`;
+  }
+  const result = await query(
+    `UPDATE vision_scan_sessions
+     SET status = 'open',
+         job_id = NULL
+     WHERE id = $1
+       AND user_id = $2
+       AND status = 'processing'
+       ${jobClause}
+     RETURNING *`,
+    params,
+  );
+  return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+async function markFinished({ id, status, result = null }) {
+  if (!id || !TERMINAL_STATUSES.has(status)) return null;
+  const updated = await query(
+    `UPDATE vision_scan_sessions
+     SET status = $2,
+         result = $3::jsonb,
+         completed_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, status, result == null ? null : JSON.stringify(result)],
+  );
+  return updated.rows[0] ? rowToCamelCase(updated.rows[0]) : null;
+}
+
+module.exports = {
+  create,
+  getByIdForUser,
+  attachPhoto,
+  listPhotos,
+  countPhotos,
+  markProcessing,
+  reopen,
+  markFinished,
+};
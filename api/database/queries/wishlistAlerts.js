@@ -0,0 +1,130 @@
+/**
+ * Wishlist watch queries: match watched wishlist items against cached news and
+ * collectable market values, and record the alerts raised for them.
+ */
+
+const { query } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+const ALERT_TYPES = ['release_date', 'physical_release', 'price_drop'];
+
+// news_items.item_type values that announce a release (theatrical/digital or
+// physical). Trending/now-playing lists say nothing new about availability.
+const WATCH_NEWS_ITEM_TYPES = [
+    'upcoming',
+    'new_release',
+    'preorder_4k',
+    'preorder_bluray',
+    'new_release_4k',
+    'new_release_bluray',
+    'upcoming_4k',
+    'upcoming_bluray',
+];
+
+const WATCHED_ITEM_COLUMNS = `
+    wi.id AS wishlist_item_id,
+    wi.wishlist_id,
+    wi.collectable_id,
+    wi.alerts_muted,
+    w.user_id,
+    COALESCE(c.title, wi.manual_text) AS item_title`;
+
+/**
+ * Watched items with a live news item about them. Collectable items match on
+ * news_items.collectable_id; free-text items match on the title.
+ */
+async function listReleaseMatches() {
+    const result = await query(
+        `SELECT ${WATCHED_ITEM_COLUMNS},
+            n.id AS news_item_id,
+            n.item_type,
+            n.category,
+            n.source_url,
+            to_char(n.release_date, 'YYYY-MM-DD') AS release_date,
+            to_char(n.physical_release_date, 'YYYY-MM-DD') AS physical_release_date
+         FROM wishlist_items wi
+         JOIN wishlists w ON w.id = wi.wishlist_id
+         LEFT JOIN collectables c ON c.id = wi.collectable_id
+         JOIN news_items n ON (
+             (wi.collectable_id IS NOT NULL AND n.collectable_id = wi.collectable_id)
+             OR (wi.collectable_id IS NULL AND LOWER(BTRIM(n.title)) = LOWER(BTRIM(wi.manual_text)))
+         )
+         WHERE wi.watch = TRUE
+           AND wi.received_at IS NULL
+           AND n.expires_at > NOW()
+           AND n.item_type = ANY($1::text[])
+         ORDER BY wi.id ASC, n.release_date ASC NULLS LAST`,
+        [WATCH_NEWS_ITEM_TYPES]
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Watched collectable items with a target price and a market value that has
+ * not yet been alerted for the current target.
+ */
+async function listPriceCandidates() {
+    const result = await query(
+        `SELECT ${WATCHED_ITEM_COLUMNS},
+            wi.target_price::text AS target_price,
+            c.market_value
+         FROM wishlist_items wi
+         JOIN wishlists w ON w.id = wi.wishlist_id
+         JOIN collectables c ON c.id = wi.collectable_id
+         WHERE wi.watch = TRUE
+           AND wi.received_at IS NULL
+           AND wi.target_price IS NOT NULL
+           AND NULLIF(BTRIM(c.market_value), '') IS NOT NULL
+           AND NOT EXISTS (
+               SELECT 1 FROM wishlist_item_alerts a
+               WHERE a.wishlist_item_id = wi.id
+                 AND a.alert_type = 'price_drop'
+                 AND a.dedupe_key = wi.target_price::text
+           )
+         ORDER BY wi.id ASC`
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Record an alert unless the same one was already raised for the item.
+ * Returns the new row, or null for a duplicate. `notified_at` stays empty
+ * until markNotified().
+ */
+async function recordAlert({ wishlistItemId, alertType, dedupeKey, newsItemId = null, details = {} }) {
+    const result = await query(
+        `INSERT INTO wishlist_item_alerts (wishlist_item_id, alert_type, dedupe_key, news_item_id, details)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (wishlist_item_id, alert_type, dedupe_key) DO NOTHING
+         RETURNING *`,
+        [wishlistItemId, alertType, String(dedupeKey), newsItemId, JSON.stringify(details)]
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Stamp an alert once its notification was sent.
+ */
+async function markNotified(alertId) {
+    await query(
+        'UPDATE wishlist_item_alerts SET notified_at = NOW() WHERE id = $1',
+        [alertId]
+    );
+}
+
+/**
+ * Drop an alert whose notification could not be sent, so it is raised again.
+ */
+async function deleteAlert(alertId) {
+    await query('DELETE FROM wishlist_item_alerts WHERE id = $1', [alertId]);
+}
+
+module.exports = {
+    ALERT_TYPES,
+    WATCH_NEWS_ITEM_TYPES,
+    listReleaseMatches,
+    listPriceCandidates,
+    recordAlert,
+    markNotified,
+    deleteAlert,
+};
@@ -5,16 +5,25 @@
 const { query, transaction } = require('../pg');
 const { rowToCamelCase } = require('./utils');
 
+// True when $userParam created or co-owns wishlist `w`
+function ownedBy(userParam) {
+    return `(w.user_id = ${userParam} OR EXISTS (
+               SELECT 1 FROM wishlist_owners wo
+               WHERE wo.wishlist_id = w.id AND wo.user_id = ${userParam}
+             ))`;
+}
+
 /**
- * List all wishlists for a user
+ * List all wishlists a user created or co-owns
  */
 async function listForUser(userId) {
     const result = await query(
         `SELECT w.*, 
-            COUNT(wi.id) as item_count
+            COUNT(wi.id) as item_count,
+            (w.user_id <> $1) as co_owned
          FROM wishlists w
          LEFT JOIN wishlist_items wi ON wi.wishlist_id = w.id
-         WHERE w.user_id = $1
+         WHERE ${ownedBy('$1')}
          GROUP BY w.id
          ORDER BY w.created_at DESC`,
         [userId]
@@ -23,11 +32,11 @@ async function listForUser(userId) {
 }
 
 /**
- * Get a wishlist by ID (with ownership check)
+ * Get a wishlist by ID (with ownership check; co-owners count as owners)
  */
 async function getById(wishlistId, userId) {
     const result = await query(
-        `SELECT * FROM wishlists WHERE id = $1 AND user_id = $2`,
+        `SELECT w.* FROM wishlists w WHERE w.id = $1 AND ${ownedBy('$2')}`,
         [wishlistId, userId]
     );
     return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
@@ -128,21 +137,21 @@ async function getOwnerId(wishlistId) {
 /**
  * Create a new wishlist
  */
-async function create({ userId, name, description, visibility = 'private' }) {
+async function create({ userId, name, description, visibility = 'private', giftMode = false }) {
     const result = await query(
-        `INSERT INTO wishlists (user_id, name, description, visibility)
-         VALUES ($1, $2, $3, $4)
+        `INSERT INTO wishlists (user_id, name, description, visibility, gift_mode)
+         VALUES ($1, $2, $3, $4, $5)
          RETURNING *`,
-        [userId, name, description, visibility]
+        [userId, name, description, visibility, giftMode]
     );
     return rowToCamelCase(result.rows[0]);
 }
 
 /**
- * Update a wishlist
+ * Update a wishlist (creator or co-owner)
  */
 async function update(wishlistId, userId, updates) {
-    const allowedFields = ['name', 'description', 'visibility'];
+    const allowedFields = ['name', 'description', 'visibility', 'gift_mode'];
     const fields = [];
     const values = [];
     let paramIndex = 1;
@@ -161,16 +170,16 @@ async function update(wishlistId, userId, updates) {
 
     values.push(wishlistId, userId);
     const result = await query(
-        `UPDATE wishlists SET ${fields.join(', ')}, updated_at = NOW()
-         WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
-         RETURNING *`,
+        `UPDATE wishlists w SET ${fields.join(', ')}, updated_at = NOW()
+         WHERE w.id = $${paramIndex} AND ${ownedBy(`$${paramIndex + 1}`)}
+         RETURNING w.*`,
         values
     );
     return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
 }
 
 /**
- * Delete a wishlist
+ * Delete a wishlist (creator only)
  */
 async function remove(wishlistId, userId) {
     const result = await query(
@@ -193,10 +202,21 @@ async function getItems(wishlistId, { limit = 100, offset = 0 } = {}) {
             c.kind as collectable_kind,
             c.system_name as collectable_system_name,
             c.formats as collectable_formats,
-            m.local_path as collectable_cover_media_path
+            c.market_value as collectable_market_value,
+            m.local_path as collectable_cover_media_path,
+            la.alert_type as last_alert_type,
+            la.details as last_alert_details,
+            la.created_at as last_alert_at
          FROM wishlist_items wi
          LEFT JOIN collectables c ON c.id = wi.collectable_id
          LEFT JOIN media m ON m.id = c.cover_media_id
+         LEFT JOIN LATERAL (
+            SELECT a.alert_type, a.details, a.created_at
+            FROM wishlist_item_alerts a
+            WHERE a.wishlist_item_id = wi.id
+            ORDER BY a.created_at DESC
+            LIMIT 1
+         ) la ON TRUE
          WHERE wi.wishlist_id = $1
          ORDER BY wi.priority DESC, wi.created_at DESC
          LIMIT $2 OFFSET $3`,
@@ -208,17 +228,17 @@ async function getItems(wishlistId, { limit = 100, offset = 0 } = {}) {
 /**
  * Add an item to a wishlist
  */
-async function addItem({ wishlistId, collectableId, manualText, notes, priority = 0 }) {
+async function addItem({ wishlistId, collectableId, manualText, notes, priority = 0, addedBy = null }) {
     // Validate that either collectableId or manualText is provided
     if (!collectableId && !manualText) {
         throw new Error('Either collectableId or manualText is required');
     }
 
     const result = await query(
-        `INSERT INTO wishlist_items (wishlist_id, collectable_id, manual_text, notes, priority)
-         VALUES ($1, $2, $3, $4, $5)
+        `INSERT INTO wishlist_items (wishlist_id, collectable_id, manual_text, notes, priority, added_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
          RETURNING *`,
-        [wishlistId, collectableId || null, manualText || null, notes, priority]
+        [wishlistId, collectableId || null, manualText || null, notes, priority, addedBy]
     );
     return rowToCamelCase(result.rows[0]);
 }
@@ -254,6 +274,41 @@ async function updateItem(itemId, wishlistId, updates) {
     return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
 }
 
+/**
+ * Update the release/price watch settings of a wishlist item.
+ * `targetPrice: null` clears the price alert.
+ */
+async function updateItemWatch(itemId, wishlistId, { watch, alertsMuted, targetPrice }) {
+    const fields = [];
+    const values = [];
+
+    if (watch !== undefined) {
+        values.push(watch);
+        fields.push(`watch = $${values.length}`);
+    }
+    if (alertsMuted !== undefined) {
+        values.push(alertsMuted);
+        fields.push(`alerts_muted = $${values.length}`);
+    }
+    if (targetPrice !== undefined) {
+        values.push(targetPrice);
+        fields.push(`target_price = $${values.length}`);
+    }
+
+    if (fields.length === 0) {
+        return null;
+    }
+
+    values.push(itemId, wishlistId);
+    const result = await query(
+        `UPDATE wishlist_items SET ${fields.join(', ')}
+         WHERE id = $${values.length - 1} AND wishlist_id = $${values.length}
+         RETURNING *`,
+        values
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
 /**
  * Remove an item from a wishlist
  */
@@ -265,6 +320,188 @@ async function removeItem(itemId, wishlistId) {
     return result.rowCount > 0;
 }
 
+/**
+ * Get one item of a wishlist
+ */
+async function getItem(itemId, wishlistId) {
+    const result = await query(
+        `SELECT * FROM wishlist_items WHERE id = $1 AND wishlist_id = $2`,
+        [itemId, wishlistId]
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Mark a wishlist item received (no-op if it already is)
+ */
+async function markItemReceived(itemId, wishlistId) {
+    const result = await query(
+        `UPDATE wishlist_items SET received_at = COALESCE(received_at, NOW())
+         WHERE id = $1 AND wishlist_id = $2
+         RETURNING *`,
+        [itemId, wishlistId]
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * A user put a collectable on one of their shelves: every unreceived item for
+ * it on wishlists they created or co-own becomes received.
+ * Returns the received items ({ id, wishlistId }).
+ */
+async function markReceivedForCollectable(userId, collectableId) {
+    const result = await query(
+        `UPDATE wishlist_items wi SET received_at = NOW()
+         FROM wishlists w
+         WHERE w.id = wi.wishlist_id
+           AND wi.collectable_id = $2
+           AND wi.received_at IS NULL
+           AND ${ownedBy('$1')}
+         RETURNING wi.id, wi.wishlist_id`,
+        [userId, collectableId]
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Creator and co-owners of a wishlist, creator first
+ */
+async function listOwners(wishlistId) {
+    const result = await query(
+        `SELECT u.id, u.username, u.first_name, u.last_name, pm.local_path as profile_media_path,
+            TRUE as is_creator, w.created_at as added_at
+         FROM wishlists w
+         JOIN users u ON u.id = w.user_id
+         LEFT JOIN profile_media pm ON pm.id = u.profile_media_id
+         WHERE w.id = $1
+         UNION ALL
+         SELECT u.id, u.username, u.first_name, u.last_name, pm.local_path as profile_media_path,
+            FALSE as is_creator, wo.created_at as added_at
+         FROM wishlist_owners wo
+         JOIN users u ON u.id = wo.user_id
+         LEFT JOIN profile_media pm ON pm.id = u.profile_media_id
+         WHERE wo.wishlist_id = $1
+         ORDER BY is_creator DESC, added_at ASC`,
+        [wishlistId]
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Add a co-owner. Returns null if they already co-own the wishlist.
+ */
+async function addOwner(wishlistId, userId, addedBy) {
+    const result = await query(
+        `INSERT INTO wishlist_owners (wishlist_id, user_id, added_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (wishlist_id, user_id) DO NOTHING
+         RETURNING *`,
+        [wishlistId, userId, addedBy]
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Remove a co-owner
+ */
+async function removeOwner(wishlistId, userId) {
+    const result = await query(
+        `DELETE FROM wishlist_owners WHERE wishlist_id = $1 AND user_id = $2 RETURNING user_id`,
+        [wishlistId, userId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Reservations on a wishlist's items, with who made them. Only for viewers who
+ * are not owners; owners must not learn what was reserved.
+ */
+async function listReservations(wishlistId) {
+    const result = await query(
+        `SELECT r.wishlist_item_id, r.user_id, r.note, r.created_at,
+            u.username, u.first_name
+         FROM wishlist_item_reservations r
+         JOIN wishlist_items wi ON wi.id = r.wishlist_item_id
+         JOIN users u ON u.id = r.user_id
+         WHERE wi.wishlist_id = $1`,
+        [wishlistId]
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Who reserved each received item; the surprise is over once an item is
+ * received, so owners may see these.
+ */
+async function listReceivedReservations(wishlistId) {
+    const result = await query(
+        `SELECT r.wishlist_item_id, r.user_id, u.username, u.first_name
+         FROM wishlist_item_reservations r
+         JOIN wishlist_items wi ON wi.id = r.wishlist_item_id
+         JOIN users u ON u.id = r.user_id
+         WHERE wi.wishlist_id = $1 AND wi.received_at IS NOT NULL`,
+        [wishlistId]
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
+/**
+ * Reserve an item. Returns null if someone already reserved it.
+ */
+async function reserveItem(itemId, userId, note = null) {
+    const result = await query(
+        `INSERT INTO wishlist_item_reservations (wishlist_item_id, user_id, note)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (wishlist_item_id) DO NOTHING
+         RETURNING *`,
+        [itemId, userId, note]
+    );
+    return result.rows[0] ? rowToCamelCase(result.rows[0]) : null;
+}
+
+/**
+ * Cancel the user's own reservation of an item
+ */
+async function cancelReservation(itemId, userId) {
+    const result = await query(
+        `DELETE FROM wishlist_item_reservations
+         WHERE wishlist_item_id = $1 AND user_id = $2
+         RETURNING id`,
+        [itemId, userId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Items the user has reserved on other people's wishlists, newest first
+ */
+async function listReservationsForUser(userId, { limit = 100, offset = 0 } = {}) {
+    const result = await query(
+        `SELECT r.id, r.wishlist_item_id, r.note, r.created_at,
+            wi.wishlist_id, wi.collectable_id, wi.manual_text, wi.received_at,
+            w.name as wishlist_name,
+            owner.id as owner_id,
+            owner.username as owner_username,
+            owner.first_name as owner_first_name,
+            c.title as collectable_title,
+            c.primary_creator as collectable_creator,
+            c.cover_url as collectable_cover,
+            m.local_path as collectable_cover_media_path
+         FROM wishlist_item_reservations r
+         JOIN wishlist_items wi ON wi.id = r.wishlist_item_id
+         JOIN wishlists w ON w.id = wi.wishlist_id
+         JOIN users owner ON owner.id = w.user_id
+         LEFT JOIN collectables c ON c.id = wi.collectable_id
+         LEFT JOIN media m ON m.id = c.cover_media_id
+         WHERE r.user_id = $1
+           AND NOT users_are_blocked(w.user_id, $1)
+         ORDER BY r.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+    );
+    return result.rows.map(rowToCamelCase);
+}
+
 module.exports = {
     listForUser,
     listViewableForUser,
@@ -278,5 +515,17 @@ module.exports = {
     getItems,
     addItem,
     updateItem,
+    updateItemWatch,
     removeItem,
+    getItem,
+    markItemReceived,
+    markReceivedForCollectable,
+    listOwners,
+    addOwner,
+    removeOwner,
+    listReservations,
+    listReceivedReservations,
+    reserveItem,
+    cancelReservation,
+    listReservationsForUser,
 };
@@ -2,7 +2,7 @@ const { query, getClient } = require('../pg');
 const { rowToCamelCase } = require('./utils');
 
 const ACTIVE_STATUSES = ['queued', 'processing'];
-const ALL_STATUSES = ['queued', 'processing', 'completed', 'failed', 'aborted'];
+const ALL_STATUSES = ['queued', 'processing', 'completed', 'failed', 'aborted', 'dead'];
 
 function toJson(value) {
   if (value == null) return null;
@@ -360,6 +360,7 @@ async function claimNextRunnable({
          WHERE q.workflow_type = $1
            AND q.status = 'queued'
            AND q.attempt_count < q.max_attempts
+           AND (q.run_after IS NULL OR q.run_after <= NOW())
            AND COALESCE(ur.running_count, 0) < $2
          ORDER BY q.priority ASC, q.created_at ASC, q.job_id ASC
          LIMIT 1
@@ -370,6 +371,11 @@ async function claimNextRunnable({
            attempt_count = j.attempt_count + 1,
            claimed_at = NOW(),
            started_at = COALESCE(j.started_at, NOW()),
+           heartbeat_at = NOW(),
+           run_after = NULL,
+           step = 'initializing',
+           progress = 0,
+           progress_message = NULL,
            updated_at = NOW(),
            error = NULL
        FROM candidate
@@ -398,6 +404,11 @@ async function markCompleted({ jobId, result = {} }) {
          result = $2::jsonb,
          error = NULL,
          abort_requested = FALSE,
+         step = 'completed',
+         progress = 100,
+         progress_message = NULL,
+         heartbeat_at = NULL,
+         run_after = NULL,
          finished_at = NOW(),
          updated_at = NOW()
      WHERE job_id = $1
@@ -407,29 +418,175 @@ async function markCompleted({ jobId, result = {} }) {
   return mapRow(response.rows[0]);
 }
 
-async function markFailedOrRequeue({ jobId, error = {} }) {
+/**
+ * Settle a failed attempt. Aborts win; non-retryable errors fail the job;
+ * retryable ones requeue behind a `run_after` backoff while attempts remain
+ * and otherwise dead-letter the job. Every attempt's error is appended to
+ * `error_history`.
+ */
+async function markFailedOrRequeue({ jobId, error = {}, retryable = false, retryDelayMs = 0 }) {
+  const safeDelayMs = Math.max(0, Math.floor(Number(retryDelayMs) || 0));
   const response = await query(
-    `UPDATE workflow_queue_jobs
-     SET status = CASE
-                    WHEN abort_requested THEN 'aborted'
-                    WHEN attempt_count < max_attempts THEN 'queued'
-                    ELSE 'failed'
-                  END,
+    `WITH target AS (
+       SELECT job_id,
+              CASE
+                WHEN abort_requested THEN 'aborted'
+                WHEN NOT $3 THEN 'failed'
+                WHEN attempt_count < max_attempts THEN 'queued'
+                ELSE 'dead'
+              END AS next_status
+       FROM workflow_queue_jobs
+       WHERE job_id = $1
+       FOR UPDATE
+     )
+     UPDATE workflow_queue_jobs AS j
+     SET status = t.next_status,
          error = $2::jsonb,
-         claimed_at = CASE
-                        WHEN abort_requested THEN claimed_at
-                        WHEN attempt_count < max_attempts THEN NULL
-                        ELSE claimed_at
-                      END,
-         finished_at = CASE
-                         WHEN abort_requested THEN NOW()
-                         WHEN attempt_count < max_attempts THEN NULL
-                         ELSE NOW()
-                       END,
+         error_history = COALESCE(j.error_history, '[]'::jsonb)
+           || jsonb_build_array($2::jsonb || jsonb_build_object('attempt', j.attempt_count, 'at', NOW())),
+         run_after = CASE
+                       WHEN t.next_status = 'queued' THEN NOW() + ($4::text || ' milliseconds')::interval
+                       ELSE NULL
+                     END,
+         dead_lettered_at = CASE WHEN t.next_status = 'dead' THEN NOW() ELSE j.dead_lettered_at END,
+         claimed_at = CASE WHEN t.next_status = 'queued' THEN NULL ELSE j.claimed_at END,
+         finished_at = CASE WHEN t.next_status = 'queued' THEN NULL ELSE NOW() END,
+         step = CASE WHEN t.next_status = 'queued' THEN 'queued' ELSE j.step END,
+         progress = CASE WHEN t.next_status = 'queued' THEN 0 ELSE j.progress END,
+         progress_message = CASE
+                              WHEN t.next_status = 'queued' THEN 'Retrying after a temporary failure'
+                              ELSE j.progress_message
+                            END,
+         heartbeat_at = NULL,
+         updated_at = NOW()
+     FROM target t
+     WHERE j.job_id = t.job_id
+     RETURNING j.*`,
+    [jobId, toJson(error || {}), retryable === true, String(safeDelayMs)]
+  );
+  return mapRow(response.rows[0]);
+}
+
+/**
+ * Persist the running step/progress/message of a claimed job. Only touches
+ * `processing` rows so a late write never overwrites a terminal status.
+ * Returns `{ abortRequested }` or null when the job is not running.
+ */
+async function updateProgress({ jobId, step = null, progress = null, message = null }) {
+  const parsedProgress = Number(progress);
+  const response = await query(
+    `UPDATE workflow_queue_jobs
+     SET step = COALESCE($2, step),
+         progress = COALESCE($3, progress),
+         progress_message = COALESCE($4, progress_message),
+         heartbeat_at = NOW(),
+         updated_at = NOW()
+     WHERE job_id = $1
+       AND status = 'processing'
+     RETURNING abort_requested`,
+    [
+      jobId,
+      step,
+      Number.isFinite(parsedProgress) ? Math.max(0, Math.min(100, Math.round(parsedProgress))) : null,
+      message,
+    ]
+  );
+  if (!response.rows[0]) return null;
+  return { abortRequested: response.rows[0].abort_requested === true };
+}
+
+/**
+ * Refresh `heartbeat_at` for jobs this process is running so other instances
+ * do not treat them as orphaned. Returns the job ids with a pending abort.
+ */
+async function touchHeartbeats(jobIds = []) {
+  const ids = Array.from(new Set((jobIds || []).filter(Boolean).map(String)));
+  if (!ids.length) return [];
+  const response = await query(
+    `UPDATE workflow_queue_jobs
+     SET heartbeat_at = NOW()
+     WHERE job_id = ANY($1::text[])
+       AND status = 'processing'
+     RETURNING job_id, abort_requested`,
+    [ids]
+  );
+  return response.rows
+    .filter((row) => row.abort_requested === true)
+    .map((row) => row.job_id);
+}
+
+/**
+ * Settle `processing` jobs whose worker stopped heartbeating (crash/restart):
+ * abort when an abort was requested, requeue while attempts remain, otherwise
+ * dead-letter them so an admin can requeue once the cause is fixed.
+ */
+async function recoverOrphanedJobs({ staleAfterMs = 2 * 60 * 1000, error = {} } = {}) {
+  const safeMs = Math.max(30 * 1000, Number(staleAfterMs) || 2 * 60 * 1000);
+  const response = await query(
+    `WITH stale AS (
+       SELECT job_id,
+              CASE
+                WHEN abort_requested THEN 'aborted'
+                WHEN attempt_count < max_attempts THEN 'queued'
+                ELSE 'dead'
+              END AS next_status
+       FROM workflow_queue_jobs
+       WHERE status = 'processing'
+         AND COALESCE(heartbeat_at, claimed_at, updated_at) < NOW() - ($1::text || ' milliseconds')::interval
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE workflow_queue_jobs AS j
+     SET status = s.next_status,
+         error = CASE WHEN s.next_status = 'aborted' THEN j.error ELSE $2::jsonb END,
+         error_history = CASE
+                           WHEN s.next_status = 'aborted' THEN j.error_history
+                           ELSE COALESCE(j.error_history, '[]'::jsonb)
+                             || jsonb_build_array($2::jsonb || jsonb_build_object('attempt', j.attempt_count, 'at', NOW()))
+                         END,
+         dead_lettered_at = CASE WHEN s.next_status = 'dead' THEN NOW() ELSE j.dead_lettered_at END,
+         claimed_at = CASE WHEN s.next_status = 'queued' THEN NULL ELSE j.claimed_at END,
+         finished_at = CASE WHEN s.next_status = 'queued' THEN NULL ELSE NOW() END,
+         step = CASE WHEN s.next_status = 'queued' THEN 'queued' ELSE j.step END,
+         progress = CASE WHEN s.next_status = 'queued' THEN 0 ELSE j.progress END,
+         progress_message = CASE
+                              WHEN s.next_status = 'queued' THEN 'Resuming after a server restart'
+                              ELSE j.progress_message
+                            END,
+         heartbeat_at = NULL,
+         updated_at = NOW()
+     FROM stale s
+     WHERE j.job_id = s.job_id
+     RETURNING j.*`,
+    [String(Math.floor(safeMs)), toJson(error || {})]
+  );
+  return response.rows.map(mapRow);
+}
+
+/**
+ * Put a dead-lettered job back in the queue with a fresh attempt budget.
+ * The error history is kept so the next failure still shows what came before.
+ * Returns null when the job is not dead (already requeued or never dead).
+ */
+async function requeueDeadJob({ jobId }) {
+  const response = await query(
+    `UPDATE workflow_queue_jobs
+     SET status = 'queued',
+         attempt_count = 0,
+         run_after = NULL,
+         dead_lettered_at = NULL,
+         error = NULL,
+         abort_requested = FALSE,
+         claimed_at = NULL,
+         finished_at = NULL,
+         heartbeat_at = NULL,
+         step = 'queued',
+         progress = 0,
+         progress_message = 'Requeued by an admin',
          updated_at = NOW()
      WHERE job_id = $1
+       AND status = 'dead'
      RETURNING *`,
-    [jobId, toJson(error || {})]
+    [jobId]
   );
   return mapRow(response.rows[0]);
 }
@@ -504,13 +661,24 @@ async function isAbortRequested(jobId) {
   return result.rows[0]?.abort_requested === true;
 }
 
-async function cleanupTerminalJobs({ olderThanMs = 24 * 60 * 60 * 1000 } = {}) {
+async function cleanupTerminalJobs({
+  olderThanMs = 24 * 60 * 60 * 1000,
+  deadOlderThanMs = 30 * 24 * 60 * 60 * 1000,
+} = {}) {
   const safeMs = Math.max(60 * 1000, Number(olderThanMs) || 24 * 60 * 60 * 1000);
+  // Dead-lettered jobs wait for an admin, so they outlive ordinary terminal rows.
+  const safeDeadMs = Math.max(safeMs, Number(deadOlderThanMs) || 30 * 24 * 60 * 60 * 1000);
   const result = await query(
     `DELETE FROM workflow_queue_jobs
-     WHERE status IN ('completed', 'failed', 'aborted')
-       AND updated_at < NOW() - ($1::text || ' milliseconds')::interval`,
-    [String(Math.floor(safeMs))]
+     WHERE (
+         status IN ('completed', 'failed', 'aborted')
+         AND updated_at < NOW() - ($1::text || ' milliseconds')::interval
+       )
+       OR (
+         status = 'dead'
+         AND updated_at < NOW() - ($2::text || ' milliseconds')::interval
+       )`,
+    [String(Math.floor(safeMs)), String(Math.floor(safeDeadMs))]
   );
   return result.rowCount || 0;
 }
@@ -574,6 +742,10 @@ module.exports = {
   claimNextRunnable,
   markCompleted,
   markFailedOrRequeue,
+  updateProgress,
+  touchHeartbeats,
+  recoverOrphanedJobs,
+  requeueDeadJob,
   requestAbort,
   updateNotifyOnComplete,
   updateNotifyInAppOnComplete,
@@ -0,0 +1,185 @@
+const { query, getClient } = require('../pg');
+const { rowToCamelCase } = require('./utils');
+
+const SCHEDULER_LOCK_KEY = 'workflow_scheduler';
+
+function mapRow(row) {
+  return row ? rowToCamelCase(row) : null;
+}
+
+function selectScheduleSql(whereSql = '') {
+  return `
+    SELECT
+      s.*,
+      COALESCE(q.status, r.status) AS last_status,
+      r.duration_ms AS last_duration_ms,
+      COALESCE(q.error->>'message', r.error_message) AS last_error
+    FROM workflow_schedules s
+    LEFT JOIN workflow_queue_jobs q ON q.job_id = s.last_job_id
+    LEFT JOIN job_runs r ON r.job_id = s.last_job_id
+    ${whereSql}
+  `;
+}
+
+async function listSchedules() {
+  const result = await query(`${selectScheduleSql()} ORDER BY s.name ASC`);
+  return result.rows.map(mapRow);
+}
+
+async function getByName(name) {
+  const result = await query(`${selectScheduleSql('WHERE s.name = $1')} LIMIT 1`, [name]);
+  return mapRow(result.rows[0]);
+}
+
+/**
+ * Insert a schedule the first time its job is registered. Existing rows keep
+ * their cron/enabled state so admin changes survive restarts.
+ */
+async function ensureSchedule({ name, description = null, cron, payload = {}, enabled = true, nextRunAt = null }) {
+  const result = await query(
+    `INSERT INTO workflow_schedules (name, description, cron, payload, enabled, next_run_at)
+     VALUES ($1, $2, $3, $4::jsonb, $5, $6)
+     ON CONFLICT (name) DO UPDATE
+       SET description = EXCLUDED.description
+     RETURNING *`,
+    [name, description, cron, JSON.stringify(payload || {}), enabled === true, nextRunAt]
+  );
+  return mapRow(result.rows[0]);
+}
+
+async function setEnabled({ name, enabled, nextRunAt = null }) {
+  const result = await query(
+    `UPDATE workflow_schedules
+     SET enabled = $2,
+         next_run_at = CASE WHEN $2 THEN $3 ELSE next_run_at END,
+         updated_at = NOW()
+     WHERE name = $1
+     RETURNING *`,
+    [name, enabled === true, nextRunAt]
+  );
+  return mapRow(result.rows[0]);
+}
+
+async function insertScheduledRun(runQuery, { schedule, jobId, workflowType, priority }) {
+  const result = await runQuery(
+    `INSERT INTO workflow_queue_jobs (
+       job_id, workflow_type, user_id, shelf_id, status, priority, attempt_count, max_attempts,
+       payload, dedupe_key, notify_on_complete, notify_in_app_on_complete, abort_requested,
+       created_at, updated_at
+     ) VALUES (
+       $1, $2, NULL, NULL, 'queued', $3, 0, 1, $4::jsonb, $5, FALSE, FALSE, FALSE, NOW(), NOW()
+     )
+     ON CONFLICT (workflow_type, dedupe_key)
+       WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'processing')
+       DO NOTHING
+     RETURNING job_id`,
+    [
+      jobId,
+      workflowType,
+      priority,
+      JSON.stringify({ scheduleName: schedule.name, ...(schedule.payload || {}) }),
+      `schedule:${schedule.name}`,
+    ]
+  );
+  return result.rows[0]?.job_id || null;
+}
+
+/**
+ * Enqueue every due, enabled schedule and advance its `next_run_at`, all under
+ * a transaction-scoped advisory lock so only one instance schedules at a time.
+ * A schedule whose previous run is still queued/processing is skipped for this
+ * slot (the dedupe index rejects the duplicate) but still advances.
+ *
+ * @param {object} options
+ * @param {Function} options.computeNextRunAt - (scheduleRow) => Date|null
+ * @param {Function} options.createJobId - (scheduleRow) => string
+ * @returns {Promise<Array<{ schedule: object, jobId: string|null }>>} null when the lock was busy
+ */
+async function claimDueSchedules({
+  computeNextRunAt,
+  createJobId,
+  workflowType,
+  priority = 200,
+  limit = 20,
+}) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const lockResult = await client.query(
+      `SELECT pg_try_advisory_xact_lock(hashtext($1)) AS acquired`,
+      [SCHEDULER_LOCK_KEY]
+    );
+    if (lockResult.rows[0]?.acquired !== true) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const dueResult = await client.query(
+      `SELECT *
+       FROM workflow_schedules
+       WHERE enabled = TRUE
+         AND next_run_at IS NOT NULL
+         AND next_run_at <= NOW()
+       ORDER BY next_run_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [Math.max(1, Number(limit) || 20)]
+    );
+
+    const claimed = [];
+    for (const row of dueResult.rows.map(mapRow)) {
+      const jobId = await insertScheduledRun((text, params) => client.query(text, params), {
+        schedule: row,
+        jobId: createJobId(row),
+        workflowType,
+        priority,
+      });
+      await client.query(
+        `UPDATE workflow_schedules
+         SET next_run_at = $2,
+             last_run_at = CASE WHEN $3::text IS NULL THEN last_run_at ELSE NOW() END,
+             last_job_id = COALESCE($3, last_job_id),
+             updated_at = NOW()
+         WHERE id = $1`,
+        [row.id, computeNextRunAt(row), jobId]
+      );
+      claimed.push({ schedule: row, jobId });
+    }
+
+    await client.query('COMMIT');
+    return claimed;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Enqueue a run outside the cron cadence ("run now"). Leaves `next_run_at`
+ * alone. Returns the new job id, or null when a run is already queued/processing.
+ */
+async function enqueueRunNow({ schedule, jobId, workflowType, priority = 200 }) {
+  const enqueuedJobId = await insertScheduledRun(query, { schedule, jobId, workflowType, priority });
+  if (enqueuedJobId) {
+    await query(
+      `UPDATE workflow_schedules
+       SET last_run_at = NOW(),
+           last_job_id = $2,
+           updated_at = NOW()
+       WHERE name = $1`,
+      [schedule.name, enqueuedJobId]
+    );
+  }
+  return enqueuedJobId;
+}
+
+module.exports = {
+  listSchedules,
+  getByName,
+  ensureSchedule,
+  setEnabled,
+  claimDueSchedules,
+  enqueueRunNow,
+};
@@ -5,9 +5,8 @@ loadApiEnv();
 const app = require('./server');
 const logger = require('./logger');
 const { pool } = require('./database/pg');
-const { startNewsCacheScheduler } = require('./services/newsCacheScheduler');
-const { startNewsSeenCleanupScheduler } = require('./services/newsSeenCleanupScheduler');
 const { getWorkflowQueueService } = require('./services/workflowQueueService');
+const { getWorkflowSchedulerService } = require('./services/workflowSchedulerService');
 
 const PORT = process.env.PORT || 5001;
 
@@ -18,8 +17,8 @@ pool.query('SELECT NOW()')
 
         app.listen(PORT, () => {
             logger.info(`API listening on http://localhost:${PORT}`);
-            startNewsCacheScheduler();
-            startNewsSeenCleanupScheduler();
+            // Registers the scheduled_job handler, so it must start before the queue.
+            getWorkflowSchedulerService().start();
             getWorkflowQueueService().start();
         });
     })
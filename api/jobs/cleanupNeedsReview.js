@@ -6,30 +6,35 @@
  * Usage:
  *   node jobs/cleanupNeedsReview.js
  * 
- * Or schedule with cron:
- *   0 3 * * 0 cd /path/to/api && node jobs/cleanupNeedsReview.js >> logs/cleanup.log 2>&1
+ * Scheduled in-process as the `cleanupNeedsReview` workflow schedule
+ * (services/workflow/scheduledJobs.js); run directly only for one-off cleanups.
  */
 
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const needsReviewQueries = require('../database/queries/needsReview');
+const { NEEDS_REVIEW_EXPIRY_DAYS: EXPIRY_DAYS } = require('../services/reviewInbox');
 const logger = require('../logger');
 
-const EXPIRY_DAYS = parseInt(process.env.NEEDS_REVIEW_EXPIRY_DAYS || '7', 10);
-
 async function runCleanup() {
     logger.info(`[Cleanup] Starting needs_review cleanup (expiry: ${EXPIRY_DAYS} days)...`);
     logger.info(`[Cleanup] Timestamp: ${new Date().toISOString()}`);
 
-    try {
-        const deletedCount = await needsReviewQueries.deleteExpired(EXPIRY_DAYS);
-        logger.info(`[Cleanup] Deleted ${deletedCount} expired pending review items.`);
-        process.exit(0);
-    } catch (err) {
-        logger.error('[Cleanup] Error:', err);
-        process.exit(1);
-    }
+    const deletedCount = await needsReviewQueries.deleteExpired(EXPIRY_DAYS);
+    logger.info(`[Cleanup] Deleted ${deletedCount} expired pending review items.`);
+    return { deletedCount };
 }
 
-runCleanup();
+module.exports = {
+    runCleanup,
+};
+
+if (require.main === module) {
+    runCleanup()
+        .then(() => process.exit(0))
+        .catch((err) => {
+            logger.error('[Cleanup] Error:', err);
+            process.exit(1);
+        });
+}
@@ -8,6 +8,9 @@
  * Usage:
  *   node jobs/refreshCollectableMetadata.js
  *
+ * Also runs as the (disabled by default) `refreshCollectableMetadata` workflow
+ * schedule, which passes the range and type instead of prompting.
+ *
  * The script will prompt for:
  *   - Start date (YYYY-MM-DD)
  *   - End date (YYYY-MM-DD)
@@ -417,19 +420,30 @@ async function enrichCollectable(collectable, services) {
     }
 }
 
-async function runEnrichment() {
-    const rl = createPrompt();
-
+/**
+ * @param {object} [options] - When all of startDate/endDate/type are given
+ *   (scheduled runs) nothing is prompted; otherwise the CLI asks for them.
+ */
+async function runEnrichment(options = {}) {
     logger.info('='.repeat(60));
     logger.info('[Collectable Enrichment] Starting...');
     logger.info('='.repeat(60));
     logger.info('');
 
-    // Prompt for parameters
-    const { startDate, endDate } = await promptForDateRange(rl);
-    const type = await promptForType(rl);
+    let { startDate, endDate, type } = options;
+    if (startDate && !isValidDate(startDate)) throw new Error(`Invalid startDate: ${startDate}`);
+    if (endDate && !isValidDate(endDate)) throw new Error(`Invalid endDate: ${endDate}`);
 
-    rl.close();
+    if (!startDate || !endDate || !type) {
+        const rl = createPrompt();
+        if (!startDate || !endDate) {
+            ({ startDate, endDate } = await promptForDateRange(rl));
+        }
+        if (!type) {
+            type = await promptForType(rl);
+        }
+        rl.close();
+    }
 
     logger.info('');
     logger.info(`[Enrichment] Config: type=${type}, startDate=${startDate}, endDate=${endDate}`);
@@ -451,7 +465,7 @@ async function runEnrichment() {
 
     if (collectables.length === 0) {
         logger.info('[Enrichment] No collectables found in the specified range.');
-        return;
+        return { processed: 0, updated: 0, skipped: 0, errors: 0 };
     }
 
     // Process each collectable
@@ -502,15 +516,21 @@ async function runEnrichment() {
     logger.info(`  Skipped:   ${stats.skipped}`);
     logger.info(`  Errors:    ${stats.errors}`);
     logger.info('='.repeat(60));
+    return stats;
 }
 
-// Run the job
-runEnrichment()
-    .then(() => {
-        logger.info('[Enrichment] Job finished successfully');
-        process.exit(0);
-    })
-    .catch((err) => {
-        logger.error('[Enrichment] Job failed:', err);
-        process.exit(1);
-    });
+module.exports = {
+    runEnrichment,
+};
+
+if (require.main === module) {
+    runEnrichment()
+        .then(() => {
+            logger.info('[Enrichment] Job finished successfully');
+            process.exit(0);
+        })
+        .catch((err) => {
+            logger.error('[Enrichment] Job failed:', err);
+            process.exit(1);
+        });
+}
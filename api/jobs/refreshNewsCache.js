@@ -8,8 +8,8 @@
  * Usage:
  *   node jobs/refreshNewsCache.js
  *
- * Schedule daily at 4am:
- *   0 4 * * * cd /path/to/api && node jobs/refreshNewsCache.js >> logs/news-cache.log 2>&1
+ * Scheduled in-process as the `refreshNewsCache` workflow schedule
+ * (services/workflow/scheduledJobs.js), daily at 04:00 UTC by default.
  *
  * Environment variables:
  *   NEWS_CACHE_EXPIRY_HOURS - Hours until items expire (default: 36)
@@ -5,8 +5,8 @@
  * Usage:
  *   node jobs/refreshTmdbCoverCache.js
  *
- * Or schedule daily:
- *   0 3 * * * cd /path/to/api && node jobs/refreshTmdbCoverCache.js >> logs/tmdb-cache.log 2>&1
+ * Scheduled in-process as the `refreshTmdbCoverCache` workflow schedule
+ * (services/workflow/scheduledJobs.js).
  */
 
 const fs = require('fs/promises');
@@ -182,11 +182,18 @@ async function runRefresh() {
   logger.info(
     `[TMDB Cache] Done. Refreshed: ${refreshed}, Purged: ${purged}, Cleaned: ${cleaned}, Failed: ${failed}.`,
   );
+  return { refreshed, purged, cleaned, failed };
 }
 
-runRefresh()
-  .then(() => process.exit(0))
-  .catch((err) => {
-    logger.error('[TMDB Cache] Job failed:', err);
-    process.exit(1);
-  });
+module.exports = {
+  runRefresh,
+};
+
+if (require.main === module) {
+  runRefresh()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      logger.error('[TMDB Cache] Job failed:', err);
+      process.exit(1);
+    });
+}
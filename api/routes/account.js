@@ -1,17 +1,32 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const { validateStringLengths } = require('../middleware/validate');
-const { getAccount, updateAccount, submitFeedback, getDeletionRequestStatus, requestAccountDeletion, revokeDeletionRequest } = require('../controllers/accountController');
+const {
+  getAccount,
+  getVisionUsage,
+  updateAccount,
+  submitFeedback,
+  getDeletionRequestStatus,
+  requestAccountDeletion,
+  revokeDeletionRequest,
+  exportAccount,
+  getAccountExportStatus,
+  downloadAccountExport,
+} = require('../controllers/accountController');
 
 const router = express.Router();
 
 router.use(auth);
 router.get('/', getAccount);
 router.put('/', updateAccount);
+router.get('/vision-usage', getVisionUsage);
 router.post('/feedback', validateStringLengths({ message: 4000 }), submitFeedback);
 router.get('/deletion-request', getDeletionRequestStatus);
 router.post('/deletion-request', requestAccountDeletion);
 router.delete('/deletion-request', revokeDeletionRequest);
+router.get('/export', exportAccount);
+router.get('/export/:jobId', getAccountExportStatus);
+router.get('/export/:jobId/download', downloadAccountExport);
 
 module.exports = router;
 
@@ -66,6 +66,7 @@ router.get('/stats/detailed', adminController.getDetailedStats);
 router.get('/users', adminController.listUsers);
 router.get('/users/:userId', adminController.getUser);
 router.get('/users/:userId/vision-quota', adminController.getUserVisionQuota);
+router.get('/users/:userId/vision-usage', adminController.getUserVisionUsage);
 
 // System settings (read — no CSRF required)
 router.get('/settings', adminController.getSettings);
@@ -77,6 +78,7 @@ router.get('/feed/social', adminController.getAdminSocialFeed);
 router.get('/feed/events/:eventId/comments', adminController.getAdminEventComments);
 router.get('/workfeed', adminController.listWorkfeed);
 router.get('/workfeed/:jobId', adminController.getWorkfeedJob);
+router.get('/schedules', adminController.listSchedules);
 router.get('/jobs', adminController.listJobs);
 router.get('/jobs/:jobId', adminController.getJob);
 
@@ -94,6 +96,9 @@ router.get('/moderation/items', adminController.listModerationItems);
 
 // System info
 router.get('/system', adminController.getSystemInfo);
+router.get('/catalog-cache', adminController.getCatalogCacheStats);
+router.get('/match-corrections', adminController.listMatchCorrections);
+router.get('/ai-spend', adminController.getAiSpend);
 
 // Email campaigns (read — no CSRF)
 router.get('/email/resend-audiences', adminController.listResendAudiences);
@@ -118,11 +123,20 @@ router.put('/users/:userId/vision-quota', adminController.setUserVisionQuota);
 // System settings (write — CSRF required)
 router.put('/settings/:key', adminController.updateSetting);
 
+// Workflow queue (write — CSRF required)
+router.post('/workfeed/:jobId/requeue', adminController.requeueWorkfeedJob);
+router.post('/schedules/:name/pause', adminController.pauseSchedule);
+router.post('/schedules/:name/resume', adminController.resumeSchedule);
+router.post('/schedules/:name/run', adminController.runScheduleNow);
+
 // Deletion request actions (write — CSRF required)
 router.post('/deletion-requests/:id/approve', adminController.approveDeletionRequest);
 router.post('/deletion-requests/:id/reject', adminController.rejectDeletionRequest);
 router.post('/moderation/action', adminController.applyModerationAction);
 
+// Catalog response cache (write — CSRF required)
+router.post('/catalog-cache/purge', adminController.purgeCatalogCache);
+
 // Email campaigns (write — CSRF required)
 router.post('/email/send', adminController.sendEmailCampaign);
 router.post('/email/images', emailImageUpload.single('image'), adminController.uploadEmailImage);
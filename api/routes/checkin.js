@@ -3,6 +3,9 @@ const { auth } = require('../middleware/auth');
 const { validateStringLengths } = require('../middleware/validate');
 const feedQueries = require('../database/queries/feed');
 const collectablesQueries = require('../database/queries/collectables');
+const consumptionQueries = require('../database/queries/consumption');
+const { parseProgress, hydrateSessionMedia } = require('../controllers/consumptionController');
+const { checkGoalMilestones } = require('../services/goalProgress');
 const { query } = require('../database/pg');
 const { rowToCamelCase } = require('../database/queries/utils');
 const logger = require('../logger');
@@ -407,7 +410,11 @@ router.get('/search', validateStringLengths({ q: 500 }, { source: 'query' }), as
  *   status: 'starting' | 'continuing' | 'completed' (required)
  *   visibility: 'public' | 'friends' (optional, defaults to 'public')
  *   note: string (optional) - user message/comment
+ *   progress: { value?, total?, unit? } (optional) - e.g. page 120 of 400
  * }
+ *
+ * Also advances the user's consumption log (see database/queries/consumption)
+ * and returns the touched session as `session`.
  */
 router.post('/', validateStringLengths({ note: 5000 }), async (req, res) => {
     try {
@@ -424,6 +431,12 @@ router.post('/', validateStringLengths({ note: 5000 }), async (req, res) => {
         if (!status) {
             return res.status(400).json({ error: 'status is required' });
         }
+        let progress;
+        try {
+            progress = parseProgress(req.body?.progress) || null;
+        } catch (validationErr) {
+            return res.status(400).json({ error: validationErr.message });
+        }
 
         let collectable = null;
         let manual = null;
@@ -455,6 +468,28 @@ router.post('/', validateStringLengths({ note: 5000 }), async (req, res) => {
             note: note?.trim() || null,
         });
 
+        // The check-in event is the source of truth; a log failure should not fail it.
+        let session = null;
+        try {
+            session = await consumptionQueries.recordCheckIn({
+                userId,
+                collectableId: collectable?.id || null,
+                manualId: manual?.id || null,
+                status: event.checkinStatus,
+                progress,
+                visibility: event.visibility,
+                eventId: event.id,
+            });
+        } catch (logErr) {
+            logger.warn('POST /api/checkin consumption log update failed:', logErr.message);
+        }
+
+        if (event.checkinStatus === 'completed') {
+            checkGoalMilestones(userId).catch((goalErr) => {
+                logger.warn('POST /api/checkin goal milestone check failed:', goalErr.message);
+            });
+        }
+
         res.status(201).json({
             event: {
                 id: event.id,
@@ -479,6 +514,7 @@ router.post('/', validateStringLengths({ note: 5000 }), async (req, res) => {
                 } : null,
                 source: manual ? 'manual' : 'collectable',
             },
+            session: hydrateSessionMedia(session),
         });
     } catch (err) {
         logger.error('POST /api/checkin error:', err);
@@ -3,12 +3,21 @@ const { auth } = require("../middleware/auth");
 const { requireAdmin } = require("../middleware/admin");
 const { validateIntParam, validateStringLengths } = require("../middleware/validate");
 const collectablesQueries = require("../database/queries/collectables");
+const editionsQueries = require("../database/queries/editions");
 const shelvesQueries = require("../database/queries/shelves");
 const marketValueEstimates = require("../database/queries/marketValueEstimates");
 const { query } = require("../database/pg");
 const { rowToCamelCase, parsePagination } = require("../database/queries/utils");
 const { makeCollectableFingerprint, makeLightweightFingerprint } = require("../services/collectables/fingerprint");
 const { normalizeCollectableKind } = require("../services/collectables/kind");
+const { normalizeEditionsForStorage, formatEditionResponse } = require("../services/collectables/editions");
+const {
+  normalizeIssueNumber,
+  normalizeSeriesName,
+  normalizeVolumeNumber,
+} = require("../services/collectables/comicNumbering");
+const { cardPrintingKey, pickTabletopFields } = require("../services/collectables/tabletopFields");
+const { getCatalogRouter } = require('../services/catalog/CatalogRouter');
 const { getCollectableMatchingService } = require('../services/collectableMatchingService');
 const { resolveShelfType, getApiContainerKey } = require('../services/config/shelfTypeResolver');
 const { resolveMediaUrl } = require('../services/mediaUrl');
@@ -42,7 +51,7 @@ const CATEGORY_TO_KIND = {
   books: 'book',
   vinyl: 'album',
 };
-const API_CONTAINER_TYPES = new Set(['books', 'movies', 'games', 'tv', 'vinyl']);
+const API_CONTAINER_TYPES = new Set(['books', 'comics', 'movies', 'games', 'tv', 'vinyl', 'boardgames', 'cards']);
 const DEFAULT_API_CONTAINER_TYPE = 'books';
 const DEFAULT_FALLBACK_LIMIT = 3;
 const MAX_FALLBACK_LIMIT = 50;
@@ -600,6 +609,7 @@ function buildCollectableUpsertPayloadFromCandidate(candidate, fallbackKind) {
   );
   const tags = normalizeTags(candidate?.tags || candidate?.genre || candidate?.genres);
   const maxPlayers = deriveMaxPlayers(candidate);
+  const tabletop = pickTabletopFields(candidate);
   const coverUrl = normalizeTextValue(
     candidate?.coverUrl ||
     candidate?.cover_url ||
@@ -643,6 +653,7 @@ function buildCollectableUpsertPayloadFromCandidate(candidate, fallbackKind) {
     primaryCreator: primaryCreator || null,
     releaseYear: year || null,
     mediaType: kind,
+    variant: cardPrintingKey(tabletop),
   });
   const lightweightFingerprint = candidate?.lightweightFingerprint || makeLightweightFingerprint({
     title,
@@ -658,6 +669,10 @@ function buildCollectableUpsertPayloadFromCandidate(candidate, fallbackKind) {
     primaryCreator,
     description: normalizeTextValue(candidate?.description),
     year,
+    series: normalizeSeriesName(candidate?.series),
+    issueNumber: normalizeIssueNumber(candidate?.issueNumber ?? candidate?.issue_number),
+    volumeNumber: normalizeVolumeNumber(candidate?.volumeNumber ?? candidate?.volume_number),
+    ...tabletop,
     marketValue,
     marketValueSources,
     publishers,
@@ -1333,6 +1348,50 @@ router.get("/:collectableId", validateIntParam(['collectableId']), async (req, r
   }
 });
 
+// List known editions of a collectable
+router.get("/:collectableId/editions", validateIntParam(['collectableId']), async (req, res) => {
+  try {
+    const collectableId = parseInt(req.params.collectableId, 10);
+    const collectable = await collectablesQueries.findById(collectableId);
+    if (!collectable)
+      return res.status(404).json({ error: "Collectable not found" });
+    const editions = await editionsQueries.listByCollectable(collectableId);
+    res.json({
+      editions: editions.map(formatEditionResponse),
+      primaryEditionId: collectable.editionsId ?? null,
+    });
+  } catch (err) {
+    logger.error('GET /collectables/:id/editions error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pull the full edition list from catalog providers (OpenLibrary work
+// editions, Discogs master versions) and store it under the collectable
+router.post("/:collectableId/editions/refresh", validateIntParam(['collectableId']), async (req, res) => {
+  try {
+    const collectableId = parseInt(req.params.collectableId, 10);
+    const collectable = await collectablesQueries.findById(collectableId);
+    if (!collectable)
+      return res.status(404).json({ error: "Collectable not found" });
+
+    const fetched = await getCatalogRouter().listEditions(collectable, collectable.kind);
+    const normalized = normalizeEditionsForStorage(fetched);
+    if (normalized.length) {
+      await editionsQueries.upsertForCollectable(collectableId, normalized);
+    }
+    const editions = await editionsQueries.listByCollectable(collectableId);
+    res.json({
+      editions: editions.map(formatEditionResponse),
+      primaryEditionId: collectable.editionsId ?? null,
+      fetched: normalized.length,
+    });
+  } catch (err) {
+    logger.error('POST /collectables/:id/editions/refresh error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Check if the current user (or a specified owner) has this collectable on a shelf
 router.get("/:collectableId/shelf-item", validateIntParam(['collectableId']), async (req, res) => {
   try {
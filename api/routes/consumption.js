@@ -0,0 +1,20 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { validateIntParam, validateStringLengths } = require('../middleware/validate');
+const consumptionController = require('../controllers/consumptionController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+router.get('/', consumptionController.listSessions);
+router.post('/', validateStringLengths({ notes: 5000 }), consumptionController.createSession);
+
+// Yearly totals ("42 books finished in 2026")
+router.get('/stats', consumptionController.getStats);
+
+router.put('/:sessionId', validateIntParam(['sessionId']), validateStringLengths({ notes: 5000 }), consumptionController.updateSession);
+router.delete('/:sessionId', validateIntParam(['sessionId']), consumptionController.deleteSession);
+
+module.exports = router;
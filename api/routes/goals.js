@@ -0,0 +1,24 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { validateIntParam, validateStringLengths } = require('../middleware/validate');
+const goalsController = require('../controllers/goalsController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+router.get('/', goalsController.listGoals);
+router.post('/', goalsController.upsertGoal);
+
+// Friend challenges: same goal, shared leaderboard
+router.get('/challenges', goalsController.listChallenges);
+router.post('/challenges', validateStringLengths({ title: 120 }), goalsController.createChallenge);
+router.get('/challenges/:challengeId', validateIntParam(['challengeId']), goalsController.getChallenge);
+router.post('/challenges/:challengeId/respond', validateIntParam(['challengeId']), goalsController.respondToChallenge);
+router.delete('/challenges/:challengeId', validateIntParam(['challengeId']), goalsController.deleteChallenge);
+
+router.put('/:goalId', validateIntParam(['goalId']), goalsController.updateGoal);
+router.delete('/:goalId', validateIntParam(['goalId']), goalsController.deleteGoal);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { validateIntParam, validateStringLengths } = require('../middleware/validate');
+const loansController = require('../controllers/loansController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+router.get('/', loansController.listLoans);
+router.post('/', validateStringLengths({ borrowerName: 200, notes: 5000 }), loansController.createLoan);
+
+// Borrower view: items friends have lent to the current user
+router.get('/borrowed', loansController.listBorrowed);
+
+router.put('/:loanId', validateIntParam(['loanId']), validateStringLengths({ notes: 5000 }), loansController.updateLoan);
+router.post('/:loanId/return', validateIntParam(['loanId']), loansController.returnLoan);
+
+module.exports = router;
@@ -35,5 +35,7 @@ router.post('/photo', auth, upload.single('photo'), profileController.uploadPhot
 // Public/optional auth routes (must come after specific routes to avoid conflicts)
 router.get('/:username', optionalAuth, profileController.getPublicProfile);
 router.get('/:username/shelves', optionalAuth, profileController.getProfileShelves);
+router.get('/:username/currently', optionalAuth, profileController.getProfileCurrently);
+router.get('/:username/goals', optionalAuth, profileController.getProfileGoals);
 
 module.exports = router;
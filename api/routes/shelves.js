@@ -28,6 +28,41 @@ const upload = multer({
     },
 });
 
+const COLLECTION_IMPORT_MAX_FILE_BYTES = Number.parseInt(
+    process.env.COLLECTION_IMPORT_MAX_FILE_BYTES || String(5 * 1024 * 1024),
+    10,
+);
+const CSV_MIME_TYPES = new Set(['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel']);
+
+// CSV uploads for collection imports
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Number.isFinite(COLLECTION_IMPORT_MAX_FILE_BYTES) && COLLECTION_IMPORT_MAX_FILE_BYTES > 0
+            ? COLLECTION_IMPORT_MAX_FILE_BYTES
+            : 5 * 1024 * 1024,
+    },
+    fileFilter: (req, file, cb) => {
+        if (CSV_MIME_TYPES.has(file.mimetype) || /\.csv$/i.test(file.originalname || '')) {
+            cb(null, true);
+        } else {
+            const error = new Error('Only CSV files can be imported');
+            error.status = 400;
+            error.code = 'invalid_import_file';
+            cb(error);
+        }
+    },
+});
+
+function uploadImportCsv(req, res, next) {
+    csvUpload.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: 'CSV file is too large', code: 'import_file_too_large' });
+        }
+        return next(err);
+    });
+}
+
 // All routes here require local JWT
 router.use(auth);
 
@@ -37,6 +72,8 @@ const shelfItemOwnerPhotoIntParams = validateIntParam(['shelfId', 'itemId']);
 const shelfReviewIntParams = validateIntParam(['shelfId', 'id']);
 const shelfVisionScanIntParams = validateIntParam(['shelfId', 'scanPhotoId']);
 const shelfVisionRegionIntParams = validateIntParam(['shelfId', 'scanPhotoId', 'regionId']);
+const shelfVisionSessionIntParams = validateIntParam(['shelfId', 'sessionId']);
+const shelfVisionRescanIntParams = validateIntParam(['shelfId', 'diffId']);
 const visionWorkflowContext = createWorkflowJobContext('vision');
 const catalogWorkflowContext = createWorkflowJobContext('catalog_lookup');
 
@@ -99,6 +136,11 @@ router.post('/:shelfId/manual/search', shelfIntParam, ctrl.searchManualEntry);
 router.post('/:shelfId/manual', shelfIntParam, requireFields(['name']), validateStringLengths({ name: 500, description: 5000 }), ctrl.addManualEntry);
 router.post('/:shelfId/items', shelfIntParam, ctrl.addCollectable);
 router.post('/:shelfId/items/from-api', shelfIntParam, ctrl.addCollectableFromApi);
+router.post('/:shelfId/items/barcodes', shelfIntParam, catalogIngressLimiter, ctrl.addShelfItemsByBarcode);
+router.post('/:shelfId/imports', shelfIntParam, catalogIngressLimiter, uploadImportCsv, ctrl.importShelfItems);
+router.get('/:shelfId/imports/:jobId/status', shelfIntParam, ctrl.getVisionStatus);
+router.get('/:shelfId/imports/:jobId/events', shelfIntParam, ctrl.streamVisionStatus);
+router.delete('/:shelfId/imports/:jobId', shelfIntParam, ctrl.abortVision);
 router.post('/:shelfId/items/:itemId/replacement-intent', shelfItemIntParams, ctrl.createReplacementIntent);
 router.post('/:shelfId/items/:itemId/replace', shelfItemIntParams, ctrl.replaceShelfItem);
 router.delete('/:shelfId/items/:itemId', shelfItemIntParams, ctrl.removeShelfItem);
@@ -117,6 +159,8 @@ router.put(
         barcode: 200,
         itemSpecificText: 5000,
         userMarketValue: 200,
+        cardCondition: 50,
+        cardGradingCompany: 50,
     }),
     ctrl.updateCollectionItemDetails,
 );
@@ -132,12 +176,27 @@ router.post('/:shelfId/items/:itemId/owner-photo', shelfItemOwnerPhotoIntParams,
 router.delete('/:shelfId/items/:itemId/owner-photo', shelfItemOwnerPhotoIntParams, ctrl.deleteShelfItemOwnerPhoto);
 
 router.get('/:shelfId/search', shelfIntParam, ctrl.searchCollectablesForShelf);
+router.get('/:shelfId/layout', shelfIntParam, ctrl.getShelfLayout);
+router.get('/:shelfId/layout/locate', shelfIntParam, validateStringLengths({ q: 500 }, { source: 'query' }), ctrl.locateShelfItem);
 router.post('/:shelfId/vision', shelfIntParam, visionIngressLimiter, visionWorkflowContext, requireVisionPayload, ctrl.processShelfVision);
+router.post('/:shelfId/vision/sessions', shelfIntParam, visionIngressLimiter, visionWorkflowContext, ctrl.createVisionSession);
+router.get('/:shelfId/vision/sessions/:sessionId', shelfVisionSessionIntParams, ctrl.getVisionSession);
+router.post('/:shelfId/vision/sessions/:sessionId/photos', shelfVisionSessionIntParams, visionWorkflowContext, ctrl.addVisionSessionPhoto);
+router.post('/:shelfId/vision/sessions/:sessionId/process', shelfVisionSessionIntParams, visionIngressLimiter, visionWorkflowContext, ctrl.processVisionSession);
 router.get('/:shelfId/vision/scans/:scanPhotoId', shelfVisionScanIntParams, ctrl.getVisionScanPhoto);
 router.get('/:shelfId/vision/scans/:scanPhotoId/image', shelfVisionScanIntParams, ctrl.getVisionScanPhotoImage);
 router.get('/:shelfId/vision/scans/:scanPhotoId/regions', shelfVisionScanIntParams, ctrl.listVisionScanRegions);
 router.get('/:shelfId/vision/scans/:scanPhotoId/regions/:regionId/crop', shelfVisionRegionIntParams, ctrl.getVisionScanRegionCrop);
+router.post('/:shelfId/vision/scans/:scanPhotoId/regions', shelfVisionScanIntParams, validateStringLengths({ title: 500, primaryCreator: 500 }), ctrl.createVisionScanRegion);
+router.post('/:shelfId/vision/scans/:scanPhotoId/regions/merge', shelfVisionScanIntParams, ctrl.mergeVisionScanRegions);
+router.post('/:shelfId/vision/scans/:scanPhotoId/regions/reidentify', shelfVisionScanIntParams, visionIngressLimiter, visionWorkflowContext, ctrl.reidentifyVisionScanRegions);
+router.put('/:shelfId/vision/scans/:scanPhotoId/regions/:regionId', shelfVisionRegionIntParams, validateStringLengths({ title: 500, primaryCreator: 500 }), ctrl.updateVisionScanRegion);
+router.post('/:shelfId/vision/scans/:scanPhotoId/regions/:regionId/split', shelfVisionRegionIntParams, ctrl.splitVisionScanRegion);
+router.get('/:shelfId/vision/rescans/:diffId', shelfVisionRescanIntParams, ctrl.getVisionRescanDiff);
+router.post('/:shelfId/vision/rescans/:diffId/apply', shelfVisionRescanIntParams, ctrl.applyVisionRescanDiff);
+router.post('/:shelfId/vision/rescans/:diffId/dismiss', shelfVisionRescanIntParams, ctrl.dismissVisionRescanDiff);
 router.get('/:shelfId/vision/:jobId/status', shelfIntParam, ctrl.getVisionStatus);
+router.get('/:shelfId/vision/:jobId/events', shelfIntParam, ctrl.streamVisionStatus);
 router.post('/:shelfId/vision/:jobId/background', shelfIntParam, ctrl.setVisionBackground);
 router.delete('/:shelfId/vision/:jobId', shelfIntParam, ctrl.abortVision);
 router.post('/:shelfId/catalog-lookup', shelfIntParam, catalogIngressLimiter, catalogWorkflowContext, ctrl.processCatalogLookup);
@@ -4,6 +4,14 @@ const { validateIntParam } = require('../middleware/validate');
 const needsReviewQueries = require('../database/queries/needsReview');
 const shelvesQueries = require('../database/queries/shelves');
 const { completeReviewItemInternal } = require('../controllers/shelvesController');
+const { getCollectableMatchingService } = require('../services/collectableMatchingService');
+const {
+    NEEDS_REVIEW_EXPIRY_DAYS,
+    NEEDS_REVIEW_EXPIRY_WARNING_HOURS,
+    REVIEW_BATCH_MAX_ITEMS,
+    describeReviewExpiry,
+    rankReviewCandidates,
+} = require('../services/reviewInbox');
 const logger = require('../logger');
 
 const router = express.Router();
@@ -27,6 +35,41 @@ function omitMarketValueSourcesDeep(value) {
     return output;
 }
 
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function parseOptionalId(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number.parseInt(String(value), 10);
+    if (!Number.isInteger(parsed) || parsed <= 0 || String(parsed) !== String(value).trim()) {
+        throw httpError('Invalid shelfId', 400);
+    }
+    return parsed;
+}
+
+/**
+ * Resolve one review item the same way for single and batch requests.
+ * `shelfId` moves the item to another of the user's shelves while resolving.
+ */
+async function completeForUser({ userId, reviewItem, shelfId = null, data = {} }) {
+    if (reviewItem.status && reviewItem.status !== 'pending') {
+        throw httpError('Review item was already resolved', 409);
+    }
+    const shelf = await shelvesQueries.getById(shelfId ?? reviewItem.shelfId, userId);
+    if (!shelf) throw httpError('Shelf not found', 404);
+
+    const result = await completeReviewItemInternal({
+        userId,
+        shelf,
+        reviewItem,
+        body: data,
+    });
+    return { shelf, result };
+}
+
 // All routes require authentication
 router.use(auth);
 
@@ -36,10 +79,18 @@ router.use(auth);
  */
 router.get('/', async (req, res) => {
     try {
-        const items = await needsReviewQueries.listAllPendingForUser(req.user.id);
+        const pending = await needsReviewQueries.listAllPendingForUser(req.user.id);
+        const now = Date.now();
+        const items = pending.map((item) => ({ ...item, ...describeReviewExpiry(item, { now }) }));
         const count = items.length;
 
-        res.json({ items, count });
+        res.json({
+            items,
+            count,
+            expiringCount: items.filter((item) => item.expiringSoon).length,
+            expiryDays: NEEDS_REVIEW_EXPIRY_DAYS,
+            expiryWarningHours: NEEDS_REVIEW_EXPIRY_WARNING_HOURS,
+        });
     } catch (err) {
         logger.error('GET /api/unmatched error:', err);
         res.status(500).json({ error: 'Server error' });
@@ -52,8 +103,14 @@ router.get('/', async (req, res) => {
  */
 router.get('/count', async (req, res) => {
     try {
-        const count = await needsReviewQueries.countPendingForUser(req.user.id);
-        res.json({ count });
+        const [count, expiringCount] = await Promise.all([
+            needsReviewQueries.countPendingForUser(req.user.id),
+            needsReviewQueries.countExpiringForUser(req.user.id, {
+                expiryDays: NEEDS_REVIEW_EXPIRY_DAYS,
+                warningHours: NEEDS_REVIEW_EXPIRY_WARNING_HOURS,
+            }),
+        ]);
+        res.json({ count, expiringCount });
     } catch (err) {
         logger.error('GET /api/unmatched/count error:', err);
         res.status(500).json({ error: 'Server error' });
@@ -74,6 +131,75 @@ router.delete('/all', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/unmatched/batch
+ * Complete and/or dismiss many review items at once. Each entry is
+ * { id, action: 'complete'|'dismiss', shelfId?, data? }; one failing entry
+ * does not stop the rest.
+ */
+router.post('/batch', async (req, res) => {
+    const entries = req.body?.items;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+    if (entries.length > REVIEW_BATCH_MAX_ITEMS) {
+        return res.status(400).json({ error: `At most ${REVIEW_BATCH_MAX_ITEMS} items per batch` });
+    }
+
+    const results = [];
+    for (const entry of entries) {
+        const id = Number.parseInt(String(entry?.id ?? ''), 10);
+        const action = entry?.action;
+        try {
+            if (!Number.isInteger(id) || id <= 0) throw httpError('Invalid id', 400);
+            if (action !== 'complete' && action !== 'dismiss') throw httpError('action must be complete or dismiss', 400);
+
+            if (action === 'dismiss') {
+                const dismissed = await needsReviewQueries.dismiss(id, req.user.id);
+                if (!dismissed) throw httpError('Item not found', 404);
+                results.push({ id, action, status: 'dismissed' });
+                continue;
+            }
+
+            const reviewItem = await needsReviewQueries.getById(id, req.user.id);
+            if (!reviewItem) throw httpError('Item not found', 404);
+            const data = entry?.data && typeof entry.data === 'object' && !Array.isArray(entry.data) ? entry.data : {};
+            const { shelf, result } = await completeForUser({
+                userId: req.user.id,
+                reviewItem,
+                shelfId: parseOptionalId(entry?.shelfId),
+                data,
+            });
+            results.push({
+                id,
+                action,
+                status: 'completed',
+                shelfId: shelf.id,
+                matchSource: result.matchSource,
+                item: omitMarketValueSourcesDeep(result.item),
+            });
+        } catch (err) {
+            if (!err?.statusCode) {
+                logger.error('POST /api/unmatched/batch entry error:', err);
+            }
+            results.push({
+                id: Number.isInteger(id) ? id : entry?.id ?? null,
+                action: action ?? null,
+                status: 'failed',
+                error: err?.statusCode ? err.message : 'Server error',
+                statusCode: err?.statusCode || 500,
+            });
+        }
+    }
+
+    res.json({
+        results,
+        completed: results.filter((result) => result.status === 'completed').length,
+        dismissed: results.filter((result) => result.status === 'dismissed').length,
+        failed: results.filter((result) => result.status === 'failed').length,
+    });
+});
+
 const unmatchedIntParam = validateIntParam(['id']);
 
 /**
@@ -94,26 +220,76 @@ router.get('/:id', unmatchedIntParam, async (req, res) => {
 });
 
 /**
- * PUT /api/unmatched/:id
- * Complete a review item using the shared shelf review workflow.
+ * GET /api/unmatched/:id/suggestions
+ * Ranked catalog candidates for a review item. `shelfId` searches for the
+ * shelf the item is being moved to instead of the one it was scanned on.
  */
-router.put('/:id', unmatchedIntParam, async (req, res) => {
+router.get('/:id/suggestions', unmatchedIntParam, async (req, res) => {
     try {
         const reviewItem = await needsReviewQueries.getById(parseInt(req.params.id, 10), req.user.id);
         if (!reviewItem) {
             return res.status(404).json({ error: 'Item not found' });
         }
 
-        const shelf = await shelvesQueries.getById(reviewItem.shelfId, req.user.id);
+        const shelf = await shelvesQueries.getById(parseOptionalId(req.query?.shelfId) ?? reviewItem.shelfId, req.user.id);
         if (!shelf) {
             return res.status(404).json({ error: 'Shelf not found' });
         }
 
-        const result = await completeReviewItemInternal({
+        const rawData = reviewItem.rawData || {};
+        const title = rawData.title || rawData.name || null;
+        if (!title) {
+            return res.json({ id: reviewItem.id, shelfId: shelf.id, suggestions: [], searched: { database: false, api: false } });
+        }
+
+        const creator = rawData.primaryCreator || rawData.author || undefined;
+        const result = await getCollectableMatchingService().search(
+            {
+                title,
+                name: title,
+                primaryCreator: creator,
+                author: creator,
+                platform: rawData.platform || rawData.systemName || undefined,
+                format: rawData.format || undefined,
+            },
+            shelf.type,
+            { includeApi: true },
+        );
+
+        res.json({
+            id: reviewItem.id,
+            shelfId: shelf.id,
+            suggestions: omitMarketValueSourcesDeep(rankReviewCandidates(rawData, result.suggestions)),
+            searched: result.searched,
+        });
+    } catch (err) {
+        if (err?.statusCode) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        logger.error('GET /api/unmatched/:id/suggestions error:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * PUT /api/unmatched/:id
+ * Complete a review item using the shared shelf review workflow.
+ * Optional `shelfId` files it on a different shelf; optional `collectableId`
+ * accepts a suggestion as-is.
+ */
+router.put('/:id', unmatchedIntParam, async (req, res) => {
+    try {
+        const reviewItem = await needsReviewQueries.getById(parseInt(req.params.id, 10), req.user.id);
+        if (!reviewItem) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        const { shelfId, ...data } = req.body || {};
+        const { result } = await completeForUser({
             userId: req.user.id,
-            shelf,
             reviewItem,
-            body: req.body,
+            shelfId: parseOptionalId(shelfId),
+            data,
         });
 
         return res.json({
@@ -14,6 +14,7 @@ router.use(auth);
 
 const wishlistIntParam = validateIntParam(['id']);
 const wishlistItemIntParams = validateIntParam(['id', 'itemId']);
+const reservationStringLengths = validateStringLengths({ note: 500 });
 const wishlistStringLengths = validateStringLengths({ name: 500, description: 5000 });
 
 router.get('/', wishlistController.listWishlists);
@@ -22,12 +23,24 @@ router.post('/', wishlistStringLengths, wishlistController.createWishlist);
 // User-specific routes (must be before /:id routes)
 router.get('/user/:userId', validateUUID(['userId']), wishlistController.listUserWishlists);
 router.get('/user/:userId/check', validateUUID(['userId']), wishlistController.checkUserHasWishlists);
+router.get('/reservations', wishlistController.listMyReservations);
 
 router.get('/:id', wishlistIntParam, wishlistController.getWishlist);
 router.put('/:id', wishlistIntParam, wishlistStringLengths, wishlistController.updateWishlist);
 router.delete('/:id', wishlistIntParam, wishlistController.deleteWishlist);
 router.get('/:id/items', wishlistIntParam, wishlistController.listItems);
 router.post('/:id/items', wishlistIntParam, wishlistController.addItem);
+router.put('/:id/items/:itemId/watch', wishlistItemIntParams, wishlistController.updateItemWatch);
 router.delete('/:id/items/:itemId', wishlistItemIntParams, wishlistController.removeItem);
+router.post('/:id/items/:itemId/received', wishlistItemIntParams, wishlistController.markItemReceived);
+
+// Gift mode: friends reserve items; reservations stay hidden from the owners
+router.post('/:id/items/:itemId/reserve', wishlistItemIntParams, reservationStringLengths, wishlistController.reserveItem);
+router.delete('/:id/items/:itemId/reserve', wishlistItemIntParams, wishlistController.cancelReservation);
+
+// Co-owners
+router.get('/:id/owners', wishlistIntParam, wishlistController.listOwners);
+router.post('/:id/owners', wishlistIntParam, wishlistController.addOwner);
+router.delete('/:id/owners/:userId', wishlistIntParam, validateUUID(['userId']), wishlistController.removeOwner);
 
 module.exports = router;
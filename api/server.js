@@ -20,6 +20,9 @@ const friendsRoutes = require('./routes/friends');
 const profileRoutes = require('./routes/profile');
 const wishlistsRoutes = require('./routes/wishlists');
 const favoritesRoutes = require('./routes/favorites');
+const loansRoutes = require('./routes/loans');
+const consumptionRoutes = require('./routes/consumption');
+const goalsRoutes = require('./routes/goals');
 const listsRoutes = require('./routes/lists');
 const unmatchedRoutes = require('./routes/unmatched');
 const onboardingRoutes = require('./routes/onboarding');
@@ -212,6 +215,9 @@ app.use('/api/friends', friendsRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/wishlists', wishlistsRoutes);
 app.use('/api/favorites', favoritesRoutes);
+app.use('/api/loans', loansRoutes);
+app.use('/api/consumption', consumptionRoutes);
+app.use('/api/goals', goalsRoutes);
 app.use('/api/lists', listsRoutes);
 app.use('/api/unmatched', unmatchedRoutes);
 app.use('/api/onboarding', onboardingRoutes);
@@ -0,0 +1,48 @@
+/**
+ * CSV serializer for account exports (RFC 4180, CRLF line endings).
+ *
+ * Text cells that a spreadsheet would evaluate as a formula are prefixed with
+ * a single quote; plain numbers are left untouched.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  let text;
+  if (Array.isArray(value)) {
+    text = value.filter((entry) => entry !== null && entry !== undefined && entry !== '').join('; ');
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * @param {Array<{ header: string, value: function(object): any }>} columns
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => formatCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCell(column.value(row))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  formatCell,
+  toCsv,
+};
@@ -0,0 +1,387 @@
+/**
+ * Account Export
+ *
+ * Builds a user's data export from accountExport query rows:
+ *   - a versioned JSON document (`shelvesai.account-export`, version 1)
+ *   - one CSV per entity (shelves, items, manuals, wishlists, lists,
+ *     favorites, ratings)
+ *   - a ZIP archive bundling export.json, csv/*.csv and owner photos
+ *
+ * Catalog items are referenced by portable collectable refs (fingerprint,
+ * kind, title, creator, year, identifiers) rather than local ids, and
+ * account-owned rows by `<entity>:<id>` refs, so a document can be
+ * re-imported into another account. Bump ACCOUNT_EXPORT_VERSION whenever the
+ * document shape changes incompatibly.
+ */
+
+const path = require('path');
+const fs = require('fs/promises');
+const s3 = require('../s3');
+const logger = require('../../logger');
+const { loadOwnerPhotoBuffer } = require('../../database/queries/userCollectionPhotos');
+const { toCsv } = require('./csvWriter');
+const { buildZip } = require('./zipWriter');
+
+const ACCOUNT_EXPORT_FORMAT = 'shelvesai.account-export';
+const ACCOUNT_EXPORT_VERSION = 1;
+
+const API_ROOT = path.resolve(__dirname, '..', '..');
+const RAW_PRIVATE_ROOT = process.env.VISION_PRIVATE_STORAGE_DIR || path.join(API_ROOT, 'private-storage');
+const PRIVATE_ROOT = path.isAbsolute(RAW_PRIVATE_ROOT)
+  ? RAW_PRIVATE_ROOT
+  : path.resolve(API_ROOT, RAW_PRIVATE_ROOT);
+
+const PHOTO_EXTENSIONS = new Map([
+  ['image/jpeg', '.jpg'],
+  ['image/jpg', '.jpg'],
+  ['image/png', '.png'],
+  ['image/webp', '.webp'],
+  ['image/gif', '.gif'],
+]);
+
+function toIso(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function ref(entity, id) {
+  return id === null || id === undefined ? null : `${entity}:${id}`;
+}
+
+function buildCollectableRef(row) {
+  if (!row.collectableId) return null;
+  return {
+    fingerprint: row.collectableFingerprint || null,
+    lightweightFingerprint: row.collectableLightweightFingerprint || null,
+    kind: row.collectableKind || null,
+    title: row.collectableTitle || null,
+    primaryCreator: row.collectablePrimaryCreator || null,
+    year: row.collectableYear || null,
+    identifiers: row.collectableIdentifiers || {},
+  };
+}
+
+function photoArchivePath(item) {
+  const base = String(item.ownerPhotoContentType || '').split(';')[0].trim().toLowerCase();
+  return `photos/item-${item.id}${PHOTO_EXTENSIONS.get(base) || '.jpg'}`;
+}
+
+/**
+ * Build the versioned JSON export document.
+ * @param {object} data - Output of accountExportQueries.loadAccountData
+ * @param {object} [options]
+ * @param {Map<number, string>} [options.photoPaths] - Item id -> archive path of its owner photo
+ * @param {Date} [options.exportedAt]
+ */
+function buildAccountExportDocument(data, { photoPaths = null, exportedAt = new Date() } = {}) {
+  const manualsById = new Map((data.manuals || []).map((manual) => [manual.id, manual]));
+
+  return {
+    format: ACCOUNT_EXPORT_FORMAT,
+    version: ACCOUNT_EXPORT_VERSION,
+    exportedAt: toIso(exportedAt),
+    shelves: (data.shelves || []).map((shelf) => ({
+      ref: ref('shelf', shelf.id),
+      name: shelf.name,
+      type: shelf.type,
+      description: shelf.description || null,
+      visibility: shelf.visibility || 'private',
+      gameDefaults: shelf.gameDefaults || null,
+      cardDefaults: shelf.cardDefaults || null,
+      createdAt: toIso(shelf.createdAt),
+    })),
+    items: (data.items || []).map((item) => ({
+      ref: ref('item', item.id),
+      shelfRef: ref('shelf', item.shelfId),
+      collectable: buildCollectableRef(item),
+      manualRef: ref('manual', item.manualId),
+      position: item.position ?? null,
+      format: item.format || null,
+      series: item.series || null,
+      edition: item.edition || null,
+      specialMarkings: item.specialMarkings || null,
+      ageStatement: item.ageStatement || null,
+      labelColor: item.labelColor || null,
+      regionalItem: item.regionalItem || null,
+      barcode: item.barcode || null,
+      itemSpecificText: item.itemSpecificText || null,
+      platforms: Array.isArray(item.platforms) ? item.platforms : [],
+      platformMissing: item.platformMissing === true,
+      cardCondition: item.cardCondition || null,
+      cardGradingCompany: item.cardGradingCompany || null,
+      cardGrade: toNumber(item.cardGrade),
+      notes: item.notes || null,
+      rating: toNumber(item.rating),
+      ownerPhoto: item.ownerPhotoSource
+        ? {
+          contentType: item.ownerPhotoContentType || null,
+          visible: item.ownerPhotoVisible !== false,
+          archivePath: photoPaths?.get(item.id) || null,
+        }
+        : null,
+      addedAt: toIso(item.createdAt),
+    })),
+    manuals: (data.manuals || []).map((manual) => ({
+      ref: ref('manual', manual.id),
+      shelfRef: ref('shelf', manual.shelfId),
+      name: manual.name,
+      type: manual.type || null,
+      description: manual.description || null,
+      author: manual.author || null,
+      publisher: manual.publisher || null,
+      format: manual.format || null,
+      year: manual.year || null,
+      marketValue: manual.marketValue || null,
+      manufacturer: manual.manufacturer || null,
+      ageStatement: manual.ageStatement || null,
+      specialMarkings: manual.specialMarkings || null,
+      labelColor: manual.labelColor || null,
+      regionalItem: manual.regionalItem || null,
+      edition: manual.edition || null,
+      barcode: manual.barcode || null,
+      limitedEdition: manual.limitedEdition || null,
+      itemSpecificText: manual.itemSpecificText || null,
+      genre: manual.genre || [],
+      tags: manual.tags || [],
+      createdAt: toIso(manual.createdAt),
+    })),
+    wishlists: (data.wishlists?.wishlists || []).map((wishlist) => ({
+      ref: ref('wishlist', wishlist.id),
+      name: wishlist.name,
+      description: wishlist.description || null,
+      visibility: wishlist.visibility || 'private',
+      createdAt: toIso(wishlist.createdAt),
+      items: (data.wishlists.items || [])
+        .filter((item) => item.wishlistId === wishlist.id)
+        .map((item) => ({
+          collectable: buildCollectableRef(item),
+          manualText: item.manualText || null,
+          notes: item.notes || null,
+          priority: item.priority ?? 0,
+          addedAt: toIso(item.createdAt),
+        })),
+    })),
+    lists: (data.lists?.lists || []).map((list) => ({
+      ref: ref('list', list.id),
+      name: list.name,
+      description: list.description || null,
+      visibility: list.visibility || 'private',
+      createdAt: toIso(list.createdAt),
+      items: (data.lists.items || [])
+        .filter((item) => item.listId === list.id)
+        .map((item) => ({
+          collectable: buildCollectableRef(item),
+          position: item.position,
+          notes: item.notes || null,
+        })),
+    })),
+    favorites: (data.favorites || []).map((favorite) => ({
+      collectable: buildCollectableRef(favorite),
+      manualRef: manualsById.has(favorite.manualId) ? ref('manual', favorite.manualId) : null,
+      createdAt: toIso(favorite.createdAt),
+    })),
+    ratings: (data.ratings || []).map((rating) => ({
+      collectable: buildCollectableRef(rating),
+      manualRef: manualsById.has(rating.manualId) ? ref('manual', rating.manualId) : null,
+      rating: toNumber(rating.rating),
+      updatedAt: toIso(rating.updatedAt),
+    })),
+  };
+}
+
+function itemTitle(entry, manualsByRef) {
+  if (entry.collectable) return entry.collectable.title;
+  return manualsByRef.get(entry.manualRef)?.name || null;
+}
+
+function itemCreator(entry, manualsByRef) {
+  if (entry.collectable) return entry.collectable.primaryCreator;
+  return manualsByRef.get(entry.manualRef)?.author || null;
+}
+
+const CSV_ENTITIES = ['shelves', 'items', 'manuals', 'wishlists', 'lists', 'favorites', 'ratings'];
+
+/**
+ * Build one CSV per entity from an export document. Item columns use the
+ * generic collection import headers (Title, Creator, Year, Barcode, Format,
+ * Notes) so a shelf can be re-imported from its CSV rows.
+ * @param {object} document - Output of buildAccountExportDocument
+ * @returns {Record<string, string>} Entity name -> CSV text
+ */
+function buildAccountExportCsvFiles(document) {
+  const shelvesByRef = new Map(document.shelves.map((shelf) => [shelf.ref, shelf]));
+  const manualsByRef = new Map(document.manuals.map((manual) => [manual.ref, manual]));
+  const title = (entry) => itemTitle(entry, manualsByRef);
+  const creator = (entry) => itemCreator(entry, manualsByRef);
+  const flatten = (groups) => groups.flatMap((group) => group.items.map((item) => ({ group, item })));
+
+  return {
+    shelves: toCsv([
+      { header: 'Shelf', value: (row) => row.name },
+      { header: 'Type', value: (row) => row.type },
+      { header: 'Description', value: (row) => row.description },
+      { header: 'Visibility', value: (row) => row.visibility },
+      { header: 'Created', value: (row) => row.createdAt },
+    ], document.shelves),
+    items: toCsv([
+      { header: 'Shelf', value: (row) => shelvesByRef.get(row.shelfRef)?.name },
+      { header: 'Shelf Type', value: (row) => shelvesByRef.get(row.shelfRef)?.type },
+      { header: 'Title', value: title },
+      { header: 'Creator', value: creator },
+      { header: 'Year', value: (row) => row.collectable?.year || manualsByRef.get(row.manualRef)?.year },
+      { header: 'Kind', value: (row) => row.collectable?.kind || 'manual' },
+      { header: 'Barcode', value: (row) => row.barcode || manualsByRef.get(row.manualRef)?.barcode },
+      { header: 'Format', value: (row) => row.format },
+      { header: 'Edition', value: (row) => row.edition },
+      { header: 'Series', value: (row) => row.series },
+      { header: 'Platforms', value: (row) => row.platforms },
+      { header: 'Rating', value: (row) => row.rating },
+      { header: 'Notes', value: (row) => row.notes },
+      { header: 'Owner Photo', value: (row) => row.ownerPhoto?.archivePath },
+      { header: 'Fingerprint', value: (row) => row.collectable?.fingerprint },
+      { header: 'Added', value: (row) => row.addedAt },
+    ], document.items),
+    manuals: toCsv([
+      { header: 'Shelf', value: (row) => shelvesByRef.get(row.shelfRef)?.name },
+      { header: 'Name', value: (row) => row.name },
+      { header: 'Type', value: (row) => row.type },
+      { header: 'Author', value: (row) => row.author },
+      { header: 'Publisher', value: (row) => row.publisher },
+      { header: 'Manufacturer', value: (row) => row.manufacturer },
+      { header: 'Year', value: (row) => row.year },
+      { header: 'Format', value: (row) => row.format },
+      { header: 'Edition', value: (row) => row.edition },
+      { header: 'Barcode', value: (row) => row.barcode },
+      { header: 'Description', value: (row) => row.description },
+      { header: 'Genre', value: (row) => row.genre },
+      { header: 'Tags', value: (row) => row.tags },
+    ], document.manuals),
+    wishlists: toCsv([
+      { header: 'Wishlist', value: ({ group }) => group.name },
+      { header: 'Title', value: ({ item }) => item.collectable?.title || item.manualText },
+      { header: 'Creator', value: ({ item }) => item.collectable?.primaryCreator },
+      { header: 'Year', value: ({ item }) => item.collectable?.year },
+      { header: 'Priority', value: ({ item }) => item.priority },
+      { header: 'Notes', value: ({ item }) => item.notes },
+    ], flatten(document.wishlists)),
+    lists: toCsv([
+      { header: 'List', value: ({ group }) => group.name },
+      { header: 'Position', value: ({ item }) => item.position },
+      { header: 'Title', value: ({ item }) => item.collectable?.title },
+      { header: 'Creator', value: ({ item }) => item.collectable?.primaryCreator },
+      { header: 'Year', value: ({ item }) => item.collectable?.year },
+      { header: 'Notes', value: ({ item }) => item.notes },
+    ], flatten(document.lists)),
+    favorites: toCsv([
+      { header: 'Title', value: title },
+      { header: 'Creator', value: creator },
+      { header: 'Kind', value: (row) => row.collectable?.kind || 'manual' },
+      { header: 'Added', value: (row) => row.createdAt },
+    ], document.favorites),
+    ratings: toCsv([
+      { header: 'Title', value: title },
+      { header: 'Creator', value: creator },
+      { header: 'Kind', value: (row) => row.collectable?.kind || 'manual' },
+      { header: 'Rating', value: (row) => row.rating },
+      { header: 'Updated', value: (row) => row.updatedAt },
+    ], document.ratings),
+  };
+}
+
+/**
+ * Build the ZIP archive: export.json, csv/<entity>.csv and photos/.
+ * Owner photos that cannot be loaded are skipped and left without an
+ * archivePath in the document.
+ * @param {object} data - Output of accountExportQueries.loadAccountData
+ * @param {object} [options]
+ * @param {function(): Promise<boolean>} [options.abortCheck]
+ * @param {Date} [options.exportedAt]
+ * @returns {Promise<{ buffer: Buffer, document: object, photoCount: number, skippedPhotos: number }>}
+ */
+async function buildAccountExportArchive(data, { abortCheck = null, exportedAt = new Date() } = {}) {
+  const photoEntries = [];
+  const photoPaths = new Map();
+  let skippedPhotos = 0;
+  let attempted = 0;
+
+  for (const item of data.items || []) {
+    if (!item.ownerPhotoSource) continue;
+    if (abortCheck && attempted % 25 === 0 && await abortCheck()) {
+      const err = new Error('Export cancelled by user');
+      err.code = 'WORKFLOW_ABORTED';
+      throw err;
+    }
+    attempted += 1;
+    try {
+      const photo = await loadOwnerPhotoBuffer(item);
+      const archivePath = photoArchivePath({ ...item, ownerPhotoContentType: photo.contentType || item.ownerPhotoContentType });
+      photoEntries.push({ name: archivePath, data: photo.buffer, date: exportedAt });
+      photoPaths.set(item.id, archivePath);
+    } catch (err) {
+      skippedPhotos += 1;
+      logger.warn('[AccountExport] owner photo skipped', { itemId: item.id, error: err.message });
+    }
+  }
+
+  const document = buildAccountExportDocument(data, { photoPaths, exportedAt });
+  const csvFiles = buildAccountExportCsvFiles(document);
+  const buffer = buildZip([
+    { name: 'export.json', data: JSON.stringify(document, null, 2), date: exportedAt },
+    ...CSV_ENTITIES.map((entity) => ({ name: `csv/${entity}.csv`, data: csvFiles[entity], date: exportedAt })),
+    ...photoEntries,
+  ]);
+
+  return { buffer, document, photoCount: photoEntries.length, skippedPhotos };
+}
+
+function buildArchiveStorageKey(userId) {
+  const safeUserId = String(userId || '').replace(/[^a-zA-Z0-9_-]+/g, '_');
+  // One archive per user: a new export replaces the previous one.
+  return path.posix.join('account-exports', safeUserId, 'account-export.zip');
+}
+
+function toAbsolutePath(storageKey) {
+  const parts = String(storageKey || '').split('/').filter(Boolean);
+  return path.join(PRIVATE_ROOT, ...parts);
+}
+
+async function saveAccountExportArchive(userId, buffer) {
+  const storageKey = buildArchiveStorageKey(userId);
+  if (s3.isEnabled()) {
+    await s3.uploadPrivateBuffer(buffer, storageKey, 'application/zip');
+    return { storageProvider: 's3', storageKey };
+  }
+  const absolutePath = toAbsolutePath(storageKey);
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, buffer);
+  return { storageProvider: 'local', storageKey };
+}
+
+async function loadAccountExportArchive({ storageProvider, storageKey }) {
+  if (storageProvider === 's3') {
+    const remote = await s3.getObjectBuffer(storageKey);
+    return remote.buffer;
+  }
+  if (storageProvider === 'local') {
+    return fs.readFile(toAbsolutePath(storageKey));
+  }
+  throw new Error(`Unsupported export storage provider: ${storageProvider}`);
+}
+
+module.exports = {
+  ACCOUNT_EXPORT_FORMAT,
+  ACCOUNT_EXPORT_VERSION,
+  CSV_ENTITIES,
+  buildAccountExportDocument,
+  buildAccountExportCsvFiles,
+  buildAccountExportArchive,
+  saveAccountExportArchive,
+  loadAccountExportArchive,
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * AI cost accounting and global budget guardrails.
+ *
+ * Model calls are priced from config/aiCostConfig.json (per-million token
+ * rates per model, optional per-call-label overrides), overridable with the
+ * `ai_cost_config` system setting. Priced calls land in `ai_spend_log`.
+ *
+ * Daily and monthly budget caps degrade the vision pipeline as spend
+ * approaches them (`degradeSteps` switch off enrichment, slicing, ...) and
+ * block new scans at `blockAtPercent`. Accounting never fails a scan: errors
+ * are logged and the pipeline runs unrestricted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const aiSpendQueries = require('../database/queries/aiSpend');
+const { getSystemSettingsCache } = require('./config/SystemSettingsCache');
+const logger = require('../logger');
+
+const CONFIG_PATH = path.join(__dirname, '../config/aiCostConfig.json');
+const AI_COST_SETTINGS_KEY = 'ai_cost_config';
+// Pipeline features a degrade step may switch off, mapped to VisionPipelineService options.
+const DEGRADABLE_FEATURES = Object.freeze({
+  enrichment: 'enrichmentEnabled',
+  slicing: 'slicingEnabled',
+});
+const SPEND_CACHE_TTL_MS = 30 * 1000;
+
+let staticConfig = null;
+let spendCache = null;
+
+function loadStaticConfig() {
+  if (staticConfig) return staticConfig;
+  try {
+    staticConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (err) {
+    logger.warn('[AiCost] Failed to load aiCostConfig.json, using defaults:', err.message);
+    staticConfig = {};
+  }
+  return staticConfig;
+}
+
+function toNonNegativeNumber(value) {
+  if (value == null || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+/**
+ * Merge a settings override over the static config. Models and call labels
+ * merge per key; budgets merge field by field.
+ */
+function mergeAiCostConfig(base = {}, override = null) {
+  if (!override || typeof override !== 'object') return base;
+  return {
+    ...base,
+    ...override,
+    models: { ...(base.models || {}), ...(override.models || {}) },
+    callLabels: { ...(base.callLabels || {}), ...(override.callLabels || {}) },
+    budgets: { ...(base.budgets || {}), ...(override.budgets || {}) },
+  };
+}
+
+async function getAiCostConfig() {
+  const base = loadStaticConfig();
+  try {
+    const override = await getSystemSettingsCache().get(AI_COST_SETTINGS_KEY);
+    return mergeAiCostConfig(base, override);
+  } catch (err) {
+    logger.warn('[AiCost] Settings lookup failed, using static config:', err.message);
+    return base;
+  }
+}
+
+/**
+ * Per-million rates for a call: label override, then model (exact or longest
+ * prefix, so `gemini-2.5-flash-001` prices as `gemini-2.5-flash`), then default.
+ */
+function resolvePricing(config, { label = null, model = null } = {}) {
+  const labelPricing = label ? config?.callLabels?.[label] : null;
+  const effectiveModel = labelPricing?.model || model;
+  const models = config?.models || {};
+  let modelPricing = effectiveModel ? models[effectiveModel] : null;
+  if (!modelPricing && effectiveModel) {
+    const prefix = Object.keys(models)
+      .filter((key) => effectiveModel.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    modelPricing = prefix ? models[prefix] : null;
+  }
+  const pricing = { ...(config?.defaultPricing || {}), ...(modelPricing || {}), ...(labelPricing || {}) };
+  return {
+    model: effectiveModel || null,
+    inputPerMillion: toNonNegativeNumber(pricing.inputPerMillion) ?? 0,
+    outputPerMillion: toNonNegativeNumber(pricing.outputPerMillion) ?? 0,
+  };
+}
+
+/**
+ * Price token calls from a TokenAccumulator.
+ * @param {Array<object>} calls - { label, model?, promptTokens, candidatesTokens, totalTokens }
+ * @param {object} config
+ * @returns {Array<object>} calls with `model` and `costUsd`
+ */
+function priceCalls(calls, config) {
+  return (Array.isArray(calls) ? calls : [])
+    .filter((call) => call && typeof call === 'object')
+    .map((call) => {
+      const pricing = resolvePricing(config, { label: call.label, model: call.model });
+      const promptTokens = Number(call.promptTokens) || 0;
+      const candidatesTokens = Number(call.candidatesTokens) || 0;
+      const costUsd = ((promptTokens * pricing.inputPerMillion) + (candidatesTokens * pricing.outputPerMillion)) / 1e6;
+      return {
+        ...call,
+        label: call.label || 'unknown',
+        model: pricing.model,
+        costUsd: Math.round(costUsd * 1e6) / 1e6,
+      };
+    });
+}
+
+/**
+ * Where spend stands against the caps and which pipeline features to switch
+ * off. Whichever of the daily/monthly caps is closer to exhausted wins.
+ *
+ * @param {{ dailyUsd: number, monthlyUsd: number }} spend
+ * @param {object} budgets - config.budgets
+ * @returns {{ dailyUsd, monthlyUsd, dailyCapUsd, monthlyCapUsd, percentUsed, disabled: string[], blocked: boolean }}
+ */
+function resolveBudgetState(spend = {}, budgets = {}) {
+  const dailyUsd = Number(spend.dailyUsd) || 0;
+  const monthlyUsd = Number(spend.monthlyUsd) || 0;
+  const dailyCapUsd = toNonNegativeNumber(budgets?.dailyUsd);
+  const monthlyCapUsd = toNonNegativeNumber(budgets?.monthlyUsd);
+  const percents = [];
+  if (dailyCapUsd) percents.push((dailyUsd / dailyCapUsd) * 100);
+  if (monthlyCapUsd) percents.push((monthlyUsd / monthlyCapUsd) * 100);
+  const percentUsed = percents.length ? Math.round(Math.max(...percents) * 10) / 10 : 0;
+
+  const disabled = new Set();
+  for (const step of Array.isArray(budgets?.degradeSteps) ? budgets.degradeSteps : []) {
+    const atPercent = toNonNegativeNumber(step?.atPercent);
+    if (atPercent == null || percentUsed < atPercent) continue;
+    for (const feature of Array.isArray(step.disable) ? step.disable : []) {
+      if (DEGRADABLE_FEATURES[feature]) disabled.add(feature);
+    }
+  }
+  const blockAtPercent = toNonNegativeNumber(budgets?.blockAtPercent);
+
+  return {
+    dailyUsd,
+    monthlyUsd,
+    dailyCapUsd,
+    monthlyCapUsd,
+    percentUsed,
+    disabled: [...disabled],
+    blocked: percents.length > 0 && blockAtPercent != null && percentUsed >= blockAtPercent,
+  };
+}
+
+async function getSpendTotals({ refresh = false } = {}) {
+  if (!refresh && spendCache && Date.now() - spendCache.loadedAt < SPEND_CACHE_TTL_MS) {
+    return spendCache.totals;
+  }
+  const totals = await aiSpendQueries.getSpendTotals();
+  spendCache = { totals, loadedAt: Date.now() };
+  return totals;
+}
+
+/**
+ * Current budget state. Spend totals are cached briefly so every scan does
+ * not aggregate the log.
+ */
+async function getBudgetStatus({ refresh = false } = {}) {
+  const config = await getAiCostConfig();
+  const totals = await getSpendTotals({ refresh });
+  return resolveBudgetState(totals, config.budgets);
+}
+
+/**
+ * VisionPipelineService constructor options for the current budget state.
+ * @returns {Promise<object>} e.g. { enrichmentEnabled: false }
+ */
+async function getPipelineBudgetOptions() {
+  try {
+    const status = await getBudgetStatus();
+    const options = {};
+    for (const feature of status.disabled) {
+      options[DEGRADABLE_FEATURES[feature]] = false;
+    }
+    if (status.disabled.length) {
+      logger.warn('[AiCost] Budget degradation active', {
+        percentUsed: status.percentUsed,
+        disabled: status.disabled,
+      });
+    }
+    return options;
+  } catch (err) {
+    logger.warn('[AiCost] Budget check failed, running pipeline unrestricted:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Price and store a job's model calls. Never throws.
+ * @returns {Promise<number>} total cost in USD
+ */
+async function recordAiSpend({ userId = null, jobId = null, calls }) {
+  if (!Array.isArray(calls) || calls.length === 0) return 0;
+  try {
+    const config = await getAiCostConfig();
+    const priced = priceCalls(calls, config);
+    await aiSpendQueries.recordCalls({ userId, jobId, calls: priced });
+    const costUsd = priced.reduce((sum, call) => sum + call.costUsd, 0);
+    if (spendCache) {
+      spendCache.totals = {
+        dailyUsd: spendCache.totals.dailyUsd + costUsd,
+        monthlyUsd: spendCache.totals.monthlyUsd + costUsd,
+      };
+    }
+    return costUsd;
+  } catch (err) {
+    logger.warn('[AiCost] Failed to record AI spend:', err?.message || err);
+    return 0;
+  }
+}
+
+module.exports = {
+  AI_COST_SETTINGS_KEY,
+  DEGRADABLE_FEATURES,
+  mergeAiCostConfig,
+  getAiCostConfig,
+  resolvePricing,
+  priceCalls,
+  resolveBudgetState,
+  getBudgetStatus,
+  getPipelineBudgetOptions,
+  recordAiSpend,
+};
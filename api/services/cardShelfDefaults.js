@@ -0,0 +1,140 @@
+const { supportsShelfType } = require('./config/shelfTypeResolver');
+
+const CARD_CONDITIONS = Object.freeze([
+    'mint',
+    'near_mint',
+    'lightly_played',
+    'moderately_played',
+    'heavily_played',
+    'damaged',
+]);
+
+const CARD_CONDITION_ALIASES = Object.freeze({
+    m: 'mint',
+    nm: 'near_mint',
+    nearmint: 'near_mint',
+    lp: 'lightly_played',
+    lightlyplayed: 'lightly_played',
+    excellent: 'lightly_played',
+    ex: 'lightly_played',
+    mp: 'moderately_played',
+    moderatelyplayed: 'moderately_played',
+    played: 'moderately_played',
+    hp: 'heavily_played',
+    heavilyplayed: 'heavily_played',
+    poor: 'damaged',
+    dmg: 'damaged',
+});
+
+const GRADING_COMPANIES = Object.freeze(['psa', 'bgs', 'cgc', 'sgc']);
+
+const MIN_CARD_GRADE = 1;
+const MAX_CARD_GRADE = 10;
+
+function normalizeString(value) {
+    if (value == null) return '';
+    return String(value).trim();
+}
+
+function normalizeToken(value) {
+    return normalizeString(value).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function isCardsShelfType(value) {
+    if (!normalizeString(value)) return false;
+    return supportsShelfType(value, 'cards');
+}
+
+/**
+ * @param {string|null} value - "NM", "Near Mint", "lightly_played"
+ * @returns {string|null} One of CARD_CONDITIONS
+ */
+function normalizeCardCondition(value) {
+    const normalized = normalizeString(value).toLowerCase().replace(/[\s-]+/g, '_');
+    if (!normalized) return null;
+    if (CARD_CONDITIONS.includes(normalized)) return normalized;
+    return CARD_CONDITION_ALIASES[normalizeToken(value)] || null;
+}
+
+function normalizeGradingCompany(value) {
+    const normalized = normalizeToken(value);
+    if (!normalized) return null;
+    return GRADING_COMPANIES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Professional grades run 1-10 in half steps (PSA 8.5, BGS 9.5).
+ * @returns {number|null}
+ */
+function normalizeCardGrade(value) {
+    if (value == null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < MIN_CARD_GRADE || parsed > MAX_CARD_GRADE) return null;
+    if (Math.round(parsed * 2) !== parsed * 2) return null;
+    return parsed;
+}
+
+/**
+ * Validate a shelf item's grading state. Raw cards only have a condition;
+ * slabbed cards need both a grading company and a grade.
+ * @param {{ cardCondition?: string|null, cardGradingCompany?: string|null, cardGrade?: number|string|null }} rawValue
+ * @returns {{ cardCondition: string|null, cardGradingCompany: string|null, cardGrade: number|null }}
+ */
+function normalizeCardGradingInput(rawValue = {}) {
+    const rawCondition = normalizeString(rawValue.cardCondition);
+    const cardCondition = normalizeCardCondition(rawCondition);
+    if (rawCondition && !cardCondition) {
+        throw new Error(`cardCondition must be one of: ${CARD_CONDITIONS.join(', ')}`);
+    }
+
+    const rawCompany = normalizeString(rawValue.cardGradingCompany);
+    const cardGradingCompany = normalizeGradingCompany(rawCompany);
+    if (rawCompany && !cardGradingCompany) {
+        throw new Error(`cardGradingCompany must be one of: ${GRADING_COMPANIES.join(', ')}`);
+    }
+
+    const hasGrade = rawValue.cardGrade != null && normalizeString(rawValue.cardGrade) !== '';
+    const cardGrade = normalizeCardGrade(rawValue.cardGrade);
+    if (hasGrade && cardGrade === null) {
+        throw new Error('cardGrade must be a number from 1 to 10 in steps of 0.5');
+    }
+    if ((cardGrade === null) !== (cardGradingCompany === null)) {
+        throw new Error('cardGrade and cardGradingCompany must be set together');
+    }
+
+    return { cardCondition, cardGradingCompany, cardGrade };
+}
+
+function normalizeCardDefaultsInput(rawValue, { shelfType = null } = {}) {
+    if (!isCardsShelfType(shelfType)) return null;
+    if (rawValue == null) return null;
+    if (typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+        throw new Error('cardDefaults must be an object');
+    }
+
+    const rawCondition = normalizeString(rawValue.condition);
+    const condition = normalizeCardCondition(rawCondition);
+    if (rawCondition && !condition) {
+        throw new Error(`cardDefaults.condition must be one of: ${CARD_CONDITIONS.join(', ')}`);
+    }
+
+    return condition ? { condition } : null;
+}
+
+function normalizeCardDefaultsForResponse(rawValue, { shelfType = null } = {}) {
+    if (!isCardsShelfType(shelfType)) return null;
+    if (!rawValue || typeof rawValue !== 'object' || Array.isArray(rawValue)) return null;
+    const condition = normalizeCardCondition(rawValue.condition);
+    return condition ? { condition } : null;
+}
+
+module.exports = {
+    CARD_CONDITIONS,
+    GRADING_COMPANIES,
+    isCardsShelfType,
+    normalizeCardCondition,
+    normalizeCardGrade,
+    normalizeCardGradingInput,
+    normalizeCardDefaultsInput,
+    normalizeCardDefaultsForResponse,
+};
@@ -0,0 +1,185 @@
+const { makeCollectableFingerprint } = require('../collectables/fingerprint');
+const { normalizePlayerCount, pickTabletopFields } = require('../collectables/tabletopFields');
+const { supportsShelfType: shelfTypeSupports } = require('../config/shelfTypeResolver');
+const { CatalogProvidersUnavailableError } = require('./errors');
+const logger = require('../../logger');
+
+let catalogRouter = null;
+function getCatalogRouter() {
+  if (!catalogRouter) {
+    try {
+      const { getCatalogRouter: getRouter } = require('./CatalogRouter');
+      catalogRouter = getRouter();
+    } catch (err) {
+      logger.warn('[BoardGameCatalogService] CatalogRouter not available:', err.message);
+    }
+  }
+  return catalogRouter;
+}
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETRIES = 2;
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+/**
+ * Catalog service for the `boardgames` shelf type (board games and their
+ * expansions).
+ *
+ * Lookups go through CatalogRouter's `boardgames` container
+ * (apiContainers.json). BoardGameGeek is rate limited hard, so the default
+ * concurrency stays low.
+ */
+class BoardGameCatalogService {
+  constructor(options = {}) {
+    const enableSecondPass =
+      options.enableSecondPass ?? process.env.ENABLE_SHELF_VISION_SECOND_PASS;
+
+    this.enableSecondPass = String(enableSecondPass || 'false')
+      .trim()
+      .toLowerCase() === 'true';
+
+    this.serviceName = 'boardgames';
+    this.router = options.router || null;
+    this.concurrency = Number.isFinite(options.concurrency)
+      ? Math.max(1, options.concurrency)
+      : Number.parseInt(process.env.BOARD_GAME_CATALOG_CONCURRENCY || '', 10) ||
+      DEFAULT_CONCURRENCY;
+    this.retries = Number.isFinite(options.retries)
+      ? options.retries
+      : DEFAULT_RETRIES;
+  }
+
+  _getRouter() {
+    return this.router || getCatalogRouter();
+  }
+
+  supportsShelfType(type) {
+    return shelfTypeSupports(type, 'boardgames');
+  }
+
+  shouldRunSecondPass(type, unresolvedCount) {
+    return (
+      this.enableSecondPass &&
+      unresolvedCount > 0 &&
+      this.supportsShelfType(type)
+    );
+  }
+
+  async lookupFirstPass(items = [], options = {}) {
+    const concurrency = Math.max(1, options.concurrency || this.concurrency);
+    const retries = Number.isFinite(options.retries) ? options.retries : this.retries;
+    const results = new Array(items.length);
+    let index = 0;
+    let fatalError = null;
+
+    const worker = async () => {
+      while (index < items.length) {
+        if (fatalError) break;
+        const currentIndex = index++;
+        const input = items[currentIndex];
+        try {
+          const enrichment = await this.routerLookup(input, retries, {
+            catalogContext: options.catalogContext || null,
+          });
+          results[currentIndex] = enrichment
+            ? { status: 'resolved', input, enrichment }
+            : { status: 'unresolved', input };
+        } catch (err) {
+          if (err?.code === 'CATALOG_PROVIDERS_UNAVAILABLE') {
+            fatalError = err instanceof CatalogProvidersUnavailableError
+              ? err
+              : new CatalogProvidersUnavailableError(err?.message, err?.details || {});
+            break;
+          }
+          logger.error('[BoardGameCatalogService.lookupFirstPass] failed', err?.message || err);
+          results[currentIndex] = { status: 'unresolved', input };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    if (fatalError) {
+      throw fatalError;
+    }
+    return results;
+  }
+
+  async routerLookup(item, retries = this.retries, options = {}) {
+    const router = this._getRouter();
+    if (!router) {
+      logger.warn('[BoardGameCatalogService.routerLookup] Router not available');
+      return null;
+    }
+
+    const title = String(item?.title || item?.name || '').trim();
+    if (!title) return null;
+
+    try {
+      return await router.lookup({ ...item, title }, 'boardgames', {
+        retries,
+        catalogContext: options.catalogContext || null,
+      });
+    } catch (err) {
+      if (err?.code === 'CATALOG_PROVIDERS_UNAVAILABLE') {
+        throw err;
+      }
+      logger.error('[BoardGameCatalogService.routerLookup] failed:', err?.message || err);
+      return null;
+    }
+  }
+
+  async safeLookup(item, retries = this.retries) {
+    return this.routerLookup(item, retries);
+  }
+
+  async safeLookupMany(item, limit = 5, retries = this.retries, options = {}) {
+    if (Number(options?.offset) > 0) return [];
+    const result = await this.safeLookup(item, retries);
+    return result ? [result] : [];
+  }
+
+  async enrichWithOpenAI(unresolved = []) {
+    if (!Array.isArray(unresolved) || unresolved.length === 0) return [];
+    return unresolved.map((entry) => ({ status: 'unresolved', input: entry.input }));
+  }
+
+  buildCollectablePayload(entry, item, lightweightFingerprint) {
+    if (!entry || entry.status !== 'resolved' || !entry.enrichment) return null;
+    if (!entry.enrichment.__collectable) return null;
+
+    const collectable = { ...(entry.enrichment.collectable || {}) };
+    collectable.kind = collectable.kind || 'boardgame';
+    collectable.type = collectable.type || 'boardgame';
+    collectable.lightweightFingerprint =
+      collectable.lightweightFingerprint || lightweightFingerprint || null;
+    if (!collectable.fingerprint) {
+      collectable.fingerprint =
+        makeCollectableFingerprint({
+          title: collectable.title,
+          primaryCreator: collectable.primaryCreator,
+          releaseYear: collectable.year,
+          mediaType: collectable.type || collectable.kind,
+        }) || null;
+    }
+    collectable.images = toArray(collectable.images);
+    collectable.tags = toArray(collectable.tags);
+    collectable.sources = toArray(collectable.sources);
+    collectable.identifiers = collectable.identifiers || {};
+    collectable.physical = collectable.physical || {};
+
+    // Player counts read off the box fill gaps the provider left.
+    const fromItem = pickTabletopFields(item || {});
+    collectable.minPlayers = collectable.minPlayers || fromItem.minPlayers;
+    collectable.maxPlayers = collectable.maxPlayers ||
+      normalizePlayerCount(item?.maxPlayers ?? item?.max_players);
+    collectable.minPlayTime = collectable.minPlayTime || fromItem.minPlayTime;
+    collectable.maxPlayTime = collectable.maxPlayTime || fromItem.maxPlayTime;
+    return collectable;
+  }
+}
+
+module.exports = { BoardGameCatalogService };
@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * CatalogResponseCache
+ *
+ * Postgres-backed cache of catalog provider responses, shared by every API
+ * process. Entries are keyed by provider, operation and a sha256 of the
+ * normalized query. "No result" responses are cached too (negative caching)
+ * with a shorter TTL. TTLs come from config/catalogCacheConfig.json and can
+ * be overridden per provider with the `catalog_cache_config` system setting.
+ *
+ * Cache failures never fail a lookup: read/write errors are logged and the
+ * caller falls through to the provider.
+ *
+ * Set CATALOG_CACHE_ENABLED=false to bypass the cache entirely.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { getSystemSettingsCache } = require('../config/SystemSettingsCache');
+const logger = require('../../logger');
+
+const CONFIG_PATH = path.join(__dirname, '../../config/catalogCacheConfig.json');
+const SETTINGS_KEY = 'catalog_cache_config';
+const MAX_QUERY_TEXT_LENGTH = 500;
+
+function parseBoolean(value, defaultValue = true) {
+    if (value === true || value === false) return value;
+    if (value == null || value === '') return defaultValue;
+    const normalized = String(value).trim().toLowerCase();
+    if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    return defaultValue;
+}
+
+function toPositiveHours(value) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Normalizes a query so equivalent lookups share a key: strings are trimmed,
+ * lowercased and whitespace-collapsed, empty values dropped, object keys sorted.
+ */
+function normalizeCacheQuery(value) {
+    if (value == null) return undefined;
+    if (typeof value === 'string') {
+        const normalized = value.trim().replace(/\s+/g, ' ').toLowerCase();
+        return normalized || undefined;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') return value;
+    if (Array.isArray(value)) {
+        const entries = value.map(normalizeCacheQuery).filter((entry) => entry !== undefined);
+        return entries.length ? entries : undefined;
+    }
+    if (typeof value === 'object') {
+        const normalized = {};
+        for (const key of Object.keys(value).sort()) {
+            const entry = normalizeCacheQuery(value[key]);
+            if (entry !== undefined) normalized[key] = entry;
+        }
+        return Object.keys(normalized).length ? normalized : undefined;
+    }
+    return undefined;
+}
+
+function buildCacheKey(query) {
+    const normalized = normalizeCacheQuery(query);
+    const queryText = JSON.stringify(normalized === undefined ? null : normalized);
+    const cacheKey = crypto.createHash('sha256').update(queryText).digest('hex');
+    return { cacheKey, queryText: queryText.slice(0, MAX_QUERY_TEXT_LENGTH) };
+}
+
+class CatalogResponseCache {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.configOverride] - Use this config instead of reading from disk.
+     * @param {object} [options.queries] - catalogResponseCache query module (test injection).
+     * @param {object} [options.settingsCache] - SystemSettingsCache instance for DB overrides.
+     */
+    constructor(options = {}) {
+        this._config = options.configOverride && typeof options.configOverride === 'object'
+            ? options.configOverride
+            : this._loadConfig();
+        this._queries = options.queries || null;
+        this._settingsCache = options.settingsCache ?? null;
+    }
+
+    _loadConfig() {
+        try {
+            return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        } catch (err) {
+            logger.warn('[CatalogResponseCache] Failed to load catalogCacheConfig.json, using defaults:', err.message);
+            return {};
+        }
+    }
+
+    _getQueries() {
+        if (!this._queries) {
+            this._queries = require('../../database/queries/catalogResponseCache');
+        }
+        return this._queries;
+    }
+
+    async _getConfig() {
+        if (!this._settingsCache) return this._config;
+        try {
+            const override = await this._settingsCache.get(SETTINGS_KEY);
+            if (!override || typeof override !== 'object') return this._config;
+            return {
+                ...this._config,
+                ...override,
+                providers: { ...(this._config.providers || {}), ...(override.providers || {}) },
+            };
+        } catch (err) {
+            logger.warn('[CatalogResponseCache] Settings lookup failed, using static config:', err.message);
+            return this._config;
+        }
+    }
+
+    /**
+     * @param {object} config - Resolved config
+     * @returns {boolean}
+     */
+    isEnabled(config = this._config) {
+        if (!parseBoolean(process.env.CATALOG_CACHE_ENABLED, true)) return false;
+        return config?.enabled !== false;
+    }
+
+    /**
+     * TTL for a provider in seconds, or 0 when that kind of entry is not cached.
+     * @param {string} provider
+     * @param {{ negative?: boolean, config?: object }} [options]
+     * @returns {number}
+     */
+    getTtlSeconds(provider, { negative = false, config = this._config } = {}) {
+        const providerConfig = config?.providers?.[provider] || {};
+        const hours = negative
+            ? toPositiveHours(providerConfig.negativeTtlHours) ?? toPositiveHours(config?.defaultNegativeTtlHours)
+            : toPositiveHours(providerConfig.ttlHours) ?? toPositiveHours(config?.defaultTtlHours);
+        return hours ? Math.round(hours * 3600) : 0;
+    }
+
+    _recordStat(provider, operation, kind) {
+        Promise.resolve()
+            .then(() => this._getQueries().recordStat({ provider, operation, kind }))
+            .catch((err) => {
+                logger.warn('[CatalogResponseCache] Failed to record stat:', err.message);
+            });
+    }
+
+    /**
+     * Returns the cached response for a query, going to `fetchFn` on a miss and
+     * storing what it returns. Errors thrown by `fetchFn` are never cached.
+     *
+     * @param {string} provider - Adapter name, e.g. "openLibrary", "musicbrainz"
+     * @param {string} operation - e.g. "lookup", "lookupByIdentifier", "fetchJson"
+     * @param {*} query - Anything JSON-serializable that determines the response
+     * @param {function(): Promise<*>} fetchFn - Network call on cache miss
+     * @param {object} [options]
+     * @param {function(*): boolean} [options.isNegative] - Treat a non-null
+     *   response as "no result" (defaults to null/undefined only)
+     * @param {boolean} [options.bypass] - Skip the read but still refresh the entry
+     * @returns {Promise<*>}
+     */
+    async wrap(provider, operation, query, fetchFn, options = {}) {
+        const config = await this._getConfig();
+        if (!provider || !operation || !this.isEnabled(config)) {
+            return fetchFn();
+        }
+
+        const { cacheKey, queryText } = buildCacheKey(query);
+        const queries = this._getQueries();
+
+        if (!options.bypass) {
+            try {
+                const entry = await queries.getValid({ provider, operation, cacheKey });
+                if (entry) {
+                    this._recordStat(provider, operation, entry.isNegative ? 'negativeHit' : 'hit');
+                    logger.info(`[CatalogResponseCache] Hit ${provider}.${operation}`, {
+                        negative: entry.isNegative,
+                    });
+                    return entry.isNegative ? null : entry.response;
+                }
+            } catch (err) {
+                logger.warn('[CatalogResponseCache] Cache read failed:', err.message);
+            }
+            this._recordStat(provider, operation, 'miss');
+        }
+
+        const response = await fetchFn();
+        const negative = response == null
+            || (typeof options.isNegative === 'function' && options.isNegative(response) === true);
+        const ttlSeconds = this.getTtlSeconds(provider, { negative, config });
+        if (ttlSeconds > 0) {
+            try {
+                await queries.set({
+                    provider,
+                    operation,
+                    cacheKey,
+                    queryText,
+                    response: negative ? null : response,
+                    isNegative: negative,
+                    ttlSeconds,
+                });
+            } catch (err) {
+                logger.warn('[CatalogResponseCache] Cache write failed:', err.message);
+            }
+        }
+        return response;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Singleton
+// ---------------------------------------------------------------------------
+
+let _instance = null;
+
+function getCatalogResponseCache() {
+    if (!_instance) {
+        _instance = new CatalogResponseCache({ settingsCache: getSystemSettingsCache() });
+    }
+    return _instance;
+}
+
+module.exports = {
+    CatalogResponseCache,
+    getCatalogResponseCache,
+    buildCacheKey,
+    normalizeCacheQuery,
+};
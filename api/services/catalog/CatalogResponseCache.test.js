@@ -0,0 +1,117 @@
+'use strict';
+
+const { CatalogResponseCache, buildCacheKey } = require('./CatalogResponseCache');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function makeQueries() {
+    const store = new Map();
+    const keyOf = ({ provider, operation, cacheKey }) => `${provider}|${operation}|${cacheKey}`;
+    return {
+        store,
+        getValid: jest.fn(async (key) => store.get(keyOf(key)) || null),
+        set: jest.fn(async (entry) => {
+            store.set(keyOf(entry), { response: entry.response, isNegative: entry.isNegative });
+            return entry;
+        }),
+        recordStat: jest.fn(async () => {}),
+    };
+}
+
+const CONFIG = {
+    enabled: true,
+    defaultTtlHours: 24,
+    defaultNegativeTtlHours: 1,
+    providers: {
+        openLibrary: { ttlHours: 720, negativeTtlHours: 12 },
+    },
+};
+
+// ---------------------------------------------------------------------------
+// CatalogResponseCache
+// ---------------------------------------------------------------------------
+
+describe('CatalogResponseCache', () => {
+    const originalEnabled = process.env.CATALOG_CACHE_ENABLED;
+
+    afterEach(() => {
+        if (originalEnabled === undefined) delete process.env.CATALOG_CACHE_ENABLED;
+        else process.env.CATALOG_CACHE_ENABLED = originalEnabled;
+    });
+
+    it('stores a miss with the provider TTL and serves the next lookup from the cache', async () => {
+        const queries = makeQueries();
+        const cache = new CatalogResponseCache({ configOverride: CONFIG, queries });
+        const fetchFn = jest.fn(async () => ({ title: 'Dune' }));
+
+        const first = await cache.wrap('openLibrary', 'lookup', { title: 'Dune' }, fetchFn);
+        const second = await cache.wrap('openLibrary', 'lookup', { title: '  dune ' }, fetchFn);
+
+        expect(first).toEqual({ title: 'Dune' });
+        expect(second).toEqual({ title: 'Dune' });
+        expect(fetchFn).toHaveBeenCalledTimes(1);
+        expect(queries.set).toHaveBeenCalledWith(expect.objectContaining({
+            provider: 'openLibrary',
+            operation: 'lookup',
+            isNegative: false,
+            ttlSeconds: 720 * 3600,
+        }));
+    });
+
+    it('caches "no result" responses with the shorter negative TTL', async () => {
+        const queries = makeQueries();
+        const cache = new CatalogResponseCache({ configOverride: CONFIG, queries });
+        const fetchFn = jest.fn(async () => ({ count: 0, releases: [] }));
+        const isNegative = (json) => json.count === 0;
+
+        await cache.wrap('musicbrainz', 'fetchJson', 'https://mb/release?q=x', fetchFn, { isNegative });
+        const cached = await cache.wrap('musicbrainz', 'fetchJson', 'https://mb/release?q=x', fetchFn, { isNegative });
+
+        expect(cached).toBeNull();
+        expect(fetchFn).toHaveBeenCalledTimes(1);
+        expect(queries.set).toHaveBeenCalledWith(expect.objectContaining({
+            response: null,
+            isNegative: true,
+            ttlSeconds: 3600,
+        }));
+        expect(queries.recordStat).toHaveBeenCalledWith(expect.objectContaining({ kind: 'negativeHit' }));
+    });
+
+    it('never caches provider errors and falls through when the cache itself fails', async () => {
+        const queries = makeQueries();
+        queries.getValid.mockRejectedValueOnce(new Error('db down'));
+        const cache = new CatalogResponseCache({ configOverride: CONFIG, queries });
+
+        await expect(cache.wrap('openLibrary', 'lookup', { title: 'X' }, async () => {
+            throw new Error('HTTP 503');
+        })).rejects.toThrow('HTTP 503');
+        expect(queries.set).not.toHaveBeenCalled();
+
+        queries.set.mockRejectedValueOnce(new Error('db down'));
+        await expect(cache.wrap('openLibrary', 'lookup', { title: 'X' }, async () => ({ title: 'X' })))
+            .resolves.toEqual({ title: 'X' });
+    });
+
+    it('goes straight to the provider when disabled', async () => {
+        process.env.CATALOG_CACHE_ENABLED = 'false';
+        const queries = makeQueries();
+        const cache = new CatalogResponseCache({ configOverride: CONFIG, queries });
+
+        await cache.wrap('openLibrary', 'lookup', { title: 'Dune' }, async () => ({ title: 'Dune' }));
+
+        expect(queries.getValid).not.toHaveBeenCalled();
+        expect(queries.set).not.toHaveBeenCalled();
+    });
+
+    it('builds the same key regardless of casing, whitespace and key order', () => {
+        const a = buildCacheKey({ title: 'The  Hobbit', author: 'Tolkien', year: null });
+        const b = buildCacheKey({ author: 'tolkien', title: 'the hobbit' });
+        const c = buildCacheKey({ author: 'tolkien', title: 'the hobbit', year: '1937' });
+
+        expect(a.cacheKey).toBe(b.cacheKey);
+        expect(a.cacheKey).not.toBe(c.cacheKey);
+        expect(a.queryText).toBe('{"author":"tolkien","title":"the hobbit"}');
+    });
+});
@@ -4,10 +4,15 @@
  * Routes catalog lookups through prioritized API adapters based on apiContainers.json config.
  * Supports two modes:
  * - "fallback": Stop on first successful result (default)
- * - "merge": Call all enabled APIs and merge/dedupe results
+ * - "merge": Call all enabled APIs and reconcile fields using the container's
+ *   per-field provider precedence (`merge` block, see catalogFieldMerge.js)
  * 
  * Supports env var overrides to disable specific APIs without editing config:
  *   DISABLE_HARDCOVER=true, DISABLE_OPENLIBRARY=true, etc.
+ *
+ * Adapter calls go through the shared Postgres response cache
+ * (CatalogResponseCache) before reaching the network; pass
+ * `skipResponseCache: true` in options to force a fresh provider call.
  */
 
 const path = require('path');
@@ -15,6 +20,8 @@ const { getMetadataScorer } = require('./MetadataScorer');
 const { CatalogProvidersUnavailableError } = require('./errors');
 const { classifyProviderError } = require('./providerErrorUtils');
 const { isBookCandidateRelevant } = require('./bookMatchUtils');
+const { mergeCatalogResults, selectAgreeingResults } = require('./catalogFieldMerge');
+const { getCatalogResponseCache } = require('./CatalogResponseCache');
 const { getApiContainerKey } = require('../config/shelfTypeResolver');
 const logger = require('../../logger');
 
@@ -39,9 +46,44 @@ function normalizeString(value) {
     return String(value).trim();
 }
 
+// Item fields that change what an adapter returns; everything else (confidence,
+// vision metadata, notes) is left out of the response cache key.
+const LOOKUP_CACHE_FIELDS = [
+    'title',
+    'name',
+    'author',
+    'primaryCreator',
+    'creator',
+    'year',
+    'format',
+    'platform',
+    'systemName',
+    'identifiers',
+    'developer',
+    'publisher',
+    'region',
+    'series',
+    'issueNumber',
+    'volumeNumber',
+    'setCode',
+    'collectorNumber',
+    'cardGame',
+    'type',
+    'kind',
+];
+
+function buildLookupCacheQuery(item, containerType) {
+    const query = { containerType: normalizeString(containerType).toLowerCase() };
+    for (const field of LOOKUP_CACHE_FIELDS) {
+        if (item?.[field] != null) query[field] = item[field];
+    }
+    return query;
+}
+
 class CatalogRouter {
     constructor(options = {}) {
         this.config = options.config || containersConfig;
+        this.responseCache = options.responseCache || null;
         this.adapters = {};
         this._adapterInstances = new Map();
 
@@ -54,6 +96,11 @@ class CatalogRouter {
             tmdbTv: () => this._loadAdapter('TmdbTvAdapter'),
             musicbrainz: () => this._loadAdapter('MusicBrainzAdapter'),
             discogs: () => this._loadAdapter('DiscogsAdapter'),
+            comicVine: () => this._loadAdapter('ComicVineAdapter'),
+            comicFixture: () => this._loadAdapter('ComicFixtureAdapter'),
+            boardGameGeek: () => this._loadAdapter('BoardGameGeekAdapter'),
+            scryfall: () => this._loadAdapter('ScryfallAdapter'),
+            pokemonTcg: () => this._loadAdapter('PokemonTcgAdapter'),
         };
     }
 
@@ -90,6 +137,31 @@ class CatalogRouter {
         }
     }
 
+    _getResponseCache() {
+        if (!this.responseCache) {
+            this.responseCache = getCatalogResponseCache();
+        }
+        return this.responseCache;
+    }
+
+    /**
+     * Run an adapter call through the shared response cache. A null response
+     * is stored as "no result", so adapters must throw on provider failures
+     * (timeouts, HTTP errors) instead of returning null.
+     * @param {string} apiName - Adapter name (cache provider key)
+     * @param {string} operation - Adapter method name
+     * @param {object} query - Cache key input
+     * @param {function(): Promise<object|null>} fetchFn - Provider call on miss
+     * @param {object} [options] - Lookup options (`skipResponseCache` bypasses the read)
+     * @param {function(*): boolean} [isNegative] - Treat a non-null response as "no result"
+     */
+    _cachedAdapterCall(apiName, operation, query, fetchFn, options = {}, isNegative = undefined) {
+        return this._getResponseCache().wrap(apiName, operation, query, fetchFn, {
+            bypass: options.skipResponseCache === true,
+            isNegative,
+        });
+    }
+
     /**
      * Get the container config for a media type, resolving aliases
      * @param {string} containerType - e.g., "books", "games", "movies"
@@ -188,6 +260,100 @@ class CatalogRouter {
         return this._lookupFallback(item, apis, sharedOptions);
     }
 
+    /**
+     * Identifier lookup - tries each enabled adapter that implements
+     * lookupByIdentifier(barcode) in priority order and stops on the first hit.
+     * @param {object} barcode - Result of barcodeUtils.classifyBarcode
+     * @param {string} containerType - Media type container (books, games, movies)
+     * @param {object} options - Additional options
+     * @returns {Promise<object|null>} Wrapped collectable result or null
+     */
+    async lookupByIdentifier(barcode, containerType, options = {}) {
+        if (!barcode?.code) return null;
+
+        const apis = this.getEnabledApis(containerType);
+        for (const api of apis) {
+            const adapter = this.getAdapter(api.name);
+            if (!adapter || typeof adapter.lookupByIdentifier !== 'function') continue;
+            if (typeof adapter.isConfigured === 'function' && !adapter.isConfigured()) {
+                logger.info(`[CatalogRouter] Skipping ${api.name} - not configured`);
+                continue;
+            }
+
+            try {
+                const result = await this._cachedAdapterCall(
+                    api.name,
+                    'lookupByIdentifier',
+                    { containerType, type: barcode.type, code: barcode.code },
+                    () => adapter.lookupByIdentifier(barcode, { ...options, containerType }),
+                    options,
+                );
+                if (result) {
+                    logger.info(`[CatalogRouter] Identifier hit on ${api.name}`, {
+                        containerType,
+                        identifierType: barcode.type,
+                    });
+                    return this.wrapCollectableResult(result, {
+                        _source: api.name,
+                        _sourceIndex: apis.indexOf(api),
+                        _matchedIdentifierType: barcode.type,
+                    });
+                }
+            } catch (err) {
+                const errorInfo = classifyProviderError(err);
+                logger.warn(`[CatalogRouter] ${api.name} identifier lookup failed:`, err.message, {
+                    containerType,
+                    provider: api.name,
+                    reason: errorInfo.reason,
+                    statusCode: errorInfo.statusCode,
+                });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect every known edition of a stored collectable from the adapters
+     * that support edition listing (OpenLibrary work editions, Discogs master
+     * versions). Provider failures are logged and skipped.
+     * @param {object} collectable - Stored collectable with provider identifiers
+     * @param {string} containerType - e.g. "books", "vinyl"
+     * @param {object} [options]
+     * @returns {Promise<Array<object>>} Edition objects (see services/collectables/editions.js)
+     */
+    async listEditions(collectable, containerType, options = {}) {
+        if (!collectable) return [];
+
+        const editions = [];
+        for (const api of this.getEnabledApis(containerType)) {
+            const adapter = this.getAdapter(api.name);
+            if (!adapter || typeof adapter.listEditions !== 'function') continue;
+            if (typeof adapter.isConfigured === 'function' && !adapter.isConfigured()) continue;
+
+            try {
+                const result = await this._cachedAdapterCall(
+                    api.name,
+                    'listEditions',
+                    { containerType, identifiers: collectable.identifiers || {} },
+                    () => adapter.listEditions(collectable, { ...options, containerType }),
+                    options,
+                    (list) => !Array.isArray(list) || list.length === 0,
+                );
+                if (Array.isArray(result)) editions.push(...result);
+            } catch (err) {
+                const errorInfo = classifyProviderError(err);
+                logger.warn(`[CatalogRouter] ${api.name} edition listing failed:`, err.message, {
+                    containerType,
+                    provider: api.name,
+                    reason: errorInfo.reason,
+                    statusCode: errorInfo.statusCode,
+                });
+            }
+        }
+        return editions;
+    }
+
     _getCircuitBreakerStore(catalogContext) {
         if (!catalogContext || typeof catalogContext !== 'object') return null;
         if (!catalogContext.providerCircuitBreaker || typeof catalogContext.providerCircuitBreaker !== 'object') {
@@ -322,7 +488,13 @@ class CatalogRouter {
 
             try {
                 logger.info(`[CatalogRouter] Trying ${api.name}...`);
-                const result = await adapter.lookup(item, options);
+                const result = await this._cachedAdapterCall(
+                    api.name,
+                    'lookup',
+                    buildLookupCacheQuery(item, containerType),
+                    () => adapter.lookup(item, options),
+                    options,
+                );
 
                 if (result) {
                     if (containerType === 'books') {
@@ -419,13 +591,24 @@ class CatalogRouter {
         return null;
     }
     /**
-     * Merge mode: Call all enabled APIs and merge results
+     * Merge mode: Call all enabled APIs in parallel and reconcile their results
+     * field by field (see catalogFieldMerge). The chosen provider per field is
+     * recorded in a `catalog-merge` entry of the merged `sources`, together with
+     * the merged and per-provider metadata scores.
      */
     async _lookupMerge(item, apis, options = {}) {
-        const results = [];
+        const containerType = options.containerType || '';
+        const catalogContext = options.catalogContext || null;
+        const container = options.container || this.getContainer(containerType) || {};
+
+        this._assertProvidersAvailableOrThrow(apis, options);
 
-        // Call all APIs in parallel
         const promises = apis.map(async (api) => {
+            if (this._isProviderTripped(catalogContext, containerType, api.name)) {
+                this._recordProviderSkip(catalogContext);
+                return null;
+            }
+
             const adapter = this.getAdapter(api.name);
             if (!adapter) return null;
 
@@ -435,84 +618,93 @@ class CatalogRouter {
 
             try {
                 logger.info(`[CatalogRouter] (merge) Calling ${api.name}...`);
-                const result = await adapter.lookup(item, options);
-                if (result) {
-                    return {
-                        ...result,
-                        _source: api.name,
-                        _sourcePriority: api.priority,
-                    };
+                const result = await this._cachedAdapterCall(
+                    api.name,
+                    'lookup',
+                    buildLookupCacheQuery(item, containerType),
+                    () => adapter.lookup(item, options),
+                    options,
+                );
+                if (!result) return null;
+
+                if (containerType === 'books') {
+                    const relevance = isBookCandidateRelevant(item, result);
+                    if (!relevance.relevant) {
+                        logger.info(`[CatalogRouter] (merge) Rejected ${api.name} candidate due to weak book relevance`, {
+                            candidateTitle: result?.title || null,
+                            reason: relevance.reason,
+                        });
+                        return null;
+                    }
                 }
-                return null;
+                return { source: api.name, result };
             } catch (err) {
-                logger.warn(`[CatalogRouter] (merge) ${api.name} failed:`, err.message);
+                const errorInfo = classifyProviderError(err);
+                logger.warn(`[CatalogRouter] (merge) ${api.name} failed:`, err.message, {
+                    containerType,
+                    provider: api.name,
+                    reason: errorInfo.reason,
+                    statusCode: errorInfo.statusCode,
+                    hardError: errorInfo.isHardError,
+                });
+                if (errorInfo.isHardError) {
+                    this._tripProvider(catalogContext, containerType, api.name, {
+                        reason: errorInfo.reason,
+                        statusCode: errorInfo.statusCode,
+                        message: err?.message || String(err),
+                    });
+                }
                 return null;
             }
         });
 
-        const allResults = await Promise.all(promises);
-        const validResults = allResults.filter(Boolean);
-
-        if (!validResults.length) {
+        const providerResults = (await Promise.all(promises)).filter(Boolean);
+        if (!providerResults.length) {
+            this._assertProvidersAvailableOrThrow(apis, options);
+            logger.info('[CatalogRouter] (merge) No provider returned a result');
             return null;
         }
 
-        // Sort by source priority and return merged result
-        validResults.sort((a, b) => (a._sourcePriority || 999) - (b._sourcePriority || 999));
-
-        // Merge: prefer higher-priority source, fill in gaps from lower priority
-        const merged = this._mergeResults(validResults);
-        merged._sources = validResults.map(r => r._source);
-
-        logger.info(`[CatalogRouter] (merge) Combined results from:`, merged._sources);
-        return this.wrapCollectableResult(merged);
-    }
-
-    /**
-     * Merge multiple results, preferring earlier (higher priority) sources
-     */
-    _mergeResults(results) {
-        if (!results.length) return null;
-        if (results.length === 1) return results[0];
-
-        const merged = { ...results[0] };
-
-        // Fields that can be filled in from lower-priority sources
-        const fillableFields = [
-            'description', 'coverUrl', 'year', 'publishers', 'tags', 'identifiers',
-        ];
-
-        for (let i = 1; i < results.length; i++) {
-            const source = results[i];
-
-            for (const field of fillableFields) {
-                // Fill in missing fields
-                if (!merged[field] && source[field]) {
-                    merged[field] = source[field];
-                }
+        const { entries: validResults, skipped } = selectAgreeingResults(providerResults, container.merge);
+        if (skipped.length) {
+            logger.info('[CatalogRouter] (merge) Skipped providers that disagree with the identity source', {
+                containerType,
+                skipped,
+            });
+        }
 
-                // Merge arrays
-                if (Array.isArray(merged[field]) && Array.isArray(source[field])) {
-                    const existing = new Set(merged[field].map(v => JSON.stringify(v)));
-                    for (const item of source[field]) {
-                        if (!existing.has(JSON.stringify(item))) {
-                            merged[field].push(item);
-                        }
-                    }
-                }
+        const mergeResult = mergeCatalogResults(validResults, container.merge);
+        const { merged, fieldProviders, providers } = mergeResult;
+        const metadata = await getMetadataScorer().scoreMerge(merged, validResults, containerType);
+        const mergeSource = merged.sources[merged.sources.length - 1];
+        mergeSource.metadataScore = {
+            merged: metadata.score,
+            maxScore: metadata.maxScore,
+            providers: metadata.providerScores,
+            improvement: metadata.improvement,
+        };
 
-                // Merge identifier objects
-                if (field === 'identifiers' && typeof merged[field] === 'object' && typeof source[field] === 'object') {
-                    for (const key in source[field]) {
-                        if (!merged[field][key]) {
-                            merged[field][key] = source[field][key];
-                        }
-                    }
-                }
-            }
-        }
+        logger.info('[CatalogRouter] (merge) Combined results', {
+            containerType,
+            providers,
+            fields: fieldProviders,
+            score: metadata.score,
+            bestProviderScore: metadata.bestProviderScore,
+            improvement: metadata.improvement,
+        });
 
-        return merged;
+        const identitySource = fieldProviders.identity || providers[0];
+        return this.wrapCollectableResult(merged, {
+            _source: identitySource,
+            _sourceIndex: apis.findIndex((api) => api.name === identitySource),
+            _sources: providers,
+            _mergedFields: fieldProviders,
+            _metadataScore: metadata.score,
+            _metadataMaxScore: metadata.maxScore,
+            _metadataMissing: metadata.missing,
+            _metadataScoredAt: metadata.scoredAt,
+            _metadataProviderScores: metadata.providerScores,
+        });
     }
 
     /**
@@ -546,5 +738,5 @@ function getCatalogRouter() {
     return instance;
 }
 
-module.exports = { CatalogRouter, getCatalogRouter };
+module.exports = { CatalogRouter, getCatalogRouter, buildLookupCacheQuery };
 
@@ -1,6 +1,9 @@
 'use strict';
 
 const { CatalogRouter } = require('./CatalogRouter');
+const { CatalogResponseCache } = require('./CatalogResponseCache');
+const TmdbAdapter = require('./adapters/TmdbAdapter');
+const HardcoverAdapter = require('./adapters/HardcoverAdapter');
 const { MetadataScorer } = require('./MetadataScorer');
 const { CatalogProvidersUnavailableError } = require('./errors');
 
@@ -424,3 +427,360 @@ describe('CatalogRouter._lookupFallback — universal scoring via MetadataScorer
         });
     });
 });
+
+// ---------------------------------------------------------------------------
+// CatalogRouter.lookupByIdentifier
+// ---------------------------------------------------------------------------
+
+describe('CatalogRouter.lookupByIdentifier', () => {
+    const barcode = {
+        code: '075678317729',
+        type: 'upc',
+        identifiers: { barcode: ['075678317729', '0075678317729'] },
+    };
+
+    it('skips adapters without identifier support and returns the first hit', async () => {
+        const router = new CatalogRouter({ config: makeConfig('vinyl') });
+        const titleOnly = makeAdapter([{ title: 'Ignored' }]);
+        const byIdentifier = {
+            isConfigured: () => true,
+            lookup: jest.fn(),
+            lookupByIdentifier: jest.fn().mockResolvedValue({ title: 'Kind of Blue', primaryCreator: 'Miles Davis' }),
+        };
+        router._adapterFactories = { api1: () => titleOnly, api2: () => byIdentifier };
+
+        const result = await router.lookupByIdentifier(barcode, 'vinyl');
+
+        expect(titleOnly.lookup).not.toHaveBeenCalled();
+        expect(byIdentifier.lookupByIdentifier).toHaveBeenCalledWith(barcode, expect.objectContaining({ containerType: 'vinyl' }));
+        expect(result).toEqual(expect.objectContaining({
+            __collectable: true,
+            title: 'Kind of Blue',
+            _source: 'api2',
+            _matchedIdentifierType: 'upc',
+        }));
+    });
+
+    it('continues past failing adapters and returns null when nothing resolves', async () => {
+        const router = new CatalogRouter({ config: makeConfig('vinyl') });
+        const failing = {
+            isConfigured: () => true,
+            lookupByIdentifier: jest.fn().mockRejectedValue(new Error('Discogs request failed with 500')),
+        };
+        const empty = {
+            isConfigured: () => true,
+            lookupByIdentifier: jest.fn().mockResolvedValue(null),
+        };
+        router._adapterFactories = { api1: () => failing, api2: () => empty };
+
+        await expect(router.lookupByIdentifier(barcode, 'vinyl')).resolves.toBeNull();
+        expect(empty.lookupByIdentifier).toHaveBeenCalled();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// CatalogRouter — shared response cache
+// ---------------------------------------------------------------------------
+
+describe('CatalogRouter — shared response cache', () => {
+    it('serves adapter lookups from the response cache keyed by the lookup fields', async () => {
+        const responseCache = {
+            wrap: jest.fn(async (provider, operation, query, fetchFn) => (
+                provider === 'api1' ? { title: 'Cached Movie', year: '1999' } : fetchFn()
+            )),
+        };
+        const router = new CatalogRouter({ config: makeConfig('unknown-type'), responseCache });
+        const adapter1 = makeAdapter([{ title: 'Live Movie' }]);
+        router._adapterFactories = { api1: () => adapter1, api2: () => makeAdapter([]) };
+
+        const result = await router.lookup({ title: 'Cached Movie', confidence: 0.4 }, 'unknown-type');
+
+        expect(adapter1.lookup).not.toHaveBeenCalled();
+        expect(result).toEqual(expect.objectContaining({ title: 'Cached Movie', _source: 'api1' }));
+        expect(responseCache.wrap).toHaveBeenCalledWith(
+            'api1',
+            'lookup',
+            { containerType: 'unknown-type', title: 'Cached Movie' },
+            expect.any(Function),
+            { bypass: false },
+        );
+    });
+
+    it('bypasses cache reads when skipResponseCache is set', async () => {
+        const responseCache = {
+            wrap: jest.fn(async (provider, operation, query, fetchFn) => fetchFn()),
+        };
+        const router = new CatalogRouter({ config: makeConfig('unknown-type'), responseCache });
+        const adapter1 = makeAdapter([{ title: 'Live Movie' }]);
+        router._adapterFactories = { api1: () => adapter1, api2: () => makeAdapter([]) };
+
+        await router.lookup({ title: 'Live Movie' }, 'unknown-type', { skipResponseCache: true });
+
+        expect(adapter1.lookup).toHaveBeenCalledTimes(1);
+        expect(responseCache.wrap.mock.calls[0][4]).toEqual({ bypass: true });
+    });
+
+    describe('with a real response cache', () => {
+        const originalTmdbKey = process.env.TMDB_API_KEY;
+
+        afterEach(() => {
+            if (originalTmdbKey === undefined) delete process.env.TMDB_API_KEY;
+            else process.env.TMDB_API_KEY = originalTmdbKey;
+        });
+
+        function makeCacheQueries() {
+            const rows = new Map();
+            const keyOf = ({ provider, operation, cacheKey }) => `${provider}|${operation}|${cacheKey}`;
+            return {
+                rows,
+                getValid: jest.fn(async (key) => rows.get(keyOf(key)) || null),
+                set: jest.fn(async (entry) => {
+                    rows.set(keyOf(entry), { response: entry.response, isNegative: entry.isNegative });
+                    return entry;
+                }),
+                recordStat: jest.fn(async () => {}),
+            };
+        }
+
+        function makeRouter(queries) {
+            const responseCache = new CatalogResponseCache({
+                configOverride: { enabled: true, defaultTtlHours: 24, defaultNegativeTtlHours: 6 },
+                queries,
+            });
+            return new CatalogRouter({ config: makeConfig('unknown-type'), responseCache });
+        }
+
+        it('leaves no cache row when an adapter call times out or rejects', async () => {
+            process.env.TMDB_API_KEY = 'test-key';
+            const timingOut = new TmdbAdapter({ lookupTimeoutMs: 5 });
+            timingOut._service = { safeLookup: () => new Promise(() => {}) };
+            const rejecting = makeThrowingAdapter(new Error('TMDB request failed with 503'));
+            const queries = makeCacheQueries();
+            const router = makeRouter(queries);
+            router._adapterFactories = { api1: () => timingOut, api2: () => rejecting };
+
+            await router.lookup({ title: 'Heat' }, 'unknown-type').catch(() => null);
+
+            expect(rejecting.lookup).toHaveBeenCalledTimes(1);
+            expect(queries.set).not.toHaveBeenCalled();
+            expect(queries.rows.size).toBe(0);
+        });
+
+        it('leaves no cache row when Hardcover fails with a soft provider error', async () => {
+            const hardcover = new HardcoverAdapter({ token: 'test-token' });
+            const softError = new Error('Hardcover API failed with status 422');
+            hardcover.client = {
+                isConfigured: () => true,
+                lookupByISBN: jest.fn().mockRejectedValue(softError),
+                lookupByTitleAuthor: jest.fn().mockRejectedValue(softError),
+            };
+            const queries = makeCacheQueries();
+            const router = makeRouter(queries);
+            router._adapterFactories = { api1: () => hardcover, api2: () => makeAdapter([]) };
+
+            await router.lookup(
+                { title: 'The Hobbit', author: 'J.R.R. Tolkien', identifiers: { isbn13: ['9780547928227'] } },
+                'unknown-type',
+            );
+
+            expect(hardcover.client.lookupByISBN).toHaveBeenCalledWith('9780547928227');
+            expect(hardcover.client.lookupByTitleAuthor).toHaveBeenCalledTimes(1);
+            expect([...queries.rows.keys()].some((key) => key.startsWith('api1|'))).toBe(false);
+        });
+
+        it('caches a miss when every Hardcover ISBN attempt was rejected as unknown', async () => {
+            const hardcover = new HardcoverAdapter({ token: 'test-token' });
+            hardcover.client = {
+                isConfigured: () => true,
+                lookupByISBN: jest.fn().mockRejectedValue(new Error('Hardcover API failed with status 404')),
+                lookupByTitleAuthor: jest.fn().mockResolvedValue(null),
+            };
+            const queries = makeCacheQueries();
+            const router = makeRouter(queries);
+            router._adapterFactories = { api1: () => hardcover, api2: () => makeAdapter([]) };
+
+            await expect(router.lookup(
+                { title: 'The Hobbit', author: 'J.R.R. Tolkien', identifiers: { isbn13: ['9780547928227', '9780261102217'] } },
+                'unknown-type',
+            )).resolves.toBeNull();
+
+            expect(hardcover.client.lookupByISBN).toHaveBeenCalledTimes(2);
+            const hardcoverRows = [...queries.rows.entries()].filter(([key]) => key.startsWith('api1|'));
+            expect(hardcoverRows.map(([, row]) => row)).toEqual([{ response: null, isNegative: true }]);
+        });
+
+        it('leaves no cache row when a Hardcover ISBN attempt hits a server error', async () => {
+            const hardcover = new HardcoverAdapter({ token: 'test-token' });
+            hardcover.client = {
+                isConfigured: () => true,
+                lookupByISBN: jest.fn()
+                    .mockRejectedValueOnce(new Error('Hardcover API failed with status 503'))
+                    .mockResolvedValueOnce(null),
+                lookupByTitleAuthor: jest.fn().mockResolvedValue(null),
+            };
+            const queries = makeCacheQueries();
+            const router = makeRouter(queries);
+            router._adapterFactories = { api1: () => hardcover, api2: () => makeAdapter([]) };
+
+            await router.lookup(
+                { title: 'The Hobbit', author: 'J.R.R. Tolkien', identifiers: { isbn13: ['9780547928227', '9780261102217'] } },
+                'unknown-type',
+            );
+
+            expect(hardcover.client.lookupByISBN).toHaveBeenCalledTimes(2);
+            expect([...queries.rows.keys()].some((key) => key.startsWith('api1|'))).toBe(false);
+        });
+
+        it('still caches a genuine "no result" as a negative entry', async () => {
+            const queries = makeCacheQueries();
+            const router = makeRouter(queries);
+            router._adapterFactories = { api1: () => makeAdapter([]), api2: () => makeAdapter([]) };
+
+            await expect(router.lookup({ title: 'Nothing Here' }, 'unknown-type')).resolves.toBeNull();
+
+            expect(queries.set).toHaveBeenCalledTimes(2);
+            expect([...queries.rows.values()]).toEqual([
+                { response: null, isNegative: true },
+                { response: null, isNegative: true },
+            ]);
+        });
+    });
+});
+
+// ---------------------------------------------------------------------------
+// CatalogRouter._lookupMerge
+// ---------------------------------------------------------------------------
+
+describe('CatalogRouter._lookupMerge — field-level merge', () => {
+    const openLibraryBook = {
+        title: 'The Hobbit',
+        primaryCreator: 'J.R.R. Tolkien',
+        fingerprint: 'fp-openlibrary',
+        year: '1937',
+        publishers: ['Allen & Unwin'],
+        description: 'Short.',
+        identifiers: { openlibrary: { work: ['OL1W'] }, isbn13: ['9780261102217'] },
+        images: [{ kind: 'cover', urlLarge: 'https://covers.openlibrary.org/b/id/1-L.jpg' }],
+        coverImageUrl: 'https://covers.openlibrary.org/b/id/1-L.jpg',
+        coverImageSource: 'external',
+        sources: [{ provider: 'openlibrary' }],
+    };
+    const hardcoverBook = {
+        title: 'The Hobbit',
+        primaryCreator: 'J. R. R. Tolkien',
+        fingerprint: 'fp-hardcover',
+        description: 'Bilbo Baggins is a hobbit who enjoys a comfortable, unambitious life, rarely travelling further than his pantry or cellar, until Gandalf arrives.',
+        series: 'Middle-earth',
+        identifiers: { hardcover: { book: ['42'] }, isbn13: ['9780261102217', '9780547928227'] },
+        images: [{ kind: 'cover', urlLarge: 'https://assets.hardcover.app/42.jpg', width: 1000, height: 1500 }],
+        coverImageUrl: 'https://assets.hardcover.app/42.jpg',
+        coverImageSource: null,
+        sources: [{ provider: 'hardcover' }],
+    };
+
+    function makeMergeConfig() {
+        return {
+            books: {
+                mode: 'merge',
+                apis: [
+                    { name: 'openLibrary', enabled: true, priority: 1 },
+                    { name: 'hardcover', enabled: true, priority: 2 },
+                ],
+                merge: {
+                    fields: {
+                        description: { precedence: ['hardcover', 'openLibrary'] },
+                        series: { precedence: ['hardcover', 'openLibrary'] },
+                        cover: { strategy: 'largestImage' },
+                    },
+                },
+            },
+        };
+    }
+
+    it('takes each field from its configured provider and records the choice in sources', async () => {
+        const router = new CatalogRouter({ config: makeMergeConfig() });
+        router._adapterFactories = {
+            openLibrary: () => makeAdapter([openLibraryBook]),
+            hardcover: () => makeAdapter([hardcoverBook]),
+        };
+
+        const result = await router.lookup({ title: 'The Hobbit', author: 'J.R.R. Tolkien' }, 'books');
+
+        expect(result).toEqual(expect.objectContaining({
+            __collectable: true,
+            _source: 'openLibrary',
+            _sources: ['openLibrary', 'hardcover'],
+            title: 'The Hobbit',
+            fingerprint: 'fp-openlibrary',
+            year: '1937',
+            description: hardcoverBook.description,
+            series: 'Middle-earth',
+            coverImageUrl: 'https://assets.hardcover.app/42.jpg',
+            identifiers: {
+                openlibrary: { work: ['OL1W'] },
+                isbn13: ['9780261102217', '9780547928227'],
+                hardcover: { book: ['42'] },
+            },
+        }));
+        const mergeSource = result.sources[result.sources.length - 1];
+        expect(result.sources.slice(0, 2)).toEqual([{ provider: 'openlibrary' }, { provider: 'hardcover' }]);
+        expect(mergeSource).toEqual(expect.objectContaining({
+            provider: 'catalog-merge',
+            providers: ['openLibrary', 'hardcover'],
+            fields: expect.objectContaining({
+                identity: 'openLibrary',
+                description: 'hardcover',
+                series: 'hardcover',
+                cover: 'hardcover',
+                publishers: 'openLibrary',
+                identifiers: ['openLibrary', 'hardcover'],
+            }),
+        }));
+        expect(mergeSource.metadataScore.merged).toBe(result._metadataScore);
+        expect(mergeSource.metadataScore.improvement).toBeGreaterThan(0);
+        expect(result._metadataScore).toBeGreaterThan(Math.max(...Object.values(result._metadataProviderScores)));
+    });
+
+    it('skips a provider whose result does not describe the same work as the identity source', async () => {
+        const router = new CatalogRouter({ config: makeMergeConfig() });
+        router._adapterFactories = {
+            openLibrary: () => makeAdapter([openLibraryBook]),
+            hardcover: () => makeAdapter([{
+                ...hardcoverBook,
+                title: 'The Hobbit',
+                primaryCreator: 'Corey Olsen',
+                fingerprint: 'fp-hardcover-other',
+                identifiers: { hardcover: { book: ['77'] }, isbn13: ['9780470405147'] },
+                images: [{ kind: 'cover', urlLarge: 'https://assets.hardcover.app/77.jpg', width: 1000, height: 1500 }],
+                coverImageUrl: 'https://assets.hardcover.app/77.jpg',
+            }]),
+        };
+
+        // Title-only query: both candidates pass the relevance check.
+        const result = await router.lookup({ title: 'The Hobbit' }, 'books');
+
+        expect(result._sources).toEqual(['openLibrary']);
+        expect(result.description).toBe('Short.');
+        expect(result.coverImageUrl).toBe(openLibraryBook.coverImageUrl);
+        expect(result.identifiers).toEqual({ openlibrary: { work: ['OL1W'] }, isbn13: ['9780261102217'] });
+        expect(result.series).toBeUndefined();
+    });
+
+    it('merges the remaining providers when one fails or is irrelevant', async () => {
+        const router = new CatalogRouter({ config: makeMergeConfig() });
+        router._adapterFactories = {
+            openLibrary: () => makeThrowingAdapter(new Error('socket hang up')),
+            hardcover: () => makeAdapter([hardcoverBook]),
+        };
+
+        const result = await router.lookup({ title: 'The Hobbit', author: 'J.R.R. Tolkien' }, 'books');
+        expect(result._sources).toEqual(['hardcover']);
+        expect(result.fingerprint).toBe('fp-hardcover');
+
+        router._adapterFactories = {
+            openLibrary: () => makeAdapter([{ ...openLibraryBook, title: 'Cookbook', primaryCreator: 'Someone Else' }]),
+            hardcover: () => makeAdapter([null]),
+        };
+        await expect(router.lookup({ title: 'The Hobbit', author: 'J.R.R. Tolkien' }, 'books')).resolves.toBeNull();
+    });
+});
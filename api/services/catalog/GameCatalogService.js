@@ -593,8 +593,28 @@ class GameCatalogService {
     return [];
   }
 
-  buildSearchQuery({ title, developer, limit, offset, platform }) {
+  /**
+   * Look up a game by an external store/catalog id (IGDB external_games.uid),
+   * e.g. an Amazon ASIN or a retailer product code.
+   */
+  async lookupByExternalUids(uids = []) {
+    if (!Array.isArray(uids) || !uids.some((uid) => normalizeString(uid))) return null;
+    const query = this.buildSearchQuery({ externalUids: uids, limit: 1 });
+    const payload = await this.callIgdb('games', query);
+    const game = Array.isArray(payload) ? payload[0] : null;
+    if (!game) return null;
+    return {
+      provider: 'igdb',
+      game,
+      score: null,
+    };
+  }
+
+  buildSearchQuery({ title, developer, limit, offset, platform, externalUids }) {
     const sanitizedTitle = normalizeString(title).replace(/"/g, '\\"');
+    const sanitizedExternalUids = (Array.isArray(externalUids) ? externalUids : [])
+      .map((uid) => normalizeString(uid).replace(/"/g, '\\"'))
+      .filter(Boolean);
     const sanitizedDeveloper = normalizeString(developer).replace(/"/g, '\\"');
     const sanitizedPlatform = normalizeString(platform).replace(/"/g, '\\"');
     const cappedLimit = Math.max(1, Math.min(limit || this.maxResults, 50));
@@ -672,6 +692,10 @@ class GameCatalogService {
       filters.push(`(${platformFilters.join(' | ')})`);
     }
 
+    if (sanitizedExternalUids.length) {
+      filters.push(`external_games.uid = (${sanitizedExternalUids.map((uid) => `"${uid}"`).join(',')})`);
+    }
+
     if (sanitizedDeveloper) {
       const developerFilters = [
         `involved_companies.company.name ~ *"${sanitizedDeveloper}"*`,
@@ -920,6 +944,51 @@ class GameCatalogService {
     return out;
   }
 
+  /**
+   * One edition per platform release (platform + region) from IGDB
+   * release_dates, keeping the earliest date when IGDB repeats an entry.
+   */
+  extractPlatformReleaseEditions(game) {
+    if (!game?.id || !Array.isArray(game.release_dates)) return [];
+    const byKey = new Map();
+    for (const releaseDate of game.release_dates) {
+      const platformName = normalizeString(releaseDate?.platform?.name || releaseDate?.platform?.abbreviation);
+      if (!platformName) continue;
+      const platformKey = releaseDate.platform?.id != null
+        ? String(releaseDate.platform.id)
+        : platformName.toLowerCase();
+      const regionKey = releaseDate.region != null ? String(releaseDate.region) : 'any';
+      const key = `${platformKey}:${regionKey}`;
+      const timestamp = Number.isFinite(Number(releaseDate.date)) ? Number(releaseDate.date) : null;
+      const existing = byKey.get(key);
+      if (existing && (existing.timestamp == null || timestamp == null || existing.timestamp <= timestamp)) {
+        continue;
+      }
+      const regionName = releaseDate.region ? IGDB_REGION_MAP[releaseDate.region] || null : null;
+      byKey.set(key, {
+        timestamp,
+        edition: {
+          provider: 'igdb',
+          id: `${game.id}:${key}`,
+          type: 'platform_release',
+          title: regionName ? `${platformName} (${regionName})` : platformName,
+          labelOrPublisher: [],
+          dateOrYear: timestamp != null
+            ? new Date(timestamp * 1000).toISOString().slice(0, 10)
+            : normalizeString(releaseDate.human) || null,
+          identifiers: releaseDate.platform?.id != null
+            ? { igdbPlatformId: [String(releaseDate.platform.id)] }
+            : {},
+          physical: { format: null },
+          platform: platformName,
+          region: regionName,
+          extras: {},
+        },
+      });
+    }
+    return Array.from(byKey.values()).map((entry) => entry.edition);
+  }
+
   extractReleaseYear(game) {
     if (!game) return null;
     const dates = [];
@@ -1201,7 +1270,7 @@ class GameCatalogService {
         format: normalizeString(item?.format) || 'physical',
         extras: {},
       },
-      editions: [],
+      editions: this.extractPlatformReleaseEditions(game),
       sources: [
         {
           provider: 'igdb',
@@ -340,6 +340,34 @@ class MetadataScorer {
     return this.score(collectable, containerType);
   }
 
+  /**
+   * Scores a merged catalog result alongside the provider results it was built
+   * from, so merge mode can report whether merging improved completeness.
+   *
+   * @param {object} merged - Merged collectable
+   * @param {Array<{ source: string, result: object }>} providerResults
+   * @param {string} containerType
+   * @returns {Promise<{ score: number|null, maxScore: number|null, missing: string[], scoredAt: string,
+   *   providerScores: object, bestProviderScore: number|null, improvement: number|null }>}
+   */
+  async scoreMerge(merged, providerResults, containerType) {
+    const metadata = await this.scoreAsync(merged, containerType);
+    const providerScores = {};
+    let bestProviderScore = null;
+    for (const entry of providerResults || []) {
+      if (!entry?.result) continue;
+      const { score } = await this.scoreAsync(entry.result, containerType);
+      providerScores[entry.source] = score;
+      if (score != null && (bestProviderScore == null || score > bestProviderScore)) {
+        bestProviderScore = score;
+      }
+    }
+    const improvement = metadata.score != null && bestProviderScore != null
+      ? metadata.score - bestProviderScore
+      : null;
+    return { ...metadata, providerScores, bestProviderScore, improvement };
+  }
+
   /**
    * Returns the minScore for the container type, or null if not configured.
    * @param {string} containerType
@@ -475,6 +475,17 @@ class MovieCatalogService {
     return this.fetchJson(url);
   }
 
+  async findByExternalId(externalId, externalSource = 'imdb_id') {
+    const id = normalizeString(externalId);
+    if (!id) return null;
+    const params = new URLSearchParams();
+    params.set('external_source', externalSource);
+    params.set('language', 'en-US');
+
+    const url = `${this.baseUrl.replace(/\/$/, '')}/find/${encodeURIComponent(id)}?${params.toString()}`;
+    return this.fetchJson(url);
+  }
+
   pickBestMatch(results, { title, year, director }) {
     const ranked = this.rankMatches(results, { title, year, director });
     return ranked[0] || null;
@@ -6,20 +6,28 @@
  *
  * Spacing is measured from the *start* of one request to the *start* of the
  * next, so slow responses do not create unnecessary extra gaps.
+ *
+ * Requests enqueued with a `cache` descriptor consult the shared catalog
+ * response cache first; cache hits resolve immediately and never take a slot.
  */
 
+const CACHE_PROVIDER = 'musicbrainz';
+
 class MusicBrainzRequestQueue {
     /**
      * @param {object} [options]
      * @param {number} [options.minIntervalMs=1000] - Minimum ms between request starts.
      * @param {function(number): Promise<void>} [options.delayFn] - Injected delay for testing.
+     * @param {object} [options.responseCache] - CatalogResponseCache instance (defaults to the shared one).
      */
     constructor({
         minIntervalMs = 1000,
         delayFn = (ms) => new Promise((r) => setTimeout(r, ms)),
+        responseCache = null,
     } = {}) {
         this._minIntervalMs = minIntervalMs;
         this._delayFn = delayFn;
+        this._responseCache = responseCache;
 
         /** @type {number|null} Wall-clock time (ms) when the last request started. */
         this._lastRequestTime = null;
@@ -35,9 +43,41 @@ class MusicBrainzRequestQueue {
      * Enqueue an async function for execution.
      *
      * @param {function(): Promise<*>} fn - The async function to execute.
+     * @param {object} [options]
+     * @param {{ operation: string, query: *, isNegative?: function(*): boolean }} [options.cache]
+     *   Serve/store the response through the catalog response cache.
      * @returns {Promise<*>} Resolves/rejects with fn's result.
      */
-    enqueue(fn) {
+    enqueue(fn, options = {}) {
+        if (options.cache) {
+            const { operation, query, isNegative } = options.cache;
+            return this._getResponseCache().wrap(
+                CACHE_PROVIDER,
+                operation,
+                query,
+                () => this._enqueueRequest(fn),
+                { isNegative },
+            );
+        }
+        return this._enqueueRequest(fn);
+    }
+
+    /**
+     * @private
+     */
+    _getResponseCache() {
+        if (!this._responseCache) {
+            const { getCatalogResponseCache } = require('./CatalogResponseCache');
+            this._responseCache = getCatalogResponseCache();
+        }
+        return this._responseCache;
+    }
+
+    /**
+     * Add fn to the rate-limited FIFO.
+     * @private
+     */
+    _enqueueRequest(fn) {
         return new Promise((resolve, reject) => {
             this._queue.push({ fn, resolve, reject });
             this._maybeStart();
@@ -116,6 +116,34 @@ describe('MusicBrainzRequestQueue', () => {
     });
 });
 
+describe('MusicBrainzRequestQueue — response cache', () => {
+    it('resolves cache hits without taking a rate-limited slot', async () => {
+        const delayFn = jest.fn(async () => {});
+        const responseCache = {
+            wrap: jest.fn(async (provider, operation, query, fetchFn) => (
+                query === 'cached-url' ? { count: 1 } : fetchFn()
+            )),
+        };
+        const queue = new MusicBrainzRequestQueue({ minIntervalMs: 1000, delayFn, responseCache });
+        const network = jest.fn(async () => ({ count: 2 }));
+
+        const cached = await queue.enqueue(network, { cache: { operation: 'fetchJson', query: 'cached-url' } });
+        const live = await queue.enqueue(network, { cache: { operation: 'fetchJson', query: 'live-url' } });
+
+        expect(cached).toEqual({ count: 1 });
+        expect(live).toEqual({ count: 2 });
+        expect(network).toHaveBeenCalledTimes(1);
+        expect(delayFn).not.toHaveBeenCalled();
+        expect(responseCache.wrap).toHaveBeenCalledWith(
+            'musicbrainz',
+            'fetchJson',
+            'live-url',
+            expect.any(Function),
+            { isNegative: undefined },
+        );
+    });
+});
+
 describe('getRequestQueue', () => {
     it('returns the same singleton instance on repeated calls', () => {
         const a = getRequestQueue();
@@ -559,6 +559,13 @@ class MusicCatalogService {
       } finally {
         if (timeout) clearTimeout(timeout);
       }
+    }, {
+      cache: {
+        operation: 'fetchJson',
+        query: url,
+        // Empty search pages are cached as "no result" with the shorter TTL.
+        isNegative: (json) => Number(json?.count) === 0,
+      },
     });
   }
 }
@@ -0,0 +1,237 @@
+/**
+ * BoardGameGeekAdapter - Adapter for the BoardGameGeek XML API2
+ *
+ * Resolves a board game by title:
+ *   1. search board games (and expansions) by name and rank them
+ *   2. fetch the best match with `thing?stats=1` for players, play time,
+ *      designers and publishers
+ * BGG requires a registered application token (BGG_API_TOKEN) sent as a
+ * bearer token; without one the adapter reports itself unconfigured.
+ */
+
+const fetch = require('node-fetch');
+const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
+const { bggThingToCollectable, parseBggItems } = require('../../../adapters/boardgamegeek.adapter');
+const { withTimeout } = require('../../../utils/withTimeout');
+const RateLimiter = require('../../../utils/RateLimiter');
+
+const AbortController =
+  (globalThis && globalThis.AbortController) || fetch.AbortController || null;
+
+const DEFAULT_BASE_URL = 'https://boardgamegeek.com/xmlapi2';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_LOOKUP_TIMEOUT_MS = 20000;
+// BGG asks clients to stay around one request every few seconds.
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 20;
+const SEARCH_TYPES = 'boardgame,boardgameexpansion';
+const MAX_RANKED_CANDIDATES = 5;
+const USER_AGENT = 'ShelvesAI/1.0 (+https://shelvesai.com)';
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function normalizeCompare(value) {
+  return normalizeString(value)
+    .toLowerCase()
+    .replace(/^the\s+/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function extractYear(value) {
+  if (!value) return null;
+  const match = String(value).match(/\b(\d{4})\b/);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+function makeDelay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class BoardGameGeekAdapter {
+  constructor(options = {}) {
+    this.name = 'boardGameGeek';
+    this.baseUrl =
+      normalizeString(options.baseUrl || process.env.BGG_BASE_URL) || DEFAULT_BASE_URL;
+    this.apiToken = normalizeString(options.apiToken ?? process.env.BGG_API_TOKEN);
+    this.timeoutMs = Number.isFinite(options.timeoutMs)
+      ? options.timeoutMs
+      : Number.parseInt(process.env.BGG_TIMEOUT_MS || '', 10) || DEFAULT_TIMEOUT_MS;
+    this.retries = Number.isFinite(options.retries)
+      ? options.retries
+      : Number.parseInt(process.env.BGG_RETRIES || '', 10) || DEFAULT_RETRIES;
+    this.lookupTimeoutMs = Number.isFinite(options.lookupTimeoutMs)
+      ? options.lookupTimeoutMs
+      : Number.parseInt(process.env.BGG_LOOKUP_TIMEOUT_MS || '', 10) ||
+        DEFAULT_LOOKUP_TIMEOUT_MS;
+
+    this.fetch = typeof options.fetch === 'function' ? options.fetch : fetch;
+    this.delayFn = typeof options.delayFn === 'function' ? options.delayFn : makeDelay;
+
+    const rateLimit = Number.isFinite(options.rateLimitPerMinute)
+      ? options.rateLimitPerMinute
+      : Number.parseInt(process.env.BGG_RATE_LIMIT_PER_MINUTE || '', 10) ||
+        DEFAULT_RATE_LIMIT_PER_MINUTE;
+    this.limiter = new RateLimiter(Math.max(1, rateLimit), 60);
+  }
+
+  isConfigured() {
+    return Boolean(this.apiToken);
+  }
+
+  async lookup(item, options = {}) {
+    if (!this.isConfigured()) {
+      return null;
+    }
+
+    return withTimeout(
+      () => this._lookupInternal(item, options),
+      this.lookupTimeoutMs,
+      '[BoardGameGeekAdapter] lookup',
+    );
+  }
+
+  async _lookupInternal(item, options = {}) {
+    const title = normalizeString(item?.title || item?.name);
+    if (!title) {
+      return null;
+    }
+    const year = extractYear(item?.year);
+
+    const retries = Number.isFinite(options.retries) ? options.retries : this.retries;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const results = parseBggItems(await this.search(title));
+        const ranked = this.rankResults(results, { title, year });
+        const best = ranked[0] || null;
+        if (!best) return null;
+
+        const things = parseBggItems(await this.fetchThings([best.id]));
+        const thing = things.find((entry) => entry.id === best.id) || null;
+        if (!thing) return null;
+
+        const lwf = makeLightweightFingerprint({
+          ...item,
+          kind: item?.kind || item?.type || 'boardgame',
+        });
+        const collectable = bggThingToCollectable(thing, { lightweightFingerprint: lwf });
+
+        if (collectable) {
+          collectable.provider = 'boardgamegeek';
+          collectable._raw = { search: best, thing };
+        }
+
+        return collectable;
+      } catch (err) {
+        const message = String(err?.message || err);
+        // 202 means BGG queued the request; asking again shortly returns the result.
+        if ((message.includes('429') || message.includes('503') || message.includes('queued')) && attempt < retries) {
+          const backoff = 1000 * Math.pow(2, attempt);
+          await this.delayFn(backoff);
+          continue;
+        }
+        if (message.includes('abort') && attempt < retries) {
+          const backoff = 500 * (attempt + 1);
+          await this.delayFn(backoff);
+          continue;
+        }
+        if (message.includes('404')) {
+          return null;
+        }
+        throw err;
+      }
+    }
+
+    return null;
+  }
+
+  async search(title) {
+    const params = new URLSearchParams();
+    params.set('query', title);
+    params.set('type', SEARCH_TYPES);
+    return this.fetchXml('search', params);
+  }
+
+  async fetchThings(ids = []) {
+    const params = new URLSearchParams();
+    params.set('id', ids.join(','));
+    params.set('stats', '1');
+    return this.fetchXml('thing', params);
+  }
+
+  /**
+   * Rank search hits by title similarity. Base games win ties against
+   * expansions, and a known year prefers the edition published that year.
+   */
+  rankResults(results, { title, year }) {
+    const normalizedTitle = normalizeCompare(title);
+    const candidates = [];
+
+    for (const result of results) {
+      if (!result?.id) continue;
+      const names = [result.name, ...(result.alternateNames || [])].map(normalizeCompare);
+
+      let score = 0;
+      if (names.includes(normalizedTitle)) {
+        score += 60;
+      } else if (names.some((name) => name && (name.includes(normalizedTitle) || normalizedTitle.includes(name)))) {
+        score += 25;
+      } else {
+        continue;
+      }
+
+      if (result.type === 'boardgame') score += 10;
+
+      const resultYear = extractYear(result.yearPublished);
+      if (year && resultYear) {
+        score += Math.max(0, 10 - Math.abs(year - resultYear));
+      }
+
+      candidates.push({ ...result, _score: score });
+    }
+
+    candidates.sort((a, b) => (b._score || 0) - (a._score || 0));
+    return candidates.slice(0, MAX_RANKED_CANDIDATES);
+  }
+
+  async fetchXml(resource, params = new URLSearchParams()) {
+    if (!this.apiToken) {
+      throw new Error('BoardGameGeek API token missing');
+    }
+    const url = `${this.baseUrl.replace(/\/$/, '')}/${resource}?${params.toString()}`;
+
+    const controller = AbortController ? new AbortController() : null;
+    const timeout = controller
+      ? setTimeout(() => controller.abort(), this.timeoutMs)
+      : null;
+    try {
+      const response = await this.limiter.acquire().then(() =>
+        this.fetch(url, {
+          signal: controller ? controller.signal : undefined,
+          headers: {
+            Accept: 'application/xml',
+            Authorization: `Bearer ${this.apiToken}`,
+            'User-Agent': USER_AGENT,
+          },
+        }),
+      );
+
+      if (response.status === 202) {
+        throw new Error('BoardGameGeek request queued with 202');
+      }
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`BoardGameGeek request failed with ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      return response.text();
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = BoardGameGeekAdapter;
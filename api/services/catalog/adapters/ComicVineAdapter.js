@@ -0,0 +1,314 @@
+/**
+ * ComicVineAdapter - Adapter for the Comic Vine API
+ *
+ * Resolves a comic by series (ComicVine "volume") and issue number:
+ *   1. search volumes by series name and rank them
+ *   2. list the matching issue in the best volume
+ *   3. fetch the issue detail for credits
+ * Manga/TPB volumes are catalogued by ComicVine as issues of the series, so a
+ * shelf item identified only by volume number is looked up as that issue.
+ */
+
+const fetch = require('node-fetch');
+const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
+const { comicVineIssueToCollectable } = require('../../../adapters/comicvine.adapter');
+const {
+  normalizeIssueNumber,
+  normalizeVolumeNumber,
+  parseComicTitle,
+} = require('../../collectables/comicNumbering');
+const { withTimeout } = require('../../../utils/withTimeout');
+const RateLimiter = require('../../../utils/RateLimiter');
+
+const AbortController =
+  (globalThis && globalThis.AbortController) || fetch.AbortController || null;
+
+const DEFAULT_BASE_URL = 'https://comicvine.gamespot.com/api';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_LOOKUP_TIMEOUT_MS = 15000;
+// Comic Vine allows 200 requests per resource per hour; stay well under it.
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 30;
+const USER_AGENT = 'ShelvesAI/1.0 (+https://shelvesai.com)';
+const VOLUME_FIELDS = 'id,name,start_year,count_of_issues,publisher,site_detail_url';
+const ISSUE_FIELDS = [
+  'id', 'name', 'issue_number', 'cover_date', 'store_date', 'description', 'deck',
+  'image', 'volume', 'person_credits', 'site_detail_url', 'api_detail_url',
+].join(',');
+
+// Comic Vine reports errors in the body with HTTP 200.
+const STATUS_INVALID_API_KEY = 100;
+const STATUS_OBJECT_NOT_FOUND = 101;
+const STATUS_RATE_LIMITED = 107;
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function normalizeCompare(value) {
+  return normalizeString(value)
+    .toLowerCase()
+    .replace(/^the\s+/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+function extractYear(value) {
+  if (!value) return null;
+  const match = String(value).match(/\b(\d{4})\b/);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+function makeDelay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class ComicVineAdapter {
+  constructor(options = {}) {
+    this.name = 'comicVine';
+    this.baseUrl =
+      normalizeString(options.baseUrl || process.env.COMICVINE_BASE_URL) || DEFAULT_BASE_URL;
+    this.apiKey = normalizeString(options.apiKey || process.env.COMICVINE_API_KEY);
+    this.timeoutMs = Number.isFinite(options.timeoutMs)
+      ? options.timeoutMs
+      : Number.parseInt(process.env.COMICVINE_TIMEOUT_MS || '', 10) || DEFAULT_TIMEOUT_MS;
+    this.retries = Number.isFinite(options.retries)
+      ? options.retries
+      : Number.parseInt(process.env.COMICVINE_RETRIES || '', 10) || DEFAULT_RETRIES;
+    this.lookupTimeoutMs = Number.isFinite(options.lookupTimeoutMs)
+      ? options.lookupTimeoutMs
+      : Number.parseInt(process.env.COMICVINE_LOOKUP_TIMEOUT_MS || '', 10) ||
+        DEFAULT_LOOKUP_TIMEOUT_MS;
+
+    this.fetch = typeof options.fetch === 'function' ? options.fetch : fetch;
+    this.delayFn = typeof options.delayFn === 'function' ? options.delayFn : makeDelay;
+
+    const rateLimit = Number.isFinite(options.rateLimitPerMinute)
+      ? options.rateLimitPerMinute
+      : Number.parseInt(process.env.COMICVINE_RATE_LIMIT_PER_MINUTE || '', 10) ||
+        DEFAULT_RATE_LIMIT_PER_MINUTE;
+    this.limiter = new RateLimiter(Math.max(1, rateLimit), 60);
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async lookup(item, options = {}) {
+    if (!this.isConfigured()) {
+      return null;
+    }
+
+    return withTimeout(
+      () => this._lookupInternal(item, options),
+      this.lookupTimeoutMs,
+      '[ComicVineAdapter] lookup',
+    );
+  }
+
+  async _lookupInternal(item, options = {}) {
+    const parsed = parseComicTitle(item?.title || item?.name);
+    const series = normalizeString(
+      (typeof item?.series === 'object' ? item?.series?.name : item?.series) || parsed.series,
+    );
+    const issueNumber = normalizeIssueNumber(item?.issueNumber) || parsed.issueNumber;
+    const volumeNumber = normalizeVolumeNumber(item?.volumeNumber) || parsed.volumeNumber;
+    const publisher = normalizeString(item?.publisher);
+    const year = extractYear(item?.year);
+
+    if (!series) {
+      return null;
+    }
+
+    const retries = Number.isFinite(options.retries) ? options.retries : this.retries;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const search = await this.searchVolumes(series);
+        const volumes = toArray(search?.results);
+        if (!volumes.length) return null;
+
+        const ranked = this.rankVolumes(volumes, { series, publisher, year });
+        const volume = ranked[0] || null;
+        if (!volume) return null;
+
+        const number = issueNumber
+          || (volumeNumber ? String(volumeNumber) : null)
+          || (Number(volume.count_of_issues) === 1 ? '1' : null);
+        if (!number) return null;
+
+        const issues = await this.listIssues(volume.id, number);
+        const issue = toArray(issues?.results)[0] || null;
+        if (!issue) return null;
+
+        const details = (await this.fetchIssue(issue.id)) || issue;
+
+        const lwf = makeLightweightFingerprint({
+          ...item,
+          kind: item?.kind || item?.type || 'comic',
+        });
+
+        const collectable = comicVineIssueToCollectable(details, {
+          volume,
+          volumeNumber: issueNumber ? null : volumeNumber,
+          lightweightFingerprint: lwf,
+        });
+
+        if (collectable) {
+          collectable.provider = 'comicvine';
+          collectable._raw = {
+            volume,
+            issue: details,
+          };
+        }
+
+        return collectable;
+      } catch (err) {
+        const message = String(err?.message || err);
+        if ((message.includes('429') || message.includes('503')) && attempt < retries) {
+          const backoff = 500 * Math.pow(2, attempt);
+          await this.delayFn(backoff);
+          continue;
+        }
+        if (message.includes('abort') && attempt < retries) {
+          const backoff = 500 * (attempt + 1);
+          await this.delayFn(backoff);
+          continue;
+        }
+        if (message.includes('404')) {
+          return null;
+        }
+        throw err;
+      }
+    }
+
+    return null;
+  }
+
+  async searchVolumes(series) {
+    const params = new URLSearchParams();
+    params.set('query', series);
+    params.set('resources', 'volume');
+    params.set('field_list', VOLUME_FIELDS);
+    params.set('limit', '10');
+    return this.fetchJson('search', params);
+  }
+
+  async listIssues(volumeId, issueNumber) {
+    const params = new URLSearchParams();
+    params.set('filter', `volume:${volumeId},issue_number:${issueNumber}`);
+    params.set('field_list', ISSUE_FIELDS);
+    params.set('limit', '1');
+    return this.fetchJson('issues', params);
+  }
+
+  async fetchIssue(issueId) {
+    if (issueId == null) return null;
+    const params = new URLSearchParams();
+    params.set('field_list', ISSUE_FIELDS);
+    try {
+      const json = await this.fetchJson(`issue/4000-${encodeURIComponent(issueId)}`, params);
+      return json?.results && typeof json.results === 'object' ? json.results : null;
+    } catch (err) {
+      if (String(err?.message || err).includes('404')) return null;
+      throw err;
+    }
+  }
+
+  rankVolumes(volumes, { series, publisher, year }) {
+    const normalizedSeries = normalizeCompare(series);
+    const normalizedPublisher = normalizeCompare(publisher);
+    const candidates = [];
+
+    for (const volume of volumes) {
+      if (!volume || volume.id == null) continue;
+      const candidateName = normalizeCompare(volume.name);
+
+      let score = 0;
+      if (candidateName === normalizedSeries) {
+        score += 60;
+      } else if (
+        candidateName.includes(normalizedSeries) ||
+        normalizedSeries.includes(candidateName)
+      ) {
+        score += 25;
+      } else {
+        continue;
+      }
+
+      if (normalizedPublisher) {
+        const candidatePublisher = normalizeCompare(volume.publisher?.name);
+        if (candidatePublisher && candidatePublisher === normalizedPublisher) score += 20;
+      }
+
+      const startYear = extractYear(volume.start_year);
+      if (year && startYear && startYear <= year) {
+        score += Math.max(0, 10 - (year - startYear));
+      }
+
+      // Prefer long-running volumes over one-shots with the same name.
+      const issueCount = Number(volume.count_of_issues) || 0;
+      score += Math.min(10, Math.floor(issueCount / 10));
+
+      candidates.push({ ...volume, _score: score });
+    }
+
+    candidates.sort((a, b) => (b._score || 0) - (a._score || 0));
+    return candidates;
+  }
+
+  async fetchJson(resource, params = new URLSearchParams()) {
+    if (!this.apiKey) {
+      throw new Error('Comic Vine API key missing');
+    }
+    params.set('api_key', this.apiKey);
+    params.set('format', 'json');
+    const url = `${this.baseUrl.replace(/\/$/, '')}/${resource}/?${params.toString()}`;
+
+    const controller = AbortController ? new AbortController() : null;
+    const timeout = controller
+      ? setTimeout(() => controller.abort(), this.timeoutMs)
+      : null;
+    try {
+      const response = await this.limiter.acquire().then(() =>
+        this.fetch(url, {
+          signal: controller ? controller.signal : undefined,
+          headers: {
+            Accept: 'application/json',
+            'User-Agent': USER_AGENT,
+          },
+        }),
+      );
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Comic Vine request failed with ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      const json = await response.json();
+      const statusCode = Number(json?.status_code);
+      if (statusCode === STATUS_OBJECT_NOT_FOUND) {
+        throw new Error('Comic Vine request failed with 404: object not found');
+      }
+      if (statusCode === STATUS_RATE_LIMITED) {
+        throw new Error('Comic Vine request failed with 429: rate limit exceeded');
+      }
+      if (statusCode === STATUS_INVALID_API_KEY) {
+        throw new Error('Comic Vine request failed with 401: invalid API key');
+      }
+      if (Number.isFinite(statusCode) && statusCode !== 1) {
+        throw new Error(`Comic Vine error ${statusCode}: ${normalizeString(json?.error)}`);
+      }
+      return json;
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = ComicVineAdapter;
@@ -1,8 +1,12 @@
 const fetch = require('node-fetch');
 const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
-const { discogsToCollectable } = require('../../../adapters/discogs.adapter');
+const {
+  discogsToCollectable,
+  discogsVersionToEdition,
+} = require('../../../adapters/discogs.adapter');
 const { withTimeout } = require('../../../utils/withTimeout');
 const RateLimiter = require('../../../utils/RateLimiter');
+const { BARCODE_TYPES, isIsbnType } = require('../barcodeUtils');
 
 const AbortController =
   (globalThis && globalThis.AbortController) || fetch.AbortController || null;
@@ -12,6 +16,7 @@ const DEFAULT_TIMEOUT_MS = 10000;
 const DEFAULT_RETRIES = 2;
 const DEFAULT_LOOKUP_TIMEOUT_MS = 15000;
 const DEFAULT_RATE_LIMIT_PER_MINUTE = 55;
+const MAX_VERSIONS_PER_PAGE = 100;
 const USER_AGENT = 'ShelvesAI/1.0 (+https://shelvesai.com)';
 
 function normalizeString(value) {
@@ -174,6 +179,92 @@ class DiscogsAdapter {
     return null;
   }
 
+  /**
+   * Barcode lookup via Discogs release search (`barcode=`).
+   * @param {object} barcode - Result of barcodeUtils.classifyBarcode
+   * @returns {Promise<object|null>} Collectable-shaped result or null
+   */
+  async lookupByIdentifier(barcode) {
+    if (!this.isConfigured()) return null;
+    if (!barcode?.code || barcode.type === BARCODE_TYPES.IMDB || isIsbnType(barcode.type)) {
+      return null;
+    }
+
+    return withTimeout(
+      () => this._lookupByBarcodeInternal(barcode),
+      this.lookupTimeoutMs,
+      '[DiscogsAdapter] lookupByIdentifier',
+    );
+  }
+
+  async _lookupByBarcodeInternal(barcode) {
+    let results = [];
+    try {
+      const response = await this.searchByBarcode(barcode.code);
+      results = Array.isArray(response?.results) ? response.results : [];
+    } catch (err) {
+      if (String(err?.message || err).includes('404')) return null;
+      throw err;
+    }
+    const best = results[0] || null;
+    if (!best) return null;
+
+    const details = await this.fetchDetails(best);
+    if (!details) return null;
+
+    const collectable = discogsToCollectable(details, {
+      sourceUrl: normalizeString(best.uri),
+      resultMeta: {
+        masterId: best.type === 'master' ? best.id : best.master_id,
+        releaseId: best.type === 'release' ? best.id : null,
+      },
+    });
+
+    if (collectable) {
+      collectable.provider = 'discogs';
+      collectable._raw = {
+        searchResult: best,
+        details,
+      };
+    }
+
+    return collectable;
+  }
+
+  /**
+   * Every release (pressing) under the collectable's Discogs master.
+   * Collectables matched to a bare release with no master return [].
+   * @param {object} collectable - Stored collectable (needs identifiers.discogs.master)
+   * @returns {Promise<Array<object>>} Edition objects
+   */
+  async listEditions(collectable) {
+    if (!this.isConfigured()) return [];
+    const masterId = collectable?.identifiers?.discogs?.master?.[0];
+    if (!masterId) return [];
+
+    const params = new URLSearchParams();
+    params.set('per_page', String(MAX_VERSIONS_PER_PAGE));
+    params.set('sort', 'released');
+    const url = `${this.baseUrl.replace(/\/$/, '')}/masters/${encodeURIComponent(masterId)}/versions?${params.toString()}`;
+    try {
+      const json = await this.fetchJson(url);
+      return toArray(json?.versions).map(discogsVersionToEdition).filter(Boolean);
+    } catch (err) {
+      if (String(err?.message || err).includes('404')) return [];
+      throw err;
+    }
+  }
+
+  async searchByBarcode(code) {
+    const params = new URLSearchParams();
+    params.set('barcode', code);
+    params.set('type', 'release');
+    params.set('per_page', '5');
+
+    const url = `${this.baseUrl.replace(/\/$/, '')}/database/search?${params.toString()}`;
+    return this.fetchJson(url);
+  }
+
   async search({ title, artist, year, type = 'master' }) {
     const params = new URLSearchParams();
     params.set('q', title);
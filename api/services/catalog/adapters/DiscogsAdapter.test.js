@@ -78,4 +78,44 @@ describe('DiscogsAdapter', () => {
     expect(result._raw).toBeTruthy();
     expect(fetchMock).toHaveBeenCalledTimes(2);
   });
+
+  it('looks up releases by barcode and ignores ISBNs', async () => {
+    const fetchMock = jest
+      .fn()
+      .mockResolvedValueOnce(
+        makeResponse(200, {
+          results: [{ id: 222, type: 'release', master_id: 111, uri: 'https://www.discogs.com/release/222' }],
+        }),
+      )
+      .mockResolvedValueOnce(
+        makeResponse(200, {
+          id: 222,
+          title: 'Kind of Blue',
+          year: 1997,
+          artists: [{ name: 'Miles Davis' }],
+          identifiers: [{ type: 'Barcode', value: '0 7464-64935-2 4' }],
+        }),
+      );
+    const adapter = new DiscogsAdapter({
+      userToken: 'token-123',
+      fetch: fetchMock,
+      lookupTimeoutMs: 2000,
+      rateLimitPerMinute: 100,
+    });
+
+    const result = await adapter.lookupByIdentifier({
+      code: '074646493524',
+      type: 'upc',
+      identifiers: { barcode: ['074646493524', '0074646493524'] },
+    });
+
+    expect(fetchMock.mock.calls[0][0]).toContain('/database/search?barcode=074646493524&type=release');
+    expect(result.provider).toBe('discogs');
+    expect(result.title).toBe('Kind of Blue');
+    expect(result.identifiers.discogs.release).toEqual(['222']);
+
+    await expect(adapter.lookupByIdentifier({ code: '9780441013593', type: 'isbn13', identifiers: {} }))
+      .resolves.toBeNull();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
 });
@@ -9,6 +9,7 @@ const { hardcoverToCollectable } = require('../../../adapters/hardcover.adapter'
 const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
 const { isHardProviderError } = require('../providerErrorUtils');
 const logger = require('../../../logger');
+const { isIsbnType } = require('../barcodeUtils');
 
 function normalizeString(value) {
     if (value == null) return '';
@@ -57,6 +58,11 @@ class HardcoverAdapter {
             .map(code => normalizeString(code))
             .filter(Boolean);
 
+        // Transport and 5xx failures are rethrown rather than reported as "no
+        // result", so the router sees the outage and the response cache does not
+        // store a miss. Other ISBN errors (bad or unknown ISBN) count as misses.
+        let lastError = null;
+
         // Try ISBN lookup first (fastest path to authoritative data)
         for (const isbn of isbnCandidates) {
             try {
@@ -67,7 +73,7 @@ class HardcoverAdapter {
             } catch (err) {
                 logger.warn(`[HardcoverAdapter] ISBN lookup failed for ${isbn}:`, err.message);
                 if (isHardProviderError(err)) {
-                    throw err;
+                    lastError = err;
                 }
                 // Continue to next ISBN
             }
@@ -86,12 +92,13 @@ class HardcoverAdapter {
                 }
             } catch (err) {
                 logger.warn('[HardcoverAdapter] Title/author lookup failed:', err.message);
-                if (isHardProviderError(err)) {
-                    throw err;
-                }
+                throw err;
             }
         }
 
+        if (lastError) {
+            throw lastError;
+        }
         return null;
     }
 
@@ -108,13 +115,21 @@ class HardcoverAdapter {
             }
         } catch (err) {
             logger.warn('[HardcoverAdapter] lookupByIsbn failed:', err.message);
-            if (isHardProviderError(err)) {
-                throw err;
-            }
+            throw err;
         }
         return null;
     }
 
+    /**
+     * Scanned-code lookup; only ISBNs resolve here.
+     * @param {object} barcode - Result of barcodeUtils.classifyBarcode
+     */
+    async lookupByIdentifier(barcode) {
+        if (!isIsbnType(barcode?.type)) return null;
+        const isbn = barcode.identifiers?.isbn13?.[0] || barcode.identifiers?.isbn10?.[0];
+        return isbn ? this.lookupByIsbn(isbn) : null;
+    }
+
     /**
      * Title/author specific lookup
      */
@@ -128,9 +143,7 @@ class HardcoverAdapter {
             }
         } catch (err) {
             logger.warn('[HardcoverAdapter] lookupByTitleAuthor failed:', err.message);
-            if (isHardProviderError(err)) {
-                throw err;
-            }
+            throw err;
         }
         return null;
     }
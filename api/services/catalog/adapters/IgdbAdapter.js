@@ -6,6 +6,8 @@
 
 const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
 const { withTimeout } = require('../../../utils/withTimeout');
+const logger = require('../../../logger');
+const { BARCODE_TYPES } = require('../barcodeUtils');
 
 const DEFAULT_LOOKUP_TIMEOUT_MS = 10000;
 
@@ -30,7 +32,6 @@ class IgdbAdapter {
     _getService() {
         if (!this._service) {
             const { GameCatalogService } = require('../GameCatalogService');
-const logger = require('../../../logger');
             this._service = new GameCatalogService(this._serviceOptions);
         }
         return this._service;
@@ -75,6 +76,42 @@ const logger = require('../../../logger');
             }
         } catch (err) {
             logger.warn('[IgdbAdapter] lookup failed:', err.message);
+            throw err;
+        }
+
+        return null;
+    }
+
+    /**
+     * External-id lookup against IGDB external_games (store ids such as ASINs).
+     * @param {object} barcode - Result of barcodeUtils.classifyBarcode
+     * @returns {Promise<object|null>} Collectable-shaped result or null
+     */
+    async lookupByIdentifier(barcode) {
+        if (!this.isConfigured() || !barcode?.code || barcode.type === BARCODE_TYPES.IMDB) {
+            return null;
+        }
+
+        const service = this._getService();
+        const uids = [
+            barcode.code,
+            ...(barcode.identifiers?.barcode || []),
+            ...(barcode.identifiers?.isbn10 || []),
+        ];
+
+        try {
+            const result = await withTimeout(
+                () => service.lookupByExternalUids([...new Set(uids)]),
+                this.lookupTimeoutMs,
+                '[IgdbAdapter] lookupByIdentifier',
+            );
+
+            if (result && result.game) {
+                return this._toCollectable(result, { identifiers: barcode.identifiers });
+            }
+        } catch (err) {
+            logger.warn('[IgdbAdapter] lookupByIdentifier failed:', err.message);
+            throw err;
         }
 
         return null;
@@ -72,6 +72,7 @@ const logger = require('../../../logger');
       }
     } catch (err) {
       logger.warn('[MusicBrainzAdapter] lookup failed:', err.message);
+      throw err;
     }
 
     return null;
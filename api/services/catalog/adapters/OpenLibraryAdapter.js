@@ -7,12 +7,17 @@
 const {
     lookupWorkBookMetadata,
     lookupWorkByISBN,
+    fetchWorkEditions,
     toCollectionDoc
 } = require('../../openLibrary');
-const { openLibraryToCollectable } = require('../../../adapters/openlibrary.adapter');
+const {
+    openLibraryToCollectable,
+    openLibraryEditionToEdition,
+} = require('../../../adapters/openlibrary.adapter');
 const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
 const { isHardProviderError } = require('../providerErrorUtils');
 const logger = require('../../../logger');
+const { isIsbnType } = require('../barcodeUtils');
 
 function normalizeString(value) {
     if (value == null) return '';
@@ -62,6 +67,8 @@ class OpenLibraryAdapter {
                 // Check for 404 (not found) vs other errors
                 if (!String(err?.message).includes('404')) {
                     logger.warn(`[OpenLibraryAdapter] ISBN lookup failed for ${isbn}:`, err.message);
+                    // Transport and 5xx failures must not be cached as a miss;
+                    // anything else counts as "not found" for this ISBN.
                     if (isHardProviderError(err)) {
                         throw err;
                     }
@@ -79,9 +86,7 @@ class OpenLibraryAdapter {
                 }
             } catch (err) {
                 logger.warn('[OpenLibraryAdapter] Title/author lookup failed:', err.message);
-                if (isHardProviderError(err)) {
-                    throw err;
-                }
+                throw err;
             }
         }
 
@@ -100,14 +105,22 @@ class OpenLibraryAdapter {
         } catch (err) {
             if (!String(err?.message).includes('404')) {
                 logger.warn('[OpenLibraryAdapter] lookupByIsbn failed:', err.message);
-                if (isHardProviderError(err)) {
-                    throw err;
-                }
+                throw err;
             }
         }
         return null;
     }
 
+    /**
+     * Scanned-code lookup; only ISBNs resolve here.
+     * @param {object} barcode - Result of barcodeUtils.classifyBarcode
+     */
+    async lookupByIdentifier(barcode) {
+        if (!isIsbnType(barcode?.type)) return null;
+        const isbn = barcode.identifiers?.isbn13?.[0] || barcode.identifiers?.isbn10?.[0];
+        return isbn ? this.lookupByIsbn(isbn) : null;
+    }
+
     /**
      * Title/author specific lookup
      */
@@ -119,13 +132,30 @@ class OpenLibraryAdapter {
             }
         } catch (err) {
             logger.warn('[OpenLibraryAdapter] lookupByTitleAuthor failed:', err.message);
-            if (isHardProviderError(err)) {
-                throw err;
-            }
+            throw err;
         }
         return null;
     }
 
+    /**
+     * Every edition of the collectable's work.
+     * @param {object} collectable - Stored collectable (needs identifiers.openlibrary.work)
+     * @returns {Promise<Array<object>>} Edition objects (see services/collectables/editions.js)
+     */
+    async listEditions(collectable) {
+        const workId = collectable?.identifiers?.openlibrary?.work?.[0];
+        if (!workId) return [];
+        try {
+            const editions = await fetchWorkEditions(workId);
+            return editions.map((edition) => openLibraryEditionToEdition(edition, {
+                fallbackTitle: collectable.title || null,
+            }));
+        } catch (err) {
+            logger.warn('[OpenLibraryAdapter] listEditions failed:', err.message);
+            throw err;
+        }
+    }
+
     /**
      * Normalize OpenLibrary result to standard collectable format
      */
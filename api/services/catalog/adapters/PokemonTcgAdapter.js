@@ -0,0 +1,209 @@
+/**
+ * PokemonTcgAdapter - Adapter for the Pokémon TCG API (v2)
+ *
+ * Searches cards by exact name, narrowed by collector number when known,
+ * and ranks hits by set code/name. An API key (POKEMONTCG_API_KEY) is
+ * optional; it only raises the rate limit, so the adapter is always
+ * configured.
+ */
+
+const fetch = require('node-fetch');
+const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
+const { pokemonTcgCardToCollectable } = require('../../../adapters/pokemontcg.adapter');
+const {
+  normalizeCardGame,
+  normalizeCollectorNumber,
+  normalizeSetCode,
+} = require('../../collectables/tabletopFields');
+const { withTimeout } = require('../../../utils/withTimeout');
+
+const AbortController =
+  (globalThis && globalThis.AbortController) || fetch.AbortController || null;
+
+const DEFAULT_BASE_URL = 'https://api.pokemontcg.io/v2';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_LOOKUP_TIMEOUT_MS = 20000;
+const PAGE_SIZE = 20;
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function normalizeCompare(value) {
+  return normalizeString(value)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Lucene-style query values need quotes and backslash escapes.
+function quoteQueryValue(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Printed numbers look like "4/102"; the API stores only "4".
+function printedNumber(value) {
+  const normalized = normalizeCollectorNumber(value);
+  return normalized ? normalized.split('/')[0] : null;
+}
+
+function makeDelay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class PokemonTcgAdapter {
+  constructor(options = {}) {
+    this.name = 'pokemonTcg';
+    this.baseUrl =
+      normalizeString(options.baseUrl || process.env.POKEMONTCG_BASE_URL) || DEFAULT_BASE_URL;
+    this.apiKey = normalizeString(options.apiKey ?? process.env.POKEMONTCG_API_KEY);
+    this.timeoutMs = Number.isFinite(options.timeoutMs)
+      ? options.timeoutMs
+      : Number.parseInt(process.env.POKEMONTCG_TIMEOUT_MS || '', 10) || DEFAULT_TIMEOUT_MS;
+    this.retries = Number.isFinite(options.retries)
+      ? options.retries
+      : Number.parseInt(process.env.POKEMONTCG_RETRIES || '', 10) || DEFAULT_RETRIES;
+    this.lookupTimeoutMs = Number.isFinite(options.lookupTimeoutMs)
+      ? options.lookupTimeoutMs
+      : Number.parseInt(process.env.POKEMONTCG_LOOKUP_TIMEOUT_MS || '', 10) ||
+        DEFAULT_LOOKUP_TIMEOUT_MS;
+
+    this.fetch = typeof options.fetch === 'function' ? options.fetch : fetch;
+    this.delayFn = typeof options.delayFn === 'function' ? options.delayFn : makeDelay;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async lookup(item, options = {}) {
+    return withTimeout(
+      () => this._lookupInternal(item, options),
+      this.lookupTimeoutMs,
+      '[PokemonTcgAdapter] lookup',
+    );
+  }
+
+  async _lookupInternal(item, options = {}) {
+    const cardGame = normalizeCardGame(item?.cardGame || item?.card_game);
+    if (cardGame && cardGame !== 'pokemon') {
+      return null;
+    }
+    const title = normalizeString(item?.title || item?.name);
+    if (!title) {
+      return null;
+    }
+    const setCode = normalizeSetCode(item?.setCode || item?.set_code);
+    const setName = normalizeString(item?.setName || item?.set_name);
+    const number = printedNumber(item?.collectorNumber || item?.collector_number);
+
+    const retries = Number.isFinite(options.retries) ? options.retries : this.retries;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        let cards = await this.searchCards(title, number);
+        if (!cards.length && number) {
+          cards = await this.searchCards(title, null);
+        }
+        const best = this.rankResults(cards, { title, setCode, setName, number })[0] || null;
+        if (!best) return null;
+
+        const lwf = makeLightweightFingerprint({
+          ...item,
+          kind: item?.kind || item?.type || 'card',
+        });
+        const collectable = pokemonTcgCardToCollectable(best, { lightweightFingerprint: lwf });
+
+        if (collectable) {
+          collectable.provider = 'pokemontcg';
+          collectable._raw = best;
+        }
+
+        return collectable;
+      } catch (err) {
+        const message = String(err?.message || err);
+        if ((message.includes('429') || message.includes('503')) && attempt < retries) {
+          const backoff = 1000 * Math.pow(2, attempt);
+          await this.delayFn(backoff);
+          continue;
+        }
+        if (message.includes('abort') && attempt < retries) {
+          const backoff = 500 * (attempt + 1);
+          await this.delayFn(backoff);
+          continue;
+        }
+        if (message.includes('404')) {
+          return null;
+        }
+        throw err;
+      }
+    }
+
+    return null;
+  }
+
+  async searchCards(title, number = null) {
+    const clauses = [`name:${quoteQueryValue(title)}`];
+    if (number) clauses.push(`number:${quoteQueryValue(number)}`);
+    const params = new URLSearchParams();
+    params.set('q', clauses.join(' '));
+    params.set('pageSize', String(PAGE_SIZE));
+    params.set('orderBy', '-set.releaseDate');
+    const json = await this.fetchJson('cards', params);
+    return Array.isArray(json?.data) ? json.data : [];
+  }
+
+  /**
+   * Rank cards returned for a name search. The set code (PTCGO code or API
+   * set id) and set name narrow reprints; otherwise the newest printing wins
+   * because results are ordered by release date.
+   */
+  rankResults(cards, { title, setCode, setName, number }) {
+    const normalizedTitle = normalizeCompare(title);
+    const normalizedSetName = normalizeCompare(setName);
+
+    return cards
+      .filter((card) => card?.id && normalizeCompare(card.name) === normalizedTitle)
+      .map((card, index) => {
+        let score = 0;
+        const cardSetCodes = [card.set?.ptcgoCode, card.set?.id].map(normalizeSetCode).filter(Boolean);
+        if (setCode && cardSetCodes.includes(setCode)) score += 40;
+        if (normalizedSetName && normalizeCompare(card.set?.name) === normalizedSetName) score += 20;
+        if (number && printedNumber(card.number) === number) score += 20;
+        return { card, score, index };
+      })
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+      .map((entry) => entry.card);
+  }
+
+  async fetchJson(path, params = new URLSearchParams()) {
+    const url = `${this.baseUrl.replace(/\/$/, '')}/${path}?${params.toString()}`;
+    const headers = { Accept: 'application/json' };
+    if (this.apiKey) headers['X-Api-Key'] = this.apiKey;
+
+    const controller = AbortController ? new AbortController() : null;
+    const timeout = controller
+      ? setTimeout(() => controller.abort(), this.timeoutMs)
+      : null;
+    try {
+      const response = await this.fetch(url, {
+        signal: controller ? controller.signal : undefined,
+        headers,
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Pokemon TCG request failed with ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      return response.json();
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = PokemonTcgAdapter;
@@ -0,0 +1,187 @@
+/**
+ * ScryfallAdapter - Adapter for Magic: The Gathering cards via Scryfall
+ *
+ * Resolves one printing of a card:
+ *   - set code + collector number known: `/cards/:set/:number`
+ *   - otherwise: `/cards/named?fuzzy=` (narrowed by `set` when known)
+ * Scryfall needs no key but asks for a descriptive User-Agent and at most
+ * ~10 requests per second.
+ */
+
+const fetch = require('node-fetch');
+const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
+const { scryfallCardToCollectable } = require('../../../adapters/scryfall.adapter');
+const {
+  normalizeCardGame,
+  normalizeCollectorNumber,
+  normalizeSetCode,
+} = require('../../collectables/tabletopFields');
+const { withTimeout } = require('../../../utils/withTimeout');
+const RateLimiter = require('../../../utils/RateLimiter');
+
+const AbortController =
+  (globalThis && globalThis.AbortController) || fetch.AbortController || null;
+
+const DEFAULT_BASE_URL = 'https://api.scryfall.com';
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_LOOKUP_TIMEOUT_MS = 15000;
+const DEFAULT_RATE_LIMIT_PER_SECOND = 10;
+const USER_AGENT = 'ShelvesAI/1.0 (+https://shelvesai.com)';
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function makeDelay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class ScryfallAdapter {
+  constructor(options = {}) {
+    this.name = 'scryfall';
+    this.baseUrl =
+      normalizeString(options.baseUrl || process.env.SCRYFALL_BASE_URL) || DEFAULT_BASE_URL;
+    this.timeoutMs = Number.isFinite(options.timeoutMs)
+      ? options.timeoutMs
+      : Number.parseInt(process.env.SCRYFALL_TIMEOUT_MS || '', 10) || DEFAULT_TIMEOUT_MS;
+    this.retries = Number.isFinite(options.retries)
+      ? options.retries
+      : Number.parseInt(process.env.SCRYFALL_RETRIES || '', 10) || DEFAULT_RETRIES;
+    this.lookupTimeoutMs = Number.isFinite(options.lookupTimeoutMs)
+      ? options.lookupTimeoutMs
+      : Number.parseInt(process.env.SCRYFALL_LOOKUP_TIMEOUT_MS || '', 10) ||
+        DEFAULT_LOOKUP_TIMEOUT_MS;
+
+    this.fetch = typeof options.fetch === 'function' ? options.fetch : fetch;
+    this.delayFn = typeof options.delayFn === 'function' ? options.delayFn : makeDelay;
+
+    const rateLimit = Number.isFinite(options.rateLimitPerSecond)
+      ? options.rateLimitPerSecond
+      : DEFAULT_RATE_LIMIT_PER_SECOND;
+    this.limiter = new RateLimiter(Math.max(1, rateLimit), 1);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async lookup(item, options = {}) {
+    return withTimeout(
+      () => this._lookupInternal(item, options),
+      this.lookupTimeoutMs,
+      '[ScryfallAdapter] lookup',
+    );
+  }
+
+  async _lookupInternal(item, options = {}) {
+    const cardGame = normalizeCardGame(item?.cardGame || item?.card_game);
+    if (cardGame && cardGame !== 'mtg') {
+      return null;
+    }
+    const title = normalizeString(item?.title || item?.name);
+    const setCode = normalizeSetCode(item?.setCode || item?.set_code);
+    const collectorNumber = normalizeCollectorNumber(item?.collectorNumber || item?.collector_number);
+    if (!title && !(setCode && collectorNumber)) {
+      return null;
+    }
+
+    const retries = Number.isFinite(options.retries) ? options.retries : this.retries;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        let card = null;
+        if (setCode && collectorNumber) {
+          card = await this.fetchPrinting(setCode, collectorNumber);
+        }
+        if (!card && title) {
+          card = await this.fetchNamed(title, setCode);
+        }
+        if (!card) return null;
+
+        const lwf = makeLightweightFingerprint({
+          ...item,
+          kind: item?.kind || item?.type || 'card',
+        });
+        const collectable = scryfallCardToCollectable(card, { lightweightFingerprint: lwf });
+
+        if (collectable) {
+          collectable.provider = 'scryfall';
+          collectable._raw = card;
+        }
+
+        return collectable;
+      } catch (err) {
+        const message = String(err?.message || err);
+        if ((message.includes('429') || message.includes('503')) && attempt < retries) {
+          const backoff = 1000 * Math.pow(2, attempt);
+          await this.delayFn(backoff);
+          continue;
+        }
+        if (message.includes('abort') && attempt < retries) {
+          const backoff = 500 * (attempt + 1);
+          await this.delayFn(backoff);
+          continue;
+        }
+        throw err;
+      }
+    }
+
+    return null;
+  }
+
+  async fetchPrinting(setCode, collectorNumber) {
+    const path = `cards/${encodeURIComponent(setCode.toLowerCase())}/${encodeURIComponent(collectorNumber)}`;
+    return this.fetchJson(path);
+  }
+
+  async fetchNamed(title, setCode = null) {
+    const params = new URLSearchParams();
+    params.set('fuzzy', title);
+    if (setCode) params.set('set', setCode.toLowerCase());
+    const card = await this.fetchJson('cards/named', params);
+    if (card || !setCode) return card;
+    // A misread set code should not hide the card itself.
+    params.delete('set');
+    return this.fetchJson('cards/named', params);
+  }
+
+  /**
+   * @returns {Promise<object|null>} Parsed JSON, or null on 404
+   */
+  async fetchJson(path, params = null) {
+    const query = params ? `?${params.toString()}` : '';
+    const url = `${this.baseUrl.replace(/\/$/, '')}/${path}${query}`;
+
+    const controller = AbortController ? new AbortController() : null;
+    const timeout = controller
+      ? setTimeout(() => controller.abort(), this.timeoutMs)
+      : null;
+    try {
+      const response = await this.limiter.acquire().then(() =>
+        this.fetch(url, {
+          signal: controller ? controller.signal : undefined,
+          headers: {
+            Accept: 'application/json',
+            'User-Agent': USER_AGENT,
+          },
+        }),
+      );
+
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Scryfall request failed with ${response.status}: ${text.slice(0, 200)}`);
+      }
+
+      const json = await response.json();
+      return json && json.object === 'card' ? json : null;
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = ScryfallAdapter;
@@ -7,6 +7,8 @@
 const { makeLightweightFingerprint } = require('../../collectables/fingerprint');
 const { tmdbMovieToCollectable } = require('../../../adapters/tmdb.adapter');
 const { withTimeout } = require('../../../utils/withTimeout');
+const logger = require('../../../logger');
+const { BARCODE_TYPES } = require('../barcodeUtils');
 
 const DEFAULT_LOOKUP_TIMEOUT_MS = 10000;
 
@@ -37,7 +39,6 @@ class TmdbAdapter {
     _getService() {
         if (!this._service) {
             const { MovieCatalogService } = require('../MovieCatalogService');
-const logger = require('../../../logger');
             this._service = new MovieCatalogService(this._serviceOptions);
         }
         return this._service;
@@ -81,6 +82,45 @@ const logger = require('../../../logger');
             }
         } catch (err) {
             logger.warn('[TmdbAdapter] lookup failed:', err.message);
+            throw err;
+        }
+
+        return null;
+    }
+
+    /**
+     * External-id lookup via TMDB /find. Only IMDb ids resolve; TMDB has no
+     * UPC/EAN index, so retail barcodes are left to the local identifier match.
+     * @param {object} barcode - Result of barcodeUtils.classifyBarcode
+     * @returns {Promise<object|null>} Collectable-shaped result or null
+     */
+    async lookupByIdentifier(barcode) {
+        if (!this.isConfigured() || barcode?.type !== BARCODE_TYPES.IMDB) {
+            return null;
+        }
+
+        const service = this._getService();
+        try {
+            const details = await withTimeout(
+                async () => {
+                    const found = await service.findByExternalId(barcode.code, 'imdb_id');
+                    const match = Array.isArray(found?.movie_results) ? found.movie_results[0] : null;
+                    if (!match?.id) return null;
+                    return service.fetchMovieDetails(match.id);
+                },
+                this.lookupTimeoutMs,
+                '[TmdbAdapter] lookupByIdentifier',
+            );
+
+            if (details) {
+                return this._toCollectable(
+                    { provider: 'tmdb', movie: details, score: null },
+                    { identifiers: barcode.identifiers },
+                );
+            }
+        } catch (err) {
+            logger.warn('[TmdbAdapter] lookupByIdentifier failed:', err.message);
+            throw err;
         }
 
         return null;
@@ -65,6 +65,7 @@ const logger = require('../../../logger');
             }
         } catch (err) {
             logger.warn('[TmdbTvAdapter] lookup failed:', err.message);
+            throw err;
         }
 
         return null;
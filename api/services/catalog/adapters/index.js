@@ -10,6 +10,11 @@ const IgdbAdapter = require('./IgdbAdapter');
 const TmdbAdapter = require('./TmdbAdapter');
 const TmdbTvAdapter = require('./TmdbTvAdapter');
 const MusicBrainzAdapter = require('./MusicBrainzAdapter');
+const ComicVineAdapter = require('./ComicVineAdapter');
+const ComicFixtureAdapter = require('./ComicFixtureAdapter');
+const BoardGameGeekAdapter = require('./BoardGameGeekAdapter');
+const ScryfallAdapter = require('./ScryfallAdapter');
+const PokemonTcgAdapter = require('./PokemonTcgAdapter');
 
 module.exports = {
     HardcoverAdapter,
@@ -18,4 +23,9 @@ module.exports = {
     TmdbAdapter,
     TmdbTvAdapter,
     MusicBrainzAdapter,
+    ComicVineAdapter,
+    ComicFixtureAdapter,
+    BoardGameGeekAdapter,
+    ScryfallAdapter,
+    PokemonTcgAdapter,
 };
@@ -0,0 +1,150 @@
+/**
+ * Barcode / product identifier helpers.
+ *
+ * Classifies scanned or typed codes (ISBN-10/13, EAN-13, UPC-A, EAN-8, IMDb ids)
+ * and expands them into the identifier keys stored on collectables.identifiers.
+ */
+
+const BARCODE_TYPES = Object.freeze({
+  ISBN13: 'isbn13',
+  ISBN10: 'isbn10',
+  EAN13: 'ean13',
+  UPC: 'upc',
+  EAN8: 'ean8',
+  IMDB: 'imdb',
+});
+
+function normalizeBarcodeInput(value) {
+  if (value == null) return '';
+  return String(value).trim().toUpperCase().replace(/[\s-]+/g, '');
+}
+
+// GS1 mod-10 check used by EAN-8, UPC-A and EAN-13 (ISBN-13 included).
+function hasValidGs1CheckDigit(digits) {
+  if (!/^\d+$/.test(digits) || digits.length < 2) return false;
+  let sum = 0;
+  const body = digits.slice(0, -1);
+  for (let i = 0; i < body.length; i += 1) {
+    const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * weight;
+  }
+  const check = (10 - (sum % 10)) % 10;
+  return check === Number(digits[digits.length - 1]);
+}
+
+function isValidIsbn10(code) {
+  if (!/^\d{9}[\dX]$/.test(code)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i += 1) {
+    const value = code[i] === 'X' ? 10 : Number(code[i]);
+    sum += value * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+function isValidIsbn13(code) {
+  return /^97[89]\d{10}$/.test(code) && hasValidGs1CheckDigit(code);
+}
+
+function isbn10ToIsbn13(isbn10) {
+  const code = normalizeBarcodeInput(isbn10);
+  if (!isValidIsbn10(code)) return null;
+  const body = `978${code.slice(0, 9)}`;
+  for (let check = 0; check <= 9; check += 1) {
+    const candidate = `${body}${check}`;
+    if (hasValidGs1CheckDigit(candidate)) return candidate;
+  }
+  return null;
+}
+
+function isbn13ToIsbn10(isbn13) {
+  const code = normalizeBarcodeInput(isbn13);
+  // 979-prefixed ISBNs have no ISBN-10 form.
+  if (!isValidIsbn13(code) || !code.startsWith('978')) return null;
+  const body = code.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i += 1) {
+    sum += Number(body[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return `${body}${check === 10 ? 'X' : check}`;
+}
+
+function buildIdentifiers(type, code) {
+  switch (type) {
+    case BARCODE_TYPES.ISBN13: {
+      const isbn10 = isbn13ToIsbn10(code);
+      return {
+        isbn13: [code],
+        ...(isbn10 ? { isbn10: [isbn10] } : {}),
+        barcode: [code],
+      };
+    }
+    case BARCODE_TYPES.ISBN10:
+      return { isbn10: [code], isbn13: [isbn10ToIsbn13(code)] };
+    case BARCODE_TYPES.UPC:
+      // UPC-A and its zero-padded EAN-13 form are the same product code.
+      return { barcode: [code, `0${code}`] };
+    case BARCODE_TYPES.EAN13:
+      return code.startsWith('0')
+        ? { barcode: [code, code.slice(1)] }
+        : { barcode: [code] };
+    case BARCODE_TYPES.EAN8:
+      return { barcode: [code] };
+    case BARCODE_TYPES.IMDB:
+      return { imdb: [code.toLowerCase()] };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Classify a scanned or typed code.
+ * @param {string} value - Raw code (hyphens and spaces are ignored)
+ * @returns {{ code: string, type: string, identifiers: object }|null}
+ *   `identifiers` uses the collectables.identifiers key shape; null when the
+ *   value is not a recognised code or fails its checksum.
+ */
+function classifyBarcode(value) {
+  const code = normalizeBarcodeInput(value);
+  if (!code) return null;
+
+  let type = null;
+  if (/^TT\d{7,}$/.test(code)) {
+    type = BARCODE_TYPES.IMDB;
+  } else if (code.length === 13 && isValidIsbn13(code)) {
+    type = BARCODE_TYPES.ISBN13;
+  } else if (code.length === 13 && hasValidGs1CheckDigit(code)) {
+    type = BARCODE_TYPES.EAN13;
+  } else if (code.length === 12 && hasValidGs1CheckDigit(code)) {
+    type = BARCODE_TYPES.UPC;
+  } else if (code.length === 10 && isValidIsbn10(code)) {
+    type = BARCODE_TYPES.ISBN10;
+  } else if (code.length === 8 && hasValidGs1CheckDigit(code)) {
+    type = BARCODE_TYPES.EAN8;
+  }
+  if (!type) return null;
+
+  const normalizedCode = type === BARCODE_TYPES.IMDB ? code.toLowerCase() : code;
+  return {
+    code: normalizedCode,
+    type,
+    identifiers: buildIdentifiers(type, normalizedCode),
+  };
+}
+
+function isIsbnType(type) {
+  return type === BARCODE_TYPES.ISBN13 || type === BARCODE_TYPES.ISBN10;
+}
+
+module.exports = {
+  BARCODE_TYPES,
+  normalizeBarcodeInput,
+  hasValidGs1CheckDigit,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10ToIsbn13,
+  isbn13ToIsbn10,
+  classifyBarcode,
+  isIsbnType,
+};
@@ -0,0 +1,51 @@
+const {
+  classifyBarcode,
+  isbn10ToIsbn13,
+  isbn13ToIsbn10,
+} = require('./barcodeUtils');
+
+describe('barcodeUtils', () => {
+  it('classifies ISBN-13 barcodes and derives the ISBN-10 form', () => {
+    expect(classifyBarcode('978-0-441-01359-3')).toEqual({
+      code: '9780441013593',
+      type: 'isbn13',
+      identifiers: {
+        isbn13: ['9780441013593'],
+        isbn10: ['0441013597'],
+        barcode: ['9780441013593'],
+      },
+    });
+    // 979 ISBNs have no ISBN-10 equivalent.
+    expect(classifyBarcode('9791090636071').identifiers.isbn10).toBeUndefined();
+  });
+
+  it('classifies ISBN-10, UPC-A, EAN-13, EAN-8 and IMDb ids', () => {
+    expect(classifyBarcode('0441013597')).toEqual(expect.objectContaining({
+      type: 'isbn10',
+      identifiers: { isbn10: ['0441013597'], isbn13: ['9780441013593'] },
+    }));
+    expect(classifyBarcode('075678317729')).toEqual(expect.objectContaining({
+      type: 'upc',
+      identifiers: { barcode: ['075678317729', '0075678317729'] },
+    }));
+    expect(classifyBarcode('5012345678900').type).toBe('ean13');
+    expect(classifyBarcode('96385074').type).toBe('ean8');
+    expect(classifyBarcode('TT0111161')).toEqual(expect.objectContaining({
+      code: 'tt0111161',
+      type: 'imdb',
+    }));
+  });
+
+  it('rejects codes that fail their checksum', () => {
+    expect(classifyBarcode('9780441013594')).toBeNull();
+    expect(classifyBarcode('0441013598')).toBeNull();
+    expect(classifyBarcode('12345')).toBeNull();
+    expect(classifyBarcode('')).toBeNull();
+  });
+
+  it('converts between ISBN-10 and ISBN-13', () => {
+    expect(isbn10ToIsbn13('0-306-40615-2')).toBe('9780306406157');
+    expect(isbn13ToIsbn10('9780306406157')).toBe('0306406152');
+    expect(isbn13ToIsbn10('9791090636071')).toBeNull();
+  });
+});
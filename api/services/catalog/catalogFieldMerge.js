@@ -0,0 +1,313 @@
+/**
+ * Field-level merge of catalog results from several providers.
+ *
+ * Used by CatalogRouter in "merge" mode. Each field (or field group) is taken
+ * from one provider according to a per-field precedence list from the
+ * container's `merge` block in apiContainers.json:
+ *
+ *   "merge": {
+ *     "precedence": ["openLibrary", "hardcover"],
+ *     "fields": {
+ *       "description": { "precedence": ["hardcover", "openLibrary"] },
+ *       "cover": { "strategy": "largestImage" },
+ *       "identifiers": { "strategy": "union" }
+ *     }
+ *   }
+ *
+ * Strategies:
+ *   - "precedence" (default): first provider in precedence order with a value
+ *   - "union": combine arrays/objects from every provider (identifiers, tags)
+ *   - "largestImage": cover from the provider with the largest known image
+ *     dimensions, falling back to precedence order
+ * Providers not named in a precedence list follow in API priority order.
+ *
+ * Only results that describe the same work as the identity source are merged
+ * (see selectAgreeingResults): a shared ISBN, or the same normalized title and
+ * primary creator.
+ */
+
+const { normalizeBarcodeInput, isValidIsbn13, isbn10ToIsbn13 } = require('./barcodeUtils');
+
+// Fields that must come from the same provider to stay consistent.
+const FIELD_GROUPS = Object.freeze({
+    identity: ['kind', 'title', 'subtitle', 'primaryCreator', 'creators', 'fingerprint', 'lightweightFingerprint'],
+    cover: ['coverImageUrl', 'coverImageSource', 'coverImage', 'coverUrl', 'images'],
+});
+
+const DEFAULT_STRATEGIES = Object.freeze({
+    identifiers: 'union',
+    tags: 'union',
+    genre: 'union',
+    editions: 'union',
+});
+
+const MERGE_STRATEGIES = ['precedence', 'union', 'largestImage'];
+const MERGE_SOURCE_PROVIDER = 'catalog-merge';
+
+// Wrapper/internal keys that are never merged as catalog fields.
+const SKIPPED_KEYS = new Set(['__collectable', 'collectable', 'provider', 'sources']);
+
+const FIELD_TO_GROUP = new Map();
+for (const [group, fields] of Object.entries(FIELD_GROUPS)) {
+    fields.forEach((field) => FIELD_TO_GROUP.set(field, group));
+}
+
+function hasContent(value) {
+    if (value == null) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.some(hasContent);
+    if (value instanceof Map) return value.size > 0;
+    if (value instanceof Date) return true;
+    if (typeof value === 'object') return Object.values(value).some(hasContent);
+    return true;
+}
+
+function groupHasContent(result, group) {
+    if (group === 'identity') return hasContent(result.title);
+    const fields = FIELD_GROUPS[group] || [group];
+    return fields.some((field) => hasContent(result[field]));
+}
+
+function orderByPrecedence(entries, precedence) {
+    if (!Array.isArray(precedence) || !precedence.length) return entries;
+    const rank = new Map(precedence.map((name, index) => [name, index]));
+    return [...entries].sort((a, b) => {
+        const rankA = rank.has(a.source) ? rank.get(a.source) : precedence.length + a.index;
+        const rankB = rank.has(b.source) ? rank.get(b.source) : precedence.length + b.index;
+        return rankA - rankB;
+    });
+}
+
+function unionValues(values) {
+    const present = values.filter(hasContent);
+    if (!present.length) return undefined;
+
+    if (present.every(Array.isArray)) {
+        const seen = new Set();
+        const merged = [];
+        for (const list of present) {
+            for (const entry of list) {
+                const key = typeof entry === 'string' ? entry.trim().toLowerCase() : JSON.stringify(entry);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                merged.push(entry);
+            }
+        }
+        return merged;
+    }
+
+    if (present.every((value) => typeof value === 'object' && !Array.isArray(value))) {
+        const keys = new Set(present.flatMap((value) => Object.keys(value)));
+        const merged = {};
+        for (const key of keys) {
+            const value = unionValues(present.map((entry) => entry[key]));
+            if (value !== undefined) merged[key] = value;
+        }
+        return merged;
+    }
+
+    // Scalar identifiers (e.g. isbn13: '978…') next to arrays: normalize to arrays.
+    if (present.some(Array.isArray)) {
+        return unionValues(present.map((value) => (Array.isArray(value) ? value : [value])));
+    }
+    return present[0];
+}
+
+function largestImageArea(result) {
+    const images = Array.isArray(result.images) ? result.images : [];
+    let best = 0;
+    for (const image of images) {
+        const width = Number(image?.width);
+        const height = Number(image?.height);
+        if (Number.isFinite(width) && Number.isFinite(height) && width > 0 && height > 0) {
+            best = Math.max(best, width * height);
+        }
+    }
+    return best;
+}
+
+function pickByPrecedence(ordered, group) {
+    return ordered.find((entry) => groupHasContent(entry.result, group)) || null;
+}
+
+function normalizeMatchText(value) {
+    if (typeof value !== 'string') return '';
+    return value
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function listIdentifierValues(value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// ISBNs of a result as ISBN-13 strings, so ISBN-10 and -13 forms compare equal.
+function collectIsbn13s(result) {
+    const identifiers = result?.identifiers && typeof result.identifiers === 'object' ? result.identifiers : {};
+    const isbns = new Set();
+    for (const raw of listIdentifierValues(identifiers.isbn13)) {
+        const code = normalizeBarcodeInput(raw);
+        if (isValidIsbn13(code)) isbns.add(code);
+    }
+    for (const raw of listIdentifierValues(identifiers.isbn10)) {
+        const code = isbn10ToIsbn13(raw);
+        if (code) isbns.add(code);
+    }
+    return isbns;
+}
+
+function primaryCreatorOf(result) {
+    if (typeof result?.primaryCreator === 'string' && result.primaryCreator.trim()) return result.primaryCreator;
+    const creators = Array.isArray(result?.creators) ? result.creators : [];
+    const first = creators.find((creator) => typeof creator === 'string' ? creator.trim() : creator?.name);
+    return typeof first === 'string' ? first : first?.name || '';
+}
+
+/**
+ * True when two provider results describe the same work: they share an ISBN,
+ * or their normalized titles and primary creators both match.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function describesSameWork(a, b) {
+    const isbnsA = collectIsbn13s(a);
+    if (isbnsA.size) {
+        for (const isbn of collectIsbn13s(b)) {
+            if (isbnsA.has(isbn)) return true;
+        }
+    }
+
+    const titleA = normalizeMatchText(a?.title);
+    const creatorA = normalizeMatchText(primaryCreatorOf(a));
+    if (!titleA || !creatorA) return false;
+    return titleA === normalizeMatchText(b?.title) && creatorA === normalizeMatchText(primaryCreatorOf(b));
+}
+
+/**
+ * Drop results that do not describe the same work as the identity source
+ * (the first result with a title in identity precedence order), so a wrong
+ * hit from one provider never adds its identifiers, cover or description.
+ * @param {Array<{ source: string, result: object }>} entries - In API priority order
+ * @param {object} [mergeConfig] - Container `merge` block from apiContainers.json
+ * @returns {{ entries: Array<{ source: string, result: object }>, skipped: string[] }}
+ */
+function selectAgreeingResults(entries, mergeConfig = {}) {
+    const indexed = (entries || [])
+        .filter((entry) => entry?.result && typeof entry.result === 'object')
+        .map((entry, index) => ({ source: entry.source, result: entry.result, index, original: entry }));
+    const config = mergeConfig && typeof mergeConfig === 'object' ? mergeConfig : {};
+    const identitySettings = config.fields?.identity || {};
+    const ordered = orderByPrecedence(indexed, identitySettings.precedence || config.precedence);
+    const identity = pickByPrecedence(ordered, 'identity');
+    if (!identity) return { entries: entries || [], skipped: [] };
+
+    const kept = [];
+    const skipped = [];
+    for (const entry of indexed) {
+        if (entry === identity || describesSameWork(identity.result, entry.result)) {
+            kept.push(entry.original);
+        } else {
+            skipped.push(entry.source);
+        }
+    }
+    return { entries: kept, skipped };
+}
+
+/**
+ * Merge provider results field by field.
+ * @param {Array<{ source: string, result: object }>} entries - In API priority order
+ * @param {object} [mergeConfig] - Container `merge` block from apiContainers.json
+ * @returns {{ merged: object, fieldProviders: object, providers: string[] }|null}
+ *   `fieldProviders` maps each merged field/group to the provider it came from
+ *   (an array of providers for union fields).
+ */
+function mergeCatalogResults(entries, mergeConfig = {}) {
+    const indexed = (entries || [])
+        .filter((entry) => entry?.result && typeof entry.result === 'object')
+        .map((entry, index) => ({ ...entry, index }));
+    if (!indexed.length) return null;
+
+    const config = mergeConfig && typeof mergeConfig === 'object' ? mergeConfig : {};
+    const fieldConfig = config.fields && typeof config.fields === 'object' ? config.fields : {};
+
+    const groups = new Set();
+    for (const { result } of indexed) {
+        for (const key of Object.keys(result)) {
+            if (SKIPPED_KEYS.has(key) || key.startsWith('_')) continue;
+            groups.add(FIELD_TO_GROUP.get(key) || key);
+        }
+    }
+    // Identity is resolved first so fingerprints always travel with the title.
+    const orderedGroups = ['identity', ...[...groups].filter((group) => group !== 'identity')];
+
+    const merged = {};
+    const fieldProviders = {};
+    for (const group of orderedGroups) {
+        const settings = fieldConfig[group] || {};
+        const strategy = MERGE_STRATEGIES.includes(settings.strategy)
+            ? settings.strategy
+            : DEFAULT_STRATEGIES[group] || 'precedence';
+        const ordered = orderByPrecedence(indexed, settings.precedence || config.precedence);
+        const fields = FIELD_GROUPS[group] || [group];
+
+        if (strategy === 'union') {
+            const value = unionValues(ordered.map((entry) => entry.result[group]));
+            if (value === undefined) continue;
+            merged[group] = value;
+            fieldProviders[group] = ordered
+                .filter((entry) => hasContent(entry.result[group]))
+                .map((entry) => entry.source);
+            continue;
+        }
+
+        let chosen = null;
+        if (strategy === 'largestImage') {
+            let bestArea = 0;
+            for (const entry of ordered) {
+                const area = largestImageArea(entry.result);
+                if (area > bestArea) {
+                    bestArea = area;
+                    chosen = entry;
+                }
+            }
+        }
+        chosen = chosen || pickByPrecedence(ordered, group);
+        if (!chosen) continue;
+
+        for (const field of fields) {
+            if (chosen.result[field] !== undefined) merged[field] = chosen.result[field];
+        }
+        fieldProviders[group] = chosen.source;
+    }
+
+    const providers = indexed.map((entry) => entry.source);
+    merged.sources = [
+        ...indexed.flatMap(({ result }) => {
+            if (Array.isArray(result.sources)) return result.sources;
+            return result.sources ? [result.sources] : [];
+        }),
+        {
+            provider: MERGE_SOURCE_PROVIDER,
+            providers,
+            fields: fieldProviders,
+            mergedAt: new Date().toISOString(),
+        },
+    ];
+
+    return { merged, fieldProviders, providers };
+}
+
+module.exports = {
+    FIELD_GROUPS,
+    MERGE_SOURCE_PROVIDER,
+    MERGE_STRATEGIES,
+    describesSameWork,
+    mergeCatalogResults,
+    selectAgreeingResults,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const { describesSameWork, mergeCatalogResults, selectAgreeingResults } = require('./catalogFieldMerge');
+
+describe('mergeCatalogResults', () => {
+    it('falls back to API priority order when no precedence is configured', () => {
+        const { merged, fieldProviders } = mergeCatalogResults([
+            { source: 'api1', result: { title: 'A', description: '', year: '2001', tags: ['x'] } },
+            { source: 'api2', result: { title: 'B', description: 'From api2', year: '1999', tags: ['X', 'y'] } },
+        ]);
+
+        expect(merged).toEqual(expect.objectContaining({
+            title: 'A',
+            description: 'From api2',
+            year: '2001',
+            tags: ['x', 'y'],
+        }));
+        expect(fieldProviders).toEqual({
+            identity: 'api1',
+            description: 'api2',
+            year: 'api1',
+            tags: ['api1', 'api2'],
+        });
+    });
+
+    it('keeps cover fields together and uses precedence when no image has dimensions', () => {
+        const { merged, fieldProviders } = mergeCatalogResults([
+            { source: 'api1', result: { title: 'A', coverImageUrl: 'https://a/cover.jpg', coverImageSource: 'external', images: [{ urlLarge: 'https://a/cover.jpg' }] } },
+            { source: 'api2', result: { title: 'A', coverImageUrl: 'https://b/cover.jpg', coverImageSource: null, images: [{ urlLarge: 'https://b/cover.jpg' }] } },
+        ], { fields: { cover: { strategy: 'largestImage', precedence: ['api2'] } } });
+
+        expect(merged.coverImageUrl).toBe('https://b/cover.jpg');
+        expect(merged.coverImageSource).toBeNull();
+        expect(merged.images).toEqual([{ urlLarge: 'https://b/cover.jpg' }]);
+        expect(fieldProviders.cover).toBe('api2');
+    });
+});
+
+describe('selectAgreeingResults', () => {
+    it('treats a shared ISBN in either form, or the same title and author, as the same work', () => {
+        const identity = { title: 'Dune', primaryCreator: 'Frank Herbert', identifiers: { isbn13: ['9780441172719'] } };
+
+        expect(describesSameWork(identity, { title: 'Dune (Deluxe)', identifiers: { isbn10: ['0441172717'] } })).toBe(true);
+        expect(describesSameWork(identity, { title: 'DUNE', creators: ['Frank  Herbert'] })).toBe(true);
+        expect(describesSameWork(identity, { title: 'Dune', primaryCreator: 'Brian Herbert' })).toBe(false);
+    });
+
+    it('keeps the identity source and drops providers that disagree with it', () => {
+        const { entries, skipped } = selectAgreeingResults([
+            { source: 'api1', result: { title: 'Dune', primaryCreator: 'Frank Herbert' } },
+            { source: 'api2', result: { title: 'Dune Messiah', primaryCreator: 'Frank Herbert' } },
+            { source: 'api3', result: { title: 'Dune', primaryCreator: 'Frank Herbert', description: 'Spice.' } },
+        ], { precedence: ['api1'] });
+
+        expect(entries.map((entry) => entry.source)).toEqual(['api1', 'api3']);
+        expect(skipped).toEqual(['api2']);
+    });
+});
@@ -1,11 +1,17 @@
+const { BoardGameCatalogService } = require('./BoardGameCatalogService');
 const { BookCatalogService } = require('./BookCatalogService');
+const { CardCatalogService } = require('./CardCatalogService');
+const { ComicCatalogService } = require('./ComicCatalogService');
 const { GameCatalogService } = require('./GameCatalogService');
 const { MovieCatalogService } = require('./MovieCatalogService');
 const { MusicCatalogService } = require('./MusicCatalogService');
 const { TvCatalogService } = require('./TvCatalogService');
 
 const sharedCatalogServices = {
+  boardGame: new BoardGameCatalogService(),
   book: new BookCatalogService(),
+  card: new CardCatalogService(),
+  comic: new ComicCatalogService(),
   game: new GameCatalogService(),
   movie: new MovieCatalogService(),
   music: new MusicCatalogService(),
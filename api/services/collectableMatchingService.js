@@ -102,10 +102,16 @@ class CollectableMatchingService {
         this.movieCatalogService = shared.movie;
         this.musicCatalogService = shared.music;
         this.tvCatalogService = shared.tv;
+        this.comicCatalogService = shared.comic;
+        this.boardGameCatalogService = shared.boardGame;
+        this.cardCatalogService = shared.card;
         this.catalogServices = [
             this.gameCatalogService,
             this.movieCatalogService,
             this.tvCatalogService,
+            this.comicCatalogService,
+            this.boardGameCatalogService,
+            this.cardCatalogService,
             this.bookCatalogService,
             this.musicCatalogService,
         ];
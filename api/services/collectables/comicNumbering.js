@@ -0,0 +1,140 @@
+/**
+ * Issue/volume numbering for comics and manga.
+ *
+ * Comic collectables keep the run name in `series`, the issue in
+ * `issueNumber` (text: "1", "12.1", "0", "1A") and the collected volume in
+ * `volumeNumber` (integer, e.g. manga tankobon or TPB volumes). Titles fold
+ * the numbers in ("Saga #12", "One Piece, Vol. 3") so fingerprints and OCR
+ * de-duplication keep separate issues of one series apart.
+ */
+
+const MAX_ISSUE_NUMBER_LENGTH = 20;
+const MAX_VOLUME_NUMBER = 10000;
+const ISSUE_IN_TITLE_PATTERN = /^(.*?)[\s,:-]*#\s*([0-9]+(?:\.[0-9]+)?[a-z]?)\b(.*)$/i;
+const VOLUME_IN_TITLE_PATTERN = /^(.*?)[\s,:-]*\b(?:vol(?:ume)?\.?|v\.)\s*([0-9]{1,4})\b(.*)$/i;
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function trimSeriesName(value) {
+  return normalizeString(value).replace(/[\s,:-]+$/, '').trim();
+}
+
+/**
+ * @param {string|number|null} value - "#001", "12.1", 7
+ * @returns {string|null} Issue number without "#" or leading zeros
+ */
+function normalizeIssueNumber(value) {
+  let normalized = normalizeString(value).replace(/^#\s*/, '').replace(/^(?:issue|no\.?)\s*/i, '');
+  if (!normalized) return null;
+  normalized = normalized.replace(/^0+(?=\d)/, '');
+  return normalized.slice(0, MAX_ISSUE_NUMBER_LENGTH);
+}
+
+/**
+ * @param {string|number|null} value - 3, "Vol. 3", "v03"
+ * @returns {number|null}
+ */
+function normalizeVolumeNumber(value) {
+  if (value == null || value === '') return null;
+  const match = normalizeString(value).match(/([0-9]{1,5})/);
+  if (!match) return null;
+  const parsed = Number.parseInt(match[1], 10);
+  if (!Number.isFinite(parsed) || parsed < 1 || parsed > MAX_VOLUME_NUMBER) return null;
+  return parsed;
+}
+
+/**
+ * Series name from a provider/vision value that may be a string or a
+ * `{ name, number }` object (Gemini enrichment shape).
+ * @returns {string|null}
+ */
+function normalizeSeriesName(value) {
+  if (value && typeof value === 'object') {
+    return normalizeString(value.name || value.title) || null;
+  }
+  return normalizeString(value) || null;
+}
+
+/**
+ * Split "Batman Vol. 3 #12" into { series: 'Batman', volumeNumber: 3, issueNumber: '12' }.
+ * Titles without numbering come back as the series with null numbers.
+ */
+function parseComicTitle(title) {
+  let rest = normalizeString(title);
+  let issueNumber = null;
+  let volumeNumber = null;
+
+  const issueMatch = rest.match(ISSUE_IN_TITLE_PATTERN);
+  if (issueMatch && trimSeriesName(issueMatch[1])) {
+    issueNumber = normalizeIssueNumber(issueMatch[2]);
+    rest = `${issueMatch[1]}${issueMatch[3]}`;
+  }
+
+  const volumeMatch = rest.match(VOLUME_IN_TITLE_PATTERN);
+  if (volumeMatch && trimSeriesName(volumeMatch[1])) {
+    volumeNumber = normalizeVolumeNumber(volumeMatch[2]);
+    rest = `${volumeMatch[1]}${volumeMatch[3]}`;
+  }
+
+  return {
+    series: trimSeriesName(rest) || null,
+    issueNumber,
+    volumeNumber,
+  };
+}
+
+/**
+ * @param {{ series: string, issueNumber?: string|null, volumeNumber?: number|null }} parts
+ * @returns {string}
+ */
+function formatComicTitle({ series, issueNumber = null, volumeNumber = null }) {
+  let title = trimSeriesName(series);
+  if (volumeNumber) title = `${title}, Vol. ${volumeNumber}`;
+  if (issueNumber) title = `${title} #${issueNumber}`;
+  return title;
+}
+
+/**
+ * Normalize the numbering on a vision/catalog item for a comics shelf:
+ * explicit `issueNumber`/`volumeNumber`/`series` win over numbers parsed from
+ * the title, and the title is rebuilt to carry them.
+ *
+ * @param {object} item
+ * @returns {object} Item with series/issueNumber/volumeNumber and a numbered title
+ */
+function applyComicNumbering(item) {
+  if (!item || typeof item !== 'object') return item;
+  const title = normalizeString(item.title || item.name);
+  if (!title) return item;
+
+  const parsed = parseComicTitle(title);
+  const issueNumber = normalizeIssueNumber(item.issueNumber ?? item.issue_number ?? item.issue)
+    || parsed.issueNumber;
+  const volumeNumber = normalizeVolumeNumber(item.volumeNumber ?? item.volume_number ?? item.volume)
+    || parsed.volumeNumber;
+  const series = normalizeSeriesName(item.series) || parsed.series || title;
+  const numberedTitle = issueNumber || volumeNumber
+    ? formatComicTitle({ series, issueNumber, volumeNumber })
+    : title;
+
+  return {
+    ...item,
+    title: numberedTitle,
+    name: numberedTitle,
+    series,
+    issueNumber: issueNumber || null,
+    volumeNumber: volumeNumber || null,
+  };
+}
+
+module.exports = {
+  applyComicNumbering,
+  formatComicTitle,
+  normalizeIssueNumber,
+  normalizeSeriesName,
+  normalizeVolumeNumber,
+  parseComicTitle,
+};
@@ -0,0 +1,200 @@
+/**
+ * Normalize catalog edition objects into `editions` table rows.
+ *
+ * Adapters describe editions as
+ *   { provider, id, type, title, subtitle, labelOrPublisher, dateOrYear,
+ *     identifiers, physical: { format, ... }, platform, region, coverUrl, extras,
+ *     matched }
+ * where `identifiers` is a plain object (or a legacy Map) of string arrays and
+ * `matched` marks the specific edition the lookup resolved to (if any).
+ */
+
+const MAX_EDITIONS_PER_COLLECTABLE = 100;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+function normalizeString(value) {
+  if (value == null) return null;
+  const normalized = String(value).trim();
+  return normalized || null;
+}
+
+/**
+ * @param {Map|object|null} value
+ * @returns {Object<string, string[]>}
+ */
+function normalizeEditionIdentifiers(value) {
+  if (!value || typeof value !== 'object') return {};
+  const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+  const out = {};
+  for (const [key, raw] of entries) {
+    const list = (Array.isArray(raw) ? raw : [raw])
+      .map(normalizeString)
+      .filter(Boolean);
+    if (list.length) out[key] = Array.from(new Set(list));
+  }
+  return out;
+}
+
+/**
+ * Split a provider date ("1937", "Sep 21, 1937", "2001-05-01T00:00:00Z")
+ * into a DATE-compatible string (when the full date is known) and a year.
+ */
+function parseEditionDate(value) {
+  const text = normalizeString(value);
+  if (!text) return { releaseDate: null, releaseYear: null };
+
+  const iso = text.match(ISO_DATE_PATTERN);
+  if (iso) {
+    return { releaseDate: `${iso[1]}-${iso[2]}-${iso[3]}`, releaseYear: Number(iso[1]) };
+  }
+
+  const yearMatch = text.match(/\b(\d{4})\b/);
+  const releaseYear = yearMatch ? Number(yearMatch[1]) : null;
+  if (/^\d{4}$/.test(text)) return { releaseDate: null, releaseYear };
+
+  const parsed = Date.parse(text);
+  if (Number.isFinite(parsed) && /\d{1,2}/.test(text.replace(/\b\d{4}\b/, ''))) {
+    // Date.parse reads these as local time; format from local parts to keep the day.
+    const date = new Date(parsed);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+      releaseDate: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      releaseYear: releaseYear ?? date.getFullYear(),
+    };
+  }
+  return { releaseDate: null, releaseYear };
+}
+
+function pickPublisher(edition) {
+  const list = Array.isArray(edition?.labelOrPublisher)
+    ? edition.labelOrPublisher
+    : [edition?.labelOrPublisher ?? edition?.publisher];
+  const names = list.map(normalizeString).filter(Boolean);
+  return names.length ? names.join(', ') : null;
+}
+
+function buildFallbackName({ editionType, format, platform, region }) {
+  const parts = [platform, format, editionType && editionType.replace(/_/g, ' ')]
+    .map(normalizeString)
+    .filter(Boolean);
+  if (!parts.length) return null;
+  const label = parts[0].charAt(0).toUpperCase() + parts[0].slice(1);
+  return region ? `${label} (${region})` : label;
+}
+
+/**
+ * Normalize one adapter edition into an `editions` row shape (camelCase).
+ * Returns null when there is nothing to name the edition by.
+ *
+ * @param {object} edition
+ * @param {{ provider?: string }} [options]
+ */
+function normalizeEditionForStorage(edition, { provider = null } = {}) {
+  if (!edition || typeof edition !== 'object') return null;
+
+  const editionType = normalizeString(edition.type || edition.editionType);
+  const format = normalizeString(edition.physical?.format || edition.format);
+  const platform = normalizeString(edition.platform);
+  const region = normalizeString(edition.region);
+  const { releaseDate, releaseYear } = parseEditionDate(
+    edition.dateOrYear ?? edition.releaseDate ?? edition.year,
+  );
+
+  const title = normalizeString(edition.title || edition.name);
+  const subtitle = normalizeString(edition.subtitle);
+  const name = title
+    ? (subtitle ? `${title}: ${subtitle}` : title)
+    : buildFallbackName({ editionType, format, platform, region });
+  if (!name) return null;
+
+  const physical = edition.physical && typeof edition.physical === 'object' ? edition.physical : {};
+  const metadata = {};
+  if (physical.pages) metadata.pages = physical.pages;
+  if (Array.isArray(physical.languages) && physical.languages.length) {
+    metadata.languages = physical.languages;
+  }
+  if (edition.extras && typeof edition.extras === 'object' && Object.keys(edition.extras).length) {
+    Object.assign(metadata, edition.extras);
+  }
+
+  return {
+    provider: normalizeString(edition.provider) || normalizeString(provider),
+    externalId: normalizeString(edition.id ?? edition.externalId),
+    editionType,
+    name,
+    description: normalizeString(edition.description),
+    publisher: pickPublisher(edition),
+    releaseDate,
+    releaseYear,
+    format,
+    identifiers: normalizeEditionIdentifiers(edition.identifiers),
+    platform,
+    region,
+    coverImageUrl: normalizeString(edition.coverUrl || edition.coverImageUrl),
+    metadata: Object.keys(metadata).length ? metadata : null,
+    matched: edition.matched === true,
+  };
+}
+
+/**
+ * Normalize and de-duplicate a list of adapter editions. Editions with the
+ * same provider + external id collapse to the first occurrence.
+ *
+ * @param {Array<object>} editions
+ * @param {{ provider?: string, limit?: number }} [options]
+ * @returns {Array<object>}
+ */
+function normalizeEditionsForStorage(editions, { provider = null, limit = MAX_EDITIONS_PER_COLLECTABLE } = {}) {
+  if (!Array.isArray(editions)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const edition of editions) {
+    const normalized = normalizeEditionForStorage(edition, { provider });
+    if (!normalized) continue;
+    const key = normalized.externalId
+      ? `${normalized.provider || ''}|${normalized.externalId}`
+      : `${normalized.provider || ''}|${normalized.name}|${normalized.format || ''}|${normalized.platform || ''}|${normalized.region || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(normalized);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * API shape for a stored edition row (camelCased `editions` row).
+ */
+function formatEditionResponse(row) {
+  if (!row) return null;
+  const releaseDate = row.releaseDate instanceof Date
+    ? row.releaseDate.toISOString().slice(0, 10)
+    : row.releaseDate || null;
+  return {
+    id: row.id,
+    collectableId: row.collectableId ?? null,
+    name: row.name,
+    editionType: row.editionType || null,
+    format: row.format || null,
+    publisher: row.publisher || null,
+    platform: row.platform || null,
+    region: row.region || null,
+    releaseDate,
+    releaseYear: row.releaseYear ?? null,
+    identifiers: row.identifiers || {},
+    coverImageUrl: row.coverImageUrl || null,
+    provider: row.provider || null,
+    externalId: row.externalId || null,
+    description: row.description || null,
+    metadata: row.metadata || null,
+  };
+}
+
+module.exports = {
+  MAX_EDITIONS_PER_COLLECTABLE,
+  formatEditionResponse,
+  normalizeEditionIdentifiers,
+  normalizeEditionForStorage,
+  normalizeEditionsForStorage,
+  parseEditionDate,
+};
@@ -0,0 +1,172 @@
+/**
+ * Correction memory for vision matches.
+ *
+ * When a user replaces a vision-matched item, the completed replacement
+ * trace is recorded as "title X on a <shelf type> shelf is collectable B,
+ * not A". Later matches for the same OCR title consult these corrections:
+ * a correction applies once the current user made it or enough distinct
+ * users agree (MATCH_CORRECTION_MIN_USERS), otherwise the match stands.
+ */
+
+const matchCorrectionsQueries = require('../../database/queries/matchCorrections');
+const {
+  makeLightweightFingerprint,
+  makeVisionOcrFingerprint,
+} = require('./fingerprint');
+const logger = require('../../logger');
+
+const DEFAULT_MIN_USERS = 2;
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function resolveMinUsers() {
+  const parsed = Number.parseInt(process.env.MATCH_CORRECTION_MIN_USERS || '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_MIN_USERS;
+}
+
+/**
+ * Keys a correction is stored under. The shelf type stands in for the item
+ * kind because vision items often carry neither. A title-only key is always
+ * included so scans that miss the creator still find the correction.
+ *
+ * @param {object} input
+ * @param {string} input.title - OCR title
+ * @param {string} [input.creator] - OCR creator
+ * @param {string} [input.shelfType]
+ * @returns {string[]}
+ */
+function buildMatchKeys({ title, creator = null, shelfType = null } = {}) {
+  const normalizedTitle = normalizeString(title);
+  if (!normalizedTitle) return [];
+  const normalizedCreator = normalizeString(creator) || null;
+  const keys = [makeLightweightFingerprint({ title: normalizedTitle, kind: shelfType })];
+  if (normalizedCreator) {
+    keys.push(
+      makeVisionOcrFingerprint(normalizedTitle, normalizedCreator, shelfType),
+      makeLightweightFingerprint({ title: normalizedTitle, primaryCreator: normalizedCreator, kind: shelfType }),
+    );
+  }
+  return Array.from(new Set(keys.filter(Boolean)));
+}
+
+/**
+ * Keys to look a scanned item up under: the creator-specific keys when the
+ * creator was read, so one author's correction does not leak to another
+ * author's book of the same title; the title-only key otherwise.
+ *
+ * @returns {string[]}
+ */
+function buildLookupKeys({ title, creator = null, shelfType = null } = {}) {
+  const keys = buildMatchKeys({ title, creator, shelfType });
+  return normalizeString(creator) ? keys.slice(1) : keys;
+}
+
+function isTrusted(correction, minUsers) {
+  return correction.ownCorrections > 0 || correction.users >= minUsers;
+}
+
+/**
+ * Pick the correction to apply to a match.
+ *
+ * With a matched collectable, only corrections away from that collectable
+ * count; a match that is itself a trusted correction target is left alone.
+ * Without a match, the strongest trusted correction for the title wins.
+ *
+ * @param {object[]} corrections - Rows from matchCorrectionsQueries.findForKeys
+ * @param {number|null} matchedCollectableId
+ * @param {object} [options]
+ * @param {number} [options.minUsers]
+ * @returns {object|null} Correction row, or null to keep the match
+ */
+function pickCorrection(corrections, matchedCollectableId = null, { minUsers = resolveMinUsers() } = {}) {
+  if (!Array.isArray(corrections) || !corrections.length) return null;
+  const trusted = corrections.filter((correction) => isTrusted(correction, minUsers));
+  if (!trusted.length) return null;
+
+  let candidates = trusted;
+  if (matchedCollectableId != null) {
+    const matchedId = Number(matchedCollectableId);
+    if (trusted.some((correction) => Number(correction.targetCollectableId) === matchedId)) {
+      return null;
+    }
+    candidates = trusted.filter((correction) => Number(correction.sourceCollectableId) === matchedId);
+  }
+
+  return candidates
+    .slice()
+    .sort((a, b) => (
+      (b.ownCorrections - a.ownCorrections)
+      || (b.users - a.users)
+      || (b.corrections - a.corrections)
+    ))[0] || null;
+}
+
+/**
+ * Load corrections for an OCR item. Lookup failures only cost the
+ * correction, never the match.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function findCorrections({ title, creator = null, shelfType = null, userId = null }) {
+  const matchKeys = buildLookupKeys({ title, creator, shelfType });
+  if (!matchKeys.length) return [];
+  try {
+    return await matchCorrectionsQueries.findForKeys({ matchKeys, userId });
+  } catch (err) {
+    logger.warn('[matchCorrections] lookup failed:', err?.message || err);
+    return [];
+  }
+}
+
+/**
+ * Record a completed replacement trace as a correction. Only collectable to
+ * collectable replacements teach anything; manual targets and no-op
+ * replacements are skipped.
+ *
+ * @param {object} trace - Completed item_replacement_traces row (camelCase)
+ * @param {object} [options]
+ * @param {string} [options.shelfType]
+ * @returns {Promise<object|null>} Correction row, or null when skipped
+ */
+async function learnFromTrace(trace, { shelfType = null } = {}) {
+  if (!trace || trace.status !== 'completed') return null;
+  const sourceCollectableId = trace.sourceCollectableId || null;
+  const targetCollectableId = trace.targetCollectableId || null;
+  if (!sourceCollectableId || !targetCollectableId) return null;
+  if (Number(sourceCollectableId) === Number(targetCollectableId)) return null;
+
+  const metadata = trace.metadata || {};
+  const matchTitle = normalizeString(metadata.matchTitle);
+  const matchKeys = buildMatchKeys({
+    title: matchTitle,
+    creator: metadata.matchCreator,
+    shelfType,
+  });
+  if (!matchKeys.length) return null;
+
+  try {
+    return await matchCorrectionsQueries.recordCorrection({
+      userId: trace.userId,
+      sourceCollectableId,
+      targetCollectableId,
+      matchKeys,
+      ocrTitle: matchTitle,
+      traceId: trace.id || null,
+    });
+  } catch (err) {
+    logger.warn('[matchCorrections] failed to record correction:', err?.message || err);
+    return null;
+  }
+}
+
+module.exports = {
+  buildMatchKeys,
+  buildLookupKeys,
+  pickCorrection,
+  findCorrections,
+  learnFromTrace,
+  resolveMinUsers,
+};
@@ -0,0 +1,138 @@
+/**
+ * Board game and trading card fields.
+ *
+ * Board games carry a player range (`minPlayers`/`maxPlayers`) and a play
+ * time range in minutes (`minPlayTime`/`maxPlayTime`). Cards carry the
+ * printing: `setCode` ("M10", "SV3PT5"), `setName` and `collectorNumber`
+ * (text: "146", "4/102", "TG12"). One card name has many printings, so the
+ * printing is part of the card fingerprint (see cardPrintingKey).
+ */
+
+const MAX_PLAYER_COUNT = 1000;
+const MAX_PLAY_TIME_MINUTES = 100000;
+const MAX_SET_CODE_LENGTH = 16;
+const MAX_COLLECTOR_NUMBER_LENGTH = 20;
+
+function normalizeString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function normalizePositiveInt(value, max) {
+  if (value == null || value === '') return null;
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1 || parsed > max) return null;
+  return parsed;
+}
+
+/**
+ * @param {string|number|null} value - 4, "4", "4 players"
+ * @returns {number|null}
+ */
+function normalizePlayerCount(value) {
+  return normalizePositiveInt(value, MAX_PLAYER_COUNT);
+}
+
+/**
+ * @param {string|number|null} value - minutes (90, "90", "90 min")
+ * @returns {number|null}
+ */
+function normalizePlayTime(value) {
+  return normalizePositiveInt(value, MAX_PLAY_TIME_MINUTES);
+}
+
+/**
+ * @param {string|null} value - "m10", " sv3pt5 "
+ * @returns {string|null} Upper-cased set code
+ */
+function normalizeSetCode(value) {
+  const normalized = normalizeString(value).replace(/\s+/g, '').toUpperCase();
+  if (!normalized) return null;
+  return normalized.slice(0, MAX_SET_CODE_LENGTH);
+}
+
+/**
+ * @param {string|number|null} value - "#146", "004/102", "TG12"
+ * @returns {string|null} Collector number without "#" or leading zeros
+ */
+function normalizeCollectorNumber(value) {
+  let normalized = normalizeString(value).replace(/^#\s*/, '').replace(/\s+/g, '');
+  if (!normalized) return null;
+  normalized = normalized.replace(/^0+(?=\d)/, '');
+  return normalized.slice(0, MAX_COLLECTOR_NUMBER_LENGTH);
+}
+
+/**
+ * Split a printed play time into a range: "60-90 min" gives { 60, 90 },
+ * "45" gives { 45, 45 }.
+ * @param {string|number|null} value
+ * @returns {{ minPlayTime: number|null, maxPlayTime: number|null }}
+ */
+function parsePlayTimeRange(value) {
+  const numbers = normalizeString(value).match(/\d+/g) || [];
+  const minPlayTime = normalizePlayTime(numbers[0]);
+  const maxPlayTime = normalizePlayTime(numbers[1]) || minPlayTime;
+  return { minPlayTime, maxPlayTime };
+}
+
+const CARD_GAME_ALIASES = Object.freeze({
+  mtg: ['mtg', 'magic', 'magic the gathering', 'magic: the gathering'],
+  pokemon: ['pokemon', 'pokémon', 'pokemon tcg', 'pokémon tcg', 'ptcg'],
+});
+
+/**
+ * Card game hint from vision/user input, so a card adapter can skip items
+ * that belong to another game.
+ * @param {string|null} value - "Magic: The Gathering", "Pokémon"
+ * @returns {string|null} 'mtg', 'pokemon', another lower-cased game name, or null
+ */
+function normalizeCardGame(value) {
+  const normalized = normalizeString(value).toLowerCase();
+  if (!normalized) return null;
+  for (const [game, aliases] of Object.entries(CARD_GAME_ALIASES)) {
+    if (aliases.includes(normalized)) return game;
+  }
+  return normalized;
+}
+
+/**
+ * Fingerprint variant for a card printing ("M10 146"), or null when the item
+ * is not a card or the printing is unknown.
+ * @param {{ setCode?: string, collectorNumber?: string }} item
+ * @returns {string|null}
+ */
+function cardPrintingKey(item = {}) {
+  const setCode = normalizeSetCode(item?.setCode ?? item?.set_code);
+  const collectorNumber = normalizeCollectorNumber(item?.collectorNumber ?? item?.collector_number);
+  if (!setCode && !collectorNumber) return null;
+  return [setCode, collectorNumber].filter(Boolean).join(' ');
+}
+
+/**
+ * Normalized tabletop fields for a collectable upsert payload. Accepts the
+ * camelCase and snake_case spellings used by vision, catalog and API input,
+ * plus the single `playTime` string vision reads off a box.
+ * @returns {{ minPlayers: number|null, minPlayTime: number|null, maxPlayTime: number|null, setCode: string|null, setName: string|null, collectorNumber: string|null }}
+ */
+function pickTabletopFields(input = {}) {
+  const printedPlayTime = parsePlayTimeRange(input?.playTime ?? input?.play_time);
+  return {
+    minPlayers: normalizePlayerCount(input?.minPlayers ?? input?.min_players),
+    minPlayTime: normalizePlayTime(input?.minPlayTime ?? input?.min_play_time) || printedPlayTime.minPlayTime,
+    maxPlayTime: normalizePlayTime(input?.maxPlayTime ?? input?.max_play_time) || printedPlayTime.maxPlayTime,
+    setCode: normalizeSetCode(input?.setCode ?? input?.set_code),
+    setName: normalizeString(input?.setName ?? input?.set_name) || null,
+    collectorNumber: normalizeCollectorNumber(input?.collectorNumber ?? input?.collector_number),
+  };
+}
+
+module.exports = {
+  cardPrintingKey,
+  normalizeCardGame,
+  normalizeCollectorNumber,
+  normalizePlayTime,
+  normalizePlayerCount,
+  normalizeSetCode,
+  parsePlayTimeRange,
+  pickTabletopFields,
+};
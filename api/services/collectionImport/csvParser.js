@@ -0,0 +1,82 @@
+/**
+ * Minimal RFC 4180 CSV reader for collection imports.
+ *
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF line endings
+ * and a leading UTF-8 BOM. Blank lines are dropped.
+ */
+
+function parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0].trim() !== '') records.push(record);
+        record = [];
+    };
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n') {
+            endRecord();
+        } else if (char === '\r') {
+            if (input[i + 1] === '\n') i += 1;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    return records;
+}
+
+/**
+ * Parse CSV text into header-keyed objects.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Array<{ rowNumber: number, values: object }> }}
+ *   `rowNumber` is the 1-based data row (header excluded).
+ */
+function parseCsvWithHeaders(text) {
+    const [headerRecord, ...dataRecords] = parseCsv(text);
+    const headers = (headerRecord || []).map((header) => String(header).trim());
+    const rows = dataRecords.map((record, index) => {
+        const values = {};
+        headers.forEach((header, column) => {
+            if (!header) return;
+            values[header] = record[column] != null ? String(record[column]).trim() : '';
+        });
+        return { rowNumber: index + 1, values };
+    });
+    return { headers, rows };
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvWithHeaders,
+};
@@ -0,0 +1,234 @@
+/**
+ * Collection import formats.
+ *
+ * Each format recognises its export's header row and maps a CSV row to an
+ * import row:
+ *   { rowNumber, title, primaryCreator, year, format, notes, barcode,
+ *     identifiers, sourceId }
+ * `barcode` is a classified ISBN/UPC/EAN (see catalog/barcodeUtils) and
+ * `identifiers` uses the collectables.identifiers key shape.
+ */
+
+const { BARCODE_TYPES, classifyBarcode } = require('../catalog/barcodeUtils');
+
+const IMPORT_FORMATS = Object.freeze({
+    GOODREADS: 'goodreads',
+    DISCOGS: 'discogs',
+    LETTERBOXD: 'letterboxd',
+    GENERIC: 'generic',
+});
+
+// Canonical field -> header names accepted by the generic format when no
+// explicit column mapping is supplied (compared case-insensitively).
+const GENERIC_COLUMN_ALIASES = Object.freeze({
+    title: ['title', 'name'],
+    primaryCreator: ['author', 'creator', 'primary creator', 'artist', 'director', 'developer'],
+    year: ['year', 'release year', 'year published', 'released'],
+    isbn: ['isbn', 'isbn13', 'isbn 13', 'isbn10', 'isbn 10'],
+    barcode: ['barcode', 'upc', 'ean'],
+    format: ['format', 'binding', 'media'],
+    notes: ['notes', 'note', 'comments'],
+});
+const GENERIC_MAPPING_FIELDS = Object.keys(GENERIC_COLUMN_ALIASES);
+
+function normalizeString(value) {
+    if (value === undefined || value === null) return null;
+    const trimmed = String(value).trim();
+    return trimmed || null;
+}
+
+function normalizeHeader(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function hasHeaders(headers, required) {
+    const present = new Set(headers.map(normalizeHeader));
+    return required.every((header) => present.has(normalizeHeader(header)));
+}
+
+function parseYear(value) {
+    const match = String(value || '').match(/\b(\d{4})\b/);
+    return match ? match[1] : null;
+}
+
+// Goodreads wraps ISBNs as ="0439023483" so spreadsheets keep leading zeros.
+function unwrapSpreadsheetText(value) {
+    const raw = normalizeString(value);
+    if (!raw) return null;
+    return normalizeString(raw.replace(/^="?/, '').replace(/"$/, ''));
+}
+
+function classifyCodes(...values) {
+    for (const value of values) {
+        const code = unwrapSpreadsheetText(value);
+        if (!code) continue;
+        const classified = classifyBarcode(code);
+        if (classified && classified.type !== BARCODE_TYPES.IMDB) return classified;
+    }
+    return null;
+}
+
+function buildRow(rowNumber, fields) {
+    const barcode = fields.barcode || null;
+    return {
+        rowNumber,
+        title: normalizeString(fields.title),
+        primaryCreator: normalizeString(fields.primaryCreator),
+        year: fields.year || null,
+        format: normalizeString(fields.format),
+        notes: normalizeString(fields.notes),
+        barcode: barcode ? barcode.code : null,
+        identifiers: {
+            ...(barcode ? barcode.identifiers : {}),
+            ...(fields.identifiers || {}),
+        },
+        sourceId: normalizeString(fields.sourceId),
+    };
+}
+
+const FORMAT_DEFINITIONS = {
+    [IMPORT_FORMATS.GOODREADS]: {
+        shelfTypes: ['books'],
+        detect: (headers) => hasHeaders(headers, ['Book Id', 'Title', 'Author', 'ISBN13']),
+        mapRow: ({ rowNumber, values }) => buildRow(rowNumber, {
+            // "Catching Fire (The Hunger Games, #2)" -> "Catching Fire"
+            title: String(values.Title || '').replace(/\s*\([^()]*#\s*[\d.]+\)\s*$/, ''),
+            primaryCreator: values.Author,
+            year: parseYear(values['Original Publication Year']) || parseYear(values['Year Published']),
+            format: values.Binding,
+            notes: values['Private Notes'],
+            barcode: classifyCodes(values.ISBN13, values.ISBN),
+            sourceId: values['Book Id'],
+        }),
+    },
+    [IMPORT_FORMATS.DISCOGS]: {
+        shelfTypes: ['vinyl'],
+        detect: (headers) => hasHeaders(headers, ['Catalog#', 'Artist', 'Title', 'release_id']),
+        mapRow: ({ rowNumber, values }) => {
+            const releaseId = normalizeString(values.release_id);
+            return buildRow(rowNumber, {
+                title: values.Title,
+                // Discogs disambiguates same-named artists as "Name (2)".
+                primaryCreator: String(values.Artist || '').replace(/\s*\(\d+\)$/, ''),
+                year: parseYear(values.Released),
+                format: values.Format,
+                notes: values['Collection Notes'],
+                identifiers: releaseId ? { discogs: { release: [releaseId] } } : null,
+                sourceId: releaseId,
+            });
+        },
+    },
+    [IMPORT_FORMATS.LETTERBOXD]: {
+        shelfTypes: ['movies'],
+        detect: (headers) => hasHeaders(headers, ['Name', 'Year', 'Letterboxd URI']),
+        mapRow: ({ rowNumber, values }) => buildRow(rowNumber, {
+            title: values.Name,
+            year: parseYear(values.Year),
+            sourceId: values['Letterboxd URI'],
+        }),
+    },
+};
+
+function createImportError(message, code) {
+    const err = new Error(message);
+    err.status = 400;
+    err.code = code;
+    return err;
+}
+
+/**
+ * Resolve the generic format's column mapping against the CSV headers.
+ * @param {string[]} headers
+ * @param {object|null} mapping - Canonical field -> header name
+ * @returns {object} Canonical field -> header name present in the CSV
+ */
+function resolveGenericMapping(headers, mapping = null) {
+    const byNormalized = new Map(headers.map((header) => [normalizeHeader(header), header]));
+    const resolved = {};
+
+    if (mapping && typeof mapping === 'object') {
+        for (const [field, header] of Object.entries(mapping)) {
+            if (!GENERIC_MAPPING_FIELDS.includes(field) || !normalizeString(header)) continue;
+            const match = byNormalized.get(normalizeHeader(header));
+            if (!match) {
+                throw createImportError(`Mapped column "${header}" was not found in the CSV`, 'import_mapping_invalid');
+            }
+            resolved[field] = match;
+        }
+    } else {
+        for (const field of GENERIC_MAPPING_FIELDS) {
+            const alias = GENERIC_COLUMN_ALIASES[field].find((name) => byNormalized.has(name));
+            if (alias) resolved[field] = byNormalized.get(alias);
+        }
+    }
+
+    if (!resolved.title) {
+        throw createImportError('A title column is required for generic imports', 'import_mapping_invalid');
+    }
+    return resolved;
+}
+
+function mapGenericRow({ rowNumber, values }, mapping) {
+    const read = (field) => (mapping[field] ? values[mapping[field]] : null);
+    return buildRow(rowNumber, {
+        title: read('title'),
+        primaryCreator: read('primaryCreator'),
+        year: parseYear(read('year')),
+        format: read('format'),
+        notes: read('notes'),
+        barcode: classifyCodes(read('isbn'), read('barcode')),
+    });
+}
+
+function detectImportFormat(headers) {
+    for (const [name, definition] of Object.entries(FORMAT_DEFINITIONS)) {
+        if (definition.detect(headers)) return name;
+    }
+    return IMPORT_FORMATS.GENERIC;
+}
+
+/**
+ * Canonical shelf types a format's rows belong on; null when any shelf fits.
+ */
+function getFormatShelfTypes(format) {
+    return FORMAT_DEFINITIONS[format]?.shelfTypes || null;
+}
+
+/**
+ * Map parsed CSV rows to import rows.
+ * @param {{ headers: string[], rows: Array }} parsed - Output of parseCsvWithHeaders
+ * @param {object} [options]
+ * @param {string} [options.format] - Force a format; detected from headers when omitted or 'auto'
+ * @param {object} [options.mapping] - Column mapping for the generic format
+ * @returns {{ format: string, rows: Array, mapping: object|null }}
+ */
+function mapImportRows(parsed, options = {}) {
+    const requested = normalizeHeader(options.format);
+    let format = requested && requested !== 'auto' ? requested : null;
+    if (format && format !== IMPORT_FORMATS.GENERIC && !FORMAT_DEFINITIONS[format]) {
+        throw createImportError(`Unsupported import format: ${options.format}`, 'import_format_unsupported');
+    }
+    if (!format) {
+        format = options.mapping ? IMPORT_FORMATS.GENERIC : detectImportFormat(parsed.headers);
+    }
+
+    if (format === IMPORT_FORMATS.GENERIC) {
+        const mapping = resolveGenericMapping(parsed.headers, options.mapping);
+        return { format, rows: parsed.rows.map((row) => mapGenericRow(row, mapping)), mapping };
+    }
+
+    const definition = FORMAT_DEFINITIONS[format];
+    if (!definition.detect(parsed.headers)) {
+        throw createImportError(`CSV headers do not match the ${format} export format`, 'import_format_mismatch');
+    }
+    return { format, rows: parsed.rows.map(definition.mapRow), mapping: null };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    GENERIC_MAPPING_FIELDS,
+    detectImportFormat,
+    getFormatShelfTypes,
+    resolveGenericMapping,
+    mapImportRows,
+};
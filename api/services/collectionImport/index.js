@@ -0,0 +1,57 @@
+/**
+ * Collection Import
+ *
+ * Turns an uploaded CSV export (Goodreads, Discogs collection, Letterboxd or a
+ * generic column-mapped file) into import rows for the `collection_import`
+ * workflow. Matching and shelf writes happen in the workflow handler.
+ */
+
+const { parseCsvWithHeaders } = require('./csvParser');
+const {
+    IMPORT_FORMATS,
+    GENERIC_MAPPING_FIELDS,
+    detectImportFormat,
+    getFormatShelfTypes,
+    mapImportRows,
+} = require('./importFormats');
+
+const IMPORT_ROW_STATUSES = Object.freeze({
+    MATCHED: 'matched',
+    CREATED_MANUAL: 'created_manual',
+    NEEDS_REVIEW: 'needs_review',
+    FAILED: 'failed',
+});
+
+/**
+ * @param {string} csvText
+ * @param {object} [options]
+ * @param {string} [options.format] - goodreads | discogs | letterboxd | generic | auto
+ * @param {object} [options.mapping] - Generic column mapping (field -> header)
+ * @param {number} [options.maxRows] - Reject files with more data rows than this
+ * @returns {{ format: string, rows: Array, mapping: object|null }}
+ */
+function parseCollectionImport(csvText, options = {}) {
+    const parsed = parseCsvWithHeaders(csvText);
+    if (!parsed.headers.length || !parsed.rows.length) {
+        const err = new Error('CSV file has no data rows');
+        err.status = 400;
+        err.code = 'import_empty';
+        throw err;
+    }
+    if (options.maxRows && parsed.rows.length > options.maxRows) {
+        const err = new Error(`A maximum of ${options.maxRows} rows can be imported at once`);
+        err.status = 400;
+        err.code = 'import_too_many_rows';
+        throw err;
+    }
+    return mapImportRows(parsed, options);
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    IMPORT_ROW_STATUSES,
+    GENERIC_MAPPING_FIELDS,
+    detectImportFormat,
+    getFormatShelfTypes,
+    parseCollectionImport,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+const goalsQueries = require('../database/queries/goals');
+const feedQueries = require('../database/queries/feed');
+const { getAllAliases, getAllCanonicalTypes } = require('./config/shelfTypeResolver');
+const logger = require('../logger');
+
+const GOAL_MILESTONES = [25, 50, 75, 100];
+const ALL_CATEGORIES = 'all';
+// Users fetched per page by the scheduled milestone sweep.
+const SWEEP_PAGE_SIZE = 500;
+
+/**
+ * Map user input ("book", "Records", "all") to a stored goal category: a
+ * canonical shelf type or 'all'. Returns null for anything unknown.
+ */
+function normalizeGoalCategory(input) {
+  const normalized = String(input || '').trim().toLowerCase();
+  if (!normalized) return null;
+  if (normalized === ALL_CATEGORIES) return ALL_CATEGORIES;
+  return getAllCanonicalTypes().find((type) => getAllAliases(type).includes(normalized)) || null;
+}
+
+/**
+ * Kinds/types counted towards a category, or null for 'all'.
+ */
+function resolveCategoryKinds(category) {
+  if (!category || category === ALL_CATEGORIES) return null;
+  return getAllAliases(category).map((alias) => String(alias).toLowerCase());
+}
+
+function reachedMilestone(count, target) {
+  if (!target) return 0;
+  const percent = (count / target) * 100;
+  return GOAL_MILESTONES.filter((milestone) => percent >= milestone).pop() || 0;
+}
+
+function withProgress(goal, count) {
+  const current = count || 0;
+  return {
+    ...goal,
+    progress: {
+      count: current,
+      percent: Math.min(100, Math.round((current / goal.target) * 100)),
+      completed: current >= goal.target,
+    },
+  };
+}
+
+/**
+ * Progress for one goal definition across several users (challenges use this
+ * for the leaderboard). Returns a Map of userId -> count.
+ */
+async function countForUsers(userIds, { year, category, metric }) {
+  return goalsQueries.countProgress(userIds, {
+    year,
+    metric,
+    kinds: resolveCategoryKinds(category),
+  });
+}
+
+/**
+ * A user's goals for `year`, each with `progress: { count, percent, completed }`.
+ */
+async function getGoalsWithProgress(userId, { year, includeFriendsOnly = true } = {}) {
+  const goals = await goalsQueries.listGoals(userId, { year, includeFriendsOnly });
+  return Promise.all(goals.map(async (goal) => {
+    const counts = await countForUsers([userId], goal);
+    return withProgress(goal, counts.get(userId));
+  }));
+}
+
+/**
+ * Catch `last_milestone` up with current progress without posting to the
+ * feed, so a new or re-targeted goal does not announce progress made before
+ * it existed.
+ */
+async function syncMilestoneBaseline(goal) {
+  const counts = await countForUsers([goal.userId], goal);
+  const count = counts.get(goal.userId) || 0;
+  const updated = await goalsQueries.updateGoal(goal.id, goal.userId, {
+    lastMilestone: reachedMilestone(count, goal.target),
+  });
+  return withProgress(updated || goal, count);
+}
+
+/**
+ * Post a `goal.milestone` feed event for each of the user's goals that has
+ * crossed a new 25/50/75/100% mark. Milestones are claimed first, so running
+ * this from several hooks at once still posts each one once.
+ *
+ * @returns {Promise<object[]>} the milestone events that were posted
+ */
+async function checkGoalMilestones(userId, { year = new Date().getUTCFullYear() } = {}) {
+  const goals = await goalsQueries.listGoals(userId, { year });
+  const posted = [];
+
+  for (const goal of goals) {
+    if (goal.lastMilestone >= 100) continue;
+    const counts = await countForUsers([userId], goal);
+    const count = counts.get(userId) || 0;
+    const milestone = reachedMilestone(count, goal.target);
+    if (milestone <= goal.lastMilestone) continue;
+
+    const claimed = await goalsQueries.claimMilestone(goal.id, milestone);
+    if (!claimed) continue;
+
+    const event = await feedQueries.logGoalMilestone({
+      userId,
+      visibility: goal.visibility,
+      payload: {
+        goalId: goal.id,
+        year: goal.year,
+        category: goal.category,
+        metric: goal.metric,
+        target: goal.target,
+        count,
+        milestone,
+      },
+    });
+    posted.push(event);
+  }
+
+  return posted;
+}
+
+/**
+ * Scheduled catch-up for milestones reached outside the request hooks (e.g.
+ * items added by the vision pipeline).
+ *
+ * @returns {Promise<{ users: number, posted: number }>}
+ */
+async function sweepGoalMilestones({ year = new Date().getUTCFullYear(), pageSize = SWEEP_PAGE_SIZE } = {}) {
+  let users = 0;
+  let posted = 0;
+  let afterUserId = null;
+
+  for (;;) {
+    const userIds = await goalsQueries.listUserIdsWithOpenGoals(year, { afterUserId, limit: pageSize });
+    for (const userId of userIds) {
+      try {
+        const events = await checkGoalMilestones(userId, { year });
+        posted += events.length;
+      } catch (err) {
+        logger.warn('[Goals] Failed to check milestones', { userId, error: err?.message || err });
+      }
+    }
+    users += userIds.length;
+    if (userIds.length < pageSize) break;
+    afterUserId = userIds[userIds.length - 1];
+  }
+
+  if (posted) {
+    logger.info(`[Goals] Posted ${posted} milestone(s) for ${users} user(s).`);
+  }
+  return { users, posted };
+}
+
+module.exports = {
+  GOAL_MILESTONES,
+  ALL_CATEGORIES,
+  normalizeGoalCategory,
+  resolveCategoryKinds,
+  reachedMilestone,
+  withProgress,
+  countForUsers,
+  getGoalsWithProgress,
+  syncMilestoneBaseline,
+  checkGoalMilestones,
+  sweepGoalMilestones,
+};
@@ -3,6 +3,7 @@ const { logPayload } = require('../utils/payloadLogger');
 const fs = require('fs');
 const path = require('path');
 const { normalizeCollectableKind } = require('./collectables/kind');
+const { cardPrintingKey } = require('./collectables/tabletopFields');
 const { withTimeout } = require('../utils/withTimeout');
 const {
     normalizeVisionBox2d,
@@ -105,10 +106,11 @@ class TokenAccumulator {
         this._nextId = 1;
     }
 
-    start(label) {
+    start(label, { model = null } = {}) {
         const call = {
             id: this._nextId++,
             label,
+            model,
             promptTokens: 0,
             candidatesTokens: 0,
             totalTokens: 0,
@@ -160,6 +162,7 @@ class TokenAccumulator {
             .filter((call) => call.includeInAudit)
             .map((call) => ({
                 label: call.label,
+                ...(call.model ? { model: call.model } : {}),
                 promptTokens: call.promptTokens,
                 candidatesTokens: call.candidatesTokens,
                 totalTokens: call.totalTokens,
@@ -384,6 +387,40 @@ function buildEnrichmentSchemaBlock(normalizedKind, categoryKey) {
             seriesHint: '{ "name": "string or null", "number": number or null } (box set/series if applicable)',
             coverUrlHint: 'URL to album art from reliable public sources, otherwise null',
         },
+        comics: {
+            identifiersHint: '{ "isbn13": "...", "upc": "...", "comicvineIssueId": "...", etc }',
+            formatHint: 'Single Issue, Trade Paperback, Hardcover, Omnibus, Tankobon, etc',
+            pageCountHint: 'number or null',
+            seriesHint: '{ "name": "string - series title without numbering", "number": null }',
+            coverUrlHint: 'URL to the issue cover from reliable public sources, otherwise null',
+            extraFields: `
+  "issueNumber": "string or null - single issue number as printed (e.g. \"12\", \"1A\")",
+  "volumeNumber": number or null - collected volume number (manga/TPB),`,
+        },
+        boardgames: {
+            identifiersHint: '{ "bggId": "...", "upc": "...", etc }',
+            formatHint: 'Base Game, Expansion, Big Box, etc',
+            pageCountHint: 'null',
+            seriesHint: '{ "name": "string or null - game family for expansions", "number": null }',
+            coverUrlHint: 'URL to the box art from reliable public sources, otherwise null',
+            extraFields: `
+  "minPlayers": number or null,
+  "maxPlayers": number or null,
+  "minPlayTime": number or null - minutes,
+  "maxPlayTime": number or null - minutes,`,
+        },
+        cards: {
+            identifiersHint: '{ "scryfallId": "...", "pokemontcgId": "...", "tcgplayerId": "...", etc }',
+            formatHint: 'Regular, Foil, Reverse Holo, etc',
+            pageCountHint: 'null',
+            seriesHint: '{ "name": "string or null - set name", "number": null }',
+            coverUrlHint: 'URL to the card image from reliable public sources, otherwise null',
+            extraFields: `
+  "cardGame": "string or null - Magic: The Gathering, Pokemon, etc",
+  "setCode": "string or null - set code as printed",
+  "setName": "string or null",
+  "collectorNumber": "string or null - collector number as printed (e.g. \"146\", \"4/102\")",`,
+        },
     };
 
     const hints = schemaHintsByCategory[categoryKey] || schemaHintsByCategory.book;
@@ -404,12 +441,297 @@ function buildEnrichmentSchemaBlock(normalizedKind, categoryKey) {
   "format": "string - physical format (${hints.formatHint})",
   "systemName": "string or null - console/system name (PlayStation 5, Nintendo Switch, Xbox Series X, etc)",
   "pageCount": ${hints.pageCountHint},
-  "series": ${hints.seriesHint},
+  "series": ${hints.seriesHint},${hints.extraFields || ''}
   "coverUrl": "string - ${hints.coverUrlHint}",
   "confidence": number 0.0-1.0
 }`;
 }
 
+function repairTruncatedJsonArray(jsonStr) {
+    // Find the last complete object by looking for "}," or "}" followed by truncation
+    const lastCompleteObj = jsonStr.lastIndexOf('},');
+    if (lastCompleteObj > 0) {
+        // Close the array after the last complete object
+        const repaired = jsonStr.substring(0, lastCompleteObj + 1) + ']';
+        try {
+            JSON.parse(repaired);
+            return repaired;
+        } catch (e) {
+            // Still invalid, try fallback
+        }
+    }
+
+    // Fallback: look for second-to-last complete object
+    const secondLast = jsonStr.lastIndexOf('},', lastCompleteObj - 1);
+    if (secondLast > 0) {
+        const repaired = jsonStr.substring(0, secondLast + 1) + ']';
+        try {
+            JSON.parse(repaired);
+            return repaired;
+        } catch (e) {
+            // Can't repair
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Repair common malformed JSON patterns from model responses without changing
+ * quoted text content. Example: `"box_2d":,` becomes `"box_2d": null,`.
+ * @param {string} jsonStr
+ * @returns {string|null}
+ */
+function repairMalformedJsonValues(jsonStr) {
+    if (typeof jsonStr !== 'string' || jsonStr.length === 0) return null;
+
+    let output = '';
+    let changed = false;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < jsonStr.length; i += 1) {
+        const ch = jsonStr[i];
+
+        if (inString) {
+            output += ch;
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+            output += ch;
+            continue;
+        }
+
+        if (ch === ':') {
+            output += ch;
+            let j = i + 1;
+            while (j < jsonStr.length && /\s/.test(jsonStr[j])) {
+                output += jsonStr[j];
+                j += 1;
+            }
+            const next = jsonStr[j];
+            if (next === ',' || next === ']' || next === '}') {
+                output += 'null';
+                changed = true;
+            }
+            i = j - 1;
+            continue;
+        }
+
+        if (ch === ',') {
+            let j = i + 1;
+            while (j < jsonStr.length && /\s/.test(jsonStr[j])) {
+                j += 1;
+            }
+            const next = jsonStr[j];
+            if (next === ']' || next === '}') {
+                changed = true;
+                continue;
+            }
+        }
+
+        output += ch;
+    }
+
+    return changed ? output : null;
+}
+
+/**
+ * Parse vision JSON with staged repair attempts.
+ * @param {string} jsonStr
+ * @returns {{ parsedItems: any, repairMode: string|null, parseError: Error|null }}
+ */
+function parseVisionJsonWithRepairs(jsonStr) {
+    const attempts = [];
+    const seen = new Set();
+    const pushAttempt = (mode, candidate) => {
+        if (typeof candidate !== 'string') return;
+        const normalized = candidate.trim();
+        if (!normalized || seen.has(normalized)) return;
+        seen.add(normalized);
+        attempts.push({ mode, value: normalized });
+    };
+
+    pushAttempt('raw', jsonStr);
+    const malformedRepaired = repairMalformedJsonValues(jsonStr);
+    pushAttempt('malformed', malformedRepaired);
+    pushAttempt('truncated', repairTruncatedJsonArray(jsonStr));
+    if (malformedRepaired) {
+        pushAttempt('malformed+truncated', repairTruncatedJsonArray(malformedRepaired));
+    }
+
+    let parseError = null;
+    for (const attempt of attempts) {
+        try {
+            return {
+                parsedItems: JSON.parse(attempt.value),
+                repairMode: attempt.mode === 'raw' ? null : attempt.mode,
+                parseError: null,
+            };
+        } catch (err) {
+            parseError = err;
+        }
+    }
+
+    return { parsedItems: [], repairMode: null, parseError };
+}
+
+function normalizeEnrichedItems(items, normalizedKind, source) {
+    return items.map(item => ({
+        ...item,
+        // Ensure kind is set correctly if AI hallucinated
+        kind: normalizedKind,
+        // Ensure array fields are arrays
+        publishers: Array.isArray(item.publishers) ? item.publishers : (item.publishers ? [item.publishers] : []),
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        identifiers: item.identifiers || {},
+        source
+    }));
+}
+
+/**
+ * Parse a raw enrichment response into normalized items. Truncated arrays are
+ * repaired down to their complete items and returned with a warning.
+ * Throws when the response is not valid JSON so callers can apply their own fallback.
+ * @param {string} text - Raw model response text
+ * @param {string} shelfType
+ * @param {{source?: string}} [options] - Source tag stamped on each item
+ * @returns {Array|{items: Array, warning: string}}
+ */
+function parseEnrichmentResponseText(text, shelfType, { source = 'gemini-schema-enriched' } = {}) {
+    const normalizedKind = normalizeCollectableKind(shelfType, shelfType);
+    const jsonStr = cleanJsonResponse(text);
+
+    // Check for truncation (incomplete JSON)
+    if (!jsonStr.endsWith(']')) {
+        logger.warn('[GoogleGeminiService] Response appears truncated, attempting repair...');
+        const repaired = repairTruncatedJsonArray(jsonStr);
+        if (repaired) {
+            const partialItems = JSON.parse(repaired);
+            logger.info('[GoogleGeminiService] Recovered', partialItems.length, 'items from truncated response');
+            return {
+                items: normalizeEnrichedItems(partialItems, normalizedKind, `${source}-partial`),
+                warning: 'Not all items could be processed. Try again or take multiple photos of smaller subsets.'
+            };
+        }
+    }
+
+    const enrichedItems = JSON.parse(jsonStr);
+
+    // Validation / Fallback for array
+    if (!Array.isArray(enrichedItems)) {
+        logger.warn('[GoogleGeminiService] Enrichment response was not an array:', enrichedItems);
+        return [];
+    }
+
+    return normalizeEnrichedItems(enrichedItems, normalizedKind, source);
+}
+
+/**
+ * Parse a raw vision extraction response into normalized shelf items.
+ * @param {string} text - Raw model response text
+ * @param {string} shelfType
+ * @returns {{items: Array<object>, warning: string|null}}
+ */
+function parseDetectionResponseText(text, shelfType) {
+    const normalizedKind = normalizeCollectableKind(shelfType, shelfType);
+    const jsonStr = cleanJsonResponse(text);
+    const { parsedItems: parsed, repairMode, parseError } = parseVisionJsonWithRepairs(jsonStr);
+    let parsedItems = parsed;
+    let warning = null;
+
+    if (repairMode) {
+        if (repairMode.includes('truncated')) {
+            warning = 'Vision response was truncated; only complete detected items were processed.';
+        } else if (repairMode.includes('malformed')) {
+            warning = 'Vision response contained malformed JSON; invalid fields were auto-corrected.';
+        }
+        logger.info('[GoogleGeminiService] Repaired vision JSON response', { repairMode });
+    } else if (parseError) {
+        logger.warn('[GoogleGeminiService] Failed to parse vision JSON after repair attempts:', parseError);
+    }
+
+    if (!Array.isArray(parsedItems)) {
+        if (parsedItems && Array.isArray(parsedItems.items)) {
+            parsedItems = parsedItems.items;
+        } else {
+            logger.warn('[GoogleGeminiService] Vision response was not an array:', parsedItems);
+            parsedItems = [];
+        }
+    }
+
+    const items = parsedItems.map((item, index) => {
+        const raw = item && typeof item === 'object' ? item : {};
+        const title = normalizeString(raw.title || raw.name || raw.itemName);
+        if (!title) return null;
+        const author = normalizeString(
+            raw.author || raw.primaryCreator || raw.creator || raw.brand || raw.publisher || raw.manufacturer,
+        );
+        const primaryCreator = normalizeString(
+            raw.primaryCreator || raw.author || raw.creator || raw.brand || raw.publisher || raw.manufacturer,
+        );
+        const confidenceProvided = Number.isFinite(Number(raw.confidence));
+        const rawBox2d = normalizeBox2d(raw.box_2d || raw.box2d);
+        const quad2d = normalizeQuad2d(raw.quad_2d || raw.quad2d);
+        const derivedBox2d = quad2d
+            ? deriveVisionBox2dFromQuad2d(quad2d, { mode: BOX_COORDINATE_MODES.NORMALIZED })
+            : null;
+        return {
+            ...raw,
+            name: title,
+            title,
+            author: author || null,
+            primaryCreator: primaryCreator || null,
+            type: normalizedKind,
+            kind: normalizedKind,
+            confidence: coerceConfidence(raw.confidence),
+            confidenceProvided,
+            extractionIndex: coerceExtractionIndex(raw.extractionIndex, index),
+            box2d: derivedBox2d || rawBox2d,
+            quad2d,
+        };
+    }).filter(Boolean).slice(0, MAX_VISION_ITEMS);
+
+    return { items, warning };
+}
+
+/**
+ * Parse one dense box refinement response into boxes/quads keyed by extractionIndex.
+ * @param {string} text - Raw model response text
+ * @returns {{boxes: Map<number, Array>, quads: Map<number, Array>, repairMode: string|null, parseError: Error|null}}
+ */
+function parseDenseBoxRefinementResponseText(text) {
+    const jsonStr = cleanJsonResponse(text);
+    const { parsedItems, repairMode, parseError } = parseVisionJsonWithRepairs(jsonStr);
+    const boxes = new Map();
+    const quads = new Map();
+
+    const parsedArray = Array.isArray(parsedItems) ? parsedItems : [];
+    for (const entry of parsedArray) {
+        const extractionIndex = coerceExtractionIndex(entry?.extractionIndex, null);
+        const rawBox2d = normalizeBox2d(entry?.box_2d || entry?.box2d);
+        const quad2d = normalizeQuad2d(entry?.quad_2d || entry?.quad2d);
+        const derivedBox2d = quad2d
+            ? deriveVisionBox2dFromQuad2d(quad2d, { mode: BOX_COORDINATE_MODES.NORMALIZED })
+            : null;
+        const box2d = derivedBox2d || rawBox2d;
+        if (extractionIndex == null || !box2d) continue;
+        boxes.set(extractionIndex, box2d);
+        if (quad2d) quads.set(extractionIndex, quad2d);
+    }
+
+    return { boxes, quads, repairMode, parseError };
+}
+
 class GoogleGeminiService {
     constructor(options = {}) {
         const apiKey = process.env.GOOGLE_GEN_AI_KEY;
@@ -552,141 +874,15 @@ ${hintLines}`;
      * @returns {string|null} - Repaired JSON array or null if not recoverable
      */
     repairTruncatedJsonArray(jsonStr) {
-        // Find the last complete object by looking for "}," or "}" followed by truncation
-        const lastCompleteObj = jsonStr.lastIndexOf('},');
-        if (lastCompleteObj > 0) {
-            // Close the array after the last complete object
-            const repaired = jsonStr.substring(0, lastCompleteObj + 1) + ']';
-            try {
-                JSON.parse(repaired);
-                return repaired;
-            } catch (e) {
-                // Still invalid, try fallback
-            }
-        }
-
-        // Fallback: look for second-to-last complete object
-        const secondLast = jsonStr.lastIndexOf('},', lastCompleteObj - 1);
-        if (secondLast > 0) {
-            const repaired = jsonStr.substring(0, secondLast + 1) + ']';
-            try {
-                JSON.parse(repaired);
-                return repaired;
-            } catch (e) {
-                // Can't repair
-            }
-        }
-
-        return null;
+        return repairTruncatedJsonArray(jsonStr);
     }
 
-    /**
-     * Repair common malformed JSON patterns from model responses without changing
-     * quoted text content. Example: `"box_2d":,` becomes `"box_2d": null,`.
-     * @param {string} jsonStr
-     * @returns {string|null}
-     */
     repairMalformedJsonValues(jsonStr) {
-        if (typeof jsonStr !== 'string' || jsonStr.length === 0) return null;
-
-        let output = '';
-        let changed = false;
-        let inString = false;
-        let escaped = false;
-
-        for (let i = 0; i < jsonStr.length; i += 1) {
-            const ch = jsonStr[i];
-
-            if (inString) {
-                output += ch;
-                if (escaped) {
-                    escaped = false;
-                } else if (ch === '\\') {
-                    escaped = true;
-                } else if (ch === '"') {
-                    inString = false;
-                }
-                continue;
-            }
-
-            if (ch === '"') {
-                inString = true;
-                output += ch;
-                continue;
-            }
-
-            if (ch === ':') {
-                output += ch;
-                let j = i + 1;
-                while (j < jsonStr.length && /\s/.test(jsonStr[j])) {
-                    output += jsonStr[j];
-                    j += 1;
-                }
-                const next = jsonStr[j];
-                if (next === ',' || next === ']' || next === '}') {
-                    output += 'null';
-                    changed = true;
-                }
-                i = j - 1;
-                continue;
-            }
-
-            if (ch === ',') {
-                let j = i + 1;
-                while (j < jsonStr.length && /\s/.test(jsonStr[j])) {
-                    j += 1;
-                }
-                const next = jsonStr[j];
-                if (next === ']' || next === '}') {
-                    changed = true;
-                    continue;
-                }
-            }
-
-            output += ch;
-        }
-
-        return changed ? output : null;
+        return repairMalformedJsonValues(jsonStr);
     }
 
-    /**
-     * Parse vision JSON with staged repair attempts.
-     * @param {string} jsonStr
-     * @returns {{ parsedItems: any, repairMode: string|null, parseError: Error|null }}
-     */
     parseVisionJsonWithRepairs(jsonStr) {
-        const attempts = [];
-        const seen = new Set();
-        const pushAttempt = (mode, candidate) => {
-            if (typeof candidate !== 'string') return;
-            const normalized = candidate.trim();
-            if (!normalized || seen.has(normalized)) return;
-            seen.add(normalized);
-            attempts.push({ mode, value: normalized });
-        };
-
-        pushAttempt('raw', jsonStr);
-        const malformedRepaired = this.repairMalformedJsonValues(jsonStr);
-        pushAttempt('malformed', malformedRepaired);
-        pushAttempt('truncated', this.repairTruncatedJsonArray(jsonStr));
-        if (malformedRepaired) {
-            pushAttempt('malformed+truncated', this.repairTruncatedJsonArray(malformedRepaired));
-        }
-
-        let parseError = null;
-        for (const attempt of attempts) {
-            try {
-                return {
-                    parsedItems: JSON.parse(attempt.value),
-                    repairMode: attempt.mode === 'raw' ? null : attempt.mode,
-                    parseError: null,
-                };
-            } catch (err) {
-                parseError = err;
-            }
-        }
-
-        return { parsedItems: [], repairMode: null, parseError };
+        return parseVisionJsonWithRepairs(jsonStr);
     }
 
     buildVisionPrompt(shelfType, shelfDescription = null, shelfName = null) {
@@ -771,7 +967,8 @@ Do not include explanations or markdown.`;
 
         const itemText = items.map((i, idx) => {
             const extractionIndex = Number.isInteger(i?.extractionIndex) ? i.extractionIndex : idx;
-            return `[extractionIndex=${extractionIndex}] "${i.name || i.title}"${i.author ? ` by ${i.author}` : ''}`;
+            const printing = cardPrintingKey(i);
+            return `[extractionIndex=${extractionIndex}] "${i.name || i.title}"${i.author ? ` by ${i.author}` : ''}${printing ? ` (printing ${printing})` : ''}`;
         }).join('\n');
 
         // Schema definition shared by both prompt variants
@@ -815,7 +1012,7 @@ ${schemaBlock}
 
 Return ONLY valid JSON array. No markdown, no explanation.`;
 
-        const tokenCall = this.tokenAccumulator?.start('schema_enrichment');
+        const tokenCall = this.tokenAccumulator?.start('schema_enrichment', { model: this.textModelName });
         try {
             const result = await this._executeEnrichmentRequest(
                 prompt, conversationHistory, 'schema enrichment'
@@ -838,50 +1035,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
                 }
             });
 
-            // Clean markdown if present
-            const jsonStr = cleanJsonResponse(text);
-
-            // Check for truncation (incomplete JSON)
-            if (!jsonStr.endsWith(']')) {
-                logger.warn('[GoogleGeminiService] Response appears truncated, attempting repair...');
-                const repaired = this.repairTruncatedJsonArray(jsonStr);
-                if (repaired) {
-                    const partialItems = JSON.parse(repaired);
-                    logger.info('[GoogleGeminiService] Recovered', partialItems.length, 'items from truncated response');
-                    const items = partialItems.map(item => ({
-                        ...item,
-                        kind: normalizedKind,
-                        publishers: Array.isArray(item.publishers) ? item.publishers : (item.publishers ? [item.publishers] : []),
-                        tags: Array.isArray(item.tags) ? item.tags : [],
-                        identifiers: item.identifiers || {},
-                        source: 'gemini-schema-enriched-partial'
-                    }));
-                    return {
-                        items,
-                        warning: 'Not all items could be processed. Try again or take multiple photos of smaller subsets.'
-                    };
-                }
-            }
-
-            const enrichedItems = JSON.parse(jsonStr);
-
-            // Validation / Fallback for array
-            if (!Array.isArray(enrichedItems)) {
-                logger.warn('[GoogleGeminiService] Response was not an array:', enrichedItems);
-                return [];
-            }
-
-
-            return enrichedItems.map(item => ({
-                ...item,
-                // Ensure kind is set correctly if AI hallucinated
-                kind: normalizedKind,
-                // Ensure array fields are arrays
-                publishers: Array.isArray(item.publishers) ? item.publishers : (item.publishers ? [item.publishers] : []),
-                tags: Array.isArray(item.tags) ? item.tags : [],
-                identifiers: item.identifiers || {},
-                source: 'gemini-schema-enriched'
-            }));
+            return parseEnrichmentResponseText(text, shelfType, { source: 'gemini-schema-enriched' });
 
         } catch (err) {
             this.tokenAccumulator?.fail(tokenCall, err);
@@ -924,7 +1078,8 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
         const specificInstruction = visionTypeSettings.enrichmentPrompt || categoryPrompts[categoryKey] || categoryPrompts['book'];
         const itemText = items.map((i, idx) => {
             const extractionIndex = Number.isInteger(i?.extractionIndex) ? i.extractionIndex : idx;
-            return `[extractionIndex=${extractionIndex}] "${i.name || i.title}"${i.author ? ` by ${i.author}` : ''}`;
+            const printing = cardPrintingKey(i);
+            return `[extractionIndex=${extractionIndex}] "${i.name || i.title}"${i.author ? ` by ${i.author}` : ''}${printing ? ` (printing ${printing})` : ''}`;
         }).join('\n');
 
         // Schema definition shared by both prompt variants (now includes extractionIndex + _originalTitle)
@@ -971,7 +1126,7 @@ ${schemaBlock}
 
 Return ONLY valid JSON array. No markdown, no explanation.`;
 
-        const tokenCall = this.tokenAccumulator?.start('uncertain_enrichment');
+        const tokenCall = this.tokenAccumulator?.start('uncertain_enrichment', { model: this.textModelName });
         try {
             const result = await this._executeEnrichmentRequest(
                 prompt, conversationHistory, 'uncertain enrichment'
@@ -990,46 +1145,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
                 payload: { model: this.modelName, promptPreview: prompt.substring(0, 300), text }
             });
 
-            const jsonStr = cleanJsonResponse(text);
-
-            // Check for truncation (incomplete JSON)
-            if (!jsonStr.endsWith(']')) {
-                logger.warn('[GoogleGeminiService] Response appears truncated, attempting repair...');
-                // Try to extract complete items before the truncation point
-                const repaired = this.repairTruncatedJsonArray(jsonStr);
-                if (repaired) {
-                    const partialItems = JSON.parse(repaired);
-                    logger.info('[GoogleGeminiService] Recovered', partialItems.length, 'items from truncated response');
-                    const items = partialItems.map(item => ({
-                        ...item,
-                        kind: normalizedKind,
-                        publishers: Array.isArray(item.publishers) ? item.publishers : (item.publishers ? [item.publishers] : []),
-                        tags: Array.isArray(item.tags) ? item.tags : [],
-                        identifiers: item.identifiers || {},
-                        source: 'gemini-uncertain-enriched-partial'
-                    }));
-                    return {
-                        items,
-                        warning: 'Not all items could be processed. Try again or take multiple photos of smaller subsets.'
-                    };
-                }
-            }
-
-            const enrichedItems = JSON.parse(jsonStr);
-
-            if (!Array.isArray(enrichedItems)) {
-                logger.warn('[GoogleGeminiService] Uncertain response was not an array:', enrichedItems);
-                return [];
-            }
-
-            return enrichedItems.map(item => ({
-                ...item,
-                kind: normalizedKind,
-                publishers: Array.isArray(item.publishers) ? item.publishers : (item.publishers ? [item.publishers] : []),
-                tags: Array.isArray(item.tags) ? item.tags : [],
-                identifiers: item.identifiers || {},
-                source: 'gemini-uncertain-enriched'
-            }));
+            return parseEnrichmentResponseText(text, shelfType, { source: 'gemini-uncertain-enriched' });
 
         } catch (err) {
             this.tokenAccumulator?.fail(tokenCall, err);
@@ -1061,7 +1177,6 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
 
         const resolvedOptions = options && typeof options === 'object' ? options : {};
         const pass = resolvedOptions.pass === 'second' ? 'second' : 'first';
-        const normalizedKind = normalizeCollectableKind(shelfType, shelfType);
         const { data, mimeType } = parseInlineImage(base64Image);
         const isOther = shelfType === 'other';
         const priorConversationHistory = Array.isArray(resolvedOptions.conversationHistory)
@@ -1113,7 +1228,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
             let visionResult = null;
             const maxAttempts = 2;
             for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-                visionTokenCall = this.tokenAccumulator?.start('vision_extraction');
+                visionTokenCall = this.tokenAccumulator?.start('vision_extraction', { model: this.visionModelName });
                 try {
                     if (canUseVisionChatMode) {
                         const chatParams = {
@@ -1162,30 +1277,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
                 }
             });
 
-            const jsonStr = cleanJsonResponse(visionText);
-            const { parsedItems: parsed, repairMode, parseError } = this.parseVisionJsonWithRepairs(jsonStr);
-            let parsedItems = parsed;
-            let warning = null;
-
-            if (repairMode) {
-                if (repairMode.includes('truncated')) {
-                    warning = 'Vision response was truncated; only complete detected items were processed.';
-                } else if (repairMode.includes('malformed')) {
-                    warning = 'Vision response contained malformed JSON; invalid fields were auto-corrected.';
-                }
-                logger.info('[GoogleGeminiService] Repaired vision JSON response', { repairMode });
-            } else if (parseError) {
-                logger.warn('[GoogleGeminiService] Failed to parse vision JSON after repair attempts:', parseError);
-            }
-
-            if (!Array.isArray(parsedItems)) {
-                if (parsedItems && Array.isArray(parsedItems.items)) {
-                    parsedItems = parsedItems.items;
-                } else {
-                    logger.warn('[GoogleGeminiService] Vision response was not an array:', parsedItems);
-                    parsedItems = [];
-                }
-            }
+            const { items, warning } = parseDetectionResponseText(visionText, shelfType);
 
             // Build conversation history from vision extraction for downstream enrichment
             const userContent = canUseVisionChatMode
@@ -1209,37 +1301,6 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
                 )
                 : (canUseVisionChatMode ? [...priorConversationHistory] : null);
 
-            const items = parsedItems.map((item, index) => {
-                const raw = item && typeof item === 'object' ? item : {};
-                const title = normalizeString(raw.title || raw.name || raw.itemName);
-                if (!title) return null;
-                const author = normalizeString(
-                    raw.author || raw.primaryCreator || raw.creator || raw.brand || raw.publisher || raw.manufacturer,
-                );
-                const primaryCreator = normalizeString(
-                    raw.primaryCreator || raw.author || raw.creator || raw.brand || raw.publisher || raw.manufacturer,
-                );
-                const confidenceProvided = Number.isFinite(Number(raw.confidence));
-                const rawBox2d = normalizeBox2d(raw.box_2d || raw.box2d);
-                const quad2d = normalizeQuad2d(raw.quad_2d || raw.quad2d);
-                const derivedBox2d = quad2d
-                    ? deriveVisionBox2dFromQuad2d(quad2d, { mode: BOX_COORDINATE_MODES.NORMALIZED })
-                    : null;
-                return {
-                    ...raw,
-                    name: title,
-                    title,
-                    author: author || null,
-                    primaryCreator: primaryCreator || null,
-                    type: normalizedKind,
-                    kind: normalizedKind,
-                    confidence: coerceConfidence(raw.confidence),
-                    confidenceProvided,
-                    extractionIndex: coerceExtractionIndex(raw.extractionIndex, index),
-                    box2d: derivedBox2d || rawBox2d,
-                    quad2d,
-                };
-            }).filter(Boolean).slice(0, MAX_VISION_ITEMS);
             const missingConfidenceCount = items.filter((item) => item.confidenceProvided === false).length;
             let confidencePatchedCount = 0;
             let confidencePatchRequested = false;
@@ -1251,7 +1312,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
             ) {
                 confidencePatchRequested = true;
                 const missingItems = items.filter((item) => item.confidenceProvided === false);
-                const patchTokenCall = this.tokenAccumulator?.start('confidence_patch');
+                const patchTokenCall = this.tokenAccumulator?.start('confidence_patch', { model: this.visionModelName });
                 try {
                     const patchChat = this.visionModel.startChat({
                         history: conversationHistory,
@@ -1372,7 +1433,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
         for (let batchIndex = 0; batchIndex < batches.length; batchIndex += 1) {
             const batch = batches[batchIndex];
             const prompt = buildDenseBoxRefinementPrompt(batch);
-            const tokenCall = this.tokenAccumulator?.start('dense_box_refinement');
+            const tokenCall = this.tokenAccumulator?.start('dense_box_refinement', { model: this.visionModelName });
 
             try {
                 let result;
@@ -1431,8 +1492,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
                     },
                 });
 
-                const jsonStr = cleanJsonResponse(text);
-                const { parsedItems, repairMode, parseError } = this.parseVisionJsonWithRepairs(jsonStr);
+                const { boxes, quads, repairMode, parseError } = parseDenseBoxRefinementResponseText(text);
                 if (repairMode) {
                     logger.info('[GoogleGeminiService] Repaired dense box refinement JSON response', {
                         batchIndex,
@@ -1444,20 +1504,8 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
                         error: parseError?.message || String(parseError),
                     });
                 }
-
-                const parsedArray = Array.isArray(parsedItems) ? parsedItems : [];
-                for (const entry of parsedArray) {
-                    const extractionIndex = coerceExtractionIndex(entry?.extractionIndex, null);
-                    const rawBox2d = normalizeBox2d(entry?.box_2d || entry?.box2d);
-                    const quad2d = normalizeQuad2d(entry?.quad_2d || entry?.quad2d);
-                    const derivedBox2d = quad2d
-                        ? deriveVisionBox2dFromQuad2d(quad2d, { mode: BOX_COORDINATE_MODES.NORMALIZED })
-                        : null;
-                    const box2d = derivedBox2d || rawBox2d;
-                    if (extractionIndex == null || !box2d) continue;
-                    refinedBoxesByIndex.set(extractionIndex, box2d);
-                    if (quad2d) refinedQuadsByIndex.set(extractionIndex, quad2d);
-                }
+                boxes.forEach((box2d, extractionIndex) => refinedBoxesByIndex.set(extractionIndex, box2d));
+                quads.forEach((quad2d, extractionIndex) => refinedQuadsByIndex.set(extractionIndex, quad2d));
             } catch (err) {
                 this.tokenAccumulator?.fail(tokenCall, err);
                 logger.warn('[GoogleGeminiService] Dense box refinement batch failed; keeping first-pass boxes', {
@@ -1524,7 +1572,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
         let tokenCall = null;
         const maxAttempts = 2;
         for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-            tokenCall = this.tokenAccumulator?.start('scout');
+            tokenCall = this.tokenAccumulator?.start('scout', { model: this.visionModelName });
             try {
                 result = await withTimeout(
                     () => limitGemini(() => this.visionModel.generateContent(generateOptions)),
@@ -1556,6 +1604,7 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
                     model: this.visionModelName,
                     promptPreview: scoutPrompt.substring(0, 200),
                     responsePreview: String(responseText).substring(0, 500),
+                    text: responseText,
                 },
             });
 
@@ -1568,4 +1617,11 @@ Return ONLY valid JSON array. No markdown, no explanation.`;
 
 }
 
-module.exports = { GoogleGeminiService, getVisionSettingsForType, TokenAccumulator };
+module.exports = {
+    GoogleGeminiService,
+    getVisionSettingsForType,
+    TokenAccumulator,
+    parseDetectionResponseText,
+    parseEnrichmentResponseText,
+    parseDenseBoxRefinementResponseText,
+};
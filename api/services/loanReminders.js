@@ -0,0 +1,81 @@
+'use strict';
+
+const itemLoansQueries = require('../database/queries/itemLoans');
+const notificationsQueries = require('../database/queries/notifications');
+const logger = require('../logger');
+
+function ownerDisplayName(loan) {
+  return loan.owner.firstName || loan.owner.username || 'its owner';
+}
+
+function buildOwnerMessage(loan) {
+  const title = loan.item.title || 'An item';
+  return `${title} was due back from ${loan.borrower.name} on ${loan.dueAt}.`;
+}
+
+function buildBorrowerMessage(loan) {
+  const title = loan.item.title || 'An item you borrowed';
+  return `${title} was due back to ${ownerDisplayName(loan)} on ${loan.dueAt}.`;
+}
+
+function buildMetadata(loan, role, summaryMessage) {
+  return {
+    loanId: loan.id,
+    role,
+    itemId: loan.itemId,
+    shelfId: role === 'owner' ? loan.shelfId : null,
+    itemTitle: loan.item.title,
+    borrowerName: loan.borrower.name,
+    dueAt: loan.dueAt,
+    summaryMessage,
+  };
+}
+
+/**
+ * Send one `loan_overdue` notification (push + in-app) per overdue loan to the
+ * owner, and to the borrower when they are a ShelvesAI user. Each loan is
+ * claimed before sending, so a loan is reminded once per due date.
+ *
+ * @returns {Promise<{ claimed: number, notified: number }>}
+ */
+async function sendOverdueLoanReminders({ limit = 200 } = {}) {
+  const loans = await itemLoansQueries.claimOverdueForReminder({ limit });
+  let notified = 0;
+
+  for (const loan of loans) {
+    try {
+      const sent = await notificationsQueries.create({
+        userId: loan.owner.id,
+        actorId: loan.borrower.userId,
+        type: 'loan_overdue',
+        entityId: loan.id,
+        entityType: 'loan',
+        metadata: buildMetadata(loan, 'owner', buildOwnerMessage(loan)),
+      });
+      if (sent) notified += 1;
+
+      if (loan.borrower.userId) {
+        const borrowerSent = await notificationsQueries.create({
+          userId: loan.borrower.userId,
+          actorId: loan.owner.id,
+          type: 'loan_overdue',
+          entityId: loan.id,
+          entityType: 'loan',
+          metadata: buildMetadata(loan, 'borrower', buildBorrowerMessage(loan)),
+        });
+        if (borrowerSent) notified += 1;
+      }
+    } catch (err) {
+      logger.warn('[Loans] Failed to send overdue reminder', { loanId: loan.id, error: err?.message || err });
+    }
+  }
+
+  if (loans.length) {
+    logger.info(`[Loans] Sent ${notified} overdue reminder(s) for ${loans.length} loan(s).`);
+  }
+  return { claimed: loans.length, notified };
+}
+
+module.exports = {
+  sendOverdueLoanReminders,
+};
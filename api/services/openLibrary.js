@@ -308,6 +308,45 @@ async function fetchEditionJson(editionKeyOrId) {
   return fetchJson(url);
 }
 
+function normaliseEditionJson(ej, { fallbackKey = null, fallbackPublishers = null } = {}) {
+  const key = ej?.key || fallbackKey;
+  const coverId = Array.isArray(ej?.covers) ? ej.covers.find((id) => Number(id) > 0) : null;
+  return {
+    key,
+    id: extractIdFromKey(key),
+    title: ej?.title || null,
+    subtitle: ej?.subtitle || null,
+    number_of_pages: ej?.number_of_pages || null,
+    pagination: ej?.pagination || null,
+    publish_date: ej?.publish_date || null,
+    publishers: Array.isArray(ej?.publishers) ? ej.publishers : Array.isArray(fallbackPublishers) ? fallbackPublishers : [],
+    isbn_10: Array.isArray(ej?.isbn_10) ? ej.isbn_10 : null,
+    isbn_13: Array.isArray(ej?.isbn_13) ? ej.isbn_13 : null,
+    physical_format: ej?.physical_format || null,
+    weight: ej?.weight || null,
+    languages: Array.isArray(ej?.languages)
+      ? ej.languages.map((l) => extractIdFromKey(l?.key)).filter(Boolean)
+      : null,
+    coverUrl: coverId ? coverUrlFromId(coverId, 'M') : null,
+  };
+}
+
+/**
+ * All editions of a work (one page of /works/:id/editions.json).
+ * @param {string} workKeyOrId - "/works/OL1892617W" or "OL1892617W"
+ * @param {{ limit?: number }} [options]
+ */
+async function fetchWorkEditions(workKeyOrId, { limit = 50 } = {}) {
+  if (!workKeyOrId) return [];
+  const path = makePathFromIdentifier(String(workKeyOrId));
+  const safeLimit = Math.min(Math.max(Number(limit) || 50, 1), 100);
+  const json = await fetchJson(`${getBaseUrl()}${path}/editions.json?limit=${safeLimit}`);
+  const entries = Array.isArray(json?.entries) ? json.entries : [];
+  return entries
+    .filter((entry) => entry?.key)
+    .map((entry) => normaliseEditionJson(entry));
+}
+
 function pickEditionKey(doc) {
   // Heuristic: prefer first edition; if present, prefer one with cover or isbn in the doc's arrays
   if (!Array.isArray(doc?.edition_key) || doc.edition_key.length === 0) return null;
@@ -367,23 +406,10 @@ async function hydrateDoc(doc) {
   if (chosenEditionKey) {
     try {
       const ej = await fetchEditionJson(chosenEditionKey);
-      edition = {
-        key: ej?.key || `/books/${chosenEditionKey}`,
-        id: extractIdFromKey(ej?.key || `/books/${chosenEditionKey}`),
-        title: ej?.title || null,
-        subtitle: ej?.subtitle || null,
-        number_of_pages: ej?.number_of_pages || null,
-        pagination: ej?.pagination || null,
-        publish_date: ej?.publish_date || null,
-        publishers: Array.isArray(ej?.publishers) ? ej.publishers : Array.isArray(doc.publisher) ? doc.publisher : [],
-        isbn_10: Array.isArray(ej?.isbn_10) ? ej.isbn_10 : null,
-        isbn_13: Array.isArray(ej?.isbn_13) ? ej.isbn_13 : null,
-        physical_format: ej?.physical_format || null,
-        weight: ej?.weight || null,
-        languages: Array.isArray(ej?.languages)
-          ? ej.languages.map((l) => extractIdFromKey(l?.key)).filter(Boolean)
-          : null,
-      };
+      edition = normaliseEditionJson(ej, {
+        fallbackKey: `/books/${chosenEditionKey}`,
+        fallbackPublishers: doc.publisher,
+      });
     } catch {
       // ignore
     }
@@ -708,8 +734,9 @@ module.exports = {
   // Back-compat (now hydrated)
   lookupWorkBookMetadata,
   lookupWorkByISBN,
-  // Direct helper
+  // Direct helpers
   hydrateWorkByKey,
+  fetchWorkEditions,
   // Canonical Collection doc mapper
   toCollectionDoc,
 };
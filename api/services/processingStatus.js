@@ -1,13 +1,26 @@
 /**
  * Processing Status Service
  * 
- * In-memory cache for tracking vision processing job status.
- * Enables progress polling and abort functionality.
+ * Per-process cache for tracking vision processing job status.
+ * Progress of running queue jobs is written through to `workflow_queue_jobs`
+ * so any API instance can report it and it survives a restart.
  */
 
+const workflowQueueJobs = require('../database/queries/workflowQueueJobs');
+const logger = require('../logger');
+
 // Job status storage: jobId -> { status, step, progress, message, aborted, result, createdAt }
 const jobs = new Map();
 
+// Progress writes are throttled per job; a trailing write always lands the latest state.
+const parsedPersistInterval = Number.parseInt(process.env.PROCESSING_STATUS_PERSIST_INTERVAL_MS || '', 10);
+const PERSIST_INTERVAL_MS = Number.isFinite(parsedPersistInterval) && parsedPersistInterval >= 0
+    ? parsedPersistInterval
+    : 1000;
+
+// jobId -> { lastAt, timer, untracked }
+const persistState = new Map();
+
 // Keep terminal statuses for at least 24h by default; configurable for ops tuning.
 const parsedTtl = Number.parseInt(process.env.PROCESSING_STATUS_TTL_MS || '', 10);
 const JOB_TTL_MS = Number.isFinite(parsedTtl) && parsedTtl > 0
@@ -51,6 +64,7 @@ function updateJob(jobId, updates) {
 
     Object.assign(job, updates);
     job.updatedAt = Date.now();
+    persistProgress(job);
     return job;
 }
 
@@ -76,6 +90,7 @@ function abortJob(jobId, options = {}) {
     if (options.preserveStatus !== true) {
         job.status = 'aborted';
         job.message = options.message || 'Processing cancelled by user';
+        clearPersist(jobId);
     }
     job.updatedAt = Date.now();
     return true;
@@ -105,6 +120,7 @@ function completeJob(jobId, result) {
     job.message = 'Processing complete';
     job.result = result;
     job.updatedAt = Date.now();
+    clearPersist(jobId);
     return job;
 }
 
@@ -120,6 +136,7 @@ function failJob(jobId, error) {
     job.status = 'failed';
     job.message = error || 'Processing failed';
     job.updatedAt = Date.now();
+    clearPersist(jobId);
     return job;
 }
 
@@ -142,28 +159,134 @@ function setJob(jobId, snapshot = {}) {
     }
     jobs.set(jobId, merged);
     scheduleCleanup(jobId);
+    persistProgress(merged);
     return merged;
 }
 
+/**
+ * Map a durable `workflow_queue_jobs` row to the job status shape.
+ * @param {object} queueJob - Camel-cased queue row
+ * @returns {object|null}
+ */
+function snapshotFromQueueJob(queueJob) {
+    if (!queueJob) return null;
+    // Dead-lettered jobs are failures as far as the owner is concerned; only admins requeue them.
+    const status = queueJob.status === 'dead' ? 'failed' : (queueJob.status || 'queued');
+    const storedProgress = Number(queueJob.progress);
+    const defaultMessage = {
+        queued: 'Queued for processing',
+        processing: 'Processing in progress',
+        completed: 'Processing complete',
+        aborted: 'Processing cancelled by user',
+    }[status];
+    let progress = Number.isFinite(storedProgress) ? storedProgress : 0;
+    if (status === 'completed') progress = 100;
+
+    return {
+        jobId: queueJob.jobId,
+        userId: queueJob.userId,
+        shelfId: queueJob.shelfId || null,
+        status,
+        step: status === 'processing' || status === 'queued'
+            ? (queueJob.step || status)
+            : status,
+        progress,
+        message: status === 'failed'
+            ? (queueJob.error?.message || 'Processing failed')
+            : (status === 'processing' || status === 'queued') && queueJob.progressMessage
+                ? queueJob.progressMessage
+                : defaultMessage,
+        aborted: status === 'aborted' || queueJob.abortRequested === true,
+        result: queueJob.result || null,
+    };
+}
+
+/**
+ * Write a running job's progress to its queue row (throttled, fire-and-forget).
+ * Jobs with no queue row stop persisting after the first miss.
+ */
+function persistProgress(job) {
+    if (!job?.jobId || job.status !== 'processing') return;
+    let state = persistState.get(job.jobId);
+    if (!state) {
+        state = { lastAt: 0, timer: null, untracked: false };
+        persistState.set(job.jobId, state);
+    }
+    if (state.untracked || state.timer) return;
+
+    const waitMs = state.lastAt + PERSIST_INTERVAL_MS - Date.now();
+    if (waitMs > 0) {
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            writeProgress(job.jobId);
+        }, waitMs);
+        if (typeof state.timer.unref === 'function') state.timer.unref();
+        return;
+    }
+    writeProgress(job.jobId);
+}
+
+function writeProgress(jobId) {
+    const job = jobs.get(jobId);
+    const state = persistState.get(jobId);
+    if (!job || !state || job.status !== 'processing') {
+        clearPersist(jobId);
+        return;
+    }
+    state.lastAt = Date.now();
+    workflowQueueJobs.updateProgress({
+        jobId,
+        step: job.step || null,
+        progress: job.progress,
+        message: job.message || null,
+    })
+        .then((persisted) => {
+            if (!persisted) {
+                state.untracked = true;
+                return;
+            }
+            // An abort accepted by another instance reaches the running pipeline here.
+            if (persisted.abortRequested) {
+                job.aborted = true;
+            }
+        })
+        .catch((err) => {
+            logger.warn('[ProcessingStatus] failed to persist job progress', {
+                jobId,
+                error: err?.message || err,
+            });
+        });
+}
+
+function clearPersist(jobId) {
+    const state = persistState.get(jobId);
+    if (state?.timer) clearTimeout(state.timer);
+    persistState.delete(jobId);
+}
+
 /**
  * Schedule job cleanup after TTL
  */
 function scheduleCleanup(jobId) {
-    setTimeout(() => {
+    const timer = setTimeout(() => {
         jobs.delete(jobId);
+        clearPersist(jobId);
     }, JOB_TTL_MS);
+    // Expiry must not keep the process (or a test run) alive.
+    if (typeof timer.unref === 'function') timer.unref();
 }
 
 /**
  * Generate a unique job ID
  * @param {number} userId 
  * @param {number} shelfId 
+ * @param {string} [prefix] - Workflow prefix, e.g. 'vision' or 'import'
  * @returns {string}
  */
-function generateJobId(userId, shelfId) {
+function generateJobId(userId, shelfId, prefix = 'vision') {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substring(2, 8);
-    return `vision-${userId}-${shelfId}-${timestamp}-${random}`;
+    return `${prefix}-${userId}-${shelfId}-${timestamp}-${random}`;
 }
 
 module.exports = {
@@ -175,5 +298,6 @@ module.exports = {
     completeJob,
     failJob,
     setJob,
+    snapshotFromQueueJob,
     generateJobId,
 };
@@ -18,6 +18,10 @@ function buildPushContent(type, actorName, metadata = {}) {
         mention: 'You were mentioned',
         workflow_complete: 'Scan Complete',
         workflow_failed: 'Scan Failed',
+        vision_quota_warning: 'Vision Usage',
+        loan_overdue: 'Loan Overdue',
+        goal_challenge: 'New Challenge',
+        wishlist_alert: 'Wishlist Alert',
     };
 
     const bodyMap = {
@@ -28,6 +32,10 @@ function buildPushContent(type, actorName, metadata = {}) {
         mention: `${actorName} mentioned you in a comment: "${truncate(metadata.preview || '', 50)}"`,
         workflow_complete: truncate(metadata.summaryMessage || "Your queued workflow finished successfully.", 120),
         workflow_failed: truncate(metadata.summaryMessage || "Your queued workflow failed. Open the app to retry.", 120),
+        vision_quota_warning: truncate(metadata.summaryMessage || "You're close to your vision scan allowance.", 120),
+        loan_overdue: truncate(metadata.summaryMessage || 'A lent item is past its due date.', 120),
+        goal_challenge: `${actorName} challenged you: "${truncate(metadata.title || 'a yearly goal', 50)}"`,
+        wishlist_alert: truncate(metadata.summaryMessage || 'There is news about an item on your wishlist.', 120),
     };
 
     return {
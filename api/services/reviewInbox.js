@@ -0,0 +1,95 @@
+'use strict';
+
+const { normalizeSearchText } = require('../utils/searchNormalization');
+const { tokenSimilarity } = require('./catalog/bookMatchUtils');
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Shared with jobs/cleanupNeedsReview.js so the inbox warns about the same
+// cutoff the cleanup job deletes at.
+const NEEDS_REVIEW_EXPIRY_DAYS = parsePositiveInt(process.env.NEEDS_REVIEW_EXPIRY_DAYS, 7);
+const NEEDS_REVIEW_EXPIRY_WARNING_HOURS = parsePositiveInt(process.env.NEEDS_REVIEW_EXPIRY_WARNING_HOURS, 48);
+const REVIEW_SUGGESTION_LIMIT = 5;
+const REVIEW_BATCH_MAX_ITEMS = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * When a pending review item will be deleted by the cleanup job, and whether
+ * that falls inside the warning window.
+ *
+ * @param {{ createdAt: string|Date }} item
+ * @param {object} [options] - { now, expiryDays, warningHours }
+ * @returns {{ expiresAt: string|null, expiringSoon: boolean }}
+ */
+function describeReviewExpiry(item, {
+  now = Date.now(),
+  expiryDays = NEEDS_REVIEW_EXPIRY_DAYS,
+  warningHours = NEEDS_REVIEW_EXPIRY_WARNING_HOURS,
+} = {}) {
+  const createdAt = item?.createdAt ? new Date(item.createdAt).getTime() : NaN;
+  if (!Number.isFinite(createdAt)) return { expiresAt: null, expiringSoon: false };
+  const expiresAt = createdAt + (expiryDays * 24 * HOUR_MS);
+  return {
+    expiresAt: new Date(expiresAt).toISOString(),
+    expiringSoon: expiresAt - now <= warningHours * HOUR_MS,
+  };
+}
+
+function textSimilarity(a, b) {
+  const left = normalizeSearchText(a);
+  const right = normalizeSearchText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.includes(right) || right.includes(left)) {
+    return Math.min(left.length, right.length) / Math.max(left.length, right.length);
+  }
+  return tokenSimilarity(left, right);
+}
+
+/**
+ * Score how well a catalog candidate fits what was read for a review item.
+ * Title dominates; the creator only counts when both sides have one.
+ */
+function scoreReviewCandidate(rawData, candidate) {
+  const titleScore = textSimilarity(rawData?.title || rawData?.name, candidate?.title || candidate?.name);
+  const readCreator = rawData?.primaryCreator || rawData?.author;
+  const candidateCreator = candidate?.primaryCreator || candidate?.author;
+  if (!readCreator || !candidateCreator) return Math.round(titleScore * 1000) / 1000;
+  const creatorScore = textSimilarity(readCreator, candidateCreator);
+  return Math.round(((titleScore * 0.75) + (creatorScore * 0.25)) * 1000) / 1000;
+}
+
+/**
+ * Order catalog suggestions for a review item, best first. Ties prefer
+ * collectables already in our database, then richer metadata.
+ *
+ * @param {object} rawData - needs_review.raw_data
+ * @param {Array<object>} suggestions - from CollectableMatchingService.search()
+ * @param {object} [options] - { limit }
+ * @returns {Array<object>} suggestions with `rankScore`
+ */
+function rankReviewCandidates(rawData, suggestions = [], { limit = REVIEW_SUGGESTION_LIMIT } = {}) {
+  return (Array.isArray(suggestions) ? suggestions : [])
+    .filter(Boolean)
+    .map((candidate) => ({ ...candidate, rankScore: scoreReviewCandidate(rawData, candidate) }))
+    .sort((a, b) => (
+      (b.rankScore - a.rankScore)
+      || ((b.id ? 1 : 0) - (a.id ? 1 : 0))
+      || ((b._metadataScore || 0) - (a._metadataScore || 0))
+    ))
+    .slice(0, limit);
+}
+
+module.exports = {
+  NEEDS_REVIEW_EXPIRY_DAYS,
+  NEEDS_REVIEW_EXPIRY_WARNING_HOURS,
+  REVIEW_SUGGESTION_LIMIT,
+  REVIEW_BATCH_MAX_ITEMS,
+  describeReviewExpiry,
+  scoreReviewCandidate,
+  rankReviewCandidates,
+};
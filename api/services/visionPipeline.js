@@ -1,10 +1,11 @@
-const { GoogleGeminiService, getVisionSettingsForType, TokenAccumulator } = require('./googleGemini');
+const { getVisionSettingsForType, TokenAccumulator } = require('./googleGemini');
 // const { GoogleCloudVisionService } = require('./googleCloudVision'); // Temporarily disabled; keep for easy re-enable.
 const collectablesQueries = require('../database/queries/collectables');
 const needsReviewQueries = require('../database/queries/needsReview');
 const shelvesQueries = require('../database/queries/shelves');
 const feedQueries = require('../database/queries/feed');
 const visionItemRegionsQueries = require('../database/queries/visionItemRegions');
+const shelfLayoutQueries = require('../database/queries/shelfLayout');
 const { transaction } = require('../database/pg');
 const {
     makeCollectableFingerprint,
@@ -24,6 +25,7 @@ const {
     OTHER_MANUAL_FUZZY_REVIEW_MIN_THRESHOLD,
 } = require('./manuals/otherManual');
 const { HOOK_TYPES } = require('./visionPipelineHooks');
+const { createVisionProvider } = require('./visionProviders');
 const {
     BOX_COORDINATE_MODES,
     normalizeVisionDimension,
@@ -55,6 +57,14 @@ const {
     deduplicateSliceDetections,
 } = require('./visionSlicer');
 const { extractRegionCrop } = require('./visionCropper');
+const {
+    DEFAULT_EDGE_BAND_RATIO,
+    SESSION_INDEX_STRIDE,
+    fromSessionExtractionIndex,
+    reconcileSessionDetections,
+    toSessionExtractionIndex,
+} = require('./visionSessionReconciler');
+const { buildShelfPlacements } = require('./visionShelfLayout');
 
 const { getSharedCatalogServices } = require('./catalog/sharedCatalogServices');
 const { getMetadataScorer } = require('./catalog/MetadataScorer');
@@ -65,6 +75,18 @@ const {
     isStrongBookAuthorMatch,
 } = require('./catalog/bookMatchUtils');
 const { getApiContainerKey } = require('./config/shelfTypeResolver');
+const {
+    applyComicNumbering,
+    normalizeIssueNumber,
+    normalizeSeriesName,
+    normalizeVolumeNumber,
+} = require('./collectables/comicNumbering');
+const {
+    cardPrintingKey,
+    normalizePlayerCount,
+    pickTabletopFields,
+} = require('./collectables/tabletopFields');
+const matchCorrections = require('./collectables/matchCorrections');
 const logger = require('../logger');
 
 // Load progress messages config
@@ -95,6 +117,53 @@ function getProgressMessage(key, vars = {}) {
     };
 }
 
+/**
+ * Build the per-job progress/abort helpers shared by processImage and processSession.
+ * Progress is monotonic so nested phases never move the bar backwards.
+ */
+function createJobProgressHelpers(jobId = null, abortCheck = null) {
+    // Helper to update progress if jobId is provided (uses config for messaging)
+    const updateProgress = (key, vars = {}) => {
+        if (jobId) {
+            const { step, progress, message } = getProgressMessage(key, vars);
+            const currentProgress = Number(processingStatus.getJob(jobId)?.progress);
+            const nextProgress = Number(progress);
+            const resolvedProgress = Number.isFinite(currentProgress)
+                ? Math.max(currentProgress, nextProgress)
+                : nextProgress;
+            processingStatus.updateJob(jobId, { step, progress: resolvedProgress, message, status: 'processing' });
+        }
+    };
+
+    // Helper to check if job was aborted
+    const checkAborted = async () => {
+        let aborted = false;
+        if (jobId && processingStatus.isAborted(jobId)) {
+            aborted = true;
+        }
+        if (!aborted && abortCheck) {
+            try {
+                aborted = (await abortCheck()) === true;
+            } catch (err) {
+                logger.warn('[VisionPipeline] abort check failed; continuing', {
+                    jobId,
+                    message: err?.message || String(err),
+                });
+            }
+        }
+        if (aborted) {
+            if (jobId) {
+                processingStatus.abortJob(jobId, { preserveStatus: true });
+            }
+            const abortErr = new Error('Processing cancelled by user');
+            abortErr.code = 'WORKFLOW_ABORTED';
+            throw abortErr;
+        }
+    };
+
+    return { updateProgress, checkAborted };
+}
+
 function resolveScoutExtractingProgressState(scoutResult) {
     const regionCount = Array.isArray(scoutResult?.regions) ? scoutResult.regions.length : 0;
     const count = Number(scoutResult?.fullImageEstimatedItemCount);
@@ -162,6 +231,7 @@ const VISION_SLICE_THRESHOLD = parsePositiveIntegerEnv(process.env.VISION_SLICE_
 const VISION_SLICE_COUNT = parsePositiveIntegerEnv(process.env.VISION_SLICE_COUNT, 4);
 const VISION_SLICE_OVERLAP_RATIO = parseFloat(process.env.VISION_SLICE_OVERLAP_RATIO || '0.12');
 const VISION_DEDUPE_IOU_THRESHOLD = parseFloat(process.env.VISION_DEDUPE_IOU_THRESHOLD || '0.4');
+const VISION_SESSION_EDGE_BAND_RATIO = parseFloat(process.env.VISION_SESSION_EDGE_BAND_RATIO || String(DEFAULT_EDGE_BAND_RATIO));
 const DEFAULT_STRICT_NAME_MATCH_SETTINGS = Object.freeze({
     enabled: true,
     candidateLimit: 3,
@@ -500,10 +570,47 @@ function buildGenericManualPayload(item, shelfType, manualFingerprint) {
     };
 }
 
+function resolveScanSessionContext(scanSession) {
+    if (!scanSession || typeof scanSession !== 'object') return null;
+    const photoIds = Array.isArray(scanSession.photoIds) ? scanSession.photoIds : [];
+    if (!photoIds.length) return null;
+    return {
+        sessionId: Number.isInteger(scanSession.sessionId) ? scanSession.sessionId : null,
+        photoIds,
+        indexStride: Number.isInteger(scanSession.indexStride) && scanSession.indexStride > 0
+            ? scanSession.indexStride
+            : SESSION_INDEX_STRIDE,
+    };
+}
+
+/**
+ * Map an item's extractionIndex onto the vision_item_regions row it came from.
+ * Single-photo scans use the scan photo directly; scan sessions fold the photo
+ * position into the index (see visionSessionReconciler).
+ */
+function resolveScanRegionRef(item, context = {}) {
+    const extractionIndex = normalizeExtractionIndex(item?.extractionIndex);
+    if (extractionIndex == null) return null;
+    const scanSession = context?.scanSession;
+    if (scanSession && Array.isArray(scanSession.photoIds)) {
+        const decoded = fromSessionExtractionIndex(extractionIndex, scanSession.indexStride);
+        const scanPhotoId = decoded ? scanSession.photoIds[decoded.photoPosition] : null;
+        if (!Number.isInteger(scanPhotoId)) return null;
+        return { scanPhotoId, extractionIndex: decoded.extractionIndex };
+    }
+    if (!Number.isInteger(context?.scanPhotoId)) return null;
+    return { scanPhotoId: context.scanPhotoId, extractionIndex };
+}
+
 function buildReviewQueueRawData(item, context = {}) {
+    const sessionRegionRef = context?.scanSession ? resolveScanRegionRef(item, context) : null;
     const reviewContext = {
-        scanPhotoId: Number.isInteger(context?.scanPhotoId) ? context.scanPhotoId : null,
-        extractionIndex: normalizeExtractionIndex(item?.extractionIndex),
+        scanPhotoId: sessionRegionRef
+            ? sessionRegionRef.scanPhotoId
+            : (Number.isInteger(context?.scanPhotoId) ? context.scanPhotoId : null),
+        extractionIndex: sessionRegionRef
+            ? sessionRegionRef.extractionIndex
+            : normalizeExtractionIndex(item?.extractionIndex),
         shelfType: normalizeString(context?.shelfType) || null,
         reason: normalizeString(context?.reason) || null,
     };
@@ -992,7 +1099,14 @@ class VisionPipelineService {
         this.ocrEnabled = options.ocrEnabled ?? (process.env.VISION_OCR_ENABLED !== 'false');
         this.catalogEnabled = options.catalogEnabled ?? (process.env.VISION_CATALOG_ENABLED !== 'false');
         this.enrichmentEnabled = options.enrichmentEnabled ?? (process.env.VISION_ENRICHMENT_ENABLED !== 'false');
-        this.geminiService = options.geminiService || new GoogleGeminiService();
+        // AI budget degradation can switch slicing off for a single job.
+        this.slicingEnabled = options.slicingEnabled ?? VISION_SLICE_ENABLED;
+        this.visionProvider = options.visionProvider || createVisionProvider({
+            provider: options.visionProviderName,
+            geminiService: options.geminiService,
+        });
+        // Direct Gemini client access for callers that predate providers; null when replaying fixtures.
+        this.geminiService = this.visionProvider.geminiService || null;
         // this.visionService = new GoogleCloudVisionService();
         this.reviewQueueAvailable = true;
         this.collectionItemRegionLinkAvailable = true;
@@ -1056,52 +1170,22 @@ class VisionPipelineService {
         const abortCheck = typeof resolvedOptions.abortCheck === 'function'
             ? resolvedOptions.abortCheck
             : null;
+        const scanSession = resolveScanSessionContext(resolvedOptions.scanSession);
+        // Region re-identification passes rows that already exist; rewriting them
+        // would drop every other region on the scan.
+        const persistRegions = resolvedOptions.persistRegions !== false;
 
-        // Helper to update progress if jobId is provided (uses config for messaging)
-        const updateProgress = (key, vars = {}) => {
-            if (jobId) {
-                const { step, progress, message } = getProgressMessage(key, vars);
-                const currentProgress = Number(processingStatus.getJob(jobId)?.progress);
-                const nextProgress = Number(progress);
-                const resolvedProgress = Number.isFinite(currentProgress)
-                    ? Math.max(currentProgress, nextProgress)
-                    : nextProgress;
-                processingStatus.updateJob(jobId, { step, progress: resolvedProgress, message, status: 'processing' });
-            }
-        };
-
-        // Helper to check if job was aborted
-        const checkAborted = async () => {
-            let aborted = false;
-            if (jobId && processingStatus.isAborted(jobId)) {
-                aborted = true;
-            }
-            if (!aborted && abortCheck) {
-                try {
-                    aborted = (await abortCheck()) === true;
-                } catch (err) {
-                    logger.warn('[VisionPipeline] abort check failed; continuing', {
-                        jobId,
-                        message: err?.message || String(err),
-                    });
-                }
-            }
-            if (aborted) {
-                if (jobId) {
-                    processingStatus.abortJob(jobId, { preserveStatus: true });
-                }
-                const abortErr = new Error('Processing cancelled by user');
-                abortErr.code = 'WORKFLOW_ABORTED';
-                throw abortErr;
-            }
-        };
+        const { updateProgress, checkAborted } = createJobProgressHelpers(jobId, abortCheck);
 
         // Track any warnings from enrichment (e.g., truncated responses)
         const warnings = [];
 
-        // Track token usage across all Gemini calls for this job
-        const tokenAccumulator = new TokenAccumulator();
-        this.geminiService.tokenAccumulator = tokenAccumulator;
+        // Track token usage across all Gemini calls for this job (scan sessions pass
+        // their own accumulator so per-photo extraction is billed with the rest).
+        const tokenAccumulator = resolvedOptions.tokenAccumulator instanceof TokenAccumulator
+            ? resolvedOptions.tokenAccumulator
+            : new TokenAccumulator();
+        this.visionProvider.setTokenAccumulator(tokenAccumulator);
 
         // Get per-type confidence thresholds from config
         const typeSettings = getVisionSettingsForType(shelf.type) || {};
@@ -1139,6 +1223,7 @@ class VisionPipelineService {
             ocrProvider,
             scanPhotoId,
             scanPhotoDimensions,
+            scanSession,
             saveTracking,
             catalogContext,
         };
@@ -1148,120 +1233,19 @@ class VisionPipelineService {
         logger.info('[VisionPipeline] Step 1: Extracting items from image via vision OCR...');
         let rawItems = [];
         let conversationHistory = null;
-        const extractionHeartbeatTimeouts = [];
-        const clearExtractionHeartbeatTimeouts = () => {
-            if (extractionHeartbeatTimeouts.length === 0) return;
-            for (const timeoutId of extractionHeartbeatTimeouts) {
-                clearTimeout(timeoutId);
-            }
-            extractionHeartbeatTimeouts.length = 0;
-        };
         if (providedRawItems) {
             rawItems = providedRawItems;
             // MLKit fallback: no Gemini extraction, so no conversation history
         } else if (this.ocrEnabled) {
-            const isOther = isOtherShelfType(shelf.type);
-
-            if (VISION_SCOUT_ENABLED && !isOther) {
-                // === SCOUT → CROP → QUEUE → REASSEMBLE ===
-                updateProgress('scouting');
-                try {
-                    const scoutResult = await this.runScoutPhase(imageBase64, shelf.type, scanPhotoDimensions);
-                    const extractingProgressState = resolveScoutExtractingProgressState(scoutResult);
-
-                    const needsMultiRegionHandling = scoutResult.regions.length > 1;
-                    if (needsMultiRegionHandling || scoutResult.shouldSlice) {
-                        // Multi-region or dense shelf: iterate all regions (slicing per-region as needed)
-                        await checkAborted();
-                        updateProgress('slicing');
-                        const sliceResult = await this.runSliceDetectionPhase(
-                            imageBase64,
-                            shelf,
-                            scoutResult,
-                            scanPhotoDimensions,
-                            { updateProgress, checkAborted, extractingProgressState },
-                        );
-                        rawItems = sliceResult.items;
-                        conversationHistory = null; // no single conversation when multi-slice
-                        if (sliceResult.warnings?.length) warnings.push(...sliceResult.warnings);
-                    } else {
-                        // Sparse shelf or slicing disabled: single-region detection
-                        await checkAborted();
-                        updateProgress(extractingProgressState.key, extractingProgressState.vars);
-                        let extractionInFlight = true;
-                        if (jobId) {
-                            extractionHeartbeatTimeouts.push(setTimeout(() => {
-                                if (!extractionInFlight) return;
-                                updateProgress('extractingInFlight');
-                            }, 3000));
-                            extractionHeartbeatTimeouts.push(setTimeout(() => {
-                                if (!extractionInFlight) return;
-                                updateProgress('extractingDeepParse');
-                            }, 9000));
-                        }
-                        try {
-                            const detectionResult = await this.runSingleRegionDetection(
-                                imageBase64, shelf, scoutResult, scanPhotoDimensions,
-                            );
-                            rawItems = detectionResult.items;
-                            conversationHistory = detectionResult.conversationHistory;
-                            if (detectionResult.warning) warnings.push(detectionResult.warning);
-                        } finally {
-                            extractionInFlight = false;
-                            clearExtractionHeartbeatTimeouts();
-                        }
-                    }
-                } catch (scoutErr) {
-                    // Re-throw abort errors — don't waste a Gemini call on cancelled work
-                    if (scoutErr?.code === 'WORKFLOW_ABORTED') throw scoutErr;
-                    // Scout failed — fall back to legacy extraction
-                    logger.warn('[VisionPipeline] Scout phase failed, falling back to legacy extraction:', scoutErr?.message || scoutErr);
-                    updateProgress('extracting');
-                    let extractionInFlight = true;
-                    if (jobId) {
-                        extractionHeartbeatTimeouts.push(setTimeout(() => {
-                            if (!extractionInFlight) return;
-                            updateProgress('extractingInFlight');
-                        }, 3000));
-                        extractionHeartbeatTimeouts.push(setTimeout(() => {
-                            if (!extractionInFlight) return;
-                            updateProgress('extractingDeepParse');
-                        }, 9000));
-                    }
-                    try {
-                        const extractResult = await this.extractItems(imageBase64, shelf.type, shelf.description, shelf.name);
-                        rawItems = extractResult.items;
-                        conversationHistory = extractResult.conversationHistory;
-                        if (extractResult.warning) warnings.push(extractResult.warning);
-                    } finally {
-                        extractionInFlight = false;
-                        clearExtractionHeartbeatTimeouts();
-                    }
-                }
-            } else {
-                // === LEGACY PATH: "other" shelves + scout-disabled fallback ===
-                updateProgress('extracting');
-                let extractionInFlight = true;
-                if (jobId) {
-                    extractionHeartbeatTimeouts.push(setTimeout(() => {
-                        if (!extractionInFlight) return;
-                        updateProgress('extractingInFlight');
-                    }, 3000));
-                    extractionHeartbeatTimeouts.push(setTimeout(() => {
-                        if (!extractionInFlight) return;
-                        updateProgress('extractingDeepParse');
-                    }, 9000));
-                }
-                try {
-                    const extractResult = await this.extractItems(imageBase64, shelf.type, shelf.description, shelf.name);
-                    rawItems = extractResult.items;
-                    conversationHistory = extractResult.conversationHistory;
-                    if (extractResult.warning) warnings.push(extractResult.warning);
-                } finally {
-                    extractionInFlight = false;
-                    clearExtractionHeartbeatTimeouts();
-                }
-            }
+            const extraction = await this.extractImageItems(imageBase64, shelf, {
+                jobId,
+                scanPhotoDimensions,
+                updateProgress,
+                checkAborted,
+            });
+            rawItems = extraction.items;
+            conversationHistory = extraction.conversationHistory;
+            if (extraction.warnings.length > 0) warnings.push(...extraction.warnings);
         } else {
             throw new Error('Vision OCR disabled and no rawItems provided');
         }
@@ -1275,9 +1259,14 @@ class VisionPipelineService {
             },
         });
         const isOtherShelf = isOtherShelfType(shelf.type);
+        const isComicShelf = getApiContainerKey(shelf.type) === 'comics';
         let normalizedItems = (isOtherShelf
             ? rawItems.map(item => normalizeOtherManualItem(item, shelf.type))
-            : rawItems
+            : isComicShelf
+                // Fold issue/volume numbers into titles so OCR de-duplication
+                // keeps "Saga #1" and "Saga #2" apart.
+                ? rawItems.map(applyComicNumbering)
+                : rawItems
         ).map((item, index) => ({
             ...item,
             extractionIndex: normalizeExtractionIndex(item?.extractionIndex) ?? index,
@@ -1296,14 +1285,14 @@ class VisionPipelineService {
             && !!imageBase64
             && VISION_DENSE_BOX_REFINEMENT_ENABLED
             && normalizedItems.length > VISION_DENSE_BOX_REFINEMENT_THRESHOLD
-            && typeof this.geminiService.refineDenseItemBoxes === 'function'
+            && this.visionProvider.supportsDenseBoxRefinement()
         );
 
         if (canRefineDenseOtherBoxes) {
             await checkAborted();
             updateProgress('refiningDenseBoxes', { count: normalizedItems.length });
             try {
-                const refinementResult = await this.geminiService.refineDenseItemBoxes(
+                const refinementResult = await this.visionProvider.refineDenseItemBoxes(
                     imageBase64,
                     shelf.type,
                     normalizedItems,
@@ -1364,7 +1353,7 @@ class VisionPipelineService {
             }
         }
 
-        if (scanPhotoId) {
+        if (scanPhotoId && persistRegions) {
             await this.persistVisionRegions(
                 normalizedItems,
                 userId,
@@ -1659,6 +1648,9 @@ class VisionPipelineService {
 
             const totalNeedsReview = lowConfidence.length + itemsToReview.length + skippedItems.length + possibleDuplicateItems.length;
             const existingItemsCount = matchedItems.length;
+            if (scanPhotoId && !scanSession) {
+                await this.updateShelfLayout({ userId, shelfId: shelf.id, scanPhotoIds: [scanPhotoId] });
+            }
             logger.info('[VisionPipeline] === processImage Complete (other) ===', {
                 extracted: extractedCount,
                 added: addedItems.length,
@@ -1695,7 +1687,7 @@ class VisionPipelineService {
         const unmatchedHigh = [];
         for (const item of dedupedHigh) {
             await checkAborted();
-            const collectable = await this.matchCollectable(item, shelf.type);
+            const collectable = await this.matchCollectable(item, shelf.type, { userId });
             if (collectable) {
                 matched.push({ ...item, collectable, source: 'database-match' });
             } else {
@@ -1835,7 +1827,7 @@ class VisionPipelineService {
         if (dedupedMid.length > 0) {
             logger.info('[VisionPipeline] Step 4b: Medium-confidence matching (fingerprint first)...');
             for (const item of dedupedMid) {
-                const collectable = await this.matchCollectable(item, shelf.type);
+                const collectable = await this.matchCollectable(item, shelf.type, { userId });
                 if (collectable) {
                     mediumMatched.push({ ...item, collectable, source: 'database-match' });
                 } else {
@@ -1923,7 +1915,7 @@ class VisionPipelineService {
                 }
 
                 // Use enrichUncertain for medium-confidence items if available
-                const enrichResult = typeof this.geminiService.enrichWithSchemaUncertain === 'function'
+                const enrichResult = this.visionProvider.supportsUncertainEnrichment()
                     ? await this.enrichUncertain(mediumCatalogResults.unresolved, shelf.type, conversationHistory)
                     : await this.enrichUnresolved(mediumCatalogResults.unresolved, shelf.type, conversationHistory);
 
@@ -2212,6 +2204,10 @@ class VisionPipelineService {
                 ...catalogDiagnostics,
             });
         }
+        if (scanPhotoId && !scanSession) {
+            await this.updateShelfLayout({ userId, shelfId: shelf.id, scanPhotoIds: [scanPhotoId] });
+        }
+
         logger.info('[VisionPipeline] === processImage Complete ===', {
             extracted: extractedCount,
             added: addedItems.length,
@@ -2242,6 +2238,322 @@ class VisionPipelineService {
         };
     }
 
+    /**
+     * Process a multi-photo scan session as a single shelf scan.
+     * Each photo is extracted and has its regions persisted on its own; the same
+     * item seen in the overlap of neighbouring photos is reconciled before
+     * anything reaches saveToShelf, then the combined detections run through
+     * processImage so matching, review and notifications happen once.
+     *
+     * @param {Array<{ scanPhotoId: number, imageBase64: string, dimensions?: object }>} photos - In capture order
+     * @param {object} shelf - Shelf object with id and type
+     * @param {number} userId - User ID
+     * @param {string} [jobId] - Optional job ID for progress tracking
+     * @param {object} [options] - { sessionId, abortCheck, catalogContext, edgeBandRatio, panAxis }
+     */
+    async processSession(photos, shelf, userId, jobId = null, options = {}) {
+        if (!shelf || !shelf.type) throw new Error('Invalid shelf provided');
+        const sessionPhotos = (Array.isArray(photos) ? photos : [])
+            .filter((photo) => Number.isInteger(photo?.scanPhotoId) && !!photo?.imageBase64);
+        if (sessionPhotos.length === 0) throw new Error('Scan session has no photos');
+        if (!this.ocrEnabled) throw new Error('Vision OCR disabled; scan sessions require vision OCR');
+        logger.info('[VisionPipeline] === Starting processSession ===', {
+            shelfId: shelf.id,
+            shelfType: shelf.type,
+            userId,
+            jobId,
+            sessionId: options?.sessionId ?? null,
+            photoCount: sessionPhotos.length,
+        });
+
+        const abortCheck = typeof options?.abortCheck === 'function' ? options.abortCheck : null;
+        const { updateProgress, checkAborted } = createJobProgressHelpers(jobId, abortCheck);
+        const tokenAccumulator = new TokenAccumulator();
+        this.visionProvider.setTokenAccumulator(tokenAccumulator);
+        const warnings = [];
+        const detections = [];
+
+        for (let position = 0; position < sessionPhotos.length; position += 1) {
+            const photo = sessionPhotos[position];
+            const dimensions = resolveScanDimensions(photo.dimensions);
+            await checkAborted();
+            updateProgress('sessionPhoto', { current: position + 1, total: sessionPhotos.length });
+
+            // No updateProgress here: per-photo extraction phases would overwrite "photo N of M".
+            const extraction = await this.extractImageItems(photo.imageBase64, shelf, {
+                jobId,
+                scanPhotoDimensions: dimensions,
+                checkAborted,
+            });
+            if (extraction.warnings.length > 0) warnings.push(...extraction.warnings);
+
+            const photoItems = extraction.items.map((item, index) => ({
+                ...item,
+                extractionIndex: normalizeExtractionIndex(item?.extractionIndex) ?? index,
+                quad2d: normalizeQuad2d(pickPreferredQuad2d(item), { mode: BOX_COORDINATE_MODES.PROVIDER_AUTO }),
+                box2d: normalizeBox2d(pickPreferredBox2d(item), {
+                    ...(dimensions || {}),
+                    mode: BOX_COORDINATE_MODES.PROVIDER_AUTO,
+                }),
+            }));
+            await this.persistVisionRegions(photoItems, userId, shelf.id, photo.scanPhotoId, dimensions);
+
+            for (const item of photoItems) {
+                const sessionIndex = toSessionExtractionIndex(position, item.extractionIndex);
+                if (sessionIndex == null) continue;
+                detections.push({ ...item, extractionIndex: sessionIndex, sessionPhotoIndex: position });
+            }
+        }
+
+        await checkAborted();
+        updateProgress('reconciling', { count: detections.length });
+        const reconciliation = reconcileSessionDetections(detections, {
+            shelfType: shelf.type,
+            edgeBandRatio: options?.edgeBandRatio ?? VISION_SESSION_EDGE_BAND_RATIO,
+            panAxis: options?.panAxis,
+        });
+        logger.info('[VisionPipeline] Scan session reconciliation complete', {
+            shelfId: shelf.id,
+            sessionId: options?.sessionId ?? null,
+            detectedCount: detections.length,
+            reconciledCount: reconciliation.detections.length,
+            mergedCount: reconciliation.mergedCount,
+        });
+
+        const scanSession = {
+            sessionId: Number.isInteger(options?.sessionId) ? options.sessionId : null,
+            photoIds: sessionPhotos.map((photo) => photo.scanPhotoId),
+            indexStride: SESSION_INDEX_STRIDE,
+        };
+        const result = await this.processImage(null, shelf, userId, jobId, {
+            rawItems: reconciliation.detections,
+            ocrProvider: 'gemini',
+            scanSession,
+            tokenAccumulator,
+            abortCheck,
+            catalogContext: options?.catalogContext,
+        });
+
+        await this.propagateSessionRegionLinks(reconciliation.merges, scanSession);
+        await this.updateShelfLayout({
+            userId,
+            shelfId: shelf.id,
+            scanPhotoIds: scanSession.photoIds,
+            panAxis: options?.panAxis,
+        });
+
+        const combinedWarnings = [...warnings, ...(Array.isArray(result?.warnings) ? result.warnings : [])];
+        return {
+            ...result,
+            warnings: combinedWarnings.length > 0 ? combinedWarnings : undefined,
+            session: {
+                sessionId: scanSession.sessionId,
+                photoCount: sessionPhotos.length,
+                detectedCount: detections.length,
+                mergedCount: reconciliation.mergedCount,
+            },
+        };
+    }
+
+    /**
+     * Reconciled duplicates were never saved, so their regions have no links.
+     * Copy the catalog/manual link from the surviving sighting so every photo's
+     * region still resolves to the item on the shelf.
+     */
+    async propagateSessionRegionLinks(merges, scanSession) {
+        if (!Array.isArray(merges) || merges.length === 0) return;
+        const context = { scanSession };
+        for (const { kept, dropped } of merges) {
+            const source = resolveScanRegionRef(kept, context);
+            const target = resolveScanRegionRef(dropped, context);
+            if (!source || !target) continue;
+            try {
+                await visionItemRegionsQueries.copyRegionLinks({ source, target });
+            } catch (err) {
+                if (isMissingRelationError(err, 'vision_item_regions')) {
+                    logger.warn('[VisionPipeline] vision_item_regions table missing; skipping session region links.');
+                    return;
+                }
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * Derive physical shelf order from the linked regions of a scan (or every
+     * photo of a session, in capture order) and write it to the shelf items.
+     * Layout is a by-product of the scan, so failures are logged, not thrown.
+     *
+     * @param {object} params - { userId, shelfId, scanPhotoIds, panAxis }
+     * @returns {Promise<Array|null>} Placements written, or null when skipped
+     */
+    async updateShelfLayout({ userId, shelfId, scanPhotoIds = [], panAxis = null }) {
+        const photoIds = (Array.isArray(scanPhotoIds) ? scanPhotoIds : []).filter(Number.isInteger);
+        if (!userId || !shelfId || photoIds.length === 0) return null;
+        try {
+            const scans = [];
+            for (const scanPhotoId of photoIds) {
+                const regions = await visionItemRegionsQueries.listForScan({ userId, shelfId, scanPhotoId });
+                scans.push({ scanPhotoId, regions });
+            }
+            const placements = buildShelfPlacements(scans, { panAxis });
+            if (placements.length === 0) return null;
+            const written = await transaction((client) => shelfLayoutQueries.applyPlacements(
+                { userId, shelfId, placements },
+                client,
+            ));
+            logger.info('[VisionPipeline] Shelf layout updated', {
+                shelfId,
+                scanPhotoIds: photoIds,
+                rows: placements[placements.length - 1].row,
+                placed: written?.placed ?? placements.length,
+                shifted: written?.shifted ?? 0,
+            });
+            return placements;
+        } catch (err) {
+            logger.warn('[VisionPipeline] Shelf layout update failed', {
+                shelfId,
+                scanPhotoIds: photoIds,
+                code: err?.code || null,
+                message: err?.message || String(err),
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Step 1 of the pipeline: run vision OCR over a single image.
+     * Uses scout → slice → reassemble for dense shelves and falls back to
+     * single-pass extraction when scouting fails or the shelf type is "other".
+     *
+     * @param {string} imageBase64 - Base64 encoded image
+     * @param {object} shelf - Shelf object with id, type, name, description
+     * @param {object} [options] - { jobId, scanPhotoDimensions, updateProgress, checkAborted }
+     * @returns {Promise<{ items: Array, conversationHistory: Array|null, warnings: Array }>}
+     */
+    async extractImageItems(imageBase64, shelf, {
+        jobId = null,
+        scanPhotoDimensions = null,
+        updateProgress = () => {},
+        checkAborted = async () => {},
+    } = {}) {
+        let rawItems = [];
+        let conversationHistory = null;
+        const warnings = [];
+        const extractionHeartbeatTimeouts = [];
+        const clearExtractionHeartbeatTimeouts = () => {
+            if (extractionHeartbeatTimeouts.length === 0) return;
+            for (const timeoutId of extractionHeartbeatTimeouts) {
+                clearTimeout(timeoutId);
+            }
+            extractionHeartbeatTimeouts.length = 0;
+        };
+        const isOther = isOtherShelfType(shelf.type);
+
+        if (VISION_SCOUT_ENABLED && !isOther) {
+            // === SCOUT → CROP → QUEUE → REASSEMBLE ===
+            updateProgress('scouting');
+            try {
+                const scoutResult = await this.runScoutPhase(imageBase64, shelf.type, scanPhotoDimensions);
+                const extractingProgressState = resolveScoutExtractingProgressState(scoutResult);
+
+                const needsMultiRegionHandling = scoutResult.regions.length > 1;
+                if (needsMultiRegionHandling || scoutResult.shouldSlice) {
+                    // Multi-region or dense shelf: iterate all regions (slicing per-region as needed)
+                    await checkAborted();
+                    updateProgress('slicing');
+                    const sliceResult = await this.runSliceDetectionPhase(
+                        imageBase64,
+                        shelf,
+                        scoutResult,
+                        scanPhotoDimensions,
+                        { updateProgress, checkAborted, extractingProgressState },
+                    );
+                    rawItems = sliceResult.items;
+                    conversationHistory = null; // no single conversation when multi-slice
+                    if (sliceResult.warnings?.length) warnings.push(...sliceResult.warnings);
+                } else {
+                    // Sparse shelf or slicing disabled: single-region detection
+                    await checkAborted();
+                    updateProgress(extractingProgressState.key, extractingProgressState.vars);
+                    let extractionInFlight = true;
+                    if (jobId) {
+                        extractionHeartbeatTimeouts.push(setTimeout(() => {
+                            if (!extractionInFlight) return;
+                            updateProgress('extractingInFlight');
+                        }, 3000));
+                        extractionHeartbeatTimeouts.push(setTimeout(() => {
+                            if (!extractionInFlight) return;
+                            updateProgress('extractingDeepParse');
+                        }, 9000));
+                    }
+                    try {
+                        const detectionResult = await this.runSingleRegionDetection(
+                            imageBase64, shelf, scoutResult, scanPhotoDimensions,
+                        );
+                        rawItems = detectionResult.items;
+                        conversationHistory = detectionResult.conversationHistory;
+                        if (detectionResult.warning) warnings.push(detectionResult.warning);
+                    } finally {
+                        extractionInFlight = false;
+                        clearExtractionHeartbeatTimeouts();
+                    }
+                }
+            } catch (scoutErr) {
+                // Re-throw abort errors — don't waste a Gemini call on cancelled work
+                if (scoutErr?.code === 'WORKFLOW_ABORTED') throw scoutErr;
+                // Scout failed — fall back to legacy extraction
+                logger.warn('[VisionPipeline] Scout phase failed, falling back to legacy extraction:', scoutErr?.message || scoutErr);
+                updateProgress('extracting');
+                let extractionInFlight = true;
+                if (jobId) {
+                    extractionHeartbeatTimeouts.push(setTimeout(() => {
+                        if (!extractionInFlight) return;
+                        updateProgress('extractingInFlight');
+                    }, 3000));
+                    extractionHeartbeatTimeouts.push(setTimeout(() => {
+                        if (!extractionInFlight) return;
+                        updateProgress('extractingDeepParse');
+                    }, 9000));
+                }
+                try {
+                    const extractResult = await this.extractItems(imageBase64, shelf.type, shelf.description, shelf.name);
+                    rawItems = extractResult.items;
+                    conversationHistory = extractResult.conversationHistory;
+                    if (extractResult.warning) warnings.push(extractResult.warning);
+                } finally {
+                    extractionInFlight = false;
+                    clearExtractionHeartbeatTimeouts();
+                }
+            }
+        } else {
+            // === LEGACY PATH: "other" shelves + scout-disabled fallback ===
+            updateProgress('extracting');
+            let extractionInFlight = true;
+            if (jobId) {
+                extractionHeartbeatTimeouts.push(setTimeout(() => {
+                    if (!extractionInFlight) return;
+                    updateProgress('extractingInFlight');
+                }, 3000));
+                extractionHeartbeatTimeouts.push(setTimeout(() => {
+                    if (!extractionInFlight) return;
+                    updateProgress('extractingDeepParse');
+                }, 9000));
+            }
+            try {
+                const extractResult = await this.extractItems(imageBase64, shelf.type, shelf.description, shelf.name);
+                rawItems = extractResult.items;
+                conversationHistory = extractResult.conversationHistory;
+                if (extractResult.warning) warnings.push(extractResult.warning);
+            } finally {
+                extractionInFlight = false;
+                clearExtractionHeartbeatTimeouts();
+            }
+        }
+
+        return { items: rawItems, conversationHistory, warnings };
+    }
+
     async persistVisionRegions(items, userId, shelfId, scanPhotoId, scanPhotoDimensions = null) {
         if (!scanPhotoId || !Array.isArray(items)) return;
         const resolvedDimensions = resolveScanDimensions(scanPhotoDimensions);
@@ -2342,10 +2654,127 @@ class VisionPipelineService {
         }
     }
 
+    /**
+     * Re-run identification for user-edited regions of a stored scan.
+     * Regions with OCR text skip extraction; drawn or re-cut regions without
+     * text are read from their crop (`cropBase64`). Items then go through the
+     * usual matching, catalog, enrichment and save stages, so only those
+     * calls are billed, never a full-photo extraction.
+     *
+     * @param {object[]} regions - vision_item_regions rows (camelCase), optionally with cropBase64
+     * @param {object} shelf
+     * @param {string} userId
+     * @param {object} options
+     * @param {number} options.scanPhotoId
+     * @param {object} [options.scanPhotoDimensions]
+     * @param {string} [options.jobId]
+     * @returns {Promise<object>} processImage result plus unreadableRegionIds
+     */
+    async reidentifyRegions(regions, shelf, userId, {
+        scanPhotoId,
+        scanPhotoDimensions = null,
+        jobId = null,
+    } = {}) {
+        if (!shelf || !shelf.type) throw new Error('Invalid shelf provided');
+        if (!Number.isInteger(scanPhotoId)) throw new Error('scanPhotoId is required');
+        const tokenAccumulator = new TokenAccumulator();
+        this.visionProvider.setTokenAccumulator(tokenAccumulator);
+
+        const rawItems = [];
+        const unreadableRegionIds = [];
+        for (const region of Array.isArray(regions) ? regions : []) {
+            const extractionIndex = normalizeExtractionIndex(region?.extractionIndex);
+            if (extractionIndex == null) continue;
+            let item = null;
+            if (normalizeString(region.title)) {
+                item = {
+                    title: region.title,
+                    primaryCreator: region.primaryCreator || null,
+                    confidence: region.confidence ?? 1,
+                };
+            } else if (region.cropBase64 && this.ocrEnabled) {
+                item = await this.readRegionCrop(region, shelf);
+            }
+            if (!item) {
+                unreadableRegionIds.push(region.id);
+                continue;
+            }
+            rawItems.push({
+                ...item,
+                extractionIndex,
+                box2d: region.box2d,
+                quad2d: region.quad2d || null,
+            });
+            // The old shelf item link described the previous box; the save
+            // stage relinks whatever this region resolves to.
+            try {
+                await visionItemRegionsQueries.clearCollectionItemLink({ scanPhotoId, extractionIndex });
+            } catch (err) {
+                if (!isMissingRelationError(err, 'vision_item_regions')) throw err;
+            }
+        }
+
+        if (!rawItems.length) {
+            return {
+                analysis: { shelfConfirmed: true, items: [] },
+                results: { extracted: 0, added: 0, existing: 0, needsReview: 0 },
+                addedItems: [],
+                needsReview: [],
+                unreadableRegionIds,
+                tokenUsage: tokenAccumulator.totals,
+                tokenCalls: tokenAccumulator.calls,
+            };
+        }
+
+        const result = await this.processImage(null, shelf, userId, jobId, {
+            rawItems,
+            ocrProvider: 'region-edit',
+            scanPhotoId,
+            scanPhotoDimensions,
+            persistRegions: false,
+            tokenAccumulator,
+        });
+        return { ...result, unreadableRegionIds };
+    }
+
+    async readRegionCrop(region, shelf) {
+        let extraction;
+        try {
+            extraction = await this.extractItems(region.cropBase64, shelf.type, shelf.description, shelf.name);
+        } catch (err) {
+            logger.warn('[VisionPipeline] Region crop OCR failed', {
+                regionId: region.id,
+                message: err?.message || String(err),
+            });
+            return null;
+        }
+        // A crop should hold one item; keep the most confident read.
+        const [best] = (extraction.items || [])
+            .filter((entry) => normalizeString(entry?.title || entry?.name))
+            .sort((a, b) => (Number(b?.confidence) || 0) - (Number(a?.confidence) || 0));
+        if (!best) return null;
+        const { box2d, box_2d, quad2d, quad_2d, extractionIndex, ...item } = best;
+
+        try {
+            await visionItemRegionsQueries.updateRegion({
+                userId: region.userId,
+                shelfId: region.shelfId,
+                scanPhotoId: region.scanPhotoId,
+                regionId: region.id,
+                title: item.title || item.name,
+                primaryCreator: item.primaryCreator || item.author || item.creator || null,
+                confidence: item.confidence ?? null,
+            });
+        } catch (err) {
+            if (!isMissingRelationError(err, 'vision_item_regions')) throw err;
+        }
+        return item;
+    }
+
     async linkRegionToCollectable(item, collectableId, hookContext = {}) {
-        const scanPhotoId = hookContext?.scanPhotoId;
-        const extractionIndex = normalizeExtractionIndex(item?.extractionIndex);
-        if (!scanPhotoId || extractionIndex == null || !collectableId) return;
+        const regionRef = resolveScanRegionRef(item, hookContext);
+        if (!regionRef || !collectableId) return;
+        const { scanPhotoId, extractionIndex } = regionRef;
 
         try {
             await visionItemRegionsQueries.linkCollectable({
@@ -2363,9 +2792,9 @@ class VisionPipelineService {
     }
 
     async linkRegionToManual(item, manualId, hookContext = {}) {
-        const scanPhotoId = hookContext?.scanPhotoId;
-        const extractionIndex = normalizeExtractionIndex(item?.extractionIndex);
-        if (!scanPhotoId || extractionIndex == null || !manualId) return;
+        const regionRef = resolveScanRegionRef(item, hookContext);
+        if (!regionRef || !manualId) return;
+        const { scanPhotoId, extractionIndex } = regionRef;
 
         try {
             await visionItemRegionsQueries.linkManual({
@@ -2384,9 +2813,11 @@ class VisionPipelineService {
 
     async linkRegionToCollectionItem(item, collectionItemId, hookContext = {}) {
         if (!this.collectionItemRegionLinkAvailable) return;
-        const scanPhotoId = hookContext?.scanPhotoId;
-        const extractionIndex = normalizeExtractionIndex(item?.extractionIndex);
-        if (!scanPhotoId || extractionIndex == null || !collectionItemId) return;
+        const regionRef = resolveScanRegionRef(item, hookContext);
+        if (!regionRef || !collectionItemId) return;
+        const { scanPhotoId, extractionIndex } = regionRef;
+        // Session indexes encode photo order, so "first region wins" compares those.
+        const regionOrder = normalizeExtractionIndex(item?.extractionIndex);
         const saveTracking = hookContext?.saveTracking || null;
         const firstLinkedByCollectionItem = saveTracking?.firstLinkedRegionByCollectionItemId instanceof Map
             ? saveTracking.firstLinkedRegionByCollectionItemId
@@ -2394,24 +2825,22 @@ class VisionPipelineService {
 
         const existingIndex = firstLinkedByCollectionItem?.get(collectionItemId);
         if (Number.isInteger(existingIndex)) {
-            if (existingIndex <= extractionIndex) {
+            if (existingIndex <= regionOrder) {
                 if (saveTracking) saveTracking.duplicateRegionLinkSkipped += 1;
                 logger.info('[VisionPipeline] Skipping duplicate region link for collection item (first region wins)', {
                     scanPhotoId,
                     collectionItemId,
                     keptExtractionIndex: existingIndex,
-                    skippedExtractionIndex: extractionIndex,
+                    skippedExtractionIndex: regionOrder,
                 });
                 return;
             }
 
             // A lower extraction index arrived later; replace the prior link so first region truly wins.
             try {
-                if (typeof visionItemRegionsQueries.clearCollectionItemLink === 'function') {
-                    await visionItemRegionsQueries.clearCollectionItemLink({
-                        scanPhotoId,
-                        extractionIndex: existingIndex,
-                    });
+                const existingRef = resolveScanRegionRef({ extractionIndex: existingIndex }, hookContext);
+                if (existingRef && typeof visionItemRegionsQueries.clearCollectionItemLink === 'function') {
+                    await visionItemRegionsQueries.clearCollectionItemLink(existingRef);
                 }
             } catch (err) {
                 if (isMissingRelationError(err, 'vision_item_regions')) {
@@ -2431,7 +2860,7 @@ class VisionPipelineService {
                 scanPhotoId,
                 collectionItemId,
                 previousExtractionIndex: existingIndex,
-                nextExtractionIndex: extractionIndex,
+                nextExtractionIndex: regionOrder,
             });
         }
 
@@ -2442,7 +2871,7 @@ class VisionPipelineService {
                 collectionItemId,
             });
             if (firstLinkedByCollectionItem) {
-                firstLinkedByCollectionItem.set(collectionItemId, extractionIndex);
+                firstLinkedByCollectionItem.set(collectionItemId, regionOrder);
             }
         } catch (err) {
             if (isMissingRelationError(err, 'vision_item_regions')) {
@@ -2466,7 +2895,7 @@ class VisionPipelineService {
     async runScoutPhase(imageBase64, shelfType, scanPhotoDimensions) {
         logger.info('[VisionPipeline] Running scout phase', { shelfType });
         const scoutPrompt = buildMultiRegionScoutPrompt(shelfType);
-        const responseText = await this.geminiService.sendScoutPrompt(imageBase64, scoutPrompt);
+        const responseText = await this.visionProvider.scout(imageBase64, scoutPrompt);
         const parsed = parseMultiRegionScoutResponse(responseText);
 
         const shouldSlice = (
@@ -2545,8 +2974,8 @@ class VisionPipelineService {
                 }
             }
 
-            // Determine if we should slice this region (gated by VISION_SLICE_ENABLED)
-            const shouldSliceRegion = VISION_SLICE_ENABLED && (
+            // Determine if we should slice this region (gated by VISION_SLICE_ENABLED / budget)
+            const shouldSliceRegion = this.slicingEnabled && (
                 region.hasMoreThanTen === true
                 || region.estimatedItemCount > VISION_SLICE_THRESHOLD
             );
@@ -2851,7 +3280,7 @@ class VisionPipelineService {
             pass,
         });
         // Gemini Vision Detect (Cloud Vision temporarily disabled)
-        const detectionResult = await this.geminiService.detectShelfItemsFromImage(
+        const detectionResult = await this.visionProvider.extractItems(
             imageBase64,
             shelfType,
             shelfDescription,
@@ -3007,7 +3436,7 @@ class VisionPipelineService {
     async enrichUnresolved(items, shelfType, conversationHistory = null) {
         if (!items.length) return [];
         // Use the new schema enforcement method, with conversation history for chat context
-        return this.geminiService.enrichWithSchema(items, shelfType, conversationHistory);
+        return this.visionProvider.enrichUnresolved(items, shelfType, conversationHistory);
     }
 
     /**
@@ -3019,13 +3448,13 @@ class VisionPipelineService {
         logger.info('[VisionPipeline.enrichUncertain] Processing', items.length, 'uncertain items...');
 
         // Use enrichWithSchema but with an uncertain flag for special prompt handling
-        if (typeof this.geminiService.enrichWithSchemaUncertain === 'function') {
-            return this.geminiService.enrichWithSchemaUncertain(items, shelfType, conversationHistory);
+        if (this.visionProvider.supportsUncertainEnrichment()) {
+            return this.visionProvider.enrichUncertain(items, shelfType, conversationHistory);
         }
 
-        // Fallback to standard enrichment if specialized method not available
-        logger.info('[VisionPipeline.enrichUncertain] Falling back to standard enrichment (enrichWithSchemaUncertain not found)');
-        return this.geminiService.enrichWithSchema(items, shelfType, conversationHistory);
+        // Fallback to standard enrichment if the provider has no uncertain variant
+        logger.info('[VisionPipeline.enrichUncertain] Falling back to standard enrichment (provider has no uncertain enrichment)');
+        return this.visionProvider.enrichUnresolved(items, shelfType, conversationHistory);
     }
 
     /**
@@ -3194,9 +3623,10 @@ class VisionPipelineService {
      * @param {object} item - Item to look up
      * @param {string} shelfType - Shelf type
      * @param {string} lwf - Lightweight fingerprint
+     * @param {object[]} [corrections] - Correction rows from loadMatchCorrections
      * @returns {Promise<object|null>} Matching collectable or null
      */
-    async shelfTypeSecondaryLookup(item, shelfType, lwf) {
+    async shelfTypeSecondaryLookup(item, shelfType, lwf, corrections = []) {
         const itemTitle = item.title || item.name;
         const normalizedType = this.normalizeShelfType(shelfType);
 
@@ -3217,19 +3647,21 @@ class VisionPipelineService {
             case 'games':
             default:
                 // Fuzzy fingerprint lookup (creator usually visible)
-                return this.fuzzyFingerprintLookup(item, shelfType, lwf);
+                return this.fuzzyFingerprintLookup(item, shelfType, lwf, corrections);
         }
     }
 
     /**
      * Perform fuzzy fingerprint lookup for items where creator is visible.
      * Checks OCR fingerprint first, then legacy fuzzy fingerprints array.
+     * A hit users corrected away from falls through to the next check.
      * @param {object} item - Item to look up
      * @param {string} shelfType - Shelf type
      * @param {string} lwf - Lightweight fingerprint
+     * @param {object[]} [corrections] - Correction rows from loadMatchCorrections
      * @returns {Promise<object|null>} Matching collectable or null
      */
-    async fuzzyFingerprintLookup(item, shelfType, lwf) {
+    async fuzzyFingerprintLookup(item, shelfType, lwf, corrections = []) {
         const itemTitle = item.title || item.name;
 
         // Check fuzzy OCR fingerprint
@@ -3240,7 +3672,10 @@ class VisionPipelineService {
         );
         if (ocrFingerprint) {
             logger.info('[VisionPipeline.matchCollectable] Checking fuzzy OCR fingerprint:', ocrFingerprint);
-            const match = await collectablesQueries.findByFuzzyFingerprint(ocrFingerprint);
+            const match = await this.applyMatchCorrection(
+                await collectablesQueries.findByFuzzyFingerprint(ocrFingerprint),
+                corrections,
+            );
             if (match) {
                 logger.info('[VisionPipeline.matchCollectable] ✓ Found via fuzzy OCR fingerprint:', match.id, match.title);
                 return match;
@@ -3249,7 +3684,10 @@ class VisionPipelineService {
 
         // Check legacy fuzzy fingerprints array
         logger.info('[VisionPipeline.matchCollectable] Checking legacy fuzzy fingerprints array:', lwf);
-        const legacyMatch = await collectablesQueries.findByFuzzyFingerprint(lwf);
+        const legacyMatch = await this.applyMatchCorrection(
+            await collectablesQueries.findByFuzzyFingerprint(lwf),
+            corrections,
+        );
         if (legacyMatch) {
             logger.info('[VisionPipeline.matchCollectable] ✓ Found via legacy fuzzy fingerprint:', legacyMatch.id, legacyMatch.title);
             return legacyMatch;
@@ -3258,6 +3696,45 @@ class VisionPipelineService {
         return null;
     }
 
+    /**
+     * Load corrections users made for this item's OCR text (see
+     * services/collectables/matchCorrections.js). Failures yield none.
+     * @param {object} item - Item to match
+     * @param {string} shelfType - Shelf type
+     * @param {string|null} userId - Scanning user; their own corrections apply immediately
+     * @returns {Promise<object[]>}
+     */
+    async loadMatchCorrections(item, shelfType, userId = null) {
+        return matchCorrections.findCorrections({
+            title: item.title || item.name,
+            creator: item.author || item.primaryCreator || item.creator,
+            shelfType,
+            userId,
+        });
+    }
+
+    /**
+     * Swap a match for the collectable users replaced it with. Returns null
+     * (demoting the match) when the replacement no longer exists, so the
+     * caller moves on to its next lookup.
+     * @param {object|null} match - Collectable found by a lookup step
+     * @param {object[]} corrections - Correction rows from loadMatchCorrections
+     * @returns {Promise<object|null>}
+     */
+    async applyMatchCorrection(match, corrections) {
+        if (!match) return null;
+        const correction = matchCorrections.pickCorrection(corrections, match.id);
+        if (!correction) return match;
+
+        const replacement = await collectablesQueries.findById(correction.targetCollectableId);
+        if (!replacement) {
+            logger.info('[VisionPipeline.matchCollectable] Demoting corrected match:', match.id, match.title);
+            return null;
+        }
+        logger.info('[VisionPipeline.matchCollectable] ✓ Applied user correction:', match.id, '->', replacement.id, replacement.title);
+        return replacement;
+    }
+
     /**
      * Match an item against the collectables database using shelf-type-aware strategies.
      *
@@ -3267,20 +3744,30 @@ class VisionPipelineService {
      * 3. Shelf-type-specific secondary lookup:
      *    - Books/Games: Fuzzy fingerprint (creator usually visible on spine)
      *    - Movies/TV: Name search via trigram (director rarely visible on spine)
+     * 4. A collectable users previously replaced this OCR text with
+     *
+     * Each hit is checked against user corrections: a collectable users
+     * replaced is swapped for their replacement, or skipped if that is gone.
      *
      * @param {object} item - Item to match
      * @param {string} shelfType - Shelf type for strategy selection
+     * @param {object} [options]
+     * @param {string} [options.userId] - Scanning user, for their own corrections
      * @returns {Promise<object|null>} Matching collectable or null
      */
-    async matchCollectable(item, shelfType) {
+    async matchCollectable(item, shelfType, options = {}) {
         const itemTitle = item.title || item.name;
         const normalizedType = this.normalizeShelfType(shelfType);
         logger.info('[VisionPipeline.matchCollectable] Checking DB for:', itemTitle, '(shelfType:', normalizedType, ')');
+        const corrections = await this.loadMatchCorrections(item, shelfType, options.userId || null);
 
         // 1. Always check fingerprint first (if present from catalog)
         if (item.fingerprint) {
             logger.info('[VisionPipeline.matchCollectable] Checking fingerprint:', item.fingerprint);
-            const byFp = await collectablesQueries.findByFingerprint(item.fingerprint);
+            const byFp = await this.applyMatchCorrection(
+                await collectablesQueries.findByFingerprint(item.fingerprint),
+                corrections,
+            );
             if (byFp) {
                 logger.info('[VisionPipeline.matchCollectable] ✓ Found via fingerprint:', byFp.id, byFp.title);
                 return byFp;
@@ -3290,18 +3777,34 @@ class VisionPipelineService {
         // 2. Always try lightweight fingerprint
         const lwf = makeLightweightFingerprint(item);
         logger.info('[VisionPipeline.matchCollectable] Checking lightweight fingerprint:', lwf);
-        let collectable = await collectablesQueries.findByLightweightFingerprint(lwf);
+        let collectable = await this.applyMatchCorrection(
+            await collectablesQueries.findByLightweightFingerprint(lwf),
+            corrections,
+        );
         if (collectable) {
             logger.info('[VisionPipeline.matchCollectable] ✓ Found via lightweight fingerprint:', collectable.id, collectable.title);
             return collectable;
         }
 
         // 3. Shelf-type-specific secondary lookup
-        collectable = await this.shelfTypeSecondaryLookup(item, shelfType, lwf);
+        collectable = await this.applyMatchCorrection(
+            await this.shelfTypeSecondaryLookup(item, shelfType, lwf, corrections),
+            corrections,
+        );
         if (collectable) {
             return collectable;
         }
 
+        // 4. Nothing matched (or every hit was demoted): fall back to what users picked
+        const preferred = matchCorrections.pickCorrection(corrections, null);
+        if (preferred) {
+            collectable = await collectablesQueries.findById(preferred.targetCollectableId);
+            if (collectable) {
+                logger.info('[VisionPipeline.matchCollectable] ✓ Found via user correction:', collectable.id, collectable.title);
+                return collectable;
+            }
+        }
+
         logger.info('[VisionPipeline.matchCollectable] ✗ No match found for:', itemTitle);
         return null;
     }
@@ -3313,9 +3816,12 @@ class VisionPipelineService {
         const saveTracking = hookContext?.saveTracking || null;
         const metadataContainerType = getApiContainerKey(shelfType) || null;
         const defaultMetadataMaxScore = metadataContainerType ? 100 : null;
+        // Gemini enrichment may return the bare series title with the number in
+        // issueNumber/volumeNumber; re-fold it so issues get distinct fingerprints.
+        const isComicShelf = metadataContainerType === 'comics';
 
         for (let i = 0; i < items.length; i++) {
-            const item = items[i];
+            const item = isComicShelf ? applyComicNumbering(items[i]) : items[i];
             logger.info(`[VisionPipeline.saveToShelf] Item ${i + 1}/${items.length}:`, item.title || item.name);
 
             const sourceKey = buildSaveSourceKey(item, hookContext?.scanPhotoId ?? null);
@@ -3363,7 +3869,7 @@ class VisionPipelineService {
 
                 if (!collectable && !item._skipRematch) {
                     // Only call matchCollectable if we don't already have one
-                    collectable = await this.matchCollectable(item, shelfType);
+                    collectable = await this.matchCollectable(item, shelfType, { userId });
                 } else if (item._skipRematch) {
                     logger.info('[VisionPipeline.saveToShelf] Skipping re-match (freshly catalog-resolved):', item.title || item.name);
                 } else {
@@ -3442,6 +3948,7 @@ class VisionPipelineService {
                         releaseYear: year || null,
                         mediaType: kind,
                         platforms: item.systemName ? [item.systemName] : item.platforms || item.platform,
+                        variant: cardPrintingKey(item),
                     });
 
                     const lightweightFingerprint = item.lightweightFingerprint || makeLightweightFingerprint({
@@ -3461,6 +3968,11 @@ class VisionPipelineService {
                         creators,
                         publishers,
                         year: year || null,
+                        series: normalizeSeriesName(item.series),
+                        issueNumber: normalizeIssueNumber(item.issueNumber),
+                        volumeNumber: normalizeVolumeNumber(item.volumeNumber),
+                        ...pickTabletopFields(item),
+                        maxPlayers: normalizePlayerCount(item.maxPlayers ?? item.max_players),
                         marketValue: marketValue || null,
                         marketValueSources,
                         formats,
@@ -3473,6 +3985,7 @@ class VisionPipelineService {
                         images,
                         coverUrl,
                         sources,
+                        editions: normalizeArray(item.editions),
                         externalId: externalId || null,
                         // Include rawOcrFingerprint (from enrichment) in fuzzy fingerprints
                         fuzzyFingerprints: [
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logger');
+const { PAYLOAD_LOG_DIR } = require('../../utils/payloadLogger');
+const {
+    parseDetectionResponseText,
+    parseEnrichmentResponseText,
+    parseDenseBoxRefinementResponseText,
+} = require('../googleGemini');
+
+// payload-logs operations written by GoogleGeminiService, keyed by provider phase.
+const FIXTURE_OPERATIONS = Object.freeze({
+    EXTRACT: 'detectShelfItems',
+    ENRICH: 'generateContent',
+    ENRICH_UNCERTAIN: 'generateContentUncertain',
+    SCOUT: 'scout',
+    REFINE_DENSE_BOXES: 'refineDenseItemBoxes',
+});
+const REPLAYABLE_SOURCES = new Set(['google-gemini', 'google-gemini-vision']);
+
+function readRecordedText(entry) {
+    const payload = entry?.payload || {};
+    if (typeof payload.text === 'string') return payload.text;
+    // Older scout logs only kept a 500-char preview.
+    if (typeof payload.responsePreview === 'string') return payload.responsePreview;
+    return null;
+}
+
+/**
+ * Deterministic vision provider that replays Gemini responses recorded by
+ * utils/payloadLogger instead of calling the model.
+ *
+ * Recordings are grouped by operation and replayed in capture order, so a
+ * directory holding one real scan reproduces that scan exactly. Images are
+ * ignored; only call order matters.
+ */
+class FixtureVisionProvider {
+    constructor(options = {}) {
+        this.name = 'fixture';
+        this.fixtureDir = path.resolve(
+            options.fixtureDir || process.env.VISION_FIXTURE_DIR || PAYLOAD_LOG_DIR,
+        );
+        // Loop back to the first recording once an operation runs out, so
+        // staging can replay the same scan indefinitely.
+        this.loop = options.loop ?? (process.env.VISION_FIXTURE_LOOP !== 'false');
+        this.tokenAccumulator = null;
+        this.recordings = null;
+        this.cursors = new Map();
+    }
+
+    setTokenAccumulator(tokenAccumulator) {
+        // Replayed responses cost nothing; keep the reference for parity with Gemini.
+        this.tokenAccumulator = tokenAccumulator || null;
+    }
+
+    loadRecordings() {
+        if (this.recordings) return this.recordings;
+
+        const recordings = new Map();
+        let filenames = [];
+        try {
+            filenames = fs.readdirSync(this.fixtureDir).filter((name) => name.endsWith('.json'));
+        } catch (err) {
+            logger.warn('[FixtureVisionProvider] Fixture directory unreadable:', this.fixtureDir, err.message);
+        }
+
+        const entries = [];
+        for (const filename of filenames) {
+            try {
+                const entry = JSON.parse(fs.readFileSync(path.join(this.fixtureDir, filename), 'utf8'));
+                if (!REPLAYABLE_SOURCES.has(entry?.source)) continue;
+                if (readRecordedText(entry) == null) continue;
+                entries.push({ ...entry, filename });
+            } catch (err) {
+                logger.warn('[FixtureVisionProvider] Skipping unreadable fixture:', filename, err.message);
+            }
+        }
+
+        entries.sort((a, b) => (
+            String(a.timestamp || '').localeCompare(String(b.timestamp || ''))
+            || a.filename.localeCompare(b.filename)
+        ));
+        for (const entry of entries) {
+            if (!recordings.has(entry.operation)) recordings.set(entry.operation, []);
+            recordings.get(entry.operation).push(entry);
+        }
+
+        logger.info('[FixtureVisionProvider] Loaded recordings', {
+            fixtureDir: this.fixtureDir,
+            counts: Object.fromEntries([...recordings].map(([operation, list]) => [operation, list.length])),
+        });
+        this.recordings = recordings;
+        return recordings;
+    }
+
+    /**
+     * Rewind every operation to its first recording.
+     */
+    reset() {
+        this.cursors.clear();
+    }
+
+    nextRecording(operation) {
+        const list = this.loadRecordings().get(operation) || [];
+        if (list.length === 0) return null;
+        const cursor = this.cursors.get(operation) || 0;
+        if (cursor >= list.length && !this.loop) return null;
+        this.cursors.set(operation, cursor + 1);
+        return list[cursor % list.length];
+    }
+
+    async extractItems(imageBase64, shelfType) {
+        const entry = this.nextRecording(FIXTURE_OPERATIONS.EXTRACT);
+        if (!entry) {
+            throw new Error(`No recorded ${FIXTURE_OPERATIONS.EXTRACT} response available in ${this.fixtureDir}`);
+        }
+        const { items, warning } = parseDetectionResponseText(readRecordedText(entry), shelfType);
+        return { items, conversationHistory: null, warning };
+    }
+
+    replayEnrichment(operation, items, shelfType, source) {
+        if (!items.length) return [];
+        const entry = this.nextRecording(operation);
+        if (!entry) {
+            logger.warn('[FixtureVisionProvider] No recorded enrichment response; leaving items unenriched', { operation });
+            return [];
+        }
+        try {
+            return parseEnrichmentResponseText(readRecordedText(entry), shelfType, { source });
+        } catch (err) {
+            logger.warn('[FixtureVisionProvider] Recorded enrichment response is not valid JSON:', entry.filename, err.message);
+            return [];
+        }
+    }
+
+    async enrichUnresolved(items, shelfType) {
+        return this.replayEnrichment(FIXTURE_OPERATIONS.ENRICH, items, shelfType, 'gemini-schema-enriched');
+    }
+
+    supportsUncertainEnrichment() {
+        return true;
+    }
+
+    async enrichUncertain(items, shelfType) {
+        return this.replayEnrichment(FIXTURE_OPERATIONS.ENRICH_UNCERTAIN, items, shelfType, 'gemini-uncertain-enriched');
+    }
+
+    async scout() {
+        const entry = this.nextRecording(FIXTURE_OPERATIONS.SCOUT);
+        if (!entry) {
+            throw new Error(`No recorded ${FIXTURE_OPERATIONS.SCOUT} response available in ${this.fixtureDir}`);
+        }
+        return readRecordedText(entry);
+    }
+
+    supportsDenseBoxRefinement() {
+        return true;
+    }
+
+    async refineDenseItemBoxes(imageBase64, shelfType, items) {
+        const boxes = new Map();
+        const quads = new Map();
+        if (!Array.isArray(items) || items.length === 0) return { boxes, quads };
+
+        // Live refinement issues one request per batch; replay every recorded
+        // batch until the requested items are covered.
+        const wanted = new Set(items.map((item) => item?.extractionIndex).filter(Number.isInteger));
+        const list = this.loadRecordings().get(FIXTURE_OPERATIONS.REFINE_DENSE_BOXES) || [];
+        for (let i = 0; i < list.length && wanted.size > 0; i += 1) {
+            const entry = this.nextRecording(FIXTURE_OPERATIONS.REFINE_DENSE_BOXES);
+            if (!entry) break;
+            const parsed = parseDenseBoxRefinementResponseText(readRecordedText(entry));
+            parsed.boxes.forEach((box2d, extractionIndex) => {
+                if (!wanted.has(extractionIndex)) return;
+                boxes.set(extractionIndex, box2d);
+                wanted.delete(extractionIndex);
+            });
+            parsed.quads.forEach((quad2d, extractionIndex) => {
+                if (boxes.has(extractionIndex)) quads.set(extractionIndex, quad2d);
+            });
+        }
+        return { boxes, quads };
+    }
+}
+
+module.exports = { FixtureVisionProvider, FIXTURE_OPERATIONS };
@@ -0,0 +1,63 @@
+const { GoogleGeminiService } = require('../googleGemini');
+
+/**
+ * Vision provider backed by live Gemini calls.
+ *
+ * Methods resolve against `geminiService` at call time so callers (and tests)
+ * can swap individual client methods after construction.
+ */
+class GeminiVisionProvider {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.geminiService = options.geminiService || new GoogleGeminiService();
+    }
+
+    setTokenAccumulator(tokenAccumulator) {
+        this.geminiService.tokenAccumulator = tokenAccumulator || null;
+    }
+
+    async extractItems(imageBase64, shelfType, shelfDescription = null, shelfName = null, options = null) {
+        return this.geminiService.detectShelfItemsFromImage(
+            imageBase64,
+            shelfType,
+            shelfDescription,
+            shelfName,
+            options,
+        );
+    }
+
+    async enrichUnresolved(items, shelfType, conversationHistory = null) {
+        return this.geminiService.enrichWithSchema(items, shelfType, conversationHistory);
+    }
+
+    supportsUncertainEnrichment() {
+        return typeof this.geminiService.enrichWithSchemaUncertain === 'function';
+    }
+
+    async enrichUncertain(items, shelfType, conversationHistory = null) {
+        if (!this.supportsUncertainEnrichment()) {
+            return this.enrichUnresolved(items, shelfType, conversationHistory);
+        }
+        return this.geminiService.enrichWithSchemaUncertain(items, shelfType, conversationHistory);
+    }
+
+    async scout(imageBase64, scoutPrompt) {
+        return this.geminiService.sendScoutPrompt(imageBase64, scoutPrompt);
+    }
+
+    supportsDenseBoxRefinement() {
+        return typeof this.geminiService.refineDenseItemBoxes === 'function';
+    }
+
+    async refineDenseItemBoxes(imageBase64, shelfType, items, conversationHistory = null, options = {}) {
+        return this.geminiService.refineDenseItemBoxes(
+            imageBase64,
+            shelfType,
+            items,
+            conversationHistory,
+            options,
+        );
+    }
+}
+
+module.exports = { GeminiVisionProvider };
@@ -0,0 +1,55 @@
+/**
+ * Vision Providers
+ *
+ * A vision provider is what VisionPipelineService calls for model-backed work:
+ *   - extractItems(imageBase64, shelfType, shelfDescription, shelfName, options)
+ *       -> { items, conversationHistory, warning }
+ *   - enrichUnresolved(items, shelfType, conversationHistory) -> Array | { items, warning }
+ *   - enrichUncertain(items, shelfType, conversationHistory) -> Array | { items, warning }
+ *   - scout(imageBase64, scoutPrompt) -> raw scout response text
+ *   - refineDenseItemBoxes(imageBase64, shelfType, items, conversationHistory, options)
+ *       -> { boxes: Map, quads: Map }
+ *   - setTokenAccumulator(tokenAccumulator)
+ *   - supportsUncertainEnrichment() / supportsDenseBoxRefinement()
+ *
+ * Select one with VISION_PROVIDER (gemini | fixture); the fixture provider
+ * replays payload-logs from VISION_FIXTURE_DIR.
+ */
+
+const { GeminiVisionProvider } = require('./GeminiVisionProvider');
+const { FixtureVisionProvider } = require('./FixtureVisionProvider');
+
+const VISION_PROVIDERS = Object.freeze({
+    GEMINI: 'gemini',
+    FIXTURE: 'fixture',
+});
+
+function resolveVisionProviderName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    return normalized === VISION_PROVIDERS.FIXTURE ? VISION_PROVIDERS.FIXTURE : VISION_PROVIDERS.GEMINI;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.provider] - Provider name; defaults to VISION_PROVIDER
+ * @param {object} [options.geminiService] - Existing Gemini client; forces the Gemini provider
+ * @param {string} [options.fixtureDir] - Recording directory for the fixture provider
+ */
+function createVisionProvider(options = {}) {
+    if (options.geminiService) {
+        return new GeminiVisionProvider({ geminiService: options.geminiService });
+    }
+    const name = resolveVisionProviderName(options.provider || process.env.VISION_PROVIDER);
+    if (name === VISION_PROVIDERS.FIXTURE) {
+        return new FixtureVisionProvider({ fixtureDir: options.fixtureDir, loop: options.loop });
+    }
+    return new GeminiVisionProvider();
+}
+
+module.exports = {
+    VISION_PROVIDERS,
+    createVisionProvider,
+    resolveVisionProviderName,
+    GeminiVisionProvider,
+    FixtureVisionProvider,
+};
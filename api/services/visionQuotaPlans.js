@@ -0,0 +1,165 @@
+'use strict';
+
+const { getSystemSettingsCache } = require('./config/SystemSettingsCache');
+
+const VISION_QUOTA_PLANS_SETTING_KEY = 'vision_quota_plans';
+const VISION_PLAN_KEYS = Object.freeze(['free', 'premium', 'unlimited']);
+// Percent of the period allowance at which the owner is notified, once each.
+const VISION_USAGE_THRESHOLDS = Object.freeze([80, 100]);
+
+function readEnvPositiveInt(name, fallback) {
+  const raw = Number.parseInt(String(process.env[name] ?? ''), 10);
+  return Number.isFinite(raw) && raw > 0 ? raw : fallback;
+}
+
+function toNonNegativeInt(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? Math.floor(num) : fallback;
+}
+
+/**
+ * Built-in plans. Premium falls back to the legacy VISION_* env limits so
+ * deployments without a `vision_quota_plans` setting keep their numbers.
+ */
+function getDefaultVisionPlans() {
+  return {
+    free: {
+      monthlyScans: 0,
+      monthlyTokens: 0,
+      maxOutputTokens: 0,
+      rollover: false,
+      maxRolloverScans: 0,
+      unlimited: false,
+    },
+    premium: {
+      monthlyScans: readEnvPositiveInt('VISION_MONTHLY_QUOTA', 15),
+      monthlyTokens: readEnvPositiveInt('VISION_MONTHLY_TOKEN_QUOTA', 500000),
+      maxOutputTokens: readEnvPositiveInt('VISION_MAX_OUTPUT_TOKENS_PER_USER', 100000),
+      rollover: false,
+      maxRolloverScans: 0,
+      unlimited: false,
+    },
+    unlimited: {
+      monthlyScans: null,
+      monthlyTokens: null,
+      maxOutputTokens: null,
+      rollover: false,
+      maxRolloverScans: 0,
+      unlimited: true,
+    },
+  };
+}
+
+function normalizePlan(key, value, fallback) {
+  const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const unlimited = source.unlimited === undefined ? fallback.unlimited : source.unlimited === true;
+  if (unlimited) {
+    return {
+      key,
+      monthlyScans: null,
+      monthlyTokens: null,
+      maxOutputTokens: null,
+      rollover: false,
+      maxRolloverScans: 0,
+      unlimited: true,
+    };
+  }
+  const rollover = source.rollover === undefined ? fallback.rollover : source.rollover === true;
+  return {
+    key,
+    monthlyScans: toNonNegativeInt(source.monthlyScans, fallback.monthlyScans ?? 0),
+    monthlyTokens: toNonNegativeInt(source.monthlyTokens, fallback.monthlyTokens ?? 0),
+    maxOutputTokens: toNonNegativeInt(source.maxOutputTokens, fallback.maxOutputTokens ?? 0),
+    rollover,
+    maxRolloverScans: rollover ? toNonNegativeInt(source.maxRolloverScans, fallback.maxRolloverScans || 0) : 0,
+    unlimited: false,
+  };
+}
+
+/**
+ * Merge a `vision_quota_plans` setting value over the built-in plans. Unknown
+ * tiers are ignored and missing fields keep their defaults.
+ *
+ * @param {object|null} settingValue - { free?, premium?, unlimited? }
+ * @param {object} [options] - { legacyMonthlyQuota } from `vision_monthly_quota`
+ * @returns {{ free: object, premium: object, unlimited: object }}
+ */
+function resolveVisionPlans(settingValue, { legacyMonthlyQuota = null } = {}) {
+  const defaults = getDefaultVisionPlans();
+  if (Number.isFinite(legacyMonthlyQuota) && legacyMonthlyQuota > 0) {
+    defaults.premium.monthlyScans = legacyMonthlyQuota;
+  }
+  const configured = settingValue && typeof settingValue === 'object' ? settingValue : {};
+  const plans = {};
+  for (const key of VISION_PLAN_KEYS) {
+    plans[key] = normalizePlan(key, configured[key], defaults[key]);
+  }
+  return plans;
+}
+
+async function getVisionPlans() {
+  const cache = getSystemSettingsCache();
+  let settingValue = null;
+  let legacyMonthlyQuota = null;
+  try {
+    [settingValue, legacyMonthlyQuota] = await Promise.all([
+      cache.get(VISION_QUOTA_PLANS_SETTING_KEY),
+      cache.get('vision_monthly_quota'),
+    ]);
+  } catch (_err) {
+    // Fall back to env/defaults
+  }
+  return resolveVisionPlans(settingValue, { legacyMonthlyQuota: Number(legacyMonthlyQuota) });
+}
+
+function resolveVisionPlanKey({ isPremium = false, unlimitedVisionTokens = false } = {}) {
+  if (unlimitedVisionTokens) return 'unlimited';
+  return isPremium ? 'premium' : 'free';
+}
+
+/**
+ * Scans carried into the next period: whatever was left of this period's
+ * allowance (including earlier rollover), capped by the plan.
+ */
+function computeRolloverScans(plan, { scansUsed = 0, rolloverScans = 0 } = {}) {
+  if (!plan || plan.unlimited || !plan.rollover || !plan.maxRolloverScans) return 0;
+  const unused = (plan.monthlyScans || 0) + (rolloverScans || 0) - (scansUsed || 0);
+  return Math.max(0, Math.min(plan.maxRolloverScans, unused));
+}
+
+function percentOf(used, limit) {
+  if (!Number.isFinite(limit) || limit <= 0) return used > 0 ? 100 : 0;
+  return Math.min(100, Math.round((used / limit) * 100));
+}
+
+/**
+ * Usage as a percent of the most constrained allowance (scans, tokens or
+ * output tokens), and the highest warning threshold it has reached.
+ */
+function describeVisionUsage(plan, { scansUsed = 0, scanLimit = 0, tokensUsed = 0, outputTokensUsed = 0 } = {}) {
+  if (!plan || plan.unlimited) {
+    return { percentUsed: 0, threshold: 0, warningLevel: null };
+  }
+  const percentUsed = Math.max(
+    percentOf(scansUsed, scanLimit),
+    percentOf(tokensUsed, plan.monthlyTokens),
+    percentOf(outputTokensUsed, plan.maxOutputTokens),
+  );
+  const threshold = VISION_USAGE_THRESHOLDS.filter((value) => percentUsed >= value).pop() || 0;
+  let warningLevel = null;
+  if (threshold >= 100) warningLevel = 'exceeded';
+  else if (threshold > 0) warningLevel = 'warning';
+  return { percentUsed, threshold, warningLevel };
+}
+
+module.exports = {
+  VISION_QUOTA_PLANS_SETTING_KEY,
+  VISION_PLAN_KEYS,
+  VISION_USAGE_THRESHOLDS,
+  getDefaultVisionPlans,
+  resolveVisionPlans,
+  getVisionPlans,
+  resolveVisionPlanKey,
+  computeRolloverScans,
+  describeVisionUsage,
+};
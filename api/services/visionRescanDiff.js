@@ -0,0 +1,122 @@
+'use strict';
+
+function toPlacement(entry) {
+  if (!entry) return null;
+  return {
+    row: Number.isInteger(entry.row) ? entry.row : null,
+    rowPosition: Number.isInteger(entry.rowPosition) ? entry.rowPosition : null,
+    position: Number.isInteger(entry.position) ? entry.position : null,
+  };
+}
+
+function toDiffItem(entry, extra = {}) {
+  return {
+    collectionItemId: Number(entry.collectionItemId),
+    title: entry.title ?? null,
+    primaryCreator: entry.primaryCreator ?? null,
+    ...extra,
+  };
+}
+
+// Indexes (into `values`) of one longest strictly increasing subsequence.
+function longestIncreasingRun(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[index] = tails[low - 1];
+    tails[low] = index;
+  });
+
+  const kept = new Set();
+  let cursor = tails.length ? tails[tails.length - 1] : -1;
+  while (cursor !== -1) {
+    kept.add(cursor);
+    cursor = previous[cursor];
+  }
+  return kept;
+}
+
+/**
+ * Compare a re-scan against what earlier scans of the shelf had linked.
+ *
+ * An item counts as moved when it changed shelf row, or when it no longer
+ * sits in the same relative order as the others: the largest set of items
+ * whose old order survived is treated as stationary and everything else in
+ * common is reported as moved. That keeps one book pulled from the middle of
+ * a row from marking every book after it as moved.
+ *
+ * @param {object} params
+ * @param {Array<{ collectionItemId: number, row?: number, rowPosition?: number, position?: number, title?: string, primaryCreator?: string }>} params.previous - items linked from earlier scans, with their stored placement
+ * @param {Array<{ collectionItemId: number, row: number, rowPosition: number, position: number, regionId?: number, scanPhotoId?: number }>} params.current - placements from the re-scan
+ * @returns {{ newItems: Array<object>, missingItems: Array<object>, movedItems: Array<object>, unchangedCount: number }}
+ */
+function buildRescanDiff({ previous = [], current = [] } = {}) {
+  const previousById = new Map();
+  for (const entry of Array.isArray(previous) ? previous : []) {
+    const id = Number(entry?.collectionItemId);
+    if (id > 0 && !previousById.has(id)) previousById.set(id, entry);
+  }
+  const currentById = new Map();
+  for (const entry of Array.isArray(current) ? current : []) {
+    const id = Number(entry?.collectionItemId);
+    if (id > 0 && !currentById.has(id)) currentById.set(id, entry);
+  }
+
+  const newItems = [];
+  const common = [];
+  for (const [id, entry] of currentById) {
+    const before = previousById.get(id);
+    if (!before) {
+      newItems.push(toDiffItem(entry, {
+        regionId: entry.regionId ?? null,
+        scanPhotoId: entry.scanPhotoId ?? null,
+        to: toPlacement(entry),
+      }));
+    } else {
+      common.push({ id, before, after: entry });
+    }
+  }
+
+  const missingItems = [];
+  for (const [id, entry] of previousById) {
+    if (currentById.has(id)) continue;
+    missingItems.push(toDiffItem(entry, { from: toPlacement(entry) }));
+  }
+
+  common.sort((a, b) => (a.after.position ?? 0) - (b.after.position ?? 0));
+  const ordered = common.filter((entry) => Number.isInteger(entry.before.position));
+  const stationary = longestIncreasingRun(ordered.map((entry) => entry.before.position));
+  const inOrder = new Set(ordered.filter((_, index) => stationary.has(index)).map((entry) => entry.id));
+
+  const movedItems = [];
+  let unchangedCount = 0;
+  for (const { id, before, after } of common) {
+    const from = toPlacement(before);
+    const to = toPlacement(after);
+    const rowChanged = from.row != null && to.row != null && from.row !== to.row;
+    const reordered = from.position != null && !inOrder.has(id);
+    if (rowChanged || reordered) {
+      movedItems.push(toDiffItem({ ...after, ...before }, {
+        regionId: after.regionId ?? null,
+        scanPhotoId: after.scanPhotoId ?? null,
+        from,
+        to,
+      }));
+    } else {
+      unchangedCount += 1;
+    }
+  }
+
+  return { newItems, missingItems, movedItems, unchangedCount };
+}
+
+module.exports = {
+  buildRescanDiff,
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const {
+  makeLightweightFingerprint,
+  makeVisionOcrFingerprint,
+} = require('./collectables/fingerprint');
+const { BOX_SCALE, toNumericBox2d } = require('../utils/visionBox2d');
+
+// Photo-local extraction indexes are folded into one session-wide index space
+// (photoPosition * stride + localIndex) so the single-photo pipeline can keep
+// treating extractionIndex as a unique key while regions stay per-photo.
+const SESSION_INDEX_STRIDE = 10000;
+const DEFAULT_EDGE_BAND_RATIO = 0.25;
+const PAN_AXES = Object.freeze({
+  HORIZONTAL: 'horizontal',
+  VERTICAL: 'vertical',
+});
+
+function toSessionExtractionIndex(photoPosition, localIndex) {
+  if (!Number.isInteger(photoPosition) || photoPosition < 0) return null;
+  if (!Number.isInteger(localIndex) || localIndex < 0 || localIndex >= SESSION_INDEX_STRIDE) return null;
+  return (photoPosition * SESSION_INDEX_STRIDE) + localIndex;
+}
+
+function fromSessionExtractionIndex(sessionIndex, stride = SESSION_INDEX_STRIDE) {
+  if (!Number.isInteger(sessionIndex) || sessionIndex < 0) return null;
+  const resolvedStride = Number.isInteger(stride) && stride > 0 ? stride : SESSION_INDEX_STRIDE;
+  return {
+    photoPosition: Math.floor(sessionIndex / resolvedStride),
+    extractionIndex: sessionIndex % resolvedStride,
+  };
+}
+
+function buildSessionFingerprint(item, shelfType = null) {
+  const title = item?.title || item?.name || null;
+  if (!title) return null;
+  const creator = item?.author || item?.primaryCreator || item?.creator || null;
+  const kind = item?.kind || item?.type || shelfType;
+  return makeVisionOcrFingerprint(title, creator, kind)
+    || makeLightweightFingerprint({ title, primaryCreator: creator, kind });
+}
+
+function readConfidence(item) {
+  const numeric = Number(item?.confidence);
+  return Number.isFinite(numeric) ? numeric : 0;
+}
+
+function resolveEdgeBand(edgeBandRatio) {
+  const ratio = Number.isFinite(Number(edgeBandRatio))
+    ? Math.max(0, Math.min(0.5, Number(edgeBandRatio)))
+    : DEFAULT_EDGE_BAND_RATIO;
+  return ratio * BOX_SCALE;
+}
+
+function normalizePanAxis(panAxis) {
+  return panAxis === PAN_AXES.VERTICAL ? PAN_AXES.VERTICAL : PAN_AXES.HORIZONTAL;
+}
+
+/**
+ * Two detections from neighbouring photos are treated as the same physical
+ * item only when each sits in the overlap band on opposite sides of its photo
+ * along the pan axis (e.g. right edge of photo 1, left edge of photo 2).
+ * Either pan direction is accepted. Missing boxes cannot disprove an overlap,
+ * so they fall back to fingerprint + adjacency alone.
+ */
+function areRegionsAdjacent(
+  earlierBox,
+  laterBox,
+  { edgeBandRatio = DEFAULT_EDGE_BAND_RATIO, panAxis = PAN_AXES.HORIZONTAL } = {},
+) {
+  const earlier = toNumericBox2d(earlierBox);
+  const later = toNumericBox2d(laterBox);
+  if (!earlier || !later) return true;
+
+  const band = resolveEdgeBand(edgeBandRatio);
+  const nearEnd = (value) => value >= BOX_SCALE - band;
+  const nearStart = (value) => value <= band;
+  // box2d is [yMin, xMin, yMax, xMax]
+  const [minIndex, maxIndex] = normalizePanAxis(panAxis) === PAN_AXES.VERTICAL ? [0, 2] : [1, 3];
+
+  return (
+    (nearEnd(earlier[maxIndex]) && nearStart(later[minIndex]))
+    || (nearStart(earlier[minIndex]) && nearEnd(later[maxIndex]))
+  );
+}
+
+/**
+ * Collapse detections of the same physical item seen in overlapping photos of
+ * one scan session. Detections must carry `sessionPhotoIndex` (photo order)
+ * and `box2d` in normalized 0-1000 space.
+ *
+ * Only photos that are next to each other in the session can overlap, so two
+ * copies of the same title on opposite ends of a wall are kept as two items.
+ *
+ * @param {Array} detections
+ * @param {object} [options] - { shelfType, edgeBandRatio, panAxis }
+ * @returns {{ detections: Array, merges: Array<{ kept: object, dropped: object }>, mergedCount: number }}
+ */
+function reconcileSessionDetections(
+  detections = [],
+  {
+    shelfType = null,
+    edgeBandRatio = DEFAULT_EDGE_BAND_RATIO,
+    panAxis = PAN_AXES.HORIZONTAL,
+  } = {},
+) {
+  const kept = [];
+
+  for (const candidate of Array.isArray(detections) ? detections : []) {
+    const fingerprint = buildSessionFingerprint(candidate, shelfType);
+    const candidatePhoto = Number(candidate?.sessionPhotoIndex);
+    if (!fingerprint || !Number.isInteger(candidatePhoto)) {
+      kept.push({ item: candidate, fingerprint: null, dropped: [] });
+      continue;
+    }
+
+    // Compare against every sighting already folded into a slot so an item
+    // that spans three photos chains through the middle one.
+    const duplicateIndex = kept.findIndex((existing) => {
+      if (!existing.fingerprint || existing.fingerprint !== fingerprint) return false;
+      return [existing.item, ...existing.dropped].some((member) => {
+        const memberPhoto = Number(member?.sessionPhotoIndex);
+        if (Math.abs(memberPhoto - candidatePhoto) !== 1) return false;
+        const [earlier, later] = memberPhoto < candidatePhoto
+          ? [member, candidate]
+          : [candidate, member];
+        return areRegionsAdjacent(earlier?.box2d, later?.box2d, { edgeBandRatio, panAxis });
+      });
+    });
+
+    if (duplicateIndex < 0) {
+      kept.push({ item: candidate, fingerprint, dropped: [] });
+      continue;
+    }
+
+    const existing = kept[duplicateIndex];
+    const candidateWins = readConfidence(candidate) > readConfidence(existing.item);
+    const dropped = candidateWins ? existing.item : candidate;
+    if (candidateWins) existing.item = candidate;
+    existing.dropped.push(dropped);
+  }
+
+  // Resolve merges against the final survivor of each slot, since a later
+  // higher-confidence sighting can displace an earlier winner.
+  const merges = [];
+  for (const entry of kept) {
+    for (const dropped of entry.dropped) {
+      merges.push({ kept: entry.item, dropped });
+    }
+  }
+
+  return {
+    detections: kept.map((entry) => entry.item),
+    merges,
+    mergedCount: merges.length,
+  };
+}
+
+module.exports = {
+  SESSION_INDEX_STRIDE,
+  DEFAULT_EDGE_BAND_RATIO,
+  PAN_AXES,
+  normalizePanAxis,
+  toSessionExtractionIndex,
+  fromSessionExtractionIndex,
+  buildSessionFingerprint,
+  areRegionsAdjacent,
+  reconcileSessionDetections,
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+const { normalizeNormalizedBox2d } = require('../utils/visionBox2d');
+const { PAN_AXES, normalizePanAxis } = require('./visionSessionReconciler');
+
+// A box joins a row when at least this share of its height sits inside the
+// row's vertical band. Half keeps flat-stacked items with the spines beside
+// them while a spine poking past a shelf board does not pull rows together.
+const ROW_OVERLAP_RATIO = 0.5;
+
+function toLayoutEntry(region) {
+  // box2d is [yMin, xMin, yMax, xMax]
+  const box = normalizeNormalizedBox2d(region?.box2d);
+  if (!box) return null;
+  const [top, left, bottom, right] = box;
+  return {
+    region,
+    top,
+    bottom,
+    centerX: (left + right) / 2,
+    centerY: (top + bottom) / 2,
+  };
+}
+
+/**
+ * Group one scan's regions into shelf rows (top to bottom) and order each
+ * row left to right. Regions without a usable box cannot be placed and are
+ * returned separately.
+ *
+ * @param {Array<{ box2d: number[] }>} regions
+ * @returns {{ rows: Array<Array<object>>, unplaced: Array<object> }}
+ */
+function buildScanRows(regions = []) {
+  const entries = [];
+  const unplaced = [];
+  for (const region of Array.isArray(regions) ? regions : []) {
+    const entry = toLayoutEntry(region);
+    if (entry) entries.push(entry);
+    else if (region) unplaced.push(region);
+  }
+
+  entries.sort((a, b) => (a.centerY - b.centerY) || (a.centerX - b.centerX));
+
+  const rows = [];
+  for (const entry of entries) {
+    const row = rows[rows.length - 1];
+    const height = Math.max(entry.bottom - entry.top, 1);
+    const overlap = row
+      ? Math.min(entry.bottom, row.bottom) - Math.max(entry.top, row.top)
+      : 0;
+    if (row && overlap / height >= ROW_OVERLAP_RATIO) {
+      row.entries.push(entry);
+      row.top = Math.min(row.top, entry.top);
+      row.bottom = Math.max(row.bottom, entry.bottom);
+    } else {
+      rows.push({ top: entry.top, bottom: entry.bottom, entries: [entry] });
+    }
+  }
+
+  return {
+    rows: rows.map((row) => row.entries
+      .sort((a, b) => (a.centerX - b.centerX) || (a.top - b.top))
+      .map((entry) => entry.region)),
+    unplaced,
+  };
+}
+
+/**
+ * Assign shelf row and position to the collection items linked from one scan
+ * or a multi-photo session. Photos are given in capture order: a horizontal
+ * pan continues each row into the next photo, a vertical pan stacks the next
+ * photo's rows below. An item seen more than once (photo overlap, collapsed
+ * duplicates) keeps its first placement.
+ *
+ * @param {Array<{ scanPhotoId: number, regions: Array<object> }>} scans
+ * @param {object} [options] - { panAxis }
+ * @returns {Array<{ collectionItemId: number, regionId: number, scanPhotoId: number, row: number, rowPosition: number, position: number }>}
+ */
+function buildShelfPlacements(scans = [], { panAxis = PAN_AXES.HORIZONTAL } = {}) {
+  const stackRows = normalizePanAxis(panAxis) === PAN_AXES.VERTICAL;
+  const rows = [];
+  let rowOffset = 0;
+
+  for (const scan of Array.isArray(scans) ? scans : []) {
+    const linked = (Array.isArray(scan?.regions) ? scan.regions : [])
+      .filter((region) => Number(region?.collectionItemId) > 0);
+    const { rows: scanRows } = buildScanRows(linked);
+    scanRows.forEach((regions, index) => {
+      const rowIndex = (stackRows ? rowOffset : 0) + index;
+      if (!rows[rowIndex]) rows[rowIndex] = [];
+      rows[rowIndex].push(...regions.map((region) => ({ region, scanPhotoId: scan.scanPhotoId })));
+    });
+    rowOffset += scanRows.length;
+  }
+
+  const placements = [];
+  const seen = new Set();
+  let position = 0;
+  let row = 0;
+  for (const members of rows) {
+    if (!members) continue;
+    let rowPosition = 0;
+    for (const { region, scanPhotoId } of members) {
+      const collectionItemId = Number(region.collectionItemId);
+      if (seen.has(collectionItemId)) continue;
+      seen.add(collectionItemId);
+      if (rowPosition === 0) row += 1;
+      rowPosition += 1;
+      position += 1;
+      placements.push({
+        collectionItemId,
+        regionId: region.id ?? null,
+        scanPhotoId: scanPhotoId ?? region.scanPhotoId ?? null,
+        row,
+        rowPosition,
+        position,
+      });
+    }
+  }
+  return placements;
+}
+
+module.exports = {
+  ROW_OVERLAP_RATIO,
+  buildScanRows,
+  buildShelfPlacements,
+};
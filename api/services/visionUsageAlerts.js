@@ -0,0 +1,55 @@
+'use strict';
+
+const visionQuotaQueries = require('../database/queries/visionQuota');
+const notificationsQueries = require('../database/queries/notifications');
+const logger = require('../logger');
+
+function buildUsageMessage(quota, threshold) {
+  if (threshold >= 100) {
+    return `You've used your vision scans for this period. They reset in ${quota.daysRemaining} day${quota.daysRemaining === 1 ? '' : 's'}.`;
+  }
+  return `You've used ${quota.percentUsed}% of your vision scans for this period.`;
+}
+
+/**
+ * Notify the owner the first time usage crosses 80% and 100% in a period.
+ * Safe to call after every billed job; never throws.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {object|null} params.quota - summary from visionQuotaQueries
+ * @returns {Promise<number|null>} the threshold notified, if any
+ */
+async function notifyVisionUsageThreshold({ userId, quota }) {
+  if (!userId || !quota || quota.unlimited) return null;
+  const threshold = quota.warningLevel === 'exceeded' ? 100 : quota.warningLevel === 'warning' ? 80 : 0;
+  if (!threshold || threshold <= (quota.warnedThreshold || 0)) return null;
+
+  try {
+    const claimed = await visionQuotaQueries.claimUsageThreshold(userId, threshold);
+    if (!claimed) return null;
+
+    await notificationsQueries.create({
+      userId,
+      actorId: null,
+      type: 'vision_quota_warning',
+      entityId: `${quota.periodStart}:${threshold}`,
+      entityType: 'vision_quota',
+      metadata: {
+        threshold,
+        percentUsed: quota.percentUsed,
+        plan: quota.plan,
+        daysRemaining: quota.daysRemaining,
+        summaryMessage: buildUsageMessage(quota, threshold),
+      },
+    });
+    return threshold;
+  } catch (err) {
+    logger.warn('[Vision] Failed to send usage warning:', err?.message || err);
+    return null;
+  }
+}
+
+module.exports = {
+  notifyVisionUsageThreshold,
+};
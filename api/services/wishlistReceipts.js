@@ -0,0 +1,47 @@
+'use strict';
+
+const wishlistsQueries = require('../database/queries/wishlists');
+const { HOOK_TYPES } = require('./visionPipelineHooks');
+const logger = require('../logger');
+
+/**
+ * A user shelved a collectable: every unreceived item for it on wishlists they
+ * created or co-own becomes received (which also reveals who reserved it).
+ * Never throws, so shelf adds can fire it and move on.
+ *
+ * @returns {Promise<Array<{ id: number, wishlistId: number }>>}
+ */
+async function markWishlistItemsReceived(userId, collectableId) {
+  if (!userId || !collectableId) return [];
+  try {
+    const received = await wishlistsQueries.markReceivedForCollectable(userId, collectableId);
+    if (received.length) {
+      logger.info(`[Wishlist Receipts] Marked ${received.length} wishlist item(s) received`, { userId, collectableId });
+    }
+    return received;
+  } catch (err) {
+    logger.warn('[Wishlist Receipts] Failed to mark wishlist items received', {
+      userId,
+      collectableId,
+      error: err?.message || err,
+    });
+    return [];
+  }
+}
+
+/**
+ * Mark items received when the vision pipeline puts a catalog collectable on a
+ * shelf. Returns the unregister function.
+ */
+function registerWishlistReceiptHook(hooks) {
+  return hooks.register(HOOK_TYPES.AFTER_SHELF_UPSERT, async (context) => {
+    const collectableId = context?.collectable?.id;
+    const userId = context?.userId || context?.shelfItem?.userId;
+    await markWishlistItemsReceived(userId, collectableId);
+  }, { name: 'wishlistReceipts' });
+}
+
+module.exports = {
+  markWishlistItemsReceived,
+  registerWishlistReceiptHook,
+};
@@ -0,0 +1,207 @@
+'use strict';
+
+const wishlistAlertsQueries = require('../database/queries/wishlistAlerts');
+const notificationsQueries = require('../database/queries/notifications');
+const logger = require('../logger');
+
+// Blu-ray.com lists are disc releases; every other watched list type is about
+// the title's first release.
+const PHYSICAL_ITEM_TYPE = /_(4k|bluray)$/;
+const PREORDER_ITEM_TYPE = /^preorder_/;
+
+// An amount marked as dollars: "$45", "USD 45", "USD $45".
+const CURRENCY_AMOUNT = /(?:\$|\bUSD\b)\s*(\d+(?:\.\d+)?)/gi;
+const LEADING_AMOUNT = /^\s*(\d+(?:\.\d+)?)/;
+
+/**
+ * Pull a price out of a free-text market value ("USD $45", "$40 - $60",
+ * "1,200"). Only dollar-marked amounts count, or a bare amount leading the
+ * text, so grades and counts ("PSA 10: $500") are never read as prices.
+ * Ranges resolve to their low end: the item can be had for that.
+ *
+ * @returns {number|null}
+ */
+function parseMarketValue(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/,/g, '');
+  let amounts = [...text.matchAll(CURRENCY_AMOUNT)].map((match) => Number(match[1]));
+  if (!amounts.length) {
+    const leading = text.match(LEADING_AMOUNT);
+    amounts = leading ? [Number(leading[1])] : [];
+  }
+  amounts = amounts.filter((amount) => Number.isFinite(amount) && amount > 0);
+  return amounts.length ? Math.min(...amounts) : null;
+}
+
+function formatPrice(amount) {
+  const value = Number(amount);
+  return Number.isInteger(value) ? `$${value}` : `$${value.toFixed(2)}`;
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Alerts a news match can raise: the title got a release date, and (for disc
+ * lists or a physical date) a physical release. Keyed by date, so a moved
+ * date is announced again.
+ */
+function buildReleaseAlerts(match) {
+  const alerts = [];
+  const isPhysicalList = PHYSICAL_ITEM_TYPE.test(match.itemType || '');
+  const details = {
+    newsItemType: match.itemType,
+    category: match.category,
+    sourceUrl: match.sourceUrl || null,
+  };
+
+  if (isPhysicalList || match.physicalReleaseDate) {
+    const date = match.physicalReleaseDate || match.releaseDate || null;
+    alerts.push({
+      alertType: 'physical_release',
+      dedupeKey: date || match.itemType,
+      details: { ...details, releaseDate: date, preorder: PREORDER_ITEM_TYPE.test(match.itemType || '') },
+    });
+  }
+  if (!isPhysicalList && match.releaseDate) {
+    alerts.push({
+      alertType: 'release_date',
+      dedupeKey: match.releaseDate,
+      details: { ...details, releaseDate: match.releaseDate },
+    });
+  }
+  return alerts;
+}
+
+/**
+ * A price alert once the market value is at or below the target. Keyed by the
+ * target, so raising or lowering it re-arms the alert.
+ */
+function buildPriceAlert(candidate) {
+  const target = Number(candidate.targetPrice);
+  const value = parseMarketValue(candidate.marketValue);
+  if (!Number.isFinite(target) || value === null || value > target) return null;
+  return {
+    alertType: 'price_drop',
+    dedupeKey: candidate.targetPrice,
+    details: { marketValue: candidate.marketValue, parsedValue: value, targetPrice: target },
+  };
+}
+
+function buildMessage(title, alert, today = todayIso()) {
+  const name = title || 'An item on your wishlist';
+  const { details } = alert;
+  if (alert.alertType === 'price_drop') {
+    return `${name} is now valued at ${details.marketValue}, at or below your ${formatPrice(details.targetPrice)} target.`;
+  }
+  if (alert.alertType === 'physical_release') {
+    if (details.preorder) return `${name} is up for preorder on disc${details.releaseDate ? ` (out ${details.releaseDate})` : ''}.`;
+    if (!details.releaseDate) return `${name} is getting a physical release.`;
+    return details.releaseDate > today
+      ? `${name} is getting a physical release on ${details.releaseDate}.`
+      : `${name} is out now on disc.`;
+  }
+  return details.releaseDate > today
+    ? `${name} releases on ${details.releaseDate}.`
+    : `${name} is out now (released ${details.releaseDate}).`;
+}
+
+/**
+ * Record an alert and, unless the item is muted, send a `wishlist_alert`
+ * notification (in-app + push). Muted alerts are still recorded so they are
+ * not replayed when the item is unmuted. `notified_at` is only set once the
+ * notification went out; if sending fails the alert is released so the next
+ * run raises it again.
+ *
+ * @returns {Promise<'notified'|'muted'|null>} null when the alert was a duplicate
+ */
+async function deliverAlert(item, alert, newsItemId = null) {
+  const recorded = await wishlistAlertsQueries.recordAlert({
+    wishlistItemId: item.wishlistItemId,
+    alertType: alert.alertType,
+    dedupeKey: alert.dedupeKey,
+    newsItemId,
+    details: alert.details,
+  });
+  if (!recorded) return null;
+  if (item.alertsMuted) return 'muted';
+
+  try {
+    await notificationsQueries.create({
+      userId: item.userId,
+      actorId: null,
+      type: 'wishlist_alert',
+      entityId: item.wishlistItemId,
+      entityType: 'wishlist_item',
+      metadata: {
+        wishlistId: item.wishlistId,
+        wishlistItemId: item.wishlistItemId,
+        collectableId: item.collectableId || null,
+        itemTitle: item.itemTitle,
+        alertType: alert.alertType,
+        ...alert.details,
+        summaryMessage: buildMessage(item.itemTitle, alert),
+      },
+    });
+  } catch (err) {
+    await wishlistAlertsQueries.deleteAlert(recorded.id);
+    throw err;
+  }
+  await wishlistAlertsQueries.markNotified(recorded.id);
+  return 'notified';
+}
+
+/**
+ * Check every watched wishlist item against live news items and collectable
+ * market values and alert on new release dates, physical releases and prices
+ * at or below the item's target.
+ *
+ * @returns {Promise<{ candidates: number, notified: number, muted: number }>}
+ */
+async function runWishlistWatch() {
+  const [releaseMatches, priceCandidates] = await Promise.all([
+    wishlistAlertsQueries.listReleaseMatches(),
+    wishlistAlertsQueries.listPriceCandidates(),
+  ]);
+
+  const pending = [];
+  for (const match of releaseMatches) {
+    for (const alert of buildReleaseAlerts(match)) {
+      pending.push({ item: match, alert, newsItemId: match.newsItemId });
+    }
+  }
+  for (const candidate of priceCandidates) {
+    const alert = buildPriceAlert(candidate);
+    if (alert) pending.push({ item: candidate, alert, newsItemId: null });
+  }
+
+  let notified = 0;
+  let muted = 0;
+  for (const { item, alert, newsItemId } of pending) {
+    try {
+      const outcome = await deliverAlert(item, alert, newsItemId);
+      if (outcome === 'notified') notified += 1;
+      if (outcome === 'muted') muted += 1;
+    } catch (err) {
+      logger.warn('[Wishlist Watch] Failed to deliver alert', {
+        wishlistItemId: item.wishlistItemId,
+        alertType: alert.alertType,
+        error: err?.message || err,
+      });
+    }
+  }
+
+  if (notified || muted) {
+    logger.info(`[Wishlist Watch] Sent ${notified} alert(s), recorded ${muted} muted alert(s).`);
+  }
+  return { candidates: pending.length, notified, muted };
+}
+
+module.exports = {
+  parseMarketValue,
+  buildReleaseAlerts,
+  buildPriceAlert,
+  buildMessage,
+  runWishlistWatch,
+};
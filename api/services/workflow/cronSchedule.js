@@ -0,0 +1,161 @@
+/**
+ * Minimal five-field cron support (minute hour day-of-month month day-of-week)
+ * for `workflow_schedules`. Fields accept `*`, numbers, ranges (`1-5`), lists
+ * (`1,15`) and steps (`0-30/10`, or a step on `*`); `@hourly`/`@daily`/`@weekly`/
+ * `@monthly` are shorthands. Expressions are evaluated in UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const ALIASES = Object.freeze({
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+});
+
+// Far enough to cover leap-day schedules without looping forever on `0 0 30 2 *`.
+const MAX_LOOKAHEAD_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+function invalidCron(expression, reason) {
+  const err = new Error(`Invalid cron expression "${expression}": ${reason}`);
+  err.code = 'INVALID_CRON';
+  return err;
+}
+
+function parseNumber(raw, field, expression) {
+  if (!/^\d+$/.test(raw)) throw invalidCron(expression, `bad ${field.name} value "${raw}"`);
+  const value = Number.parseInt(raw, 10);
+  if (value < field.min || value > field.max) {
+    throw invalidCron(expression, `${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(raw, field, expression) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart == null ? 1 : Number.parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepPart != null && !/^\d+$/.test(stepPart))) {
+      throw invalidCron(expression, `bad step "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseNumber(from, field, expression);
+      end = parseNumber(to, field, expression);
+      if (start > end) throw invalidCron(expression, `range "${rangePart}" is reversed`);
+    } else {
+      start = parseNumber(rangePart, field, expression);
+      end = stepPart == null ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression
+ * @returns {{ minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>,
+ *   months: Set<number>, daysOfWeek: Set<number>, dayOfMonthAny: boolean, dayOfWeekAny: boolean }}
+ * @throws {Error} code `INVALID_CRON`
+ */
+function parseCron(expression) {
+  const normalized = String(expression || '').trim().toLowerCase();
+  const source = ALIASES[normalized] || normalized;
+  const parts = source.split(/\s+/).filter(Boolean);
+  if (parts.length !== FIELDS.length) {
+    throw invalidCron(expression, `expected ${FIELDS.length} fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeekRaw] = parts.map((part, index) => (
+    parseField(part, FIELDS[index], expression)
+  ));
+  // Both 0 and 7 mean Sunday.
+  const daysOfWeek = new Set([...daysOfWeekRaw].map((day) => day % 7));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthAny: parts[2] === '*',
+    dayOfWeekAny: parts[4] === '*',
+  };
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+function matchesDay(parsed, date) {
+  const domMatch = parsed.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = parsed.daysOfWeek.has(date.getUTCDay());
+  // Standard cron: when both day fields are restricted, either may match.
+  if (parsed.dayOfMonthAny) return dowMatch;
+  if (parsed.dayOfWeekAny) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * First matching minute strictly after `from`.
+ * @param {string} expression
+ * @param {Date} [from]
+ * @returns {Date|null} null when nothing matches within four years
+ */
+function nextCronRun(expression, from = new Date()) {
+  const parsed = parseCron(expression);
+  const start = new Date(from instanceof Date ? from.getTime() : Date.parse(from));
+  if (Number.isNaN(start.getTime())) throw invalidCron(expression, 'invalid start date');
+
+  const candidate = new Date(start.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+  const limit = start.getTime() + MAX_LOOKAHEAD_MS;
+
+  while (candidate.getTime() <= limit) {
+    if (!parsed.months.has(candidate.getUTCMonth() + 1) || !matchesDay(parsed, candidate)) {
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hours.has(candidate.getUTCHours())) {
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minutes.has(candidate.getUTCMinutes())) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return candidate;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextCronRun,
+};
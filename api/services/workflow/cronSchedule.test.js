@@ -0,0 +1,33 @@
+const { isValidCron, nextCronRun } = require('./cronSchedule');
+
+describe('cronSchedule', () => {
+  test('finds the next daily slot in UTC', () => {
+    const from = new Date('2026-04-13T03:59:30Z');
+    expect(nextCronRun('0 4 * * *', from).toISOString()).toBe('2026-04-13T04:00:00.000Z');
+    expect(nextCronRun('0 4 * * *', new Date('2026-04-13T04:00:00Z')).toISOString())
+      .toBe('2026-04-14T04:00:00.000Z');
+  });
+
+  test('supports steps, ranges, lists and aliases', () => {
+    const from = new Date('2026-04-13T10:07:00Z'); // Monday
+    expect(nextCronRun('*/15 * * * *', from).toISOString()).toBe('2026-04-13T10:15:00.000Z');
+    expect(nextCronRun('30 9-17 * * 1-5', new Date('2026-04-17T17:45:00Z')).toISOString())
+      .toBe('2026-04-20T09:30:00.000Z');
+    expect(nextCronRun('0 0 1,15 * *', from).toISOString()).toBe('2026-04-15T00:00:00.000Z');
+    expect(nextCronRun('@weekly', from).toISOString()).toBe('2026-04-19T00:00:00.000Z');
+    expect(nextCronRun('0 3 * * 7', from).toISOString()).toBe('2026-04-19T03:00:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    const from = new Date('2026-04-13T12:00:00Z');
+    expect(nextCronRun('0 0 20 * 3', from).toISOString()).toBe('2026-04-15T00:00:00.000Z');
+  });
+
+  test('rejects malformed expressions and returns null for impossible dates', () => {
+    expect(isValidCron('0 4 * *')).toBe(false);
+    expect(isValidCron('61 * * * *')).toBe(false);
+    expect(isValidCron('*/0 * * * *')).toBe(false);
+    expect(() => nextCronRun('nope')).toThrow(expect.objectContaining({ code: 'INVALID_CRON' }));
+    expect(nextCronRun('0 0 30 2 *', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+const { query } = require('../../database/pg');
+const { deleteOldSeenRecords } = require('../../database/queries/newsSeen');
+const refreshNewsCacheJob = require('../../jobs/refreshNewsCache');
+const refreshTmdbCoverCacheJob = require('../../jobs/refreshTmdbCoverCache');
+const refreshCollectableMetadataJob = require('../../jobs/refreshCollectableMetadata');
+const cleanupNeedsReviewJob = require('../../jobs/cleanupNeedsReview');
+const { sendOverdueLoanReminders } = require('../loanReminders');
+const { sweepGoalMilestones } = require('../goalProgress');
+const { runWishlistWatch } = require('../wishlistWatch');
+const logger = require('../../logger');
+
+function parseNumberInRange(value, fallback, min, max) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  if (parsed < min || parsed > max) return fallback;
+  return parsed;
+}
+
+// The old per-job scheduler env knobs still seed the initial cron so existing
+// deployments keep their time slot; after that the database row wins.
+function dailyCron(hourEnv, minuteEnv, defaultHour, defaultMinute = 0) {
+  const hour = parseNumberInRange(process.env[hourEnv], defaultHour, 0, 23);
+  const minute = parseNumberInRange(process.env[minuteEnv], defaultMinute, 0, 59);
+  return `${minute} ${hour} * * *`;
+}
+
+function toDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+async function newsCacheNeedsRefresh() {
+  try {
+    const result = await query(`
+      SELECT COUNT(*) FILTER (WHERE expires_at > NOW())::int AS active_count
+      FROM news_items
+    `);
+    return Number(result.rows[0]?.active_count || 0) === 0;
+  } catch (err) {
+    if (err && err.code === '42P01') return false;
+    logger.warn('[News Cache] Failed to read cache status:', { error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Background jobs that run through `workflow_schedules`. Each entry seeds its
+ * schedule row the first time the scheduler starts (`cron`, `enabled`,
+ * `payload`); `run(payload)` executes one run inside the queue worker, and the
+ * optional `shouldRunOnBoot()` requests an immediate run at startup.
+ */
+const SCHEDULED_JOBS = Object.freeze({
+  refreshNewsCache: {
+    description: 'Refresh trending/upcoming news items from TMDB, IGDB, Blu-ray.com and NYT Books',
+    cron: dailyCron('NEWS_CACHE_REFRESH_HOUR', 'NEWS_CACHE_REFRESH_MINUTE', 4),
+    enabled: process.env.NEWS_CACHE_SCHEDULER_DISABLED !== 'true',
+    run: () => refreshNewsCacheJob.runRefresh(),
+    shouldRunOnBoot: newsCacheNeedsRefresh,
+  },
+  newsSeenCleanup: {
+    description: 'Delete user_news_seen records older than NEWS_SEEN_MAX_AGE_HOURS',
+    cron: dailyCron('NEWS_SEEN_CLEANUP_HOUR', 'NEWS_SEEN_CLEANUP_MINUTE', 3),
+    enabled: process.env.NEWS_SEEN_CLEANUP_DISABLED !== 'true',
+    run: async () => {
+      const maxAgeHours = parseNumberInRange(process.env.NEWS_SEEN_MAX_AGE_HOURS, 48, 1, 720);
+      const deletedCount = await deleteOldSeenRecords(maxAgeHours);
+      logger.info(`[News Seen Cleanup] Deleted ${deletedCount} old records.`, { deletedCount, maxAgeHours });
+      return { deletedCount };
+    },
+  },
+  cleanupNeedsReview: {
+    description: 'Delete pending review items past NEEDS_REVIEW_EXPIRY_DAYS',
+    cron: '0 3 * * 0',
+    enabled: true,
+    run: () => cleanupNeedsReviewJob.runCleanup(),
+  },
+  refreshTmdbCoverCache: {
+    description: 'Re-cache TMDB cover images older than TMDB_CACHE_MAX_MONTHS',
+    cron: '30 3 * * *',
+    enabled: true,
+    run: () => refreshTmdbCoverCacheJob.runRefresh(),
+  },
+  loanOverdueReminders: {
+    description: 'Notify lenders (and borrowers on ShelvesAI) once a loan passes its due date',
+    cron: '0 16 * * *',
+    enabled: true,
+    run: () => sendOverdueLoanReminders(),
+  },
+  goalMilestones: {
+    description: 'Post yearly goal milestones (25/50/75/100%) reached since the last check',
+    cron: '15 * * * *',
+    enabled: true,
+    run: () => sweepGoalMilestones(),
+  },
+  wishlistWatch: {
+    description: 'Alert on release dates, physical releases and target prices for watched wishlist items',
+    cron: '45 4 * * *',
+    enabled: true,
+    run: () => runWishlistWatch(),
+  },
+  refreshCollectableMetadata: {
+    description: 'Re-enrich collectables created in the last `lookbackDays` from catalog APIs',
+    cron: '0 5 * * 0',
+    enabled: false,
+    payload: { type: 'all', lookbackDays: 7 },
+    run: (payload = {}) => {
+      const lookbackDays = parseNumberInRange(payload.lookbackDays, 7, 1, 365);
+      const end = new Date();
+      const start = new Date(end.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+      return refreshCollectableMetadataJob.runEnrichment({
+        startDate: toDateOnly(start),
+        endDate: toDateOnly(end),
+        type: payload.type || 'all',
+      });
+    },
+  },
+});
+
+module.exports = {
+  SCHEDULED_JOBS,
+};
@@ -0,0 +1,45 @@
+const { CatalogProvidersUnavailableError } = require('../catalog/errors');
+
+const RETRYABLE_CODES = new Set([
+  'CATALOG_PROVIDERS_UNAVAILABLE',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+]);
+const RETRYABLE_HTTP_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+/**
+ * Whether a handler error is transient enough to schedule another attempt.
+ * Provider outages and network/upstream hiccups are retryable; aborts, bad
+ * input and anything unrecognised fail the job on the first attempt.
+ */
+function isRetryableWorkflowError(err) {
+  if (!err) return false;
+  if (err.code === 'WORKFLOW_ABORTED') return false;
+  if (typeof err.retryable === 'boolean') return err.retryable;
+  if (err instanceof CatalogProvidersUnavailableError) return true;
+  if (err.code && RETRYABLE_CODES.has(String(err.code))) return true;
+  const status = Number(err.status || err.statusCode || err.response?.status);
+  return RETRYABLE_HTTP_STATUSES.has(status);
+}
+
+/**
+ * Exponential backoff for the attempt that just failed (1-based), capped at
+ * `maxDelayMs`, with up to 10% jitter so a provider outage does not release
+ * every queued retry in the same tick.
+ */
+function computeRetryDelayMs({ attempt = 1, baseDelayMs = 30000, maxDelayMs = 15 * 60 * 1000, random = Math.random } = {}) {
+  const safeAttempt = Math.max(1, Number.parseInt(String(attempt), 10) || 1);
+  const base = Math.max(0, Number(baseDelayMs) || 0);
+  const cap = Math.max(base, Number(maxDelayMs) || 0);
+  const delay = Math.min(cap, base * (2 ** (safeAttempt - 1)));
+  const jitter = Math.floor(delay * 0.1 * random());
+  return Math.min(cap, delay + jitter);
+}
+
+module.exports = {
+  isRetryableWorkflowError,
+  computeRetryDelayMs,
+};
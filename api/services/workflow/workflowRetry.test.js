@@ -0,0 +1,25 @@
+const { CatalogProvidersUnavailableError } = require('../catalog/errors');
+const { isRetryableWorkflowError, computeRetryDelayMs } = require('./workflowRetry');
+
+describe('workflowRetry', () => {
+  test('treats provider outages and upstream hiccups as retryable', () => {
+    expect(isRetryableWorkflowError(new CatalogProvidersUnavailableError())).toBe(true);
+    expect(isRetryableWorkflowError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableWorkflowError(Object.assign(new Error('busy'), { status: 503 }))).toBe(true);
+  });
+
+  test('fails aborts, bad input and unknown errors immediately', () => {
+    expect(isRetryableWorkflowError(Object.assign(new Error('stop'), { code: 'WORKFLOW_ABORTED' }))).toBe(false);
+    expect(isRetryableWorkflowError(Object.assign(new Error('Shelf not found'), { status: 404 }))).toBe(false);
+    expect(isRetryableWorkflowError(new Error('boom'))).toBe(false);
+    expect(isRetryableWorkflowError(Object.assign(new Error('boom'), { retryable: true }))).toBe(true);
+  });
+
+  test('backs off exponentially up to the cap', () => {
+    const noJitter = () => 0;
+    expect(computeRetryDelayMs({ attempt: 1, baseDelayMs: 1000, maxDelayMs: 10000, random: noJitter })).toBe(1000);
+    expect(computeRetryDelayMs({ attempt: 3, baseDelayMs: 1000, maxDelayMs: 10000, random: noJitter })).toBe(4000);
+    expect(computeRetryDelayMs({ attempt: 8, baseDelayMs: 1000, maxDelayMs: 10000, random: noJitter })).toBe(10000);
+    expect(computeRetryDelayMs({ attempt: 2, baseDelayMs: 1000, maxDelayMs: 10000, random: () => 0.99 })).toBe(2198);
+  });
+});
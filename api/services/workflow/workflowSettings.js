@@ -6,7 +6,9 @@ const DEFAULTS = Object.freeze({
   workflowQueueMaxQueuedPerUser: 4,
   workflowQueueLongThresholdPosition: 3,
   workflowQueueNotifyMinWaitMs: 20000,
-  workflowQueueRetryMaxAttempts: 1,
+  workflowQueueRetryMaxAttempts: 3,
+  workflowQueueRetryBaseDelayMs: 30 * 1000,
+  workflowQueueRetryMaxDelayMs: 15 * 60 * 1000,
   workflowQueueTerminalRetentionMs: 24 * 60 * 60 * 1000,
 });
 
@@ -62,6 +64,8 @@ async function getWorkflowQueueSettings() {
     workflowQueueLongThresholdPosition,
     workflowQueueNotifyMinWaitMs,
     workflowQueueRetryMaxAttempts,
+    workflowQueueRetryBaseDelayMs,
+    workflowQueueRetryMaxDelayMs,
     workflowQueueTerminalRetentionMs,
   ] = await Promise.all([
     readNumberSetting('workflow_queue_max_running', DEFAULTS.workflowQueueMaxRunning, { min: 1, max: 64 }),
@@ -70,6 +74,8 @@ async function getWorkflowQueueSettings() {
     readNumberSetting('workflow_queue_long_threshold_position', DEFAULTS.workflowQueueLongThresholdPosition, { min: 1, max: 1000 }),
     readNumberSetting('workflow_queue_notify_min_wait_ms', DEFAULTS.workflowQueueNotifyMinWaitMs, { min: 0, max: 10 * 60 * 1000 }),
     readNumberSetting('workflow_queue_retry_max_attempts', DEFAULTS.workflowQueueRetryMaxAttempts, { min: 1, max: 10 }),
+    readNumberSetting('workflow_queue_retry_base_delay_ms', DEFAULTS.workflowQueueRetryBaseDelayMs, { min: 1000, max: 60 * 60 * 1000 }),
+    readNumberSetting('workflow_queue_retry_max_delay_ms', DEFAULTS.workflowQueueRetryMaxDelayMs, { min: 1000, max: 24 * 60 * 60 * 1000 }),
     readNumberSetting('workflow_queue_terminal_retention_ms', DEFAULTS.workflowQueueTerminalRetentionMs, { min: 60 * 1000 }),
   ]);
 
@@ -80,6 +86,8 @@ async function getWorkflowQueueSettings() {
     workflowQueueLongThresholdPosition,
     workflowQueueNotifyMinWaitMs,
     workflowQueueRetryMaxAttempts,
+    workflowQueueRetryBaseDelayMs,
+    workflowQueueRetryMaxDelayMs,
     workflowQueueTerminalRetentionMs,
   };
 }
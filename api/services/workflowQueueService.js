@@ -2,25 +2,47 @@ const workflowQueueJobs = require('../database/queries/workflowQueueJobs');
 const notificationsQueries = require('../database/queries/notifications');
 const logger = require('../logger');
 const { getWorkflowQueueSettings } = require('./workflow/workflowSettings');
+const { isRetryableWorkflowError, computeRetryDelayMs } = require('./workflow/workflowRetry');
 const processingStatus = require('./processingStatus');
 
 const POLL_INTERVAL_MS = Number.parseInt(process.env.WORKFLOW_QUEUE_POLL_INTERVAL_MS || '400', 10);
 const CLEANUP_INTERVAL_MS = Number.parseInt(process.env.WORKFLOW_QUEUE_CLEANUP_INTERVAL_MS || String(15 * 60 * 1000), 10);
+const HEARTBEAT_INTERVAL_MS = Number.parseInt(process.env.WORKFLOW_QUEUE_HEARTBEAT_INTERVAL_MS || '15000', 10);
+// A processing job whose heartbeat is older than this is treated as orphaned by a crashed instance.
+const ORPHAN_AFTER_MS = Number.parseInt(process.env.WORKFLOW_QUEUE_ORPHAN_AFTER_MS || String(2 * 60 * 1000), 10);
+const ORPHANED_JOB_ERROR = Object.freeze({
+  message: 'Processing was interrupted by a server restart',
+  code: 'WORKFLOW_ORPHANED',
+});
+const TERMINAL_FAILURE_STATUSES = new Set(['failed', 'aborted', 'dead']);
 
 class WorkflowQueueService {
   constructor() {
     this.handlers = new Map();
+    this.orphanHandlers = new Map();
+    this.activeJobIds = new Set();
     this.started = false;
     this.pollTimer = null;
     this.cleanupTimer = null;
+    this.heartbeatTimer = null;
     this.tickInFlight = false;
   }
 
-  registerHandler(workflowType, handler) {
+  /**
+   * @param {string} workflowType
+   * @param {Function} handler - (job, { shouldAbort }) => result
+   * @param {object} [options]
+   * @param {Function} [options.onOrphaned] - Called with the settled queue row when a crashed
+   *   job of this type is dead-lettered or aborted during recovery (not when it is requeued).
+   */
+  registerHandler(workflowType, handler, { onOrphaned = null } = {}) {
     if (!workflowType || typeof handler !== 'function') {
       throw new Error('registerHandler requires workflowType and function handler');
     }
     this.handlers.set(String(workflowType), handler);
+    if (typeof onOrphaned === 'function') {
+      this.orphanHandlers.set(String(workflowType), onOrphaned);
+    }
   }
 
   start() {
@@ -36,10 +58,20 @@ class WorkflowQueueService {
         logger.warn('[WorkflowQueue] cleanup failed', { error: err?.message || err });
       });
     }, Math.max(60000, CLEANUP_INTERVAL_MS));
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch((err) => {
+        logger.warn('[WorkflowQueue] heartbeat failed', { error: err?.message || err });
+      });
+    }, Math.max(1000, HEARTBEAT_INTERVAL_MS));
 
-    this.tick().catch((err) => {
-      logger.error('[WorkflowQueue] startup tick failed', { error: err?.message || err });
-    });
+    this.recoverOrphanedJobs()
+      .catch((err) => {
+        logger.error('[WorkflowQueue] startup recovery failed', { error: err?.message || err });
+      })
+      .then(() => this.tick())
+      .catch((err) => {
+        logger.error('[WorkflowQueue] startup tick failed', { error: err?.message || err });
+      });
     logger.info('[WorkflowQueue] service started');
   }
 
@@ -54,6 +86,10 @@ class WorkflowQueueService {
       clearInterval(this.cleanupTimer);
       this.cleanupTimer = null;
     }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
     logger.info('[WorkflowQueue] service stopped');
   }
 
@@ -91,6 +127,7 @@ class WorkflowQueueService {
   async executeJob(job, handler) {
     const workflowType = job.workflowType;
     const startedAt = Date.now();
+    this.activeJobIds.add(job.jobId);
     try {
       const payload = job.payload && typeof job.payload === 'object' ? job.payload : {};
       const result = await handler(job, {
@@ -117,28 +154,27 @@ class WorkflowQueueService {
         message: String(err?.message || 'Workflow failed'),
         code: err?.code || null,
       };
+      const retryable = isRetryableWorkflowError(err);
+      let retryDelayMs = 0;
+      if (retryable) {
+        const settings = await getWorkflowQueueSettings();
+        retryDelayMs = computeRetryDelayMs({
+          attempt: job.attemptCount,
+          baseDelayMs: settings.workflowQueueRetryBaseDelayMs,
+          maxDelayMs: settings.workflowQueueRetryMaxDelayMs,
+        });
+      }
       const updated = await workflowQueueJobs.markFailedOrRequeue({
         jobId: job.jobId,
         error: errorPayload,
+        retryable,
+        retryDelayMs,
       });
-      if (updated?.status === 'queued') {
-        processingStatus.setJob(job.jobId, {
-          jobId: job.jobId,
-          userId: updated.userId || job.userId,
-          shelfId: updated.shelfId || job.shelfId || null,
-          status: 'queued',
-          step: 'queued',
-          progress: 0,
-          message: 'Requeued after transient failure',
-          aborted: false,
-          result: null,
-        });
-      } else if (updated?.status === 'aborted') {
-        processingStatus.abortJob(job.jobId, { preserveStatus: false, message: 'Processing cancelled by user' });
-      } else {
-        processingStatus.failJob(job.jobId, errorPayload.message);
-      }
-      if (updated && ['failed', 'aborted'].includes(updated.status)) {
+      this.syncLocalStatus(job, updated, {
+        requeueMessage: 'Retrying after a temporary failure',
+        errorMessage: errorPayload.message,
+      });
+      if (updated && TERMINAL_FAILURE_STATUSES.has(updated.status)) {
         await this.maybeSendTerminalNotification({
           job: updated,
           type: 'workflow_failed',
@@ -148,10 +184,97 @@ class WorkflowQueueService {
         workflowType,
         jobId: job.jobId,
         status: updated?.status || null,
+        retryable,
+        retryDelayMs: updated?.status === 'queued' ? retryDelayMs : null,
         durationMs: Date.now() - startedAt,
         error: errorPayload.message,
       });
+    } finally {
+      this.activeJobIds.delete(job.jobId);
+    }
+  }
+
+  /**
+   * Mirror a settled queue row into this process's processingStatus cache.
+   */
+  syncLocalStatus(job, updated, { requeueMessage, errorMessage }) {
+    if (updated?.status === 'queued') {
+      processingStatus.setJob(job.jobId, {
+        jobId: job.jobId,
+        userId: updated.userId || job.userId,
+        shelfId: updated.shelfId || job.shelfId || null,
+        status: 'queued',
+        step: 'queued',
+        progress: 0,
+        message: requeueMessage,
+        aborted: false,
+        result: null,
+      });
+    } else if (updated?.status === 'aborted') {
+      processingStatus.abortJob(job.jobId, { preserveStatus: false, message: 'Processing cancelled by user' });
+    } else {
+      processingStatus.failJob(job.jobId, errorMessage);
+    }
+  }
+
+  /**
+   * Keep this process's running jobs from looking orphaned, pick up aborts
+   * accepted by other instances, then settle jobs orphaned elsewhere.
+   */
+  async heartbeat() {
+    if (!this.started) return;
+    if (this.activeJobIds.size) {
+      const abortedJobIds = await workflowQueueJobs.touchHeartbeats([...this.activeJobIds]);
+      for (const jobId of abortedJobIds) {
+        processingStatus.abortJob(jobId, { preserveStatus: true });
+      }
+    }
+    await this.recoverOrphanedJobs();
+  }
+
+  /**
+   * Requeue (attempts left) or dead-letter `processing` jobs whose worker stopped
+   * heartbeating, e.g. after a crash or deploy. Runs at startup and on each heartbeat.
+   * @returns {Promise<object[]>} Settled queue rows
+   */
+  async recoverOrphanedJobs() {
+    const recovered = await workflowQueueJobs.recoverOrphanedJobs({
+      staleAfterMs: ORPHAN_AFTER_MS,
+      error: ORPHANED_JOB_ERROR,
+    });
+    for (const job of recovered) {
+      if (this.activeJobIds.has(job.jobId)) continue;
+      this.syncLocalStatus(job, job, {
+        requeueMessage: 'Resuming after a server restart',
+        errorMessage: ORPHANED_JOB_ERROR.message,
+      });
+
+      if (TERMINAL_FAILURE_STATUSES.has(job.status)) {
+        const onOrphaned = this.orphanHandlers.get(String(job.workflowType));
+        if (onOrphaned) {
+          try {
+            await onOrphaned(job);
+          } catch (err) {
+            logger.warn('[WorkflowQueue] orphan handler failed', {
+              workflowType: job.workflowType,
+              jobId: job.jobId,
+              error: err?.message || err,
+            });
+          }
+        }
+        await this.maybeSendTerminalNotification({
+          job,
+          type: 'workflow_failed',
+        });
+      }
+      logger.warn('[WorkflowQueue] recovered orphaned job', {
+        workflowType: job.workflowType,
+        jobId: job.jobId,
+        status: job.status,
+        attemptCount: job.attemptCount,
+      });
     }
+    return recovered;
   }
 
   async maybeSendTerminalNotification({ job, type }) {
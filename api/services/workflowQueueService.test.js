@@ -4,6 +4,8 @@ jest.mock('../database/queries/workflowQueueJobs', () => ({
   markFailedOrRequeue: jest.fn(),
   cleanupTerminalJobs: jest.fn().mockResolvedValue(0),
   isAbortRequested: jest.fn().mockResolvedValue(false),
+  touchHeartbeats: jest.fn().mockResolvedValue([]),
+  recoverOrphanedJobs: jest.fn().mockResolvedValue([]),
 }));
 
 jest.mock('../database/queries/notifications', () => ({
@@ -17,7 +19,9 @@ jest.mock('./workflow/workflowSettings', () => ({
     workflowQueueMaxQueuedPerUser: 4,
     workflowQueueLongThresholdPosition: 3,
     workflowQueueNotifyMinWaitMs: 20000,
-    workflowQueueRetryMaxAttempts: 1,
+    workflowQueueRetryMaxAttempts: 3,
+    workflowQueueRetryBaseDelayMs: 30000,
+    workflowQueueRetryMaxDelayMs: 15 * 60 * 1000,
     workflowQueueTerminalRetentionMs: 24 * 60 * 60 * 1000,
   }),
 }));
@@ -32,6 +36,7 @@ const workflowQueueJobs = require('../database/queries/workflowQueueJobs');
 const notifications = require('../database/queries/notifications');
 const processingStatus = require('./processingStatus');
 const { WorkflowQueueService } = require('./workflowQueueService');
+const { CatalogProvidersUnavailableError } = require('./catalog/errors');
 
 describe('WorkflowQueueService', () => {
   let service;
@@ -69,12 +74,13 @@ describe('WorkflowQueueService', () => {
     expect(notifications.create).not.toHaveBeenCalled();
   });
 
-  test('executeJob requeues transient failure without workflow_failed notification', async () => {
+  test('executeJob requeues transient failure with backoff and without workflow_failed notification', async () => {
     const job = {
       jobId: 'wf-job-2',
       workflowType: 'vision',
       userId: 'u1',
       shelfId: 10,
+      attemptCount: 2,
       notifyOnComplete: true,
       payload: { shelfId: 10 },
     };
@@ -84,13 +90,18 @@ describe('WorkflowQueueService', () => {
       notifyOnComplete: true,
     });
 
-    const handler = jest.fn().mockRejectedValue(new Error('network hiccup'));
+    const handler = jest.fn().mockRejectedValue(Object.assign(new Error('network hiccup'), { code: 'ECONNRESET' }));
     await service.executeJob(job, handler);
 
     expect(workflowQueueJobs.markFailedOrRequeue).toHaveBeenCalledWith({
       jobId: 'wf-job-2',
       error: expect.objectContaining({ message: 'network hiccup' }),
+      retryable: true,
+      retryDelayMs: expect.any(Number),
     });
+    const { retryDelayMs } = workflowQueueJobs.markFailedOrRequeue.mock.calls[0][0];
+    expect(retryDelayMs).toBeGreaterThanOrEqual(60000);
+    expect(retryDelayMs).toBeLessThan(66001);
     expect(processingStatus.setJob).toHaveBeenCalledWith('wf-job-2', expect.objectContaining({
       status: 'queued',
     }));
@@ -125,6 +136,53 @@ describe('WorkflowQueueService', () => {
     }));
   });
 
+  test('executeJob fails non-retryable errors without scheduling a retry', async () => {
+    const job = {
+      jobId: 'wf-job-3b',
+      workflowType: 'vision',
+      userId: 'u1',
+      attemptCount: 1,
+      notifyOnComplete: false,
+    };
+    workflowQueueJobs.markFailedOrRequeue.mockResolvedValue({ ...job, status: 'failed' });
+
+    await service.executeJob(job, jest.fn().mockRejectedValue(new Error('Shelf not found')));
+
+    expect(workflowQueueJobs.markFailedOrRequeue).toHaveBeenCalledWith(expect.objectContaining({
+      retryable: false,
+      retryDelayMs: 0,
+    }));
+    expect(processingStatus.failJob).toHaveBeenCalledWith('wf-job-3b', 'Shelf not found');
+  });
+
+  test('executeJob notifies when a provider outage exhausts retries into the dead-letter state', async () => {
+    const job = {
+      jobId: 'wf-job-3c',
+      workflowType: 'vision',
+      userId: 'u1',
+      attemptCount: 3,
+      notifyOnComplete: true,
+    };
+    workflowQueueJobs.markFailedOrRequeue.mockResolvedValue({
+      ...job,
+      status: 'dead',
+      error: { message: 'Catalog providers are temporarily unavailable.' },
+    });
+
+    const outage = new CatalogProvidersUnavailableError('Catalog providers are temporarily unavailable.');
+    await service.executeJob(job, jest.fn().mockRejectedValue(outage));
+
+    expect(workflowQueueJobs.markFailedOrRequeue).toHaveBeenCalledWith(expect.objectContaining({
+      retryable: true,
+    }));
+    expect(processingStatus.failJob).toHaveBeenCalledWith('wf-job-3c', 'Catalog providers are temporarily unavailable.');
+    expect(notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'workflow_failed',
+      entityId: 'wf-job-3c',
+      metadata: expect.objectContaining({ status: 'dead' }),
+    }));
+  });
+
   test('executeJob sends in-app-only completion notification without push', async () => {
     const job = {
       jobId: 'wf-job-4',
@@ -154,4 +212,70 @@ describe('WorkflowQueueService', () => {
       suppressPush: true,
     }));
   });
+
+  test('recoverOrphanedJobs dead-letters exhausted orphans, closes them out and notifies', async () => {
+    const onOrphaned = jest.fn().mockResolvedValue(undefined);
+    service.registerHandler('vision_session', jest.fn(), { onOrphaned });
+    const orphan = {
+      jobId: 'wf-job-5',
+      workflowType: 'vision_session',
+      userId: 'u1',
+      shelfId: 10,
+      status: 'dead',
+      attemptCount: 1,
+      notifyOnComplete: true,
+      payload: { sessionId: 7 },
+      error: { message: 'Processing was interrupted by a server restart', code: 'WORKFLOW_ORPHANED' },
+    };
+    workflowQueueJobs.recoverOrphanedJobs.mockResolvedValue([orphan]);
+
+    const recovered = await service.recoverOrphanedJobs();
+
+    expect(recovered).toEqual([orphan]);
+    expect(workflowQueueJobs.recoverOrphanedJobs).toHaveBeenCalledWith(expect.objectContaining({
+      error: expect.objectContaining({ code: 'WORKFLOW_ORPHANED' }),
+    }));
+    expect(processingStatus.failJob).toHaveBeenCalledWith('wf-job-5', 'Processing was interrupted by a server restart');
+    expect(onOrphaned).toHaveBeenCalledWith(orphan);
+    expect(notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'workflow_failed',
+      entityId: 'wf-job-5',
+    }));
+  });
+
+  test('recoverOrphanedJobs requeues orphans with attempts left without notifying', async () => {
+    const onOrphaned = jest.fn();
+    service.registerHandler('vision', jest.fn(), { onOrphaned });
+    workflowQueueJobs.recoverOrphanedJobs.mockResolvedValue([{
+      jobId: 'wf-job-6',
+      workflowType: 'vision',
+      userId: 'u1',
+      shelfId: 10,
+      status: 'queued',
+      attemptCount: 1,
+      notifyOnComplete: true,
+    }]);
+
+    await service.recoverOrphanedJobs();
+
+    expect(processingStatus.setJob).toHaveBeenCalledWith('wf-job-6', expect.objectContaining({
+      status: 'queued',
+      message: 'Resuming after a server restart',
+    }));
+    expect(onOrphaned).not.toHaveBeenCalled();
+    expect(notifications.create).not.toHaveBeenCalled();
+  });
+
+  test('heartbeat touches running jobs and applies aborts accepted elsewhere', async () => {
+    service.started = true;
+    service.activeJobIds.add('wf-job-7');
+    service.activeJobIds.add('wf-job-8');
+    workflowQueueJobs.touchHeartbeats.mockResolvedValue(['wf-job-8']);
+
+    await service.heartbeat();
+
+    expect(workflowQueueJobs.touchHeartbeats).toHaveBeenCalledWith(['wf-job-7', 'wf-job-8']);
+    expect(processingStatus.abortJob).toHaveBeenCalledWith('wf-job-8', { preserveStatus: true });
+    expect(workflowQueueJobs.recoverOrphanedJobs).toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,214 @@
+const { randomUUID } = require('crypto');
+const workflowSchedules = require('../database/queries/workflowSchedules');
+const logger = require('../logger');
+const { runJob } = require('../utils/jobRunner');
+const { nextCronRun } = require('./workflow/cronSchedule');
+const { SCHEDULED_JOBS } = require('./workflow/scheduledJobs');
+const { getWorkflowQueueService } = require('./workflowQueueService');
+
+const WORKFLOW_TYPE_SCHEDULED = 'scheduled_job';
+const TICK_INTERVAL_MS = Number.parseInt(process.env.WORKFLOW_SCHEDULER_TICK_MS || '30000', 10);
+// Below user-facing workflows (vision uses the default 100) so scans are never starved.
+const SCHEDULED_JOB_PRIORITY = 200;
+
+function createScheduledJobId(name) {
+  return `wf_sched_${name}_${randomUUID().replace(/-/g, '').slice(0, 8)}`;
+}
+
+class WorkflowSchedulerService {
+  constructor({ jobs = SCHEDULED_JOBS, queueService = null } = {}) {
+    this.jobs = jobs;
+    this.queueService = queueService;
+    this.started = false;
+    this.tickTimer = null;
+    this.tickInFlight = false;
+  }
+
+  getQueueService() {
+    return this.queueService || getWorkflowQueueService();
+  }
+
+  /**
+   * Register the `scheduled_job` queue handler (every instance can execute
+   * runs) and, unless WORKFLOW_SCHEDULER_DISABLED is set, start enqueueing
+   * due schedules. Call before the queue service starts.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.getQueueService().registerHandler(
+      WORKFLOW_TYPE_SCHEDULED,
+      (job) => this.runScheduledJob(job)
+    );
+
+    if (process.env.WORKFLOW_SCHEDULER_DISABLED === 'true') {
+      logger.info('[WorkflowScheduler] Enqueueing disabled via WORKFLOW_SCHEDULER_DISABLED.');
+      return;
+    }
+
+    this.tickTimer = setInterval(() => {
+      this.tick().catch((err) => {
+        logger.error('[WorkflowScheduler] tick failed', { error: err?.message || err });
+      });
+    }, Math.max(1000, TICK_INTERVAL_MS));
+    if (typeof this.tickTimer.unref === 'function') {
+      this.tickTimer.unref();
+    }
+
+    this.ensureSchedules()
+      .then(() => this.runBootChecks())
+      .then(() => this.tick())
+      .catch((err) => {
+        logger.error('[WorkflowScheduler] startup failed', { error: err?.message || err });
+      });
+    logger.info('[WorkflowScheduler] service started');
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+    logger.info('[WorkflowScheduler] service stopped');
+  }
+
+  computeNextRunAt(schedule, from = new Date()) {
+    try {
+      return nextCronRun(schedule.cron, from);
+    } catch (err) {
+      logger.warn('[WorkflowScheduler] invalid cron; schedule will not run again', {
+        name: schedule.name,
+        cron: schedule.cron,
+        error: err.message,
+      });
+      return null;
+    }
+  }
+
+  async ensureSchedules() {
+    for (const [name, definition] of Object.entries(this.jobs)) {
+      await workflowSchedules.ensureSchedule({
+        name,
+        description: definition.description || null,
+        cron: definition.cron,
+        payload: definition.payload || {},
+        enabled: definition.enabled !== false,
+        nextRunAt: this.computeNextRunAt({ name, cron: definition.cron }),
+      });
+    }
+  }
+
+  async runBootChecks() {
+    for (const [name, definition] of Object.entries(this.jobs)) {
+      if (typeof definition.shouldRunOnBoot !== 'function') continue;
+      try {
+        if (await definition.shouldRunOnBoot()) {
+          logger.info('[WorkflowScheduler] boot check requested a run', { name });
+          await this.triggerNow(name);
+        }
+      } catch (err) {
+        logger.warn('[WorkflowScheduler] boot check failed', { name, error: err?.message || err });
+      }
+    }
+  }
+
+  /**
+   * Enqueue due schedules. Safe on every instance: the query holds an advisory
+   * lock and advances `next_run_at` in the same transaction.
+   */
+  async tick() {
+    if (!this.started) return [];
+    if (this.tickInFlight) return [];
+    this.tickInFlight = true;
+    try {
+      const claimed = await workflowSchedules.claimDueSchedules({
+        workflowType: WORKFLOW_TYPE_SCHEDULED,
+        priority: SCHEDULED_JOB_PRIORITY,
+        computeNextRunAt: (schedule) => this.computeNextRunAt(schedule),
+        createJobId: (schedule) => createScheduledJobId(schedule.name),
+      });
+      for (const { schedule, jobId } of claimed || []) {
+        if (jobId) {
+          logger.info('[WorkflowScheduler] enqueued scheduled run', { name: schedule.name, jobId });
+        } else {
+          logger.warn('[WorkflowScheduler] previous run still active; skipped slot', { name: schedule.name });
+        }
+      }
+      return claimed || [];
+    } finally {
+      this.tickInFlight = false;
+    }
+  }
+
+  async listSchedules() {
+    const rows = await workflowSchedules.listSchedules();
+    return rows.map((row) => ({ ...row, registered: Boolean(this.jobs[row.name]) }));
+  }
+
+  /**
+   * Enqueue a run now. Resolves `{ schedule, jobId }` (jobId null when a run is
+   * already queued/processing) or null for an unknown schedule.
+   */
+  async triggerNow(name) {
+    const schedule = await workflowSchedules.getByName(name);
+    if (!schedule) return null;
+    const jobId = await workflowSchedules.enqueueRunNow({
+      schedule,
+      jobId: createScheduledJobId(schedule.name),
+      workflowType: WORKFLOW_TYPE_SCHEDULED,
+      priority: SCHEDULED_JOB_PRIORITY,
+    });
+    return { schedule, jobId };
+  }
+
+  async setPaused(name, paused) {
+    const schedule = await workflowSchedules.getByName(name);
+    if (!schedule) return null;
+    return workflowSchedules.setEnabled({
+      name,
+      enabled: !paused,
+      // Resuming restarts the cadence from now instead of firing every missed slot.
+      nextRunAt: paused ? null : this.computeNextRunAt(schedule),
+    });
+  }
+
+  /**
+   * Queue handler for `scheduled_job`: runs the registered job and records a
+   * `job_runs` row under the queue job id.
+   */
+  async runScheduledJob(job) {
+    const payload = job?.payload && typeof job.payload === 'object' ? job.payload : {};
+    const name = payload.scheduleName;
+    const definition = name ? this.jobs[name] : null;
+    if (!definition) {
+      throw new Error(`Unknown scheduled job: ${name || '(missing)'}`);
+    }
+
+    let result = null;
+    await runJob(name, async () => {
+      result = await definition.run(payload);
+    }, {
+      jobId: job.jobId,
+      metadata: { source: 'workflow_schedule', schedule: name },
+      rethrow: true,
+    });
+    return { summaryMessage: `${name} completed`, result: result ?? null };
+  }
+}
+
+let instance = null;
+
+function getWorkflowSchedulerService() {
+  if (!instance) {
+    instance = new WorkflowSchedulerService();
+  }
+  return instance;
+}
+
+module.exports = {
+  WORKFLOW_TYPE_SCHEDULED,
+  WorkflowSchedulerService,
+  getWorkflowSchedulerService,
+};
@@ -0,0 +1,109 @@
+jest.mock('../database/queries/workflowSchedules', () => ({
+  listSchedules: jest.fn().mockResolvedValue([]),
+  getByName: jest.fn(),
+  ensureSchedule: jest.fn().mockResolvedValue({}),
+  setEnabled: jest.fn(),
+  claimDueSchedules: jest.fn(),
+  enqueueRunNow: jest.fn(),
+}));
+
+jest.mock('../utils/jobRunner', () => ({
+  runJob: jest.fn(async (_name, fn) => fn()),
+}));
+
+const workflowSchedules = require('../database/queries/workflowSchedules');
+const { runJob } = require('../utils/jobRunner');
+const { WorkflowSchedulerService, WORKFLOW_TYPE_SCHEDULED } = require('./workflowSchedulerService');
+
+describe('WorkflowSchedulerService', () => {
+  let service;
+  let jobs;
+  let queueService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobs = {
+      nightly: {
+        description: 'Nightly job',
+        cron: '0 4 * * *',
+        run: jest.fn().mockResolvedValue({ processed: 3 }),
+      },
+    };
+    queueService = { registerHandler: jest.fn() };
+    service = new WorkflowSchedulerService({ jobs, queueService });
+    service.started = true;
+  });
+
+  test('tick claims due schedules with the next cron slot and a fresh job id', async () => {
+    workflowSchedules.claimDueSchedules.mockImplementation(async ({ computeNextRunAt, createJobId }) => {
+      const row = { name: 'nightly', cron: '0 4 * * *' };
+      return [{ schedule: row, jobId: createJobId(row), nextRunAt: computeNextRunAt(row) }];
+    });
+
+    const claimed = await service.tick();
+
+    expect(workflowSchedules.claimDueSchedules).toHaveBeenCalledWith(expect.objectContaining({
+      workflowType: WORKFLOW_TYPE_SCHEDULED,
+    }));
+    expect(claimed[0].jobId).toMatch(/^wf_sched_nightly_[0-9a-f]{8}$/);
+    expect(claimed[0].nextRunAt.getUTCHours()).toBe(4);
+  });
+
+  test('tick is a no-op when another instance holds the scheduler lock', async () => {
+    workflowSchedules.claimDueSchedules.mockResolvedValue(null);
+    await expect(service.tick()).resolves.toEqual([]);
+  });
+
+  test('runScheduledJob records the run under the queue job id and rethrows failures', async () => {
+    const result = await service.runScheduledJob({
+      jobId: 'wf_sched_nightly_abc12345',
+      payload: { scheduleName: 'nightly', lookbackDays: 7 },
+    });
+
+    expect(jobs.nightly.run).toHaveBeenCalledWith({ scheduleName: 'nightly', lookbackDays: 7 });
+    expect(runJob).toHaveBeenCalledWith('nightly', expect.any(Function), expect.objectContaining({
+      jobId: 'wf_sched_nightly_abc12345',
+      rethrow: true,
+    }));
+    expect(result).toEqual({ summaryMessage: 'nightly completed', result: { processed: 3 } });
+
+    await expect(service.runScheduledJob({ jobId: 'x', payload: { scheduleName: 'gone' } }))
+      .rejects.toThrow('Unknown scheduled job: gone');
+  });
+
+  test('triggerNow returns a null jobId when a run is already active', async () => {
+    workflowSchedules.getByName.mockResolvedValue({ name: 'nightly', cron: '0 4 * * *', payload: {} });
+    workflowSchedules.enqueueRunNow.mockResolvedValue(null);
+
+    await expect(service.triggerNow('nightly')).resolves.toEqual(expect.objectContaining({ jobId: null }));
+
+    workflowSchedules.getByName.mockResolvedValue(null);
+    await expect(service.triggerNow('missing')).resolves.toBeNull();
+  });
+
+  test('resuming recomputes next_run_at from now', async () => {
+    workflowSchedules.getByName.mockResolvedValue({ name: 'nightly', cron: '0 4 * * *' });
+    workflowSchedules.setEnabled.mockImplementation(async (args) => args);
+
+    const resumed = await service.setPaused('nightly', false);
+    expect(resumed).toEqual(expect.objectContaining({ enabled: true, nextRunAt: expect.any(Date) }));
+
+    const paused = await service.setPaused('nightly', true);
+    expect(paused).toEqual(expect.objectContaining({ enabled: false, nextRunAt: null }));
+  });
+
+  test('start registers the queue handler even when enqueueing is disabled', () => {
+    const previous = process.env.WORKFLOW_SCHEDULER_DISABLED;
+    process.env.WORKFLOW_SCHEDULER_DISABLED = 'true';
+    try {
+      const fresh = new WorkflowSchedulerService({ jobs, queueService });
+      fresh.start();
+      expect(queueService.registerHandler).toHaveBeenCalledWith(WORKFLOW_TYPE_SCHEDULED, expect.any(Function));
+      expect(fresh.tickTimer).toBeNull();
+      fresh.stop();
+    } finally {
+      if (previous === undefined) delete process.env.WORKFLOW_SCHEDULER_DISABLED;
+      else process.env.WORKFLOW_SCHEDULER_DISABLED = previous;
+    }
+  });
+});
@@ -26,9 +26,13 @@ async function safeDbWrite(operation, action) {
  *
  * @param {string} name  Short job name, e.g. 'newsCache'
  * @param {Function} fn  Async function to run
+ * @param {object} [options]
+ * @param {string} [options.jobId]  Reuse an existing id (e.g. the workflow queue job id)
+ * @param {object} [options.metadata]  Extra metadata stored on the job_runs row
+ * @param {boolean} [options.rethrow]  Re-throw after recording a failure so the caller sees it
  */
-async function runJob(name, fn) {
-  const jobId = `job_${name}_${randomUUID().replace(/-/g, '').slice(0, 8)}`;
+async function runJob(name, fn, { jobId: providedJobId = null, metadata = {}, rethrow = false } = {}) {
+  const jobId = providedJobId || `job_${name}_${randomUUID().replace(/-/g, '').slice(0, 8)}`;
   const startedAt = new Date();
   const start = startedAt.getTime();
 
@@ -38,7 +42,7 @@ async function runJob(name, fn) {
       jobType: 'scheduled',
       jobName: name,
       startedAt,
-      metadata: { source: 'scheduler' },
+      metadata: { source: 'scheduler', ...metadata },
     }),
     'startJobRun'
   );
@@ -105,6 +109,7 @@ async function runJob(name, fn) {
         }),
         'append failed event'
       );
+      if (rethrow) throw err;
     }
   });
 }
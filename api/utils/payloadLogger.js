@@ -61,4 +61,4 @@ function logPayload({ source, operation, payload }) {
     }
 }
 
-module.exports = { logPayload };
+module.exports = { logPayload, PAYLOAD_LOG_DIR: logDir };
@@ -23,6 +23,8 @@ import ShelvesScreen from './screens/ShelvesScreen'
 import ShelfDetailScreen from './screens/ShelfDetailScreen'
 import ShelfCreateScreen from './screens/ShelfCreateScreen'
 import ShelfEditScreen from './screens/ShelfEditScreen'
+import ShelfLayoutScreen from './screens/ShelfLayoutScreen'
+import ShelfRescanReviewScreen from './screens/ShelfRescanReviewScreen'
 import ShelfSelectScreen from './screens/ShelfSelectScreen'
 import ItemSearchScreen from './screens/ItemSearchScreen'
 import FriendSearchScreen from './screens/FriendSearchScreen'
@@ -36,6 +38,10 @@ import CollectableDetailScreen from './screens/CollectableDetailScreen'
 import ItemDetailsScreen from './screens/ItemDetailsScreen'
 import MarketValueSourcesScreen from './screens/MarketValueSourcesScreen'
 import AccountScreen from './screens/AccountScreen'
+import VisionUsageScreen from './screens/VisionUsageScreen'
+import LoansScreen from './screens/LoansScreen'
+import ReadingLogScreen from './screens/ReadingLogScreen'
+import GoalsScreen from './screens/GoalsScreen'
 import ManualEditScreen from './screens/ManualEditScreen'
 import AboutScreen from './screens/AboutScreen'
 import RequestAccountDeletionScreen from './screens/RequestAccountDeletionScreen'
@@ -455,11 +461,17 @@ function AppNavigator({ token, needsOnboarding, navigationRef }) {
             />
             <Stack.Screen name="ShelfDetail" component={ShelfDetailScreen} />
             <Stack.Screen name="ShelfEdit" component={ShelfEditScreen} />
+            <Stack.Screen name="ShelfLayout" component={ShelfLayoutScreen} />
+            <Stack.Screen name="ShelfRescanReview" component={ShelfRescanReviewScreen} />
             <Stack.Screen name="ItemSearch" component={ItemSearchScreen} />
             <Stack.Screen name="CollectableDetail" component={CollectableDetailScreen} />
             <Stack.Screen name="ItemDetails" component={ItemDetailsScreen} />
             <Stack.Screen name="MarketValueSources" component={MarketValueSourcesScreen} />
             <Stack.Screen name="Account" component={AccountScreen} />
+            <Stack.Screen name="VisionUsage" component={VisionUsageScreen} />
+            <Stack.Screen name="Loans" component={LoansScreen} />
+            <Stack.Screen name="ReadingLog" component={ReadingLogScreen} />
+            <Stack.Screen name="Goals" component={GoalsScreen} />
             <Stack.Screen name="ManualEdit" component={ManualEditScreen} />
             <Stack.Screen name="About" component={AboutScreen} />
             <Stack.Screen name="RequestAccountDeletion" component={RequestAccountDeletionScreen} />
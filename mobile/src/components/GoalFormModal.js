@@ -0,0 +1,357 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    Modal,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+
+export const GOAL_CATEGORIES = [
+    { key: 'books', label: 'Books', noun: ['book', 'books'], verb: 'Read' },
+    { key: 'games', label: 'Games', noun: ['game', 'games'], verb: 'Finish' },
+    { key: 'movies', label: 'Movies', noun: ['movie', 'movies'], verb: 'Watch' },
+    { key: 'tv', label: 'TV', noun: ['show', 'shows'], verb: 'Watch' },
+    { key: 'vinyl', label: 'Records', noun: ['record', 'records'], verb: 'Listen to' },
+    { key: 'comics', label: 'Comics', noun: ['comic', 'comics'], verb: 'Read' },
+    { key: 'boardgames', label: 'Board games', noun: ['board game', 'board games'], verb: 'Play' },
+    { key: 'cards', label: 'Cards', noun: ['card', 'cards'], verb: 'Finish' },
+    { key: 'all', label: 'Anything', noun: ['item', 'items'], verb: 'Finish' },
+];
+
+const METRICS = [
+    { key: 'completed', label: 'Finish' },
+    { key: 'added', label: 'Add to shelves' },
+];
+
+function getFriend(friendship, currentUserId) {
+    return friendship.requester?.id === currentUserId ? friendship.addressee : friendship.requester;
+}
+
+/**
+ * "Read 24 books" / "Add 10 records" for a goal or challenge.
+ */
+export function describeGoal({ category, metric, target }) {
+    const entry = GOAL_CATEGORIES.find((option) => option.key === category) || GOAL_CATEGORIES[GOAL_CATEGORIES.length - 1];
+    const noun = target === 1 ? entry.noun[0] : entry.noun[1];
+    const verb = metric === 'added' ? 'Add' : entry.verb;
+    return `${verb} ${target} ${noun}`;
+}
+
+/**
+ * Create a yearly goal, or (with `mode="challenge"`) challenge friends to one.
+ * Calls `onSaved(goal | challenge)` on success.
+ */
+export default function GoalFormModal({ visible, onClose, onSaved, mode = 'goal', year }) {
+    const { apiBase, token, user } = useContext(AuthContext);
+    const { colors, spacing, radius } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, radius }), [colors, spacing, radius]);
+    const isChallenge = mode === 'challenge';
+
+    const [category, setCategory] = useState('books');
+    const [metric, setMetric] = useState('completed');
+    const [target, setTarget] = useState('');
+    const [isFriendsOnly, setIsFriendsOnly] = useState(false);
+    const [title, setTitle] = useState('');
+    const [friends, setFriends] = useState([]);
+    const [selectedFriendIds, setSelectedFriendIds] = useState([]);
+    const [loadingFriends, setLoadingFriends] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!visible) return;
+        setCategory('books');
+        setMetric('completed');
+        setTarget('');
+        setIsFriendsOnly(false);
+        setTitle('');
+        setSelectedFriendIds([]);
+        if (!isChallenge) return;
+        setLoadingFriends(true);
+        apiRequest({ apiBase, path: '/api/friends', token })
+            .then((data) => {
+                const accepted = (data.friendships || []).filter((f) => f.status === 'accepted');
+                setFriends(accepted.map((f) => getFriend(f, user?.id)).filter(Boolean));
+            })
+            .catch((err) => console.warn('Failed to load friends for challenge:', err?.message || err))
+            .finally(() => setLoadingFriends(false));
+    }, [visible, isChallenge, apiBase, token, user?.id]);
+
+    const parsedTarget = parseInt(target, 10);
+    const canSave = !saving && Number.isInteger(parsedTarget) && parsedTarget > 0
+        && (!isChallenge || (title.trim() && selectedFriendIds.length > 0));
+
+    const toggleFriend = (friendId) => {
+        setSelectedFriendIds((prev) => (
+            prev.includes(friendId) ? prev.filter((id) => id !== friendId) : [...prev, friendId]
+        ));
+    };
+
+    const handleSave = async () => {
+        if (!canSave) return;
+        setSaving(true);
+        try {
+            const definition = { category, metric, target: parsedTarget, year };
+            const data = isChallenge
+                ? await apiRequest({
+                    apiBase,
+                    path: '/api/goals/challenges',
+                    method: 'POST',
+                    token,
+                    body: { ...definition, title: title.trim(), friendIds: selectedFriendIds },
+                })
+                : await apiRequest({
+                    apiBase,
+                    path: '/api/goals',
+                    method: 'POST',
+                    token,
+                    body: { ...definition, visibility: isFriendsOnly ? 'friends' : 'public' },
+                });
+            onSaved?.(isChallenge ? data.challenge : data.goal);
+            onClose?.();
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to save');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+                <View style={styles.modalContent} onStartShouldSetResponder={() => true}>
+                    <View style={styles.modalHeader}>
+                        <Text style={styles.modalTitle} numberOfLines={1}>
+                            {isChallenge ? 'Challenge friends' : `${year} goal`}
+                        </Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <Ionicons name="close" size={24} color={colors.text} />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView keyboardShouldPersistTaps="handled">
+                        {isChallenge && (
+                            <>
+                                <Text style={styles.label}>Challenge name</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={title}
+                                    onChangeText={setTitle}
+                                    placeholder="Summer reading race"
+                                    placeholderTextColor={colors.textMuted}
+                                    maxLength={120}
+                                />
+                            </>
+                        )}
+
+                        <Text style={styles.label}>Category</Text>
+                        <View style={styles.chipRow}>
+                            {GOAL_CATEGORIES.map((option) => {
+                                const selected = category === option.key;
+                                return (
+                                    <TouchableOpacity
+                                        key={option.key}
+                                        style={[styles.chip, selected && styles.chipSelected]}
+                                        onPress={() => setCategory(option.key)}
+                                    >
+                                        <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+
+                        <Text style={styles.label}>Count</Text>
+                        <View style={styles.chipRow}>
+                            {METRICS.map((option) => {
+                                const selected = metric === option.key;
+                                return (
+                                    <TouchableOpacity
+                                        key={option.key}
+                                        style={[styles.chip, selected && styles.chipSelected]}
+                                        onPress={() => setMetric(option.key)}
+                                    >
+                                        <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+
+                        <Text style={styles.label}>Target</Text>
+                        <TextInput
+                            style={styles.input}
+                            value={target}
+                            onChangeText={setTarget}
+                            placeholder="24"
+                            placeholderTextColor={colors.textMuted}
+                            keyboardType="number-pad"
+                            maxLength={6}
+                        />
+                        {Number.isInteger(parsedTarget) && parsedTarget > 0 && (
+                            <Text style={styles.hint}>{describeGoal({ category, metric, target: parsedTarget })} in {year}</Text>
+                        )}
+
+                        {isChallenge ? (
+                            <>
+                                <Text style={styles.label}>Friends</Text>
+                                {loadingFriends ? (
+                                    <ActivityIndicator size="small" color={colors.primary} style={{ marginVertical: spacing.sm }} />
+                                ) : friends.length === 0 ? (
+                                    <Text style={styles.hint}>Add some friends to challenge them.</Text>
+                                ) : (
+                                    <View style={styles.chipRow}>
+                                        {friends.map((friend) => {
+                                            const selected = selectedFriendIds.includes(friend.id);
+                                            return (
+                                                <TouchableOpacity
+                                                    key={friend.id}
+                                                    style={[styles.chip, selected && styles.chipSelected]}
+                                                    onPress={() => toggleFriend(friend.id)}
+                                                >
+                                                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                                                        {friend.name || friend.username}
+                                                    </Text>
+                                                </TouchableOpacity>
+                                            );
+                                        })}
+                                    </View>
+                                )}
+                            </>
+                        ) : (
+                            <TouchableOpacity
+                                style={styles.toggleRow}
+                                onPress={() => setIsFriendsOnly((value) => !value)}
+                            >
+                                <Ionicons
+                                    name={isFriendsOnly ? 'checkbox' : 'square-outline'}
+                                    size={20}
+                                    color={isFriendsOnly ? colors.primary : colors.textMuted}
+                                />
+                                <Text style={styles.toggleText}>Only show milestones to friends</Text>
+                            </TouchableOpacity>
+                        )}
+
+                        <TouchableOpacity
+                            style={[styles.saveButton, !canSave && styles.saveButtonDisabled]}
+                            onPress={handleSave}
+                            disabled={!canSave}
+                        >
+                            {saving ? (
+                                <ActivityIndicator size="small" color={colors.textInverted} />
+                            ) : (
+                                <Text style={styles.saveButtonText}>{isChallenge ? 'Send challenge' : 'Save goal'}</Text>
+                            )}
+                        </TouchableOpacity>
+                    </ScrollView>
+                </View>
+            </TouchableOpacity>
+        </Modal>
+    );
+}
+
+const createStyles = ({ colors, spacing, radius }) =>
+    StyleSheet.create({
+        modalOverlay: {
+            flex: 1,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            justifyContent: 'flex-end',
+        },
+        modalContent: {
+            backgroundColor: colors.surface,
+            borderTopLeftRadius: radius.xl,
+            borderTopRightRadius: radius.xl,
+            padding: spacing.lg,
+            maxHeight: '85%',
+        },
+        modalHeader: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: spacing.md,
+        },
+        modalTitle: {
+            flex: 1,
+            fontSize: 18,
+            fontWeight: '600',
+            color: colors.text,
+            marginRight: spacing.md,
+        },
+        label: {
+            fontSize: 13,
+            fontWeight: '600',
+            color: colors.textSecondary,
+            marginTop: spacing.md,
+            marginBottom: spacing.xs,
+        },
+        hint: {
+            fontSize: 13,
+            color: colors.textMuted,
+            marginTop: spacing.xs,
+        },
+        chipRow: {
+            flexDirection: 'row',
+            flexWrap: 'wrap',
+            gap: 8,
+        },
+        chip: {
+            paddingHorizontal: 12,
+            paddingVertical: 6,
+            borderRadius: 16,
+            borderWidth: 1,
+            borderColor: colors.border,
+            backgroundColor: colors.background,
+        },
+        chipSelected: {
+            borderColor: colors.primary,
+            backgroundColor: colors.primary + '15',
+        },
+        chipText: {
+            fontSize: 14,
+            color: colors.text,
+        },
+        chipTextSelected: {
+            color: colors.primary,
+            fontWeight: '600',
+        },
+        input: {
+            backgroundColor: colors.background,
+            borderRadius: radius.md,
+            paddingHorizontal: spacing.md,
+            paddingVertical: spacing.sm,
+            fontSize: 15,
+            color: colors.text,
+        },
+        toggleRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.sm,
+            marginTop: spacing.md,
+        },
+        toggleText: {
+            fontSize: 14,
+            color: colors.text,
+        },
+        saveButton: {
+            marginTop: spacing.lg,
+            marginBottom: spacing.md,
+            backgroundColor: colors.primary,
+            borderRadius: radius.md,
+            paddingVertical: spacing.md,
+            alignItems: 'center',
+        },
+        saveButtonDisabled: {
+            opacity: 0.5,
+        },
+        saveButtonText: {
+            color: colors.textInverted,
+            fontSize: 16,
+            fontWeight: '600',
+        },
+    });
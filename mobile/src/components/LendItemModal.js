@@ -0,0 +1,270 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    Modal,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function getFriend(friendship, currentUserId) {
+    return friendship.requester?.id === currentUserId ? friendship.addressee : friendship.requester;
+}
+
+/**
+ * Record a loan for one of the user's shelf items: pick a friend or type a
+ * name, plus an optional due date and note. Calls `onLent(loan)` on success.
+ */
+export default function LendItemModal({ visible, onClose, onLent, itemId, itemTitle }) {
+    const { apiBase, token, user } = useContext(AuthContext);
+    const { colors, spacing, radius } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, radius }), [colors, spacing, radius]);
+
+    const [friends, setFriends] = useState([]);
+    const [loadingFriends, setLoadingFriends] = useState(false);
+    const [selectedFriendId, setSelectedFriendId] = useState(null);
+    const [borrowerName, setBorrowerName] = useState('');
+    const [dueAt, setDueAt] = useState('');
+    const [notes, setNotes] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!visible) return;
+        setSelectedFriendId(null);
+        setBorrowerName('');
+        setDueAt('');
+        setNotes('');
+        setLoadingFriends(true);
+        apiRequest({ apiBase, path: '/api/friends', token })
+            .then((data) => {
+                const accepted = (data.friendships || []).filter((f) => f.status === 'accepted');
+                setFriends(accepted.map((f) => getFriend(f, user?.id)).filter(Boolean));
+            })
+            .catch((err) => console.warn('Failed to load friends for lending:', err?.message || err))
+            .finally(() => setLoadingFriends(false));
+    }, [visible, apiBase, token, user?.id]);
+
+    const trimmedDueAt = dueAt.trim();
+    const canSave = !saving && (selectedFriendId || borrowerName.trim())
+        && (!trimmedDueAt || DATE_PATTERN.test(trimmedDueAt));
+
+    const handleSave = async () => {
+        if (!canSave) return;
+        setSaving(true);
+        try {
+            const data = await apiRequest({
+                apiBase,
+                path: '/api/loans',
+                method: 'POST',
+                token,
+                body: {
+                    itemId,
+                    borrowerUserId: selectedFriendId || undefined,
+                    borrowerName: selectedFriendId ? undefined : borrowerName.trim(),
+                    dueAt: trimmedDueAt || undefined,
+                    notes: notes.trim() || undefined,
+                },
+            });
+            onLent?.(data.loan);
+            onClose?.();
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to record loan');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+                <View style={styles.modalContent} onStartShouldSetResponder={() => true}>
+                    <View style={styles.modalHeader}>
+                        <Text style={styles.modalTitle} numberOfLines={1}>
+                            Lend {itemTitle || 'item'}
+                        </Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <Ionicons name="close" size={24} color={colors.text} />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView keyboardShouldPersistTaps="handled">
+                        <Text style={styles.label}>Friend</Text>
+                        {loadingFriends ? (
+                            <ActivityIndicator size="small" color={colors.primary} style={{ marginVertical: spacing.sm }} />
+                        ) : friends.length === 0 ? (
+                            <Text style={styles.hint}>No friends yet. Enter a name below instead.</Text>
+                        ) : (
+                            <View style={styles.chipRow}>
+                                {friends.map((friend) => {
+                                    const selected = selectedFriendId === friend.id;
+                                    return (
+                                        <TouchableOpacity
+                                            key={friend.id}
+                                            style={[styles.chip, selected && styles.chipSelected]}
+                                            onPress={() => setSelectedFriendId(selected ? null : friend.id)}
+                                        >
+                                            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                                                {friend.name || friend.username}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </View>
+                        )}
+
+                        {!selectedFriendId && (
+                            <>
+                                <Text style={styles.label}>Or someone else</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={borrowerName}
+                                    onChangeText={setBorrowerName}
+                                    placeholder="Borrower's name"
+                                    placeholderTextColor={colors.textMuted}
+                                    maxLength={200}
+                                />
+                            </>
+                        )}
+
+                        <Text style={styles.label}>Due date (optional)</Text>
+                        <TextInput
+                            style={styles.input}
+                            value={dueAt}
+                            onChangeText={setDueAt}
+                            placeholder="YYYY-MM-DD"
+                            placeholderTextColor={colors.textMuted}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            maxLength={10}
+                        />
+
+                        <Text style={styles.label}>Notes (optional)</Text>
+                        <TextInput
+                            style={[styles.input, styles.notesInput]}
+                            value={notes}
+                            onChangeText={setNotes}
+                            placeholder="Condition, where you handed it over..."
+                            placeholderTextColor={colors.textMuted}
+                            multiline
+                            textAlignVertical="top"
+                        />
+
+                        <TouchableOpacity
+                            style={[styles.saveButton, !canSave && styles.saveButtonDisabled]}
+                            onPress={handleSave}
+                            disabled={!canSave}
+                        >
+                            {saving ? (
+                                <ActivityIndicator size="small" color={colors.textInverted} />
+                            ) : (
+                                <Text style={styles.saveButtonText}>Mark as lent</Text>
+                            )}
+                        </TouchableOpacity>
+                    </ScrollView>
+                </View>
+            </TouchableOpacity>
+        </Modal>
+    );
+}
+
+const createStyles = ({ colors, spacing, radius }) =>
+    StyleSheet.create({
+        modalOverlay: {
+            flex: 1,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            justifyContent: 'flex-end',
+        },
+        modalContent: {
+            backgroundColor: colors.surface,
+            borderTopLeftRadius: radius.xl,
+            borderTopRightRadius: radius.xl,
+            padding: spacing.lg,
+            maxHeight: '80%',
+        },
+        modalHeader: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: spacing.md,
+        },
+        modalTitle: {
+            flex: 1,
+            fontSize: 18,
+            fontWeight: '600',
+            color: colors.text,
+            marginRight: spacing.md,
+        },
+        label: {
+            fontSize: 13,
+            fontWeight: '600',
+            color: colors.textSecondary,
+            marginTop: spacing.md,
+            marginBottom: spacing.xs,
+        },
+        hint: {
+            fontSize: 13,
+            color: colors.textMuted,
+        },
+        chipRow: {
+            flexDirection: 'row',
+            flexWrap: 'wrap',
+            gap: 8,
+        },
+        chip: {
+            paddingHorizontal: 12,
+            paddingVertical: 6,
+            borderRadius: 16,
+            borderWidth: 1,
+            borderColor: colors.border,
+            backgroundColor: colors.background,
+        },
+        chipSelected: {
+            borderColor: colors.primary,
+            backgroundColor: colors.primary + '15',
+        },
+        chipText: {
+            fontSize: 14,
+            color: colors.text,
+        },
+        chipTextSelected: {
+            color: colors.primary,
+            fontWeight: '600',
+        },
+        input: {
+            backgroundColor: colors.background,
+            borderRadius: radius.md,
+            paddingHorizontal: spacing.md,
+            paddingVertical: spacing.sm,
+            fontSize: 15,
+            color: colors.text,
+        },
+        notesInput: {
+            minHeight: 72,
+        },
+        saveButton: {
+            marginTop: spacing.lg,
+            marginBottom: spacing.md,
+            backgroundColor: colors.primary,
+            borderRadius: radius.md,
+            paddingVertical: spacing.md,
+            alignItems: 'center',
+        },
+        saveButtonDisabled: {
+            opacity: 0.5,
+        },
+        saveButtonText: {
+            color: colors.textInverted,
+            fontSize: 16,
+            fontWeight: '600',
+        },
+    });
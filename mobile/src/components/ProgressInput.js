@@ -0,0 +1,129 @@
+import React, { useMemo } from 'react';
+import { ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+
+export const PROGRESS_UNITS = [
+    { key: 'pages', label: 'Pages' },
+    { key: 'chapters', label: 'Chapters' },
+    { key: 'episodes', label: 'Episodes' },
+    { key: 'hours', label: 'Hours' },
+    { key: 'minutes', label: 'Minutes' },
+    { key: 'percent', label: '%' },
+];
+
+export function defaultProgressUnit(kind) {
+    const normalized = String(kind || '').trim().toLowerCase();
+    if (normalized.startsWith('game')) return 'hours';
+    if (normalized.startsWith('tv') || normalized.includes('show') || normalized.includes('series')) return 'episodes';
+    if (normalized.startsWith('movie') || normalized.startsWith('film')) return 'minutes';
+    return 'pages';
+}
+
+/**
+ * Turn the text inputs into the `progress` body field accepted by
+ * POST /api/checkin and /api/consumption. Returns undefined when empty.
+ */
+export function buildProgressPayload({ value, total, unit }) {
+    const parsedValue = String(value || '').trim() ? Number(value) : null;
+    const parsedTotal = String(total || '').trim() ? Number(total) : null;
+    if (parsedValue == null && parsedTotal == null) return undefined;
+    return {
+        value: Number.isFinite(parsedValue) ? parsedValue : null,
+        total: Number.isFinite(parsedTotal) ? parsedTotal : null,
+        unit,
+    };
+}
+
+/**
+ * Optional "page 120 of 400" style progress entry used by the check-in flow.
+ * Controlled: pass `value`, `total`, `unit` and their change handlers.
+ */
+export default function ProgressInput({ value, total, unit, onChangeValue, onChangeTotal, onChangeUnit }) {
+    const { colors, spacing, radius } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, radius }), [colors, spacing, radius]);
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.inputRow}>
+                <TextInput
+                    style={styles.input}
+                    placeholder={unit === 'percent' ? '%' : 'At'}
+                    placeholderTextColor={colors.textMuted}
+                    keyboardType="decimal-pad"
+                    value={value}
+                    onChangeText={onChangeValue}
+                    maxLength={8}
+                />
+                {unit !== 'percent' && (
+                    <>
+                        <Text style={styles.ofText}>of</Text>
+                        <TextInput
+                            style={styles.input}
+                            placeholder="Total"
+                            placeholderTextColor={colors.textMuted}
+                            keyboardType="decimal-pad"
+                            value={total}
+                            onChangeText={onChangeTotal}
+                            maxLength={8}
+                        />
+                    </>
+                )}
+            </View>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.unitRow}>
+                {PROGRESS_UNITS.map((entry) => (
+                    <TouchableOpacity
+                        key={entry.key}
+                        style={[styles.unitChip, unit === entry.key && styles.unitChipActive]}
+                        onPress={() => onChangeUnit(entry.key)}
+                    >
+                        <Text style={[styles.unitText, unit === entry.key && styles.unitTextActive]}>{entry.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </ScrollView>
+        </View>
+    );
+}
+
+const createStyles = ({ colors, spacing, radius }) => StyleSheet.create({
+    container: {
+        gap: spacing.sm,
+    },
+    inputRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: spacing.sm,
+    },
+    input: {
+        flex: 1,
+        backgroundColor: colors.surfaceElevated,
+        borderRadius: radius.lg,
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.sm,
+        fontSize: 15,
+        color: colors.text,
+    },
+    ofText: {
+        fontSize: 13,
+        color: colors.textMuted,
+    },
+    unitRow: {
+        gap: spacing.xs,
+    },
+    unitChip: {
+        paddingHorizontal: spacing.sm,
+        paddingVertical: 6,
+        borderRadius: radius.full,
+        backgroundColor: colors.surfaceElevated,
+    },
+    unitChipActive: {
+        backgroundColor: colors.primary,
+    },
+    unitText: {
+        fontSize: 12,
+        fontWeight: '500',
+        color: colors.text,
+    },
+    unitTextActive: {
+        color: colors.textInverted,
+    },
+});
@@ -0,0 +1,429 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Image,
+  PanResponder,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { apiRequest, getValidToken } from "../services/api";
+
+// Region boxes are [yMin, xMin, yMax, xMax] normalized to 0-1000.
+const BOX_SCALE = 1000;
+const TAP_SLOP = 6;
+const MIN_DRAW_SIDE = 12;
+// A tap on empty photo drops a spine-shaped box the user can redraw.
+const TAP_BOX_WIDTH = 60;
+const TAP_BOX_HEIGHT = 300;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+const toBox2d = (a, b, size) => {
+  if (!size.width || !size.height) return null;
+  const x1 = clamp(Math.min(a.x, b.x) / size.width, 0, 1);
+  const x2 = clamp(Math.max(a.x, b.x) / size.width, 0, 1);
+  const y1 = clamp(Math.min(a.y, b.y) / size.height, 0, 1);
+  const y2 = clamp(Math.max(a.y, b.y) / size.height, 0, 1);
+  return [y1, x1, y2, x2].map((value) => Math.round(value * BOX_SCALE));
+};
+
+const tapBox2d = (point, size) => {
+  const x = (point.x / size.width) * BOX_SCALE;
+  const y = (point.y / size.height) * BOX_SCALE;
+  const xMin = clamp(Math.round(x - TAP_BOX_WIDTH / 2), 0, BOX_SCALE - TAP_BOX_WIDTH);
+  const yMin = clamp(Math.round(y - TAP_BOX_HEIGHT / 2), 0, BOX_SCALE - TAP_BOX_HEIGHT);
+  return [yMin, xMin, yMin + TAP_BOX_HEIGHT, xMin + TAP_BOX_WIDTH];
+};
+
+const boxToStyle = (box2d, size) => {
+  const [yMin, xMin, yMax, xMax] = (box2d || []).map(Number);
+  return {
+    left: (xMin / BOX_SCALE) * size.width,
+    top: (yMin / BOX_SCALE) * size.height,
+    width: ((xMax - xMin) / BOX_SCALE) * size.width,
+    height: ((yMax - yMin) / BOX_SCALE) * size.height,
+  };
+};
+
+const findRegionAt = (regions, point, size) => {
+  const x = (point.x / size.width) * BOX_SCALE;
+  const y = (point.y / size.height) * BOX_SCALE;
+  // Smallest box wins so nested boxes stay selectable.
+  return regions
+    .filter((region) => {
+      const [yMin, xMin, yMax, xMax] = (region.box2d || []).map(Number);
+      return x >= xMin && x <= xMax && y >= yMin && y <= yMax;
+    })
+    .sort((a, b) => {
+      const area = (region) => {
+        const [yMin, xMin, yMax, xMax] = region.box2d.map(Number);
+        return (yMax - yMin) * (xMax - xMin);
+      };
+      return area(a) - area(b);
+    })[0] || null;
+};
+
+export default function ScanRegionEditor({ apiBase, token, shelfId, scanPhotoId, onItemsChanged }) {
+  const [scanPhoto, setScanPhoto] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [redrawing, setRedrawing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [imageToken, setImageToken] = useState(null);
+  const [frame, setFrame] = useState({ width: 0, height: 0 });
+  const dragStart = useRef(null);
+
+  const basePath = `/api/shelves/${shelfId}/vision/scans/${scanPhotoId}`;
+
+  const loadScan = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [photoResponse, regionResponse, resolvedToken] = await Promise.all([
+        apiRequest({ apiBase, path: basePath, token }),
+        apiRequest({ apiBase, path: `${basePath}/regions`, token }),
+        getValidToken(token),
+      ]);
+      setScanPhoto(photoResponse?.scanPhoto || null);
+      setRegions(Array.isArray(regionResponse?.regions) ? regionResponse.regions : []);
+      setImageToken(resolvedToken || token || null);
+    } catch (err) {
+      Alert.alert("Error", err?.message || "Could not load the scan photo");
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBase, basePath, token]);
+
+  useEffect(() => {
+    setSelectedIds([]);
+    setRedrawing(false);
+    loadScan();
+  }, [loadScan]);
+
+  // Fit the photo inside the available space, keeping its aspect ratio.
+  const imageSize = useMemo(() => {
+    const photoWidth = Number(scanPhoto?.width) || 0;
+    const photoHeight = Number(scanPhoto?.height) || 0;
+    if (!photoWidth || !photoHeight || !frame.width || !frame.height) return { width: 0, height: 0 };
+    const ratio = Math.min(frame.width / photoWidth, frame.height / photoHeight);
+    return { width: photoWidth * ratio, height: photoHeight * ratio };
+  }, [scanPhoto, frame]);
+
+  const runEdit = useCallback(async (request) => {
+    setBusy(true);
+    try {
+      return await request();
+    } catch (err) {
+      Alert.alert("Error", err?.message || "Could not update the scan");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const saveBox = useCallback(async (box2d) => {
+    const targetId = redrawing && selectedIds.length === 1 ? selectedIds[0] : null;
+    const response = await runEdit(() => apiRequest({
+      apiBase,
+      path: targetId ? `${basePath}/regions/${targetId}` : `${basePath}/regions`,
+      method: targetId ? "PUT" : "POST",
+      token,
+      body: { box2d },
+    }));
+    if (!response?.region) return;
+    const saved = response.region;
+    setRegions((current) => (targetId
+      ? current.map((region) => (region.id === targetId ? { ...region, ...saved } : region))
+      : [...current, saved]));
+    setSelectedIds([saved.id]);
+    setRedrawing(false);
+  }, [apiBase, basePath, redrawing, runEdit, selectedIds, token]);
+
+  const handleRelease = useCallback((end) => {
+    const start = dragStart.current;
+    dragStart.current = null;
+    setDraft(null);
+    if (!start || busy || !imageSize.width) return;
+    const moved = Math.abs(end.x - start.x) > TAP_SLOP || Math.abs(end.y - start.y) > TAP_SLOP;
+    if (moved) {
+      if (Math.abs(end.x - start.x) < MIN_DRAW_SIDE || Math.abs(end.y - start.y) < MIN_DRAW_SIDE) return;
+      const box2d = toBox2d(start, end, imageSize);
+      if (box2d) saveBox(box2d);
+      return;
+    }
+    const hit = redrawing ? null : findRegionAt(regions, end, imageSize);
+    if (hit) {
+      setSelectedIds((current) => (current.includes(hit.id)
+        ? current.filter((id) => id !== hit.id)
+        : [...current, hit.id]));
+      return;
+    }
+    saveBox(tapBox2d(end, imageSize));
+  }, [busy, imageSize, redrawing, regions, saveBox]);
+
+  const releaseRef = useRef(handleRelease);
+  releaseRef.current = handleRelease;
+
+  const panResponder = useMemo(
+    () =>
+      PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onMoveShouldSetPanResponder: () => true,
+        onPanResponderGrant: (evt) => {
+          const { locationX, locationY } = evt.nativeEvent;
+          dragStart.current = { x: locationX, y: locationY };
+        },
+        onPanResponderMove: (_evt, gestureState) => {
+          const start = dragStart.current;
+          if (!start) return;
+          setDraft({
+            start,
+            end: { x: start.x + gestureState.dx, y: start.y + gestureState.dy },
+          });
+        },
+        onPanResponderRelease: (_evt, gestureState) => {
+          const start = dragStart.current;
+          if (!start) return;
+          releaseRef.current({ x: start.x + gestureState.dx, y: start.y + gestureState.dy });
+        },
+        onPanResponderTerminate: () => {
+          dragStart.current = null;
+          setDraft(null);
+        },
+        onPanResponderTerminationRequest: () => false,
+      }),
+    [],
+  );
+
+  const applyReplacement = (removedIds, added) => {
+    setRegions((current) => [
+      ...current.filter((region) => !removedIds.includes(region.id)),
+      ...added,
+    ]);
+    setSelectedIds(added.map((region) => region.id));
+  };
+
+  const handleSplit = async () => {
+    const [regionId] = selectedIds;
+    const response = await runEdit(() => apiRequest({
+      apiBase,
+      path: `${basePath}/regions/${regionId}/split`,
+      method: "POST",
+      token,
+      body: { parts: 2, axis: "x" },
+    }));
+    if (response?.regions) applyReplacement(response.removedRegionIds || [regionId], response.regions);
+  };
+
+  const handleMerge = async () => {
+    const response = await runEdit(() => apiRequest({
+      apiBase,
+      path: `${basePath}/regions/merge`,
+      method: "POST",
+      token,
+      body: { regionIds: selectedIds },
+    }));
+    if (response?.region) applyReplacement(response.removedRegionIds || selectedIds, [response.region]);
+  };
+
+  const handleIdentify = async () => {
+    const response = await runEdit(() => apiRequest({
+      apiBase,
+      path: `${basePath}/regions/reidentify`,
+      method: "POST",
+      token,
+      body: { regionIds: selectedIds },
+    }));
+    if (!response) return;
+    if (Array.isArray(response.regions)) {
+      const updated = new Map(response.regions.map((region) => [region.id, region]));
+      setRegions((current) => current.map((region) => updated.get(region.id) || region));
+    }
+    setSelectedIds([]);
+    const unreadable = response.unreadableRegionIds?.length || 0;
+    const message = [
+      response.summaryMessage,
+      unreadable ? `${unreadable} box${unreadable === 1 ? "" : "es"} had no readable text.` : null,
+    ].filter(Boolean).join("\n");
+    Alert.alert("Boxes Identified", message || "Done");
+    if (typeof onItemsChanged === "function") onItemsChanged(response);
+  };
+
+  const selectedCount = selectedIds.length;
+  const draftStyle = draft ? boxToStyle(toBox2d(draft.start, draft.end, imageSize) || [0, 0, 0, 0], imageSize) : null;
+  const hint = redrawing
+    ? "Drag over the item to redraw the selected box."
+    : "Tap an item to add a box, drag to draw one, or tap boxes to select them.";
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.action, (selectedCount !== 1 || busy) && styles.actionDisabled, redrawing && styles.actionActive]}
+          disabled={selectedCount !== 1 || busy}
+          onPress={() => setRedrawing((value) => !value)}
+          accessibilityLabel="Redraw selected box"
+        >
+          <Text style={styles.actionText}>{redrawing ? "Cancel" : "Redraw"}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.action, (selectedCount !== 1 || busy) && styles.actionDisabled]}
+          disabled={selectedCount !== 1 || busy}
+          onPress={handleSplit}
+          accessibilityLabel="Split selected box"
+        >
+          <Text style={styles.actionText}>Split</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.action, (selectedCount < 2 || busy) && styles.actionDisabled]}
+          disabled={selectedCount < 2 || busy}
+          onPress={handleMerge}
+          accessibilityLabel="Merge selected boxes"
+        >
+          <Text style={styles.actionText}>Merge</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.action, styles.actionPrimary, (selectedCount < 1 || busy) && styles.actionDisabled]}
+          disabled={selectedCount < 1 || busy}
+          onPress={handleIdentify}
+          accessibilityLabel="Identify selected boxes"
+        >
+          <Text style={styles.actionPrimaryText}>Identify{selectedCount ? ` (${selectedCount})` : ""}</Text>
+        </TouchableOpacity>
+        {busy ? <ActivityIndicator color="#9ec1ff" /> : null}
+      </View>
+      <Text style={styles.hint}>{hint}</Text>
+
+      <View
+        style={styles.frame}
+        onLayout={(event) => {
+          const { width, height } = event.nativeEvent.layout;
+          setFrame({ width, height });
+        }}
+      >
+        {loading ? (
+          <ActivityIndicator color="#9ec1ff" />
+        ) : scanPhoto && imageSize.width ? (
+          <View style={{ width: imageSize.width, height: imageSize.height }} {...panResponder.panHandlers}>
+            <Image
+              pointerEvents="none"
+              source={{
+                uri: `${apiBase}${basePath}/image`,
+                headers: imageToken
+                  ? { Authorization: `Bearer ${imageToken}`, "ngrok-skip-browser-warning": "true" }
+                  : undefined,
+              }}
+              style={StyleSheet.absoluteFill}
+              resizeMode="stretch"
+            />
+            {regions.map((region) => {
+              const selected = selectedIds.includes(region.id);
+              const linked = !!(region.collectionItemId || region.collectableId || region.manualId);
+              return (
+                <View
+                  key={region.id}
+                  pointerEvents="none"
+                  style={[
+                    styles.region,
+                    linked ? styles.regionLinked : null,
+                    selected ? styles.regionSelected : null,
+                    boxToStyle(region.box2d, imageSize),
+                  ]}
+                >
+                  {region.title ? (
+                    <Text numberOfLines={1} style={styles.regionLabel}>{region.title}</Text>
+                  ) : null}
+                </View>
+              );
+            })}
+            {draftStyle ? <View pointerEvents="none" style={[styles.region, styles.regionDraft, draftStyle]} /> : null}
+          </View>
+        ) : (
+          <Text style={styles.hint}>This scan photo is no longer available.</Text>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+    gap: 8,
+  },
+  actions: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 8,
+  },
+  action: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#1f2d44",
+    backgroundColor: "#121b2d",
+  },
+  actionActive: {
+    borderColor: "#f5b94a",
+  },
+  actionPrimary: {
+    borderColor: "#4a6ef5",
+    backgroundColor: "#5a8efc",
+  },
+  actionDisabled: {
+    opacity: 0.4,
+  },
+  actionText: {
+    color: "#9ec1ff",
+    fontSize: 14,
+    fontWeight: "700",
+  },
+  actionPrimaryText: {
+    color: "#071126",
+    fontSize: 14,
+    fontWeight: "700",
+  },
+  hint: {
+    color: "#94a3b8",
+    fontSize: 13,
+  },
+  frame: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  region: {
+    position: "absolute",
+    borderWidth: 2,
+    borderColor: "#f5b94a",
+    borderRadius: 4,
+  },
+  regionLinked: {
+    borderColor: "#5a8efc",
+  },
+  regionSelected: {
+    borderColor: "#4ade80",
+    backgroundColor: "rgba(74, 222, 128, 0.18)",
+  },
+  regionDraft: {
+    borderStyle: "dashed",
+    borderColor: "#e6edf3",
+  },
+  regionLabel: {
+    position: "absolute",
+    top: -18,
+    left: 0,
+    maxWidth: 160,
+    color: "#e6edf3",
+    fontSize: 11,
+    backgroundColor: "rgba(7, 11, 20, 0.7)",
+    paddingHorizontal: 4,
+  },
+});
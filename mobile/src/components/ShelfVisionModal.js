@@ -11,6 +11,7 @@ import {
   TouchableOpacity,
   View,
 } from "react-native";
+import ScanRegionEditor from "./ScanRegionEditor";
 
 const MIN_SCALE = 0.5;
 const MAX_SCALE = 3;
@@ -238,7 +239,18 @@ const getPlaneDimensions = () => {
   return { width: baseWidth, height: baseHeight };
 };
 
-export default function ShelfVisionModal({ visible, onClose, items, apiBase }) {
+export default function ShelfVisionModal({
+  visible,
+  onClose,
+  items,
+  apiBase,
+  token,
+  shelfId,
+  scanPhotoId,
+  onItemsChanged,
+}) {
+  // With a scan photo, the modal edits that photo's item boxes instead of the layout plane.
+  const editingScan = !!(shelfId && scanPhotoId);
   const { width: planeWidth, height: planeHeight } = useMemo(getPlaneDimensions, []);
 
   const scale = useRef(new Animated.Value(1)).current;
@@ -446,36 +458,42 @@ export default function ShelfVisionModal({ visible, onClose, items, apiBase }) {
                 <Text style={styles.toolbarBackText}>Back</Text>
               </TouchableOpacity>
               <View>
-                <Text style={styles.toolbarTitle}>Shelf Vision</Text>
+                <Text style={styles.toolbarTitle}>{editingScan ? "Fix Scan Boxes" : "Shelf Vision"}</Text>
                 <Text style={styles.toolbarSubtitle}>
-                  {positionedItems.length
-                    ? "Pinch to zoom, drag to explore the shelf layout."
-                    : "No positional data available for this shelf yet."}
+                  {editingScan
+                    ? "Add missed items, or split, merge and redraw boxes, then identify them."
+                    : positionedItems.length
+                      ? "Pinch to zoom, drag to explore the shelf layout."
+                      : "No positional data available for this shelf yet."}
                 </Text>
               </View>
             </View>
             <View style={styles.toolbarActions}>
-              <TouchableOpacity
-                style={[styles.toolbarButton, styles.toolbarButtonSecondary]}
-                onPress={() => bumpZoom(1 / 1.2)}
-                accessibilityLabel="Zoom out"
-              >
-                <Text style={styles.toolbarButtonText}>-</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[styles.toolbarButton, styles.toolbarButtonSecondary]}
-                onPress={() => zoomTo(1)}
-                accessibilityLabel="Reset zoom"
-              >
-                <Text style={styles.toolbarButtonText}>1x</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[styles.toolbarButton, styles.toolbarButtonSecondary]}
-                onPress={() => bumpZoom(1.2)}
-                accessibilityLabel="Zoom in"
-              >
-                <Text style={styles.toolbarButtonText}>+</Text>
-              </TouchableOpacity>
+              {editingScan ? null : (
+                <>
+                  <TouchableOpacity
+                    style={[styles.toolbarButton, styles.toolbarButtonSecondary]}
+                    onPress={() => bumpZoom(1 / 1.2)}
+                    accessibilityLabel="Zoom out"
+                  >
+                    <Text style={styles.toolbarButtonText}>-</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.toolbarButton, styles.toolbarButtonSecondary]}
+                    onPress={() => zoomTo(1)}
+                    accessibilityLabel="Reset zoom"
+                  >
+                    <Text style={styles.toolbarButtonText}>1x</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.toolbarButton, styles.toolbarButtonSecondary]}
+                    onPress={() => bumpZoom(1.2)}
+                    accessibilityLabel="Zoom in"
+                  >
+                    <Text style={styles.toolbarButtonText}>+</Text>
+                  </TouchableOpacity>
+                </>
+              )}
               <TouchableOpacity
                 style={[styles.toolbarButton, styles.toolbarButtonPrimary]}
                 onPress={onClose}
@@ -487,7 +505,15 @@ export default function ShelfVisionModal({ visible, onClose, items, apiBase }) {
           </View>
 
           <View style={styles.canvasContainer}>
-            {positionedItems.length ? (
+            {editingScan ? (
+              <ScanRegionEditor
+                apiBase={apiBase}
+                token={token}
+                shelfId={shelfId}
+                scanPhotoId={scanPhotoId}
+                onItemsChanged={onItemsChanged}
+              />
+            ) : positionedItems.length ? (
               <View style={styles.canvas} {...panResponder.panHandlers}>
                 <Animated.View
                   style={[
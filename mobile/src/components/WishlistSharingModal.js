@@ -0,0 +1,318 @@
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    Modal,
+    ScrollView,
+    StyleSheet,
+    Switch,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+
+function getFriend(friendship, currentUserId) {
+    return friendship.requester?.id === currentUserId ? friendship.addressee : friendship.requester;
+}
+
+function displayName(person) {
+    return person?.firstName || person?.name || person?.username || 'Someone';
+}
+
+/**
+ * Gift mode and co-owners of a wishlist. Any owner can toggle gift mode; only
+ * the creator adds or removes co-owners, and a co-owner can leave. Calls
+ * `onUpdated(wishlist)` after a gift mode change and `onLeft()` after leaving.
+ */
+export default function WishlistSharingModal({ visible, onClose, onUpdated, onLeft, wishlist, isCreator }) {
+    const { apiBase, token, user } = useContext(AuthContext);
+    const { colors, spacing, radius } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, radius }), [colors, spacing, radius]);
+
+    const [owners, setOwners] = useState([]);
+    const [friends, setFriends] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const wishlistId = wishlist?.id;
+
+    const loadOwners = useCallback(async () => {
+        if (!wishlistId) return;
+        const data = await apiRequest({ apiBase, path: `/api/wishlists/${wishlistId}/owners`, token });
+        setOwners(data.owners || []);
+    }, [apiBase, token, wishlistId]);
+
+    useEffect(() => {
+        if (!visible || !wishlistId) return;
+        setLoading(true);
+        const requests = [loadOwners()];
+        if (isCreator) {
+            requests.push(
+                apiRequest({ apiBase, path: '/api/friends', token }).then((data) => {
+                    const accepted = (data.friendships || []).filter((f) => f.status === 'accepted');
+                    setFriends(accepted.map((f) => getFriend(f, user?.id)).filter(Boolean));
+                })
+            );
+        }
+        Promise.all(requests)
+            .catch((err) => console.warn('Failed to load wishlist sharing:', err?.message || err))
+            .finally(() => setLoading(false));
+    }, [visible, wishlistId, isCreator, apiBase, token, user?.id, loadOwners]);
+
+    const ownerIds = useMemo(() => new Set(owners.map((owner) => owner.id)), [owners]);
+    const addableFriends = friends.filter((friend) => !ownerIds.has(friend.id));
+
+    const handleToggleGiftMode = async (giftMode) => {
+        setBusy(true);
+        try {
+            const data = await apiRequest({
+                apiBase,
+                path: `/api/wishlists/${wishlistId}`,
+                method: 'PUT',
+                token,
+                body: { giftMode },
+            });
+            onUpdated?.(data.wishlist);
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to update gift mode');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleAddOwner = async (friend) => {
+        setBusy(true);
+        try {
+            const data = await apiRequest({
+                apiBase,
+                path: `/api/wishlists/${wishlistId}/owners`,
+                method: 'POST',
+                token,
+                body: { userId: friend.id },
+            });
+            setOwners(data.owners || []);
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to add co-owner');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const removeOwner = async (owner) => {
+        setBusy(true);
+        try {
+            await apiRequest({
+                apiBase,
+                path: `/api/wishlists/${wishlistId}/owners/${owner.id}`,
+                method: 'DELETE',
+                token,
+            });
+            if (owner.id === user?.id) {
+                onClose?.();
+                onLeft?.();
+                return;
+            }
+            setOwners((prev) => prev.filter((o) => o.id !== owner.id));
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to remove co-owner');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const confirmRemoveOwner = (owner) => {
+        const leaving = owner.id === user?.id;
+        Alert.alert(
+            leaving ? 'Leave Wishlist' : 'Remove Co-owner',
+            leaving
+                ? 'You will no longer be able to edit this wishlist.'
+                : `${displayName(owner)} will no longer be able to edit this wishlist.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: leaving ? 'Leave' : 'Remove', style: 'destructive', onPress: () => removeOwner(owner) },
+            ]
+        );
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+                <View style={styles.modalContent} onStartShouldSetResponder={() => true}>
+                    <View style={styles.modalHeader}>
+                        <Text style={styles.modalTitle} numberOfLines={1}>Sharing</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <Ionicons name="close" size={24} color={colors.text} />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView keyboardShouldPersistTaps="handled">
+                        <View style={styles.row}>
+                            <View style={styles.rowText}>
+                                <Text style={styles.rowLabel}>Gift registry</Text>
+                                <Text style={styles.hint}>
+                                    Friends who can see this wishlist can reserve items. You won't see what was reserved until you receive it.
+                                </Text>
+                            </View>
+                            <Switch
+                                value={!!wishlist?.giftMode}
+                                onValueChange={handleToggleGiftMode}
+                                disabled={busy}
+                                trackColor={{ false: colors.border, true: colors.primary + '80' }}
+                                thumbColor={wishlist?.giftMode ? colors.primary : colors.surfaceElevated}
+                            />
+                        </View>
+
+                        <Text style={styles.label}>Owners</Text>
+                        {loading ? (
+                            <ActivityIndicator size="small" color={colors.primary} style={{ marginVertical: spacing.sm }} />
+                        ) : (
+                            owners.map((owner) => {
+                                const canRemove = !owner.isCreator && (isCreator || owner.id === user?.id);
+                                return (
+                                    <View key={owner.id} style={styles.ownerRow}>
+                                        <Ionicons
+                                            name={owner.isCreator ? 'star' : 'person'}
+                                            size={16}
+                                            color={owner.isCreator ? colors.primary : colors.textMuted}
+                                        />
+                                        <Text style={styles.ownerName} numberOfLines={1}>
+                                            {displayName(owner)}
+                                            {owner.id === user?.id ? ' (you)' : ''}
+                                        </Text>
+                                        {canRemove ? (
+                                            <TouchableOpacity onPress={() => confirmRemoveOwner(owner)} disabled={busy}>
+                                                <Text style={styles.removeText}>
+                                                    {owner.id === user?.id ? 'Leave' : 'Remove'}
+                                                </Text>
+                                            </TouchableOpacity>
+                                        ) : null}
+                                    </View>
+                                );
+                            })
+                        )}
+
+                        {isCreator && !loading ? (
+                            <>
+                                <Text style={styles.label}>Add a co-owner</Text>
+                                {addableFriends.length === 0 ? (
+                                    <Text style={styles.hint}>Co-owners can add and remove items. Only friends can be added.</Text>
+                                ) : (
+                                    <View style={styles.chipRow}>
+                                        {addableFriends.map((friend) => (
+                                            <TouchableOpacity
+                                                key={friend.id}
+                                                style={styles.chip}
+                                                onPress={() => handleAddOwner(friend)}
+                                                disabled={busy}
+                                            >
+                                                <Ionicons name="add" size={14} color={colors.primary} />
+                                                <Text style={styles.chipText}>{friend.name || friend.username}</Text>
+                                            </TouchableOpacity>
+                                        ))}
+                                    </View>
+                                )}
+                            </>
+                        ) : null}
+                    </ScrollView>
+                </View>
+            </TouchableOpacity>
+        </Modal>
+    );
+}
+
+const createStyles = ({ colors, spacing, radius }) =>
+    StyleSheet.create({
+        modalOverlay: {
+            flex: 1,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            justifyContent: 'flex-end',
+        },
+        modalContent: {
+            backgroundColor: colors.surface,
+            borderTopLeftRadius: radius.xl,
+            borderTopRightRadius: radius.xl,
+            padding: spacing.lg,
+            maxHeight: '80%',
+        },
+        modalHeader: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: spacing.md,
+        },
+        modalTitle: {
+            flex: 1,
+            fontSize: 18,
+            fontWeight: '600',
+            color: colors.text,
+            marginRight: spacing.md,
+        },
+        row: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            paddingVertical: spacing.sm,
+            gap: spacing.md,
+        },
+        rowText: {
+            flex: 1,
+        },
+        rowLabel: {
+            fontSize: 15,
+            fontWeight: '500',
+            color: colors.text,
+        },
+        label: {
+            fontSize: 13,
+            fontWeight: '600',
+            color: colors.textSecondary,
+            marginTop: spacing.md,
+            marginBottom: spacing.xs,
+        },
+        hint: {
+            fontSize: 13,
+            color: colors.textMuted,
+            marginTop: spacing.xs,
+        },
+        ownerRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.sm,
+            paddingVertical: spacing.sm,
+        },
+        ownerName: {
+            flex: 1,
+            fontSize: 15,
+            color: colors.text,
+        },
+        removeText: {
+            fontSize: 14,
+            color: colors.error,
+            fontWeight: '500',
+        },
+        chipRow: {
+            flexDirection: 'row',
+            flexWrap: 'wrap',
+            gap: 8,
+            marginBottom: spacing.md,
+        },
+        chip: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: 4,
+            paddingHorizontal: 12,
+            paddingVertical: 6,
+            borderRadius: 16,
+            borderWidth: 1,
+            borderColor: colors.border,
+            backgroundColor: colors.background,
+        },
+        chipText: {
+            fontSize: 14,
+            color: colors.text,
+        },
+    });
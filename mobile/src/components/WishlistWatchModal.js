@@ -0,0 +1,259 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    Modal,
+    StyleSheet,
+    Switch,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+
+const PRICE_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+const ALERT_LABELS = {
+    release_date: 'Release date announced',
+    physical_release: 'Physical release',
+    price_drop: 'Price at or below target',
+};
+
+/**
+ * One line describing an item's latest alert, or null if it has none.
+ */
+export function describeLastAlert(item) {
+    if (!item?.lastAlertType) return null;
+    const label = ALERT_LABELS[item.lastAlertType] || 'Alert';
+    const details = item.lastAlertDetails || {};
+    if (item.lastAlertType === 'price_drop' && details.marketValue) return `${label}: ${details.marketValue}`;
+    if (details.releaseDate) return `${label}: ${details.releaseDate}`;
+    return label;
+}
+
+/**
+ * Watch settings for a wishlist item: release/price alerts on or off, a
+ * per-item mute and an optional target price (catalog items only, since only
+ * they carry a market value). Calls `onSaved(item)` on success.
+ */
+export default function WishlistWatchModal({ visible, onClose, onSaved, wishlistId, item }) {
+    const { apiBase, token } = useContext(AuthContext);
+    const { colors, spacing, radius } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, radius }), [colors, spacing, radius]);
+
+    const [watch, setWatch] = useState(false);
+    const [muted, setMuted] = useState(false);
+    const [targetPrice, setTargetPrice] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!visible || !item) return;
+        setWatch(!!item.watch);
+        setMuted(!!item.alertsMuted);
+        setTargetPrice(item.targetPrice ? String(Number(item.targetPrice)) : '');
+    }, [visible, item]);
+
+    const canSetPrice = !!item?.collectableId;
+    const trimmedPrice = targetPrice.trim();
+    const canSave = !saving && (!trimmedPrice || PRICE_PATTERN.test(trimmedPrice));
+    const lastAlert = describeLastAlert(item);
+
+    const handleSave = async () => {
+        if (!canSave || !item) return;
+        setSaving(true);
+        try {
+            const body = { watch, muted };
+            if (canSetPrice) body.targetPrice = trimmedPrice ? Number(trimmedPrice) : null;
+            const data = await apiRequest({
+                apiBase,
+                path: `/api/wishlists/${wishlistId}/items/${item.id}/watch`,
+                method: 'PUT',
+                token,
+                body,
+            });
+            onSaved?.(data.item);
+            onClose?.();
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to update watch');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const title = item?.collectableTitle || item?.manualText || 'Wishlist item';
+
+    return (
+        <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+            <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+                <View style={styles.modalContent} onStartShouldSetResponder={() => true}>
+                    <View style={styles.modalHeader}>
+                        <Text style={styles.modalTitle} numberOfLines={1}>Watch {title}</Text>
+                        <TouchableOpacity onPress={onClose}>
+                            <Ionicons name="close" size={24} color={colors.text} />
+                        </TouchableOpacity>
+                    </View>
+
+                    <View style={styles.row}>
+                        <View style={styles.rowText}>
+                            <Text style={styles.rowLabel}>Watch this item</Text>
+                            <Text style={styles.hint}>Get alerts for release dates, physical releases and price drops.</Text>
+                        </View>
+                        <Switch
+                            value={watch}
+                            onValueChange={setWatch}
+                            trackColor={{ false: colors.border, true: colors.primary + '80' }}
+                            thumbColor={watch ? colors.primary : colors.surfaceElevated}
+                        />
+                    </View>
+
+                    <View style={styles.row}>
+                        <View style={styles.rowText}>
+                            <Text style={styles.rowLabel}>Mute alerts</Text>
+                            <Text style={styles.hint}>Keep watching without notifications.</Text>
+                        </View>
+                        <Switch
+                            value={muted}
+                            onValueChange={setMuted}
+                            disabled={!watch}
+                            trackColor={{ false: colors.border, true: colors.primary + '80' }}
+                            thumbColor={muted ? colors.primary : colors.surfaceElevated}
+                        />
+                    </View>
+
+                    {canSetPrice ? (
+                        <>
+                            <Text style={styles.label}>Target price</Text>
+                            <TextInput
+                                style={styles.input}
+                                value={targetPrice}
+                                onChangeText={setTargetPrice}
+                                placeholder="e.g. 25"
+                                placeholderTextColor={colors.textMuted}
+                                keyboardType="decimal-pad"
+                                editable={watch}
+                                maxLength={11}
+                            />
+                            <Text style={styles.hint}>
+                                {item?.collectableMarketValue
+                                    ? `Current market value: ${item.collectableMarketValue}`
+                                    : 'No market value yet for this item.'}
+                            </Text>
+                        </>
+                    ) : null}
+
+                    {lastAlert ? (
+                        <View style={styles.lastAlert}>
+                            <Ionicons name="notifications-outline" size={16} color={colors.textSecondary} />
+                            <Text style={styles.lastAlertText}>{lastAlert}</Text>
+                        </View>
+                    ) : null}
+
+                    <TouchableOpacity
+                        style={[styles.saveButton, !canSave && styles.saveButtonDisabled]}
+                        onPress={handleSave}
+                        disabled={!canSave}
+                    >
+                        {saving ? (
+                            <ActivityIndicator size="small" color={colors.textInverted} />
+                        ) : (
+                            <Text style={styles.saveButtonText}>Save</Text>
+                        )}
+                    </TouchableOpacity>
+                </View>
+            </TouchableOpacity>
+        </Modal>
+    );
+}
+
+const createStyles = ({ colors, spacing, radius }) =>
+    StyleSheet.create({
+        modalOverlay: {
+            flex: 1,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            justifyContent: 'flex-end',
+        },
+        modalContent: {
+            backgroundColor: colors.surface,
+            borderTopLeftRadius: radius.xl,
+            borderTopRightRadius: radius.xl,
+            padding: spacing.lg,
+        },
+        modalHeader: {
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: spacing.md,
+        },
+        modalTitle: {
+            flex: 1,
+            fontSize: 18,
+            fontWeight: '600',
+            color: colors.text,
+            marginRight: spacing.md,
+        },
+        row: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            paddingVertical: spacing.sm,
+            gap: spacing.md,
+        },
+        rowText: {
+            flex: 1,
+        },
+        rowLabel: {
+            fontSize: 15,
+            fontWeight: '500',
+            color: colors.text,
+        },
+        label: {
+            fontSize: 13,
+            fontWeight: '600',
+            color: colors.textSecondary,
+            marginTop: spacing.md,
+            marginBottom: spacing.xs,
+        },
+        hint: {
+            fontSize: 13,
+            color: colors.textMuted,
+            marginTop: spacing.xs,
+        },
+        input: {
+            backgroundColor: colors.background,
+            borderRadius: radius.md,
+            paddingHorizontal: spacing.md,
+            paddingVertical: spacing.sm,
+            fontSize: 15,
+            color: colors.text,
+        },
+        lastAlert: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.xs,
+            marginTop: spacing.md,
+        },
+        lastAlertText: {
+            fontSize: 13,
+            color: colors.textSecondary,
+        },
+        saveButton: {
+            marginTop: spacing.lg,
+            marginBottom: spacing.md,
+            backgroundColor: colors.primary,
+            borderRadius: radius.md,
+            paddingVertical: spacing.md,
+            alignItems: 'center',
+        },
+        saveButtonDisabled: {
+            opacity: 0.5,
+        },
+        saveButtonText: {
+            color: colors.textInverted,
+            fontSize: 16,
+            fontWeight: '600',
+        },
+    });
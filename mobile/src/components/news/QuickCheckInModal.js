@@ -17,6 +17,7 @@ import { useTheme } from '../../context/ThemeContext';
 import { useToast } from '../../context/ToastContext';
 import { AuthContext } from '../../context/AuthContext';
 import { apiRequest } from '../../services/api';
+import ProgressInput, { buildProgressPayload, defaultProgressUnit } from '../ProgressInput';
 const { getNonAuthInputProps } = require('../../utils/textInputPolicy');
 
 const STATUS_OPTIONS = [
@@ -36,6 +37,9 @@ const QuickCheckInModal = ({ visible, onClose, onSuccess, newsItem }) => {
     const [status, setStatus] = useState(null);
     const [visibility, setVisibility] = useState('public');
     const [note, setNote] = useState('');
+    const [progressValue, setProgressValue] = useState('');
+    const [progressTotal, setProgressTotal] = useState('');
+    const [progressUnit, setProgressUnit] = useState('pages');
     const [loading, setLoading] = useState(false);
 
     // Reset state when modal opens
@@ -44,9 +48,12 @@ const QuickCheckInModal = ({ visible, onClose, onSuccess, newsItem }) => {
             setStatus(null);
             setVisibility('public');
             setNote('');
+            setProgressValue('');
+            setProgressTotal('');
+            setProgressUnit(defaultProgressUnit(newsItem?.category));
             setLoading(false);
         }
-    }, [visible]);
+    }, [visible, newsItem?.category]);
 
     const handleSubmit = async () => {
         if (!status) {
@@ -92,6 +99,9 @@ const QuickCheckInModal = ({ visible, onClose, onSuccess, newsItem }) => {
                     status,
                     visibility,
                     note: note.trim() || null,
+                    progress: status === 'completed'
+                        ? undefined
+                        : buildProgressPayload({ value: progressValue, total: progressTotal, unit: progressUnit }),
                 },
             });
 
@@ -205,6 +215,9 @@ const QuickCheckInModal = ({ visible, onClose, onSuccess, newsItem }) => {
             marginBottom: spacing.sm,
             fontWeight: '600',
         },
+        progressContainer: {
+            marginBottom: spacing.md,
+        },
         statusContainer: {
             flexDirection: 'row',
             marginBottom: spacing.lg,
@@ -457,6 +470,23 @@ const QuickCheckInModal = ({ visible, onClose, onSuccess, newsItem }) => {
                             </TouchableOpacity>
                         </View>
 
+                        {/* Progress (optional), feeds the reading/playing log */}
+                        {status && status !== 'completed' && (
+                            <>
+                                <Text style={styles.sectionLabel}>Progress (optional)</Text>
+                                <View style={styles.progressContainer}>
+                                    <ProgressInput
+                                        value={progressValue}
+                                        total={progressTotal}
+                                        unit={progressUnit}
+                                        onChangeValue={setProgressValue}
+                                        onChangeTotal={setProgressTotal}
+                                        onChangeUnit={setProgressUnit}
+                                    />
+                                </View>
+                            </>
+                        )}
+
                         {/* Note Input */}
                         <Text style={styles.sectionLabel}>Add a note (optional)</Text>
                         <TextInput
@@ -24,6 +24,9 @@ const { getNonAuthInputProps } = require('../../utils/textInputPolicy');
 const SEARCH_TYPE_OPTIONS = [
     { label: 'All', value: '' },
     { label: 'Books', value: 'books' },
+    { label: 'Comics', value: 'comics' },
+    { label: 'Board Games', value: 'boardgames' },
+    { label: 'Cards', value: 'cards' },
     { label: 'Movies', value: 'movies' },
     { label: 'Games', value: 'games' },
     { label: 'TV', value: 'tv' },
@@ -40,6 +43,9 @@ function getCollectableTypeLabel(item, selectedType = '') {
     if (!raw) return 'Item';
 
     if (raw === 'book' || raw === 'books') return 'Book';
+    if (raw === 'comic' || raw === 'comics' || raw === 'manga') return 'Comic';
+    if (raw === 'boardgame' || raw === 'boardgames') return 'Board Game';
+    if (raw === 'card' || raw === 'cards') return 'Card';
     if (raw === 'movie' || raw === 'movies' || raw === 'film' || raw === 'films') return 'Movie';
     if (raw === 'game' || raw === 'games') return 'Game';
     if (raw === 'tv' || raw === 'show' || raw === 'shows' || raw === 'series') return 'TV';
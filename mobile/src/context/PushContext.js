@@ -68,6 +68,19 @@ export function PushProvider({ children, navigationRef }) {
       } else {
         navigationRef.current.navigate('Main', { screen: 'Shelves' })
       }
+    } else if (type === 'vision_quota_warning') {
+      navigationRef.current.navigate('VisionUsage')
+    } else if (type === 'loan_overdue') {
+      navigationRef.current.navigate('Loans', { tab: metadata?.role === 'borrower' ? 'borrowed' : 'lent' })
+    } else if (type === 'goal_challenge') {
+      navigationRef.current.navigate('Goals', { tab: 'challenges' })
+    } else if (type === 'wishlist_alert') {
+      const wishlistId = Number(metadata?.wishlistId)
+      if (Number.isFinite(wishlistId) && wishlistId > 0) {
+        navigationRef.current.navigate('Wishlist', { wishlistId })
+      } else {
+        navigationRef.current.navigate('Wishlists')
+      }
     }
   }, [navigationRef, setBroadcastMessage])
 
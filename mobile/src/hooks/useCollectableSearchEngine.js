@@ -5,6 +5,9 @@ import { normalizeSearchText } from '../utils/searchNormalization';
 export const COLLECTABLE_SEARCH_TYPE_OPTIONS = [
     { label: 'All', value: '' },
     { label: 'Books', value: 'books' },
+    { label: 'Comics', value: 'comics' },
+    { label: 'Board Games', value: 'boardgames' },
+    { label: 'Cards', value: 'cards' },
     { label: 'Movies', value: 'movies' },
     { label: 'Games', value: 'games' },
     { label: 'TV', value: 'tv' },
@@ -33,6 +36,9 @@ function canonicalizeCollectableKind(value) {
     const normalized = normalizeCollectableField(value);
     if (!normalized) return '';
     if (normalized === 'book' || normalized === 'books') return 'book';
+    if (normalized === 'comic' || normalized === 'comics' || normalized === 'manga') return 'comic';
+    if (normalized === 'boardgame' || normalized === 'boardgames') return 'boardgame';
+    if (normalized === 'card' || normalized === 'cards') return 'card';
     if (normalized === 'movie' || normalized === 'movies' || normalized === 'film' || normalized === 'films') return 'movie';
     if (normalized === 'game' || normalized === 'games') return 'game';
     if (normalized === 'tv' || normalized === 'show' || normalized === 'shows' || normalized === 'series') return 'tv';
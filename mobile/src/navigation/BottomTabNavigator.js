@@ -29,6 +29,8 @@ import ShelfCreateScreen from '../screens/ShelfCreateScreen';
 import ShelfSelectScreen from '../screens/ShelfSelectScreen';
 import ShelfDetailScreen from '../screens/ShelfDetailScreen';
 import ShelfEditScreen from '../screens/ShelfEditScreen';
+import ShelfLayoutScreen from '../screens/ShelfLayoutScreen';
+import ShelfRescanReviewScreen from '../screens/ShelfRescanReviewScreen';
 import ItemSearchScreen from '../screens/ItemSearchScreen';
 import CollectableDetailScreen from '../screens/CollectableDetailScreen';
 import ItemDetailsScreen from '../screens/ItemDetailsScreen';
@@ -98,6 +100,8 @@ function ShelvesTabStack() {
             <ShelvesStack.Screen name="ShelfSelect" component={ShelfSelectScreen} />
             <ShelvesStack.Screen name="ShelfDetail" component={ShelfDetailScreen} />
             <ShelvesStack.Screen name="ShelfEdit" component={ShelfEditScreen} />
+            <ShelvesStack.Screen name="ShelfLayout" component={ShelfLayoutScreen} />
+            <ShelvesStack.Screen name="ShelfRescanReview" component={ShelfRescanReviewScreen} />
             <ShelvesStack.Screen name="ItemSearch" component={ItemSearchScreen} />
             <ShelvesStack.Screen name="CollectableDetail" component={CollectableDetailScreen} />
             <ShelvesStack.Screen name="ItemDetails" component={ItemDetailsScreen} />
@@ -275,22 +275,34 @@ export default function AccountScreen({ navigation }) {
           </View>
 
           {premiumEnabled && visionQuota && (
-            <View style={styles.quotaSection}>
+            <TouchableOpacity
+              style={styles.quotaSection}
+              onPress={() => navigation.navigate('VisionUsage')}
+              activeOpacity={0.8}
+            >
               <View style={styles.quotaHeader}>
                 <Ionicons name="scan" size={18} color={colors.text} />
                 <Text style={styles.quotaLabel}>Vision Scans</Text>
+                <Ionicons name="chevron-forward" size={16} color={colors.textMuted} style={styles.quotaChevron} />
               </View>
               <View style={styles.quotaContent}>
                 <Text style={styles.quotaValue}>
-                  {visionQuota.percentUsed != null
-                    ? `${Math.max(0, 100 - visionQuota.percentUsed)}% remaining`
-                    : `${visionQuota.scansRemaining} / ${visionQuota.monthlyLimit} remaining`}
+                  {visionQuota.unlimited
+                    ? 'Unlimited'
+                    : visionQuota.percentUsed != null
+                      ? `${Math.max(0, 100 - visionQuota.percentUsed)}% remaining`
+                      : `${visionQuota.scansRemaining} / ${visionQuota.monthlyLimit} remaining`}
                 </Text>
+                {visionQuota.warningLevel ? (
+                  <Text style={[styles.quotaHint, { color: visionQuota.warningLevel === 'exceeded' ? colors.error : colors.warning }]}>
+                    {visionQuota.warningLevel === 'exceeded' ? 'Allowance used up' : 'Running low'}
+                  </Text>
+                ) : null}
                 <Text style={styles.quotaHint}>
                   Resets in {visionQuota.daysRemaining} day{visionQuota.daysRemaining !== 1 ? 's' : ''}
                 </Text>
               </View>
-            </View>
+            </TouchableOpacity>
           )}
 
           <TouchableOpacity style={styles.settingsRow} onPress={toggleTheme}>
@@ -351,6 +363,39 @@ export default function AccountScreen({ navigation }) {
             <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.settingsRow}
+            onPress={() => navigation.navigate('Loans')}
+          >
+            <View style={styles.settingsLeft}>
+              <Ionicons name="swap-horizontal" size={20} color={colors.text} />
+              <Text style={styles.settingsLabel}>Lent & Borrowed</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.settingsRow}
+            onPress={() => navigation.navigate('ReadingLog')}
+          >
+            <View style={styles.settingsLeft}>
+              <Ionicons name="book-outline" size={20} color={colors.text} />
+              <Text style={styles.settingsLabel}>Reading & Play Log</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.settingsRow}
+            onPress={() => navigation.navigate('Goals')}
+          >
+            <View style={styles.settingsLeft}>
+              <Ionicons name="trophy-outline" size={20} color={colors.text} />
+              <Text style={styles.settingsLabel}>Goals & Challenges</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.settingsRow}
             onPress={() => navigation.navigate('FriendsList')}
@@ -609,6 +654,9 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) => Style
     fontWeight: '600',
     color: colors.text,
   },
+  quotaChevron: {
+    marginLeft: 'auto',
+  },
   quotaContent: {
     marginLeft: 26,
   },
@@ -27,6 +27,7 @@ import { useNavigation, useRoute } from '@react-navigation/native';
 import { AuthContext } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { apiRequest } from '../services/api';
+import ProgressInput, { buildProgressPayload, defaultProgressUnit } from '../components/ProgressInput';
 import { emitCheckInPosted } from '../services/checkInEvents';
 import { formatCollectableSearchMeta } from '../utils/collectableDisplay';
 import { useSearch } from '../hooks/useSearch';
@@ -64,6 +65,9 @@ export default function CheckInScreen() {
     const [selectedItem, setSelectedItem] = useState(null);
     const [visibility, setVisibility] = useState('public');
     const [note, setNote] = useState('');
+    const [progressValue, setProgressValue] = useState('');
+    const [progressTotal, setProgressTotal] = useState('');
+    const [progressUnit, setProgressUnit] = useState('pages');
     const [submitting, setSubmitting] = useState(false);
     const [selectedType, setSelectedType] = useState('');
     const [showTypePicker, setShowTypePicker] = useState(false);
@@ -130,6 +134,12 @@ export default function CheckInScreen() {
         handleSearchChange(searchQuery);
     }, [selectedType, handleSearchChange]);
 
+    useEffect(() => {
+        setProgressValue('');
+        setProgressTotal('');
+        setProgressUnit(defaultProgressUnit(selectedItem?.kind || selectedItem?.type));
+    }, [selectedItem]);
+
     useEffect(() => {
         if (route.params?.prefilledItem) {
             setSelectedItem(route.params.prefilledItem);
@@ -211,6 +221,9 @@ export default function CheckInScreen() {
                     status: selectedStatus.key,
                     visibility,
                     note: note.trim() || undefined,
+                    progress: selectedStatus.key === 'completed'
+                        ? undefined
+                        : buildProgressPayload({ value: progressValue, total: progressTotal, unit: progressUnit }),
                 },
             });
             Alert.alert('Posted!', 'Your check-in has been shared.', [
@@ -230,7 +243,7 @@ export default function CheckInScreen() {
         } finally {
             setSubmitting(false);
         }
-    }, [apiBase, token, selectedStatus, selectedItem, selectedType, visibility, note, navigation, route?.params?.originTab]);
+    }, [apiBase, token, selectedStatus, selectedItem, selectedType, visibility, note, progressValue, progressTotal, progressUnit, navigation, route?.params?.originTab]);
 
     // Get cover URL for display
     const getCoverUrl = (item) => {
@@ -452,6 +465,21 @@ export default function CheckInScreen() {
                                         </View>
                                     </View>
 
+                                    {/* Optional progress, feeds the reading/playing log */}
+                                    {selectedStatus?.key !== 'completed' && (
+                                        <View style={styles.noteSection}>
+                                            <Text style={styles.optionLabel}>Progress (optional)</Text>
+                                            <ProgressInput
+                                                value={progressValue}
+                                                total={progressTotal}
+                                                unit={progressUnit}
+                                                onChangeValue={setProgressValue}
+                                                onChangeTotal={setProgressTotal}
+                                                onChangeUnit={setProgressUnit}
+                                            />
+                                        </View>
+                                    )}
+
                                     {/* Optional note */}
                                     <View style={styles.noteSection}>
                                         <Text style={styles.optionLabel}>Add a note (optional)</Text>
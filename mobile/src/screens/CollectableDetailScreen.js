@@ -31,6 +31,7 @@ import { prepareImageUploadAsset } from '../services/imageUpload';
 import { shareEntityLink } from '../services/shareLinks';
 import { resolveCollectableCoverUrl, resolveManualCoverUrl, buildMediaUri } from '../utils/coverUrl';
 import AddToShelfModal from '../components/AddToShelfModal';
+import LendItemModal from '../components/LendItemModal';
 import useBottomFooterLayout from '../navigation/useBottomFooterLayout';
 import {
     resolveCollectableMaxPlayers,
@@ -98,6 +99,16 @@ function derivePlatformOptionsFromCollectable(collectable, fallbackSystemName =
     return out;
 }
 
+// "near_mint" -> "Near Mint"
+function formatCardCondition(value) {
+    const raw = String(value || '').trim();
+    if (!raw) return null;
+    return raw
+        .split('_')
+        .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+        .join(' ');
+}
+
 function formatDisplayDate(value) {
     if (!value) return null;
     const parsed = value instanceof Date ? value : new Date(value);
@@ -163,6 +174,9 @@ export default function CollectableDetailScreen({ route, navigation }) {
     const [wishlists, setWishlists] = useState([]);
     const [showAddToShelfModal, setShowAddToShelfModal] = useState(false);
     const [addedToShelfId, setAddedToShelfId] = useState(null);
+    const [activeLoan, setActiveLoan] = useState(item?.loan || null);
+    const [showLendModal, setShowLendModal] = useState(false);
+    const [loanBusy, setLoanBusy] = useState(false);
     const [ownershipResolutionStatus, setOwnershipResolutionStatus] = useState(() => {
         if (ownerId != null) return 'pending';
         if (initialRouteHasShelfItemContext) {
@@ -991,6 +1005,36 @@ export default function CollectableDetailScreen({ route, navigation }) {
         }
     };
 
+    useEffect(() => {
+        if (activeItem?.loan !== undefined) setActiveLoan(activeItem.loan || null);
+    }, [activeItem?.loan]);
+
+    const handleMarkReturned = useCallback(() => {
+        if (!activeLoan?.id || loanBusy) return;
+        Alert.alert('Mark as returned?', `${activeLoan.borrowerName} gave this item back.`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Returned',
+                onPress: async () => {
+                    setLoanBusy(true);
+                    try {
+                        await apiRequest({
+                            apiBase,
+                            path: `/api/loans/${activeLoan.id}/return`,
+                            method: 'POST',
+                            token,
+                        });
+                        setActiveLoan(null);
+                    } catch (err) {
+                        Alert.alert('Error', err?.message || 'Failed to mark as returned');
+                    } finally {
+                        setLoanBusy(false);
+                    }
+                },
+            },
+        ]);
+    }, [activeLoan, apiBase, loanBusy, token]);
+
     const handleSaveNotes = useCallback(async () => {
         if (!canEditNotes || !notesShelfId || !item?.id) return;
 
@@ -1803,6 +1847,12 @@ export default function CollectableDetailScreen({ route, navigation }) {
             formats: 'Formats',
             format: 'Format',
             year: 'Year',
+            series: 'Series',
+            issueNumber: 'Issue',
+            volumeNumber: 'Volume',
+            setCode: 'Set Code',
+            setName: 'Set',
+            collectorNumber: 'Collector #',
             tags: 'Tags',
             genre: 'Genre',
             region: 'Region',
@@ -1829,6 +1879,7 @@ export default function CollectableDetailScreen({ route, navigation }) {
 
         const valueFormatters = {
             runtime: (value) => `${value} min`,
+            issueNumber: (value) => `#${value}`,
             networks: (value) => Array.isArray(value) ? value.join(', ') : value,
         };
 
@@ -2065,6 +2116,19 @@ export default function CollectableDetailScreen({ route, navigation }) {
             addEntry('supportsSplitScreen', 'Supports Split Screen', multiplayerData?.supportsSplitScreen ?? multiplayerData?.splitscreen ?? null);
         }
 
+        if (!isGameCollectableContext) {
+            // Board games: collapse min/max columns into "2–4" style ranges.
+            const formatRange = (min, max) => {
+                if (min && max && String(min) !== String(max)) return `${min}–${max}`;
+                return min || max || null;
+            };
+            const players = formatRange(resolveBaseValue('minPlayers'), resolveBaseValue('maxPlayers'));
+            addEntry('players', 'Players', players);
+            const playTime = formatRange(resolveBaseValue('minPlayTime'), resolveBaseValue('maxPlayTime'));
+            addEntry('playTime', 'Play Time', playTime ? `${playTime} min` : null);
+            ['minPlayers', 'maxPlayers', 'minPlayTime', 'maxPlayTime'].forEach((key) => usedKeys.add(key));
+        }
+
         const nestedGroups = [
             { key: 'physical', source: resolveBaseValue('physical') },
             { key: 'extras', source: resolveBaseValue('extras') },
@@ -2118,13 +2182,29 @@ export default function CollectableDetailScreen({ route, navigation }) {
             pushEntry('Format', sourceDetails?.format);
         }
         pushEntry('Series', sourceDetails?.series);
-        pushEntry('Edition', sourceDetails?.edition);
+        const ownedEdition = sourceDetails?.ownedEdition || null;
+        if (ownedEdition?.name) {
+            const editionMeta = [ownedEdition.format, ownedEdition.platform, ownedEdition.region, ownedEdition.releaseYear]
+                .filter((part) => part != null && String(part).trim() !== '')
+                .join(', ');
+            pushEntry('Owned Edition', editionMeta ? `${ownedEdition.name} (${editionMeta})` : ownedEdition.name);
+        }
+        if (!ownedEdition?.name || sourceDetails?.edition !== ownedEdition.name) {
+            pushEntry('Edition', sourceDetails?.edition);
+        }
         pushEntry('Special Markings', sourceDetails?.specialMarkings);
         pushEntry('Age Statement', sourceDetails?.ageStatement);
         pushEntry('Label Color', sourceDetails?.labelColor);
         pushEntry('Regional', sourceDetails?.regional);
         pushEntry('Barcode', sourceDetails?.barcode);
         pushEntry('Item-Specific Text', sourceDetails?.itemSpecificText);
+        pushEntry('Condition', formatCardCondition(sourceDetails?.cardCondition));
+        if (sourceDetails?.cardGrade != null) {
+            pushEntry('Grade', [
+                sourceDetails?.cardGradingCompany ? String(sourceDetails.cardGradingCompany).toUpperCase() : null,
+                sourceDetails.cardGrade,
+            ].filter(Boolean).join(' '));
+        }
         pushEntry('Your Market Value', sourceDetails?.userMarketValue);
         return entries;
     };
@@ -2760,6 +2840,43 @@ export default function CollectableDetailScreen({ route, navigation }) {
                     </View>
                 )}
 
+                {/* Lending */}
+                {isOwnedShelfItem && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Lending</Text>
+                        {activeLoan ? (
+                            <View style={styles.loanCard}>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={styles.loanTitle}>Lent to {activeLoan.borrowerName}</Text>
+                                    <Text style={[styles.loanMeta, activeLoan.isOverdue && styles.loanOverdue]}>
+                                        {activeLoan.dueAt
+                                            ? `${activeLoan.isOverdue ? 'Overdue since' : 'Due'} ${activeLoan.dueAt}`
+                                            : `Since ${activeLoan.lentAt}`}
+                                    </Text>
+                                </View>
+                                <TouchableOpacity
+                                    style={[styles.notesSaveButton, loanBusy && styles.notesSaveButtonDisabled]}
+                                    onPress={handleMarkReturned}
+                                    disabled={loanBusy}
+                                    activeOpacity={0.85}
+                                >
+                                    <Text style={styles.notesSaveButtonText}>Returned</Text>
+                                </TouchableOpacity>
+                            </View>
+                        ) : (
+                            <TouchableOpacity
+                                style={styles.loanCard}
+                                onPress={() => setShowLendModal(true)}
+                                activeOpacity={0.85}
+                            >
+                                <Ionicons name="swap-horizontal" size={18} color={colors.primary} />
+                                <Text style={[styles.loanTitle, { flex: 1, marginLeft: spacing.sm }]}>Lend this item</Text>
+                                <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+
                 {/* Metadata */}
                 {metadata.length > 0 && (
                     <View style={styles.section}>
@@ -3236,6 +3353,21 @@ export default function CollectableDetailScreen({ route, navigation }) {
                 collectableId={collectable?.id || null}
                 manualId={!collectable?.id ? (manual?.id || null) : null}
             />
+
+            <LendItemModal
+                visible={showLendModal}
+                onClose={() => setShowLendModal(false)}
+                onLent={(loan) => setActiveLoan(loan ? {
+                    id: loan.id,
+                    borrowerUserId: loan.borrower?.userId || null,
+                    borrowerName: loan.borrower?.name,
+                    lentAt: loan.lentAt,
+                    dueAt: loan.dueAt,
+                    isOverdue: loan.isOverdue,
+                } : null)}
+                itemId={item?.id}
+                itemTitle={source?.title || source?.name}
+            />
         </SafeAreaView >
     );
 }
@@ -3820,6 +3952,27 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) => Style
         fontWeight: '600',
         color: colors.textInverted,
     },
+    loanCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: colors.surface,
+        borderRadius: radius.lg,
+        padding: spacing.md,
+        ...shadows.sm,
+    },
+    loanTitle: {
+        fontSize: 15,
+        fontWeight: '500',
+        color: colors.text,
+    },
+    loanMeta: {
+        fontSize: 12,
+        color: colors.textMuted,
+        marginTop: 2,
+    },
+    loanOverdue: {
+        color: colors.error,
+    },
     ownedPlatformActionsRow: {
         marginTop: spacing.sm,
         alignItems: 'flex-end',
@@ -25,6 +25,7 @@ import { resolveCollectableCoverUrl, resolveManualCoverUrl } from '../utils/cove
 import { isUserBlockedApiError } from '../utils/apiErrors';
 import { useMentionInput } from '../hooks/useMentionInput';
 import { MentionSuggestions } from '../components/ui';
+import { describeGoal } from '../components/GoalFormModal';
 import {
   buildAddedItemDetailParams,
   buildOwnerPhotoThumbnailUri,
@@ -205,6 +206,8 @@ export default function FeedDetailScreen({ route, navigation }) {
   const isCheckIn = eventType === 'checkin.activity';
   const isCheckinRated = eventType === 'checkin.rated';
   const isReviewed = eventType === 'reviewed';
+  const isGoalMilestone = eventType === 'goal.milestone';
+  const goal = isGoalMilestone ? resolvedEntry.goal : null;
   const isAddedEvent = isAddedEventType(eventType);
   const addedItemCount = isAddedEvent ? resolveAddedEventCount(resolvedEntry) : 0;
   const addedHeaderText = isAddedEvent
@@ -795,6 +798,24 @@ export default function FeedDetailScreen({ route, navigation }) {
                 </Text>
               ) : null}
             </View>
+          ) : isGoalMilestone ? (
+            <View style={styles.checkinCard}>
+              <View style={styles.checkinHeader}>
+                <Text style={styles.checkinLabel}>{goal?.year} goal</Text>
+                <View style={styles.checkinStatusBadge}>
+                  <Ionicons name="trophy-outline" size={14} color={colors.primary} />
+                  <Text style={styles.checkinStatusText}>
+                    {goal?.milestone >= 100 ? 'Completed' : `${goal?.milestone || 0}%`}
+                  </Text>
+                </View>
+              </View>
+              {goal ? (
+                <Text style={styles.checkinTitle}>{describeGoal(goal)}</Text>
+              ) : null}
+              {goal ? (
+                <Text style={styles.checkinCreator}>{goal.count} of {goal.target} so far</Text>
+              ) : null}
+            </View>
           ) : (
             <>
               {/* Shelf Info - controlled by displayHints */}
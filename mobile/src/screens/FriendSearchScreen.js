@@ -59,6 +59,9 @@ function getCollectableTypeLabel(item, fallbackType = '') {
     const raw = String(item?.kind || item?.type || fallbackType || '').trim().toLowerCase();
     if (!raw) return 'Item';
     if (raw === 'book' || raw === 'books') return 'Book';
+    if (raw === 'comic' || raw === 'comics' || raw === 'manga') return 'Comic';
+    if (raw === 'boardgame' || raw === 'boardgames') return 'Board Game';
+    if (raw === 'card' || raw === 'cards') return 'Card';
     if (raw === 'movie' || raw === 'movies' || raw === 'film' || raw === 'films') return 'Movie';
     if (raw === 'game' || raw === 'games') return 'Game';
     if (raw === 'tv' || raw === 'show' || raw === 'shows' || raw === 'series') return 'TV';
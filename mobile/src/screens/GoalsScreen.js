@@ -0,0 +1,488 @@
+import React, { useCallback, useContext, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    RefreshControl,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+import GoalFormModal, { describeGoal } from '../components/GoalFormModal';
+
+const TABS = [
+    { key: 'goals', label: 'My goals', empty: 'Set a goal for the year to start tracking it.' },
+    { key: 'challenges', label: 'Challenges', empty: 'Challenge your friends to a goal.' },
+];
+
+export default function GoalsScreen({ navigation, route }) {
+    const { token, apiBase } = useContext(AuthContext);
+    const { colors, spacing, shadows, radius, isDark } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, shadows, radius }), [colors, spacing, shadows, radius]);
+
+    const currentYear = new Date().getFullYear();
+    const [tab, setTab] = useState(route?.params?.tab === 'challenges' ? 'challenges' : 'goals');
+    const [year, setYear] = useState(currentYear);
+    const [goals, setGoals] = useState([]);
+    const [challenges, setChallenges] = useState([]);
+    const [leaderboards, setLeaderboards] = useState({});
+    const [expandedChallengeId, setExpandedChallengeId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [formVisible, setFormVisible] = useState(false);
+
+    const activeTab = TABS.find((entry) => entry.key === tab) || TABS[0];
+
+    const loadGoals = useCallback(async () => {
+        if (tab === 'goals') {
+            const data = await apiRequest({ apiBase, path: `/api/goals?year=${year}`, token });
+            setGoals(data.goals || []);
+        } else {
+            const data = await apiRequest({ apiBase, path: '/api/goals/challenges', token });
+            setChallenges(data.challenges || []);
+            setLeaderboards({});
+            setExpandedChallengeId(null);
+        }
+    }, [apiBase, token, tab, year]);
+
+    useFocusEffect(
+        useCallback(() => {
+            setLoading(true);
+            loadGoals()
+                .catch((err) => console.warn('Failed to load goals:', err?.message || err))
+                .finally(() => setLoading(false));
+        }, [loadGoals])
+    );
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        try {
+            await loadGoals();
+        } catch (err) {
+            console.warn('Failed to refresh goals:', err?.message || err);
+        } finally {
+            setRefreshing(false);
+        }
+    };
+
+    const handleGoalActions = (goal) => {
+        const nextVisibility = goal.visibility === 'friends' ? 'public' : 'friends';
+        Alert.alert(describeGoal(goal), null, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: nextVisibility === 'friends' ? 'Show to friends only' : 'Show to everyone',
+                onPress: async () => {
+                    setBusyId(`goal-${goal.id}`);
+                    try {
+                        const data = await apiRequest({
+                            apiBase,
+                            path: `/api/goals/${goal.id}`,
+                            method: 'PUT',
+                            token,
+                            body: { visibility: nextVisibility },
+                        });
+                        setGoals((prev) => prev.map((entry) => (entry.id === goal.id ? data.goal : entry)));
+                    } catch (err) {
+                        Alert.alert('Error', err?.message || 'Failed to update goal');
+                    } finally {
+                        setBusyId(null);
+                    }
+                },
+            },
+            {
+                text: 'Delete goal',
+                style: 'destructive',
+                onPress: async () => {
+                    setBusyId(`goal-${goal.id}`);
+                    try {
+                        await apiRequest({ apiBase, path: `/api/goals/${goal.id}`, method: 'DELETE', token });
+                        setGoals((prev) => prev.filter((entry) => entry.id !== goal.id));
+                    } catch (err) {
+                        Alert.alert('Error', err?.message || 'Failed to delete goal');
+                    } finally {
+                        setBusyId(null);
+                    }
+                },
+            },
+        ]);
+    };
+
+    const toggleChallenge = async (challenge) => {
+        if (expandedChallengeId === challenge.id) {
+            setExpandedChallengeId(null);
+            return;
+        }
+        setExpandedChallengeId(challenge.id);
+        if (leaderboards[challenge.id]) return;
+        try {
+            const data = await apiRequest({ apiBase, path: `/api/goals/challenges/${challenge.id}`, token });
+            setLeaderboards((prev) => ({ ...prev, [challenge.id]: data }));
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to load challenge');
+        }
+    };
+
+    const respondToChallenge = async (challenge, accept) => {
+        setBusyId(`challenge-${challenge.id}`);
+        try {
+            await apiRequest({
+                apiBase,
+                path: `/api/goals/challenges/${challenge.id}/respond`,
+                method: 'POST',
+                token,
+                body: { accept },
+            });
+            await loadGoals();
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to respond');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const renderProgressBar = (progress) => (
+        <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${progress?.percent || 0}%` }]} />
+        </View>
+    );
+
+    const renderGoal = ({ item: goal }) => (
+        <TouchableOpacity
+            style={[styles.card, busyId === `goal-${goal.id}` && { opacity: 0.5 }]}
+            onPress={() => handleGoalActions(goal)}
+            disabled={busyId === `goal-${goal.id}`}
+        >
+            <View style={styles.cardHeader}>
+                <Text style={styles.cardTitle}>{describeGoal(goal)}</Text>
+                {goal.progress?.completed && <Ionicons name="trophy" size={18} color={colors.primary} />}
+            </View>
+            {renderProgressBar(goal.progress)}
+            <Text style={styles.mutedText}>
+                {goal.progress?.count || 0} of {goal.target} · {goal.progress?.percent || 0}%
+                {goal.visibility === 'friends' ? ' · Friends only' : ''}
+            </Text>
+        </TouchableOpacity>
+    );
+
+    const renderChallenge = ({ item: challenge }) => {
+        const details = leaderboards[challenge.id];
+        const isExpanded = expandedChallengeId === challenge.id;
+        const isBusy = busyId === `challenge-${challenge.id}`;
+        return (
+            <View style={[styles.card, isBusy && { opacity: 0.5 }]}>
+                <TouchableOpacity onPress={() => toggleChallenge(challenge)} disabled={isBusy}>
+                    <View style={styles.cardHeader}>
+                        <Text style={styles.cardTitle} numberOfLines={1}>{challenge.title}</Text>
+                        <Ionicons name={isExpanded ? 'chevron-up' : 'chevron-down'} size={18} color={colors.textMuted} />
+                    </View>
+                    <Text style={styles.mutedText}>
+                        {describeGoal(challenge)} in {challenge.year} · {challenge.joinedCount} joined
+                    </Text>
+                    <Text style={styles.mutedText}>
+                        Started by {challenge.creator?.firstName || challenge.creator?.username || 'a friend'}
+                    </Text>
+                </TouchableOpacity>
+
+                {challenge.myStatus === 'invited' && (
+                    <View style={styles.inviteRow}>
+                        <TouchableOpacity
+                            style={[styles.inviteButton, styles.inviteButtonPrimary]}
+                            onPress={() => respondToChallenge(challenge, true)}
+                            disabled={isBusy}
+                        >
+                            <Text style={styles.inviteButtonPrimaryText}>Join</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={styles.inviteButton}
+                            onPress={() => respondToChallenge(challenge, false)}
+                            disabled={isBusy}
+                        >
+                            <Text style={styles.inviteButtonText}>Decline</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+
+                {isExpanded && (
+                    details ? (
+                        <View style={styles.leaderboard}>
+                            {details.leaderboard.map((participant, index) => (
+                                <TouchableOpacity
+                                    key={participant.userId}
+                                    style={styles.leaderRow}
+                                    onPress={() => participant.username && navigation.navigate('Profile', { username: participant.username })}
+                                >
+                                    <Text style={styles.leaderRank}>{index + 1}</Text>
+                                    <View style={styles.leaderInfo}>
+                                        <Text style={styles.leaderName} numberOfLines={1}>
+                                            {participant.firstName || participant.username}
+                                        </Text>
+                                        {renderProgressBar(participant.progress)}
+                                    </View>
+                                    <Text style={styles.leaderCount}>{participant.progress.count}/{challenge.target}</Text>
+                                </TouchableOpacity>
+                            ))}
+                            {details.invited.length > 0 && (
+                                <Text style={styles.mutedText}>
+                                    Waiting on {details.invited.map((participant) => participant.firstName || participant.username).join(', ')}
+                                </Text>
+                            )}
+                        </View>
+                    ) : (
+                        <ActivityIndicator size="small" color={colors.primary} style={{ marginTop: spacing.sm }} />
+                    )
+                )}
+            </View>
+        );
+    };
+
+    const renderHeader = () => (tab === 'goals' ? (
+        <View style={styles.yearRow}>
+            <TouchableOpacity onPress={() => setYear((value) => value - 1)} style={styles.yearButton}>
+                <Ionicons name="chevron-back" size={18} color={colors.text} />
+            </TouchableOpacity>
+            <Text style={styles.yearText}>{year}</Text>
+            <TouchableOpacity
+                onPress={() => setYear((value) => value + 1)}
+                style={[styles.yearButton, year >= currentYear && { opacity: 0.3 }]}
+                disabled={year >= currentYear}
+            >
+                <Ionicons name="chevron-forward" size={18} color={colors.text} />
+            </TouchableOpacity>
+        </View>
+    ) : null);
+
+    return (
+        <SafeAreaView style={styles.screen} edges={['top']}>
+            <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} backgroundColor={colors.background} />
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Ionicons name="arrow-back" size={22} color={colors.text} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Goals & Challenges</Text>
+                <TouchableOpacity onPress={() => setFormVisible(true)} style={styles.backButton}>
+                    <Ionicons name="add" size={24} color={colors.primary} />
+                </TouchableOpacity>
+            </View>
+
+            <View style={styles.tabs}>
+                {TABS.map((entry) => (
+                    <TouchableOpacity
+                        key={entry.key}
+                        style={[styles.tab, tab === entry.key && styles.tabActive]}
+                        onPress={() => setTab(entry.key)}
+                    >
+                        <Text style={[styles.tabText, tab === entry.key && styles.tabTextActive]}>{entry.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: spacing.xl }} />
+            ) : (
+                <FlatList
+                    data={tab === 'goals' ? goals : challenges}
+                    keyExtractor={(item) => String(item.id)}
+                    renderItem={tab === 'goals' ? renderGoal : renderChallenge}
+                    ListHeaderComponent={renderHeader}
+                    ListEmptyComponent={<Text style={styles.emptyText}>{activeTab.empty}</Text>}
+                    contentContainerStyle={styles.listContent}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={onRefresh}
+                            tintColor={colors.primary}
+                            colors={[colors.primary]}
+                        />
+                    }
+                />
+            )}
+
+            <GoalFormModal
+                visible={formVisible}
+                mode={tab === 'challenges' ? 'challenge' : 'goal'}
+                year={tab === 'goals' ? year : currentYear}
+                onClose={() => setFormVisible(false)}
+                onSaved={() => {
+                    loadGoals().catch((err) => console.warn('Failed to reload goals:', err?.message || err));
+                }}
+            />
+        </SafeAreaView>
+    );
+}
+
+const createStyles = ({ colors, spacing, shadows, radius }) => StyleSheet.create({
+    screen: {
+        flex: 1,
+        backgroundColor: colors.background,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.sm,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    headerTitle: {
+        flex: 1,
+        textAlign: 'center',
+        fontSize: 18,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    tabs: {
+        flexDirection: 'row',
+        marginHorizontal: spacing.md,
+        backgroundColor: colors.surface,
+        borderRadius: radius.lg,
+        padding: 4,
+        ...shadows.sm,
+    },
+    tab: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+        borderRadius: radius.md,
+    },
+    tabActive: {
+        backgroundColor: colors.primary,
+    },
+    tabText: {
+        fontSize: 13,
+        fontWeight: '500',
+        color: colors.textMuted,
+    },
+    tabTextActive: {
+        color: colors.textInverted,
+    },
+    listContent: {
+        padding: spacing.md,
+        paddingBottom: 100,
+    },
+    yearRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: spacing.sm,
+        marginBottom: spacing.sm,
+    },
+    yearButton: {
+        padding: 4,
+    },
+    yearText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    card: {
+        backgroundColor: colors.surface,
+        borderRadius: radius.lg,
+        padding: spacing.md,
+        marginBottom: spacing.sm,
+        gap: 6,
+        ...shadows.sm,
+    },
+    cardHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: spacing.sm,
+    },
+    cardTitle: {
+        flex: 1,
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    progressTrack: {
+        height: 6,
+        borderRadius: 3,
+        backgroundColor: colors.surfaceElevated,
+        overflow: 'hidden',
+    },
+    progressFill: {
+        height: 6,
+        borderRadius: 3,
+        backgroundColor: colors.primary,
+    },
+    mutedText: {
+        fontSize: 12,
+        color: colors.textMuted,
+    },
+    inviteRow: {
+        flexDirection: 'row',
+        gap: spacing.sm,
+        marginTop: spacing.xs,
+    },
+    inviteButton: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+        borderRadius: radius.md,
+        borderWidth: 1,
+        borderColor: colors.border,
+    },
+    inviteButtonPrimary: {
+        backgroundColor: colors.primary,
+        borderColor: colors.primary,
+    },
+    inviteButtonText: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: colors.text,
+    },
+    inviteButtonPrimaryText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: colors.textInverted,
+    },
+    leaderboard: {
+        marginTop: spacing.sm,
+        gap: spacing.sm,
+    },
+    leaderRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: spacing.sm,
+    },
+    leaderRank: {
+        width: 20,
+        fontSize: 14,
+        fontWeight: '700',
+        color: colors.textMuted,
+        textAlign: 'center',
+    },
+    leaderInfo: {
+        flex: 1,
+        gap: 4,
+    },
+    leaderName: {
+        fontSize: 14,
+        fontWeight: '500',
+        color: colors.text,
+    },
+    leaderCount: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.primary,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: colors.textMuted,
+        textAlign: 'center',
+        marginTop: spacing.lg,
+    },
+});
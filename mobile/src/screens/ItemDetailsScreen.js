@@ -1,4 +1,4 @@
-import React, { useCallback, useContext, useMemo, useState } from 'react';
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
 import { CommonActions } from '@react-navigation/native';
 import {
     ActivityIndicator,
@@ -24,6 +24,12 @@ function isGameCollectableKind(value) {
     return normalized === 'game' || normalized === 'games';
 }
 
+function describeEdition(entry) {
+    const parts = [entry?.format, entry?.platform, entry?.region, entry?.releaseYear]
+        .filter((part) => part != null && String(part).trim() !== '');
+    return parts.join(' · ');
+}
+
 export default function ItemDetailsScreen({ route, navigation }) {
     const { item, shelfId, detailRouteKey, detailNavigatorKey } = route.params || {};
     const { token, apiBase } = useContext(AuthContext);
@@ -50,8 +56,46 @@ export default function ItemDetailsScreen({ route, navigation }) {
     const [barcode, setBarcode] = useState(userDetails?.barcode || '');
     const [itemSpecificText, setItemSpecificText] = useState(userDetails?.itemSpecificText || '');
     const [userMarketValue, setUserMarketValue] = useState(userDetails?.userMarketValue || '');
+    const initialEditionId = userDetails?.editionId ?? null;
+    const [editionId, setEditionId] = useState(initialEditionId);
+    const [editions, setEditions] = useState([]);
+    const [editionsLoading, setEditionsLoading] = useState(false);
     const [saving, setSaving] = useState(false);
 
+    const loadEditions = useCallback(async ({ refresh = false } = {}) => {
+        if (!collectableId) return;
+        try {
+            setEditionsLoading(true);
+            const data = await apiRequest({
+                apiBase,
+                path: `/api/collectables/${collectableId}/editions${refresh ? '/refresh' : ''}`,
+                method: refresh ? 'POST' : 'GET',
+                token,
+            });
+            setEditions(Array.isArray(data?.editions) ? data.editions : []);
+        } catch (err) {
+            if (refresh) {
+                Alert.alert('Error', err?.message || 'Failed to load editions');
+            }
+        } finally {
+            setEditionsLoading(false);
+        }
+    }, [apiBase, collectableId, token]);
+
+    useEffect(() => {
+        loadEditions();
+    }, [loadEditions]);
+
+    const handleSelectEdition = useCallback((entry) => {
+        const previous = editions.find((candidate) => candidate.id === editionId);
+        const nextId = entry?.id ?? null;
+        setEditionId(nextId);
+        // Only overwrite the free-text label if it was empty or came from the previous pick.
+        if (entry && (!edition.trim() || edition === previous?.name)) {
+            setEdition(entry.name);
+        }
+    }, [edition, editionId, editions]);
+
     const contentPaddingBottom = contentBottomPadding(40);
 
     const saveForItemId = useCallback(async (targetItemId) => (
@@ -71,6 +115,7 @@ export default function ItemDetailsScreen({ route, navigation }) {
                 barcode,
                 itemSpecificText,
                 userMarketValue,
+                ...(editionId !== initialEditionId ? { editionId } : {}),
             },
         })
     ), [
@@ -78,7 +123,9 @@ export default function ItemDetailsScreen({ route, navigation }) {
         apiBase,
         barcode,
         edition,
+        editionId,
         format,
+        initialEditionId,
         isGameCollectable,
         itemSpecificText,
         labelColor,
@@ -189,6 +236,52 @@ export default function ItemDetailsScreen({ route, navigation }) {
                         placeholder: 'e.g., Hardcover, Steelbook, Blu-ray',
                     })}
                     {renderInput('Series', series, setSeries, { placeholder: 'e.g., Criterion Collection' })}
+                    {collectableId ? (
+                        <View style={styles.inputGroup}>
+                            <View style={styles.labelRow}>
+                                <Text style={styles.label}>Catalog Edition</Text>
+                                {editionsLoading ? (
+                                    <ActivityIndicator size="small" color={colors.primary} />
+                                ) : (
+                                    <TouchableOpacity onPress={() => loadEditions({ refresh: true })} disabled={saving}>
+                                        <Text style={styles.linkText}>Find editions</Text>
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                            {editions.length ? (
+                                <View style={styles.editionList}>
+                                    {[null, ...editions].map((entry) => {
+                                        const selected = (entry?.id ?? null) === editionId;
+                                        const meta = entry ? describeEdition(entry) : '';
+                                        return (
+                                            <TouchableOpacity
+                                                key={entry ? `edition-${entry.id}` : 'edition-none'}
+                                                style={[styles.editionRow, selected && styles.editionRowSelected]}
+                                                onPress={() => handleSelectEdition(entry)}
+                                                disabled={saving}
+                                            >
+                                                <Ionicons
+                                                    name={selected ? 'radio-button-on' : 'radio-button-off'}
+                                                    size={18}
+                                                    color={selected ? colors.primary : colors.textMuted}
+                                                />
+                                                <View style={styles.editionText}>
+                                                    <Text style={styles.editionName} numberOfLines={2}>
+                                                        {entry ? entry.name : 'Not specified'}
+                                                    </Text>
+                                                    {meta ? <Text style={styles.editionMeta} numberOfLines={1}>{meta}</Text> : null}
+                                                </View>
+                                            </TouchableOpacity>
+                                        );
+                                    })}
+                                </View>
+                            ) : (
+                                <Text style={styles.helperText}>
+                                    {editionsLoading ? 'Loading editions…' : 'No catalog editions yet.'}
+                                </Text>
+                            )}
+                        </View>
+                    ) : null}
                     {renderInput('Edition', edition, setEdition, { placeholder: 'e.g., First Edition' })}
                     {renderInput('Special Markings', specialMarkings, setSpecialMarkings, {
                         placeholder: 'Unique markings or identifiers',
@@ -285,5 +378,52 @@ function createStyles({ colors, spacing, typography, shadows, radius }) {
         textArea: {
             minHeight: 120,
         },
+        labelRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            marginBottom: spacing.xs,
+        },
+        linkText: {
+            color: colors.primary,
+            fontSize: typography.sizes.xs,
+            fontWeight: '700',
+        },
+        helperText: {
+            color: colors.textMuted,
+            fontSize: typography.sizes.sm,
+        },
+        editionList: {
+            backgroundColor: colors.surface,
+            borderRadius: radius.md,
+            borderWidth: 1,
+            borderColor: colors.border,
+            overflow: 'hidden',
+        },
+        editionRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.sm,
+            paddingHorizontal: spacing.md,
+            paddingVertical: spacing.sm,
+            borderBottomWidth: StyleSheet.hairlineWidth,
+            borderBottomColor: colors.border,
+        },
+        editionRowSelected: {
+            backgroundColor: colors.primary + '14',
+        },
+        editionText: {
+            flex: 1,
+        },
+        editionName: {
+            color: colors.text,
+            fontSize: typography.sizes.sm,
+            fontWeight: '600',
+        },
+        editionMeta: {
+            color: colors.textMuted,
+            fontSize: typography.sizes.xs,
+            marginTop: 2,
+        },
     });
 }
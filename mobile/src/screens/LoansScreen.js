@@ -0,0 +1,265 @@
+import React, { useCallback, useContext, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    RefreshControl,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+
+const TABS = [
+    { key: 'lent', label: 'Lent out', path: '/api/loans?status=active', empty: 'Nothing is lent out right now.' },
+    { key: 'borrowed', label: 'Borrowed', path: '/api/loans/borrowed', empty: 'You are not holding anything from friends.' },
+    { key: 'returned', label: 'History', path: '/api/loans?status=returned', empty: 'No returned loans yet.' },
+];
+
+function describeDue(loan) {
+    if (loan.returnedAt) return `Returned ${new Date(loan.returnedAt).toLocaleDateString()}`;
+    if (!loan.dueAt) return `Since ${loan.lentAt}`;
+    return loan.isOverdue ? `Overdue since ${loan.dueAt}` : `Due ${loan.dueAt}`;
+}
+
+export default function LoansScreen({ navigation, route }) {
+    const { token, apiBase } = useContext(AuthContext);
+    const { colors, spacing, shadows, radius, isDark } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, shadows, radius }), [colors, spacing, shadows, radius]);
+
+    const [tab, setTab] = useState(route.params?.tab === 'borrowed' ? 'borrowed' : 'lent');
+    const [loans, setLoans] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busyLoanId, setBusyLoanId] = useState(null);
+
+    const activeTab = TABS.find((entry) => entry.key === tab) || TABS[0];
+
+    const loadLoans = useCallback(async () => {
+        const data = await apiRequest({ apiBase, path: activeTab.path, token });
+        setLoans(data.loans || []);
+    }, [apiBase, token, activeTab.path]);
+
+    useFocusEffect(
+        useCallback(() => {
+            setLoading(true);
+            loadLoans()
+                .catch((err) => console.warn('Failed to load loans:', err?.message || err))
+                .finally(() => setLoading(false));
+        }, [loadLoans])
+    );
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        try {
+            await loadLoans();
+        } catch (err) {
+            console.warn('Failed to refresh loans:', err?.message || err);
+        } finally {
+            setRefreshing(false);
+        }
+    };
+
+    const handleReturned = (loan) => {
+        Alert.alert('Mark as returned?', `${loan.borrower.name} gave back ${loan.item.title || 'this item'}.`, [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Returned',
+                onPress: async () => {
+                    setBusyLoanId(loan.id);
+                    try {
+                        await apiRequest({ apiBase, path: `/api/loans/${loan.id}/return`, method: 'POST', token });
+                        setLoans((prev) => prev.filter((entry) => entry.id !== loan.id));
+                    } catch (err) {
+                        Alert.alert('Error', err?.message || 'Failed to mark as returned');
+                    } finally {
+                        setBusyLoanId(null);
+                    }
+                },
+            },
+        ]);
+    };
+
+    const renderItem = ({ item: loan }) => {
+        const counterpart = tab === 'borrowed'
+            ? `From ${loan.owner.firstName || loan.owner.username}`
+            : `To ${loan.borrower.name}`;
+        return (
+            <View style={styles.row}>
+                <View style={styles.rowInfo}>
+                    <Text style={styles.rowTitle} numberOfLines={1}>{loan.item.title || 'Untitled item'}</Text>
+                    <Text style={styles.mutedText} numberOfLines={1}>
+                        {counterpart}{tab !== 'borrowed' && loan.shelfName ? ` · ${loan.shelfName}` : ''}
+                    </Text>
+                    <Text style={[styles.mutedText, loan.isOverdue && styles.overdueText]}>{describeDue(loan)}</Text>
+                    {loan.notes ? <Text style={styles.notesText} numberOfLines={2}>{loan.notes}</Text> : null}
+                </View>
+                {tab === 'lent' && (
+                    <TouchableOpacity
+                        style={[styles.returnButton, busyLoanId === loan.id && { opacity: 0.5 }]}
+                        onPress={() => handleReturned(loan)}
+                        disabled={busyLoanId === loan.id}
+                    >
+                        <Text style={styles.returnButtonText}>Returned</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.screen} edges={['top']}>
+            <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} backgroundColor={colors.background} />
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Ionicons name="arrow-back" size={22} color={colors.text} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Loans</Text>
+                <View style={styles.headerPlaceholder} />
+            </View>
+
+            <View style={styles.tabs}>
+                {TABS.map((entry) => (
+                    <TouchableOpacity
+                        key={entry.key}
+                        style={[styles.tab, tab === entry.key && styles.tabActive]}
+                        onPress={() => setTab(entry.key)}
+                    >
+                        <Text style={[styles.tabText, tab === entry.key && styles.tabTextActive]}>{entry.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: spacing.xl }} />
+            ) : (
+                <FlatList
+                    data={loans}
+                    keyExtractor={(item) => String(item.id)}
+                    renderItem={renderItem}
+                    ListEmptyComponent={<Text style={styles.emptyText}>{activeTab.empty}</Text>}
+                    contentContainerStyle={styles.listContent}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={onRefresh}
+                            tintColor={colors.primary}
+                            colors={[colors.primary]}
+                        />
+                    }
+                />
+            )}
+        </SafeAreaView>
+    );
+}
+
+const createStyles = ({ colors, spacing, shadows, radius }) => StyleSheet.create({
+    screen: {
+        flex: 1,
+        backgroundColor: colors.background,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.sm,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    headerTitle: {
+        flex: 1,
+        textAlign: 'center',
+        fontSize: 18,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    headerPlaceholder: {
+        width: 40,
+    },
+    tabs: {
+        flexDirection: 'row',
+        marginHorizontal: spacing.md,
+        backgroundColor: colors.surface,
+        borderRadius: radius.lg,
+        padding: 4,
+        ...shadows.sm,
+    },
+    tab: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+        borderRadius: radius.md,
+    },
+    tabActive: {
+        backgroundColor: colors.primary,
+    },
+    tabText: {
+        fontSize: 13,
+        fontWeight: '500',
+        color: colors.textMuted,
+    },
+    tabTextActive: {
+        color: colors.textInverted,
+    },
+    listContent: {
+        padding: spacing.md,
+        paddingBottom: 100,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: colors.border,
+        gap: spacing.sm,
+    },
+    rowInfo: {
+        flex: 1,
+        gap: 2,
+    },
+    rowTitle: {
+        fontSize: 15,
+        fontWeight: '500',
+        color: colors.text,
+    },
+    mutedText: {
+        fontSize: 12,
+        color: colors.textMuted,
+    },
+    overdueText: {
+        color: colors.error,
+    },
+    notesText: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        fontStyle: 'italic',
+    },
+    returnButton: {
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.xs,
+        borderRadius: radius.md,
+        backgroundColor: colors.primary,
+    },
+    returnButtonText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.textInverted,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: colors.textMuted,
+        textAlign: 'center',
+        marginTop: spacing.lg,
+    },
+});
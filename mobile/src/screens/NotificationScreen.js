@@ -57,6 +57,18 @@ function buildNotificationText(notification) {
             return notification?.metadata?.summaryMessage || 'Your queued workflow completed successfully';
         case 'workflow_failed':
             return notification?.metadata?.summaryMessage || 'Your queued workflow failed';
+        case 'vision_quota_warning':
+            return notification?.metadata?.summaryMessage || 'You are close to your vision scan allowance';
+        case 'loan_overdue':
+            return notification?.metadata?.summaryMessage || 'A lent item is past its due date';
+        case 'wishlist_alert':
+            return notification?.metadata?.summaryMessage || 'There is news about an item on your wishlist';
+        case 'goal_challenge': {
+            const title = notification?.metadata?.title;
+            return title
+                ? `${actorName} challenged you: "${title}"`
+                : `${actorName} challenged you to a yearly goal`;
+        }
         default:
             return `${actorName} sent you a notification`;
     }
@@ -147,6 +159,31 @@ export default function NotificationScreen({ navigation }) {
             return;
         }
 
+        if (notification.entityType === 'vision_quota') {
+            navigation.navigate('VisionUsage');
+            return;
+        }
+
+        if (notification.entityType === 'loan') {
+            navigation.navigate('Loans', { tab: notification?.metadata?.role === 'borrower' ? 'borrowed' : 'lent' });
+            return;
+        }
+
+        if (notification.entityType === 'goal_challenge') {
+            navigation.navigate('Goals', { tab: 'challenges' });
+            return;
+        }
+
+        if (notification.entityType === 'wishlist_item') {
+            const wishlistId = Number(notification?.metadata?.wishlistId);
+            if (Number.isFinite(wishlistId) && wishlistId > 0) {
+                navigation.navigate('Wishlist', { wishlistId });
+            } else {
+                navigation.navigate('Wishlists');
+            }
+            return;
+        }
+
         const username = notification?.actor?.username;
         if (username) {
             navigation.navigate('Profile', { username });
@@ -31,6 +31,8 @@ export default function NotificationSettingsScreen({ navigation }) {
     pushComments: true,
     pushMentions: true,
     pushWorkflowJobs: true,
+    pushLoanReminders: true,
+    pushWishlistAlerts: true,
     pushFriendRequests: true,
     pushFriendAccepts: true,
   })
@@ -201,6 +203,38 @@ export default function NotificationSettingsScreen({ navigation }) {
             />
           </View>
 
+          <View style={styles.settingsRow}>
+            <View style={styles.settingsLeft}>
+              <Ionicons name="swap-horizontal" size={20} color={colors.text} />
+              <Text style={styles.settingsLabel}>Loan Reminders</Text>
+            </View>
+            <Switch
+              value={preferences.pushLoanReminders}
+              onValueChange={(value) => handleToggle('pushLoanReminders', value)}
+              disabled={saving || !preferences.pushEnabled}
+              trackColor={{ false: colors.border, true: colors.primary + '80' }}
+              thumbColor={
+                preferences.pushLoanReminders ? colors.primary : colors.surfaceElevated
+              }
+            />
+          </View>
+
+          <View style={styles.settingsRow}>
+            <View style={styles.settingsLeft}>
+              <Ionicons name="pricetag" size={20} color={colors.text} />
+              <Text style={styles.settingsLabel}>Wishlist Alerts</Text>
+            </View>
+            <Switch
+              value={preferences.pushWishlistAlerts}
+              onValueChange={(value) => handleToggle('pushWishlistAlerts', value)}
+              disabled={saving || !preferences.pushEnabled}
+              trackColor={{ false: colors.border, true: colors.primary + '80' }}
+              thumbColor={
+                preferences.pushWishlistAlerts ? colors.primary : colors.surfaceElevated
+              }
+            />
+          </View>
+
           <View style={styles.settingsRow}>
             <View style={styles.settingsLeft}>
               <Ionicons name="person-add" size={20} color={colors.text} />
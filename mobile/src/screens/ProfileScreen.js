@@ -24,6 +24,7 @@ import { shareEntityLink } from '../services/shareLinks';
 import { isUserBlockedApiError } from '../utils/apiErrors';
 const { getNonAuthInputProps } = require('../utils/textInputPolicy');
 import { resolveCollectableCoverUrl, resolveManualCoverUrl } from '../utils/coverUrl';
+import { describeGoal } from '../components/GoalFormModal';
 import {
     buildAddedItemDetailParams,
     buildOwnerPhotoThumbnailUri,
@@ -42,6 +43,8 @@ export default function ProfileScreen({ navigation, route }) {
     const username = route.params?.username || currentUser?.username;
     const [profile, setProfile] = useState(null);
     const [shelves, setShelves] = useState([]);
+    const [currently, setCurrently] = useState(null);
+    const [goals, setGoals] = useState([]);
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
     const [editing, setEditing] = useState(false);
@@ -159,6 +162,32 @@ export default function ProfileScreen({ navigation, route }) {
                     setStateIfMounted(setShelves, []);
                 }
 
+                // "Currently reading/playing" strip from the consumption log
+                try {
+                    const currentlyData = await apiRequest({
+                        apiBase,
+                        path: `/api/profile/${profileData.profile.username}/currently`,
+                        token
+                    });
+                    setStateIfMounted(setCurrently, currentlyData);
+                } catch (e) {
+                    console.warn('Failed to load current activity:', e);
+                    setStateIfMounted(setCurrently, null);
+                }
+
+                // This year's goals with progress
+                try {
+                    const goalsData = await apiRequest({
+                        apiBase,
+                        path: `/api/profile/${profileData.profile.username}/goals`,
+                        token
+                    });
+                    setStateIfMounted(setGoals, goalsData.goals || []);
+                } catch (e) {
+                    console.warn('Failed to load goals:', e);
+                    setStateIfMounted(setGoals, []);
+                }
+
                 // Load user's posts/activity
                 try {
                     setStateIfMounted(setPostsLoading, true);
@@ -1488,6 +1517,71 @@ export default function ProfileScreen({ navigation, route }) {
                     </View>
                 )}
 
+                {/* Currently reading/playing */}
+                {!editing && (currently?.sessions?.length > 0 || currently?.stats?.finished > 0) && (
+                    <View style={styles.currentlySection}>
+                        <View style={styles.currentlyHeader}>
+                            <Text style={styles.currentlyTitle}>Currently reading & playing</Text>
+                            {currently.stats?.finished > 0 && (
+                                <Text style={styles.currentlyStats}>
+                                    {currently.stats.finished} finished in {currently.stats.year}
+                                </Text>
+                            )}
+                        </View>
+                        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.currentlyRow}>
+                            {(currently.sessions || []).map((session) => {
+                                const coverUrl = resolveCollectableCoverUrl(session.item, apiBase);
+                                const percent = session.progress?.percent;
+                                return (
+                                    <TouchableOpacity
+                                        key={session.id}
+                                        style={styles.currentlyItem}
+                                        activeOpacity={0.7}
+                                        onPress={() => navigation.navigate('CollectableDetail', session.collectableId
+                                            ? { collectableId: String(session.collectableId), ownerId: profile.id, ownerUsername: profile.username }
+                                            : { manualId: String(session.manualId), ownerId: profile.id, ownerUsername: profile.username })}
+                                    >
+                                        {coverUrl ? (
+                                            <Image source={{ uri: coverUrl }} style={styles.postCoverThumb} resizeMode="cover" />
+                                        ) : (
+                                            <View style={[styles.postCoverThumb, styles.currentlyCoverFallback]}>
+                                                <Ionicons name="book" size={20} color={colors.primary} />
+                                            </View>
+                                        )}
+                                        <Text style={styles.currentlyItemTitle} numberOfLines={2}>{session.item.title}</Text>
+                                        {percent != null && (
+                                            <View style={styles.currentlyProgressTrack}>
+                                                <View style={[styles.currentlyProgressFill, { width: `${percent}%` }]} />
+                                            </View>
+                                        )}
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </ScrollView>
+                    </View>
+                )}
+
+                {/* Yearly goals */}
+                {!editing && goals.length > 0 && (
+                    <TouchableOpacity
+                        style={styles.goalsSection}
+                        activeOpacity={isOwnProfile ? 0.7 : 1}
+                        disabled={!isOwnProfile}
+                        onPress={() => navigation.navigate('Goals')}
+                    >
+                        <Text style={styles.currentlyTitle}>{goals[0].year} goals</Text>
+                        {goals.map((goal) => (
+                            <View key={goal.id} style={styles.goalRow}>
+                                <Text style={styles.goalLabel} numberOfLines={1}>{describeGoal(goal)}</Text>
+                                <View style={[styles.currentlyProgressTrack, styles.goalTrack]}>
+                                    <View style={[styles.currentlyProgressFill, { width: `${goal.progress?.percent || 0}%` }]} />
+                                </View>
+                                <Text style={styles.currentlyStats}>{goal.progress?.count || 0}/{goal.target}</Text>
+                            </View>
+                        ))}
+                    </TouchableOpacity>
+                )}
+
                 {/* Tabs - Only show when not editing and profile is visible */}
                 {!editing && (!profile.isPrivate || isOwnProfile || profile.isFriend) && (
                     <>
@@ -1995,6 +2089,66 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) =>
             color: colors.textInverted,
             fontWeight: '600',
         },
+        currentlySection: {
+            marginTop: spacing.md,
+        },
+        currentlyHeader: {
+            flexDirection: 'row',
+            alignItems: 'baseline',
+            justifyContent: 'space-between',
+            marginBottom: spacing.sm,
+        },
+        currentlyTitle: {
+            fontSize: 15,
+            fontWeight: '600',
+            color: colors.text,
+        },
+        currentlyStats: {
+            fontSize: 12,
+            color: colors.textMuted,
+        },
+        currentlyRow: {
+            gap: spacing.sm,
+        },
+        currentlyItem: {
+            width: 72,
+            gap: 4,
+        },
+        currentlyCoverFallback: {
+            alignItems: 'center',
+            justifyContent: 'center',
+        },
+        currentlyItemTitle: {
+            fontSize: 11,
+            color: colors.text,
+        },
+        currentlyProgressTrack: {
+            height: 3,
+            borderRadius: 2,
+            backgroundColor: colors.surfaceElevated,
+            overflow: 'hidden',
+        },
+        currentlyProgressFill: {
+            height: 3,
+            backgroundColor: colors.primary,
+        },
+        goalsSection: {
+            marginTop: spacing.md,
+            gap: spacing.xs,
+        },
+        goalRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.sm,
+        },
+        goalLabel: {
+            width: '45%',
+            fontSize: 12,
+            color: colors.textSecondary,
+        },
+        goalTrack: {
+            flex: 1,
+        },
         // Tab Bar Styles
         tabBar: {
             flexDirection: 'row',
@@ -0,0 +1,374 @@
+import React, { useCallback, useContext, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    RefreshControl,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+
+const TABS = [
+    { key: 'current', label: 'In progress', empty: 'Check in to something to start tracking it.' },
+    { key: 'finished', label: 'Finished', empty: 'Nothing finished this year yet.' },
+];
+
+const KIND_LABELS = {
+    book: ['book', 'books'],
+    movie: ['movie', 'movies'],
+    game: ['game', 'games'],
+    album: ['album', 'albums'],
+    tv: ['show', 'shows'],
+};
+
+function describeKindCount({ kind, finished }) {
+    const key = String(kind || '').toLowerCase().replace(/s$/, '');
+    const [singular, plural] = KIND_LABELS[key] || [kind || 'item', `${kind || 'item'}s`];
+    return `${finished} ${finished === 1 ? singular : plural}`;
+}
+
+function describeProgress(session) {
+    const progress = session.progress;
+    if (!progress || progress.value == null) return null;
+    if (progress.unit === 'percent') return `${progress.value}%`;
+    const unit = progress.unit || '';
+    return progress.total ? `${progress.value} / ${progress.total} ${unit}`.trim() : `${progress.value} ${unit}`.trim();
+}
+
+function describeDates(session) {
+    const repeat = session.playNumber > 1 ? ` · #${session.playNumber}` : '';
+    if (session.status === 'completed') return `Finished ${session.finishedAt}${repeat}`;
+    if (session.status === 'abandoned') return `Stopped${session.finishedAt ? ` ${session.finishedAt}` : ''}${repeat}`;
+    return `${session.startedAt ? `Since ${session.startedAt}` : 'In progress'}${repeat}`;
+}
+
+export default function ReadingLogScreen({ navigation }) {
+    const { token, apiBase } = useContext(AuthContext);
+    const { colors, spacing, shadows, radius, isDark } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, shadows, radius }), [colors, spacing, shadows, radius]);
+
+    const currentYear = new Date().getFullYear();
+    const [tab, setTab] = useState('current');
+    const [year, setYear] = useState(currentYear);
+    const [sessions, setSessions] = useState([]);
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [busySessionId, setBusySessionId] = useState(null);
+
+    const activeTab = TABS.find((entry) => entry.key === tab) || TABS[0];
+
+    const loadLog = useCallback(async () => {
+        const listPath = tab === 'current'
+            ? '/api/consumption?status=in_progress'
+            : `/api/consumption?status=completed&year=${year}`;
+        const [listData, statsData] = await Promise.all([
+            apiRequest({ apiBase, path: listPath, token }),
+            apiRequest({ apiBase, path: `/api/consumption/stats?year=${year}`, token }),
+        ]);
+        setSessions(listData.sessions || []);
+        setStats(statsData.stats || null);
+    }, [apiBase, token, tab, year]);
+
+    useFocusEffect(
+        useCallback(() => {
+            setLoading(true);
+            loadLog()
+                .catch((err) => console.warn('Failed to load reading log:', err?.message || err))
+                .finally(() => setLoading(false));
+        }, [loadLog])
+    );
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        try {
+            await loadLog();
+        } catch (err) {
+            console.warn('Failed to refresh reading log:', err?.message || err);
+        } finally {
+            setRefreshing(false);
+        }
+    };
+
+    const updateStatus = async (session, status) => {
+        setBusySessionId(session.id);
+        try {
+            await apiRequest({
+                apiBase,
+                path: `/api/consumption/${session.id}`,
+                method: 'PUT',
+                token,
+                body: { status },
+            });
+            await loadLog();
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Failed to update');
+        } finally {
+            setBusySessionId(null);
+        }
+    };
+
+    const handleSessionActions = (session) => {
+        const actions = [{ text: 'Cancel', style: 'cancel' }];
+        if (session.status === 'in_progress') {
+            actions.push({ text: 'Mark finished', onPress: () => updateStatus(session, 'completed') });
+            actions.push({ text: 'Stop tracking', onPress: () => updateStatus(session, 'abandoned') });
+        }
+        actions.push({
+            text: 'Delete entry',
+            style: 'destructive',
+            onPress: async () => {
+                setBusySessionId(session.id);
+                try {
+                    await apiRequest({ apiBase, path: `/api/consumption/${session.id}`, method: 'DELETE', token });
+                    setSessions((prev) => prev.filter((entry) => entry.id !== session.id));
+                } catch (err) {
+                    Alert.alert('Error', err?.message || 'Failed to delete');
+                } finally {
+                    setBusySessionId(null);
+                }
+            },
+        });
+        Alert.alert(session.item.title || 'Entry', null, actions);
+    };
+
+    const renderHeader = () => {
+        const extras = [
+            stats?.repeats ? `${stats.repeats} re-read${stats.repeats === 1 ? '' : 's'} or replay${stats.repeats === 1 ? '' : 's'}` : null,
+            stats?.pagesRead ? `${Math.round(stats.pagesRead)} pages` : null,
+            stats?.hoursPlayed ? `${Math.round(stats.hoursPlayed)} hours played` : null,
+        ].filter(Boolean);
+        return (
+            <View style={styles.statsCard}>
+                <View style={styles.yearRow}>
+                    <TouchableOpacity onPress={() => setYear((value) => value - 1)} style={styles.yearButton}>
+                        <Ionicons name="chevron-back" size={18} color={colors.text} />
+                    </TouchableOpacity>
+                    <Text style={styles.yearText}>{year}</Text>
+                    <TouchableOpacity
+                        onPress={() => setYear((value) => value + 1)}
+                        style={[styles.yearButton, year >= currentYear && { opacity: 0.3 }]}
+                        disabled={year >= currentYear}
+                    >
+                        <Ionicons name="chevron-forward" size={18} color={colors.text} />
+                    </TouchableOpacity>
+                </View>
+                <Text style={styles.statsHeadline}>{stats?.finished || 0} finished</Text>
+                {stats?.byKind?.length ? (
+                    <Text style={styles.statsDetail}>{stats.byKind.map(describeKindCount).join(' · ')}</Text>
+                ) : null}
+                {extras.length ? <Text style={styles.statsDetail}>{extras.join(' · ')}</Text> : null}
+            </View>
+        );
+    };
+
+    const renderItem = ({ item: session }) => {
+        const progressText = describeProgress(session);
+        return (
+            <TouchableOpacity
+                style={[styles.row, busySessionId === session.id && { opacity: 0.5 }]}
+                onPress={() => handleSessionActions(session)}
+                disabled={busySessionId === session.id}
+            >
+                <View style={styles.rowInfo}>
+                    <Text style={styles.rowTitle} numberOfLines={1}>{session.item.title || 'Untitled item'}</Text>
+                    {session.item.primaryCreator ? (
+                        <Text style={styles.mutedText} numberOfLines={1}>{session.item.primaryCreator}</Text>
+                    ) : null}
+                    <Text style={styles.mutedText}>{describeDates(session)}</Text>
+                </View>
+                {progressText && (
+                    <View style={styles.progressPill}>
+                        <Text style={styles.progressText}>
+                            {session.progress.percent != null ? `${session.progress.percent}%` : progressText}
+                        </Text>
+                    </View>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.screen} edges={['top']}>
+            <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} backgroundColor={colors.background} />
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Ionicons name="arrow-back" size={22} color={colors.text} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Reading & Play Log</Text>
+                <View style={styles.headerPlaceholder} />
+            </View>
+
+            <View style={styles.tabs}>
+                {TABS.map((entry) => (
+                    <TouchableOpacity
+                        key={entry.key}
+                        style={[styles.tab, tab === entry.key && styles.tabActive]}
+                        onPress={() => setTab(entry.key)}
+                    >
+                        <Text style={[styles.tabText, tab === entry.key && styles.tabTextActive]}>{entry.label}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: spacing.xl }} />
+            ) : (
+                <FlatList
+                    data={sessions}
+                    keyExtractor={(item) => String(item.id)}
+                    renderItem={renderItem}
+                    ListHeaderComponent={renderHeader}
+                    ListEmptyComponent={<Text style={styles.emptyText}>{activeTab.empty}</Text>}
+                    contentContainerStyle={styles.listContent}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={onRefresh}
+                            tintColor={colors.primary}
+                            colors={[colors.primary]}
+                        />
+                    }
+                />
+            )}
+        </SafeAreaView>
+    );
+}
+
+const createStyles = ({ colors, spacing, shadows, radius }) => StyleSheet.create({
+    screen: {
+        flex: 1,
+        backgroundColor: colors.background,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.sm,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    headerTitle: {
+        flex: 1,
+        textAlign: 'center',
+        fontSize: 18,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    headerPlaceholder: {
+        width: 40,
+    },
+    tabs: {
+        flexDirection: 'row',
+        marginHorizontal: spacing.md,
+        backgroundColor: colors.surface,
+        borderRadius: radius.lg,
+        padding: 4,
+        ...shadows.sm,
+    },
+    tab: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+        borderRadius: radius.md,
+    },
+    tabActive: {
+        backgroundColor: colors.primary,
+    },
+    tabText: {
+        fontSize: 13,
+        fontWeight: '500',
+        color: colors.textMuted,
+    },
+    tabTextActive: {
+        color: colors.textInverted,
+    },
+    listContent: {
+        padding: spacing.md,
+        paddingBottom: 100,
+    },
+    statsCard: {
+        backgroundColor: colors.surface,
+        borderRadius: radius.lg,
+        padding: spacing.md,
+        marginBottom: spacing.md,
+        gap: 4,
+        ...shadows.sm,
+    },
+    yearRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: spacing.sm,
+    },
+    yearButton: {
+        padding: 4,
+    },
+    yearText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    statsHeadline: {
+        fontSize: 22,
+        fontWeight: '700',
+        color: colors.text,
+        textAlign: 'center',
+    },
+    statsDetail: {
+        fontSize: 12,
+        color: colors.textMuted,
+        textAlign: 'center',
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: colors.border,
+        gap: spacing.sm,
+    },
+    rowInfo: {
+        flex: 1,
+        gap: 2,
+    },
+    rowTitle: {
+        fontSize: 15,
+        fontWeight: '500',
+        color: colors.text,
+    },
+    mutedText: {
+        fontSize: 12,
+        color: colors.textMuted,
+    },
+    progressPill: {
+        paddingHorizontal: spacing.sm,
+        paddingVertical: 4,
+        borderRadius: radius.md,
+        backgroundColor: colors.surfaceElevated,
+    },
+    progressText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.primary,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: colors.textMuted,
+        textAlign: 'center',
+        marginTop: spacing.lg,
+    },
+});
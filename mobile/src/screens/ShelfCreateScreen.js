@@ -30,9 +30,12 @@ const VISIBILITY_OPTIONS = [
 
 const SHELF_TYPES = [
   { value: 'books', label: 'Books', icon: 'book' },
+  { value: 'comics', label: 'Comics', icon: 'reader' },
   { value: 'movies', label: 'Movies', icon: 'film' },
   { value: 'tv', label: 'TV', icon: 'tv' },
   { value: 'games', label: 'Games', icon: 'game-controller' },
+  { value: 'boardgames', label: 'Board Games', icon: 'dice' },
+  { value: 'cards', label: 'Cards', icon: 'albums' },
   { value: 'music', label: 'Music', icon: 'musical-notes' },
   { value: 'vinyl', label: 'Vinyl', icon: 'disc' },
   { value: 'other', label: 'Other', icon: 'library' },
@@ -55,6 +58,16 @@ const GAME_FORMAT_OPTIONS = [
   { value: 'digital', label: 'Digital' },
 ];
 
+const CARD_CONDITION_OPTIONS = [
+  { value: '', label: 'No default' },
+  { value: 'mint', label: 'Mint' },
+  { value: 'near_mint', label: 'Near Mint' },
+  { value: 'lightly_played', label: 'Lightly Played' },
+  { value: 'moderately_played', label: 'Moderately Played' },
+  { value: 'heavily_played', label: 'Heavily Played' },
+  { value: 'damaged', label: 'Damaged' },
+];
+
 export default function ShelfCreateScreen({ navigation, route }) {
   const { token, apiBase } = useContext(AuthContext);
   const { colors, spacing, typography, shadows, radius, isDark } = useTheme();
@@ -69,10 +82,12 @@ export default function ShelfCreateScreen({ navigation, route }) {
   const [gamePlatformType, setGamePlatformType] = useState('');
   const [customPlatformText, setCustomPlatformText] = useState('');
   const [gameFormat, setGameFormat] = useState('');
+  const [cardCondition, setCardCondition] = useState('');
   const [shelfPhotoAsset, setShelfPhotoAsset] = useState(null);
   const selectedType = type || 'other';
   const isOtherShelf = selectedType === 'other';
   const isGamesShelf = selectedType === 'games';
+  const isCardsShelf = selectedType === 'cards';
 
   const styles = createStyles({ colors, spacing, typography, shadows, radius });
   const { contentBottomPadding } = useBottomFooterLayout();
@@ -211,6 +226,9 @@ export default function ShelfCreateScreen({ navigation, route }) {
         const hasValues = !!(gameDefaults.platformType || gameDefaults.customPlatformText || gameDefaults.format);
         payload.gameDefaults = hasValues ? gameDefaults : null;
       }
+      if (resolvedType === 'cards') {
+        payload.cardDefaults = cardCondition ? { condition: cardCondition } : null;
+      }
       const data = await apiRequest({ apiBase, path: '/api/shelves', method: 'POST', token, body: payload });
       if (shelfPhotoAsset?.uri) {
         try {
@@ -433,6 +451,34 @@ export default function ShelfCreateScreen({ navigation, route }) {
             </View>
           ) : null}
 
+          {isCardsShelf ? (
+            <View style={styles.defaultsCard}>
+              <Text style={styles.label}>Cards Defaults</Text>
+              <Text style={styles.helperText}>Applied to new cards added to this shelf.</Text>
+
+              <View style={styles.defaultsSection}>
+                <Text style={styles.subLabel}>Condition (optional)</Text>
+                <View style={styles.optionRow}>
+                  {CARD_CONDITION_OPTIONS.map((option) => {
+                    const selected = cardCondition === option.value;
+                    return (
+                      <TouchableOpacity
+                        key={option.value || 'none'}
+                        style={[styles.optionChip, selected && styles.optionChipActive]}
+                        onPress={() => setCardCondition(option.value)}
+                        disabled={saving}
+                      >
+                        <Text style={[styles.optionChipText, selected && styles.optionChipTextActive]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            </View>
+          ) : null}
+
           {/* Visibility */}
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Select who you want to share this shelf with:</Text>
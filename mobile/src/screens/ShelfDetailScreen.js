@@ -35,10 +35,12 @@ import { AuthContext } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { apiRequest, getValidToken } from '../services/api';
 import { shareEntityLink } from '../services/shareLinks';
+import { subscribeToJobEvents } from '../services/jobEvents';
 import { resolveCollectableCoverUrl, resolveManualCoverUrl } from '../utils/coverUrl';
 import { extractTextFromImage, parseTextToItems } from '../services/ocr';
 import { CachedImage, StarRating, CategoryIcon } from '../components/ui';
 import VisionProcessingModal from '../components/VisionProcessingModal';
+import ShelfVisionModal from '../components/ShelfVisionModal';
 import useBottomFooterLayout from '../navigation/useBottomFooterLayout';
 import { normalizeSearchText } from '../utils/searchNormalization';
 
@@ -159,6 +161,18 @@ function buildVisionSummaryMessage({
     return `Same photo detected. This image was already scanned recently. Previous result: ${standard}`;
 }
 
+function buildRescanSummaryMessage(diff) {
+    const parts = [];
+    const missing = diff?.missingItems?.length || 0;
+    const moved = diff?.movedItems?.length || 0;
+    const added = diff?.newItems?.length || 0;
+    if (missing) parts.push(`${missing} missing`);
+    if (moved) parts.push(`${moved} moved`);
+    if (added) parts.push(`${added} new`);
+    if (!parts.length) return 'Nothing changed since the last scan.';
+    return `Since the last scan: ${parts.join(', ')}. Nothing is removed until you confirm.`;
+}
+
 function normalizeOwnedPlatforms(value) {
     if (value == null) return [];
     const source = Array.isArray(value) ? value : [value];
@@ -359,6 +373,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
     const [shareBusy, setShareBusy] = useState(false);
     const [viewMode, setViewMode] = useState('list');
     const [displayModeOpen, setDisplayModeOpen] = useState(false);
+    const [lentOnly, setLentOnly] = useState(false);
     const autoAddHandledRef = useRef(false);
     const isMountedRef = useRef(true);
     const loadingMoreRef = useRef(false);
@@ -451,7 +466,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
             }
             const [shelfData, itemsData] = await Promise.all([
                 apiRequest({ apiBase, path: `/api/shelves/${id}`, token }),
-                apiRequest({ apiBase, path: `/api/shelves/${id}/items?limit=25&skip=0`, token }),
+                apiRequest({ apiBase, path: `/api/shelves/${id}/items?limit=25&skip=0${lentOnly ? '&lent=true' : ''}`, token }),
             ]);
             if (!isMountedRef.current) return;
             setShelf(shelfData.shelf);
@@ -497,7 +512,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
                 setRefreshing(false);
             }
         }
-    }, [apiBase, id, token]);
+    }, [apiBase, id, token, lentOnly]);
 
     const loadMore = useCallback(async () => {
         if (loadingMoreRef.current || !hasMore) return;
@@ -507,7 +522,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
             const skip = items.length;
             const itemsData = await apiRequest({
                 apiBase,
-                path: `/api/shelves/${id}/items?limit=25&skip=${skip}`,
+                path: `/api/shelves/${id}/items?limit=25&skip=${skip}${lentOnly ? '&lent=true' : ''}`,
                 token,
             });
             if (!isMountedRef.current) return;
@@ -526,7 +541,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
                 setLoadingMore(false);
             }
         }
-    }, [apiBase, id, token, items.length, hasMore]);
+    }, [apiBase, id, token, items.length, hasMore, lentOnly]);
 
     useEffect(() => {
         loadShelf({ showBlockingLoader: true });
@@ -879,6 +894,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
         return {
             title: collectable?.title || manual?.title || item.title || 'Untitled',
             subtitle: collectable?.author || collectable?.primaryCreator || manual?.author || collectable?.publisher || '',
+            editionName: item.userDetails?.ownedEdition?.name || null,
             type: collectable?.type || collectable?.kind || manual?.type || 'item',
         };
     };
@@ -1063,6 +1079,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
                 <View style={styles.itemContent}>
                     <Text style={styles.itemTitle} numberOfLines={1}>{info.title}</Text>
                     {info.subtitle ? <Text style={styles.itemSubtitle} numberOfLines={1}>{info.subtitle}</Text> : null}
+                    {info.editionName ? <Text style={styles.itemEdition} numberOfLines={1}>{info.editionName}</Text> : null}
                     {item.platformMissing ? (
                         <View style={styles.platformMissingBadge}>
                             <Text style={styles.platformMissingBadgeText}>Platform missing</Text>
@@ -1218,22 +1235,33 @@ export default function ShelfDetailScreen({ route, navigation }) {
     const [visionProgress, setVisionProgress] = useState(0);
     const [visionMessage, setVisionMessage] = useState('');
     const [visionStatus, setVisionStatus] = useState(null);
+    const [regionEditScanPhotoId, setRegionEditScanPhotoId] = useState(null);
     const [currentJobId, setCurrentJobId] = useState(null);
     const pollIntervalRef = React.useRef(null);
+    const visionStreamCloseRef = React.useRef(null);
     const handledVisionTerminalJobsRef = React.useRef(new Set());
     const activeVisionJobIdRef = React.useRef(null);
     const appStateRef = React.useRef(AppState.currentState || 'active');
     const conditionalInAppNoticeJobsRef = React.useRef(new Set());
     const suppressForegroundCompletionAlertJobsRef = React.useRef(new Set());
 
-    // Poll for vision job status
-    const pollVisionStatus = useCallback(async (jobId, options = {}) => {
-        if (!jobId) return;
-
+    const stopVisionUpdates = useCallback(() => {
         if (pollIntervalRef.current) {
             clearInterval(pollIntervalRef.current);
             pollIntervalRef.current = null;
         }
+        if (visionStreamCloseRef.current) {
+            const closeStream = visionStreamCloseRef.current;
+            visionStreamCloseRef.current = null;
+            closeStream();
+        }
+    }, []);
+
+    // Follow vision job status: event stream first, polling if the stream drops
+    const pollVisionStatus = useCallback(async (jobId, options = {}) => {
+        if (!jobId) return;
+
+        stopVisionUpdates();
         setCurrentJobId(jobId);
         activeVisionJobIdRef.current = jobId;
         handledVisionTerminalJobsRef.current.delete(jobId);
@@ -1245,6 +1273,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
         }
 
         let intervalId = null;
+        let closeStream = null;
         let stopped = false;
         const stopPolling = () => {
             if (stopped) return;
@@ -1255,130 +1284,178 @@ export default function ShelfDetailScreen({ route, navigation }) {
             if (pollIntervalRef.current === intervalId) {
                 pollIntervalRef.current = null;
             }
+            if (closeStream) {
+                if (visionStreamCloseRef.current === closeStream) {
+                    visionStreamCloseRef.current = null;
+                }
+                closeStream();
+            }
         };
 
-        const poll = async () => {
-            try {
-                const response = await apiRequest({
-                    apiBase,
-                    path: `/api/shelves/${id}/vision/${jobId}/status`,
-                    token,
-                });
-                const notifyInAppOnComplete = response?.notifyInAppOnComplete === true;
-                if (notifyInAppOnComplete) {
-                    conditionalInAppNoticeJobsRef.current.add(jobId);
-                    if (appStateRef.current !== 'active') {
-                        suppressForegroundCompletionAlertJobsRef.current.add(jobId);
-                    }
+        const handleStatus = (response) => {
+            const notifyInAppOnComplete = response?.notifyInAppOnComplete === true;
+            if (notifyInAppOnComplete) {
+                conditionalInAppNoticeJobsRef.current.add(jobId);
+                if (appStateRef.current !== 'active') {
+                    suppressForegroundCompletionAlertJobsRef.current.add(jobId);
                 }
+            }
+
+            setVisionProgress(response.progress || 0);
+            setVisionMessage(response.message || '');
+            setVisionStatus(response.status);
 
-                setVisionProgress(response.progress || 0);
-                setVisionMessage(response.message || '');
-                setVisionStatus(response.status);
+            if (activeVisionJobIdRef.current !== jobId) {
+                stopPolling();
+                return;
+            }
 
-                if (activeVisionJobIdRef.current !== jobId) {
+            if (response.status === 'completed') {
+                if (handledVisionTerminalJobsRef.current.has(jobId)) {
                     stopPolling();
                     return;
                 }
+                handledVisionTerminalJobsRef.current.add(jobId);
+                stopPolling();
+                activeVisionJobIdRef.current = null;
+                setVisionLoading(false);
+
+                // Reload items
+                if (response.items) {
+                    setItems(response.items);
+                } else {
+                    loadShelf();
+                }
 
-                if (response.status === 'completed') {
-                    if (handledVisionTerminalJobsRef.current.has(jobId)) {
-                        stopPolling();
-                        return;
-                    }
-                    handledVisionTerminalJobsRef.current.add(jobId);
-                    stopPolling();
-                    activeVisionJobIdRef.current = null;
-                    setVisionLoading(false);
-
-                    // Reload items
-                    if (response.items) {
-                        setItems(response.items);
-                    } else {
-                        loadShelf();
-                    }
-
-                    const addedCount = response.result?.addedCount || 0;
-                    const needsReviewCount = response.result?.needsReviewCount || 0;
-                    const existingCount = response.result?.existingCount || response.result?.results?.existing || 0;
-                    const extractedCount = response.result?.extractedCount || response.result?.results?.extracted || 0;
-                    const isCachedResult = !!(response?.cached || response.result?.cached);
-                    const summaryMessage =
-                        response.result?.summaryMessage ||
-                        buildVisionSummaryMessage({
-                            addedCount,
-                            existingCount,
-                            needsReviewCount,
-                            extractedCount,
-                            cached: isCachedResult,
-                        });
-                    const requiresConditionalDelivery =
-                        conditionalInAppNoticeJobsRef.current.has(jobId) || notifyInAppOnComplete;
-                    const shouldSuppressForegroundAlert =
-                        suppressForegroundCompletionAlertJobsRef.current.has(jobId)
-                        || appStateRef.current !== 'active';
-
-                    if (requiresConditionalDelivery && shouldSuppressForegroundAlert) {
-                        setVisionModalVisible(false);
-                        conditionalInAppNoticeJobsRef.current.delete(jobId);
-                        suppressForegroundCompletionAlertJobsRef.current.delete(jobId);
-                        return;
-                    }
+                const addedCount = response.result?.addedCount || 0;
+                const needsReviewCount = response.result?.needsReviewCount || 0;
+                const existingCount = response.result?.existingCount || response.result?.results?.existing || 0;
+                const extractedCount = response.result?.extractedCount || response.result?.results?.extracted || 0;
+                const isCachedResult = !!(response?.cached || response.result?.cached);
+                const summaryMessage =
+                    response.result?.summaryMessage ||
+                    buildVisionSummaryMessage({
+                        addedCount,
+                        existingCount,
+                        needsReviewCount,
+                        extractedCount,
+                        cached: isCachedResult,
+                    });
+                const requiresConditionalDelivery =
+                    conditionalInAppNoticeJobsRef.current.has(jobId) || notifyInAppOnComplete;
+                const shouldSuppressForegroundAlert =
+                    suppressForegroundCompletionAlertJobsRef.current.has(jobId)
+                    || appStateRef.current !== 'active';
 
-                    if (needsReviewCount > 0) {
-                        setTimeout(() => setVisionModalVisible(false), 1000);
-                        setTimeout(() => {
-                            Alert.alert(
-                                'Scan Complete',
-                                summaryMessage,
-                                [
-                                    { text: 'Later', style: 'cancel' },
-                                    { text: 'Review Now', onPress: () => navigation.navigate('Unmatched') },
-                                ]
-                            );
-                        }, 1200);
-                    } else {
-                        setTimeout(() => setVisionModalVisible(false), 1000);
-                        Alert.alert('Scan Complete', summaryMessage);
-                    }
-                    conditionalInAppNoticeJobsRef.current.delete(jobId);
-                    suppressForegroundCompletionAlertJobsRef.current.delete(jobId);
-                } else if (response.status === 'failed' || response.status === 'aborted') {
-                    if (handledVisionTerminalJobsRef.current.has(jobId)) {
-                        stopPolling();
-                        return;
-                    }
-                    handledVisionTerminalJobsRef.current.add(jobId);
-                    stopPolling();
-                    activeVisionJobIdRef.current = null;
-                    setVisionLoading(false);
+                if (requiresConditionalDelivery && shouldSuppressForegroundAlert) {
                     setVisionModalVisible(false);
                     conditionalInAppNoticeJobsRef.current.delete(jobId);
                     suppressForegroundCompletionAlertJobsRef.current.delete(jobId);
+                    return;
+                }
 
-                    if (response.status !== 'aborted') {
-                        Alert.alert('Error', response.message || 'Vision processing failed');
-                    }
+                const scanPhotoId = response.result?.scanPhotoId || null;
+                const fixBoxesButton = scanPhotoId
+                    ? [{ text: 'Fix Boxes', onPress: () => setRegionEditScanPhotoId(scanPhotoId) }]
+                    : [];
+                const rescanDiff = response.result?.rescanDiff || null;
+                if (rescanDiff?.id) {
+                    setTimeout(() => setVisionModalVisible(false), 1000);
+                    Alert.alert(
+                        'Re-scan Complete',
+                        buildRescanSummaryMessage(rescanDiff),
+                        [
+                            { text: 'Later', style: 'cancel' },
+                            {
+                                text: 'Review Changes',
+                                onPress: () => navigation.navigate('ShelfRescanReview', { shelfId: id, diffId: rescanDiff.id, diff: rescanDiff }),
+                            },
+                        ]
+                    );
+                } else if (needsReviewCount > 0) {
+                    setTimeout(() => setVisionModalVisible(false), 1000);
+                    setTimeout(() => {
+                        Alert.alert(
+                            'Scan Complete',
+                            summaryMessage,
+                            [
+                                { text: 'Later', style: 'cancel' },
+                                ...fixBoxesButton,
+                                { text: 'Review Now', onPress: () => navigation.navigate('Unmatched') },
+                            ]
+                        );
+                    }, 1200);
+                } else {
+                    setTimeout(() => setVisionModalVisible(false), 1000);
+                    Alert.alert(
+                        'Scan Complete',
+                        summaryMessage,
+                        fixBoxesButton.length ? [{ text: 'OK', style: 'cancel' }, ...fixBoxesButton] : undefined,
+                    );
+                }
+                conditionalInAppNoticeJobsRef.current.delete(jobId);
+                suppressForegroundCompletionAlertJobsRef.current.delete(jobId);
+            } else if (response.status === 'failed' || response.status === 'aborted') {
+                if (handledVisionTerminalJobsRef.current.has(jobId)) {
+                    stopPolling();
+                    return;
                 }
+                handledVisionTerminalJobsRef.current.add(jobId);
+                stopPolling();
+                activeVisionJobIdRef.current = null;
+                setVisionLoading(false);
+                setVisionModalVisible(false);
+                conditionalInAppNoticeJobsRef.current.delete(jobId);
+                suppressForegroundCompletionAlertJobsRef.current.delete(jobId);
+
+                if (response.status !== 'aborted') {
+                    Alert.alert('Error', response.message || 'Vision processing failed');
+                }
+            }
+        };
+
+        const poll = async () => {
+            try {
+                const response = await apiRequest({
+                    apiBase,
+                    path: `/api/shelves/${id}/vision/${jobId}/status`,
+                    token,
+                });
+                handleStatus(response);
             } catch (err) {
                 console.warn('Polling error:', err);
             }
         };
 
-        // Start polling
-        await poll();
-        if (!stopped) {
+        const startPolling = () => {
+            if (stopped || intervalId) return;
             intervalId = setInterval(poll, 2000);
             pollIntervalRef.current = intervalId;
-        }
-    }, [apiBase, id, token, navigation, loadShelf]);
+        };
+
+        await poll();
+        if (stopped) return;
+        closeStream = subscribeToJobEvents({
+            apiBase,
+            path: `/api/shelves/${id}/vision/${jobId}/events`,
+            token,
+            onEvent: (event, data) => {
+                if (event === 'progress' || event === 'done') {
+                    handleStatus(data);
+                }
+            },
+            onClose: () => {
+                if (stopped) return;
+                poll();
+                startPolling();
+            },
+        });
+        visionStreamCloseRef.current = closeStream;
+    }, [apiBase, id, token, navigation, loadShelf, stopVisionUpdates]);
 
     // Cancel vision processing
     const handleCancelVision = useCallback(async () => {
-        if (pollIntervalRef.current) {
-            clearInterval(pollIntervalRef.current);
-            pollIntervalRef.current = null;
-        }
+        stopVisionUpdates();
 
         const targetJobId = activeVisionJobIdRef.current || currentJobId;
         if (targetJobId) {
@@ -1400,7 +1477,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
         activeVisionJobIdRef.current = null;
         conditionalInAppNoticeJobsRef.current.delete(targetJobId);
         suppressForegroundCompletionAlertJobsRef.current.delete(targetJobId);
-    }, [apiBase, id, token, currentJobId]);
+    }, [apiBase, id, token, currentJobId, stopVisionUpdates]);
 
     // Hide modal but continue processing
     const handleHideToBackground = useCallback(async () => {
@@ -1426,14 +1503,12 @@ export default function ShelfDetailScreen({ route, navigation }) {
     // Cleanup on unmount
     React.useEffect(() => {
         return () => {
-            if (pollIntervalRef.current) {
-                clearInterval(pollIntervalRef.current);
-            }
+            stopVisionUpdates();
             activeVisionJobIdRef.current = null;
             conditionalInAppNoticeJobsRef.current.clear();
             suppressForegroundCompletionAlertJobsRef.current.clear();
         };
-    }, []);
+    }, [stopVisionUpdates]);
 
     React.useEffect(() => {
         const subscription = AppState.addEventListener('change', (nextState) => {
@@ -1454,8 +1529,9 @@ export default function ShelfDetailScreen({ route, navigation }) {
         };
     }, []);
 
-    const handleCameraScan = useCallback(async () => {
+    const handleCameraScan = useCallback(async (options = {}) => {
         if (!id || visionLoading) return;
+        const rescan = options?.rescan === true;
 
         const cameraPermission = await ImagePicker.requestCameraPermissionsAsync();
         const libraryPermission = await ImagePicker.requestMediaLibraryPermissionsAsync();
@@ -1517,6 +1593,7 @@ export default function ShelfDetailScreen({ route, navigation }) {
                     body: {
                         imageBase64: `data:${payload.mime};base64,${payload.base64}`,
                         async: true,
+                        ...(rescan ? { mode: 'rescan' } : {}),
                     },
                 });
 
@@ -1545,6 +1622,16 @@ export default function ShelfDetailScreen({ route, navigation }) {
                         extractedCount: data?.extractedCount || data?.analysis?.items?.length || 0,
                         cached: !!data?.cached,
                     });
+                if (data?.rescanDiff?.id) {
+                    Alert.alert('Re-scan Complete', buildRescanSummaryMessage(data.rescanDiff), [
+                        { text: 'Later', style: 'cancel' },
+                        {
+                            text: 'Review Changes',
+                            onPress: () => navigation.navigate('ShelfRescanReview', { shelfId: id, diffId: data.rescanDiff.id, diff: data.rescanDiff }),
+                        },
+                    ]);
+                    return;
+                }
                 Alert.alert('Scan Complete', summaryMessage);
                 return;
             }
@@ -1686,11 +1773,14 @@ export default function ShelfDetailScreen({ route, navigation }) {
     const handleAddItem = useCallback(() => {
         if (isReadOnly) return;
         Alert.alert('Add Item', 'Scan with camera or search catalog', [
-            { text: 'Camera', onPress: handleCameraScan },
+            { text: 'Camera', onPress: () => handleCameraScan() },
+            ...(premiumEnabled && items.length > 0
+                ? [{ text: 'Re-scan Shelf', onPress: () => handleCameraScan({ rescan: true }) }]
+                : []),
             { text: 'Search', onPress: handleOpenSearch },
             { text: 'Cancel', style: 'cancel' },
         ]);
-    }, [handleCameraScan, handleOpenSearch, isReadOnly]);
+    }, [handleCameraScan, handleOpenSearch, isReadOnly, items.length, premiumEnabled]);
 
     const handleShareShelf = useCallback(async () => {
         const shelfId = shelf?.id || id;
@@ -1818,6 +1908,15 @@ export default function ShelfDetailScreen({ route, navigation }) {
                             <Ionicons name="share-social-outline" size={20} color={colors.text} />
                         )}
                     </TouchableOpacity>
+                    {!isReadOnly ? (
+                        <TouchableOpacity
+                            onPress={() => navigation.navigate('ShelfLayout', { shelfId: shelf?.id || id, shelfName: shelf?.name })}
+                            style={styles.editButton}
+                            accessibilityLabel="Shelf layout"
+                        >
+                            <Ionicons name="grid-outline" size={20} color={colors.text} />
+                        </TouchableOpacity>
+                    ) : null}
                     {!isReadOnly ? (
                         <TouchableOpacity onPress={() => navigation.navigate('ShelfEdit', { shelf })} style={styles.editButton}>
                             <Ionicons name="settings-outline" size={22} color={colors.text} />
@@ -1861,6 +1960,18 @@ export default function ShelfDetailScreen({ route, navigation }) {
                     <Ionicons name="grid-outline" size={16} color={colors.textMuted} />
                     <Text style={styles.sortButtonText} numberOfLines={1}>View: {viewLabel}</Text>
                 </TouchableOpacity>
+
+                {!isReadOnly && (
+                    <TouchableOpacity
+                        style={[styles.sortButton, lentOnly && { backgroundColor: colors.primary + '20' }]}
+                        onPress={() => setLentOnly((prev) => !prev)}
+                        accessibilityLabel="Show only lent out items"
+                        accessibilityState={{ selected: lentOnly }}
+                    >
+                        <Ionicons name="swap-horizontal" size={16} color={lentOnly ? colors.primary : colors.textMuted} />
+                        <Text style={[styles.sortButtonText, lentOnly && { color: colors.primary }]} numberOfLines={1}>Lent out</Text>
+                    </TouchableOpacity>
+                )}
             </View>
 
             {/* Items List */}
@@ -1984,6 +2095,15 @@ export default function ShelfDetailScreen({ route, navigation }) {
                 onCancel={handleCancelVision}
                 onHideBackground={handleHideToBackground}
             />
+            <ShelfVisionModal
+                visible={!!regionEditScanPhotoId}
+                onClose={() => setRegionEditScanPhotoId(null)}
+                apiBase={apiBase}
+                token={token}
+                shelfId={id}
+                scanPhotoId={regionEditScanPhotoId}
+                onItemsChanged={() => loadShelf()}
+            />
         </SafeAreaView>
     );
 }
@@ -2210,6 +2330,11 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) => Style
         color: colors.textMuted,
         marginTop: 2,
     },
+    itemEdition: {
+        fontSize: 12,
+        color: colors.primary,
+        marginTop: 2,
+    },
     platformChipRow: {
         flexDirection: 'row',
         flexWrap: 'wrap',
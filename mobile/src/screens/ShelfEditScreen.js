@@ -47,6 +47,16 @@ const GAME_FORMAT_OPTIONS = [
     { value: 'digital', label: 'Digital' },
 ];
 
+const CARD_CONDITION_OPTIONS = [
+    { value: '', label: 'No default' },
+    { value: 'mint', label: 'Mint' },
+    { value: 'near_mint', label: 'Near Mint' },
+    { value: 'lightly_played', label: 'Lightly Played' },
+    { value: 'moderately_played', label: 'Moderately Played' },
+    { value: 'heavily_played', label: 'Heavily Played' },
+    { value: 'damaged', label: 'Damaged' },
+];
+
 function normalizeGameDefaults(value) {
     if (!value || typeof value !== 'object') return null;
     const platformType = String(value.platformType || '').trim().toLowerCase() || null;
@@ -74,6 +84,7 @@ export default function ShelfEditScreen({ route, navigation }) {
     const [gamePlatformType, setGamePlatformType] = useState(initialShelf?.gameDefaults?.platformType || '');
     const [customPlatformText, setCustomPlatformText] = useState(initialShelf?.gameDefaults?.customPlatformText || '');
     const [gameFormat, setGameFormat] = useState(initialShelf?.gameDefaults?.format || '');
+    const [cardCondition, setCardCondition] = useState(initialShelf?.cardDefaults?.condition || '');
     const [saving, setSaving] = useState(false);
     const [deleting, setDeleting] = useState(false);
     const [shelfPhotoBusy, setShelfPhotoBusy] = useState(false);
@@ -108,6 +119,7 @@ export default function ShelfEditScreen({ route, navigation }) {
     const shelfType = String(shelf?.type || initialShelf?.type || '').toLowerCase();
     const isOtherShelf = shelfType === 'other';
     const isGamesShelf = shelfType === 'games';
+    const isCardsShelf = shelfType === 'cards';
 
     const styles = createStyles({ colors, spacing, typography, shadows, radius });
     const { contentBottomPadding } = useBottomFooterLayout();
@@ -136,6 +148,7 @@ export default function ShelfEditScreen({ route, navigation }) {
             setGamePlatformType(fetchedShelf?.gameDefaults?.platformType || '');
             setCustomPlatformText(fetchedShelf?.gameDefaults?.customPlatformText || '');
             setGameFormat(fetchedShelf?.gameDefaults?.format || '');
+            setCardCondition(fetchedShelf?.cardDefaults?.condition || '');
             setShelfPhotoLoadFailed(false);
             hasLoadedShelfRef.current = true;
         } catch (e) {
@@ -162,6 +175,7 @@ export default function ShelfEditScreen({ route, navigation }) {
             setGamePlatformType(initialShelf?.gameDefaults?.platformType || '');
             setCustomPlatformText(initialShelf?.gameDefaults?.customPlatformText || '');
             setGameFormat(initialShelf?.gameDefaults?.format || '');
+            setCardCondition(initialShelf?.cardDefaults?.condition || '');
             setShelfPhotoLoadFailed(false);
             setLoading(false);
         } else {
@@ -172,6 +186,7 @@ export default function ShelfEditScreen({ route, navigation }) {
             setGamePlatformType('');
             setCustomPlatformText('');
             setGameFormat('');
+            setCardCondition('');
             setShelfPhotoLoadFailed(false);
             setLoading(true);
         }
@@ -409,6 +424,8 @@ export default function ShelfEditScreen({ route, navigation }) {
                         description: trimmedDescription,
                         visibility,
                         ...(isGamesShelf ? { gameDefaults: nextGameDefaults } : {}),
+                        // Card defaults only seed new cards, so no overwrite prompt.
+                        ...(isCardsShelf ? { cardDefaults: cardCondition ? { condition: cardCondition } : null } : {}),
                     },
                 });
                 navigation.goBack();
@@ -446,6 +463,8 @@ export default function ShelfEditScreen({ route, navigation }) {
         customPlatformText,
         gameFormat,
         shelf?.gameDefaults,
+        isCardsShelf,
+        cardCondition,
     ]);
 
     const routeBackToShelvesAfterDelete = useCallback(() => {
@@ -702,6 +721,34 @@ export default function ShelfEditScreen({ route, navigation }) {
                         </View>
                     ) : null}
 
+                    {isCardsShelf ? (
+                        <View style={styles.defaultsCard}>
+                            <Text style={styles.label}>Cards Defaults</Text>
+                            <Text style={styles.helperText}>Applied to new cards added to this shelf.</Text>
+
+                            <View style={styles.defaultsSection}>
+                                <Text style={styles.subLabel}>Condition (optional)</Text>
+                                <View style={styles.optionRow}>
+                                    {CARD_CONDITION_OPTIONS.map((option) => {
+                                        const selected = cardCondition === option.value;
+                                        return (
+                                            <TouchableOpacity
+                                                key={option.value || 'none'}
+                                                style={[styles.optionChip, selected && styles.optionChipActive]}
+                                                onPress={() => setCardCondition(option.value)}
+                                                disabled={saving || deleting || shelfPhotoBusy}
+                                            >
+                                                <Text style={[styles.optionChipText, selected && styles.optionChipTextActive]}>
+                                                    {option.label}
+                                                </Text>
+                                            </TouchableOpacity>
+                                        );
+                                    })}
+                                </View>
+                            </View>
+                        </View>
+                    ) : null}
+
                     {/* Shelf Info */}
                     <View style={styles.infoCard}>
                         <View style={styles.infoRow}>
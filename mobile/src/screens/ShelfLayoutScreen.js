@@ -0,0 +1,374 @@
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    Image,
+    ScrollView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+    useWindowDimensions,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest, getValidToken } from '../services/api';
+import useBottomFooterLayout from '../navigation/useBottomFooterLayout';
+
+// Regions are [yMin, xMin, yMax, xMax] on a 0-1000 scale.
+function boxToStyle(box2d, size) {
+    if (!Array.isArray(box2d) || box2d.length !== 4) return null;
+    const [yMin, xMin, yMax, xMax] = box2d.map(Number);
+    return {
+        top: (yMin / 1000) * size.height,
+        left: (xMin / 1000) * size.width,
+        width: ((xMax - xMin) / 1000) * size.width,
+        height: ((yMax - yMin) / 1000) * size.height,
+    };
+}
+
+function describeLocation(match) {
+    if (match.row == null) return 'Not placed by a scan yet';
+    return `Row ${match.row}, #${match.rowPosition} from the left`;
+}
+
+export default function ShelfLayoutScreen({ navigation, route }) {
+    const { shelfId, shelfName } = route.params || {};
+    const { apiBase, token } = useContext(AuthContext);
+    const { colors, spacing, typography, shadows, radius, isDark } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, typography, shadows, radius }), [colors, spacing, typography, shadows, radius]);
+    const { contentBottomPadding } = useBottomFooterLayout();
+    const { width: windowWidth } = useWindowDimensions();
+
+    const [layout, setLayout] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [imageToken, setImageToken] = useState(null);
+    const [search, setSearch] = useState('');
+    const [locating, setLocating] = useState(false);
+    const [matches, setMatches] = useState(null);
+    const [highlightId, setHighlightId] = useState(null);
+
+    const imageHeaders = imageToken
+        ? { Authorization: `Bearer ${imageToken}`, 'ngrok-skip-browser-warning': 'true' }
+        : undefined;
+
+    const loadLayout = useCallback(async () => {
+        if (!shelfId || !apiBase || !token) return;
+        setLoading(true);
+        try {
+            const [data, resolvedToken] = await Promise.all([
+                apiRequest({ apiBase, path: `/api/shelves/${shelfId}/layout`, token }),
+                getValidToken(token),
+            ]);
+            setLayout(data || null);
+            setImageToken(resolvedToken || token || null);
+        } catch (err) {
+            console.warn('Failed to load shelf layout:', err?.message || err);
+        } finally {
+            setLoading(false);
+        }
+    }, [apiBase, shelfId, token]);
+
+    useEffect(() => {
+        loadLayout();
+    }, [loadLayout]);
+
+    const handleLocate = async () => {
+        const trimmed = search.trim();
+        if (!trimmed) {
+            setMatches(null);
+            setHighlightId(null);
+            return;
+        }
+        setLocating(true);
+        try {
+            const data = await apiRequest({
+                apiBase,
+                path: `/api/shelves/${shelfId}/layout/locate?q=${encodeURIComponent(trimmed)}`,
+                token,
+            });
+            const found = Array.isArray(data?.matches) ? data.matches : [];
+            setMatches(found);
+            setHighlightId(found[0]?.id ?? null);
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Could not search this shelf.');
+        } finally {
+            setLocating(false);
+        }
+    };
+
+    const photoWidth = windowWidth - (spacing.md * 2);
+    const rows = layout?.rows || [];
+    const unplaced = layout?.unplaced || [];
+    const placedItems = rows.flatMap((row) => row.items);
+
+    const renderScan = (scan) => {
+        const scanWidth = Number(scan.width) || 0;
+        const scanHeight = Number(scan.height) || 0;
+        if (!scanWidth || !scanHeight) return null;
+        const size = { width: photoWidth, height: photoWidth * (scanHeight / scanWidth) };
+        const overlays = placedItems.filter((item) => item.region?.scanPhotoId === scan.id);
+        const highlighted = matches?.find((match) => match.id === highlightId && match.region?.scanPhotoId === scan.id);
+        return (
+            <View key={scan.id} style={[styles.photo, size]}>
+                <Image
+                    source={{ uri: `${apiBase}${scan.imageUrl}`, headers: imageHeaders }}
+                    style={StyleSheet.absoluteFill}
+                    resizeMode="stretch"
+                />
+                {overlays.map((item) => (
+                    <View
+                        key={item.id}
+                        pointerEvents="none"
+                        style={[styles.region, item.id === highlightId && styles.regionHighlighted, boxToStyle(item.region.box2d, size)]}
+                    />
+                ))}
+                {highlighted && !overlays.some((item) => item.id === highlighted.id) ? (
+                    <View pointerEvents="none" style={[styles.region, styles.regionHighlighted, boxToStyle(highlighted.region.box2d, size)]} />
+                ) : null}
+            </View>
+        );
+    };
+
+    return (
+        <View style={styles.screen}>
+            <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} backgroundColor={colors.background} />
+
+            <SafeAreaView edges={['top']} style={{ backgroundColor: colors.background }}>
+                <View style={styles.header}>
+                    <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                        <Ionicons name="arrow-back" size={22} color={colors.text} />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle} numberOfLines={1}>{shelfName ? `${shelfName} Layout` : 'Shelf Layout'}</Text>
+                    <View style={{ width: 40 }} />
+                </View>
+            </SafeAreaView>
+
+            <ScrollView contentContainerStyle={[styles.content, { paddingBottom: contentBottomPadding(spacing.xl * 2) }]}>
+                <View style={styles.searchBox}>
+                    <Ionicons name="search" size={18} color={colors.textMuted} />
+                    <TextInput
+                        style={styles.searchInput}
+                        placeholder="Where is..."
+                        placeholderTextColor={colors.textMuted}
+                        value={search}
+                        onChangeText={setSearch}
+                        returnKeyType="search"
+                        onSubmitEditing={handleLocate}
+                    />
+                    {locating ? <ActivityIndicator size="small" color={colors.primary} /> : null}
+                </View>
+
+                {matches ? (
+                    <View style={styles.card}>
+                        {matches.length === 0 ? (
+                            <Text style={styles.mutedText}>Nothing on this shelf matches "{search.trim()}".</Text>
+                        ) : matches.map((match) => (
+                            <TouchableOpacity
+                                key={match.id}
+                                style={[styles.matchRow, match.id === highlightId && styles.matchRowActive]}
+                                onPress={() => setHighlightId(match.id)}
+                                activeOpacity={0.7}
+                            >
+                                {match.region?.cropUrl ? (
+                                    <Image
+                                        source={{ uri: `${apiBase}${match.region.cropUrl}`, headers: imageHeaders }}
+                                        style={styles.matchCrop}
+                                        resizeMode="contain"
+                                    />
+                                ) : (
+                                    <View style={[styles.matchCrop, styles.matchCropEmpty]}>
+                                        <Ionicons name="help-outline" size={18} color={colors.textMuted} />
+                                    </View>
+                                )}
+                                <View style={styles.matchInfo}>
+                                    <Text style={styles.itemTitle} numberOfLines={1}>{match.title || 'Untitled'}</Text>
+                                    <Text style={styles.mutedText}>{describeLocation(match)}</Text>
+                                </View>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                ) : null}
+
+                {loading ? (
+                    <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: spacing.xl }} />
+                ) : rows.length === 0 ? (
+                    <View style={styles.emptyCard}>
+                        <Ionicons name="scan-outline" size={32} color={colors.textMuted} />
+                        <Text style={styles.emptyText}>Scan this shelf to see items in the order they sit.</Text>
+                    </View>
+                ) : (
+                    <>
+                        {(layout?.scans || []).map(renderScan)}
+                        {rows.map((row) => (
+                            <View key={row.row} style={styles.card}>
+                                <Text style={styles.sectionTitle}>Row {row.row}</Text>
+                                {row.items.map((item) => (
+                                    <TouchableOpacity
+                                        key={item.id}
+                                        style={styles.itemRow}
+                                        onPress={() => setHighlightId(item.id)}
+                                        activeOpacity={0.7}
+                                    >
+                                        <Text style={styles.itemIndex}>{item.rowPosition}</Text>
+                                        <Text style={[styles.itemTitle, item.id === highlightId && { color: colors.primary }]} numberOfLines={1}>
+                                            {item.title || 'Untitled'}
+                                        </Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                        ))}
+                    </>
+                )}
+
+                {!loading && unplaced.length > 0 ? (
+                    <View style={styles.card}>
+                        <Text style={styles.sectionTitle}>Not in the latest scan</Text>
+                        {unplaced.map((item) => (
+                            <Text key={item.id} style={styles.unplacedText} numberOfLines={1}>{item.title || 'Untitled'}</Text>
+                        ))}
+                    </View>
+                ) : null}
+            </ScrollView>
+        </View>
+    );
+}
+
+function createStyles({ colors, spacing, typography, shadows, radius }) {
+    return StyleSheet.create({
+        screen: {
+            flex: 1,
+            backgroundColor: colors.background,
+        },
+        header: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            paddingHorizontal: spacing.md,
+            paddingVertical: spacing.sm,
+        },
+        backButton: {
+            width: 40,
+            height: 40,
+            alignItems: 'center',
+            justifyContent: 'center',
+        },
+        headerTitle: {
+            flex: 1,
+            textAlign: 'center',
+            fontSize: typography.lg,
+            fontWeight: '600',
+            color: colors.text,
+        },
+        content: {
+            padding: spacing.md,
+            gap: spacing.md,
+        },
+        searchBox: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.sm,
+            backgroundColor: colors.surface,
+            borderRadius: radius.lg,
+            paddingHorizontal: spacing.md,
+            paddingVertical: spacing.sm,
+            ...shadows.sm,
+        },
+        searchInput: {
+            flex: 1,
+            fontSize: 16,
+            color: colors.text,
+        },
+        card: {
+            backgroundColor: colors.surface,
+            borderRadius: radius.lg,
+            padding: spacing.md,
+            ...shadows.sm,
+        },
+        photo: {
+            borderRadius: radius.md,
+            overflow: 'hidden',
+            backgroundColor: colors.border,
+        },
+        region: {
+            position: 'absolute',
+            borderWidth: 1,
+            borderColor: 'rgba(255, 255, 255, 0.7)',
+        },
+        regionHighlighted: {
+            borderWidth: 3,
+            borderColor: colors.primary,
+            backgroundColor: 'rgba(255, 255, 255, 0.15)',
+        },
+        sectionTitle: {
+            fontSize: typography.lg || 18,
+            fontWeight: '600',
+            color: colors.text,
+            marginBottom: spacing.sm,
+        },
+        itemRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingVertical: 6,
+        },
+        itemIndex: {
+            width: 28,
+            fontSize: 13,
+            color: colors.textMuted,
+        },
+        itemTitle: {
+            flex: 1,
+            fontSize: 15,
+            color: colors.text,
+        },
+        matchRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.sm,
+            paddingVertical: spacing.xs,
+            borderRadius: radius.md,
+        },
+        matchRowActive: {
+            backgroundColor: colors.background,
+        },
+        matchCrop: {
+            width: 40,
+            height: 64,
+            borderRadius: radius.sm || 4,
+        },
+        matchCropEmpty: {
+            alignItems: 'center',
+            justifyContent: 'center',
+            backgroundColor: colors.background,
+        },
+        matchInfo: {
+            flex: 1,
+        },
+        mutedText: {
+            fontSize: 13,
+            color: colors.textMuted,
+        },
+        unplacedText: {
+            fontSize: 14,
+            color: colors.textMuted,
+            paddingVertical: 4,
+        },
+        emptyCard: {
+            alignItems: 'center',
+            paddingVertical: spacing.xl,
+            backgroundColor: colors.surface,
+            borderRadius: radius.lg,
+            ...shadows.sm,
+        },
+        emptyText: {
+            fontSize: 14,
+            color: colors.textMuted,
+            marginTop: spacing.sm,
+            textAlign: 'center',
+        },
+    });
+}
@@ -0,0 +1,318 @@
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    ScrollView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+import useBottomFooterLayout from '../navigation/useBottomFooterLayout';
+
+function describePlacement(placement) {
+    if (!placement || placement.row == null) return 'unplaced';
+    return `row ${placement.row}, #${placement.rowPosition}`;
+}
+
+export default function ShelfRescanReviewScreen({ navigation, route }) {
+    const { shelfId, diffId, diff: initialDiff } = route.params || {};
+    const { apiBase, token } = useContext(AuthContext);
+    const { colors, spacing, typography, shadows, radius, isDark } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, typography, shadows, radius }), [colors, spacing, typography, shadows, radius]);
+    const { contentBottomPadding } = useBottomFooterLayout();
+
+    const [diff, setDiff] = useState(initialDiff || null);
+    const [loading, setLoading] = useState(!initialDiff);
+    const [saving, setSaving] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+
+    const loadDiff = useCallback(async () => {
+        if (!shelfId || !diffId || !apiBase || !token) return;
+        setLoading(true);
+        try {
+            const data = await apiRequest({ apiBase, path: `/api/shelves/${shelfId}/vision/rescans/${diffId}`, token });
+            setDiff(data?.diff || null);
+        } catch (err) {
+            console.warn('Failed to load re-scan diff:', err?.message || err);
+        } finally {
+            setLoading(false);
+        }
+    }, [apiBase, diffId, shelfId, token]);
+
+    useEffect(() => {
+        if (!initialDiff) loadDiff();
+    }, [initialDiff, loadDiff]);
+
+    const resolvedDiffId = diff?.id || diffId;
+    const isPending = diff?.status === 'pending';
+    const newItems = diff?.newItems || [];
+    const movedItems = diff?.movedItems || [];
+    const missingItems = diff?.missingItems || [];
+
+    const toggleSelected = (itemId) => {
+        setSelectedIds((prev) => (prev.includes(itemId) ? prev.filter((id) => id !== itemId) : [...prev, itemId]));
+    };
+
+    const resolveDiff = async (action, body) => {
+        setSaving(true);
+        try {
+            const data = await apiRequest({
+                apiBase,
+                path: `/api/shelves/${shelfId}/vision/rescans/${resolvedDiffId}/${action}`,
+                method: 'POST',
+                token,
+                body,
+            });
+            setDiff(data?.diff || diff);
+            navigation.goBack();
+        } catch (err) {
+            Alert.alert('Error', err?.message || 'Could not update this shelf.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleApply = () => {
+        if (!selectedIds.length) {
+            resolveDiff('apply', { removeItemIds: [] });
+            return;
+        }
+        Alert.alert(
+            'Remove Items',
+            `Remove ${selectedIds.length} item${selectedIds.length === 1 ? '' : 's'} from this shelf?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Remove', style: 'destructive', onPress: () => resolveDiff('apply', { removeItemIds: selectedIds }) },
+            ],
+        );
+    };
+
+    return (
+        <View style={styles.screen}>
+            <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} backgroundColor={colors.background} />
+            <SafeAreaView edges={['top']} style={{ backgroundColor: colors.background }}>
+                <View style={styles.header}>
+                    <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                        <Ionicons name="arrow-back" size={22} color={colors.text} />
+                    </TouchableOpacity>
+                    <Text style={styles.headerTitle} numberOfLines={1}>Re-scan Changes</Text>
+                    <View style={{ width: 40 }} />
+                </View>
+            </SafeAreaView>
+
+            {loading ? (
+                <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: spacing.xl }} />
+            ) : !diff ? (
+                <View style={[styles.content, styles.emptyCard]}>
+                    <Text style={styles.mutedText}>This re-scan is no longer available.</Text>
+                </View>
+            ) : (
+                <ScrollView contentContainerStyle={[styles.content, { paddingBottom: contentBottomPadding(spacing.xl * 2) }]}>
+                    <Text style={styles.mutedText}>
+                        {diff.unchangedCount} item{diff.unchangedCount === 1 ? '' : 's'} still where you left {diff.unchangedCount === 1 ? 'it' : 'them'}.
+                    </Text>
+
+                    <View style={styles.card}>
+                        <Text style={styles.sectionTitle}>Missing ({missingItems.length})</Text>
+                        {missingItems.length === 0 ? (
+                            <Text style={styles.mutedText}>Everything from the last scan was found.</Text>
+                        ) : (
+                            <>
+                                <Text style={styles.hintText}>Not seen in this scan. Lent out, sold or just hidden? Select the ones to remove.</Text>
+                                {missingItems.map((item) => {
+                                    const selected = selectedIds.includes(item.collectionItemId);
+                                    return (
+                                        <TouchableOpacity
+                                            key={item.collectionItemId}
+                                            style={styles.itemRow}
+                                            onPress={() => toggleSelected(item.collectionItemId)}
+                                            disabled={!isPending}
+                                            activeOpacity={0.7}
+                                        >
+                                            <Ionicons
+                                                name={selected ? 'checkbox' : 'square-outline'}
+                                                size={20}
+                                                color={selected ? colors.error : colors.textMuted}
+                                            />
+                                            <View style={styles.itemInfo}>
+                                                <Text style={styles.itemTitle} numberOfLines={1}>{item.title || 'Untitled'}</Text>
+                                                <Text style={styles.mutedText}>Was at {describePlacement(item.from)}</Text>
+                                            </View>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </>
+                        )}
+                    </View>
+
+                    {movedItems.length > 0 ? (
+                        <View style={styles.card}>
+                            <Text style={styles.sectionTitle}>Moved ({movedItems.length})</Text>
+                            {movedItems.map((item) => (
+                                <View key={item.collectionItemId} style={styles.itemRow}>
+                                    <Ionicons name="swap-horizontal" size={18} color={colors.textMuted} />
+                                    <View style={styles.itemInfo}>
+                                        <Text style={styles.itemTitle} numberOfLines={1}>{item.title || 'Untitled'}</Text>
+                                        <Text style={styles.mutedText}>{describePlacement(item.from)} → {describePlacement(item.to)}</Text>
+                                    </View>
+                                </View>
+                            ))}
+                        </View>
+                    ) : null}
+
+                    {newItems.length > 0 ? (
+                        <View style={styles.card}>
+                            <Text style={styles.sectionTitle}>New ({newItems.length})</Text>
+                            {newItems.map((item) => (
+                                <View key={item.collectionItemId} style={styles.itemRow}>
+                                    <Ionicons name="add-circle-outline" size={18} color={colors.primary} />
+                                    <View style={styles.itemInfo}>
+                                        <Text style={styles.itemTitle} numberOfLines={1}>{item.title || 'Untitled'}</Text>
+                                        <Text style={styles.mutedText}>At {describePlacement(item.to)}</Text>
+                                    </View>
+                                </View>
+                            ))}
+                        </View>
+                    ) : null}
+
+                    {isPending ? (
+                        <View style={styles.actions}>
+                            <TouchableOpacity
+                                style={[styles.button, styles.secondaryButton]}
+                                onPress={() => resolveDiff('dismiss')}
+                                disabled={saving}
+                            >
+                                <Text style={styles.secondaryButtonText}>Keep Everything</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.button, styles.primaryButton]}
+                                onPress={handleApply}
+                                disabled={saving}
+                            >
+                                {saving ? (
+                                    <ActivityIndicator size="small" color={colors.textInverted} />
+                                ) : (
+                                    <Text style={styles.primaryButtonText}>
+                                        {selectedIds.length ? `Remove ${selectedIds.length}` : 'Done'}
+                                    </Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    ) : (
+                        <Text style={styles.mutedText}>
+                            {diff.status === 'applied'
+                                ? `Confirmed. ${diff.removedItemIds?.length || 0} item(s) removed.`
+                                : 'Dismissed. Nothing was removed.'}
+                        </Text>
+                    )}
+                </ScrollView>
+            )}
+        </View>
+    );
+}
+
+function createStyles({ colors, spacing, typography, shadows, radius }) {
+    return StyleSheet.create({
+        screen: {
+            flex: 1,
+            backgroundColor: colors.background,
+        },
+        header: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            paddingHorizontal: spacing.md,
+            paddingVertical: spacing.sm,
+        },
+        backButton: {
+            width: 40,
+            height: 40,
+            alignItems: 'center',
+            justifyContent: 'center',
+        },
+        headerTitle: {
+            flex: 1,
+            textAlign: 'center',
+            fontSize: typography.lg,
+            fontWeight: '600',
+            color: colors.text,
+        },
+        content: {
+            padding: spacing.md,
+            gap: spacing.md,
+        },
+        card: {
+            backgroundColor: colors.surface,
+            borderRadius: radius.lg,
+            padding: spacing.md,
+            ...shadows.sm,
+        },
+        sectionTitle: {
+            fontSize: typography.lg || 18,
+            fontWeight: '600',
+            color: colors.text,
+            marginBottom: spacing.sm,
+        },
+        hintText: {
+            fontSize: 13,
+            color: colors.textMuted,
+            marginBottom: spacing.sm,
+        },
+        itemRow: {
+            flexDirection: 'row',
+            alignItems: 'center',
+            gap: spacing.sm,
+            paddingVertical: 6,
+        },
+        itemInfo: {
+            flex: 1,
+        },
+        itemTitle: {
+            fontSize: 15,
+            color: colors.text,
+        },
+        mutedText: {
+            fontSize: 13,
+            color: colors.textMuted,
+        },
+        emptyCard: {
+            alignItems: 'center',
+        },
+        actions: {
+            flexDirection: 'row',
+            gap: spacing.sm,
+        },
+        button: {
+            flex: 1,
+            alignItems: 'center',
+            justifyContent: 'center',
+            paddingVertical: spacing.sm + 4,
+            borderRadius: radius.lg,
+        },
+        primaryButton: {
+            backgroundColor: colors.primary,
+        },
+        primaryButtonText: {
+            color: colors.textInverted,
+            fontWeight: '600',
+            fontSize: 15,
+        },
+        secondaryButton: {
+            backgroundColor: colors.surface,
+            borderWidth: 1,
+            borderColor: colors.border,
+        },
+        secondaryButtonText: {
+            color: colors.text,
+            fontWeight: '600',
+            fontSize: 15,
+        },
+    });
+}
@@ -55,6 +55,7 @@ export default function ShelvesScreen({ navigation }) {
     const [viewMode, setViewMode] = useState('tile');
     const [displayModeOpen, setDisplayModeOpen] = useState(false);
     const [unmatchedCount, setUnmatchedCount] = useState(0);
+    const [unmatchedExpiringCount, setUnmatchedExpiringCount] = useState(0);
     const [imageAuthToken, setImageAuthToken] = useState(null);
     const [shelfPhotoFailures, setShelfPhotoFailures] = useState({});
 
@@ -127,6 +128,7 @@ export default function ShelvesScreen({ navigation }) {
             setTotalShelves(Number.isFinite(Number(pagination.total)) ? Number(pagination.total) : fetchedShelves.length);
             setHasMoreShelves(Boolean(pagination.hasMore));
             setUnmatchedCount(unmatchedData.count || 0);
+            setUnmatchedExpiringCount(unmatchedData.expiringCount || 0);
         } catch (e) {
             console.warn('Failed to load shelves:', e);
         } finally {
@@ -713,7 +715,10 @@ export default function ShelvesScreen({ navigation }) {
                         </View>
                         <View style={styles.unmatchedContent}>
                             <Text style={styles.unmatchedTitle}>Unmatched Items</Text>
-                            <Text style={styles.unmatchedMeta}>{unmatchedCount} item{unmatchedCount !== 1 ? 's' : ''} need review</Text>
+                            <Text style={styles.unmatchedMeta}>
+                                {unmatchedCount} item{unmatchedCount !== 1 ? 's' : ''} need review
+                                {unmatchedExpiringCount > 0 ? ` · ${unmatchedExpiringCount} expiring soon` : ''}
+                            </Text>
                         </View>
                         <Ionicons name="chevron-forward" size={18} color="#fff" />
                     </TouchableOpacity>
@@ -20,6 +20,7 @@ import { ENABLE_PROFILE_IN_TAB_BAR } from '../config/featureFlags';
 import NewsFeed from '../components/news/NewsFeed';
 import NewsSection from '../components/news/NewsSection';
 import QuickCheckInModal from '../components/news/QuickCheckInModal';
+import { describeGoal } from '../components/GoalFormModal';
 import { AuthContext } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { apiRequest, getValidToken } from '../services/api';
@@ -142,6 +143,7 @@ export default function SocialFeedScreen({ navigation, route }) {
     const [truncatedReviewNotes, setTruncatedReviewNotes] = useState({});
     const [imageAuthToken, setImageAuthToken] = useState(null);
     const [addedThumbFailures, setAddedThumbFailures] = useState({});
+    const [goalSummary, setGoalSummary] = useState([]);
 
     // Check-in modal state for news recommendations
     const [checkInModalVisible, setCheckInModalVisible] = useState(false);
@@ -210,6 +212,13 @@ export default function SocialFeedScreen({ navigation, route }) {
         if (activeFilter === 'friends') scope = 'friends';
         else if (activeFilter === 'all') scope = 'all';
 
+        // Goal progress card above the feed; never blocks the feed itself
+        apiRequest({ apiBase, path: '/api/goals', token })
+            .then((data) => {
+                if (isMountedRef.current) setGoalSummary(data.goals || []);
+            })
+            .catch((err) => console.warn('Goal summary load error:', err?.message || err));
+
         try {
             // Add refreshPersonalizations flag when rate limit allows
             let path = `/api/feed?scope=${scope}`;
@@ -688,7 +697,8 @@ export default function SocialFeedScreen({ navigation, route }) {
         const isCheckinRated = eventType === 'checkin.rated';
         const isNewsRecommendation = eventType === 'news.recommendation';
         const isReviewedEvent = eventType === 'reviewed';
-        const timeAgo = formatRelativeTime((isCheckIn || isCheckinRated) ? item.createdAt : shelf?.updatedAt);
+        const isGoalMilestone = eventType === 'goal.milestone';
+        const timeAgo = formatRelativeTime((isCheckIn || isCheckinRated || isGoalMilestone) ? item.createdAt : shelf?.updatedAt);
         const displayName = isNewsRecommendation ? 'Discover' : (owner?.name || owner?.username || 'Someone');
         const initial = displayName.charAt(0).toUpperCase();
 
@@ -706,6 +716,10 @@ export default function SocialFeedScreen({ navigation, route }) {
                 setActiveFilter('news');
                 return;
             }
+            if (isGoalMilestone) {
+                navigation.navigate('FeedDetail', { entry: item });
+                return;
+            }
             if (isCheckIn) {
                 // Check-in events now navigate to FeedDetail (event details)
                 // The item preview inside handles navigation to the collectable
@@ -763,6 +777,51 @@ export default function SocialFeedScreen({ navigation, route }) {
             );
         }
 
+        // Goal milestone rendering
+        if (isGoalMilestone) {
+            const goal = item.goal || {};
+            const milestoneText = goal.milestone >= 100
+                ? `reached their ${goal.year} goal`
+                : `is ${goal.milestone}% of the way to their ${goal.year} goal`;
+            return (
+                <TouchableOpacity
+                    activeOpacity={0.7}
+                    onPress={handlePress}
+                    style={styles.feedCard}
+                >
+                    <View style={styles.cardHeader}>
+                        <View style={styles.avatar}>
+                            {avatarSource ? (
+                                <Image source={avatarSource} style={styles.avatarImage} />
+                            ) : (
+                                <Text style={styles.avatarText}>{initial}</Text>
+                            )}
+                        </View>
+                        <View style={styles.headerContent}>
+                            <View style={styles.headerTop}>
+                                <Text style={styles.username}>{displayName}</Text>
+                                <Text style={styles.timestamp}>{timeAgo}</Text>
+                            </View>
+                            <View style={styles.checkinAction}>
+                                <Ionicons name="trophy-outline" size={14} color={colors.primary} />
+                                <Text style={styles.shelfAction}>{milestoneText}</Text>
+                            </View>
+                        </View>
+                    </View>
+
+                    <View style={styles.goalMilestoneBody}>
+                        <Text style={styles.checkinTitle}>{describeGoal(goal)}</Text>
+                        <View style={styles.goalProgressTrack}>
+                            <View style={[styles.goalProgressFill, { width: `${Math.min(100, goal.milestone || 0)}%` }]} />
+                        </View>
+                        <Text style={styles.checkinCreator}>{goal.count} of {goal.target}</Text>
+                    </View>
+
+                    {renderSocialActions(item)}
+                </TouchableOpacity>
+            );
+        }
+
         // Check-in event rendering
         if (isCheckIn) {
             const statusLabels = {
@@ -1607,7 +1666,30 @@ export default function SocialFeedScreen({ navigation, route }) {
                 }
                 ItemSeparatorComponent={() => <View style={styles.separator} />}
                 ListHeaderComponent={
-                    <View style={styles.headerSpacer} />
+                    <View style={styles.headerSpacer}>
+                        {goalSummary.length > 0 && (
+                            <TouchableOpacity
+                                style={styles.goalSummaryCard}
+                                onPress={() => navigation.navigate('Goals')}
+                                activeOpacity={0.8}
+                            >
+                                <View style={styles.goalSummaryHeader}>
+                                    <Ionicons name="trophy-outline" size={16} color={colors.primary} />
+                                    <Text style={styles.goalSummaryTitle}>Your {new Date().getFullYear()} goals</Text>
+                                    <Ionicons name="chevron-forward" size={16} color={colors.textMuted} />
+                                </View>
+                                {goalSummary.slice(0, 3).map((goal) => (
+                                    <View key={goal.id} style={styles.goalSummaryRow}>
+                                        <Text style={styles.goalSummaryLabel} numberOfLines={1}>{describeGoal(goal)}</Text>
+                                        <View style={[styles.goalProgressTrack, { flex: 1 }]}>
+                                            <View style={[styles.goalProgressFill, { width: `${goal.progress?.percent || 0}%` }]} />
+                                        </View>
+                                        <Text style={styles.goalSummaryCount}>{goal.progress?.count || 0}/{goal.target}</Text>
+                                    </View>
+                                ))}
+                            </TouchableOpacity>
+                        )}
+                    </View>
                 }
                 ListFooterComponent={
                     loading ? (
@@ -2266,4 +2348,54 @@ const createStyles = ({ colors, spacing, typography, shadows }) => StyleSheet.cr
         alignItems: 'center',
         marginTop: 8,
     },
+    // Yearly goals
+    goalMilestoneBody: {
+        gap: 6,
+        marginBottom: spacing.md,
+    },
+    goalProgressTrack: {
+        height: 6,
+        borderRadius: 3,
+        backgroundColor: colors.surfaceElevated,
+        overflow: 'hidden',
+    },
+    goalProgressFill: {
+        height: 6,
+        borderRadius: 3,
+        backgroundColor: colors.primary,
+    },
+    goalSummaryCard: {
+        backgroundColor: colors.surface,
+        borderRadius: 12,
+        padding: spacing.md,
+        marginBottom: spacing.md,
+        gap: spacing.sm,
+        ...shadows.sm,
+    },
+    goalSummaryHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 6,
+    },
+    goalSummaryTitle: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    goalSummaryRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: spacing.sm,
+    },
+    goalSummaryLabel: {
+        width: '45%',
+        fontSize: 13,
+        color: colors.textSecondary,
+    },
+    goalSummaryCount: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: colors.primary,
+    },
 });
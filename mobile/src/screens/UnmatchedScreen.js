@@ -4,6 +4,7 @@ import {
     Alert,
     FlatList,
     RefreshControl,
+    ScrollView,
     StyleSheet,
     Text,
     TextInput,
@@ -17,6 +18,14 @@ import { AuthContext } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { apiRequest } from '../services/api';
 
+function describeTimeLeft(expiresAt) {
+    if (!expiresAt) return null;
+    const hours = Math.max(0, Math.round((new Date(expiresAt).getTime() - Date.now()) / (60 * 60 * 1000)));
+    if (hours < 1) return 'Expires within the hour';
+    if (hours < 48) return `Expires in ${hours}h`;
+    return `Expires in ${Math.round(hours / 24)} days`;
+}
+
 export default function UnmatchedScreen({ navigation }) {
     const { token, apiBase } = useContext(AuthContext);
     const { colors, spacing, typography, shadows, radius, isDark } = useTheme();
@@ -26,14 +35,29 @@ export default function UnmatchedScreen({ navigation }) {
     const [refreshing, setRefreshing] = useState(false);
     const [editingId, setEditingId] = useState(null);
     const [editValues, setEditValues] = useState({});
+    const [expiryDays, setExpiryDays] = useState(7);
+    const [expiringCount, setExpiringCount] = useState(0);
+    const [shelves, setShelves] = useState([]);
+    const [targetShelfIds, setTargetShelfIds] = useState({});
+    const [suggestionsById, setSuggestionsById] = useState({});
+    const [openSuggestionsId, setOpenSuggestionsId] = useState(null);
+    const [selectMode, setSelectMode] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [batchSaving, setBatchSaving] = useState(false);
 
     const styles = useMemo(() => createStyles({ colors, spacing, typography, shadows, radius }), [colors, spacing, typography, shadows, radius]);
 
     const loadItems = useCallback(async () => {
         try {
             if (!refreshing) setLoading(true);
-            const data = await apiRequest({ apiBase, path: '/api/unmatched', token });
+            const [data, shelfData] = await Promise.all([
+                apiRequest({ apiBase, path: '/api/unmatched', token }),
+                apiRequest({ apiBase, path: '/api/shelves?limit=100', token }).catch(() => ({ shelves: [] })),
+            ]);
             setItems(data.items || []);
+            setExpiryDays(data.expiryDays || 7);
+            setExpiringCount(data.expiringCount || 0);
+            setShelves(Array.isArray(shelfData?.shelves) ? shelfData.shelves : []);
         } catch (e) {
             console.warn('Failed to load unmatched items:', e);
         } finally {
@@ -65,23 +89,128 @@ export default function UnmatchedScreen({ navigation }) {
         });
     };
 
+    const removeResolved = (ids) => {
+        setItems(prev => prev.filter(i => !ids.includes(i.id)));
+        setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+    };
+
+    const targetShelfFor = (item) => targetShelfIds[item.id] || item.shelfId;
+
+    const completeItem = async (item, body) => {
+        const shelfId = targetShelfFor(item);
+        await apiRequest({
+            apiBase,
+            path: `/api/unmatched/${item.id}`,
+            method: 'PUT',
+            token,
+            body: shelfId !== item.shelfId ? { ...body, shelfId } : body,
+        });
+        setEditingId(null);
+        setOpenSuggestionsId(null);
+        removeResolved([item.id]);
+    };
+
     const handleSaveEdit = async (item) => {
         try {
-            await apiRequest({
+            await completeItem(item, editValues);
+            Alert.alert('Success', 'Item added to your shelf!');
+        } catch (e) {
+            Alert.alert('Error', e.message || 'Failed to save item');
+        }
+    };
+
+    const loadSuggestions = async (item, shelfId = targetShelfFor(item)) => {
+        setOpenSuggestionsId(item.id);
+        setSuggestionsById(prev => ({ ...prev, [item.id]: { loading: true, suggestions: [] } }));
+        try {
+            const data = await apiRequest({
                 apiBase,
-                path: `/api/unmatched/${item.id}`,
-                method: 'PUT',
+                path: `/api/unmatched/${item.id}/suggestions?shelfId=${shelfId}`,
                 token,
-                body: editValues,
             });
-            setEditingId(null);
-            setItems(prev => prev.filter(i => i.id !== item.id));
-            Alert.alert('Success', 'Item added to your shelf!');
+            setSuggestionsById(prev => ({ ...prev, [item.id]: { loading: false, suggestions: data.suggestions || [] } }));
         } catch (e) {
-            Alert.alert('Error', e.message || 'Failed to save item');
+            setSuggestionsById(prev => ({ ...prev, [item.id]: { loading: false, suggestions: [], error: e.message } }));
+        }
+    };
+
+    const handleSelectTargetShelf = (item, shelfId) => {
+        setTargetShelfIds(prev => ({ ...prev, [item.id]: shelfId }));
+        // Candidates depend on the shelf type, so refresh them for the new shelf.
+        if (openSuggestionsId === item.id) loadSuggestions(item, shelfId);
+    };
+
+    const handleAcceptSuggestion = async (item, suggestion) => {
+        try {
+            // API-only candidates have no catalog id yet; send their fields so
+            // the server matches or creates the collectable.
+            await completeItem(item, suggestion.id
+                ? { collectableId: suggestion.id }
+                : {
+                    title: suggestion.title || suggestion.name,
+                    primaryCreator: suggestion.primaryCreator || suggestion.author || undefined,
+                    year: suggestion.year || undefined,
+                });
+        } catch (e) {
+            Alert.alert('Error', e.message || 'Failed to add item');
         }
     };
 
+    const toggleSelected = (itemId) => {
+        setSelectedIds(prev => (prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]));
+    };
+
+    const runBatch = async (action) => {
+        if (!selectedIds.length) return;
+        setBatchSaving(true);
+        try {
+            const byId = new Map(items.map(item => [item.id, item]));
+            const data = await apiRequest({
+                apiBase,
+                path: '/api/unmatched/batch',
+                method: 'POST',
+                token,
+                body: {
+                    items: selectedIds.map((id) => {
+                        const item = byId.get(id);
+                        const shelfId = item ? targetShelfFor(item) : null;
+                        return action === 'complete' && item && shelfId !== item.shelfId
+                            ? { id, action, shelfId }
+                            : { id, action };
+                    }),
+                },
+            });
+            const resolved = (data.results || [])
+                .filter(result => result.status !== 'failed')
+                .map(result => result.id);
+            removeResolved(resolved);
+            if (data.failed) {
+                Alert.alert('Some items were not updated', `${data.failed} of ${selectedIds.length} could not be ${action === 'complete' ? 'added' : 'dismissed'}.`);
+            } else {
+                setSelectMode(false);
+            }
+        } catch (e) {
+            Alert.alert('Error', e.message || 'Failed to update items');
+        } finally {
+            setBatchSaving(false);
+        }
+    };
+
+    const handleBatch = (action) => {
+        const count = selectedIds.length;
+        const label = action === 'complete' ? 'Add' : 'Dismiss';
+        Alert.alert(
+            `${label} ${count} Item${count === 1 ? '' : 's'}`,
+            action === 'complete'
+                ? 'Add the selected items as they were read?'
+                : 'Remove the selected items without adding them?',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: label, style: action === 'complete' ? 'default' : 'destructive', onPress: () => runBatch(action) },
+            ],
+        );
+    };
+
     const handleDismiss = async (item) => {
         Alert.alert('Dismiss Item', 'Remove this item without adding to your shelf?', [
             { text: 'Cancel', style: 'cancel' },
@@ -133,19 +262,94 @@ export default function UnmatchedScreen({ navigation }) {
         );
     };
 
+    const renderShelfPicker = (item) => {
+        if (shelves.length < 2) return null;
+        const selectedShelfId = targetShelfFor(item);
+        return (
+            <View style={styles.shelfPicker}>
+                <Text style={styles.shelfPickerLabel}>Add to</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.shelfChips}>
+                    {shelves.map((shelf) => {
+                        const active = shelf.id === selectedShelfId;
+                        return (
+                            <TouchableOpacity
+                                key={shelf.id}
+                                style={[styles.shelfChip, active && { backgroundColor: colors.primary, borderColor: colors.primary }]}
+                                onPress={() => handleSelectTargetShelf(item, shelf.id)}
+                            >
+                                <Text style={[styles.shelfChipText, active && { color: '#fff' }]} numberOfLines={1}>{shelf.name}</Text>
+                            </TouchableOpacity>
+                        );
+                    })}
+                </ScrollView>
+            </View>
+        );
+    };
+
+    const renderSuggestions = (item) => {
+        if (openSuggestionsId !== item.id) return null;
+        const state = suggestionsById[item.id] || {};
+        if (state.loading) {
+            return <ActivityIndicator size="small" color={colors.primary} style={styles.suggestionsLoading} />;
+        }
+        if (!state.suggestions?.length) {
+            return <Text style={styles.suggestionsEmpty}>{state.error || 'No catalog matches found. Try Edit & Add.'}</Text>;
+        }
+        return (
+            <View style={styles.suggestions}>
+                {state.suggestions.map((suggestion, index) => (
+                    <TouchableOpacity
+                        key={suggestion.id || `${suggestion.title}-${index}`}
+                        style={styles.suggestionRow}
+                        onPress={() => handleAcceptSuggestion(item, suggestion)}
+                    >
+                        <View style={styles.suggestionInfo}>
+                            <Text style={styles.suggestionTitle} numberOfLines={1}>{suggestion.title || suggestion.name}</Text>
+                            <Text style={styles.suggestionMeta} numberOfLines={1}>
+                                {[suggestion.primaryCreator || suggestion.author, suggestion.year].filter(Boolean).join(' · ') || 'Unknown creator'}
+                            </Text>
+                        </View>
+                        <Text style={styles.suggestionScore}>{Math.round((suggestion.rankScore || 0) * 100)}%</Text>
+                        <Ionicons name="add-circle" size={22} color={colors.primary} />
+                    </TouchableOpacity>
+                ))}
+            </View>
+        );
+    };
+
     const renderItem = ({ item }) => {
         const isEditing = editingId === item.id;
         const rawData = item.rawData || {};
+        const selected = selectedIds.includes(item.id);
 
         return (
-            <View style={styles.itemCard}>
+            <TouchableOpacity
+                style={[styles.itemCard, item.expiringSoon && { borderLeftColor: colors.error }]}
+                activeOpacity={selectMode ? 0.7 : 1}
+                disabled={!selectMode}
+                onPress={() => toggleSelected(item.id)}
+            >
                 <View style={styles.itemHeader}>
-                    <Ionicons name="alert-circle" size={20} color={colors.warning || '#f59e0b'} />
+                    {selectMode ? (
+                        <Ionicons
+                            name={selected ? 'checkbox' : 'square-outline'}
+                            size={20}
+                            color={selected ? colors.primary : colors.textMuted}
+                        />
+                    ) : (
+                        <Ionicons name="alert-circle" size={20} color={colors.warning || '#f59e0b'} />
+                    )}
                     <Text style={styles.shelfName}>{item.shelfName || 'Unknown Shelf'}</Text>
                     <Text style={styles.confidence}>
                         {Math.round((rawData.confidence || 0) * 100)}% confidence
                     </Text>
                 </View>
+                {item.expiringSoon ? (
+                    <View style={styles.expiryBadge}>
+                        <Ionicons name="hourglass-outline" size={12} color={colors.error} />
+                        <Text style={styles.expiryBadgeText}>{describeTimeLeft(item.expiresAt)}</Text>
+                    </View>
+                ) : null}
 
                 {isEditing ? (
                     <View style={styles.editContainer}>
@@ -171,6 +375,7 @@ export default function UnmatchedScreen({ navigation }) {
                             onChangeText={(text) => setEditValues(prev => ({ ...prev, year: text }))}
                             keyboardType="numeric"
                         />
+                        {renderShelfPicker(item)}
                         <View style={styles.editActions}>
                             <TouchableOpacity
                                 style={[styles.actionButton, styles.cancelButton]}
@@ -192,25 +397,38 @@ export default function UnmatchedScreen({ navigation }) {
                         <Text style={styles.itemSubtitle}>
                             {rawData.primaryCreator || rawData.author || 'Unknown Creator'}
                         </Text>
-                        <View style={styles.itemActions}>
-                            <TouchableOpacity
-                                style={[styles.actionButton, { backgroundColor: colors.primary }]}
-                                onPress={() => handleEdit(item)}
-                            >
-                                <Ionicons name="pencil" size={16} color="#fff" />
-                                <Text style={styles.actionButtonText}>Edit & Add</Text>
-                            </TouchableOpacity>
-                            <TouchableOpacity
-                                style={[styles.actionButton, styles.dismissButton]}
-                                onPress={() => handleDismiss(item)}
-                            >
-                                <Ionicons name="close" size={16} color={colors.error} />
-                                <Text style={[styles.actionButtonText, { color: colors.error }]}>Dismiss</Text>
-                            </TouchableOpacity>
-                        </View>
+                        {selectMode ? null : (
+                            <>
+                                {openSuggestionsId === item.id ? renderShelfPicker(item) : null}
+                                {renderSuggestions(item)}
+                                <View style={styles.itemActions}>
+                                    <TouchableOpacity
+                                        style={[styles.actionButton, { backgroundColor: colors.primary }]}
+                                        onPress={() => handleEdit(item)}
+                                    >
+                                        <Ionicons name="pencil" size={16} color="#fff" />
+                                        <Text style={styles.actionButtonText}>Edit & Add</Text>
+                                    </TouchableOpacity>
+                                    <TouchableOpacity
+                                        style={[styles.actionButton, styles.matchesButton]}
+                                        onPress={() => (openSuggestionsId === item.id ? setOpenSuggestionsId(null) : loadSuggestions(item))}
+                                    >
+                                        <Ionicons name="search" size={16} color={colors.primary} />
+                                        <Text style={[styles.actionButtonText, { color: colors.primary }]}>Matches</Text>
+                                    </TouchableOpacity>
+                                    <TouchableOpacity
+                                        style={[styles.actionButton, styles.dismissButton]}
+                                        onPress={() => handleDismiss(item)}
+                                    >
+                                        <Ionicons name="close" size={16} color={colors.error} />
+                                        <Text style={[styles.actionButtonText, { color: colors.error }]}>Dismiss</Text>
+                                    </TouchableOpacity>
+                                </View>
+                            </>
+                        )}
                     </>
                 )}
-            </View>
+            </TouchableOpacity>
         );
     };
 
@@ -243,25 +461,62 @@ export default function UnmatchedScreen({ navigation }) {
                     <Text style={styles.headerTitle}>Unmatched Items</Text>
                     <Text style={styles.headerSubtitle}>{items.length} item{items.length !== 1 ? 's' : ''} need review</Text>
                 </View>
-                <View style={styles.headerPlaceholder} />
+                {items.length > 0 ? (
+                    <TouchableOpacity
+                        onPress={() => {
+                            setSelectMode(prev => !prev);
+                            setSelectedIds([]);
+                        }}
+                        style={styles.selectToggle}
+                    >
+                        <Text style={styles.selectToggleText}>{selectMode ? 'Done' : 'Select'}</Text>
+                    </TouchableOpacity>
+                ) : (
+                    <View style={styles.headerPlaceholder} />
+                )}
             </View>
 
-            {/* 7-Day Disclaimer and Dismiss All */}
+            {/* Expiry Disclaimer and Dismiss All */}
             {items.length > 0 && (
                 <View style={styles.disclaimerContainer}>
-                    <View style={styles.disclaimerBox}>
-                        <Ionicons name="time-outline" size={16} color={colors.textMuted} />
-                        <Text style={styles.disclaimerText}>
-                            Unmatched items are automatically removed after 7 days.
+                    <View style={[styles.disclaimerBox, expiringCount > 0 && styles.disclaimerWarning]}>
+                        <Ionicons
+                            name={expiringCount > 0 ? 'warning-outline' : 'time-outline'}
+                            size={16}
+                            color={expiringCount > 0 ? colors.error : colors.textMuted}
+                        />
+                        <Text style={[styles.disclaimerText, expiringCount > 0 && { color: colors.error }]}>
+                            {expiringCount > 0
+                                ? `${expiringCount} item${expiringCount === 1 ? '' : 's'} will be removed soon. Unmatched items are kept for ${expiryDays} days.`
+                                : `Unmatched items are automatically removed after ${expiryDays} days.`}
                         </Text>
                     </View>
-                    <TouchableOpacity
-                        style={styles.dismissAllButton}
-                        onPress={handleDismissAll}
-                    >
-                        <Ionicons name="trash-outline" size={16} color="#fff" />
-                        <Text style={styles.dismissAllText}>Dismiss All</Text>
-                    </TouchableOpacity>
+                    {selectMode ? (
+                        <View style={styles.batchActions}>
+                            <TouchableOpacity
+                                style={[styles.batchButton, { backgroundColor: colors.primary }, !selectedIds.length && styles.batchButtonDisabled]}
+                                onPress={() => handleBatch('complete')}
+                                disabled={!selectedIds.length || batchSaving}
+                            >
+                                <Text style={styles.dismissAllText}>Add {selectedIds.length || ''}</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.batchButton, { backgroundColor: colors.error || '#ef4444' }, !selectedIds.length && styles.batchButtonDisabled]}
+                                onPress={() => handleBatch('dismiss')}
+                                disabled={!selectedIds.length || batchSaving}
+                            >
+                                <Text style={styles.dismissAllText}>Dismiss {selectedIds.length || ''}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ) : (
+                        <TouchableOpacity
+                            style={styles.dismissAllButton}
+                            onPress={handleDismissAll}
+                        >
+                            <Ionicons name="trash-outline" size={16} color="#fff" />
+                            <Text style={styles.dismissAllText}>Dismiss All</Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
             )}
 
@@ -327,6 +582,17 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) => Style
     headerPlaceholder: {
         width: 40,
     },
+    selectToggle: {
+        minWidth: 40,
+        height: 40,
+        justifyContent: 'center',
+        alignItems: 'flex-end',
+    },
+    selectToggleText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.primary,
+    },
     listContent: {
         padding: spacing.md,
         paddingBottom: 100,
@@ -388,6 +654,81 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) => Style
         borderWidth: 1,
         borderColor: colors.error,
     },
+    matchesButton: {
+        backgroundColor: 'transparent',
+        borderWidth: 1,
+        borderColor: colors.primary,
+    },
+    expiryBadge: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        alignSelf: 'flex-start',
+        gap: 4,
+        marginBottom: spacing.sm,
+    },
+    expiryBadgeText: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: colors.error,
+    },
+    shelfPicker: {
+        marginBottom: spacing.sm,
+    },
+    shelfPickerLabel: {
+        fontSize: 12,
+        color: colors.textMuted,
+        marginBottom: 6,
+    },
+    shelfChips: {
+        gap: 8,
+    },
+    shelfChip: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: colors.border,
+        maxWidth: 160,
+    },
+    shelfChipText: {
+        fontSize: 12,
+        color: colors.text,
+    },
+    suggestions: {
+        marginBottom: spacing.md,
+    },
+    suggestionsLoading: {
+        marginBottom: spacing.md,
+    },
+    suggestionsEmpty: {
+        fontSize: 13,
+        color: colors.textMuted,
+        marginBottom: spacing.md,
+    },
+    suggestionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        borderTopWidth: StyleSheet.hairlineWidth,
+        borderTopColor: colors.border,
+        gap: 8,
+    },
+    suggestionInfo: {
+        flex: 1,
+    },
+    suggestionTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    suggestionMeta: {
+        fontSize: 12,
+        color: colors.textMuted,
+    },
+    suggestionScore: {
+        fontSize: 11,
+        color: colors.textMuted,
+    },
     editContainer: {
         marginTop: spacing.sm,
     },
@@ -461,6 +802,10 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) => Style
         gap: 8,
         marginBottom: spacing.sm,
     },
+    disclaimerWarning: {
+        borderWidth: 1,
+        borderColor: colors.error,
+    },
     disclaimerText: {
         flex: 1,
         fontSize: 12,
@@ -476,6 +821,20 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) => Style
         borderRadius: radius.md,
         gap: 6,
     },
+    batchActions: {
+        flexDirection: 'row',
+        gap: spacing.sm,
+    },
+    batchButton: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: spacing.sm,
+        borderRadius: radius.md,
+    },
+    batchButtonDisabled: {
+        opacity: 0.5,
+    },
     dismissAllText: {
         color: '#fff',
         fontSize: 14,
@@ -0,0 +1,329 @@
+import React, { useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+    ActivityIndicator,
+    FlatList,
+    RefreshControl,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { AuthContext } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { apiRequest } from '../services/api';
+
+const HISTORY_PAGE_SIZE = 20;
+
+const PLAN_LABELS = {
+    free: 'Free',
+    premium: 'Premium',
+    unlimited: 'Unlimited',
+};
+
+function formatTokens(value) {
+    return Number(value || 0).toLocaleString();
+}
+
+function UsageBar({ label, used, limit, styles, colors }) {
+    if (limit == null) return null;
+    const percent = limit > 0 ? Math.min(100, Math.round((used / limit) * 100)) : 100;
+    const barColor = percent >= 100 ? colors.error : percent >= 80 ? colors.warning : colors.primary;
+    return (
+        <View style={styles.usageRow}>
+            <View style={styles.usageLabels}>
+                <Text style={styles.usageLabel}>{label}</Text>
+                <Text style={styles.usageValue}>{formatTokens(used)} / {formatTokens(limit)}</Text>
+            </View>
+            <View style={styles.barTrack}>
+                <View style={[styles.barFill, { width: `${percent}%`, backgroundColor: barColor }]} />
+            </View>
+        </View>
+    );
+}
+
+export default function VisionUsageScreen({ navigation }) {
+    const { token, apiBase, setVisionQuota } = useContext(AuthContext);
+    const { colors, spacing, shadows, radius, isDark } = useTheme();
+    const styles = useMemo(() => createStyles({ colors, spacing, shadows, radius }), [colors, spacing, shadows, radius]);
+
+    const [quota, setQuota] = useState(null);
+    const [plan, setPlan] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    const loadUsage = useCallback(async ({ offset = 0 } = {}) => {
+        const data = await apiRequest({
+            apiBase,
+            path: `/api/account/vision-usage?limit=${HISTORY_PAGE_SIZE}&offset=${offset}`,
+            token,
+        });
+        setQuota(data.quota || null);
+        setPlan(data.plan || null);
+        if (data.quota) setVisionQuota?.(data.quota);
+        setHistory((prev) => (offset === 0 ? (data.history || []) : [...prev, ...(data.history || [])]));
+        setHasMore(!!data.pagination?.hasMore);
+    }, [apiBase, token, setVisionQuota]);
+
+    useEffect(() => {
+        loadUsage()
+            .catch((err) => console.warn('Failed to load vision usage:', err?.message || err))
+            .finally(() => setLoading(false));
+    }, [loadUsage]);
+
+    const onRefresh = async () => {
+        setRefreshing(true);
+        try {
+            await loadUsage();
+        } catch (err) {
+            console.warn('Failed to refresh vision usage:', err?.message || err);
+        } finally {
+            setRefreshing(false);
+        }
+    };
+
+    const onEndReached = async () => {
+        if (!hasMore || loadingMore) return;
+        setLoadingMore(true);
+        try {
+            await loadUsage({ offset: history.length });
+        } catch (err) {
+            console.warn('Failed to load more vision usage:', err?.message || err);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    const renderSummary = () => {
+        if (!quota) return null;
+        const planLabel = PLAN_LABELS[quota.plan] || 'Vision';
+        return (
+            <View style={styles.summary}>
+                <View style={styles.card}>
+                    <View style={styles.planRow}>
+                        <Text style={styles.planName}>{planLabel} plan</Text>
+                        <Text style={styles.mutedText}>
+                            Resets in {quota.daysRemaining} day{quota.daysRemaining !== 1 ? 's' : ''}
+                        </Text>
+                    </View>
+                    {quota.unlimited ? (
+                        <Text style={styles.mutedText}>No scan or token limits on this plan.</Text>
+                    ) : (
+                        <>
+                            <UsageBar label="Scans" used={quota.scansUsed} limit={quota.scanLimit} styles={styles} colors={colors} />
+                            <UsageBar label="Tokens" used={quota.tokensUsed} limit={quota.tokenLimit} styles={styles} colors={colors} />
+                            {quota.rolloverScans > 0 ? (
+                                <Text style={styles.mutedText}>
+                                    Includes {quota.rolloverScans} scan{quota.rolloverScans !== 1 ? 's' : ''} carried over from last period.
+                                </Text>
+                            ) : plan?.rollover ? (
+                                <Text style={styles.mutedText}>Up to {plan.maxRolloverScans} unused scans carry over.</Text>
+                            ) : null}
+                        </>
+                    )}
+                </View>
+
+                {quota.warningLevel ? (
+                    <View style={[styles.warning, quota.warningLevel === 'exceeded' && styles.warningExceeded]}>
+                        <Ionicons
+                            name={quota.warningLevel === 'exceeded' ? 'alert-circle' : 'warning-outline'}
+                            size={18}
+                            color={quota.warningLevel === 'exceeded' ? colors.error : colors.warning}
+                        />
+                        <Text style={styles.warningText}>
+                            {quota.warningLevel === 'exceeded'
+                                ? 'You have used your vision allowance for this period.'
+                                : `You have used ${quota.percentUsed}% of your vision allowance.`}
+                        </Text>
+                    </View>
+                ) : null}
+
+                <Text style={styles.sectionTitle}>Scan history</Text>
+            </View>
+        );
+    };
+
+    const renderItem = ({ item }) => (
+        <View style={styles.historyRow}>
+            <View style={styles.historyInfo}>
+                <Text style={styles.historyTitle} numberOfLines={1}>{item.shelfName || 'Removed shelf'}</Text>
+                <Text style={styles.mutedText}>{new Date(item.createdAt).toLocaleString()}</Text>
+            </View>
+            <Text style={styles.historyTokens}>{formatTokens(item.totalTokens)} tokens</Text>
+        </View>
+    );
+
+    return (
+        <SafeAreaView style={styles.screen} edges={['top']}>
+            <StatusBar barStyle={isDark ? 'light-content' : 'dark-content'} backgroundColor={colors.background} />
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Ionicons name="arrow-back" size={22} color={colors.text} />
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Vision Usage</Text>
+                <View style={styles.headerPlaceholder} />
+            </View>
+
+            {loading ? (
+                <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: spacing.xl }} />
+            ) : (
+                <FlatList
+                    data={history}
+                    keyExtractor={(item) => String(item.id)}
+                    renderItem={renderItem}
+                    ListHeaderComponent={renderSummary}
+                    ListEmptyComponent={<Text style={styles.emptyText}>No vision scans yet.</Text>}
+                    ListFooterComponent={loadingMore ? <ActivityIndicator size="small" color={colors.primary} /> : null}
+                    contentContainerStyle={styles.listContent}
+                    onEndReached={onEndReached}
+                    onEndReachedThreshold={0.4}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={onRefresh}
+                            tintColor={colors.primary}
+                            colors={[colors.primary]}
+                        />
+                    }
+                />
+            )}
+        </SafeAreaView>
+    );
+}
+
+const createStyles = ({ colors, spacing, shadows, radius }) => StyleSheet.create({
+    screen: {
+        flex: 1,
+        backgroundColor: colors.background,
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.sm,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    headerTitle: {
+        flex: 1,
+        textAlign: 'center',
+        fontSize: 18,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    headerPlaceholder: {
+        width: 40,
+    },
+    listContent: {
+        padding: spacing.md,
+        paddingBottom: 100,
+    },
+    summary: {
+        gap: spacing.md,
+        marginBottom: spacing.sm,
+    },
+    card: {
+        backgroundColor: colors.surface,
+        borderRadius: radius.lg,
+        padding: spacing.md,
+        gap: spacing.sm,
+        ...shadows.sm,
+    },
+    planRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    planName: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    usageRow: {
+        gap: 6,
+    },
+    usageLabels: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+    },
+    usageLabel: {
+        fontSize: 13,
+        color: colors.text,
+    },
+    usageValue: {
+        fontSize: 13,
+        color: colors.textMuted,
+    },
+    barTrack: {
+        height: 8,
+        borderRadius: 4,
+        backgroundColor: colors.border,
+        overflow: 'hidden',
+    },
+    barFill: {
+        height: 8,
+        borderRadius: 4,
+    },
+    warning: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: spacing.sm,
+        padding: spacing.md,
+        borderRadius: radius.md,
+        borderWidth: 1,
+        borderColor: colors.warning,
+        backgroundColor: colors.surface,
+    },
+    warningExceeded: {
+        borderColor: colors.error,
+    },
+    warningText: {
+        flex: 1,
+        fontSize: 13,
+        color: colors.text,
+    },
+    sectionTitle: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    historyRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+        borderBottomWidth: StyleSheet.hairlineWidth,
+        borderBottomColor: colors.border,
+        gap: spacing.sm,
+    },
+    historyInfo: {
+        flex: 1,
+    },
+    historyTitle: {
+        fontSize: 14,
+        color: colors.text,
+    },
+    historyTokens: {
+        fontSize: 13,
+        fontWeight: '500',
+        color: colors.textMuted,
+    },
+    mutedText: {
+        fontSize: 12,
+        color: colors.textMuted,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: colors.textMuted,
+        textAlign: 'center',
+        marginTop: spacing.lg,
+    },
+});
@@ -22,6 +22,8 @@ import { AuthContext } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { apiRequest } from '../services/api';
 import { CachedImage, StarRating, CategoryIcon } from '../components/ui';
+import WishlistWatchModal, { describeLastAlert } from '../components/WishlistWatchModal';
+import WishlistSharingModal from '../components/WishlistSharingModal';
 import { normalizeSearchText } from '../utils/searchNormalization';
 
 // Reuse usage of these if available, otherwise fallback to local impl
@@ -44,6 +46,7 @@ export default function WishlistScreen({ navigation, route }) {
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
     const [isOwner, setIsOwner] = useState(false);
+    const [isCreator, setIsCreator] = useState(false);
 
     // Local Search & Sort
     const [localSearchQuery, setLocalSearchQuery] = useState('');
@@ -57,6 +60,13 @@ export default function WishlistScreen({ navigation, route }) {
     const [globalSearchLoading, setGlobalSearchLoading] = useState(false);
     const searchTimeoutRef = useRef(null);
 
+    // Watch (release/price alerts) modal
+    const [watchItem, setWatchItem] = useState(null);
+
+    // Gift mode and co-owners
+    const [sharingOpen, setSharingOpen] = useState(false);
+    const [reservingId, setReservingId] = useState(null);
+
     const styles = useMemo(
         () => createStyles({ colors, spacing, typography, shadows, radius }),
         [colors, spacing, typography, shadows, radius]
@@ -75,6 +85,7 @@ export default function WishlistScreen({ navigation, route }) {
             setWishlist(data.wishlist);
             setItems(data.items || []);
             setIsOwner(!!data.isOwner);
+            setIsCreator(!!data.isCreator);
         } catch (e) {
             if (!isRefresh) Alert.alert('Error', 'Failed to load wishlist');
         } finally {
@@ -108,6 +119,76 @@ export default function WishlistScreen({ navigation, route }) {
         ]);
     }, [apiBase, token, wishlistId]);
 
+    const handleWatchSaved = useCallback((updated) => {
+        if (!updated) return;
+        setItems((prev) => prev.map((i) => (i.id === updated.id ? { ...i, ...updated } : i)));
+    }, []);
+
+    const handleMarkReceived = useCallback((item) => {
+        if (item.receivedAt) return;
+        Alert.alert('Mark Received', 'Mark this item as received? Adding it to a shelf does this automatically.', [
+            { text: 'Cancel', style: 'cancel' },
+            {
+                text: 'Received',
+                onPress: async () => {
+                    try {
+                        const data = await apiRequest({
+                            apiBase,
+                            path: `/api/wishlists/${wishlistId}/items/${item.id}/received`,
+                            method: 'POST',
+                            token,
+                        });
+                        setItems((prev) => prev.map((i) => (i.id === item.id ? { ...i, ...data.item } : i)));
+                        // Reload to pick up who gave it
+                        loadWishlist(true);
+                    } catch (e) {
+                        Alert.alert('Error', e.message);
+                    }
+                },
+            },
+        ]);
+    }, [apiBase, token, wishlistId]);
+
+    const setReservation = useCallback(async (item, reserve) => {
+        setReservingId(item.id);
+        try {
+            await apiRequest({
+                apiBase,
+                path: `/api/wishlists/${wishlistId}/items/${item.id}/reserve`,
+                method: reserve ? 'POST' : 'DELETE',
+                token,
+            });
+            setItems((prev) => prev.map((i) => (i.id === item.id ? {
+                ...i,
+                reservation: {
+                    reserved: reserve,
+                    reservedByMe: reserve,
+                    reservedBy: null,
+                    note: null,
+                },
+            } : i)));
+        } catch (e) {
+            Alert.alert('Error', e.message || 'Failed to update reservation');
+            loadWishlist(true);
+        } finally {
+            setReservingId(null);
+        }
+    }, [apiBase, token, wishlistId]);
+
+    const handleReservePress = useCallback((item) => {
+        if (item.reservation?.reservedByMe) {
+            Alert.alert('Cancel Reservation', 'Let someone else get this gift?', [
+                { text: 'Keep', style: 'cancel' },
+                { text: 'Cancel Reservation', style: 'destructive', onPress: () => setReservation(item, false) },
+            ]);
+            return;
+        }
+        Alert.alert('Reserve Gift', 'Other friends will see this item is taken. The wishlist owner won\'t.', [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Reserve', onPress: () => setReservation(item, true) },
+        ]);
+    }, [setReservation]);
+
     // --- Local List Logic ---
 
     const visibleItems = useMemo(() => {
@@ -153,6 +234,9 @@ export default function WishlistScreen({ navigation, route }) {
         const hasCollectable = !!(item.collectableId || item.collectableTitle);
         const title = hasCollectable ? item.collectableTitle : item.manualText;
         const subtitle = hasCollectable && item.collectableCreator ? item.collectableCreator : '';
+        const reservation = item.reservation;
+        const canReserve = !isOwner && !!wishlist?.giftMode && !item.receivedAt && !!reservation
+            && (!reservation.reserved || reservation.reservedByMe);
 
         return (
             <TouchableOpacity
@@ -161,8 +245,9 @@ export default function WishlistScreen({ navigation, route }) {
                     ? navigation.navigate('CollectableDetail', { item: { collectable: { id: item.collectableId } } })
                     : null
                 }
+                onLongPress={isOwner && !item.receivedAt ? () => handleMarkReceived(item) : undefined}
                 activeOpacity={0.7}
-                disabled={!hasCollectable}
+                disabled={!hasCollectable && !(isOwner && !item.receivedAt)}
             >
                 <View style={styles.itemCover}>
                     {imageUri ? (
@@ -183,7 +268,59 @@ export default function WishlistScreen({ navigation, route }) {
                     {item.notes ? (
                         <Text style={styles.itemNotes} numberOfLines={1}>{item.notes}</Text>
                     ) : null}
+                    {item.receivedAt ? (
+                        <Text style={styles.itemReceived} numberOfLines={1}>
+                            {item.receivedFrom
+                                ? `Received · gift from ${item.receivedFrom.firstName || item.receivedFrom.username}`
+                                : 'Received'}
+                        </Text>
+                    ) : null}
+                    {!isOwner && !item.receivedAt && reservation?.reserved ? (
+                        <Text style={styles.itemReserved} numberOfLines={1}>
+                            {reservation.reservedByMe
+                                ? 'Reserved by you'
+                                : `Reserved${reservation.reservedBy ? ` by ${reservation.reservedBy.firstName || reservation.reservedBy.username}` : ''}`}
+                        </Text>
+                    ) : null}
+                    {isOwner && item.watch && !item.receivedAt ? (
+                        <Text style={styles.itemWatch} numberOfLines={1}>
+                            {describeLastAlert(item) || (item.targetPrice
+                                ? `Watching · target $${Number(item.targetPrice)}`
+                                : 'Watching for releases')}
+                        </Text>
+                    ) : null}
                 </View>
+                {canReserve && (
+                    <TouchableOpacity
+                        style={styles.deleteButton}
+                        onPress={() => handleReservePress(item)}
+                        disabled={reservingId === item.id}
+                        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                    >
+                        {reservingId === item.id ? (
+                            <ActivityIndicator size="small" color={colors.primary} />
+                        ) : (
+                            <Ionicons
+                                name={reservation.reservedByMe ? 'gift' : 'gift-outline'}
+                                size={20}
+                                color={reservation.reservedByMe ? colors.primary : colors.textMuted}
+                            />
+                        )}
+                    </TouchableOpacity>
+                )}
+                {isOwner && !item.receivedAt && (
+                    <TouchableOpacity
+                        style={styles.deleteButton}
+                        onPress={() => setWatchItem(item)}
+                        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                    >
+                        <Ionicons
+                            name={!item.watch ? 'notifications-outline' : item.alertsMuted ? 'notifications-off' : 'notifications'}
+                            size={20}
+                            color={item.watch ? colors.primary : colors.textMuted}
+                        />
+                    </TouchableOpacity>
+                )}
                 {isOwner && (
                     <TouchableOpacity
                         style={styles.deleteButton}
@@ -274,9 +411,18 @@ export default function WishlistScreen({ navigation, route }) {
                 </TouchableOpacity>
                 <View style={styles.headerCenter}>
                     <Text style={styles.headerTitle} numberOfLines={1}>{wishlist?.name || 'Wishlist'}</Text>
-                    <Text style={styles.headerSubtitle}>{items.length} item{items.length !== 1 ? 's' : ''}</Text>
+                    <Text style={styles.headerSubtitle}>
+                        {items.length} item{items.length !== 1 ? 's' : ''}
+                        {wishlist?.giftMode ? ' · Gift registry' : ''}
+                    </Text>
                 </View>
-                <View style={{ width: 40 }} />
+                {isOwner ? (
+                    <TouchableOpacity onPress={() => setSharingOpen(true)} style={styles.backButton}>
+                        <Ionicons name="people-outline" size={20} color={colors.text} />
+                    </TouchableOpacity>
+                ) : (
+                    <View style={{ width: 40 }} />
+                )}
             </View>
 
             {/* Controls Row (Search + Sort) */}
@@ -332,6 +478,23 @@ export default function WishlistScreen({ navigation, route }) {
                 </TouchableOpacity>
             )}
 
+            <WishlistWatchModal
+                visible={!!watchItem}
+                item={watchItem}
+                wishlistId={wishlistId}
+                onClose={() => setWatchItem(null)}
+                onSaved={handleWatchSaved}
+            />
+
+            <WishlistSharingModal
+                visible={sharingOpen}
+                wishlist={wishlist}
+                isCreator={isCreator}
+                onClose={() => setSharingOpen(false)}
+                onUpdated={(updated) => updated && setWishlist((prev) => ({ ...prev, ...updated }))}
+                onLeft={() => navigation.goBack()}
+            />
+
             {/* Sort Modal */}
             <Modal
                 visible={sortOpen}
@@ -584,6 +747,21 @@ const createStyles = ({ colors, spacing, typography, shadows, radius }) =>
             fontStyle: 'italic',
             marginTop: 4,
         },
+        itemWatch: {
+            fontSize: 12,
+            color: colors.primary,
+            marginTop: 4,
+        },
+        itemReceived: {
+            fontSize: 12,
+            color: colors.success,
+            marginTop: 4,
+        },
+        itemReserved: {
+            fontSize: 12,
+            color: colors.textSecondary,
+            marginTop: 4,
+        },
         deleteButton: {
             padding: spacing.sm,
         },
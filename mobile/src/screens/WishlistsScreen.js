@@ -213,7 +213,7 @@ export default function WishlistsScreen({ navigation, route }) {
         <TouchableOpacity
             style={styles.wishlistCard}
             onPress={() => navigation.navigate('Wishlist', { wishlistId: item.id })}
-            onLongPress={isOwnProfile ? () => handleDelete(item.id) : undefined}
+            onLongPress={isOwnProfile && !item.coOwned ? () => handleDelete(item.id) : undefined}
         >
             <View style={styles.wishlistIcon}>
                 <Ionicons name="heart" size={24} color={colors.primary} />
@@ -236,6 +236,18 @@ export default function WishlistsScreen({ navigation, route }) {
                             <Text style={styles.visibilityText}>{item.visibility}</Text>
                         </View>
                     )}
+                    {item.giftMode && (
+                        <View style={styles.visibilityBadge}>
+                            <Ionicons name="gift-outline" size={12} color={colors.textMuted} />
+                            <Text style={styles.visibilityText}>Gifts</Text>
+                        </View>
+                    )}
+                    {isOwnProfile && item.coOwned && (
+                        <View style={styles.visibilityBadge}>
+                            <Ionicons name="people-outline" size={12} color={colors.textMuted} />
+                            <Text style={styles.visibilityText}>Shared</Text>
+                        </View>
+                    )}
                 </View>
             </View>
             <Ionicons name="chevron-forward" size={18} color={colors.textMuted} />
@@ -0,0 +1,75 @@
+import { getValidToken } from './api';
+
+/**
+ * Minimal server-sent-events reader for workflow job streams
+ * (`/api/shelves/:shelfId/vision/:jobId/events`). React Native has no
+ * EventSource, but XMLHttpRequest exposes the partial body while it streams.
+ *
+ * Calls `onEvent(eventName, data)` for every `progress`/`done`/`error` event and
+ * `onClose({ error })` once when the stream ends. Returns a function that closes it.
+ */
+export function subscribeToJobEvents({ apiBase, path, token, onEvent, onClose }) {
+    let xhr = null;
+    let closed = false;
+    let cursor = 0;
+    let buffer = '';
+
+    const close = (error = null) => {
+        if (closed) return;
+        closed = true;
+        if (xhr) {
+            xhr.onreadystatechange = null;
+            xhr.abort();
+        }
+        if (typeof onClose === 'function') onClose({ error });
+    };
+
+    const dispatch = (block) => {
+        let eventName = 'message';
+        const dataLines = [];
+        block.split('\n').forEach((line) => {
+            if (line.startsWith('event:')) eventName = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        });
+        if (!dataLines.length) return;
+        try {
+            onEvent(eventName, JSON.parse(dataLines.join('\n')));
+        } catch (err) {
+            console.warn('[jobEvents] bad event payload:', err?.message || err);
+        }
+    };
+
+    const readChunk = () => {
+        const text = xhr.responseText || '';
+        buffer += text.slice(cursor);
+        cursor = text.length;
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1 && !closed) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            boundary = buffer.indexOf('\n\n');
+        }
+    };
+
+    getValidToken(token).then((authToken) => {
+        if (closed) return;
+        xhr = new XMLHttpRequest();
+        xhr.open('GET', `${apiBase}${path}`);
+        xhr.setRequestHeader('Accept', 'text/event-stream');
+        xhr.setRequestHeader('ngrok-skip-browser-warning', 'true');
+        if (authToken) xhr.setRequestHeader('Authorization', `Bearer ${authToken}`);
+        xhr.onreadystatechange = () => {
+            if (xhr.readyState < 3 || closed) return;
+            if (xhr.status !== 200) {
+                close(new Error(`HTTP ${xhr.status}`));
+                return;
+            }
+            readChunk();
+            if (xhr.readyState === 4) close();
+        };
+        xhr.onerror = () => close(new Error('Event stream failed'));
+        xhr.send();
+    }).catch((err) => close(err));
+
+    return () => close();
+}
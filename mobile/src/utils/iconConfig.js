@@ -6,6 +6,9 @@
 export const CATEGORY_ICONS = {
     // Plural forms (shelf types)
     books: { icon: 'book', color: '#3B82F6' }, // Blue
+    comics: { icon: 'reader', color: '#EF4444' }, // Red
+    boardgames: { icon: 'dice', color: '#14B8A6' }, // Teal
+    cards: { icon: 'albums', color: '#6366F1' }, // Indigo
     movies: { icon: 'film', color: '#141313ff' }, // Red
     games: { icon: 'game-controller', color: '#10B981' }, // Emerald
     music: { icon: 'musical-notes', color: '#8B5CF6' }, // Purple
@@ -15,6 +18,9 @@ export const CATEGORY_ICONS = {
 
     // Singular forms (item types) - aliases
     book: { icon: 'book', color: '#3B82F6' },
+    comic: { icon: 'reader', color: '#EF4444' },
+    boardgame: { icon: 'dice', color: '#14B8A6' },
+    card: { icon: 'albums', color: '#6366F1' },
     movie: { icon: 'film', color: '#141313ff' },
     game: { icon: 'game-controller', color: '#10B981' },
     album: { icon: 'disc', color: '#F59E0B' },